@@ -143,10 +143,11 @@ class ApiClient {
    * Makes a paginated API request with automatic page handling
    * @param {string} endpoint - API endpoint to fetch from
    * @param {number} pageSize - Number of items per page
-   * @param {Function} processFn - Async function to process each page of data
+   * @param {Function} processFn - Async function to process each page of data; return false to stop after that page
    * @param {string} dataKey - Key in API response containing the data array
    * @param {Object} [additionalParams={}] - Additional query parameters
    * @param {Function} [checkTimeout] - Optional function that returns true if timeout is approaching
+   * @param {number} [startPage=1] - Page to start from when resuming
    * @returns {Promise<number>} Total number of items processed across all pages
    * @throws {ApiError} If API request fails
    * @throws {ImportTimeoutError} If timeout is detected
@@ -157,7 +158,8 @@ class ApiClient {
     processFn,
     dataKey,
     additionalParams = {},
-    checkTimeout = null
+    checkTimeout = null,
+    startPage = 1
   ) {
     return this.importManager.fetchPaginatedData(
       endpoint,
@@ -165,7 +167,8 @@ class ApiClient {
       processFn,
       dataKey,
       additionalParams,
-      checkTimeout
+      checkTimeout,
+      startPage
     );
   }
 
@@ -464,12 +467,15 @@ class ApiClient {
 
   /**
    * Generates a consistent cache key string for GET requests.
+   * Responses of an athlete's account are cached separately.
    * @param {string} endpoint - API endpoint
    * @param {Object} queryParams - Query parameters
    * @returns {string} Cache key
    */
   getCacheKey(endpoint, queryParams) {
-    return `${endpoint}?${this.buildQueryString(queryParams)}`;
+    const key = `${endpoint}?${this.buildQueryString(queryParams)}`;
+    const athlete = getActiveAthlete();
+    return athlete ? `${athlete.id}:${key}` : key;
   }
 
   /**
@@ -9,10 +9,15 @@ class ApiKeyManager {
   }
 
   /**
-   * Gets API key from document properties
+   * Gets API key from document properties, or the key of the athlete
+   * being imported
    * @returns {string|null} API key or null if not found
    */
   getApiKeyFromProperties() {
+    const athlete = getActiveAthlete();
+    if (athlete) {
+      return athlete.apiKey;
+    }
     const properties = getDocumentProperties();
     return properties?.getProperty("HEVY_API_KEY") ?? null;
   }
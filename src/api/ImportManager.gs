@@ -76,10 +76,11 @@ class ImportManager {
    *
    * @param {string} endpoint - API endpoint to fetch from
    * @param {number} pageSize - Number of items per page
-   * @param {Function} processFn - Async function to process each page of data
+   * @param {Function} processFn - Async function to process each page of data, called with the items and page number; return false to stop after that page
    * @param {string} dataKey - Key in API response containing the data array
    * @param {Object} [additionalParams={}] - Additional query parameters
    * @param {Function} [checkTimeout] - Optional function that returns true if timeout is approaching
+   * @param {number} [startPage=1] - Page to start from when resuming
    * @returns {Promise<number>} Total number of items processed across all pages
    * @throws {ApiError} If API request fails
    * @throws {ImportTimeoutError} If timeout is detected
@@ -223,12 +224,13 @@ class ImportManager {
     processFn,
     dataKey,
     additionalParams = {},
-    checkTimeout = null
+    checkTimeout = null,
+    startPage = 1
   ) {
     const apiKey = this.apiKeyManager.getOrPromptApiKey();
     if (!apiKey) return 0;
 
-    let page = 1;
+    let page = startPage;
     let totalProcessed = 0;
     let hasMore = true;
     const concurrency = RATE_LIMIT.PARALLEL_PAGE_CONCURRENCY;
@@ -395,7 +397,7 @@ class ImportManager {
    * Process page data and determines if more pages exist
    * @param {Object} response - API response
    * @param {string} dataKey - Key in response containing data array
-   * @param {Function} processFn - Function to process data
+   * @param {Function} processFn - Function to process data, called with the items and page number; returning false stops pagination
    * @param {number} pageSize - Size of each page
    * @param {number} page - Current page number
    * @returns {Promise<{processedCount: number, hasMore: boolean}>}
@@ -406,11 +408,12 @@ class ImportManager {
       return { processedCount: 0, hasMore: false };
     }
 
-    await processFn(items);
+    const shouldContinue = await processFn(items, page);
 
     return {
       processedCount: items.length,
       hasMore:
+        shouldContinue !== false &&
         items.length === pageSize &&
         (!response.page_count || page < response.page_count),
     };
@@ -499,6 +502,8 @@ class ImportManager {
     const lock = LockService.getScriptLock();
     let lockAcquired = false;
     let lastHeartbeat = startTime;
+    let logRun = null;
+    let logError = null;
 
     try {
       // Try to acquire lock to prevent concurrent execution
@@ -536,6 +541,7 @@ class ImportManager {
       // Only reaches here if API key validation passed
       ImportProgressTracker.markImportActive();
       this.cancelPendingInitialImportTriggers();
+      logRun = ImportLog.start(IMPORT_LOG_SOURCES.MANUAL, "Full Import");
 
       const ss = getActiveSpreadsheet();
       this.ensureImportTrigger(ss);
@@ -686,6 +692,8 @@ class ImportManager {
         TOAST_DURATION.NORMAL
       );
     } catch (error) {
+      logError = error;
+
       // Track execution time even on error
       const executionTime = Date.now() - startTime;
       QuotaTracker.recordExecutionTime(executionTime);
@@ -748,6 +756,8 @@ class ImportManager {
 
       throw ErrorHandler.handle(error, { operation: "Initial data import" });
     } finally {
+      await ImportLog.finish(logRun, logError);
+
       // Always cleanup: clear active import flag and release lock
       try {
         ImportProgressTracker.clearImportActive();
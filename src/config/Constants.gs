@@ -63,7 +63,14 @@ const ROUTINES_SHEET_NAME = "Routines";
 const ROUTINE_FOLDERS_SHEET_NAME = "Routine Folders";
 const WEIGHT_SHEET_NAME = "Weight History";
 const ROUTINE_BUILDER_SHEET_NAME = "Routine Builder";
+const PERSONAL_RECORDS_SHEET_NAME = "Personal Records";
+const VOLUME_SUMMARY_SHEET_NAME = "Volume Summary";
+const WORKOUT_LOGGER_SHEET_NAME = "Workout Logger";
 const MAIN_SHEET_NAME = "Main";
+const IMPORT_LOG_SHEET_NAME = "Import Log";
+const CHARTS_SHEET_NAME = "Charts";
+const MUSCLE_BALANCE_SHEET_NAME = "Muscle Balance";
+const CONSISTENCY_SHEET_NAME = "Consistency";
 
 /**
  * API Configuration
@@ -195,6 +202,7 @@ const WORKOUT_IMPORT_CONFIG = {
   MIN_SUCCESS_COUNT: 1, // Minimum number of successful requests required
   RETRY_ATTEMPTS: 2, // Number of additional retry attempts for failed requests
   BATCH_SIZE: 100, // Batch size for processing workout requests
+  RETRY_QUEUE_MAX_SIZE: 150, // Failed workouts kept for retry (fits one document property)
 };
 
 /**
@@ -217,6 +225,149 @@ const IMPORT_CONFIG = {
   PROGRESS_PROPERTY_KEY: "IMPORT_PROGRESS_STATE",
   ACTIVE_PROPERTY_KEY: "IMPORT_ACTIVE_STATE",
   DEFERRED_POST_PROCESSING_KEY: "DEFERRED_POST_PROCESSING",
+  RETRY_QUEUE_PROPERTY_KEY: "WORKOUT_RETRY_QUEUE",
+  WORKOUT_CHECKPOINT_KEY: "WORKOUT_IMPORT_CHECKPOINT",
+  LOG_MAX_ROWS: 500, // Import Log rows kept before the oldest are dropped
+  PREVIEW_MAX_ITEMS: 100, // Changes listed per category in the import preview dialog
+};
+
+/**
+ * Scheduled (time-based) sync configuration
+ * @type {Object}
+ */
+const SCHEDULED_SYNC_CONFIG = {
+  HANDLER_FUNCTION: "runScheduledImport",
+  CONFIG_PROPERTY_KEY: "SCHEDULED_SYNC_CONFIG",
+  LAST_RUN_PROPERTY_KEY: "SCHEDULED_SYNC_LAST_RUN",
+  DEFAULT_HOUR: 6, // Hour of day (script time zone) for daily syncs
+  FREQUENCIES: {
+    OFF: "off",
+    HOURLY: "hourly",
+    EVERY_6_HOURS: "every6Hours",
+    DAILY: "daily",
+  },
+  STATUSES: {
+    SUCCESS: "success",
+    SKIPPED: "skipped",
+    TIMED_OUT: "timedOut",
+    ERROR: "error",
+  },
+};
+
+/**
+ * Workout sync window configuration
+ * Limits imported workouts to recent months or to those since a date
+ * @type {Object}
+ */
+const SYNC_WINDOW_CONFIG = {
+  PROPERTY_KEY: "WORKOUT_SYNC_WINDOW",
+  DEFAULT_MONTHS: 12,
+  MAX_MONTHS: 240,
+  MODES: {
+    ALL: "all",
+    MONTHS: "months",
+    SINCE: "since",
+  },
+};
+
+/**
+ * Real-time sync webhook configuration
+ * Hevy posts to the web app URL when a workout is saved. The web app upserts
+ * the workout, or queues it in script properties while an import is running.
+ * @type {Object}
+ */
+const WEBHOOK_CONFIG = {
+  ENDPOINT_PROPERTY_KEY: "WEBHOOK_ENDPOINT",
+  SECRET_PROPERTY_KEY: "WEBHOOK_SECRET",
+  EVENTS_PROPERTY_KEY: "WEBHOOK_EVENTS",
+  ENDPOINT_PROPERTY_PREFIX: "WEBHOOK_ENDPOINT_", // Script property holding an endpoint's secret digest and spreadsheet ID
+  QUEUE_PROPERTY_PREFIX: "WEBHOOK_QUEUE_", // Script property per queued workout
+  MAX_EVENTS: 20, // Recent webhook events kept for troubleshooting
+  STATUSES: {
+    ACCEPTED: "accepted",
+    IMPORTED: "imported",
+    SKIPPED: "skipped",
+    QUEUED: "queued",
+    ERROR: "error",
+  },
+};
+
+/**
+ * ID prefixes of workouts a CSV import wrote to the Workouts sheet only.
+ * These workouts have no Hevy counterpart, so syncs and repairs keep them.
+ * @type {Object<string>}
+ */
+const CSV_WORKOUT_ID_PREFIXES = {
+  STRONG: "strong-",
+  FITNOTES: "fitnotes-",
+};
+
+/**
+ * Athlete roster configuration
+ * Athletes are extra Hevy accounts imported into the same sheets
+ * @type {Object}
+ */
+const ATHLETE_CONFIG = {
+  PROPERTY_KEY: "ATHLETES",
+  HEADER: "Athlete",
+  MAX_ATHLETES: 20,
+  MAX_NAME_LENGTH: 50,
+};
+
+/**
+ * Progress charts configuration
+ * The Charts sheet plots the selected exercises, or the most performed ones
+ * by the Exercises "Count" column when none are selected
+ * @type {Object}
+ */
+const CHARTS_CONFIG = {
+  PROPERTY_KEY: "CHART_SELECTION",
+  DEFAULT_TOP_N: 5,
+  MAX_CHARTS: 20,
+  WIDTH: 600,
+  HEIGHT: 300,
+  ROWS_PER_CHART: 16, // Rows between chart anchors, enough for HEIGHT at the default row height
+};
+
+/**
+ * Muscle balance configuration
+ * Weekly hard sets per muscle group are compared against min/max targets;
+ * a secondary muscle counts as a fraction of a set
+ * @type {Object}
+ */
+const MUSCLE_BALANCE_CONFIG = {
+  PROPERTY_KEY: "MUSCLE_SET_TARGETS",
+  DEFAULT_SECONDARY_FRACTION: 0.5,
+  DEFAULT_MIN_SETS: 10,
+  DEFAULT_MAX_SETS: 20,
+  MAX_SETS: 100, // Upper bound accepted for a target
+  UNTARGETED_MUSCLE_GROUPS: ["Cardio", "Full Body", "Other"], // Never given the default target
+  STATUSES: {
+    UNDER: "Under",
+    ON_TARGET: "On Target",
+    OVER: "Over",
+  },
+  STATUS_COLORS: {
+    UNDER: "#FFCDD2",
+    ON_TARGET: "#C8E6C9",
+    OVER: "#FFE0B2",
+  },
+};
+
+/**
+ * Training consistency configuration
+ * A week counts toward a streak when it has at least MIN_WEEKLY_SESSIONS
+ * workouts; the week in progress only extends the current streak
+ * @type {Object}
+ */
+const CONSISTENCY_CONFIG = {
+  MIN_WEEKLY_SESSIONS: 1,
+  LONGEST_GAPS: 5, // Gaps listed next to the calendar
+  SUMMARY_COLUMN: 12, // Column L, one blank column after the calendar
+  HEATMAP_COLORS: {
+    MIN: "#C8E6C9",
+    MAX: "#2E7D32",
+  },
 };
 
 /**
@@ -239,12 +390,18 @@ const DIALOG_DIMENSIONS = {
   SETUP_INSTRUCTIONS_HEIGHT: 650,
   IMPORT_WEIGHT_WIDTH: 550,
   IMPORT_WEIGHT_HEIGHT: 670,
+  CSV_IMPORT_WIDTH: 600,
+  CSV_IMPORT_HEIGHT: 680,
+  EXPORT_WORKOUTS_WIDTH: 520,
+  EXPORT_WORKOUTS_HEIGHT: 640,
   DEV_API_MANAGER_WIDTH: 600,
   DEV_API_MANAGER_HEIGHT: 480,
   LOAD_ROUTINE_WIDTH: 400,
   LOAD_ROUTINE_HEIGHT: 410,
   CONTINUE_IMPORT_WIDTH: 450,
   CONTINUE_IMPORT_HEIGHT: 450,
+  IMPORT_PREVIEW_WIDTH: 560,
+  IMPORT_PREVIEW_HEIGHT: 620,
 };
 
 /**
@@ -315,6 +472,12 @@ const SHEET_HEADERS = {
     "Reps / Distance (m)",
     "Duration (s)",
     "RPE",
+    "Est. 1RM (kg)",
+    "Description",
+    "Exercise Notes",
+    "Superset ID",
+    "Set Index",
+    "Athlete",
   ],
   [ROUTINES_SHEET_NAME]: [
     "ID",
@@ -327,6 +490,7 @@ const SHEET_HEADERS = {
     "Weight (kg)",
     "Reps / Distance (m)",
     "Duration (s)",
+    "Athlete",
   ],
   [EXERCISES_SHEET_NAME]: [
     "ID",
@@ -347,6 +511,69 @@ const SHEET_HEADERS = {
     "Index",
   ],
   [WEIGHT_SHEET_NAME]: ["Timestamp", "Weight"],
+  [PERSONAL_RECORDS_SHEET_NAME]: [
+    "Exercise Template ID",
+    "Exercise",
+    "Record",
+    "Weight (kg)",
+    "Reps",
+    "Value",
+    "Workout ID",
+    "Date",
+  ],
+  [VOLUME_SUMMARY_SHEET_NAME]: [
+    "Period Type",
+    "Period",
+    "Period Start",
+    "Muscle Group",
+    "Tonnage (kg)",
+    "Sets",
+    "Workouts",
+  ],
+  [IMPORT_LOG_SHEET_NAME]: [
+    "Started",
+    "Ended",
+    "Duration (s)",
+    "Source",
+    "Operation",
+    "Status",
+    "Added",
+    "Updated",
+    "Deleted",
+    "Changes",
+    "Failed IDs",
+    "Error Code",
+    "Error Message",
+    "URL Fetches",
+  ],
+  [CHARTS_SHEET_NAME]: [
+    "Exercise",
+    "Date",
+    "Best Set (kg)",
+    "Est. 1RM (kg)",
+    "Volume (kg)",
+  ],
+  [MUSCLE_BALANCE_SHEET_NAME]: [
+    "Week",
+    "Week Start",
+    "Muscle Group",
+    "Hard Sets",
+    "Min Target",
+    "Max Target",
+    "Status",
+  ],
+  [CONSISTENCY_SHEET_NAME]: [
+    "Week",
+    "Week Start",
+    "Mon",
+    "Tue",
+    "Wed",
+    "Thu",
+    "Fri",
+    "Sat",
+    "Sun",
+    "Sessions",
+  ],
 };
 
 /**
@@ -393,12 +620,60 @@ const SHEET_THEMES = {
   [ROUTINES_SHEET_NAME]: RED_THEME,
   [ROUTINE_FOLDERS_SHEET_NAME]: TEAL_THEME,
   [WEIGHT_SHEET_NAME]: PURPLE_THEME,
+  [PERSONAL_RECORDS_SHEET_NAME]: YELLOW_THEME,
+  [VOLUME_SUMMARY_SHEET_NAME]: ORANGE_THEME,
+  [IMPORT_LOG_SHEET_NAME]: GRAY_THEME,
+  [CHARTS_SHEET_NAME]: BLUE_THEME,
+  [MUSCLE_BALANCE_SHEET_NAME]: PURPLE_THEME,
+  [CONSISTENCY_SHEET_NAME]: GREEN_THEME,
 };
 
 /**
  * Routine Builder Configuration
  */
 
+/**
+ * Workout Logger sheet layout
+ * Workout fields are label/value pairs in columns A/B,
+ * followed by one row per set starting at EXERCISE_DATA_START_ROW
+ * @type {Object<string|number>}
+ */
+const WORKOUT_LOGGER_CELLS = {
+  TITLE: "B2",
+  START_TIME: "B3",
+  END_TIME: "B4",
+  DESCRIPTION: "B5",
+  HEADER_ROW: 7,
+  EXERCISE_DATA_START_ROW: 8,
+};
+
+/**
+ * Workout Logger set table headers (columns A onward)
+ * @type {Array<string>}
+ */
+const WORKOUT_LOGGER_HEADERS = [
+  "Exercise",
+  "Set Type",
+  "Weight",
+  "Reps / Distance (m)",
+  "Duration (s)",
+  "RPE",
+  "Notes",
+  "Superset ID",
+];
+
+/**
+ * Set types accepted by the Hevy API
+ * @type {Array<string>}
+ */
+const SET_TYPES = ["normal", "warmup", "failure", "dropset"];
+
+/**
+ * RPE values accepted by the Hevy API
+ * @type {Array<number>}
+ */
+const RPE_VALUES = [6, 7, 7.5, 8, 8.5, 9, 9.5, 10];
+
 /**
  * Routine Builder sheet cell references
  * @type {Object<string>}
@@ -422,8 +697,75 @@ const ROUTINE_BUILDER_CELLS = {
  */
 const MAIN_SHEET_CELLS = {
   WEIGHT_UNIT: "I5",
+  ONE_REP_MAX_FORMULA: "I6",
 };
 
+/**
+ * Estimated one-rep max formulas selectable on the Main sheet
+ * @type {Object<string>}
+ */
+const ONE_REP_MAX_FORMULAS = {
+  EPLEY: "Epley",
+  BRZYCKI: "Brzycki",
+  LOMBARDI: "Lombardi",
+  RPE_ADJUSTED: "RPE-adjusted",
+};
+
+/**
+ * Document property flagging an e1RM formula change for the next import
+ * @type {string}
+ */
+const ONE_REP_MAX_FORMULA_CHANGED_KEY = "ONE_REP_MAX_FORMULA_CHANGED";
+
+/**
+ * Exercise types accepted by the Hevy API
+ * @type {Array<string>}
+ */
+const EXERCISE_TYPES = [
+  "weight_reps",
+  "reps_only",
+  "bodyweight_reps",
+  "bodyweight_assisted_reps",
+  "duration",
+  "weight_duration",
+  "distance_duration",
+  "short_distance_weight",
+];
+
+/**
+ * Muscle groups accepted by the Hevy API (snake_case)
+ * @type {Array<string>}
+ */
+const MUSCLE_GROUPS = [
+  "abdominals",
+  "shoulders",
+  "biceps",
+  "triceps",
+  "forearms",
+  "quadriceps",
+  "hamstrings",
+  "calves",
+  "glutes",
+  "abductors",
+  "adductors",
+  "lats",
+  "upper_back",
+  "traps",
+  "lower_back",
+  "chest",
+  "cardio",
+  "neck",
+  "full_body",
+  "other",
+];
+
+/**
+ * Equipment category sent when creating custom exercises,
+ * since the Exercises sheet has no equipment column
+ * @type {string}
+ */
+const DEFAULT_CUSTOM_EXERCISE_EQUIPMENT = "other";
+
 /**
  * Routine Builder API configuration
  * @type {Object<number>}
@@ -433,3 +775,19 @@ const ROUTINE_BUILDER_CONFIG = {
   DECIMAL_PLACES: 2,
   DEFAULT_WEIGHT_UNIT: "kg",
 };
+
+/**
+ * Set fields held by the Routine Builder "Weight" and "Reps" columns for each
+ * exercise type. Duration-only types keep the duration in the Weight column.
+ * @type {Object<string, {weight: string|null, reps: string|null}>}
+ */
+const ROUTINE_SET_COLUMNS = {
+  weight_reps: { weight: "weight_kg", reps: "reps" },
+  reps_only: { weight: null, reps: "reps" },
+  bodyweight_reps: { weight: "weight_kg", reps: "reps" },
+  bodyweight_assisted_reps: { weight: "weight_kg", reps: "reps" },
+  duration: { weight: "duration_seconds", reps: null },
+  weight_duration: { weight: "weight_kg", reps: "duration_seconds" },
+  distance_duration: { weight: "duration_seconds", reps: "distance_meters" },
+  short_distance_weight: { weight: "weight_kg", reps: "distance_meters" },
+};
@@ -0,0 +1,212 @@
+/**
+ * Creates custom exercise templates in Hevy from the Exercises sheet.
+ * Rows marked "Is Custom" without a Hevy ID (set to "N/A" by
+ * syncCustomExerciseIds) are pushed to the API and the returned
+ * template IDs are written back into the ID column.
+ * @module actions/CustomExercises
+ */
+
+/**
+ * Creates all pending custom exercises from the Exercises sheet
+ * @returns {Promise<void>}
+ */
+async function createCustomExercisesFromSheet() {
+  const ss = getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(EXERCISES_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() <= 1) {
+    ss.toast(
+      "No exercises found in the Exercises sheet.",
+      "Create Custom Exercises",
+      TOAST_DURATION.NORMAL
+    );
+    return;
+  }
+
+  try {
+    const data = sheet.getDataRange().getValues();
+    const headers = data.shift();
+    validateExerciseSheetHeaders(headers, [
+      "ID",
+      "Title",
+      "Type",
+      "Primary Muscle Group",
+      "Secondary Muscle Groups",
+      "Is Custom",
+    ]);
+
+    const indices = getCustomExerciseColumnIndices(headers);
+    const pending = findPendingCustomExercises(data, indices);
+
+    if (pending.length === 0) {
+      ss.toast(
+        'No custom exercises to create. Mark rows with "Is Custom" and leave the ID empty or "N/A".',
+        "Create Custom Exercises",
+        TOAST_DURATION.NORMAL
+      );
+      return;
+    }
+
+    const ui = SpreadsheetApp.getUi();
+    const response = ui.alert(
+      "Create Custom Exercises?",
+      `Create ${pending.length} custom exercise(s) in your Hevy account?\n\n` +
+        pending.map(({ row }) => `• ${row[indices.title]}`).join("\n"),
+      ui.ButtonSet.YES_NO
+    );
+    if (response !== ui.Button.YES) {
+      return;
+    }
+
+    const { client, apiKey } = getApiClientAndKey();
+    const failures = [];
+    let createdCount = 0;
+
+    for (const { row, rowNumber } of pending) {
+      const title = String(row[indices.title]).trim();
+      try {
+        const payload = buildCustomExercisePayload(row, indices);
+        const options = client.createRequestOptions(apiKey, "post");
+        const result = await client.makeRequest(
+          API_ENDPOINTS.EXERCISES,
+          options,
+          {},
+          payload
+        );
+        const templateId = extractExerciseTemplateId(result);
+        if (!templateId) {
+          throw new ApiError(
+            "Exercise created but no template ID was returned",
+            HTTP_STATUS.OK,
+            JSON.stringify(result)
+          );
+        }
+
+        sheet.getRange(rowNumber, indices.id + 1).setValue(templateId);
+        createdCount++;
+      } catch (error) {
+        failures.push(`${title}: ${error.message}`);
+      }
+    }
+
+    if (createdCount > 0) {
+      // Exercise template list responses are cached; drop them so the next
+      // import sees the new templates instead of resetting their IDs to "N/A"
+      client.clearCache();
+    }
+
+    if (failures.length > 0) {
+      ui.alert(
+        "Some Custom Exercises Failed",
+        `Created ${createdCount} of ${pending.length} exercise(s).\n\n` +
+          failures.join("\n"),
+        ui.ButtonSet.OK
+      );
+    } else {
+      ss.toast(
+        `Created ${createdCount} custom exercise(s) in Hevy.`,
+        "Create Custom Exercises",
+        TOAST_DURATION.NORMAL
+      );
+    }
+  } catch (error) {
+    throw ErrorHandler.handle(error, {
+      operation: "Creating custom exercises",
+      sheetName: EXERCISES_SHEET_NAME,
+    });
+  }
+}
+
+/**
+ * Gets the column indices used for custom exercise creation
+ * @param {Array<string>} headers - Exercises sheet header row
+ * @returns {Object<number>} Zero-based column indices
+ * @private
+ */
+function getCustomExerciseColumnIndices(headers) {
+  return {
+    id: headers.indexOf("ID"),
+    title: headers.indexOf("Title"),
+    type: headers.indexOf("Type"),
+    primary: headers.indexOf("Primary Muscle Group"),
+    secondary: headers.indexOf("Secondary Muscle Groups"),
+    isCustom: headers.indexOf("Is Custom"),
+  };
+}
+
+/**
+ * Finds custom exercise rows that do not exist in Hevy yet
+ * @param {Array<Array>} data - Exercises sheet rows (without header)
+ * @param {Object<number>} indices - Column indices from getCustomExerciseColumnIndices
+ * @returns {Array<{row: Array, rowNumber: number}>} Pending rows with 1-based sheet row numbers
+ */
+function findPendingCustomExercises(data, indices) {
+  return data
+    .map((row, index) => ({ row, rowNumber: index + 2 }))
+    .filter(({ row }) => {
+      const isCustom = String(row[indices.isCustom]).toUpperCase() === "TRUE";
+      const id = String(row[indices.id] ?? "").trim();
+      const title = String(row[indices.title] ?? "").trim();
+      return isCustom && title && (!id || id === "N/A");
+    });
+}
+
+/**
+ * Builds the create-exercise-template payload for a sheet row
+ * @param {Array} row - Exercises sheet row
+ * @param {Object<number>} indices - Column indices from getCustomExerciseColumnIndices
+ * @returns {Object} Request payload
+ * @throws {ValidationError} If the type or a muscle group is not recognised by Hevy
+ */
+function buildCustomExercisePayload(row, indices) {
+  const title = String(row[indices.title]).trim();
+  const type = String(row[indices.type] ?? "").trim();
+  if (!EXERCISE_TYPES.includes(type)) {
+    throw new ValidationError(
+      `Invalid type "${type}". Use one of: ${EXERCISE_TYPES.join(", ")}`
+    );
+  }
+
+  const toMuscleGroup = (value) => {
+    const muscleGroup = toSnakeCaseFromTitle(value);
+    if (!MUSCLE_GROUPS.includes(muscleGroup)) {
+      throw new ValidationError(`Invalid muscle group "${value}"`);
+    }
+    return muscleGroup;
+  };
+
+  const primary = String(row[indices.primary] ?? "").trim();
+  if (!primary) {
+    throw new ValidationError("Primary Muscle Group is required");
+  }
+
+  const secondary = String(row[indices.secondary] ?? "")
+    .split(",")
+    .map((value) => value.trim())
+    .filter(Boolean)
+    .map(toMuscleGroup);
+
+  return {
+    exercise: {
+      title,
+      exercise_type: type,
+      equipment_category: DEFAULT_CUSTOM_EXERCISE_EQUIPMENT,
+      muscle_group: toMuscleGroup(primary),
+      other_muscles: secondary,
+    },
+  };
+}
+
+/**
+ * Extracts the new template ID from a create-exercise-template response
+ * @param {Object|string|number} response - Parsed API response
+ * @returns {string|null} Template ID, or null if missing
+ * @private
+ */
+function extractExerciseTemplateId(response) {
+  if (typeof response === "string" || typeof response === "number") {
+    return String(response);
+  }
+  const id =
+    response?.exercise_template?.id ?? response?.id ?? response?.template_id;
+  return id != null ? String(id) : null;
+}
@@ -131,12 +131,13 @@ function promptDuplicateRoutine(duplicateRoutine, title, sheet) {
 
 /**
  * Validates exercise data from sheet
- * @param {Array<Array>} exerciseData - Exercise data rows from sheet
+ * Shows an alert and returns false on the first failing check.
+ * @param {Array<{rowNumber: number, values: Array}>} exerciseRows - Rows from readRoutineBuilderRows
  * @returns {boolean} True if validation passes, false otherwise
  * @private
  */
-function validateExerciseData(exerciseData) {
-  if (exerciseData.length === 0) {
+function validateExerciseData(exerciseRows) {
+  if (exerciseRows.length === 0) {
     SpreadsheetApp.getUi().alert(
       "At least one exercise with a set type is required",
       "Please add at least one exercise with a set type in the table.",
@@ -145,7 +146,7 @@ function validateExerciseData(exerciseData) {
     return false;
   }
 
-  const missingExercises = exerciseData.filter((row) => {
+  const missingExercises = exerciseRows.filter(({ values: row }) => {
     const exerciseName = String(row[0] ?? "").trim();
     if (!exerciseName) {
       return false;
@@ -158,7 +159,7 @@ function validateExerciseData(exerciseData) {
 
   if (missingExercises.length > 0) {
     const names = missingExercises
-      .map((r) => String(r[0] ?? "").trim())
+      .map(({ values: r }) => String(r[0] ?? "").trim())
       .filter((name) => name)
       .join(", ");
 
@@ -176,9 +177,37 @@ function validateExerciseData(exerciseData) {
     return false;
   }
 
+  const setTypeErrors = findSetTypeErrors(exerciseRows);
+  if (setTypeErrors.length > 0) {
+    SpreadsheetApp.getUi().alert(
+      "Invalid Set Types",
+      `${setTypeErrors.join("\n")}\n\nValid set types: ${SET_TYPES.join(", ")}`,
+      SpreadsheetApp.getUi().ButtonSet.OK
+    );
+    return false;
+  }
+
   return true;
 }
 
+/**
+ * Checks the Set Type column of each row against the types Hevy allows
+ * @param {Array<{rowNumber: number, values: Array}>} exerciseRows - Rows from readRoutineBuilderRows
+ * @returns {Array<string>} One "Row N: ..." message per invalid row
+ */
+function findSetTypeErrors(exerciseRows) {
+  return exerciseRows.flatMap(({ rowNumber, values }) => {
+    const setType = String(values[2] ?? "").trim();
+    if (!setType) {
+      return [`Row ${rowNumber}: set type is required`];
+    }
+    if (!SET_TYPES.includes(setType.toLowerCase())) {
+      return [`Row ${rowNumber}: "${setType}" is not a valid set type`];
+    }
+    return [];
+  });
+}
+
 /**
  * Creates a routine from the sheet data and submits it to Hevy API
  * Reads exercise data from the Routine Builder sheet, validates it,
@@ -243,18 +272,15 @@ async function createRoutineFromSheet() {
       }
     }
 
-    const exerciseData = sheet
-      .getRange(
-        `${ROUTINE_BUILDER_CELLS.EXERCISE_DATA_START}:I${sheet.getLastRow()}`
-      )
-      .getValues()
-      .filter((row) => row[2] || row[0] || row[7]);
+    const exerciseRows = readRoutineBuilderRows(sheet);
 
-    if (!validateExerciseData(exerciseData)) {
+    if (!validateExerciseData(exerciseRows)) {
       return null;
     }
 
-    const exercises = processExercises(exerciseData);
+    const exercises = processExercises(
+      exerciseRows.map(({ values }) => values)
+    );
     validateRoutineData(title, exercises);
 
     const routineData = {
@@ -25,7 +25,7 @@ function processExercises(exerciseData) {
         name
       );
 
-      const parsedWeight = parseAndConvertWeight(weight, conversionFactor);
+      const parsedWeight = parseNumber(weight, "weight");
       const parsedReps = parseRepRange(reps);
       const templateType = templateTypeMap[normalizedTemplateId];
 
@@ -49,7 +49,8 @@ function processExercises(exerciseData) {
             parsedWeight,
             parsedReps.reps,
             parsedReps.rep_range,
-            templateType
+            templateType,
+            conversionFactor
           )
         );
       }
@@ -193,36 +194,61 @@ function createNewExercise(templateId, rest, supersetId, notes) {
   };
 }
 
+/**
+ * Gets the set fields held by the Weight and Reps columns for an exercise type
+ * @param {string|null} templateType - Exercise template type
+ * @returns {{weight: string|null, reps: string|null}} Field names (weight_reps layout for unknown types)
+ */
+function getRoutineSetColumns(templateType) {
+  const normalizedType = String(templateType ?? "")
+    .trim()
+    .toLowerCase();
+  return ROUTINE_SET_COLUMNS[normalizedType] ?? ROUTINE_SET_COLUMNS.weight_reps;
+}
+
 /**
  * Creates a set object from processed values
+ * The Weight and Reps columns are mapped to set fields by exercise type
+ * (see ROUTINE_SET_COLUMNS); only weights are converted to kg.
  * @param {string} setType - Set type (e.g., "normal")
- * @param {number|null} weight - Weight in kg
- * @param {number|null} reps - Number of reps
+ * @param {number|null} weight - Weight column value in the user's unit
+ * @param {number|null} reps - Reps column value
  * @param {Object|null} repRange - Rep range object with start and end
  * @param {string|null} templateType - Exercise template type
+ * @param {number} [conversionFactor=1] - Factor to convert weights to kg
  * @returns {RoutineSet} New set object
+ * @throws {ValidationError} If a rep range is used for a duration or distance
  */
-function createSet(setType, weight, reps, repRange, templateType) {
-  const normalizedType = String(templateType ?? "").toLowerCase();
-  const isDurationType = normalizedType.includes("duration");
-  const isDistanceType = normalizedType.includes("distance");
-
+function createSet(
+  setType,
+  weight,
+  reps,
+  repRange,
+  templateType,
+  conversionFactor = 1
+) {
+  const columns = getRoutineSetColumns(templateType);
   const set = {
-    type: setType ?? "normal",
+    type:
+      String(setType ?? "")
+        .trim()
+        .toLowerCase() || "normal",
   };
 
-  if (isDurationType && weight != null) {
-    set.duration_seconds = weight;
-  } else if (weight != null) {
-    set.weight_kg = weight;
+  if (columns.weight && weight != null) {
+    set[columns.weight] =
+      columns.weight === "weight_kg" ? weight * conversionFactor : weight;
   }
 
-  if (isDistanceType && reps != null) {
-    set.distance_meters = reps;
-  } else if (isValidRepRange(repRange)) {
+  if (isValidRepRange(repRange)) {
+    if (columns.reps !== "reps") {
+      throw new ValidationError(
+        `Rep ranges are only supported for rep-based exercises, not ${templateType}`
+      );
+    }
     set.rep_range = { start: repRange.start, end: repRange.end };
-  } else if (reps != null) {
-    set.reps = reps;
+  } else if (columns.reps && reps != null) {
+    set[columns.reps] = reps;
   }
 
   return set;
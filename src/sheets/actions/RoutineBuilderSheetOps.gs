@@ -125,13 +125,59 @@ function getExerciseNameFromTemplateId(templateId) {
   }
 }
 
+/**
+ * Reads the non-empty exercise rows of the Routine Builder table
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - Routine Builder sheet
+ * @returns {Array<{rowNumber: number, values: Array}>} Rows with their 1-based sheet row numbers
+ */
+function readRoutineBuilderRows(sheet) {
+  return sheet
+    .getRange(
+      `${ROUTINE_BUILDER_CELLS.EXERCISE_DATA_START}:I${sheet.getLastRow()}`
+    )
+    .getValues()
+    .map((values, index) => ({
+      rowNumber: ROUTINE_BUILDER_CELLS.EXERCISE_DATA_START_ROW + index,
+      values,
+    }))
+    .filter(({ values }) => values[2] || values[0] || values[7]);
+}
+
+/**
+ * Infers an exercise type from the fields present on a set
+ * Used when loading routines whose exercise is not in the Exercises sheet.
+ * @param {Object} set - Routine set from the API
+ * @returns {string} Exercise type key of ROUTINE_SET_COLUMNS
+ * @private
+ */
+function inferTemplateTypeFromSet(set) {
+  const hasWeight = set.weight_kg != null;
+  const hasDistance = set.distance_meters != null;
+  const hasDuration = set.duration_seconds != null;
+
+  if (hasDistance) {
+    return hasWeight ? "short_distance_weight" : "distance_duration";
+  }
+  if (hasDuration) {
+    return hasWeight ? "weight_duration" : "duration";
+  }
+  return "weight_reps";
+}
+
 /**
  * Converts a routine exercise to sheet row format
+ * The inverse of createSet: set fields are placed in the Weight and Reps
+ * columns according to the exercise type.
  * @param {Object} exercise - Routine exercise object
  * @param {string} weightUnit - User's weight unit (kg, lbs, stone)
+ * @param {string|null} [templateType=null] - Exercise type; inferred from each set when omitted
  * @returns {Array<Array>} Array of row arrays (one per set)
  */
-function convertRoutineExerciseToSheetRows(exercise, weightUnit) {
+function convertRoutineExerciseToSheetRows(
+  exercise,
+  weightUnit,
+  templateType = null
+) {
   const rows = [];
   const templateId = exercise.exercise_template_id ?? "";
   const exerciseName =
@@ -160,28 +206,27 @@ function convertRoutineExerciseToSheetRows(exercise, weightUnit) {
     return rows;
   }
 
-  exercise.sets.forEach((set, index) => {
-    let weight = set.weight_kg;
-    let reps = getRepsValue(set);
-    const distance = set.distance_meters;
-    const duration = set.duration_seconds;
-
-    if (weight != null) {
-      weight = weight * conversionFactor;
-      const decimalPlaces = ROUTINE_BUILDER_CONFIG.DECIMAL_PLACES;
-      weight =
-        Math.round(weight * Math.pow(10, decimalPlaces)) /
-        Math.pow(10, decimalPlaces);
+  const decimalPlaces = ROUTINE_BUILDER_CONFIG.DECIMAL_PLACES;
+  const toColumnValue = (set, field) => {
+    if (field === "reps") {
+      return getRepsValue(set);
     }
-
-    if (distance != null) {
-      reps = distance;
-    }
-
-    if (duration != null) {
-      weight = duration;
+    const value = field ? set[field] : null;
+    if (value == null || field !== "weight_kg") {
+      return value ?? null;
     }
+    return (
+      Math.round(value * conversionFactor * Math.pow(10, decimalPlaces)) /
+      Math.pow(10, decimalPlaces)
+    );
+  };
 
+  exercise.sets.forEach((set, index) => {
+    const columns = getRoutineSetColumns(
+      templateType ?? inferTemplateTypeFromSet(set)
+    );
+    const weight = toColumnValue(set, columns.weight);
+    const reps = toColumnValue(set, columns.reps);
     const isFirstSet = index === 0;
 
     rows.push([
@@ -270,6 +315,9 @@ async function populateRoutineBuilderSheet(routine) {
 
     const allRows = [];
     const missingExercises = [];
+    const templateTypeMap = ss.getSheetByName(EXERCISES_SHEET_NAME)
+      ? buildTemplateTypeMap()
+      : {};
 
     if (routine.exercises?.length) {
       routine.exercises.forEach((exercise) => {
@@ -282,7 +330,11 @@ async function populateRoutineBuilderSheet(routine) {
           missingExercises.push(exercise.title ?? templateId);
         }
 
-        const rows = convertRoutineExerciseToSheetRows(exercise, weightUnit);
+        const rows = convertRoutineExerciseToSheetRows(
+          exercise,
+          weightUnit,
+          templateTypeMap[templateId] || null
+        );
         allRows.push(...rows);
       });
     } else {
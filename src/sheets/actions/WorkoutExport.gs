@@ -0,0 +1,292 @@
+/**
+ * Exports the Workouts sheet to files for use outside the spreadsheet.
+ * Rows are regrouped into workouts, exercises and sets, then serialized as a
+ * Strong-layout CSV or as JSON mirroring the Hevy workout schema.
+ * @module actions/WorkoutExport
+ */
+
+/**
+ * Supported export formats
+ * @type {Object<string>}
+ */
+const WORKOUT_EXPORT_FORMATS = {
+  STRONG_CSV: "strongCsv",
+  JSON: "json",
+};
+
+/**
+ * Column layout of a Strong CSV export
+ * @type {Array<string>}
+ * @private
+ */
+const STRONG_CSV_HEADERS = [
+  "Date",
+  "Workout Name",
+  "Duration",
+  "Exercise Name",
+  "Set Order",
+  "Weight",
+  "Reps",
+  "Distance",
+  "Seconds",
+  "Notes",
+  "Workout Notes",
+  "RPE",
+];
+
+/**
+ * Exercise types whose "Reps / Distance (m)" column holds a distance
+ * @type {Array<string>}
+ * @private
+ */
+const DISTANCE_EXERCISE_TYPES = ["distance_duration", "short_distance_weight"];
+
+/**
+ * Builds an export file from the Workouts sheet for the export dialog
+ * @param {string} format - One of WORKOUT_EXPORT_FORMATS
+ * @param {Object} [options={}] - Export options
+ * @param {string} [options.fromDate] - First day to include (yyyy-mm-dd)
+ * @param {string} [options.toDate] - Last day to include (yyyy-mm-dd)
+ * @param {string} [options.weightUnit="kg"] - Weight unit for the Strong CSV (kg or lbs)
+ * @returns {{filename: string, mimeType: string, content: string, workoutCount: number}} File to download
+ * @throws {ValidationError} If there are no workouts to export
+ */
+function exportWorkouts(format, options = {}) {
+  try {
+    const { fromDate, toDate, weightUnit = "kg" } = options;
+    const from = fromDate ? parseIsoDay(fromDate) : null;
+    const to = toDate ? parseIsoDay(toDate) : null;
+    if (to) {
+      to.setDate(to.getDate() + 1);
+    }
+
+    const workouts = readWorkoutsFromSheet(from, to);
+    if (workouts.length === 0) {
+      throw new ValidationError("No workouts found for the selected dates.");
+    }
+
+    const timeZone = getActiveSpreadsheet().getSpreadsheetTimeZone();
+    const stamp = Utilities.formatDate(new Date(), timeZone, "yyyy-MM-dd");
+
+    if (format === WORKOUT_EXPORT_FORMATS.JSON) {
+      return {
+        filename: `hevy-workouts-${stamp}.json`,
+        mimeType: "application/json",
+        content: JSON.stringify(
+          {
+            exported_at: new Date().toISOString(),
+            weight_unit: "kg",
+            distance_unit: "m",
+            workout_count: workouts.length,
+            workouts,
+          },
+          null,
+          2
+        ),
+        workoutCount: workouts.length,
+      };
+    }
+
+    return {
+      filename: `hevy-workouts-strong-${stamp}.csv`,
+      mimeType: "text/csv",
+      content: buildStrongCsv(workouts, weightUnit, timeZone),
+      workoutCount: workouts.length,
+    };
+  } catch (error) {
+    throw ErrorHandler.handle(error, {
+      operation: "Exporting workouts",
+      sheetName: WORKOUTS_SHEET_NAME,
+      format,
+    });
+  }
+}
+
+/**
+ * Reads the Workouts sheet back into Hevy-shaped workout objects
+ * A new exercise starts when the exercise changes or the set index restarts.
+ * @param {Date|null} [from=null] - Include workouts starting on or after this time
+ * @param {Date|null} [to=null] - Include workouts starting before this time
+ * @returns {Array<Object>} Workouts, oldest first, with weights in kg and distances in meters
+ */
+function readWorkoutsFromSheet(from = null, to = null) {
+  const sheet = getActiveSpreadsheet().getSheetByName(WORKOUTS_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() <= 1) {
+    return [];
+  }
+
+  const data = sheet.getDataRange().getValues();
+  const indices = getWorkoutColumnIndices(data.shift());
+  const metadataMap = buildExerciseMetadataMap();
+  const workouts = new Map();
+
+  data.forEach((row) => {
+    const id = row[indices.id];
+    const startTime = new Date(row[indices.startTime]);
+    if (
+      !id ||
+      isNaN(startTime.getTime()) ||
+      (from && startTime < from) ||
+      (to && startTime >= to)
+    ) {
+      return;
+    }
+
+    if (!workouts.has(id)) {
+      workouts.set(id, {
+        id,
+        title: row[indices.title],
+        description: row[indices.description] || null,
+        start_time: startTime.toISOString(),
+        end_time: _toExportIsoString(row[indices.endTime]),
+        exercises: [],
+      });
+    }
+
+    const title = row[indices.exercise];
+    if (!title) {
+      return;
+    }
+
+    const workout = workouts.get(id);
+    const templateId = row[indices.exerciseTemplateId] || null;
+    const setIndex = _toExportNumber(row[indices.setIndex]);
+    let exercise = workout.exercises[workout.exercises.length - 1];
+    const lastSet = exercise?.sets[exercise.sets.length - 1];
+
+    if (
+      !exercise ||
+      exercise.title !== title ||
+      exercise.exercise_template_id !== templateId ||
+      (setIndex !== null && lastSet && setIndex <= lastSet.index)
+    ) {
+      exercise = {
+        index: workout.exercises.length,
+        title,
+        notes: row[indices.exerciseNotes] || null,
+        exercise_template_id: templateId,
+        superset_id: _toExportNumber(row[indices.supersetId]),
+        sets: [],
+      };
+      workout.exercises.push(exercise);
+    }
+
+    const metadata = findExerciseMetadata(metadataMap, templateId, title);
+    const isDistance = DISTANCE_EXERCISE_TYPES.includes(metadata?.type);
+    const repsOrDistance = _toExportNumber(row[indices.reps]);
+
+    exercise.sets.push({
+      index: setIndex ?? exercise.sets.length,
+      type: row[indices.setType] || "normal",
+      weight_kg: _toExportNumber(row[indices.weight]),
+      reps: isDistance ? null : repsOrDistance,
+      distance_meters: isDistance ? repsOrDistance : null,
+      duration_seconds: _toExportNumber(row[indices.duration]),
+      rpe: _toExportNumber(row[indices.rpe]),
+    });
+  });
+
+  return Array.from(workouts.values()).sort((a, b) =>
+    a.start_time.localeCompare(b.start_time)
+  );
+}
+
+/**
+ * Serializes workouts as a CSV in Strong's export layout
+ * Working sets are numbered; warmup, drop and failure sets use W, D and F.
+ * @param {Array<Object>} workouts - Result of readWorkoutsFromSheet
+ * @param {string} weightUnit - Weight unit for the file (kg or lbs); distances follow as km or miles
+ * @param {string} timeZone - Time zone for the Date column
+ * @returns {string} CSV content
+ */
+function buildStrongCsv(workouts, weightUnit, timeZone) {
+  const isImperial = weightUnit === "lbs";
+  const weightFactor = isImperial ? 1 / WEIGHT_CONVERSION.LBS_TO_KG : 1;
+  const distanceFactor = isImperial ? 1 / 1609.344 : 1 / 1000;
+  const setOrders = { warmup: "W", dropset: "D", failure: "F" };
+  const round = (value, factor, decimals) =>
+    value == null ? "" : Number((value * factor).toFixed(decimals));
+
+  const lines = [STRONG_CSV_HEADERS];
+
+  workouts.forEach((workout) => {
+    const start = new Date(workout.start_time);
+    const date = Utilities.formatDate(start, timeZone, "yyyy-MM-dd HH:mm:ss");
+    const duration = workout.end_time
+      ? formatStrongDuration((new Date(workout.end_time) - start) / 1000)
+      : "";
+
+    workout.exercises.forEach((exercise) => {
+      let workingSet = 0;
+      exercise.sets.forEach((set) => {
+        lines.push([
+          date,
+          workout.title,
+          duration,
+          exercise.title,
+          setOrders[set.type] ?? ++workingSet,
+          round(set.weight_kg, weightFactor, 2),
+          set.reps ?? "",
+          round(set.distance_meters, distanceFactor, 3),
+          set.duration_seconds ?? "",
+          exercise.notes ?? "",
+          workout.description ?? "",
+          set.rpe ?? "",
+        ]);
+      });
+    });
+  });
+
+  return lines.map((line) => line.map(_escapeCsvValue).join(",")).join("\n");
+}
+
+/**
+ * Formats a duration the way Strong does ("1h 5m", "45m")
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Formatted duration
+ */
+function formatStrongDuration(seconds) {
+  const totalMinutes = Math.max(0, Math.round(seconds / 60));
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  if (hours === 0) {
+    return `${minutes}m`;
+  }
+  return minutes === 0 ? `${hours}h` : `${hours}h ${minutes}m`;
+}
+
+/**
+ * Quotes a CSV value when it contains a delimiter, quote or line break
+ * @param {*} value - Cell value
+ * @returns {string} Escaped value
+ * @private
+ */
+function _escapeCsvValue(value) {
+  const text = String(value ?? "");
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Converts a sheet cell to a number, treating blanks as null
+ * @param {*} value - Cell value
+ * @returns {number|null} Number or null
+ * @private
+ */
+function _toExportNumber(value) {
+  if (value === "" || value == null) {
+    return null;
+  }
+  const number = Number(value);
+  return isNaN(number) ? null : number;
+}
+
+/**
+ * Converts a sheet date cell to an ISO string
+ * @param {*} value - Cell value
+ * @returns {string|null} ISO string or null if blank or invalid
+ * @private
+ */
+function _toExportIsoString(value) {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date.getTime()) ? date.toISOString() : null;
+}
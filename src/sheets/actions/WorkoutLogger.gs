@@ -0,0 +1,425 @@
+/**
+ * Logs completed workouts to Hevy from the Workout Logger sheet.
+ * Mirrors the Routine Builder: sheet rows are grouped into exercises,
+ * weights are converted from the Main sheet unit and the result is
+ * posted to the workouts endpoint.
+ * @module actions/WorkoutLogger
+ */
+
+/**
+ * @typedef {Object} WorkoutSet
+ * @property {string} type - Set type (normal, warmup, failure, dropset)
+ * @property {number} [weight_kg] - Weight in kg
+ * @property {number} [reps] - Reps performed
+ * @property {number} [distance_meters] - Distance in meters
+ * @property {number} [duration_seconds] - Duration in seconds
+ * @property {number} [rpe] - Rate of Perceived Exertion
+ */
+
+/**
+ * @typedef {Object} WorkoutExercise
+ * @property {string} exercise_template_id - Exercise template ID
+ * @property {number|null} superset_id - Superset ID
+ * @property {string|null} notes - Exercise notes
+ * @property {Array<WorkoutSet>} sets - Sets performed
+ */
+
+/**
+ * Creates a workout in Hevy from the Workout Logger sheet.
+ * Creates the sheet on first use instead of submitting.
+ * @returns {Promise<Object|null>} Created workout, or null if nothing was submitted
+ */
+async function createWorkoutFromSheet() {
+  const ss = getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(WORKOUT_LOGGER_SHEET_NAME);
+
+  if (!sheet) {
+    sheet = setupWorkoutLoggerSheet();
+    sheet.activate();
+    ss.toast(
+      "Workout Logger sheet created. Fill in your workout and run this command again.",
+      "Workout Logger",
+      TOAST_DURATION.LONG
+    );
+    return null;
+  }
+
+  const title = String(
+    sheet.getRange(WORKOUT_LOGGER_CELLS.TITLE).getValue()
+  ).trim();
+  if (!title) {
+    SpreadsheetApp.getUi().alert(
+      "Workout title is required",
+      `Please enter a name for your workout in cell ${WORKOUT_LOGGER_CELLS.TITLE} before logging.`,
+      SpreadsheetApp.getUi().ButtonSet.OK
+    );
+    return null;
+  }
+
+  try {
+    const startTime = parseWorkoutTime(
+      sheet.getRange(WORKOUT_LOGGER_CELLS.START_TIME).getValue(),
+      "Start time"
+    );
+    const endTime = parseWorkoutTime(
+      sheet.getRange(WORKOUT_LOGGER_CELLS.END_TIME).getValue(),
+      "End time"
+    );
+    const description = normalizeNotes(
+      sheet.getRange(WORKOUT_LOGGER_CELLS.DESCRIPTION).getValue()
+    );
+
+    const exercises = processWorkoutLoggerRows(readWorkoutLoggerRows(sheet));
+
+    const workoutData = {
+      workout: {
+        title,
+        description,
+        start_time: startTime,
+        end_time: endTime,
+        is_private: false,
+        exercises,
+      },
+    };
+    validateWorkoutData(workoutData.workout);
+
+    const response = await submitWorkout(workoutData);
+
+    clearWorkoutLogger();
+    ss.toast(
+      "Workout logged to Hevy! Run 'Import Workouts' to add it to the Workouts sheet.",
+      "Success",
+      TOAST_DURATION.NORMAL
+    );
+
+    return response?.workout ?? response;
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      SpreadsheetApp.getUi().alert(
+        "Workout not logged",
+        error.message,
+        SpreadsheetApp.getUi().ButtonSet.OK
+      );
+      return null;
+    }
+    throw ErrorHandler.handle(error, {
+      operation: "Creating workout from sheet",
+      sheetName: WORKOUT_LOGGER_SHEET_NAME,
+    });
+  }
+}
+
+/**
+ * Reads the set rows from the Workout Logger sheet
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - Workout Logger sheet
+ * @returns {Array<{rowNumber: number, values: Array}>} Non-empty rows with their sheet row numbers
+ */
+function readWorkoutLoggerRows(sheet) {
+  const startRow = WORKOUT_LOGGER_CELLS.EXERCISE_DATA_START_ROW;
+  const lastRow = sheet.getLastRow();
+  if (lastRow < startRow) {
+    return [];
+  }
+
+  return sheet
+    .getRange(
+      startRow,
+      1,
+      lastRow - startRow + 1,
+      WORKOUT_LOGGER_HEADERS.length
+    )
+    .getValues()
+    .map((values, index) => ({ rowNumber: startRow + index, values }))
+    .filter(({ values }) => values.some((value) => value !== ""));
+}
+
+/**
+ * Groups Workout Logger rows into API exercises.
+ * A row with an exercise name starts a new exercise; rows below it without
+ * a name add further sets to that exercise. All row problems are collected
+ * and reported together.
+ * @param {Array<{rowNumber: number, values: Array}>} rows - Result of readWorkoutLoggerRows
+ * @returns {Array<WorkoutExercise>} Exercises in API format
+ * @throws {ValidationError} If any row is invalid
+ */
+function processWorkoutLoggerRows(rows) {
+  const metadataMap = buildExerciseMetadataMap();
+  const conversionFactor = getWeightConversionFactor();
+  const exercises = [];
+  const errors = [];
+  let currentExercise = null;
+  let currentType = "";
+  let skipSets = false;
+
+  for (const { rowNumber, values } of rows) {
+    const [
+      name,
+      setType,
+      weight,
+      repsOrDistance,
+      duration,
+      rpe,
+      notes,
+      superset,
+    ] = values;
+    const exerciseName = String(name ?? "").trim();
+
+    try {
+      if (exerciseName) {
+        const metadata = findExerciseMetadata(metadataMap, null, exerciseName);
+        if (!metadata?.id || metadata.id === "N/A") {
+          // Sets below an unknown exercise are not reported separately
+          skipSets = true;
+          throw new ValidationError(
+            `"${exerciseName}" is not in your Hevy account. Import or create it first.`
+          );
+        }
+
+        skipSets = false;
+        currentType = metadata.type;
+        currentExercise = {
+          exercise_template_id: metadata.id,
+          superset_id: parseNumber(superset, "superset ID"),
+          notes: normalizeNotes(notes),
+          sets: [],
+        };
+        exercises.push(currentExercise);
+      } else if (skipSets) {
+        continue;
+      } else if (!currentExercise) {
+        throw new ValidationError("Set has no exercise above it");
+      }
+
+      currentExercise.sets.push(
+        createWorkoutSet(
+          { setType, weight, repsOrDistance, duration, rpe },
+          currentType,
+          conversionFactor
+        )
+      );
+    } catch (error) {
+      if (!(error instanceof ValidationError)) {
+        throw error;
+      }
+      errors.push(`Row ${rowNumber}: ${error.message}`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError(`Validation failed:\n${errors.join("\n")}`);
+  }
+
+  return exercises;
+}
+
+/**
+ * Creates a workout set from Workout Logger values
+ * @param {Object} values - Raw cell values
+ * @param {*} values.setType - Set type
+ * @param {*} values.weight - Weight in the Main sheet unit
+ * @param {*} values.repsOrDistance - Reps, or meters for distance exercises
+ * @param {*} values.duration - Duration in seconds
+ * @param {*} values.rpe - RPE
+ * @param {string} templateType - Exercise type from the Exercises sheet
+ * @param {number} conversionFactor - Factor converting the Main sheet unit to kg
+ * @returns {WorkoutSet} Set in API format
+ * @throws {ValidationError} If a value is invalid
+ */
+function createWorkoutSet(values, templateType, conversionFactor) {
+  const type = String(values.setType || "normal")
+    .trim()
+    .toLowerCase();
+  if (!SET_TYPES.includes(type)) {
+    throw new ValidationError(
+      `Invalid set type "${values.setType}". Use one of: ${SET_TYPES.join(
+        ", "
+      )}`
+    );
+  }
+
+  const set = { type };
+
+  const weight = parseAndConvertWeight(values.weight, conversionFactor);
+  if (weight !== null) {
+    set.weight_kg = weight;
+  }
+
+  const repsOrDistance = parseNumber(values.repsOrDistance, "reps");
+  if (repsOrDistance !== null) {
+    if (String(templateType ?? "").includes("distance")) {
+      set.distance_meters = repsOrDistance;
+    } else {
+      set.reps = repsOrDistance;
+    }
+  }
+
+  const duration = parseNumber(values.duration, "duration");
+  if (duration !== null) {
+    set.duration_seconds = duration;
+  }
+
+  const rpe = parseNumber(values.rpe, "RPE");
+  if (rpe !== null) {
+    if (!RPE_VALUES.includes(rpe)) {
+      throw new ValidationError(
+        `Invalid RPE ${rpe}. Use one of: ${RPE_VALUES.join(", ")}`
+      );
+    }
+    set.rpe = rpe;
+  }
+
+  return set;
+}
+
+/**
+ * Parses a start or end time cell into an ISO timestamp
+ * @param {Date|string} value - Cell value
+ * @param {string} label - Field label for error messages
+ * @returns {string} ISO 8601 timestamp
+ * @throws {ValidationError} If the value is empty or not a date
+ */
+function parseWorkoutTime(value, label) {
+  if (value === "" || value == null) {
+    throw new ValidationError(`${label} is required`);
+  }
+
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new ValidationError(`${label} is not a valid date: ${value}`);
+  }
+  return date.toISOString();
+}
+
+/**
+ * Validates the workout payload before submission
+ * @param {Object} workout - Workout payload
+ * @throws {ValidationError} If validation fails with detailed error messages
+ */
+function validateWorkoutData(workout) {
+  const errors = [];
+
+  if (new Date(workout.end_time) <= new Date(workout.start_time)) {
+    errors.push("End time must be after start time");
+  }
+
+  if (new Date(workout.start_time) > new Date()) {
+    errors.push("Start time cannot be in the future");
+  }
+
+  if (!workout.exercises?.length) {
+    errors.push("At least one exercise is required");
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError(`Validation failed:\n${errors.join("\n")}`);
+  }
+}
+
+/**
+ * Submits a workout to the API
+ * @param {Object} workoutData - The workout payload to send
+ * @returns {Promise<Object>} Parsed response from the API
+ */
+async function submitWorkout(workoutData) {
+  return makeRoutineApiRequest(API_ENDPOINTS.WORKOUTS, "post", workoutData, {
+    operation: "Submitting workout to API",
+    workoutTitle: workoutData.workout?.title,
+  });
+}
+
+/**
+ * Creates and lays out the Workout Logger sheet
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} The new sheet
+ */
+function setupWorkoutLoggerSheet() {
+  const ss = getActiveSpreadsheet();
+  const sheet = ss.insertSheet(WORKOUT_LOGGER_SHEET_NAME);
+  const theme = BLUE_THEME;
+  const headerRow = WORKOUT_LOGGER_CELLS.HEADER_ROW;
+  const dataRows =
+    sheet.getMaxRows() - WORKOUT_LOGGER_CELLS.EXERCISE_DATA_START_ROW + 1;
+
+  sheet
+    .getRange("A1")
+    .setValue("Log a completed workout, then run Log Workout to Hevy")
+    .setFontWeight("bold")
+    .setFontColor(theme.fontColor);
+  sheet
+    .getRange("A2:A5")
+    .setValues([["Title"], ["Start Time"], ["End Time"], ["Description"]])
+    .setFontWeight("bold");
+  sheet
+    .getRange(
+      `${WORKOUT_LOGGER_CELLS.START_TIME}:${WORKOUT_LOGGER_CELLS.END_TIME}`
+    )
+    .setNumberFormat("yyyy-mm-dd hh:mm");
+
+  sheet
+    .getRange(headerRow, 1, 1, WORKOUT_LOGGER_HEADERS.length)
+    .setValues([WORKOUT_LOGGER_HEADERS])
+    .setFontWeight("bold")
+    .setBackground(theme.evenRowColor)
+    .setFontColor(theme.fontColor)
+    .setBorder(true, true, true, true, true, true, theme.borderColor, null);
+
+  const setTypeRule = SpreadsheetApp.newDataValidation()
+    .requireValueInList(SET_TYPES, true)
+    .setAllowInvalid(false)
+    .build();
+  const rpeRule = SpreadsheetApp.newDataValidation()
+    .requireValueInList(RPE_VALUES.map(String), true)
+    .setAllowInvalid(false)
+    .build();
+  const dataStart = WORKOUT_LOGGER_CELLS.EXERCISE_DATA_START_ROW;
+  sheet.getRange(dataStart, 2, dataRows, 1).setDataValidation(setTypeRule);
+  sheet.getRange(dataStart, 6, dataRows, 1).setDataValidation(rpeRule);
+
+  const exercisesSheet = ss.getSheetByName(EXERCISES_SHEET_NAME);
+  if (exercisesSheet) {
+    const exerciseRule = SpreadsheetApp.newDataValidation()
+      .requireValueInRange(exercisesSheet.getRange("B2:B"), true)
+      .setAllowInvalid(true)
+      .build();
+    sheet.getRange(dataStart, 1, dataRows, 1).setDataValidation(exerciseRule);
+  }
+
+  sheet.setFrozenRows(headerRow);
+  sheet.setColumnWidth(1, 220);
+  return sheet;
+}
+
+/**
+ * Clears the Workout Logger form while preserving formatting
+ */
+function clearWorkoutLogger() {
+  try {
+    const loggerSheet = getActiveSpreadsheet().getSheetByName(
+      WORKOUT_LOGGER_SHEET_NAME
+    );
+    if (!loggerSheet) return;
+
+    loggerSheet
+      .getRange(
+        `${WORKOUT_LOGGER_CELLS.TITLE}:${WORKOUT_LOGGER_CELLS.DESCRIPTION}`
+      )
+      .clearContent();
+
+    const startRow = WORKOUT_LOGGER_CELLS.EXERCISE_DATA_START_ROW;
+    const lastRow = loggerSheet.getLastRow();
+    if (lastRow >= startRow) {
+      loggerSheet
+        .getRange(
+          startRow,
+          1,
+          lastRow - startRow + 1,
+          WORKOUT_LOGGER_HEADERS.length
+        )
+        .clearContent();
+    }
+  } catch (error) {
+    throw ErrorHandler.handle(error, {
+      operation: "Clearing workout logger",
+      sheetName: WORKOUT_LOGGER_SHEET_NAME,
+    });
+  }
+}
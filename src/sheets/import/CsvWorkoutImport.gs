@@ -0,0 +1,604 @@
+/**
+ * Functions for importing historical workouts from other trackers' CSV exports.
+ * Strong and FitNotes exports are parsed into Hevy-shaped workouts, exercise
+ * names are matched against the Exercises sheet, and the result is either
+ * written to the Workouts sheet or posted to Hevy.
+ * @module CsvWorkoutImport
+ */
+
+/**
+ * Supported CSV export formats
+ * @type {Object<string>}
+ */
+const CSV_IMPORT_SOURCES = {
+  STRONG: "strong",
+  FITNOTES: "fitnotes",
+};
+
+/**
+ * Where imported workouts are sent
+ * @type {Object<string>}
+ */
+const CSV_IMPORT_TARGETS = {
+  SHEET: "sheet",
+  API: "api",
+};
+
+/**
+ * Workout length assumed when an export has no duration (1 hour)
+ * @type {number}
+ * @private
+ */
+const CSV_DEFAULT_DURATION_SECONDS = 60 * 60;
+
+/**
+ * Distance unit conversion factors to meters
+ * @type {Object<number>}
+ * @private
+ */
+const CSV_DISTANCE_TO_METERS = {
+  m: 1,
+  km: 1000,
+  mi: 1609.344,
+  ft: 0.3048,
+  yd: 0.9144,
+};
+
+/**
+ * @typedef {Object} CsvWorkout
+ * @property {string} key - Stable identifier derived from source and start time
+ * @property {string} title - Workout title
+ * @property {Date} startTime - Workout start
+ * @property {Date} endTime - Workout end
+ * @property {string} description - Workout notes
+ * @property {Array<{name: string, notes: string, sets: Array<Object>}>} exercises - Exercises as named in the export
+ */
+
+/**
+ * Parses and previews a CSV export for the import dialog
+ * @param {string} content - CSV file content
+ * @param {string} source - One of CSV_IMPORT_SOURCES
+ * @param {string} weightUnit - Weight unit of the export (kg or lbs)
+ * @returns {Object} Preview with counts, unmatched names and exercise options
+ */
+function previewCsvWorkoutImport(content, source, weightUnit) {
+  try {
+    const workouts = parseWorkoutCsv(content, source, weightUnit);
+    const metadataMap = buildExerciseMetadataMap();
+    const matches = matchCsvExercises(workouts, metadataMap);
+    const names = Array.from(matches.keys());
+
+    return {
+      workoutCount: workouts.length,
+      setCount: workouts.reduce(
+        (total, workout) =>
+          total +
+          workout.exercises.reduce((sum, ex) => sum + ex.sets.length, 0),
+        0
+      ),
+      firstDate: workouts[0]?.startTime.toISOString() ?? null,
+      lastDate: workouts[workouts.length - 1]?.startTime.toISOString() ?? null,
+      matchedCount: names.filter((name) => matches.get(name)).length,
+      unmatched: names.filter((name) => !matches.get(name)).sort(),
+      exercises: Array.from(metadataMap.byId.values())
+        .map(({ id, title }) => ({ id, title }))
+        .sort((a, b) => a.title.localeCompare(b.title)),
+    };
+  } catch (error) {
+    throw ErrorHandler.handle(error, {
+      operation: "Previewing CSV workout import",
+      source,
+    });
+  }
+}
+
+/**
+ * Imports workouts from a CSV export
+ * Exercises that are neither matched nor manually mapped are skipped.
+ * @param {string} content - CSV file content
+ * @param {string} source - One of CSV_IMPORT_SOURCES
+ * @param {string} weightUnit - Weight unit of the export (kg or lbs)
+ * @param {Object<string, string>} mappings - Export exercise name to template ID
+ * @param {string} target - One of CSV_IMPORT_TARGETS
+ * @returns {Promise<Object>} Import summary
+ */
+async function importCsvWorkouts(
+  content,
+  source,
+  weightUnit,
+  mappings,
+  target
+) {
+  try {
+    const workouts = parseWorkoutCsv(content, source, weightUnit);
+    const matches = matchCsvExercises(
+      workouts,
+      buildExerciseMetadataMap(),
+      mappings ?? {}
+    );
+    const hevyWorkouts = workouts
+      .map((workout) => toHevyWorkout(workout, matches))
+      .filter((workout) => workout.exercises.length > 0);
+    const skippedExercises = Array.from(matches.keys()).filter(
+      (name) => !matches.get(name)
+    );
+
+    const result =
+      target === CSV_IMPORT_TARGETS.API
+        ? await _postCsvWorkouts(hevyWorkouts)
+        : await _writeCsvWorkoutsToSheet(hevyWorkouts);
+
+    return { ...result, skippedExercises };
+  } catch (error) {
+    throw ErrorHandler.handle(error, {
+      operation: "Importing workouts from CSV",
+      source,
+      target,
+    });
+  }
+}
+
+/**
+ * Parses a Strong or FitNotes CSV export into workouts, oldest first
+ * @param {string} content - CSV file content
+ * @param {string} source - One of CSV_IMPORT_SOURCES
+ * @param {string} weightUnit - Weight unit used when the export does not state one
+ * @returns {Array<CsvWorkout>} Parsed workouts
+ * @throws {ValidationError} If the file is empty or not in the expected format
+ */
+function parseWorkoutCsv(content, source, weightUnit) {
+  const text = String(content ?? "").replace(/^\uFEFF/, "");
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter =
+    firstLine.includes(";") && !firstLine.includes(",") ? ";" : ",";
+  const rows = Utilities.parseCsv(text, delimiter).filter((row) =>
+    row.some((value) => String(value).trim() !== "")
+  );
+
+  if (rows.length < 2) {
+    throw new ValidationError("The CSV file has no workout rows.");
+  }
+
+  const headers = rows.shift().map((header) => String(header).trim());
+  const workouts =
+    source === CSV_IMPORT_SOURCES.FITNOTES
+      ? _parseFitNotesRows(headers, rows, weightUnit)
+      : _parseStrongRows(headers, rows, weightUnit);
+
+  return workouts.sort((a, b) => a.startTime - b.startTime);
+}
+
+/**
+ * Parses Strong export rows
+ * Columns: Date, Workout Name, Duration, Exercise Name, Set Order, Weight,
+ * Reps, Distance, Seconds, Notes, Workout Notes, RPE
+ * @param {Array<string>} headers - Header row
+ * @param {Array<Array<string>>} rows - Data rows
+ * @param {string} weightUnit - Weight unit of the export (kg or lbs)
+ * @returns {Array<CsvWorkout>} Parsed workouts
+ * @private
+ */
+function _parseStrongRows(headers, rows, weightUnit) {
+  const column = _getCsvColumnReader(
+    headers,
+    ["Date", "Workout Name", "Exercise Name"],
+    "Strong"
+  );
+  const isImperial = weightUnit === "lbs";
+  const weightFactor = isImperial ? WEIGHT_CONVERSION.LBS_TO_KG : 1;
+  const distanceFactor = isImperial
+    ? CSV_DISTANCE_TO_METERS.mi
+    : CSV_DISTANCE_TO_METERS.km;
+  const setTypes = { W: "warmup", D: "dropset", F: "failure" };
+  const workouts = new Map();
+
+  rows.forEach((row) => {
+    const exerciseName = column(row, "Exercise Name");
+    const setOrder = column(row, "Set Order");
+    if (!exerciseName || /rest timer/i.test(setOrder)) {
+      return;
+    }
+
+    const startTime = _parseCsvDate(column(row, "Date"));
+    const key = `${CSV_WORKOUT_ID_PREFIXES.STRONG}${startTime.toISOString()}`;
+    if (!workouts.has(key)) {
+      const duration =
+        parseCsvDuration(column(row, "Duration")) ||
+        CSV_DEFAULT_DURATION_SECONDS;
+      workouts.set(key, {
+        key,
+        title: column(row, "Workout Name") || "Strong Workout",
+        startTime,
+        endTime: new Date(startTime.getTime() + duration * 1000),
+        description: column(row, "Workout Notes"),
+        exercises: [],
+      });
+    }
+
+    _addCsvSet(workouts.get(key), exerciseName, column(row, "Notes"), {
+      type: setTypes[setOrder.toUpperCase()] ?? "normal",
+      weight_kg: _scaleCsvNumber(column(row, "Weight"), weightFactor),
+      reps: _scaleCsvNumber(column(row, "Reps"), 1),
+      distance_meters: _scaleCsvNumber(column(row, "Distance"), distanceFactor),
+      duration_seconds: _scaleCsvNumber(column(row, "Seconds"), 1),
+      rpe: _scaleCsvNumber(column(row, "RPE"), 1),
+    });
+  });
+
+  return Array.from(workouts.values());
+}
+
+/**
+ * Parses FitNotes export rows, one workout per day
+ * Columns: Date, Exercise, Category, Weight (kg|lbs), Reps, Distance,
+ * Distance Unit, Time, Comment
+ * @param {Array<string>} headers - Header row
+ * @param {Array<Array<string>>} rows - Data rows
+ * @param {string} weightUnit - Weight unit used when the header does not state one
+ * @returns {Array<CsvWorkout>} Parsed workouts
+ * @private
+ */
+function _parseFitNotesRows(headers, rows, weightUnit) {
+  const weightHeader =
+    headers.find((header) => /^weight/i.test(header)) ?? "Weight";
+  const column = _getCsvColumnReader(
+    headers,
+    ["Date", "Exercise", weightHeader],
+    "FitNotes"
+  );
+  const isImperial = /lbs/i.test(weightHeader) || weightUnit === "lbs";
+  const weightFactor = isImperial ? WEIGHT_CONVERSION.LBS_TO_KG : 1;
+  const workouts = new Map();
+  const categories = new Map();
+
+  rows.forEach((row) => {
+    const exerciseName = column(row, "Exercise");
+    if (!exerciseName) {
+      return;
+    }
+
+    // FitNotes only records the day; use noon so time zones keep the date
+    const day = _parseCsvDate(column(row, "Date"));
+    const startTime = new Date(
+      day.getFullYear(),
+      day.getMonth(),
+      day.getDate(),
+      12
+    );
+    const key = `${CSV_WORKOUT_ID_PREFIXES.FITNOTES}${startTime.toISOString()}`;
+    if (!workouts.has(key)) {
+      workouts.set(key, {
+        key,
+        title: "",
+        startTime,
+        endTime: new Date(
+          startTime.getTime() + CSV_DEFAULT_DURATION_SECONDS * 1000
+        ),
+        description: "",
+        exercises: [],
+      });
+      categories.set(key, new Set());
+    }
+
+    const category = column(row, "Category");
+    if (category) {
+      categories.get(key).add(category);
+    }
+
+    const distanceUnit = column(row, "Distance Unit").toLowerCase();
+    _addCsvSet(workouts.get(key), exerciseName, column(row, "Comment"), {
+      type: "normal",
+      weight_kg: _scaleCsvNumber(column(row, weightHeader), weightFactor),
+      reps: _scaleCsvNumber(column(row, "Reps"), 1),
+      distance_meters: _scaleCsvNumber(
+        column(row, "Distance"),
+        CSV_DISTANCE_TO_METERS[distanceUnit] ?? 1
+      ),
+      duration_seconds: parseCsvDuration(column(row, "Time")) || null,
+      rpe: null,
+    });
+  });
+
+  workouts.forEach((workout, key) => {
+    workout.title =
+      Array.from(categories.get(key)).join(" & ") || "FitNotes Workout";
+  });
+
+  return Array.from(workouts.values());
+}
+
+/**
+ * Creates a reader for named CSV columns, checking required headers first
+ * @param {Array<string>} headers - Header row
+ * @param {Array<string>} required - Headers that must be present
+ * @param {string} sourceLabel - Export name for error messages
+ * @returns {function(Array<string>, string): string} Reads a trimmed cell by header name
+ * @throws {ValidationError} If a required header is missing
+ * @private
+ */
+function _getCsvColumnReader(headers, required, sourceLabel) {
+  const missing = required.filter((header) => !headers.includes(header));
+  if (missing.length > 0) {
+    throw new ValidationError(
+      `This does not look like a ${sourceLabel} export. Missing columns: ${missing.join(
+        ", "
+      )}`
+    );
+  }
+
+  return (row, header) => {
+    const index = headers.indexOf(header);
+    return index >= 0 ? String(row[index] ?? "").trim() : "";
+  };
+}
+
+/**
+ * Adds a set to a workout, starting a new exercise when the name changes
+ * @param {CsvWorkout} workout - Workout being built
+ * @param {string} exerciseName - Exercise name from the export
+ * @param {string} notes - Set notes, collected into the exercise notes
+ * @param {Object} set - Set in API format (null fields are dropped)
+ * @private
+ */
+function _addCsvSet(workout, exerciseName, notes, set) {
+  let exercise = workout.exercises[workout.exercises.length - 1];
+  if (!exercise || exercise.name !== exerciseName) {
+    exercise = { name: exerciseName, notes: "", sets: [] };
+    workout.exercises.push(exercise);
+  }
+
+  if (notes && !exercise.notes.split("\n").includes(notes)) {
+    exercise.notes = exercise.notes ? `${exercise.notes}\n${notes}` : notes;
+  }
+
+  exercise.sets.push(
+    Object.fromEntries(
+      Object.entries(set).filter(([, value]) => value !== null)
+    )
+  );
+}
+
+/**
+ * Parses a number from a CSV cell and multiplies it by a factor
+ * @param {string} value - Cell value
+ * @param {number} factor - Conversion factor
+ * @returns {number|null} Scaled value rounded to 2 decimals, or null if empty or zero
+ * @private
+ */
+function _scaleCsvNumber(value, factor) {
+  const number = parseFloat(String(value).replace(",", "."));
+  if (!isFinite(number) || number === 0) {
+    return null;
+  }
+  return Math.round(number * factor * 100) / 100;
+}
+
+/**
+ * Parses a CSV date cell
+ * @param {string} value - Date such as "2021-03-15 18:04:21" or "2021-03-15"
+ * @returns {Date} Parsed date (local time)
+ * @throws {ValidationError} If the value is not a date
+ * @private
+ */
+function _parseCsvDate(value) {
+  const match = String(value).match(
+    /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?/
+  );
+  const date = match
+    ? new Date(
+        Number(match[1]),
+        Number(match[2]) - 1,
+        Number(match[3]),
+        Number(match[4] ?? 0),
+        Number(match[5] ?? 0),
+        Number(match[6] ?? 0)
+      )
+    : new Date(value);
+
+  if (isNaN(date.getTime())) {
+    throw new ValidationError(`Invalid date in CSV: ${value}`);
+  }
+  return date;
+}
+
+/**
+ * Parses a duration cell into seconds
+ * Accepts Strong's "1h 5m 30s" style and clock style "1:05:30" or "05:30"
+ * @param {string} value - Duration cell
+ * @returns {number} Duration in seconds, or 0 if empty or unparseable
+ */
+function parseCsvDuration(value) {
+  const text = String(value ?? "").trim();
+  if (!text) {
+    return 0;
+  }
+
+  if (/^\d+(:\d{1,2}){1,2}$/.test(text)) {
+    return text
+      .split(":")
+      .map(Number)
+      .reduce((total, part) => total * 60 + part, 0);
+  }
+
+  const units = { h: 3600, m: 60, s: 1 };
+  let seconds = 0;
+  const pattern = /(\d+(?:\.\d+)?)\s*([hms])/gi;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    seconds += Number(match[1]) * units[match[2].toLowerCase()];
+  }
+  return Math.round(seconds);
+}
+
+/**
+ * Matches export exercise names to Hevy exercise templates
+ * Manual mappings take precedence over title matching, which uses the
+ * Exercises sheet titles and their English translations.
+ * @param {Array<CsvWorkout>} workouts - Parsed workouts
+ * @param {{byId: Map, byTitle: Map}} metadataMap - Result of buildExerciseMetadataMap
+ * @param {Object<string, string>} [mappings={}] - Export name to template ID
+ * @returns {Map<string, Object|null>} Export name to exercise metadata, or null if unmatched
+ */
+function matchCsvExercises(workouts, metadataMap, mappings = {}) {
+  const matches = new Map();
+
+  workouts.forEach((workout) =>
+    workout.exercises.forEach(({ name }) => {
+      if (matches.has(name)) {
+        return;
+      }
+
+      const metadata = findExerciseMetadata(metadataMap, mappings[name], name);
+      matches.set(
+        name,
+        metadata?.id && metadata.id !== "N/A" ? metadata : null
+      );
+    })
+  );
+
+  return matches;
+}
+
+/**
+ * Converts a parsed workout into the Hevy workout shape used by
+ * processWorkoutsData and the workouts endpoint
+ * @param {CsvWorkout} workout - Parsed workout
+ * @param {Map<string, Object|null>} matches - Result of matchCsvExercises
+ * @returns {Object} Hevy-shaped workout; unmatched exercises are dropped
+ */
+function toHevyWorkout(workout, matches) {
+  return {
+    id: workout.key,
+    title: workout.title,
+    description: workout.description,
+    start_time: workout.startTime.toISOString(),
+    end_time: workout.endTime.toISOString(),
+    exercises: workout.exercises
+      .filter(({ name }) => matches.get(name))
+      .map((exercise) => {
+        const metadata = matches.get(exercise.name);
+        return {
+          title: metadata.title,
+          exercise_template_id: metadata.id,
+          notes: exercise.notes,
+          superset_id: null,
+          sets: exercise.sets.map((set, index) => ({ ...set, index })),
+        };
+      }),
+  };
+}
+
+/**
+ * Writes imported workouts to the Workouts sheet, skipping ones already there
+ * and keeping the sheet sorted newest first. Their IDs carry a
+ * CSV_WORKOUT_ID_PREFIXES prefix, which later syncs keep. Holds the import
+ * lock, so it cannot overlap a sync.
+ * @param {Array<Object>} workouts - Hevy-shaped workouts
+ * @returns {Promise<{imported: number, duplicates: number}>} Counts
+ * @throws {ValidationError} If another import is running
+ * @private
+ */
+async function _writeCsvWorkoutsToSheet(workouts) {
+  return ImportProgressTracker.runExclusive(async (checkTimeout) => {
+    const manager = SheetManager.getOrCreate(WORKOUTS_SHEET_NAME);
+    const sheet = manager.sheet;
+    migrateWorkoutSheetColumns(sheet);
+
+    const existingIds = _buildWorkoutIdRowMap(sheet);
+    const newWorkouts = workouts.filter(
+      (workout) => !existingIds.has(workout.id)
+    );
+    const rows = processWorkoutsData(newWorkouts);
+
+    if (rows.length > 0) {
+      const startRow = Math.max(sheet.getLastRow(), 1) + 1;
+      sheet.getRange(startRow, 1, rows.length, rows[0].length).setValues(rows);
+
+      sortWorkoutRowsByStartTime(sheet);
+      await _refreshWorkoutSummaries(manager, checkTimeout, {
+        rebuildPersonalRecords: true,
+      });
+    }
+
+    return {
+      imported: newWorkouts.length,
+      duplicates: workouts.length - newWorkouts.length,
+    };
+  });
+}
+
+/**
+ * Posts imported workouts to Hevy, skipping ones whose start time already
+ * appears in the Workouts sheet. Stops before the execution time limit.
+ * @param {Array<Object>} workouts - Hevy-shaped workouts
+ * @returns {Promise<Object>} Counts of posted, duplicate, failed and remaining workouts
+ * @private
+ */
+async function _postCsvWorkouts(workouts) {
+  const startTime = Date.now();
+  const existingStarts = _getExistingWorkoutStartMinutes();
+  const toMinute = (isoString) => isoString.slice(0, 16);
+  const pending = workouts.filter(
+    (workout) => !existingStarts.has(toMinute(workout.start_time))
+  );
+  const failures = [];
+  let posted = 0;
+
+  for (const workout of pending) {
+    if (Date.now() - startTime > IMPORT_CONFIG.MAX_EXECUTION_TIME_MS) {
+      break;
+    }
+
+    try {
+      await submitWorkout({
+        workout: {
+          title: workout.title,
+          description: workout.description || null,
+          start_time: workout.start_time,
+          end_time: workout.end_time,
+          is_private: false,
+          exercises: workout.exercises.map((exercise) => ({
+            exercise_template_id: exercise.exercise_template_id,
+            superset_id: null,
+            notes: exercise.notes || null,
+            sets: exercise.sets.map(({ index, ...set }) => set),
+          })),
+        },
+      });
+      posted++;
+    } catch (error) {
+      failures.push(`${workout.start_time.slice(0, 10)}: ${error.message}`);
+    }
+  }
+
+  return {
+    imported: posted,
+    duplicates: workouts.length - pending.length,
+    failed: failures,
+    remaining: pending.length - posted - failures.length,
+  };
+}
+
+/**
+ * Collects start times already in the Workouts sheet, truncated to the minute
+ * @returns {Set<string>} ISO start times ("YYYY-MM-DDTHH:MM")
+ * @private
+ */
+function _getExistingWorkoutStartMinutes() {
+  const sheet = getActiveSpreadsheet().getSheetByName(WORKOUTS_SHEET_NAME);
+  const starts = new Set();
+  if (!sheet || sheet.getLastRow() <= 1) {
+    return starts;
+  }
+
+  const data = sheet.getDataRange().getValues();
+  const indices = getWorkoutColumnIndices(data.shift());
+  data.forEach((row) => {
+    const value = row[indices.startTime];
+    const date = value ? new Date(value) : null;
+    if (date && !isNaN(date.getTime())) {
+      starts.add(date.toISOString().slice(0, 16));
+    }
+  });
+  return starts;
+}
@@ -15,16 +15,28 @@
 
 /**
  * Imports all exercises from Hevy API and populates the 'Exercises' sheet.
- * Only adds new exercises while preserving existing ones.
  * New exercises are added at the end of the sheet and all exercises are sorted by count.
+ * Existing exercises whose title, type or muscle groups changed in Hevy are
+ * updated in place.
  * Exercise counts are always recalculated even if no new exercises are imported.
  *
  * NOTE: This function preserves existing IMG column values for all exercises.
  * New exercises will have empty IMG values, but existing exercises keep their images.
  *
  * @param {Function} [checkTimeout] - Optional function that returns true if timeout is approaching
+ * @param {Object} [options] - Import options
+ * @param {boolean} [options.preview=false] - Return the changes without writing to the sheet
+ * @returns {Promise<void|ImportPreview>} The would-be changes in preview mode
  */
-async function importAllExercises(checkTimeout = null) {
+async function importAllExercises(
+  checkTimeout = null,
+  { preview = false } = {}
+) {
+  if (preview) {
+    return _previewExerciseImport(checkTimeout);
+  }
+
+  const logRun = ImportLog.start(IMPORT_LOG_SOURCES.MANUAL, "Import Exercises");
   try {
     const manager = SheetManager.getOrCreate(EXERCISES_SHEET_NAME);
     const sheet = manager.sheet;
@@ -64,17 +76,27 @@ async function importAllExercises(checkTimeout = null) {
       syncCustomExerciseIds(sheet, allApiExercises);
     }
 
+    const metadataChanges = updateChangedExercises(sheet, allApiExercises);
+
     if (processedExercises.length > 0) {
       await insertNewExercises(sheet, processedExercises);
     }
 
+    ImportLog.recordChanges(IMPORT_LOG_ENTITIES.EXERCISES, {
+      added: processedExercises.length,
+      updated: metadataChanges.updated,
+    });
+
     const updateMessage =
-      processedExercises.length > 0
+      (processedExercises.length > 0
         ? `Imported ${processedExercises.length} new exercises. `
-        : "No new exercises found. ";
+        : "No new exercises found. ") +
+      formatExerciseChangeSummary(metadataChanges);
 
     await handlePostProcessing(sheet, checkTimeout, updateMessage);
+    await ImportLog.finish(logRun);
   } catch (error) {
+    await ImportLog.finish(logRun, error);
     throw ErrorHandler.handle(error, {
       operation: "Importing exercises",
       sheetName: EXERCISES_SHEET_NAME,
@@ -82,6 +104,77 @@ async function importAllExercises(checkTimeout = null) {
   }
 }
 
+/**
+ * Fetches every exercise and compares it with the sheet without writing.
+ * The import never removes exercises, so nothing is reported as deleted.
+ * @param {Function} [checkTimeout] - Optional function that returns true if timeout is approaching
+ * @returns {Promise<ImportPreview>} Exercise changes
+ * @private
+ */
+async function _previewExerciseImport(checkTimeout = null) {
+  try {
+    const sheet = getActiveSpreadsheet().getSheetByName(EXERCISES_SHEET_NAME);
+    const apiExercises = [];
+    await getApiClient().fetchPaginatedData(
+      API_ENDPOINTS.EXERCISES,
+      PAGE_SIZE.EXERCISES,
+      async (exercises) => {
+        apiExercises.push(...exercises);
+      },
+      "exercise_templates",
+      {},
+      checkTimeout
+    );
+
+    const preview = {
+      entity: IMPORT_LOG_ENTITIES.EXERCISES,
+      added: [],
+      updated: [],
+      deleted: [],
+    };
+    const hasRows = sheet && sheet.getLastRow() > 1;
+    const existingData = hasRows
+      ? getExistingExercises(sheet)
+      : { byId: new Map(), byTitle: new Map() };
+    preview.added = apiExercises
+      .filter((exercise) => !shouldSkipExercise(exercise, existingData))
+      .map((exercise) => ({ id: String(exercise.id), title: exercise.title }));
+
+    if (hasRows) {
+      const data = sheet.getDataRange().getValues();
+      const headers = data.shift();
+      validateExerciseSheetHeaders(headers, [
+        "ID",
+        "Title",
+        "Type",
+        "Primary Muscle Group",
+        "Secondary Muscle Groups",
+      ]);
+
+      const fieldLabels = {
+        title: "renamed",
+        type: "type",
+        muscles: "muscle groups",
+      };
+      const idIndex = headers.indexOf("ID");
+      preview.updated = findChangedExercises(data, headers, apiExercises).map(
+        ({ rowIndex, fields, values }) => ({
+          id: String(data[rowIndex][idIndex]),
+          title: values.title,
+          detail: fields.map((field) => fieldLabels[field]).join(", "),
+        })
+      );
+    }
+
+    return preview;
+  } catch (error) {
+    throw ErrorHandler.handle(error, {
+      operation: "Previewing exercises",
+      sheetName: EXERCISES_SHEET_NAME,
+    });
+  }
+}
+
 /**
  * Handles post-processing operations with timeout error handling
  * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The exercise sheet
@@ -156,6 +249,140 @@ function syncCustomExerciseIds(sheet, apiExercises) {
   sheet.getRange(2, idCol, newIds.length, 1).setValues(newIds);
 }
 
+/**
+ * Updates exercises whose Hevy metadata changed, in place.
+ * Only the Title, Type and muscle group cells of changed rows are written,
+ * so IMG, Count and Rank keep their values.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The Exercises sheet
+ * @param {Array<ExerciseTemplate>} apiExercises - All exercises from the API
+ * @returns {{updated: number, renamed: number, retyped: number, muscles: number}} Change counts
+ * @private
+ */
+function updateChangedExercises(sheet, apiExercises) {
+  const summary = { updated: 0, renamed: 0, retyped: 0, muscles: 0 };
+  if (sheet.getLastRow() <= 1) {
+    return summary;
+  }
+
+  const data = sheet.getDataRange().getValues();
+  const headers = data.shift();
+  validateExerciseSheetHeaders(headers, [
+    "ID",
+    "Title",
+    "Type",
+    "Primary Muscle Group",
+    "Secondary Muscle Groups",
+  ]);
+
+  const changes = findChangedExercises(data, headers, apiExercises);
+  const columns = {
+    title: headers.indexOf("Title") + 1,
+    type: headers.indexOf("Type") + 1,
+    primary: headers.indexOf("Primary Muscle Group") + 1,
+    secondary: headers.indexOf("Secondary Muscle Groups") + 1,
+  };
+
+  changes.forEach(({ rowIndex, values, fields }) => {
+    const rowNumber = rowIndex + 2;
+    if (fields.includes("title")) {
+      sheet.getRange(rowNumber, columns.title).setValue(values.title);
+      summary.renamed++;
+    }
+    if (fields.includes("type")) {
+      sheet.getRange(rowNumber, columns.type).setValue(values.type);
+      summary.retyped++;
+    }
+    if (fields.includes("muscles")) {
+      sheet.getRange(rowNumber, columns.primary).setValue(values.primary);
+      sheet.getRange(rowNumber, columns.secondary).setValue(values.secondary);
+      summary.muscles++;
+    }
+  });
+
+  summary.updated = changes.length;
+  return summary;
+}
+
+/**
+ * Compares Exercises sheet rows with API templates matched by ID
+ * A title is only treated as renamed when the sheet title is not simply a
+ * localized name of the API title, so localized names are not reverted.
+ * @param {Array<Array>} data - Exercises sheet rows (without header)
+ * @param {Array<string>} headers - Exercises sheet header row
+ * @param {Array<ExerciseTemplate>} apiExercises - All exercises from the API
+ * @returns {Array<{rowIndex: number, fields: Array<string>, values: Object}>} Changed rows with their new sheet values
+ */
+function findChangedExercises(data, headers, apiExercises) {
+  const apiById = new Map(
+    apiExercises.map((exercise) => [String(exercise.id), exercise])
+  );
+  const indices = {
+    id: headers.indexOf("ID"),
+    title: headers.indexOf("Title"),
+    type: headers.indexOf("Type"),
+    primary: headers.indexOf("Primary Muscle Group"),
+    secondary: headers.indexOf("Secondary Muscle Groups"),
+  };
+
+  return data.flatMap((row, rowIndex) => {
+    const exercise = apiById.get(String(row[indices.id] ?? "").trim());
+    if (!exercise) {
+      return [];
+    }
+
+    const current = {
+      title: String(row[indices.title] ?? "").trim(),
+      type: String(row[indices.type] ?? "").trim(),
+      primary: String(row[indices.primary] ?? "").trim(),
+      secondary: String(row[indices.secondary] ?? "").trim(),
+    };
+    const values = {
+      title: exercise.title,
+      type: exercise.type || "",
+      primary: toTitleCaseFromSnake(exercise.primary_muscle_group),
+      secondary: arrayToTitleCase(exercise.secondary_muscle_groups),
+    };
+
+    const fields = [];
+    if (
+      current.title !== values.title &&
+      getEnglishName(current.title) !== values.title
+    ) {
+      fields.push("title");
+    }
+    if (current.type !== values.type) {
+      fields.push("type");
+    }
+    if (
+      current.primary !== values.primary ||
+      current.secondary !== values.secondary
+    ) {
+      fields.push("muscles");
+    }
+
+    return fields.length > 0 ? [{ rowIndex, fields, values }] : [];
+  });
+}
+
+/**
+ * Formats exercise metadata changes for the import toast
+ * @param {{updated: number, renamed: number, retyped: number, muscles: number}} summary - Result of updateChangedExercises
+ * @returns {string} Summary sentence with trailing space, or empty if nothing changed
+ * @private
+ */
+function formatExerciseChangeSummary(summary) {
+  if (!summary.updated) {
+    return "";
+  }
+
+  const details = [
+    summary.renamed && `${summary.renamed} renamed`,
+    summary.retyped && `${summary.retyped} type`,
+    summary.muscles && `${summary.muscles} muscle groups`,
+  ].filter(Boolean);
+  return `Updated ${summary.updated} exercises (${details.join(", ")}). `;
+}
+
 /**
  * Gets existing exercises from the sheet along with their details
  * @private
@@ -224,6 +451,85 @@ function getExistingExercises(sheet) {
   }
 }
 
+/**
+ * Builds lookup maps of exercise metadata from the Exercises sheet
+ * Muscle groups are returned as stored in the sheet (Title Case)
+ * @returns {{byId: Map<string, Object>, byTitle: Map<string, Object>}} Metadata keyed by ID and lowercase title
+ */
+function buildExerciseMetadataMap() {
+  const byId = new Map();
+  const byTitle = new Map();
+  const sheet = getActiveSpreadsheet().getSheetByName(EXERCISES_SHEET_NAME);
+
+  if (!sheet || sheet.getLastRow() <= 1) {
+    return { byId, byTitle };
+  }
+
+  const data = sheet.getDataRange().getValues();
+  const headers = data.shift();
+  const indices = {
+    id: headers.indexOf("ID"),
+    title: headers.indexOf("Title"),
+    type: headers.indexOf("Type"),
+    primary: headers.indexOf("Primary Muscle Group"),
+    secondary: headers.indexOf("Secondary Muscle Groups"),
+  };
+
+  data.forEach((row) => {
+    const id = String(row[indices.id] || "").trim();
+    const title = String(row[indices.title] || "").trim();
+    const metadata = {
+      id,
+      title,
+      type: indices.type >= 0 ? String(row[indices.type] || "").trim() : "",
+      primaryMuscleGroup:
+        indices.primary >= 0 ? String(row[indices.primary] || "").trim() : "",
+      secondaryMuscleGroups:
+        indices.secondary >= 0
+          ? String(row[indices.secondary] || "")
+              .split(",")
+              .map((muscle) => muscle.trim())
+              .filter(Boolean)
+          : [],
+    };
+
+    if (id && id !== "N/A") {
+      byId.set(id, metadata);
+    }
+    if (title) {
+      byTitle.set(title.toLowerCase(), metadata);
+    }
+  });
+
+  return { byId, byTitle };
+}
+
+/**
+ * Finds exercise metadata for a workout row by template ID, then title,
+ * then English title for localized exercise names
+ * @param {{byId: Map, byTitle: Map}} metadataMap - Result of buildExerciseMetadataMap
+ * @param {string} templateId - Exercise template ID
+ * @param {string} title - Exercise title as logged
+ * @returns {Object|null} Exercise metadata or null if not found
+ */
+function findExerciseMetadata(metadataMap, templateId, title) {
+  const id = String(templateId || "").trim();
+  if (id && metadataMap.byId.has(id)) {
+    return metadataMap.byId.get(id);
+  }
+
+  const name = String(title || "").trim();
+  if (!name) {
+    return null;
+  }
+
+  return (
+    metadataMap.byTitle.get(name.toLowerCase()) ??
+    metadataMap.byTitle.get(getEnglishName(name).toLowerCase()) ??
+    null
+  );
+}
+
 /**
  * Processes exercise data into a format suitable for the sheet
  * Preserves existing IMG values for exercises that already exist in the sheet
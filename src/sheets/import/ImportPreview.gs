@@ -0,0 +1,189 @@
+/**
+ * @typedef {Object} ImportPreviewItem
+ * @property {string} id - Hevy ID
+ * @property {string} title - Name shown in the preview
+ * @property {string} [date] - Workout start time (ISO 8601)
+ * @property {string} [detail] - What changed, when known
+ */
+
+/**
+ * @typedef {Object} ImportPreview
+ * @property {string} entity - One of IMPORT_LOG_ENTITIES
+ * @property {Array<ImportPreviewItem>} added - Rows the import would add
+ * @property {Array<ImportPreviewItem>} updated - Rows the import would rewrite
+ * @property {Array<ImportPreviewItem>} deleted - Rows the import would remove
+ * @property {string} [since] - Last sync a delta preview starts from (ISO 8601)
+ * @property {string} [note] - Extra context shown above the changes
+ */
+
+/**
+ * Dry-run previews of the individual imports.
+ * A preview fetches from the API and lists the would-be changes in a dialog,
+ * where they can be applied by running the import or discarded.
+ * @module ImportPreview
+ */
+
+/**
+ * Imports that can be previewed, keyed by the type used by the dialog
+ * @type {Object<string, {title: string, run: Function}>}
+ * @private
+ */
+const IMPORT_PREVIEW_HANDLERS = {
+  workouts: {
+    title: "Workouts",
+    run: (checkTimeout, options) => importAllWorkouts(checkTimeout, options),
+  },
+  exercises: {
+    title: "Exercises",
+    run: (checkTimeout, options) => importAllExercises(checkTimeout, options),
+  },
+  routines: {
+    title: "Routines",
+    run: (checkTimeout, options) => importAllRoutines(checkTimeout, options),
+  },
+  routineFolders: {
+    title: "Routine Folders",
+    run: (checkTimeout, options) =>
+      importAllRoutineFolders(checkTimeout, options),
+  },
+};
+
+/**
+ * Wrapper function for menu item to preview a workout import
+ */
+function previewWorkoutsImport() {
+  showImportPreviewDialog("workouts");
+}
+
+/**
+ * Wrapper function for menu item to preview an exercise import
+ */
+function previewExercisesImport() {
+  showImportPreviewDialog("exercises");
+}
+
+/**
+ * Wrapper function for menu item to preview a routine import
+ */
+function previewRoutinesImport() {
+  showImportPreviewDialog("routines");
+}
+
+/**
+ * Wrapper function for menu item to preview a routine folder import
+ */
+function previewRoutineFoldersImport() {
+  showImportPreviewDialog("routineFolders");
+}
+
+/**
+ * Opens the preview dialog, which loads the changes itself
+ * @param {string} type - Key of IMPORT_PREVIEW_HANDLERS
+ */
+function showImportPreviewDialog(type) {
+  try {
+    const handler = _getImportPreviewHandler(type);
+    showHtmlDialog("ui/dialogs/ImportPreview", {
+      width: DIALOG_DIMENSIONS.IMPORT_PREVIEW_WIDTH,
+      height: DIALOG_DIMENSIONS.IMPORT_PREVIEW_HEIGHT,
+      templateData: {
+        previewType: type,
+        previewTitle: handler.title,
+      },
+    });
+  } catch (error) {
+    throw ErrorHandler.handle(error, {
+      operation: "Showing import preview dialog",
+      type,
+    });
+  }
+}
+
+/**
+ * Computes the changes an import would make without writing to the sheets.
+ * Called from the preview dialog.
+ * @param {string} type - Key of IMPORT_PREVIEW_HANDLERS
+ * @returns {Promise<Object>} Result of summarizeImportPreview
+ */
+async function getImportPreview(type) {
+  try {
+    const handler = _getImportPreviewHandler(type);
+    const startTime = Date.now();
+    const checkTimeout = () =>
+      Date.now() - startTime > IMPORT_CONFIG.MAX_EXECUTION_TIME_MS;
+
+    const preview = await handler.run(checkTimeout, { preview: true });
+    return summarizeImportPreview(preview);
+  } catch (error) {
+    throw ErrorHandler.handle(error, { operation: "Previewing import", type });
+  }
+}
+
+/**
+ * Applies a previewed import by running it under the import lock.
+ * Called from the preview dialog, which stays open until this returns.
+ * An import stopped at the time limit keeps its progress and reports
+ * itself paused, so applying again continues it.
+ * @param {string} type - Key of IMPORT_PREVIEW_HANDLERS
+ * @returns {Promise<{paused: boolean}>} Whether the import stopped early
+ * @throws {ValidationError} If the type is unknown or another import is running
+ */
+async function applyImportPreview(type) {
+  try {
+    const handler = _getImportPreviewHandler(type);
+    return await ImportProgressTracker.runExclusive(async (checkTimeout) => {
+      try {
+        await handler.run(checkTimeout);
+        return { paused: false };
+      } catch (error) {
+        if (error instanceof ImportTimeoutError) {
+          return { paused: true };
+        }
+        throw error;
+      }
+    });
+  } catch (error) {
+    throw ErrorHandler.handle(error, {
+      operation: "Applying import preview",
+      type,
+    });
+  }
+}
+
+/**
+ * Shortens a preview for the dialog, keeping the full counts
+ * @param {ImportPreview} preview - Would-be changes
+ * @param {number} [maxItems=IMPORT_CONFIG.PREVIEW_MAX_ITEMS] - Items kept per category
+ * @returns {Object} Preview with each category as {count, items}
+ */
+function summarizeImportPreview(
+  preview,
+  maxItems = IMPORT_CONFIG.PREVIEW_MAX_ITEMS
+) {
+  const summarize = (items) => ({
+    count: items.length,
+    items: items.slice(0, maxItems),
+  });
+
+  return {
+    ...preview,
+    added: summarize(preview.added),
+    updated: summarize(preview.updated),
+    deleted: summarize(preview.deleted),
+  };
+}
+
+/**
+ * Looks up a previewable import
+ * @param {string} type - Key of IMPORT_PREVIEW_HANDLERS
+ * @returns {{title: string, run: Function}} Import handler
+ * @throws {ValidationError} If the type is unknown
+ * @private
+ */
+function _getImportPreviewHandler(type) {
+  const handler = IMPORT_PREVIEW_HANDLERS[type];
+  if (!handler) {
+    throw new ValidationError(`Unknown import type: ${type}`);
+  }
+  return handler;
+}
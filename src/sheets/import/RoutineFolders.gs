@@ -15,11 +15,25 @@
 /**
  * Imports all workout routine folders from Hevy API
  * @param {Function} [checkTimeout] - Optional function that returns true if timeout is approaching
- * @returns {Promise<void>}
+ * @param {Object} [options] - Import options
+ * @param {boolean} [options.preview=false] - Return the changes without writing to the sheet
+ * @returns {Promise<void|ImportPreview>} The would-be changes in preview mode
  */
-async function importAllRoutineFolders(checkTimeout = null) {
+async function importAllRoutineFolders(
+  checkTimeout = null,
+  { preview = false } = {}
+) {
+  if (preview) {
+    return _previewRoutineFolderImport(checkTimeout);
+  }
+
+  const logRun = ImportLog.start(
+    IMPORT_LOG_SOURCES.MANUAL,
+    "Import Routine Folders"
+  );
   try {
     const manager = SheetManager.getOrCreate(ROUTINE_FOLDERS_SHEET_NAME);
+    const previousIds = getExistingFolderIds(manager.sheet);
     manager.clearSheet();
 
     const processedFolders = [];
@@ -44,6 +58,10 @@ async function importAllRoutineFolders(checkTimeout = null) {
     );
 
     await updateFoldersInSheet(manager.sheet, processedFolders);
+    ImportLog.recordChanges(
+      IMPORT_LOG_ENTITIES.ROUTINE_FOLDERS,
+      countFolderChanges(previousIds, processedFolders)
+    );
 
     try {
       await manager.formatSheet(checkTimeout);
@@ -61,7 +79,9 @@ async function importAllRoutineFolders(checkTimeout = null) {
       "Import Complete",
       TOAST_DURATION.NORMAL
     );
+    await ImportLog.finish(logRun);
   } catch (error) {
+    await ImportLog.finish(logRun, error);
     // Re-throw ImportTimeoutError
     if (error instanceof ImportTimeoutError) {
       throw error;
@@ -73,6 +93,119 @@ async function importAllRoutineFolders(checkTimeout = null) {
   }
 }
 
+/**
+ * Fetches every folder and compares it with the sheet without writing
+ * @param {Function} [checkTimeout] - Optional function that returns true if timeout is approaching
+ * @returns {Promise<ImportPreview>} Folder changes
+ * @private
+ */
+async function _previewRoutineFolderImport(checkTimeout = null) {
+  try {
+    const sheet = getActiveSpreadsheet().getSheetByName(
+      ROUTINE_FOLDERS_SHEET_NAME
+    );
+    const existingValues =
+      sheet && sheet.getLastRow() > 1 ? sheet.getDataRange().getValues() : [];
+
+    const folders = [];
+    await getApiClient().fetchPaginatedData(
+      API_ENDPOINTS.ROUTINE_FOLDERS,
+      PAGE_SIZE.ROUTINE_FOLDERS,
+      async (page) => {
+        folders.push(...page);
+      },
+      "routine_folders",
+      {},
+      checkTimeout
+    );
+
+    return {
+      entity: IMPORT_LOG_ENTITIES.ROUTINE_FOLDERS,
+      ...diffRoutineFolders(existingValues, folders),
+    };
+  } catch (error) {
+    throw ErrorHandler.handle(error, {
+      operation: "Previewing routine folders",
+      sheetName: ROUTINE_FOLDERS_SHEET_NAME,
+    });
+  }
+}
+
+/**
+ * Compares fetched folders with the Routine Folders sheet rows.
+ * A folder counts as updated when its name, index or update time changed.
+ * @param {Array<Array>} existingValues - Current sheet values including the header row (empty if none)
+ * @param {Array<RoutineFolder>} folders - All folders from the API
+ * @returns {{added: Array<ImportPreviewItem>, updated: Array<ImportPreviewItem>, deleted: Array<ImportPreviewItem>}} Changed folders
+ */
+function diffRoutineFolders(existingValues, folders) {
+  const existingRows = new Map();
+  existingValues.slice(1).forEach((row) => {
+    if (row[0] !== "") {
+      existingRows.set(String(row[0]), row);
+    }
+  });
+
+  const toSeconds = (value) => Math.floor(new Date(value).getTime() / 1000);
+  const changes = { added: [], updated: [], deleted: [] };
+  folders.forEach((folder) => {
+    const id = String(folder.id);
+    const row = existingRows.get(id);
+    existingRows.delete(id);
+
+    if (!row) {
+      changes.added.push({ id, title: folder.title });
+    } else if (
+      String(row[1]) !== folder.title ||
+      Number(row[4]) !== folder.index ||
+      toSeconds(row[2]) !== toSeconds(folder.updated_at)
+    ) {
+      changes.updated.push({ id, title: folder.title });
+    }
+  });
+
+  existingRows.forEach((row, id) => {
+    changes.deleted.push({ id, title: String(row[1]) });
+  });
+  return changes;
+}
+
+/**
+ * Reads the folder IDs currently in the sheet
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The Routine Folders sheet
+ * @returns {Set<string>} Folder IDs
+ * @private
+ */
+function getExistingFolderIds(sheet) {
+  const lastRow = sheet.getLastRow();
+  if (lastRow <= 1) {
+    return new Set();
+  }
+  return new Set(
+    sheet
+      .getRange(2, 1, lastRow - 1, 1)
+      .getValues()
+      .map((row) => String(row[0]))
+  );
+}
+
+/**
+ * Counts folders added, rewritten and removed by a reimport
+ * @param {Set<string>} previousIds - Folder IDs before the import
+ * @param {Array<Array>} processedFolders - Rows from processFolderData
+ * @returns {{added: number, updated: number, deleted: number}} Change counts
+ * @private
+ */
+function countFolderChanges(previousIds, processedFolders) {
+  const currentIds = new Set(processedFolders.map((row) => String(row[0])));
+  const updated = [...currentIds].filter((id) => previousIds.has(id)).length;
+  return {
+    added: currentIds.size - updated,
+    updated,
+    deleted: previousIds.size - updated,
+  };
+}
+
 /**
  * Processes folder data into the correct format
  * @private
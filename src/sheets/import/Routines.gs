@@ -33,54 +33,56 @@
  */
 
 /**
- * Imports all workout routines from Hevy API into the Routines sheet
+ * Imports workout routines from Hevy API into the Routines sheet
+ * Routines are upserted by ID: rows are only rebuilt when a routine's
+ * updated_at differs from its "Last Updated" value, and routines no longer
+ * in Hevy are removed. The sheet is left untouched when nothing changed.
+ * Registered athletes are imported after the spreadsheet's own account.
  * @param {Function} [checkTimeout] - Optional function that returns true if timeout is approaching
- * @returns {Promise<void>}
+ * @param {Object} [options] - Import options
+ * @param {boolean} [options.preview=false] - Return the changes without writing to the sheet
+ * @returns {Promise<{added: number, updated: number, deleted: number}|ImportPreview>} Routine change counts, or the would-be changes in preview mode
  */
-async function importAllRoutines(checkTimeout = null) {
+async function importAllRoutines(
+  checkTimeout = null,
+  { preview = false } = {}
+) {
+  if (preview) {
+    return _previewRoutineImport(checkTimeout);
+  }
+
+  const logRun = ImportLog.start(IMPORT_LOG_SOURCES.MANUAL, "Import Routines");
   try {
     const manager = SheetManager.getOrCreate(ROUTINES_SHEET_NAME);
-    manager.clearSheet();
+    const sheet = manager.sheet;
+    // The "Athlete" column must exist before rows are matched to accounts
+    await manager.ensureHeaders();
 
-    const processedRoutines = [];
-    const processRoutinePage = async (routines) => {
-      const routineData = routines.flatMap((routine) =>
-        processRoutine(routine)
-      );
-      processedRoutines.push(...routineData);
-
-      const ss = getActiveSpreadsheet();
-      ss.toast(
-        `Processed ${processedRoutines.length} routine entries...`,
-        "Processing Progress"
-      );
-    };
-
-    const totalRoutines = await getApiClient().fetchPaginatedData(
-      API_ENDPOINTS.ROUTINES,
-      PAGE_SIZE.ROUTINES,
-      processRoutinePage,
-      "routines",
-      {},
-      checkTimeout
-    );
+    const totals = await _importAccountRoutines(sheet, checkTimeout);
+    await forEachAthlete(async () => {
+      const counts = await _importAccountRoutines(sheet, checkTimeout);
+      Object.keys(totals).forEach((key) => (totals[key] += counts[key]));
+    });
+    const { added, updated, deleted } = totals;
+    const changes = added + updated + deleted;
 
     const ss = getActiveSpreadsheet();
-    if (processedRoutines.length > 0) {
-      await updateRoutinesInSheet(manager.sheet, processedRoutines);
-      ss.toast(
-        `Imported ${totalRoutines} routines with ${processedRoutines.length} total entries!`,
-        "Import Complete",
-        TOAST_DURATION.NORMAL
-      );
-    } else {
+    if (changes === 0) {
       ss.toast(
-        "No routine entries found to import.",
+        `All ${totals.checked} routines are up to date.`,
         "Import Complete",
         TOAST_DURATION.NORMAL
       );
+      await ImportLog.finish(logRun);
+      return { added, updated, deleted };
     }
 
+    ss.toast(
+      `Routines: ${added} added, ${updated} updated, ${deleted} removed.`,
+      "Import Complete",
+      TOAST_DURATION.NORMAL
+    );
+
     try {
       await manager.formatSheet(checkTimeout);
     } catch (error) {
@@ -102,7 +104,11 @@ async function importAllRoutines(checkTimeout = null) {
         throw error;
       }
     }
+
+    await ImportLog.finish(logRun);
+    return { added, updated, deleted };
   } catch (error) {
+    await ImportLog.finish(logRun, error);
     // Re-throw ImportTimeoutError
     if (error instanceof ImportTimeoutError) {
       throw error;
@@ -115,25 +121,204 @@ async function importAllRoutines(checkTimeout = null) {
 }
 
 /**
- * Updates the sheet with processed routine data in batches
+ * Fetches every routine of the account being imported and merges them into
+ * the Routines sheet. The sheet is only written when something changed.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - Routines sheet
+ * @param {Function} [checkTimeout] - Optional function that returns true if timeout is approaching
+ * @returns {Promise<{added: number, updated: number, deleted: number, checked: number}>} Change counts and the number of routines fetched
  * @private
  */
-async function updateRoutinesInSheet(sheet, processedRoutines) {
+async function _importAccountRoutines(sheet, checkTimeout = null) {
+  const routines = [];
+  const processRoutinePage = async (page) => {
+    routines.push(...page);
+
+    const ss = getActiveSpreadsheet();
+    ss.toast(`Checked ${routines.length} routines...`, "Processing Progress");
+  };
+
+  // Every page is needed to detect deletions; a timeout here aborts before
+  // any rows are written, so unseen routines are never removed
+  await getApiClient().fetchPaginatedData(
+    API_ENDPOINTS.ROUTINES,
+    PAGE_SIZE.ROUTINES,
+    processRoutinePage,
+    "routines",
+    {},
+    checkTimeout
+  );
+
+  const existingValues =
+    sheet.getLastRow() > 1 ? sheet.getDataRange().getValues() : [];
+  const { rows, added, updated, deleted } = mergeRoutineRows(
+    existingValues,
+    routines,
+    getActiveAthleteName()
+  );
+  ImportLog.recordChanges(IMPORT_LOG_ENTITIES.ROUTINES, {
+    added,
+    updated,
+    deleted,
+  });
+
+  if (added + updated + deleted > 0) {
+    await updateRoutinesInSheet(sheet, rows);
+  }
+  return { added, updated, deleted, checked: routines.length };
+}
+
+/**
+ * Fetches every routine and compares it with the sheet without writing.
+ * Registered athletes are previewed after the spreadsheet's own account,
+ * with their name in each item's detail.
+ * @param {Function} [checkTimeout] - Optional function that returns true if timeout is approaching
+ * @returns {Promise<ImportPreview>} Routine changes
+ * @private
+ */
+async function _previewRoutineImport(checkTimeout = null) {
   try {
-    const batchSize = BATCH_CONFIG.DEFAULT_BATCH_SIZE;
-    for (let i = 0; i < processedRoutines.length; i += batchSize) {
-      const batch = processedRoutines.slice(i, i + batchSize);
-      const startRow = i + 2;
-
-      sheet
-        .getRange(startRow, 1, batch.length, batch[0].length)
-        .setValues(batch);
+    const sheet = getActiveSpreadsheet().getSheetByName(ROUTINES_SHEET_NAME);
+    const existingValues =
+      sheet && sheet.getLastRow() > 1 ? sheet.getDataRange().getValues() : [];
+    const fetchRoutines = async () => {
+      const routines = [];
+      await getApiClient().fetchPaginatedData(
+        API_ENDPOINTS.ROUTINES,
+        PAGE_SIZE.ROUTINES,
+        async (page) => {
+          routines.push(...page);
+        },
+        "routines",
+        {},
+        checkTimeout
+      );
+      return routines;
+    };
+
+    const { changes } = mergeRoutineRows(existingValues, await fetchRoutines());
+    await forEachAthlete(async (athlete) => {
+      const { changes: athleteChanges } = mergeRoutineRows(
+        existingValues,
+        await fetchRoutines(),
+        athlete.name
+      );
+      Object.keys(changes).forEach((key) =>
+        changes[key].push(
+          ...athleteChanges[key].map((item) => ({
+            ...item,
+            detail: athlete.name,
+          }))
+        )
+      );
+    });
+    return { entity: IMPORT_LOG_ENTITIES.ROUTINES, ...changes };
+  } catch (error) {
+    throw ErrorHandler.handle(error, {
+      operation: "Previewing routines",
+      sheetName: ROUTINES_SHEET_NAME,
+    });
+  }
+}
+
+/**
+ * Merges fetched routines into the existing Routines sheet rows
+ * Rows of unchanged routines are reused as-is; rows are ordered as the API
+ * returns routines. Only the rows of the given account are merged: rows of
+ * other accounts are kept, and the merged rows take the place of the
+ * account's first row (or go at the end for a new account).
+ * @param {Array<Array>} existingValues - Current sheet values including the header row (empty if none)
+ * @param {Array<Routine>} routines - All routines from the API
+ * @param {string} [athlete=""] - Athlete the routines belong to, "" for the spreadsheet's own account
+ * @returns {{rows: Array<Array>, added: number, updated: number, deleted: number, changes: {added: Array<ImportPreviewItem>, updated: Array<ImportPreviewItem>, deleted: Array<ImportPreviewItem>}}} Data rows, change counts and the changed routines
+ */
+function mergeRoutineRows(existingValues, routines, athlete = "") {
+  const headers = existingValues[0] ?? SHEET_HEADERS[ROUTINES_SHEET_NAME];
+  const idIndex = headers.indexOf("ID");
+  const titleIndex = headers.indexOf("Title");
+  const updatedIndex = headers.indexOf("Last Updated");
+  const athleteIndex = headers.indexOf(ATHLETE_CONFIG.HEADER);
+
+  const existingRows = new Map();
+  const otherRows = [];
+  let insertAt = -1;
+  existingValues.slice(1).forEach((row) => {
+    const id = String(row[idIndex] ?? "");
+    if (!id) {
+      return;
+    }
+    const rowAthlete =
+      athleteIndex === -1 ? "" : String(row[athleteIndex] ?? "");
+    if (rowAthlete !== athlete) {
+      otherRows.push(row);
+      return;
+    }
+    if (insertAt === -1) {
+      insertAt = otherRows.length;
+    }
+    if (!existingRows.has(id)) {
+      existingRows.set(id, []);
+    }
+    existingRows.get(id).push(row);
+  });
+
+  const changes = { added: [], updated: [], deleted: [] };
+  const mergedRows = routines.flatMap((routine) => {
+    const id = String(routine.id);
+    const current = existingRows.get(id);
+    existingRows.delete(id);
+
+    if (!current) {
+      changes.added.push({ id, title: routine.title });
+      return processRoutine(routine, athlete);
+    }
+
+    // Compare whole seconds; sheet date serials can drift by a millisecond
+    const toSeconds = (value) => Math.floor(new Date(value).getTime() / 1000);
+    if (toSeconds(current[0][updatedIndex]) === toSeconds(routine.updated_at)) {
+      return current;
+    }
+
+    changes.updated.push({ id, title: routine.title });
+    return processRoutine(routine, athlete);
+  });
+
+  existingRows.forEach((current, id) => {
+    changes.deleted.push({ id, title: String(current[0][titleIndex] ?? "") });
+  });
+
+  const rows = [...otherRows];
+  rows.splice(insertAt === -1 ? rows.length : insertAt, 0, ...mergedRows);
+
+  return {
+    rows,
+    added: changes.added.length,
+    updated: changes.updated.length,
+    deleted: changes.deleted.length,
+    changes,
+  };
+}
+
+/**
+ * Replaces the Routines sheet data rows in a single bulk write
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - Routines sheet
+ * @param {Array<Array>} rows - Data rows (without header)
+ * @private
+ */
+async function updateRoutinesInSheet(sheet, rows) {
+  try {
+    const lastRow = sheet.getLastRow();
+    if (lastRow > 1) {
+      sheet.getRange(2, 1, lastRow - 1, sheet.getLastColumn()).clearContent();
+    }
+
+    if (rows.length > 0) {
+      sheet.getRange(2, 1, rows.length, rows[0].length).setValues(rows);
     }
   } catch (error) {
     throw ErrorHandler.handle(error, {
       operation: "Updating routines in sheet",
       sheetName: sheet.getName(),
-      totalEntries: processedRoutines.length,
+      totalEntries: rows.length,
     });
   }
 }
@@ -141,10 +326,11 @@ async function updateRoutinesInSheet(sheet, processedRoutines) {
 /**
  * Creates an empty routine row (no exercises)
  * @param {Object} routine - Routine object
+ * @param {string} [athlete=""] - Value of the "Athlete" column
  * @returns {Array<Array>} Single row array
  * @private
  */
-function createEmptyRoutineRow(routine) {
+function createEmptyRoutineRow(routine, athlete = "") {
   return [
     [
       routine.id,
@@ -157,6 +343,7 @@ function createEmptyRoutineRow(routine) {
       "",
       "",
       "",
+      athlete,
     ],
   ];
 }
@@ -164,17 +351,18 @@ function createEmptyRoutineRow(routine) {
 /**
  * Processes routine data into sheet format
  * @param {Object} routine - Routine object
+ * @param {string} [athlete=""] - Value of the "Athlete" column
  * @returns {Array<Array>} Array of row data
  * @private
  */
-function processRoutine(routine) {
+function processRoutine(routine, athlete = "") {
   try {
     if (!routine.exercises?.length) {
-      return createEmptyRoutineRow(routine);
+      return createEmptyRoutineRow(routine, athlete);
     }
 
     return routine.exercises.flatMap((exercise) =>
-      processRoutineExercise(exercise, routine)
+      processRoutineExercise(exercise, routine, athlete)
     );
   } catch (error) {
     throw ErrorHandler.handle(error, {
@@ -189,7 +377,7 @@ function processRoutine(routine) {
  * Processes a single exercise within a routine
  * @private
  */
-function processRoutineExercise(exercise, routine) {
+function processRoutineExercise(exercise, routine, athlete = "") {
   try {
     return exercise.sets.map((set) => [
       routine.id,
@@ -202,6 +390,7 @@ function processRoutineExercise(exercise, routine) {
       normalizeWeight(set.weight_kg),
       normalizeNumber(getRepsValue(set) ?? set.distance_meters),
       normalizeNumber(set.duration_seconds),
+      athlete,
     ]);
   } catch (error) {
     throw ErrorHandler.handle(error, {
@@ -6,10 +6,11 @@
 /**
  * Creates a row for a workout without exercises
  * @param {Object} workout - Workout object
+ * @param {string} [athlete=""] - Value of the "Athlete" column
  * @returns {Array} Row data
  * @private
  */
-function createEmptyWorkoutRow(workout) {
+function createEmptyWorkoutRow(workout, athlete = "") {
   return [
     workout.id,
     workout.title,
@@ -22,16 +23,28 @@ function createEmptyWorkoutRow(workout) {
     "",
     "",
     "",
+    "",
+    workout.description ?? "",
+    "",
+    "",
+    "",
+    athlete,
   ];
 }
 
 /**
  * Creates rows for a workout with exercises
  * @param {Object} workout - Workout object
+ * @param {string} [oneRepMaxFormula] - Formula used for the Est. 1RM column
+ * @param {string} [athlete=""] - Value of the "Athlete" column
  * @returns {Array<Array>} Array of row data
  * @private
  */
-function createWorkoutRows(workout) {
+function createWorkoutRows(
+  workout,
+  oneRepMaxFormula = ONE_REP_MAX_FORMULAS.EPLEY,
+  athlete = ""
+) {
   return workout.exercises.flatMap((ex) =>
     ex.sets.map((set) => [
       workout.id,
@@ -45,6 +58,12 @@ function createWorkoutRows(workout) {
       normalizeNumber(getRepsValue(set) ?? set.distance_meters),
       normalizeNumber(set.duration_seconds),
       normalizeNumber(set.rpe),
+      calculateOneRepMax(set.weight_kg, set.reps, oneRepMaxFormula, set.rpe),
+      workout.description ?? "",
+      ex.notes ?? "",
+      normalizeNumber(ex.superset_id ?? ex.supersets_id),
+      normalizeNumber(set.index),
+      athlete,
     ])
   );
 }
@@ -52,15 +71,17 @@ function createWorkoutRows(workout) {
 /**
  * Converts workout objects into 2D array of sheet rows
  * @param {Array<Object>} workouts - Array of workout objects
+ * @param {string} [athlete] - Value of the "Athlete" column, defaults to the account being imported
  * @returns {Array<Array>} 2D array of sheet rows
  * @private
  */
-function processWorkoutsData(workouts) {
+function processWorkoutsData(workouts, athlete = getActiveAthleteName()) {
   try {
+    const oneRepMaxFormula = getOneRepMaxFormula();
     return workouts.flatMap((workout) =>
       workout.exercises?.length
-        ? createWorkoutRows(workout)
-        : [createEmptyWorkoutRow(workout)]
+        ? createWorkoutRows(workout, oneRepMaxFormula, athlete)
+        : [createEmptyWorkoutRow(workout, athlete)]
     );
   } catch (error) {
     throw ErrorHandler.handle(error, {
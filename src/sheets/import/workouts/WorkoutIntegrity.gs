@@ -0,0 +1,300 @@
+/**
+ * Verifies the Workouts sheet against the Hevy API and repairs drift left by
+ * interrupted imports without requiring a full reimport.
+ * @module workouts/WorkoutIntegrity
+ */
+
+/**
+ * Drift categories reported by the integrity check
+ * @type {Object<string>}
+ */
+const WORKOUT_DRIFT_TYPES = {
+  MISSING: "missing",
+  ORPHANED: "orphaned",
+  DUPLICATED: "duplicated",
+  PARTIAL: "partial",
+};
+
+/**
+ * Compares the Workouts sheet with the API and offers to repair any drift.
+ * Nothing is compared while an import is writing the sheet, and the repair
+ * holds the import lock.
+ * @returns {Promise<Object|null>} Repair summary, or null if nothing was repaired
+ * @throws {ValidationError} If an import is running or the API listing is incomplete
+ */
+async function verifyAndRepairWorkouts() {
+  try {
+    if (ImportProgressTracker.isImportActive()) {
+      throw new ValidationError(IMPORT_BUSY_MESSAGE);
+    }
+
+    const ss = getActiveSpreadsheet();
+    const ui = SpreadsheetApp.getUi();
+    const manager = SheetManager.getOrCreate(WORKOUTS_SHEET_NAME);
+
+    const startTime = Date.now();
+    const checkTimeout = () =>
+      Date.now() - startTime > IMPORT_CONFIG.MAX_EXECUTION_TIME_MS;
+
+    ss.toast(
+      "Comparing the Workouts sheet with Hevy...",
+      "Verifying Workouts",
+      TOAST_DURATION.SHORT
+    );
+
+    const sheetRows = _buildWorkoutIdRowMap(manager.sheet);
+    // Athletes' workouts come from other accounts and are not checked
+    getWorkoutAthletes(manager.sheet).forEach((athlete, id) => {
+      if (athlete) {
+        sheetRows.delete(id);
+      }
+    });
+    const { apiCount, report, repairRows } = await checkWorkoutIntegrity(
+      sheetRows,
+      checkTimeout
+    );
+    const summary = formatWorkoutDriftReport(report, apiCount, sheetRows.size);
+
+    if (!hasWorkoutDrift(report)) {
+      ui.alert("Workouts Verified", summary, ui.ButtonSet.OK);
+      return null;
+    }
+
+    const response = ui.alert(
+      "Workout Drift Found",
+      `${summary}\n\nRepair the Workouts sheet now?`,
+      ui.ButtonSet.YES_NO
+    );
+    if (response !== ui.Button.YES) {
+      return null;
+    }
+
+    const result = await ImportProgressTracker.runExclusive((repairTimeout) =>
+      repairWorkoutDrift(manager, report, repairRows, repairTimeout)
+    );
+    ss.toast(
+      `Added ${result.added}, removed ${result.removed} and rewrote ${result.rewritten} workouts.`,
+      "Workouts Repaired",
+      TOAST_DURATION.NORMAL
+    );
+    return result;
+  } catch (error) {
+    throw ErrorHandler.handle(error, {
+      operation: "Verifying workouts",
+      sheetName: WORKOUTS_SHEET_NAME,
+    });
+  }
+}
+
+/**
+ * Lists every workout from the API and classifies it against the sheet.
+ * Rows are only kept for workouts that need repairing. Workouts before the
+ * sync window are neither restored nor treated as deleted.
+ * @param {Map<string, Array<number>>} sheetRows - Result of _buildWorkoutIdRowMap
+ * @param {Function} [checkTimeout] - Optional function that returns true if timeout is approaching
+ * @returns {Promise<{apiCount: number, report: Object, repairRows: Map<string, Array<Array>>}>} Drift report and replacement rows
+ * @throws {ConfigurationError} If no API key is set
+ * @throws {ValidationError} If fewer workouts were listed than the API counts
+ */
+async function checkWorkoutIntegrity(sheetRows, checkTimeout = null) {
+  const client = getApiClient();
+  const apiKey = client.apiKeyManager.getApiKeyFromProperties();
+  if (!apiKey) {
+    throw new ConfigurationError("API key not found");
+  }
+
+  // Bypass the response cache so the count matches the listing below
+  const countResponse = client.handleResponse(
+    await client.executeRequest(
+      client.buildUrl(API_ENDPOINTS.WORKOUTS_COUNT, {}),
+      client.createRequestOptions(apiKey)
+    )
+  );
+  const apiCount = Number(countResponse?.workout_count) || 0;
+
+  const apiRowCounts = new Map();
+  const repairRows = new Map();
+  const outsideWindowIds = new Set();
+  const cutoff = getWorkoutSyncCutoff();
+
+  await client.fetchPaginatedData(
+    API_ENDPOINTS.WORKOUTS,
+    PAGE_SIZE.WORKOUTS,
+    (workouts) => {
+      const inWindow = workouts.filter((workout) => {
+        if (isInWorkoutSyncWindow(workout, cutoff)) {
+          return true;
+        }
+        outsideWindowIds.add(workout.id);
+        return false;
+      });
+
+      const pageRows = new Map();
+      processWorkoutsData(inWindow).forEach((row) => {
+        if (!pageRows.has(row[0])) {
+          pageRows.set(row[0], []);
+        }
+        pageRows.get(row[0]).push(row);
+      });
+
+      pageRows.forEach((rows, id) => {
+        apiRowCounts.set(id, rows.length);
+        if (classifyWorkoutRows(sheetRows.get(id), rows.length)) {
+          repairRows.set(id, rows);
+        }
+      });
+    },
+    "workouts",
+    {},
+    checkTimeout
+  );
+
+  // Orphans are only reliable once every workout has been listed
+  const listedCount = apiRowCounts.size + outsideWindowIds.size;
+  if (listedCount < apiCount) {
+    throw new ValidationError(
+      `Hevy listed ${listedCount} of ${apiCount} workouts, so the check was stopped before comparing. Please try again.`
+    );
+  }
+
+  return {
+    apiCount,
+    report: findWorkoutDrift(sheetRows, apiRowCounts, outsideWindowIds),
+    repairRows,
+  };
+}
+
+/**
+ * Classifies the sheet rows of one workout against its expected row count
+ * @param {Array<number>|undefined} rowNumbers - Sheet rows holding the workout
+ * @param {number} expectedCount - Number of rows the workout should have
+ * @returns {string|null} One of WORKOUT_DRIFT_TYPES, or null if the rows match
+ */
+function classifyWorkoutRows(rowNumbers, expectedCount) {
+  if (!rowNumbers || rowNumbers.length === 0) {
+    return WORKOUT_DRIFT_TYPES.MISSING;
+  }
+
+  const isSplit = _groupContiguousRows(rowNumbers).length > 1;
+  const isRepeated =
+    rowNumbers.length > expectedCount &&
+    rowNumbers.length % expectedCount === 0;
+  if (isSplit || isRepeated) {
+    return WORKOUT_DRIFT_TYPES.DUPLICATED;
+  }
+
+  return rowNumbers.length === expectedCount
+    ? null
+    : WORKOUT_DRIFT_TYPES.PARTIAL;
+}
+
+/**
+ * Compares sheet rows with the workouts listed by the API.
+ * Workouts from sheet-only CSV imports are never in Hevy, so they are not
+ * reported as deleted.
+ * @param {Map<string, Array<number>>} sheetRows - Workout ID to sheet row numbers
+ * @param {Map<string, number>} apiRowCounts - Workout ID to expected row count
+ * @param {Set<string>} [ignoredIds=new Set()] - Workouts in Hevy that are outside the sync window
+ * @returns {{missing: Array<string>, orphaned: Array<string>, duplicated: Array<string>, partial: Array<string>}} Workout IDs per drift type
+ */
+function findWorkoutDrift(sheetRows, apiRowCounts, ignoredIds = new Set()) {
+  const report = { missing: [], orphaned: [], duplicated: [], partial: [] };
+
+  apiRowCounts.forEach((expectedCount, id) => {
+    const type = classifyWorkoutRows(sheetRows.get(id), expectedCount);
+    if (type) {
+      report[type].push(id);
+    }
+  });
+
+  sheetRows.forEach((rows, id) => {
+    if (!apiRowCounts.has(id) && !ignoredIds.has(id) && !isCsvWorkoutId(id)) {
+      report.orphaned.push(id);
+    }
+  });
+
+  return report;
+}
+
+/**
+ * Checks whether a drift report contains anything to repair
+ * @param {Object} report - Result of findWorkoutDrift
+ * @returns {boolean} True if any workout drifted
+ */
+function hasWorkoutDrift(report) {
+  return Object.values(WORKOUT_DRIFT_TYPES).some(
+    (type) => report[type].length > 0
+  );
+}
+
+/**
+ * Builds the message shown after verifying workouts
+ * @param {Object} report - Result of findWorkoutDrift
+ * @param {number} apiCount - Number of workouts in Hevy
+ * @param {number} sheetCount - Number of workouts in the sheet
+ * @returns {string} Report text
+ */
+function formatWorkoutDriftReport(report, apiCount, sheetCount) {
+  const lines = [`Hevy: ${apiCount} workouts. Sheet: ${sheetCount} workouts.`];
+  if (!hasWorkoutDrift(report)) {
+    lines.push("The Workouts sheet matches Hevy.");
+    return lines.join("\n");
+  }
+
+  const labels = {
+    missing: "Missing from the sheet",
+    orphaned: "Deleted in Hevy but still in the sheet",
+    duplicated: "Written more than once",
+    partial: "Partially written",
+  };
+  Object.entries(labels).forEach(([type, label]) => {
+    if (report[type].length > 0) {
+      lines.push(`${label}: ${report[type].length}`);
+    }
+  });
+
+  return lines.join("\n");
+}
+
+/**
+ * Repairs drifted workouts and refreshes the sheets derived from them.
+ * Callers hold the import lock, see ImportProgressTracker.runExclusive.
+ * @param {SheetManager} manager - Workouts sheet manager
+ * @param {Object} report - Result of findWorkoutDrift
+ * @param {Map<string, Array<Array>>} repairRows - Replacement rows by workout ID
+ * @param {Function} [checkTimeout] - Optional function that returns true if timeout is approaching
+ * @returns {Promise<{added: number, removed: number, rewritten: number}>} Repair counts
+ */
+async function repairWorkoutDrift(
+  manager,
+  report,
+  repairRows,
+  checkTimeout = null
+) {
+  const sheet = manager.sheet;
+
+  if (report.orphaned.length > 0) {
+    deleteWorkoutRows(sheet, new Set(report.orphaned));
+  }
+
+  const rows = Array.from(repairRows.values()).flat();
+  updateWorkoutData(sheet, rows);
+  WorkoutRetryQueue.remove([...report.orphaned, ...repairRows.keys()]);
+  if (report.missing.length > 0) {
+    sortWorkoutRowsByStartTime(sheet);
+  }
+
+  await _mergePersonalRecordsAfterDelta(
+    rows,
+    new Set([...report.orphaned, ...repairRows.keys()]),
+    checkTimeout
+  );
+
+  await _refreshWorkoutSummaries(manager, checkTimeout);
+
+  return {
+    added: report.missing.length,
+    removed: report.orphaned.length,
+    rewritten: report.duplicated.length + report.partial.length,
+  };
+}
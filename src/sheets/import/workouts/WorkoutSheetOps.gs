@@ -4,6 +4,79 @@
  * @module workouts/WorkoutSheetOps
  */
 
+/**
+ * Resolves Workouts sheet column indices by header name
+ * @param {Array<string>} headers - Header row of the Workouts sheet
+ * @returns {Object<number>} Zero-based column indices (-1 when a column is missing)
+ */
+function getWorkoutColumnIndices(headers) {
+  return {
+    id: headers.indexOf("ID"),
+    title: headers.indexOf("Title"),
+    startTime: headers.indexOf("Start Time"),
+    endTime: headers.indexOf("End Time"),
+    exercise: headers.indexOf("Exercise"),
+    exerciseTemplateId: headers.indexOf("Exercise Template ID"),
+    setType: headers.indexOf("Set Type"),
+    weight: headers.indexOf("Weight (kg)"),
+    reps: headers.indexOf("Reps / Distance (m)"),
+    duration: headers.indexOf("Duration (s)"),
+    rpe: headers.indexOf("RPE"),
+    e1rm: headers.indexOf("Est. 1RM (kg)"),
+    description: headers.indexOf("Description"),
+    exerciseNotes: headers.indexOf("Exercise Notes"),
+    supersetId: headers.indexOf("Superset ID"),
+    setIndex: headers.indexOf("Set Index"),
+  };
+}
+
+/**
+ * Migrates an existing Workouts sheet to the current SHEET_HEADERS layout.
+ * Known columns are moved into place and missing ones are inserted blank,
+ * whole columns at a time, so values and formatting stay together. Columns
+ * the add-on does not know, such as the user's own notes, end up after the
+ * known headers instead of being dropped.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The workouts sheet
+ * @returns {Array<string>} Headers that were added (empty if no migration was needed)
+ */
+function migrateWorkoutSheetColumns(sheet) {
+  const lastColumn = sheet.getLastColumn();
+  if (sheet.getLastRow() === 0 || lastColumn === 0) {
+    return [];
+  }
+
+  const expectedHeaders = SHEET_HEADERS[WORKOUTS_SHEET_NAME];
+  const headers = sheet.getRange(1, 1, 1, lastColumn).getValues()[0];
+  const alreadyMigrated = expectedHeaders.every(
+    (header, index) => headers[index] === header
+  );
+
+  if (alreadyMigrated || !headers.includes("ID")) {
+    return [];
+  }
+
+  const added = [];
+  expectedHeaders.forEach((header, index) => {
+    const current = headers.indexOf(header, index);
+    if (current === index) {
+      return;
+    }
+
+    if (current === -1) {
+      // "ID" is never missing, so index is at least 1
+      sheet.insertColumnAfter(index);
+      sheet.getRange(1, index + 1).setValue(header);
+      headers.splice(index, 0, header);
+      added.push(header);
+    } else {
+      sheet.moveColumns(sheet.getRange(1, current + 1), index + 1);
+      headers.splice(index, 0, ...headers.splice(current, 1));
+    }
+  });
+
+  return added;
+}
+
 /**
  * Deletes workout rows from the sheet in a single bulk rewrite.
  * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet to modify
@@ -47,8 +120,9 @@ function deleteWorkoutRows(sheet, workoutIds) {
 
 /**
  * Builds a map of workout IDs to row numbers by reading only the ID column
+ * A workout spans one row per set, so every row of each ID is listed.
  * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet to read from
- * @returns {Map<string, number>} Map of workout ID to row number
+ * @returns {Map<string, Array<number>>} Map of workout ID to ascending row numbers
  * @private
  */
 function _buildWorkoutIdRowMap(sheet) {
@@ -61,14 +135,113 @@ function _buildWorkoutIdRowMap(sheet) {
 
   const idColumn = sheet.getRange(2, 1, lastRow - 1, 1).getValues();
   idColumn.forEach((row, i) => {
-    if (row[0]) {
-      rowMap.set(row[0], i + 2);
+    if (!row[0]) {
+      return;
+    }
+    if (!rowMap.has(row[0])) {
+      rowMap.set(row[0], []);
     }
+    rowMap.get(row[0]).push(i + 2);
   });
 
   return rowMap;
 }
 
+/**
+ * Checks whether a workout was written by a sheet-only CSV import
+ * @param {string} workoutId - Workout ID
+ * @returns {boolean} True if the ID carries a CSV_WORKOUT_ID_PREFIXES prefix
+ */
+function isCsvWorkoutId(workoutId) {
+  return Object.values(CSV_WORKOUT_ID_PREFIXES).some((prefix) =>
+    String(workoutId).startsWith(prefix)
+  );
+}
+
+/**
+ * Maps each workout ID in the sheet to its "Athlete" value by reading only
+ * the ID and Athlete columns
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The workouts sheet
+ * @returns {Map<string, string>} Workout ID to athlete name ("" for the spreadsheet's own account)
+ */
+function getWorkoutAthletes(sheet) {
+  const athletes = new Map();
+  const lastRow = sheet.getLastRow();
+  if (lastRow <= 1) {
+    return athletes;
+  }
+
+  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  const athleteColumn = headers.indexOf(ATHLETE_CONFIG.HEADER) + 1;
+  const ids = sheet.getRange(2, 1, lastRow - 1, 1).getValues();
+  const names = athleteColumn
+    ? sheet.getRange(2, athleteColumn, lastRow - 1, 1).getValues()
+    : [];
+  ids.forEach(([id], i) => {
+    if (id && !athletes.has(id)) {
+      athletes.set(id, String(names[i]?.[0] ?? ""));
+    }
+  });
+
+  return athletes;
+}
+
+/**
+ * Splits ascending row numbers into contiguous blocks
+ * @param {Array<number>} rows - Ascending row numbers
+ * @returns {Array<{start: number, count: number}>} Contiguous blocks
+ * @private
+ */
+function _groupContiguousRows(rows) {
+  return rows.reduce((blocks, row) => {
+    const last = blocks[blocks.length - 1];
+    if (last && row === last.start + last.count) {
+      last.count++;
+    } else {
+      blocks.push({ start: row, count: 1 });
+    }
+    return blocks;
+  }, []);
+}
+
+/**
+ * Resizes the rows of existing workouts to their new set counts.
+ * The first block of each workout is grown or shrunk in place and any
+ * further blocks (duplicates) are removed. Changes run bottom-up so the
+ * row numbers of blocks still to be processed stay valid.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet to modify
+ * @param {Map<string, Array<number>>} rowMap - Result of _buildWorkoutIdRowMap
+ * @param {Map<string, Array<Array>>} rowsById - New rows grouped by workout ID
+ * @returns {boolean} True if any rows were inserted or deleted
+ * @private
+ */
+function _resizeWorkoutBlocks(sheet, rowMap, rowsById) {
+  const operations = [];
+
+  rowsById.forEach((rows, id) => {
+    if (!rowMap.has(id)) {
+      return;
+    }
+    const [first, ...extra] = _groupContiguousRows(rowMap.get(id));
+    extra.forEach((block) => operations.push({ ...block, newCount: 0 }));
+    if (first.count !== rows.length) {
+      operations.push({ ...first, newCount: rows.length });
+    }
+  });
+
+  operations
+    .sort((a, b) => b.start - a.start)
+    .forEach(({ start, count, newCount }) => {
+      if (newCount > count) {
+        sheet.insertRowsAfter(start + count - 1, newCount - count);
+      } else {
+        sheet.deleteRows(start + newCount, count - newCount);
+      }
+    });
+
+  return operations.length > 0;
+}
+
 /**
  * Groups contiguous row updates into segments for batch writing
  * @param {Array<{r: number, d: Array}>} updates - Array of update objects with row number and data
@@ -92,25 +265,44 @@ function _groupContiguousUpdates(updates) {
 /**
  * Updates workout data in the sheet using contiguous block writes.
  * Handles both updates to existing rows and additions of new rows.
+ * Existing workouts are resized to their new number of sets, and
+ * duplicated copies are removed, before their rows are overwritten.
+ * Older sheets are migrated to the current column layout first.
  * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet to update
  * @param {Array<Array>} processedData - Array of row data to upsert
+ * @returns {{added: number, updated: number}} Number of workouts added and updated
  * @private
  */
 function updateWorkoutData(sheet, processedData) {
   if (!processedData || processedData.length === 0) {
-    return;
+    return { added: 0, updated: 0 };
+  }
+
+  migrateWorkoutSheetColumns(sheet);
+  const rowsById = new Map();
+  processedData.forEach((row) => {
+    if (!rowsById.has(row[0])) {
+      rowsById.set(row[0], []);
+    }
+    rowsById.get(row[0]).push(row);
+  });
+
+  let rowMap = _buildWorkoutIdRowMap(sheet);
+  if (_resizeWorkoutBlocks(sheet, rowMap, rowsById)) {
+    rowMap = _buildWorkoutIdRowMap(sheet);
   }
 
-  const rowMap = _buildWorkoutIdRowMap(sheet);
   const updates = [];
   const additions = [];
+  let addedCount = 0;
 
-  processedData.forEach((row) => {
-    const id = row[0];
+  rowsById.forEach((rows, id) => {
     if (rowMap.has(id)) {
-      updates.push({ r: rowMap.get(id), d: row });
+      const start = rowMap.get(id)[0];
+      rows.forEach((row, i) => updates.push({ r: start + i, d: row }));
     } else {
-      additions.push(row);
+      additions.push(...rows);
+      addedCount++;
     }
   });
 
@@ -127,4 +319,71 @@ function updateWorkoutData(sheet, processedData) {
       .getRange(2, 1, additions.length, additions[0].length)
       .setValues(additions);
   }
+
+  return { added: addedCount, updated: rowsById.size - addedCount };
+}
+
+/**
+ * Sorts the data rows of the Workouts sheet by Start Time, newest first.
+ * The sort is stable, so the sets of each workout keep their order.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The workouts sheet
+ */
+function sortWorkoutRowsByStartTime(sheet) {
+  const lastRow = sheet.getLastRow();
+  if (lastRow <= 2) {
+    return;
+  }
+
+  const startTimeColumn =
+    SHEET_HEADERS[WORKOUTS_SHEET_NAME].indexOf("Start Time") + 1;
+  sheet
+    .getRange(2, 1, lastRow - 1, sheet.getLastColumn())
+    .sort({ column: startTimeColumn, ascending: false });
+}
+
+/**
+ * Recalculates the Est. 1RM column for every row using the formula selected
+ * on the Main sheet. Distance-based exercises are left blank since their
+ * reps column holds meters.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The workouts sheet
+ * @returns {number} Number of rows recalculated
+ */
+function recalculateEstimatedOneRepMax(sheet) {
+  if (sheet.getLastRow() <= 1) {
+    return 0;
+  }
+
+  const values = sheet.getDataRange().getValues();
+  const indices = getWorkoutColumnIndices(values.shift());
+
+  if (indices.e1rm === -1) {
+    throw new SheetError(
+      "Est. 1RM (kg) column not found in sheet",
+      sheet.getName()
+    );
+  }
+
+  const ss = getActiveSpreadsheet();
+  const typeMap = ss.getSheetByName(EXERCISES_SHEET_NAME)
+    ? buildTemplateTypeMap()
+    : {};
+  const formula = getOneRepMaxFormula();
+
+  const estimates = values.map((row) => {
+    const type = String(typeMap[row[indices.exerciseTemplateId]] || "");
+    if (type.includes("distance")) {
+      return [""];
+    }
+    return [
+      calculateOneRepMax(
+        row[indices.weight],
+        row[indices.reps],
+        formula,
+        row[indices.rpe]
+      ),
+    ];
+  });
+
+  sheet.getRange(2, indices.e1rm + 1, estimates.length, 1).setValues(estimates);
+  return estimates.length;
 }
@@ -0,0 +1,144 @@
+/**
+ * Workout sync window.
+ * Limits imported workouts to the last N months or to those since a date, so
+ * accounts with years of history stay within the execution and cell limits.
+ * @module workouts/WorkoutSyncWindow
+ */
+
+/**
+ * @typedef {Object} WorkoutSyncWindow
+ * @property {string} mode - One of SYNC_WINDOW_CONFIG.MODES
+ * @property {number} months - Months kept in "months" mode
+ * @property {string|null} since - First day kept in "since" mode (yyyy-mm-dd)
+ */
+
+/**
+ * Gets the saved sync window and the cutoff it currently resolves to
+ * @returns {WorkoutSyncWindow & {cutoff: string|null}} Sync window, with the cutoff as an ISO string or null for all workouts
+ */
+function getWorkoutSyncWindow() {
+  const syncWindow = _loadWorkoutSyncWindow();
+  const cutoff = getWorkoutSyncCutoff(syncWindow);
+  return { ...syncWindow, cutoff: cutoff ? cutoff.toISOString() : null };
+}
+
+/**
+ * Saves the sync window from the sidebar.
+ * A changed window resets the workout watermarks of the spreadsheet and its
+ * athletes, so the next sync reimports workouts with the new window.
+ * @param {string} mode - One of SYNC_WINDOW_CONFIG.MODES
+ * @param {number|string} [value] - Months for "months" mode, or yyyy-mm-dd for "since" mode
+ * @returns {WorkoutSyncWindow & {cutoff: string|null, reimport: boolean}} Saved window and whether workouts will be reimported
+ * @throws {ValidationError} If the mode or value is invalid
+ */
+function configureWorkoutSyncWindow(mode, value) {
+  const modes = SYNC_WINDOW_CONFIG.MODES;
+
+  try {
+    const previous = _loadWorkoutSyncWindow();
+    const syncWindow = { ...previous, mode };
+
+    if (mode === modes.MONTHS) {
+      const months = Number(value);
+      if (
+        !Number.isInteger(months) ||
+        months < 1 ||
+        months > SYNC_WINDOW_CONFIG.MAX_MONTHS
+      ) {
+        throw new ValidationError(
+          `Months must be a whole number from 1 to ${SYNC_WINDOW_CONFIG.MAX_MONTHS}, got: ${value}`
+        );
+      }
+      syncWindow.months = months;
+    } else if (mode === modes.SINCE) {
+      parseIsoDay(value);
+      syncWindow.since = value;
+    } else if (mode !== modes.ALL) {
+      throw new ValidationError(`Unknown sync window: ${mode}`);
+    }
+
+    const props = getDocumentProperties();
+    props?.setProperty(
+      SYNC_WINDOW_CONFIG.PROPERTY_KEY,
+      JSON.stringify(syncWindow)
+    );
+
+    const reimport =
+      getWorkoutSyncCutoff(previous)?.getTime() !==
+      getWorkoutSyncCutoff(syncWindow)?.getTime();
+    if (reimport) {
+      props?.deleteProperty("LAST_WORKOUT_UPDATE");
+      resetAthleteWorkoutWatermarks();
+      ImportProgressTracker.clearWorkoutCheckpoint();
+    }
+
+    return { ...getWorkoutSyncWindow(), reimport };
+  } catch (error) {
+    throw ErrorHandler.handle(error, {
+      operation: "Configuring workout sync window",
+      mode,
+    });
+  }
+}
+
+/**
+ * Resolves a sync window to the earliest workout start time to import
+ * @param {WorkoutSyncWindow} [syncWindow] - Sync window, defaults to the saved one
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Date|null} Cutoff at local midnight, or null to import all workouts
+ */
+function getWorkoutSyncCutoff(
+  syncWindow = _loadWorkoutSyncWindow(),
+  now = new Date()
+) {
+  const modes = SYNC_WINDOW_CONFIG.MODES;
+
+  if (syncWindow.mode === modes.MONTHS) {
+    const year = now.getFullYear();
+    const month = now.getMonth() - syncWindow.months;
+    const lastDay = new Date(year, month + 1, 0).getDate();
+    return new Date(year, month, Math.min(now.getDate(), lastDay));
+  }
+  if (syncWindow.mode === modes.SINCE && syncWindow.since) {
+    return parseIsoDay(syncWindow.since);
+  }
+  return null;
+}
+
+/**
+ * Checks whether a workout starts inside the sync window.
+ * Workouts without a valid start time are kept.
+ * @param {Object} workout - Workout with a start_time
+ * @param {Date|null} cutoff - Result of getWorkoutSyncCutoff
+ * @returns {boolean} True if the workout should be imported
+ */
+function isInWorkoutSyncWindow(workout, cutoff) {
+  if (!cutoff) {
+    return true;
+  }
+  const startTime = new Date(workout?.start_time);
+  return isNaN(startTime.getTime()) || startTime >= cutoff;
+}
+
+/**
+ * Reads the saved sync window, defaulting to all workouts
+ * @returns {WorkoutSyncWindow} Sync window
+ * @private
+ */
+function _loadWorkoutSyncWindow() {
+  const defaults = {
+    mode: SYNC_WINDOW_CONFIG.MODES.ALL,
+    months: SYNC_WINDOW_CONFIG.DEFAULT_MONTHS,
+    since: null,
+  };
+
+  try {
+    const json = getDocumentProperties()?.getProperty(
+      SYNC_WINDOW_CONFIG.PROPERTY_KEY
+    );
+    return json ? { ...defaults, ...JSON.parse(json) } : defaults;
+  } catch (error) {
+    console.warn("Failed to load workout sync window:", error);
+    return defaults;
+  }
+}
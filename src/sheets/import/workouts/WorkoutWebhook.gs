@@ -0,0 +1,432 @@
+/**
+ * Real-time workout sync through a web app webhook.
+ * Hevy posts the ID of a saved workout to the deployed web app, which opens
+ * the registered spreadsheet and upserts that single workout instead of
+ * waiting for the next sync. Workouts that arrive while an import is running
+ * are queued in script properties and imported by the next sync.
+ * @module workouts/WorkoutWebhook
+ */
+
+/**
+ * @typedef {Object} WebhookEvent
+ * @property {string} workoutId - Workout ID sent by Hevy
+ * @property {string} receivedAt - ISO timestamp the event was handled
+ * @property {string} status - One of WEBHOOK_CONFIG.STATUSES
+ * @property {string} [message] - Details for skipped or queued events
+ */
+
+/**
+ * @typedef {Object} WebhookEndpoint
+ * @property {string} secretDigest - SHA-256 digest of the webhook secret
+ * @property {string} spreadsheetId - Spreadsheet the endpoint writes to
+ */
+
+/**
+ * Web app entry point for Hevy's workout webhook.
+ * The endpoint ID selects the registered spreadsheet. The secret is read from
+ * a "secret" body field when the sender can add one, and from the URL
+ * otherwise, because web apps cannot read request headers. The request is
+ * answered once validated and the upsert finishes in the same execution,
+ * since Hevy only needs to know the event was received.
+ * @param {GoogleAppsScript.Events.DoPost} e - POST event
+ * @returns {GoogleAppsScript.Content.TextOutput} JSON response
+ */
+function doPost(e) {
+  let request;
+  try {
+    request = parseWorkoutWebhookRequest(e);
+  } catch (error) {
+    console.warn("Rejected webhook request:", error.message);
+    return _toJsonOutput({ ok: false, error: error.message });
+  }
+
+  upsertWebhookWorkout(request).catch((error) =>
+    console.error(
+      `Webhook upsert of workout ${request.workoutId} failed:`,
+      error
+    )
+  );
+  return _toJsonOutput({
+    ok: true,
+    workoutId: request.workoutId,
+    status: WEBHOOK_CONFIG.STATUSES.ACCEPTED,
+  });
+}
+
+/**
+ * Validates the endpoint and secret of a webhook request and reads the
+ * workout ID
+ * @param {GoogleAppsScript.Events.DoPost} e - POST event
+ * @returns {{endpointId: string, spreadsheetId: string, workoutId: string}} Target endpoint, its spreadsheet and the workout ID
+ * @throws {ConfigurationError} If the endpoint has not been set up
+ * @throws {ValidationError} If the secret is wrong or the body has no workout ID
+ */
+function parseWorkoutWebhookRequest(e) {
+  const endpointId = e?.parameter?.endpoint;
+  const endpoint = endpointId ? _loadWebhookEndpoint(endpointId) : null;
+  if (!endpoint) {
+    throw new ConfigurationError("Real-time sync is not set up");
+  }
+
+  let body;
+  try {
+    body = JSON.parse(e.postData?.contents || "{}");
+  } catch (error) {
+    throw new ValidationError("Webhook body is not valid JSON");
+  }
+
+  const secret = body.secret ?? e.parameter.secret;
+  if (
+    typeof secret !== "string" ||
+    !_timingSafeEqual(_digestWebhookSecret(secret), endpoint.secretDigest)
+  ) {
+    throw new ValidationError("Invalid webhook secret");
+  }
+
+  const workoutId = body.workoutId ?? body.workout_id ?? body.workout?.id;
+  if (!workoutId || typeof workoutId !== "string") {
+    throw new ValidationError("Webhook body has no workout ID");
+  }
+  return { endpointId, spreadsheetId: endpoint.spreadsheetId, workoutId };
+}
+
+/**
+ * Opens the endpoint's spreadsheet and upserts one workout under the import
+ * lock. The workout is queued for the next sync when another import holds
+ * the lock or the fetch fails. The outcome is recorded in the webhook event
+ * log.
+ * @param {{endpointId: string, spreadsheetId: string, workoutId: string}} request - Parsed webhook request
+ * @returns {Promise<string>} One of WEBHOOK_CONFIG.STATUSES
+ */
+async function upsertWebhookWorkout({ endpointId, spreadsheetId, workoutId }) {
+  const statuses = WEBHOOK_CONFIG.STATUSES;
+  openSpreadsheetById(spreadsheetId);
+
+  let event;
+  try {
+    [event] = await ImportProgressTracker.runExclusive(async (checkTimeout) => {
+      const logRun = ImportLog.start(
+        IMPORT_LOG_SOURCES.WEBHOOK,
+        "Webhook Upsert"
+      );
+      try {
+        const events = await _importWebhookWorkouts([workoutId], checkTimeout);
+        await ImportLog.finish(logRun);
+        return events;
+      } catch (error) {
+        await ImportLog.finish(logRun, error);
+        throw error;
+      }
+    });
+  } catch (error) {
+    if (error instanceof ImportTimeoutError) {
+      event = { workoutId, status: statuses.QUEUED, message: error.message };
+    } else if (ImportProgressTracker.isBusyError(error)) {
+      event = {
+        workoutId,
+        status: statuses.QUEUED,
+        message: "An import was running",
+      };
+    } else {
+      _recordWebhookEvents([
+        { workoutId, status: statuses.ERROR, message: error.message },
+      ]);
+      throw ErrorHandler.handle(
+        error,
+        { operation: "Upserting webhook workout", workoutId },
+        false
+      );
+    }
+  }
+
+  if (event.status === statuses.QUEUED) {
+    getScriptProperties()?.setProperty(
+      _getWebhookQueueKey(endpointId, workoutId),
+      new Date().toISOString()
+    );
+  }
+  _recordWebhookEvents([event]);
+  return event.status;
+}
+
+/**
+ * Imports the workouts the web app queued for this spreadsheet while an
+ * import was running. Runs from the sheet's own syncs, which hold the import
+ * lock. Workouts that still fail stay queued.
+ * @param {Function} [checkTimeout] - Optional function that returns true if timeout is approaching
+ * @returns {Promise<number>} Number of workouts imported
+ */
+async function importQueuedWebhookWorkouts(checkTimeout = null) {
+  const endpointId = getDocumentProperties()?.getProperty(
+    WEBHOOK_CONFIG.ENDPOINT_PROPERTY_KEY
+  );
+  const scriptProps = getScriptProperties();
+  if (!endpointId || !scriptProps) {
+    return 0;
+  }
+
+  const prefix = _getWebhookQueueKey(endpointId, "");
+  const workoutIds = scriptProps
+    .getKeys()
+    .filter((key) => key.startsWith(prefix))
+    .map((key) => key.slice(prefix.length));
+  if (workoutIds.length === 0) {
+    return 0;
+  }
+
+  const statuses = WEBHOOK_CONFIG.STATUSES;
+  const events = await _importWebhookWorkouts(workoutIds, checkTimeout);
+  events
+    .filter((event) => event.status !== statuses.QUEUED)
+    .forEach((event) =>
+      scriptProps.deleteProperty(
+        _getWebhookQueueKey(endpointId, event.workoutId)
+      )
+    );
+  _recordWebhookEvents(events);
+  return events.filter((event) => event.status === statuses.IMPORTED).length;
+}
+
+/**
+ * Gets the recently handled webhook events, newest first
+ * @returns {Array<WebhookEvent>} Webhook events
+ */
+function getWebhookEvents() {
+  try {
+    const json = getDocumentProperties()?.getProperty(
+      WEBHOOK_CONFIG.EVENTS_PROPERTY_KEY
+    );
+    return json ? JSON.parse(json) : [];
+  } catch (error) {
+    console.warn("Failed to load webhook events:", error);
+    return [];
+  }
+}
+
+/**
+ * Shows the webhook URL to register in Hevy, creating the endpoint on first
+ * use. The endpoint is registered again each time, so a cleared script
+ * property does not leave an unusable URL behind.
+ */
+function showWebhookSetup() {
+  try {
+    const ui = SpreadsheetApp.getUi();
+    const props = getDocumentProperties();
+    const scriptProps = getScriptProperties();
+    if (!props || !scriptProps) {
+      throw new ConfigurationError(
+        "Unable to access document properties. Please ensure you have proper permissions."
+      );
+    }
+
+    const serviceUrl = ScriptApp.getService().getUrl();
+    if (!serviceUrl) {
+      ui.alert(
+        "Real-time Sync",
+        "Deploy this script as a web app (Deploy > New deployment > Web app, execute as you, access: anyone) and open this menu item again to get the webhook URL.",
+        ui.ButtonSet.OK
+      );
+      return;
+    }
+
+    let endpointId = props.getProperty(WEBHOOK_CONFIG.ENDPOINT_PROPERTY_KEY);
+    let secret = props.getProperty(WEBHOOK_CONFIG.SECRET_PROPERTY_KEY);
+    if (!endpointId || !secret) {
+      endpointId = Utilities.getUuid();
+      secret = Utilities.getUuid();
+      props.setProperty(WEBHOOK_CONFIG.ENDPOINT_PROPERTY_KEY, endpointId);
+      props.setProperty(WEBHOOK_CONFIG.SECRET_PROPERTY_KEY, secret);
+    }
+    scriptProps.setProperty(
+      WEBHOOK_CONFIG.ENDPOINT_PROPERTY_PREFIX + endpointId,
+      JSON.stringify({
+        secretDigest: _digestWebhookSecret(secret),
+        spreadsheetId: getActiveSpreadsheet().getId(),
+      })
+    );
+
+    const latest = getWebhookEvents()[0];
+    ui.alert(
+      "Real-time Sync",
+      `Add this URL as a webhook in Hevy's developer settings:\n\n${serviceUrl}?endpoint=${endpointId}&secret=${secret}\n\n` +
+        (latest
+          ? `Last event: workout ${latest.workoutId} ${
+              latest.status
+            } at ${new Date(latest.receivedAt).toLocaleString()}.`
+          : "No webhook events received yet."),
+      ui.ButtonSet.OK
+    );
+  } catch (error) {
+    throw ErrorHandler.handle(error, { operation: "Showing webhook setup" });
+  }
+}
+
+/**
+ * Fetches workouts sent by the webhook and upserts them into the Workouts
+ * sheet, then refreshes the sheets derived from it. Workouts outside the
+ * sync window are skipped, and workouts whose fetch fails are reported as
+ * queued.
+ * @param {Array<string>} workoutIds - Workout IDs sent by Hevy
+ * @param {Function} [checkTimeout] - Optional function that returns true if timeout is approaching
+ * @returns {Promise<Array<{workoutId: string, status: string, message?: string}>>} Outcome per workout
+ * @throws {ConfigurationError} If no API key is set
+ * @private
+ */
+async function _importWebhookWorkouts(workoutIds, checkTimeout = null) {
+  const statuses = WEBHOOK_CONFIG.STATUSES;
+  const apiKey = getApiClient().apiKeyManager.getApiKeyFromProperties();
+  if (!apiKey) {
+    throw new ConfigurationError("API key not found");
+  }
+
+  const cutoff = getWorkoutSyncCutoff();
+  const workouts = [];
+  const events = [];
+  for (const workoutId of workoutIds) {
+    try {
+      const workout = await _fetchWorkoutWithRetry(
+        workoutId,
+        apiKey,
+        checkTimeout
+      );
+      if (isInWorkoutSyncWindow(workout, cutoff)) {
+        workouts.push(workout);
+        events.push({ workoutId, status: statuses.IMPORTED });
+      } else {
+        events.push({
+          workoutId,
+          status: statuses.SKIPPED,
+          message: "Workout is outside the sync window",
+        });
+      }
+    } catch (error) {
+      if (error instanceof ImportTimeoutError) {
+        throw error;
+      }
+      events.push({
+        workoutId,
+        status: statuses.QUEUED,
+        message: error.message,
+      });
+    }
+  }
+
+  if (workouts.length > 0) {
+    const manager = SheetManager.getOrCreate(WORKOUTS_SHEET_NAME);
+    const rows = processWorkoutsData(workouts);
+    const written = updateWorkoutData(manager.sheet, rows);
+    if (written.added > 0) {
+      sortWorkoutRowsByStartTime(manager.sheet);
+    }
+    ImportLog.recordChanges(IMPORT_LOG_ENTITIES.WORKOUTS, written);
+
+    await _mergePersonalRecordsAfterDelta(
+      rows,
+      new Set(workouts.map((workout) => workout.id)),
+      checkTimeout
+    );
+    await _refreshWorkoutSummaries(manager, checkTimeout);
+  }
+
+  ImportLog.recordFailedIds(
+    events
+      .filter((event) => event.status === statuses.QUEUED)
+      .map((event) => event.workoutId)
+  );
+  return events;
+}
+
+/**
+ * Reads an endpoint registered by showWebhookSetup
+ * @param {string} endpointId - Endpoint ID from the webhook URL
+ * @returns {WebhookEndpoint|null} Endpoint, or null if it is not registered
+ * @private
+ */
+function _loadWebhookEndpoint(endpointId) {
+  try {
+    const json = getScriptProperties()?.getProperty(
+      WEBHOOK_CONFIG.ENDPOINT_PROPERTY_PREFIX + endpointId
+    );
+    return json ? JSON.parse(json) : null;
+  } catch (error) {
+    console.warn("Failed to load webhook endpoint:", error);
+    return null;
+  }
+}
+
+/**
+ * Adds events to the webhook event log, dropping the oldest beyond
+ * WEBHOOK_CONFIG.MAX_EVENTS
+ * @param {Array<{workoutId: string, status: string, message?: string}>} events - Handled events
+ * @private
+ */
+function _recordWebhookEvents(events) {
+  try {
+    const receivedAt = new Date().toISOString();
+    getDocumentProperties()?.setProperty(
+      WEBHOOK_CONFIG.EVENTS_PROPERTY_KEY,
+      JSON.stringify(
+        [
+          ...events.map((event) => ({ ...event, receivedAt })),
+          ...getWebhookEvents(),
+        ].slice(0, WEBHOOK_CONFIG.MAX_EVENTS)
+      )
+    );
+  } catch (error) {
+    console.warn("Failed to record webhook events:", error);
+  }
+}
+
+/**
+ * Gets the script property key of a queued workout
+ * @param {string} endpointId - Endpoint ID of the spreadsheet
+ * @param {string} workoutId - Workout ID
+ * @returns {string} Property key
+ * @private
+ */
+function _getWebhookQueueKey(endpointId, workoutId) {
+  return `${WEBHOOK_CONFIG.QUEUE_PROPERTY_PREFIX}${endpointId}_${workoutId}`;
+}
+
+/**
+ * Hashes a webhook secret, so script properties never hold the secret itself
+ * @param {string} secret - Webhook secret
+ * @returns {string} Hex-encoded SHA-256 digest
+ * @private
+ */
+function _digestWebhookSecret(secret) {
+  return Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, secret)
+    .map((byte) => ((byte + 256) % 256).toString(16).padStart(2, "0"))
+    .join("");
+}
+
+/**
+ * Compares two digests in time that does not depend on where they differ
+ * @param {string} a - First digest
+ * @param {string} b - Second digest
+ * @returns {boolean} True if the digests are equal
+ * @private
+ */
+function _timingSafeEqual(a, b) {
+  if (a.length !== b.length) {
+    return false;
+  }
+
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+/**
+ * Serializes a webhook response as JSON
+ * @param {Object} body - Response body
+ * @returns {GoogleAppsScript.Content.TextOutput} JSON output
+ * @private
+ */
+function _toJsonOutput(body) {
+  return ContentService.createTextOutput(JSON.stringify(body)).setMimeType(
+    ContentService.MimeType.JSON
+  );
+}
@@ -2,6 +2,7 @@
  * @typedef {Object} Workout
  * @property {string} id - Workout ID
  * @property {string} title - Workout title
+ * @property {string} [description] - Workout description
  * @property {string} start_time - Workout start time (ISO 8601)
  * @property {string} [end_time] - Workout end time (ISO 8601)
  * @property {Array<WorkoutExercise>} exercises - Array of exercises in the workout
@@ -11,11 +12,14 @@
  * @typedef {Object} WorkoutExercise
  * @property {string} exercise_template_id - Exercise template ID
  * @property {string} title - Exercise name
+ * @property {string} [notes] - Exercise notes
+ * @property {number|null} [superset_id] - Superset ID if part of a superset
  * @property {Array<WorkoutSet>} sets - Array of sets for this exercise
  */
 
 /**
  * @typedef {Object} WorkoutSet
+ * @property {number} [index] - Position of the set within the exercise
  * @property {string} type - Set type (e.g., "normal")
  * @property {number|null} weight_kg - Weight in kilograms
  * @property {number|null} reps - Number of reps
@@ -30,14 +34,16 @@
  */
 
 /**
- * Gets the last workout update timestamp
+ * Gets the last workout update timestamp of the account being imported
  * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The workouts sheet
  * @returns {string|false} Last update timestamp or false if no data
  * @private
  */
 const getLastWorkoutUpdate = (sheet) => {
   const properties = getDocumentProperties();
-  const lastUpdate = properties?.getProperty("LAST_WORKOUT_UPDATE");
+  const lastUpdate = properties?.getProperty(
+    getAthletePropertyKey("LAST_WORKOUT_UPDATE")
+  );
 
   if (lastUpdate) {
     return lastUpdate;
@@ -54,56 +60,274 @@ const getLastWorkoutUpdate = (sheet) => {
  * Synchronizes workout data to the 'Workouts' sheet.
  * - First run: full import of all workouts.
  * - Subsequent runs: delta import of only new/changed/deleted events.
+ * - Registered athletes are then imported the same way into the same sheet.
  * @param {Function} [checkTimeout] - Optional function that returns true if timeout is approaching
- * @returns {Promise<number>} Number of changes made
+ * @param {Object} [options] - Import options
+ * @param {boolean} [options.preview=false] - Return the changes without writing to the sheet
+ * @returns {Promise<number|ImportPreview>} Number of changes made, or the would-be changes in preview mode
  */
-async function importAllWorkouts(checkTimeout = null) {
-  const manager = SheetManager.getOrCreate(WORKOUTS_SHEET_NAME);
-  const lastUpdate = getLastWorkoutUpdate(manager.sheet);
-
-  const changes = lastUpdate
-    ? await importAllWorkoutsDelta(lastUpdate, checkTimeout)
-    : await importAllWorkoutsFull(checkTimeout);
-
-  if (changes > 0) {
-    const exerciseManager = SheetManager.getOrCreate(EXERCISES_SHEET_NAME);
-    const exerciseSheet = exerciseManager.sheet;
-
-    if (!exerciseManager.validateHeaders()) {
-      const lastColumn = exerciseSheet.getLastColumn();
-      const numColumns =
-        lastColumn === 0
-          ? SHEET_HEADERS[EXERCISES_SHEET_NAME].length
-          : lastColumn;
-      const headers = exerciseSheet
-        .getRange(1, 1, 1, numColumns)
-        .getValues()[0];
-      const requiredHeaders = ["ID", "Title", "Count"];
-      validateExerciseSheetHeaders(headers, requiredHeaders);
+async function importAllWorkouts(
+  checkTimeout = null,
+  { preview = false } = {}
+) {
+  if (preview) {
+    return _previewWorkoutImport(checkTimeout);
+  }
+
+  const logRun = ImportLog.start(IMPORT_LOG_SOURCES.MANUAL, "Import Workouts");
+  try {
+    const manager = SheetManager.getOrCreate(WORKOUTS_SHEET_NAME);
+    const lastUpdate = getLastWorkoutUpdate(manager.sheet);
+    const addedColumns = lastUpdate
+      ? migrateWorkoutSheetColumns(manager.sheet)
+      : [];
+    ensureOneRepMaxFormulaValidation();
+
+    let changes = lastUpdate
+      ? await importAllWorkoutsDelta(lastUpdate, checkTimeout)
+      : await importAllWorkoutsFull(checkTimeout);
+    changes += await importAthleteWorkouts(checkTimeout);
+
+    // A formula change also outdates the personal records and charts
+    const formulaChanged = isOneRepMaxFormulaChanged();
+    if (formulaChanged || addedColumns.includes("Est. 1RM (kg)")) {
+      recalculateEstimatedOneRepMax(manager.sheet);
     }
 
-    try {
-      await updateExerciseCounts(exerciseSheet, checkTimeout);
-    } catch (error) {
-      if (error instanceof ImportTimeoutError) {
-        console.warn("updateExerciseCounts timed out, continuing...");
-      } else {
-        throw error;
+    if (changes > 0 || formulaChanged) {
+      const exerciseManager = SheetManager.getOrCreate(EXERCISES_SHEET_NAME);
+      const exerciseSheet = exerciseManager.sheet;
+
+      if (!exerciseManager.validateHeaders()) {
+        const lastColumn = exerciseSheet.getLastColumn();
+        const numColumns =
+          lastColumn === 0
+            ? SHEET_HEADERS[EXERCISES_SHEET_NAME].length
+            : lastColumn;
+        const headers = exerciseSheet
+          .getRange(1, 1, 1, numColumns)
+          .getValues()[0];
+        const requiredHeaders = ["ID", "Title", "Count"];
+        validateExerciseSheetHeaders(headers, requiredHeaders);
       }
+
+      // Delta imports merge personal records as they write
+      await _refreshWorkoutSummaries(manager, checkTimeout, {
+        rebuildPersonalRecords: !lastUpdate || formulaChanged,
+      });
+    }
+    if (formulaChanged) {
+      clearOneRepMaxFormulaChanged();
     }
 
-    try {
-      await manager.formatSheet(checkTimeout);
-    } catch (error) {
-      if (error instanceof ImportTimeoutError) {
-        console.warn("formatSheet timed out, continuing...");
-      } else {
-        throw error;
+    await ImportLog.finish(logRun);
+    return changes;
+  } catch (error) {
+    await ImportLog.finish(logRun, error);
+    throw error;
+  }
+}
+
+/**
+ * Lists the workouts the next import would add, rewrite or remove without
+ * writing to the sheet. Mirrors importAllWorkouts: a delta preview reads the
+ * events since the last sync, and without one every workout is listed.
+ * Registered athletes are previewed after the spreadsheet's own account,
+ * with their name in each item's detail.
+ * @param {Function} [checkTimeout] - Optional function that returns true if timeout is approaching
+ * @returns {Promise<ImportPreview>} Workout changes
+ * @private
+ */
+async function _previewWorkoutImport(checkTimeout = null) {
+  try {
+    const sheet = getActiveSpreadsheet().getSheetByName(WORKOUTS_SHEET_NAME);
+    const preview = await _previewAccountWorkouts(sheet, false, checkTimeout);
+
+    // A full import clears athlete rows too, so athletes are listed again
+    const isFullImport = !preview.since;
+    await forEachAthlete(async (athlete) => {
+      const athletePreview = await _previewAccountWorkouts(
+        sheet,
+        isFullImport,
+        checkTimeout
+      );
+      ["added", "updated", "deleted"].forEach((key) =>
+        preview[key].push(
+          ...athletePreview[key].map((item) => ({
+            ...item,
+            detail: [athlete.name, item.detail].filter(Boolean).join(", "),
+          }))
+        )
+      );
+    });
+    return preview;
+  } catch (error) {
+    throw ErrorHandler.handle(error, {
+      operation: "Previewing workouts",
+      sheetName: WORKOUTS_SHEET_NAME,
+    });
+  }
+}
+
+/**
+ * Lists the workout changes of the account being previewed
+ * @param {GoogleAppsScript.Spreadsheet.Sheet|null} sheet - The workouts sheet, if it exists
+ * @param {boolean} isFullImport - List every workout even if the account has synced before
+ * @param {Function} [checkTimeout] - Optional function that returns true if timeout is approaching
+ * @returns {Promise<ImportPreview>} Workout changes
+ * @private
+ */
+async function _previewAccountWorkouts(sheet, isFullImport, checkTimeout) {
+  const sheetWorkouts = sheet ? _readSheetWorkouts(sheet) : new Map();
+  const lastUpdate = isFullImport
+    ? null
+    : getDocumentProperties()?.getProperty(
+        getAthletePropertyKey("LAST_WORKOUT_UPDATE")
+      );
+  const cutoff = getWorkoutSyncCutoff();
+  const preview = {
+    entity: IMPORT_LOG_ENTITIES.WORKOUTS,
+    added: [],
+    updated: [],
+    deleted: [],
+  };
+  const addUpsert = (item) =>
+    (sheetWorkouts.has(item.id) ? preview.updated : preview.added).push(item);
+
+  if (!lastUpdate) {
+    const listedIds = new Set();
+    await getApiClient().fetchPaginatedData(
+      API_ENDPOINTS.WORKOUTS,
+      PAGE_SIZE.WORKOUTS,
+      async (workouts) => {
+        const inWindow = workouts.filter((workout) =>
+          isInWorkoutSyncWindow(workout, cutoff)
+        );
+        if (inWindow.length === 0) {
+          return false;
+        }
+        inWindow.forEach((workout) => {
+          listedIds.add(workout.id);
+          addUpsert(_toWorkoutPreviewItem(workout));
+        });
+      },
+      "workouts",
+      {},
+      checkTimeout
+    );
+
+    sheetWorkouts.forEach((item, id) => {
+      if (!listedIds.has(id) && !isCsvWorkoutId(id)) {
+        preview.deleted.push(item);
       }
+    });
+    preview.note =
+      "No previous sync was found, so the Workouts sheet will be cleared and every workout imported again. Workouts imported from CSV into the sheet only are kept.";
+    return preview;
+  }
+
+  const events = [];
+  await getApiClient().fetchPaginatedData(
+    API_ENDPOINTS.WORKOUTS_EVENTS,
+    PAGE_SIZE.WORKOUTS,
+    (page) => events.push(...page),
+    "events",
+    { since: lastUpdate },
+    checkTimeout
+  );
+
+  const { deletedIds, upsertIds } = processWorkoutEvents(events, cutoff);
+  const eventWorkouts = new Map();
+  events.forEach((event) => {
+    if (event.workout?.id) {
+      eventWorkouts.set(event.workout.id, event.workout);
     }
+  });
+
+  deletedIds.forEach((id) => {
+    if (sheetWorkouts.has(id)) {
+      preview.deleted.push(sheetWorkouts.get(id));
+    }
+  });
+  new Set(upsertIds).forEach((id) =>
+    addUpsert(_toWorkoutPreviewItem(eventWorkouts.get(id)))
+  );
+  WorkoutRetryQueue.getIds()
+    .filter((id) => !deletedIds.has(id) && !upsertIds.includes(id))
+    .forEach((id) =>
+      addUpsert({
+        ...(sheetWorkouts.get(id) ?? { id, title: "" }),
+        detail: "retrying a failed fetch",
+      })
+    );
+
+  preview.since = lastUpdate;
+  return preview;
+}
+
+/**
+ * Reads the title and start time of each workout of the account being
+ * previewed, leaving out other accounts
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The workouts sheet
+ * @returns {Map<string, ImportPreviewItem>} Workouts keyed by ID
+ * @private
+ */
+function _readSheetWorkouts(sheet) {
+  const workouts = new Map();
+  const lastRow = sheet.getLastRow();
+  if (lastRow <= 1) {
+    return workouts;
   }
 
-  return changes;
+  const athlete = getActiveAthleteName();
+  const athletes = getWorkoutAthletes(sheet);
+  sheet
+    .getRange(2, 1, lastRow - 1, 3)
+    .getValues()
+    .forEach(([id, title, startTime]) => {
+      if (id && !workouts.has(id) && (athletes.get(id) || "") === athlete) {
+        workouts.set(
+          id,
+          _toWorkoutPreviewItem({ id, title, start_time: startTime })
+        );
+      }
+    });
+  return workouts;
+}
+
+/**
+ * Builds a preview item for a workout.
+ * Dates are sent as ISO strings because dialogs cannot receive Date objects.
+ * @param {Object} workout - Workout with id, title and start_time
+ * @returns {ImportPreviewItem} Preview item
+ * @private
+ */
+function _toWorkoutPreviewItem(workout) {
+  const startTime = new Date(workout.start_time);
+  return {
+    id: String(workout.id),
+    title: String(workout.title ?? ""),
+    date: isNaN(startTime.getTime()) ? "" : startTime.toISOString(),
+  };
+}
+
+/**
+ * Runs a post-import step, logging and continuing if it times out.
+ * Steps mark themselves as deferred so they can be completed later.
+ * @param {string} stepName - Name used in the timeout warning
+ * @param {Function} step - Async function performing the step
+ * @private
+ */
+async function _runPostProcessingStep(stepName, step) {
+  try {
+    await step();
+  } catch (error) {
+    if (error instanceof ImportTimeoutError) {
+      console.warn(`${stepName} timed out, continuing...`);
+    } else {
+      throw error;
+    }
+  }
 }
 
 /**
@@ -152,8 +376,13 @@ function _writeRowsToSheet(sheet, rows, startRow) {
 
 /**
  * Performs a full import of all workouts.
- * Clears existing data rows (keeping headers), fetches all pages,
- * and writes rows incrementally as pages arrive.
+ * Clears existing data rows (keeping headers and workouts imported from CSV
+ * into the sheet only), fetches all pages, and writes rows incrementally as
+ * pages arrive.
+ * Each write is checkpointed by page, so an import interrupted by the time
+ * limit resumes from the last written page instead of starting over.
+ * Only workouts inside the sync window are imported, and pagination stops at
+ * the first page that is entirely older than the window.
  * @param {Function} [checkTimeout] - Optional function that returns true if timeout is approaching
  * @returns {Promise<number>} Number of workout records imported
  */
@@ -161,52 +390,111 @@ async function importAllWorkoutsFull(checkTimeout = null) {
   const manager = SheetManager.getOrCreate(WORKOUTS_SHEET_NAME);
   const props = getDocumentProperties();
   props?.deleteProperty("LAST_WORKOUT_UPDATE");
+  // Clearing the sheet also removes the athletes' rows
+  resetAthleteWorkoutWatermarks();
+
+  const checkpoint = ImportProgressTracker.loadWorkoutCheckpoint();
+  let existingIds = new Set();
+  let keptRowCount = 0;
+  if (checkpoint) {
+    existingIds = _prepareResumedWorkoutImport(
+      manager.sheet,
+      checkpoint.nextRow
+    );
+  } else {
+    keptRowCount = _clearWorkoutsKeepingCsvRows(manager);
+  }
+  const startedAt = checkpoint?.startedAt ?? new Date().toISOString();
+  const cutoff = getWorkoutSyncCutoff();
 
-  manager.clearSheet();
-
-  let currentRow = 2;
-  let totalRowsWritten = 0;
+  let currentRow = checkpoint?.nextRow ?? 2 + keptRowCount;
+  let totalRowsWritten = checkpoint?.rowsWritten ?? 0;
+  let lastPage = checkpoint?.page ?? 0;
   const idToLocalizedName = new Map();
   const WRITE_BATCH_SIZE = 150;
   let pendingRows = [];
+  let pendingWorkoutCount = 0;
 
-  await getApiClient().fetchPaginatedData(
-    API_ENDPOINTS.WORKOUTS,
-    PAGE_SIZE.WORKOUTS,
-    async (workouts) => {
-      if (!workouts || workouts.length === 0) {
-        return;
-      }
+  // Only whole pages are buffered, so every write ends on a page boundary
+  const flushPendingRows = () => {
+    const written = _writeRowsToSheet(manager.sheet, pendingRows, currentRow);
+    currentRow += written;
+    totalRowsWritten += written;
+    ImportLog.recordChanges(IMPORT_LOG_ENTITIES.WORKOUTS, {
+      added: pendingWorkoutCount,
+    });
+    pendingRows = [];
+    pendingWorkoutCount = 0;
+    ImportProgressTracker.saveWorkoutCheckpoint({
+      page: lastPage,
+      nextRow: currentRow,
+      rowsWritten: totalRowsWritten,
+      startedAt,
+    });
+  };
 
-      const pageRows = processWorkoutsData(workouts);
-      pendingRows.push(...pageRows);
-      _extractLocalizedExerciseNames(workouts, idToLocalizedName);
+  if (checkpoint) {
+    getActiveSpreadsheet().toast(
+      `Resuming workout import from page ${checkpoint.page}...`,
+      "Resuming Import",
+      TOAST_DURATION.SHORT
+    );
+  }
 
-      if (pendingRows.length >= WRITE_BATCH_SIZE) {
-        const rowsToWrite = pendingRows.slice(0, WRITE_BATCH_SIZE);
-        const remainingRows = pendingRows.slice(WRITE_BATCH_SIZE);
+  try {
+    await getApiClient().fetchPaginatedData(
+      API_ENDPOINTS.WORKOUTS,
+      PAGE_SIZE.WORKOUTS,
+      async (workouts, page) => {
+        if (!workouts || workouts.length === 0) {
+          return;
+        }
 
-        const written = _writeRowsToSheet(
-          manager.sheet,
-          rowsToWrite,
-          currentRow
+        // Pages are newest first, so the rest are older than the window too
+        const inWindow = workouts.filter((workout) =>
+          isInWorkoutSyncWindow(workout, cutoff)
         );
-        currentRow += written;
-        totalRowsWritten += written;
-        pendingRows = remainingRows;
-      }
-    },
-    "workouts",
-    {},
-    checkTimeout
-  );
+        if (inWindow.length === 0) {
+          return false;
+        }
+
+        // Workouts created since the last session shift later pages
+        const newWorkouts = inWindow.filter(
+          (workout) => !existingIds.has(workout.id)
+        );
+        pendingRows.push(...processWorkoutsData(newWorkouts));
+        pendingWorkoutCount += newWorkouts.length;
+        _extractLocalizedExerciseNames(newWorkouts, idToLocalizedName);
+        lastPage = page;
+
+        if (pendingRows.length >= WRITE_BATCH_SIZE) {
+          flushPendingRows();
+        }
+      },
+      "workouts",
+      {},
+      checkTimeout,
+      // The last written page is fetched again, since deleted workouts pull
+      // unwritten ones onto it
+      Math.max(lastPage, 1)
+    );
+  } catch (error) {
+    if (error instanceof ImportTimeoutError && pendingRows.length > 0) {
+      flushPendingRows();
+    }
+    throw error;
+  }
 
   if (pendingRows.length > 0) {
-    const written = _writeRowsToSheet(manager.sheet, pendingRows, currentRow);
-    totalRowsWritten += written;
+    flushPendingRows();
   }
+  // Kept CSV workouts were written first, so interleave them by date
+  sortWorkoutRowsByStartTime(manager.sheet);
 
-  props?.setProperty("LAST_WORKOUT_UPDATE", new Date().toISOString());
+  // Changes made while the import ran are picked up by the next delta import
+  props?.setProperty("LAST_WORKOUT_UPDATE", startedAt);
+  ImportProgressTracker.clearWorkoutCheckpoint();
+  WorkoutRetryQueue.clear();
   const ss = getActiveSpreadsheet();
   ss.toast(
     `Imported ${totalRowsWritten} workout records.`,
@@ -229,13 +517,146 @@ async function importAllWorkoutsFull(checkTimeout = null) {
   return totalRowsWritten;
 }
 
+/**
+ * Clears the Workouts sheet for a full import, keeping the workouts a
+ * sheet-only CSV import wrote at the top, since Hevy will not return them
+ * @param {SheetManager} manager - Workouts sheet manager
+ * @returns {number} Number of rows kept below the header
+ * @private
+ */
+function _clearWorkoutsKeepingCsvRows(manager) {
+  const sheet = manager.sheet;
+  const lastRow = sheet.getLastRow();
+  const csvRows =
+    lastRow > 1
+      ? sheet
+          .getRange(2, 1, lastRow - 1, sheet.getLastColumn())
+          .getValues()
+          .filter(([id]) => isCsvWorkoutId(id))
+      : [];
+
+  manager.clearSheet();
+  if (csvRows.length > 0) {
+    sheet.getRange(2, 1, csvRows.length, csvRows[0].length).setValues(csvRows);
+  }
+  return csvRows.length;
+}
+
+/**
+ * Prepares the Workouts sheet for a resumed full import.
+ * Rows past the checkpoint belong to an unfinished write and are cleared.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The workouts sheet
+ * @param {number} nextRow - Row where the resumed import continues
+ * @returns {Set<string>} IDs of workouts already written
+ * @private
+ */
+function _prepareResumedWorkoutImport(sheet, nextRow) {
+  const lastRow = sheet.getLastRow();
+  if (lastRow >= nextRow) {
+    sheet
+      .getRange(nextRow, 1, lastRow - nextRow + 1, sheet.getLastColumn())
+      .clearContent();
+  }
+
+  return new Set(_buildWorkoutIdRowMap(sheet).keys());
+}
+
+/**
+ * Imports the workouts of every registered athlete into the Workouts sheet.
+ * Each athlete has its own watermark: the first sync lists all of their
+ * workouts and later syncs import the events since their last sync.
+ * @param {Function} [checkTimeout] - Optional function that returns true if timeout is approaching
+ * @returns {Promise<number>} Number of athlete workouts imported
+ */
+async function importAthleteWorkouts(checkTimeout = null) {
+  const sheet = SheetManager.getOrCreate(WORKOUTS_SHEET_NAME).sheet;
+  let changes = 0;
+
+  await forEachAthlete(async () => {
+    const lastUpdate = getLastWorkoutUpdate(sheet);
+    changes += lastUpdate
+      ? await importAllWorkoutsDelta(lastUpdate, checkTimeout)
+      : await importAthleteWorkoutsFull(checkTimeout);
+  });
+
+  return changes;
+}
+
+/**
+ * Imports every workout of the athlete being imported.
+ * Other accounts share the sheet, so instead of clearing it the workouts are
+ * upserted page by page and the athlete's rows no longer in Hevy are removed.
+ * An import interrupted by the time limit simply starts over, as upserting
+ * the same workouts again does not duplicate them.
+ * @param {Function} [checkTimeout] - Optional function that returns true if timeout is approaching
+ * @returns {Promise<number>} Number of workouts imported
+ */
+async function importAthleteWorkoutsFull(checkTimeout = null) {
+  const athlete = getActiveAthleteName();
+  const sheet = SheetManager.getOrCreate(WORKOUTS_SHEET_NAME).sheet;
+  const startedAt = new Date().toISOString();
+  const cutoff = getWorkoutSyncCutoff();
+  const listedIds = new Set();
+
+  await getApiClient().fetchPaginatedData(
+    API_ENDPOINTS.WORKOUTS,
+    PAGE_SIZE.WORKOUTS,
+    async (workouts) => {
+      const inWindow = workouts.filter((workout) =>
+        isInWorkoutSyncWindow(workout, cutoff)
+      );
+      if (inWindow.length === 0) {
+        return false;
+      }
+
+      inWindow.forEach((workout) => listedIds.add(workout.id));
+      ImportLog.recordChanges(
+        IMPORT_LOG_ENTITIES.WORKOUTS,
+        updateWorkoutData(sheet, processWorkoutsData(inWindow))
+      );
+    },
+    "workouts",
+    {},
+    checkTimeout
+  );
+
+  const removedIds = new Set();
+  getWorkoutAthletes(sheet).forEach((name, id) => {
+    if (name === athlete && !listedIds.has(id)) {
+      removedIds.add(id);
+    }
+  });
+  if (removedIds.size > 0) {
+    deleteWorkoutRows(sheet, removedIds);
+    ImportLog.recordChanges(IMPORT_LOG_ENTITIES.WORKOUTS, {
+      deleted: removedIds.size,
+    });
+  }
+  sortWorkoutRowsByStartTime(sheet);
+
+  getDocumentProperties()?.setProperty(
+    getAthletePropertyKey("LAST_WORKOUT_UPDATE"),
+    startedAt
+  );
+  WorkoutRetryQueue.clear();
+  getActiveSpreadsheet().toast(
+    `Imported ${listedIds.size} workouts for ${athlete}.`,
+    "Athlete Import Complete",
+    TOAST_DURATION.NORMAL
+  );
+
+  return listedIds.size;
+}
+
 /**
  * Processes workout events into deleted and upsert ID sets
+ * Upserts of workouts that start before the sync window are ignored.
  * @param {Array} events - Array of workout events
+ * @param {Date|null} [cutoff=null] - Sync window cutoff from getWorkoutSyncCutoff
  * @returns {Object} Object with deletedIds Set and upsertIds Array
  * @private
  */
-function processWorkoutEvents(events) {
+function processWorkoutEvents(events, cutoff = null) {
   const deletedIds = new Set();
   const upsertIds = [];
 
@@ -247,7 +668,7 @@ function processWorkoutEvents(events) {
       }
     } else if (event.type === "updated" || event.type === "created") {
       const id = event.workout?.id;
-      if (id) {
+      if (id && isInWorkoutSyncWindow(event.workout, cutoff)) {
         upsertIds.push(id);
       }
     }
@@ -259,6 +680,8 @@ function processWorkoutEvents(events) {
 /**
  * Imports only changed or new workouts since lastUpdate.
  * Fetches full workout details for every upsert event to ensure exercise/sets data.
+ * Workouts that failed to fetch on earlier syncs are retried, and new
+ * failures are queued for the next sync.
  * @param {string} lastUpdate - ISO timestamp of last import
  * @param {Function} [checkTimeout] - Optional function that returns true if timeout is approaching
  * @returns {Promise<number>} Number of workouts imported
@@ -283,7 +706,15 @@ async function importAllWorkoutsDelta(lastUpdate, checkTimeout = null) {
       checkTimeout
     );
 
-    if (!events.length) {
+    const { deletedIds, upsertIds } = processWorkoutEvents(
+      events,
+      getWorkoutSyncCutoff()
+    );
+    const retryIds = WorkoutRetryQueue.getIds().filter(
+      (id) => !deletedIds.has(id) && !upsertIds.includes(id)
+    );
+
+    if (!events.length && !retryIds.length) {
       const ss = getActiveSpreadsheet();
       ss.toast(
         "No new workout events found since last import.",
@@ -293,14 +724,22 @@ async function importAllWorkoutsDelta(lastUpdate, checkTimeout = null) {
       return 0;
     }
 
-    const { deletedIds, upsertIds } = processWorkoutEvents(events);
-
     if (deletedIds.size) {
       deleteWorkoutRows(manager.sheet, deletedIds);
+      WorkoutRetryQueue.remove(deletedIds);
+      ImportLog.recordChanges(IMPORT_LOG_ENTITIES.WORKOUTS, {
+        deleted: deletedIds.size,
+      });
     }
 
-    if (!upsertIds.length) {
-      props.setProperty("LAST_WORKOUT_UPDATE", new Date().toISOString());
+    if (!upsertIds.length && !retryIds.length) {
+      props.setProperty(
+        getAthletePropertyKey("LAST_WORKOUT_UPDATE"),
+        new Date().toISOString()
+      );
+      if (deletedIds.size) {
+        await _mergePersonalRecordsAfterDelta([], deletedIds, checkTimeout);
+      }
       return 0;
     }
 
@@ -309,15 +748,28 @@ async function importAllWorkoutsDelta(lastUpdate, checkTimeout = null) {
       throw new ConfigurationError("API key not found");
     }
 
-    const { fullWorkouts, failedIds } = await _fetchWorkoutsInBatches(
-      upsertIds,
-      apiKey,
-      checkTimeout
-    );
+    const { fullWorkouts, failedIds } = upsertIds.length
+      ? await _fetchWorkoutsInBatches(upsertIds, apiKey, checkTimeout)
+      : { fullWorkouts: [], failedIds: [] };
+    const retried = await _fetchQueuedWorkouts(retryIds, apiKey, checkTimeout);
+    fullWorkouts.push(...retried.fullWorkouts);
 
     const rows = processWorkoutsData(fullWorkouts);
-    updateWorkoutData(manager.sheet, rows);
-    props.setProperty("LAST_WORKOUT_UPDATE", new Date().toISOString());
+    const written = updateWorkoutData(manager.sheet, rows);
+    WorkoutRetryQueue.remove(fullWorkouts.map((workout) => workout.id));
+    WorkoutRetryQueue.add([...failedIds, ...retried.failedIds]);
+    ImportLog.recordChanges(IMPORT_LOG_ENTITIES.WORKOUTS, written);
+    ImportLog.recordFailedIds([...failedIds, ...retried.failedIds]);
+    props.setProperty(
+      getAthletePropertyKey("LAST_WORKOUT_UPDATE"),
+      new Date().toISOString()
+    );
+
+    await _mergePersonalRecordsAfterDelta(
+      rows,
+      new Set([...deletedIds, ...upsertIds, ...retryIds]),
+      checkTimeout
+    );
 
     const idToLocalizedName = new Map();
     fullWorkouts.forEach((workout) => {
@@ -338,8 +790,9 @@ async function importAllWorkoutsDelta(lastUpdate, checkTimeout = null) {
 
     const ss = getActiveSpreadsheet();
     let toastMessage = `Imported ${rows.length} workout records.`;
-    if (failedIds.length > 0) {
-      toastMessage += ` ${failedIds.length} workout(s) failed to import.`;
+    const queuedCount = failedIds.length + retried.failedIds.length;
+    if (queuedCount > 0) {
+      toastMessage += ` ${queuedCount} workout(s) failed to import and will be retried on the next sync.`;
     }
     ss.toast(toastMessage, "Delta Import Complete", TOAST_DURATION.NORMAL);
 
@@ -365,3 +818,203 @@ async function importAllWorkoutsDelta(lastUpdate, checkTimeout = null) {
     });
   }
 }
+
+/**
+ * Merges delta import rows into the Personal Records sheet.
+ * Timeouts are deferred so the import itself still completes. Athletes are
+ * left out, since personal records only cover the spreadsheet's own account.
+ * @param {Array<Array>} rows - Newly imported workout rows
+ * @param {Set<string>} changedWorkoutIds - IDs of deleted or updated workouts
+ * @param {Function} [checkTimeout] - Optional function that returns true if timeout is approaching
+ * @private
+ */
+async function _mergePersonalRecordsAfterDelta(
+  rows,
+  changedWorkoutIds,
+  checkTimeout
+) {
+  if (getActiveAthlete()) {
+    return;
+  }
+
+  try {
+    await mergePersonalRecords(rows, changedWorkoutIds, checkTimeout);
+  } catch (error) {
+    if (error instanceof ImportTimeoutError) {
+      console.warn("mergePersonalRecords timed out after delta import");
+    } else {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Fetches workouts from the retry queue.
+ * A failed batch reports every workout as failed instead of failing the sync.
+ * @param {Array<string>} workoutIds - Queued workout IDs to retry
+ * @param {string} apiKey - API key for authentication
+ * @param {Function} [checkTimeout] - Optional function that returns true if timeout is approaching
+ * @returns {Promise<{fullWorkouts: Array<Object>, failedIds: Array<string>}>} Fetched workouts and IDs still failing
+ * @private
+ */
+async function _fetchQueuedWorkouts(workoutIds, apiKey, checkTimeout = null) {
+  if (workoutIds.length === 0) {
+    return { fullWorkouts: [], failedIds: [] };
+  }
+
+  try {
+    return await _fetchWorkoutsInBatches(workoutIds, apiKey, checkTimeout);
+  } catch (error) {
+    if (!(error instanceof ValidationError)) {
+      throw error;
+    }
+    console.warn("Retrying queued workouts failed:", error.message);
+    return { fullWorkouts: [], failedIds: workoutIds };
+  }
+}
+
+/**
+ * Retries the queued workouts of every account now instead of waiting for
+ * the next sync. Holds the import lock, so it cannot overlap a sync.
+ * @returns {Promise<{count: number, entries: Array<WorkoutRetryEntry>}>} Queue status after the retry
+ * @throws {ValidationError} If another import is running
+ */
+async function retryFailedWorkouts() {
+  try {
+    const { imported, failed } = await ImportProgressTracker.runExclusive(
+      async (checkTimeout) => {
+        const manager = SheetManager.getOrCreate(WORKOUTS_SHEET_NAME);
+        const totals = { imported: 0, failed: 0 };
+        const retryAccount = async () => {
+          const counts = await _retryAccountWorkouts(manager, checkTimeout);
+          totals.imported += counts.imported;
+          totals.failed += counts.failed;
+        };
+
+        await retryAccount();
+        await forEachAthlete(retryAccount);
+        if (totals.imported > 0) {
+          await _refreshWorkoutSummaries(manager, checkTimeout);
+        }
+        return totals;
+      }
+    );
+
+    if (imported + failed > 0) {
+      getActiveSpreadsheet().toast(
+        failed > 0
+          ? `Imported ${imported} workout(s). ${failed} still failing.`
+          : `Imported ${imported} workout(s).`,
+        "Retry Complete",
+        TOAST_DURATION.NORMAL
+      );
+    }
+    return getWorkoutRetryStatus();
+  } catch (error) {
+    throw ErrorHandler.handle(error, {
+      operation: "Retrying failed workouts",
+      sheetName: WORKOUTS_SHEET_NAME,
+    });
+  }
+}
+
+/**
+ * Retries the queued workouts of the account being imported
+ * @param {SheetManager} manager - Workouts sheet manager
+ * @param {Function} checkTimeout - Returns true if timeout is approaching
+ * @returns {Promise<{imported: number, failed: number}>} Workouts written and still failing
+ * @throws {ConfigurationError} If the account has no API key
+ * @private
+ */
+async function _retryAccountWorkouts(manager, checkTimeout) {
+  const workoutIds = WorkoutRetryQueue.getIds();
+  if (workoutIds.length === 0) {
+    return { imported: 0, failed: 0 };
+  }
+
+  const apiKey = getApiClient().apiKeyManager.getApiKeyFromProperties();
+  if (!apiKey) {
+    throw new ConfigurationError("API key not found");
+  }
+
+  const { fullWorkouts, failedIds } = await _fetchQueuedWorkouts(
+    workoutIds,
+    apiKey,
+    checkTimeout
+  );
+
+  if (fullWorkouts.length > 0) {
+    const rows = processWorkoutsData(fullWorkouts);
+    updateWorkoutData(manager.sheet, rows);
+    WorkoutRetryQueue.remove(fullWorkouts.map((workout) => workout.id));
+    await _mergePersonalRecordsAfterDelta(
+      rows,
+      new Set(fullWorkouts.map((workout) => workout.id)),
+      checkTimeout
+    );
+  }
+  WorkoutRetryQueue.add(failedIds);
+  return { imported: fullWorkouts.length, failed: failedIds.length };
+}
+
+/**
+ * Gets the retry queues of every account for display in the sidebar,
+ * oldest attempt first
+ * @returns {Promise<{count: number, entries: Array<WorkoutRetryEntry>}>} Queued workouts
+ */
+async function getWorkoutRetryStatus() {
+  const entries = [...WorkoutRetryQueue.getEntries()];
+  await forEachAthlete(async () => {
+    entries.push(...WorkoutRetryQueue.getEntries());
+  });
+  entries.sort((a, b) => a.lastAttempt.localeCompare(b.lastAttempt));
+  return { count: entries.length, entries };
+}
+
+/**
+ * Refreshes the exercise counts, volume summary, muscle balance,
+ * consistency, progress charts and sheet formatting after workouts were
+ * written. These are the post-import steps shared by every workout writer,
+ * which only call it once rows changed. The Workouts sheet is read once and
+ * the rows are shared by every step. Timeouts are deferred so the change
+ * itself still completes.
+ * @param {SheetManager} manager - Workouts sheet manager
+ * @param {Function} [checkTimeout] - Optional function that returns true if timeout is approaching
+ * @param {Object} [options] - Refresh options
+ * @param {boolean} [options.rebuildPersonalRecords=false] - Also rebuild the Personal Records sheet from every workout
+ * @private
+ */
+async function _refreshWorkoutSummaries(
+  manager,
+  checkTimeout = null,
+  { rebuildPersonalRecords = false } = {}
+) {
+  const workoutRows = readOwnWorkoutRows(manager.sheet);
+  const exerciseSheet =
+    getActiveSpreadsheet().getSheetByName(EXERCISES_SHEET_NAME);
+  if (exerciseSheet) {
+    await _runPostProcessingStep("updateExerciseCounts", () =>
+      updateExerciseCounts(exerciseSheet, checkTimeout, workoutRows)
+    );
+  }
+  if (rebuildPersonalRecords) {
+    await _runPostProcessingStep("updatePersonalRecords", () =>
+      updatePersonalRecords(checkTimeout, workoutRows)
+    );
+  }
+  await _runPostProcessingStep("updateVolumeSummary", () =>
+    updateVolumeSummary(checkTimeout, workoutRows)
+  );
+  await _runPostProcessingStep("updateMuscleBalance", () =>
+    updateMuscleBalance(checkTimeout, workoutRows)
+  );
+  await _runPostProcessingStep("updateConsistency", () =>
+    updateConsistency(checkTimeout, workoutRows)
+  );
+  await _runPostProcessingStep("updateProgressCharts", () =>
+    updateProgressCharts(checkTimeout, workoutRows)
+  );
+  await _runPostProcessingStep("formatSheet", () =>
+    manager.formatSheet(checkTimeout)
+  );
+}
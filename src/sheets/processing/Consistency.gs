@@ -0,0 +1,368 @@
+/**
+ * Training consistency: a calendar heatmap of workout days, weekly streaks,
+ * average sessions per week and the longest gaps between workouts, all
+ * derived from the Workouts "Start Time" column.
+ * @module Consistency
+ */
+
+/**
+ * @typedef {Object} WorkoutDay
+ * @property {Date} date - Day of the workouts (00:00 local time)
+ * @property {number} sessions - Workouts started that day
+ */
+
+/**
+ * @typedef {Object} ConsistencyStats
+ * @property {number} totalWorkouts - Workouts logged
+ * @property {number} currentStreak - Consecutive qualifying weeks up to now
+ * @property {number} longestStreak - Most consecutive qualifying weeks
+ * @property {number} averagePerWeek - Workouts per week since the first workout
+ * @property {number} sessionsThisWeek - Workouts in the week in progress
+ * @property {Date|null} lastWorkout - Day of the latest workout
+ * @property {Array<{from: Date, to: Date, days: number}>} longestGaps - Longest gaps between workout days, longest first
+ */
+
+/**
+ * Rebuilds the Consistency sheet from the spreadsheet's own workouts,
+ * leaving out athletes
+ * @param {Function} [checkTimeout] - Optional function that returns true if timeout is approaching
+ * @param {OwnWorkoutRows} [workoutRows] - Rows already read with readOwnWorkoutRows; read from the sheet when omitted
+ */
+async function updateConsistency(checkTimeout = null, workoutRows = null) {
+  const workoutSheet =
+    getActiveSpreadsheet().getSheetByName(WORKOUTS_SHEET_NAME);
+
+  if (!workoutSheet) {
+    return;
+  }
+
+  try {
+    checkAndThrowTimeout(checkTimeout, "updateConsistency");
+
+    const today = new Date();
+    const { headers, rows: workoutData } =
+      workoutRows || readOwnWorkoutRows(workoutSheet);
+    const workoutDays = collectWorkoutDays(
+      workoutData,
+      getWorkoutColumnIndices(headers)
+    );
+    const rows = buildConsistencyCalendar(workoutDays, today);
+    const stats = calculateConsistencyStats(workoutDays, today);
+
+    checkAndThrowTimeout(checkTimeout, "updateConsistency");
+
+    const manager = SheetManager.getOrCreate(CONSISTENCY_SHEET_NAME);
+    _clearConsistencySummary(manager.sheet);
+    manager.clearSheet();
+    if (rows.length > 0) {
+      manager.sheet.getRange(2, 1, rows.length, rows[0].length).setValues(rows);
+    }
+    await manager.formatSheet(checkTimeout);
+    _applyConsistencyHeatmap(manager.sheet, rows.length);
+    _writeConsistencySummary(manager.sheet, consistencySummaryToRows(stats));
+
+    ImportProgressTracker.markOperationComplete("updateConsistency");
+  } catch (error) {
+    if (error instanceof ImportTimeoutError) {
+      ImportProgressTracker.markDeferredOperation("updateConsistency");
+    }
+    throw ErrorHandler.handle(error, {
+      operation: "Updating consistency",
+      sheetName: CONSISTENCY_SHEET_NAME,
+    });
+  }
+}
+
+/**
+ * Gets the weekly streaks for the sidebar
+ * @returns {{currentStreak: number, longestStreak: number, sessionsThisWeek: number, lastWorkout: string|null}} Streaks, with the latest workout day as an ISO string
+ */
+function getConsistencySummary() {
+  try {
+    const workoutSheet =
+      getActiveSpreadsheet().getSheetByName(WORKOUTS_SHEET_NAME);
+    const stats = calculateConsistencyStats(
+      workoutSheet ? _readWorkoutDays(workoutSheet) : [],
+      new Date()
+    );
+    return {
+      currentStreak: stats.currentStreak,
+      longestStreak: stats.longestStreak,
+      sessionsThisWeek: stats.sessionsThisWeek,
+      lastWorkout: stats.lastWorkout ? stats.lastWorkout.toISOString() : null,
+    };
+  } catch (error) {
+    throw ErrorHandler.handle(error, {
+      operation: "Getting consistency summary",
+    });
+  }
+}
+
+/**
+ * Counts workouts per day. A workout spans one row per set, so rows are
+ * grouped by workout ID; rows with an invalid start time are skipped.
+ * @param {Array<Array>} workoutData - Workout rows (without header)
+ * @param {Object<number>} indices - Column indices from getWorkoutColumnIndices
+ * @returns {Array<WorkoutDay>} Workout days, oldest first
+ */
+function collectWorkoutDays(workoutData, indices) {
+  const seenWorkouts = new Set();
+  const days = new Map();
+
+  workoutData.forEach((row) => {
+    const startTime = row[indices.startTime];
+    if (!startTime || isNaN(new Date(startTime).getTime())) {
+      return;
+    }
+
+    const workoutKey =
+      String(row[indices.id] || "").trim() || String(startTime);
+    if (seenWorkouts.has(workoutKey)) {
+      return;
+    }
+    seenWorkouts.add(workoutKey);
+
+    const start = new Date(startTime);
+    const date = new Date(
+      start.getFullYear(),
+      start.getMonth(),
+      start.getDate()
+    );
+    const day = days.get(date.getTime()) ?? { date, sessions: 0 };
+    day.sessions++;
+    days.set(date.getTime(), day);
+  });
+
+  return Array.from(days.values()).sort((a, b) => a.date - b.date);
+}
+
+/**
+ * Builds the calendar heatmap rows: one row per ISO week from the first
+ * workout to the current week, newest first, with the workouts on each
+ * weekday. Days without workouts are left blank so the heatmap skips them.
+ * @param {Array<WorkoutDay>} workoutDays - Result of collectWorkoutDays
+ * @param {Date} today - Current date
+ * @returns {Array<Array>} Rows in SHEET_HEADERS order
+ */
+function buildConsistencyCalendar(workoutDays, today) {
+  const sessionsByDay = new Map(
+    workoutDays.map(({ date, sessions }) => [date.getTime(), sessions])
+  );
+
+  return _listWeekStarts(workoutDays, today)
+    .reverse()
+    .map((weekStart) => {
+      const days = Array.from({ length: 7 }, (_, offset) => {
+        const day = new Date(
+          weekStart.getFullYear(),
+          weekStart.getMonth(),
+          weekStart.getDate() + offset
+        );
+        return sessionsByDay.get(day.getTime()) ?? "";
+      });
+      const total = days.reduce((sum, sessions) => sum + (sessions || 0), 0);
+      return [getIsoWeekKey(weekStart), weekStart, ...days, total];
+    });
+}
+
+/**
+ * Calculates weekly streaks, the average sessions per week and the longest
+ * gaps between workout days. The week in progress extends the current
+ * streak once it qualifies but does not break it before then.
+ * @param {Array<WorkoutDay>} workoutDays - Result of collectWorkoutDays
+ * @param {Date} today - Current date
+ * @returns {ConsistencyStats} Consistency statistics
+ */
+function calculateConsistencyStats(workoutDays, today) {
+  const weekStarts = _listWeekStarts(workoutDays, today);
+  const sessionsByWeek = new Map();
+  workoutDays.forEach(({ date, sessions }) => {
+    const week = getIsoWeekStart(date).getTime();
+    sessionsByWeek.set(week, (sessionsByWeek.get(week) ?? 0) + sessions);
+  });
+  const weeklySessions = weekStarts.map(
+    (weekStart) => sessionsByWeek.get(weekStart.getTime()) ?? 0
+  );
+  const qualifies = (sessions) =>
+    sessions >= CONSISTENCY_CONFIG.MIN_WEEKLY_SESSIONS;
+
+  let longestStreak = 0;
+  let run = 0;
+  weeklySessions.forEach((sessions) => {
+    run = qualifies(sessions) ? run + 1 : 0;
+    longestStreak = Math.max(longestStreak, run);
+  });
+
+  let currentStreak = 0;
+  const lastIndex = weeklySessions.length - 1;
+  for (let i = lastIndex; i >= 0; i--) {
+    if (!qualifies(weeklySessions[i])) {
+      if (i === lastIndex) {
+        continue;
+      }
+      break;
+    }
+    currentStreak++;
+  }
+
+  const totalWorkouts = weeklySessions.reduce((sum, n) => sum + n, 0);
+  const longestGaps = workoutDays
+    .slice(1)
+    .map(({ date }, i) => ({
+      from: workoutDays[i].date,
+      to: date,
+      days: daysBetween(workoutDays[i].date, date),
+    }))
+    .filter(({ days }) => days > 1)
+    .sort((a, b) => b.days - a.days || b.to - a.to)
+    .slice(0, CONSISTENCY_CONFIG.LONGEST_GAPS);
+
+  return {
+    totalWorkouts,
+    currentStreak,
+    longestStreak,
+    averagePerWeek:
+      weekStarts.length > 0
+        ? Math.round((totalWorkouts / weekStarts.length) * 100) / 100
+        : 0,
+    sessionsThisWeek: weeklySessions[lastIndex] ?? 0,
+    lastWorkout:
+      workoutDays.length > 0 ? workoutDays[workoutDays.length - 1].date : null,
+    longestGaps,
+  };
+}
+
+/**
+ * Converts consistency statistics into the summary block written next to
+ * the calendar: the statistics, a blank row, then the longest gaps
+ * @param {ConsistencyStats} stats - Result of calculateConsistencyStats
+ * @returns {Array<Array>} Three-column rows; the first row of each table is its header
+ */
+function consistencySummaryToRows(stats) {
+  return [
+    ["Statistic", "Value", ""],
+    ["Current Streak (weeks)", stats.currentStreak, ""],
+    ["Longest Streak (weeks)", stats.longestStreak, ""],
+    ["Avg Sessions / Week", stats.averagePerWeek, ""],
+    ["Total Workouts", stats.totalWorkouts, ""],
+    ["Last Workout", stats.lastWorkout ?? "", ""],
+    ["", "", ""],
+    ["Gap From", "Gap To", "Days"],
+    ...stats.longestGaps.map(({ from, to, days }) => [from, to, days]),
+  ];
+}
+
+/**
+ * Reads the spreadsheet's own workout days from the Workouts sheet
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} workoutSheet - Workouts sheet
+ * @returns {Array<WorkoutDay>} Workout days, oldest first
+ * @private
+ */
+function _readWorkoutDays(workoutSheet) {
+  const { headers, rows } = readOwnWorkoutRows(workoutSheet);
+  return collectWorkoutDays(rows, getWorkoutColumnIndices(headers));
+}
+
+/**
+ * Lists the Mondays from the first workout's week to the current week
+ * @param {Array<WorkoutDay>} workoutDays - Workout days, oldest first
+ * @param {Date} today - Current date
+ * @returns {Array<Date>} Week starts, oldest first; empty without workouts
+ * @private
+ */
+function _listWeekStarts(workoutDays, today) {
+  if (workoutDays.length === 0) {
+    return [];
+  }
+
+  const lastWorkout = workoutDays[workoutDays.length - 1].date;
+  const end = getIsoWeekStart(today > lastWorkout ? today : lastWorkout);
+  const weekStarts = [];
+  for (
+    let weekStart = getIsoWeekStart(workoutDays[0].date);
+    weekStart <= end;
+    weekStart = new Date(
+      weekStart.getFullYear(),
+      weekStart.getMonth(),
+      weekStart.getDate() + 7
+    )
+  ) {
+    weekStarts.push(weekStart);
+  }
+  return weekStarts;
+}
+
+/**
+ * Shades the weekday cells from light to dark by workouts per day. Added
+ * after formatSheet, which replaces the sheet's conditional format rules
+ * with the row stripes.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - Consistency sheet
+ * @param {number} numRows - Data rows written
+ * @private
+ */
+function _applyConsistencyHeatmap(sheet, numRows) {
+  if (numRows === 0) {
+    return;
+  }
+
+  const firstDayColumn =
+    SHEET_HEADERS[CONSISTENCY_SHEET_NAME].indexOf("Mon") + 1;
+  const heatmapRule = SpreadsheetApp.newConditionalFormatRule()
+    .setRanges([sheet.getRange(2, firstDayColumn, numRows, 7)])
+    .setGradientMinpointWithValue(
+      CONSISTENCY_CONFIG.HEATMAP_COLORS.MIN,
+      SpreadsheetApp.InterpolationType.NUMBER,
+      "1"
+    )
+    .setGradientMaxpoint(CONSISTENCY_CONFIG.HEATMAP_COLORS.MAX)
+    .build();
+
+  // The heatmap goes first so it takes precedence over the row stripes
+  sheet.setConditionalFormatRules([
+    heatmapRule,
+    ...sheet.getConditionalFormatRules(),
+  ]);
+}
+
+/**
+ * Clears the summary block so formatSheet only sees the calendar columns
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - Consistency sheet
+ * @private
+ */
+function _clearConsistencySummary(sheet) {
+  const column = CONSISTENCY_CONFIG.SUMMARY_COLUMN;
+  const maxColumns = sheet.getMaxColumns();
+  if (maxColumns < column) {
+    return;
+  }
+  sheet
+    .getRange(1, column, sheet.getMaxRows(), maxColumns - column + 1)
+    .clear();
+}
+
+/**
+ * Writes the summary block next to the calendar, growing the sheet first
+ * since formatSheet trims it to the calendar
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - Consistency sheet
+ * @param {Array<Array>} rows - Result of consistencySummaryToRows
+ * @private
+ */
+function _writeConsistencySummary(sheet, rows) {
+  const column = CONSISTENCY_CONFIG.SUMMARY_COLUMN;
+  const lastColumn = column + rows[0].length - 1;
+  if (sheet.getMaxColumns() < lastColumn) {
+    sheet.insertColumnsAfter(
+      sheet.getMaxColumns(),
+      lastColumn - sheet.getMaxColumns()
+    );
+  }
+  if (sheet.getMaxRows() < rows.length) {
+    sheet.insertRowsAfter(sheet.getMaxRows(), rows.length - sheet.getMaxRows());
+  }
+
+  sheet.getRange(1, column, rows.length, rows[0].length).setValues(rows);
+  const gapHeaderRow = rows.findIndex(([label]) => label === "Gap From") + 1;
+  [1, gapHeaderRow].forEach((row) =>
+    sheet.getRange(row, column, 1, rows[0].length).setFontWeight("bold")
+  );
+}
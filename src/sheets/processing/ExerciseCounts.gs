@@ -8,8 +8,13 @@
  * Matches exercises by exercise_template_id first, then falls back to title matching.
  * @param {GoogleAppsScript.Spreadsheet.Sheet} exerciseSheet - The exercise sheet
  * @param {Function} [checkTimeout] - Optional function that returns true if timeout is approaching
+ * @param {OwnWorkoutRows} [workoutRows] - Rows already read with readOwnWorkoutRows; read from the sheet when omitted
  */
-async function updateExerciseCounts(exerciseSheet, checkTimeout = null) {
+async function updateExerciseCounts(
+  exerciseSheet,
+  checkTimeout = null,
+  workoutRows = null
+) {
   const ss = getActiveSpreadsheet();
   const workoutSheet = ss.getSheetByName(WORKOUTS_SHEET_NAME);
 
@@ -21,7 +26,9 @@ async function updateExerciseCounts(exerciseSheet, checkTimeout = null) {
     const { exerciseData, idToTitleMap, titleToIdMap, indices } =
       buildExerciseMaps(exerciseSheet);
 
-    const { workoutData, workoutIndices } = buildWorkoutMaps(workoutSheet);
+    const { workoutData, workoutIndices } = buildWorkoutMaps(
+      workoutRows || readOwnWorkoutRows(workoutSheet)
+    );
 
     const { exerciseCountsById, exerciseCountsByTitle } = countExercises(
       workoutData,
@@ -92,21 +99,23 @@ function buildExerciseMaps(exerciseSheet) {
 }
 
 /**
- * Builds maps from workout sheet data
- * @param {GoogleAppsScript.Spreadsheet.Sheet} workoutSheet - The workout sheet
+ * Builds maps from workout sheet data.
+ * Only the spreadsheet's own workouts are counted, not those of athletes.
+ * @param {OwnWorkoutRows} workoutRows - Result of readOwnWorkoutRows
  * @returns {Object} Workout data and indices
  * @private
  */
-function buildWorkoutMaps(workoutSheet) {
-  const workoutData = workoutSheet.getDataRange().getValues();
-  const workoutHeaders = workoutData.shift();
+function buildWorkoutMaps({ headers, rows }) {
   const indices = {
-    workoutId: workoutHeaders.indexOf("ID"),
-    exercise: workoutHeaders.indexOf("Exercise"),
-    exerciseTemplateId: workoutHeaders.indexOf("Exercise Template ID"),
+    workoutId: headers.indexOf("ID"),
+    exercise: headers.indexOf("Exercise"),
+    exerciseTemplateId: headers.indexOf("Exercise Template ID"),
   };
 
-  return { workoutData, workoutIndices: indices };
+  return {
+    workoutData: rows,
+    workoutIndices: indices,
+  };
 }
 
 /**
@@ -0,0 +1,396 @@
+/**
+ * Weekly hard sets per muscle group, compared against target ranges.
+ * Every non-warmup set counts once for the exercise's primary muscle group
+ * and a configurable fraction for each secondary muscle group, joined from
+ * the Exercises sheet by template ID.
+ * @module MuscleBalance
+ */
+
+/**
+ * @typedef {Object} SetTarget
+ * @property {number|null} min - Fewest weekly sets, or null for no minimum
+ * @property {number|null} max - Most weekly sets, or null for no maximum
+ */
+
+/**
+ * @typedef {Object} MuscleSetTargets
+ * @property {number} secondaryFraction - Share of a set counted for each secondary muscle group
+ * @property {number|null} defaultMin - Minimum for muscle groups without their own target
+ * @property {number|null} defaultMax - Maximum for muscle groups without their own target
+ * @property {Object<SetTarget>} targets - Targets by muscle group
+ */
+
+/**
+ * Rebuilds the Muscle Balance sheet from the spreadsheet's own workouts,
+ * leaving out athletes
+ * @param {Function} [checkTimeout] - Optional function that returns true if timeout is approaching
+ * @param {OwnWorkoutRows} [workoutRows] - Rows already read with readOwnWorkoutRows; read from the sheet when omitted
+ */
+async function updateMuscleBalance(checkTimeout = null, workoutRows = null) {
+  const ss = getActiveSpreadsheet();
+  const workoutSheet = ss.getSheetByName(WORKOUTS_SHEET_NAME);
+
+  if (!workoutSheet) {
+    return;
+  }
+
+  try {
+    checkAndThrowTimeout(checkTimeout, "updateMuscleBalance");
+
+    const settings = _loadMuscleSetTargets();
+    const { headers, rows: workoutData } =
+      workoutRows || readOwnWorkoutRows(workoutSheet);
+    const weeks = aggregateWeeklyHardSets(
+      workoutData,
+      getWorkoutColumnIndices(headers),
+      buildExerciseMetadataMap(),
+      settings.secondaryFraction
+    );
+    const rows = muscleBalanceToRows(weeks, settings);
+
+    checkAndThrowTimeout(checkTimeout, "updateMuscleBalance");
+
+    const manager = SheetManager.getOrCreate(MUSCLE_BALANCE_SHEET_NAME);
+    manager.clearSheet();
+    if (rows.length > 0) {
+      manager.sheet.getRange(2, 1, rows.length, rows[0].length).setValues(rows);
+    }
+    await manager.formatSheet(checkTimeout);
+    _applyMuscleBalanceStatusColors(manager.sheet, rows.length);
+
+    ImportProgressTracker.markOperationComplete("updateMuscleBalance");
+  } catch (error) {
+    if (error instanceof ImportTimeoutError) {
+      ImportProgressTracker.markDeferredOperation("updateMuscleBalance");
+    }
+    throw ErrorHandler.handle(error, {
+      operation: "Updating muscle balance",
+      sheetName: MUSCLE_BALANCE_SHEET_NAME,
+    });
+  }
+}
+
+/**
+ * Gets the muscle set targets for the sidebar
+ * @returns {MuscleSetTargets & {targetsText: string}} Targets, with the per-muscle targets as editable lines
+ */
+function getMuscleSetTargets() {
+  const settings = _loadMuscleSetTargets();
+  return { ...settings, targetsText: formatMuscleTargets(settings.targets) };
+}
+
+/**
+ * Saves the muscle set targets from the sidebar and rebuilds the
+ * Muscle Balance sheet with them
+ * @param {number|string} secondaryFraction - Share of a set counted for secondary muscle groups, from 0 to 1
+ * @param {number|string} defaultMin - Default minimum weekly sets, blank for none
+ * @param {number|string} defaultMax - Default maximum weekly sets, blank for none
+ * @param {string} targetsText - Per-muscle targets, one "Muscle: min-max" per line
+ * @returns {Promise<MuscleSetTargets & {targetsText: string}>} Saved targets
+ * @throws {ValidationError} If a value is out of range or a line cannot be parsed
+ */
+async function saveMuscleSetTargets(
+  secondaryFraction,
+  defaultMin,
+  defaultMax,
+  targetsText
+) {
+  try {
+    const fraction = Number(secondaryFraction);
+    if (
+      String(secondaryFraction ?? "").trim() === "" ||
+      !(fraction >= 0 && fraction <= 1)
+    ) {
+      throw new ValidationError(
+        `Secondary muscle fraction must be from 0 to 1, got: ${secondaryFraction}`
+      );
+    }
+
+    const defaults = _toSetTarget(defaultMin, defaultMax, "Default target");
+    const settings = {
+      secondaryFraction: fraction,
+      defaultMin: defaults.min,
+      defaultMax: defaults.max,
+      targets: parseMuscleTargets(targetsText),
+    };
+
+    const props = getDocumentProperties();
+    if (!props) {
+      throw new ConfigurationError(
+        "Unable to access document properties. Please ensure you have proper permissions."
+      );
+    }
+    props.setProperty(
+      MUSCLE_BALANCE_CONFIG.PROPERTY_KEY,
+      JSON.stringify(settings)
+    );
+
+    await updateMuscleBalance();
+    return getMuscleSetTargets();
+  } catch (error) {
+    throw ErrorHandler.handle(error, {
+      operation: "Saving muscle set targets",
+    });
+  }
+}
+
+/**
+ * Parses per-muscle targets written as one "Muscle: min-max" per line.
+ * Either bound may be left out, e.g. "Calves: 6-" or "Chest: -20", and
+ * "Neck: -" leaves a muscle group without a target.
+ * @param {string} text - Target lines
+ * @returns {Object<SetTarget>} Targets by muscle group
+ * @throws {ValidationError} If a line cannot be parsed or a range is invalid
+ */
+function parseMuscleTargets(text) {
+  const targets = {};
+
+  String(text ?? "")
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .forEach((line) => {
+      const match = line.match(/^([^:]+):\s*(\d*\.?\d*)\s*-\s*(\d*\.?\d*)$/);
+      const muscle = match?.[1].trim();
+      if (!muscle) {
+        throw new ValidationError(
+          `Targets must look like "Chest: 10-20", got: ${line}`
+        );
+      }
+      targets[muscle] = _toSetTarget(match[2], match[3], muscle);
+    });
+
+  return targets;
+}
+
+/**
+ * Formats per-muscle targets as the lines read by parseMuscleTargets
+ * @param {Object<SetTarget>} targets - Targets by muscle group
+ * @returns {string} Target lines
+ */
+function formatMuscleTargets(targets) {
+  return Object.entries(targets)
+    .map(([muscle, { min, max }]) => `${muscle}: ${min ?? ""}-${max ?? ""}`)
+    .join("\n");
+}
+
+/**
+ * Counts hard sets per ISO week and muscle group.
+ * Warmup sets and rows without an exercise are skipped; exercises missing
+ * from the Exercises sheet count toward "Other".
+ * @param {Array<Array>} workoutData - Workout rows (without header)
+ * @param {Object<number>} indices - Column indices from getWorkoutColumnIndices
+ * @param {{byId: Map, byTitle: Map}} metadataMap - Result of buildExerciseMetadataMap
+ * @param {number} secondaryFraction - Share of a set counted for each secondary muscle group
+ * @returns {Map<string, {week: string, weekStart: Date, sets: Map<string, number>}>} Set counts keyed by week
+ */
+function aggregateWeeklyHardSets(
+  workoutData,
+  indices,
+  metadataMap,
+  secondaryFraction
+) {
+  const weeks = new Map();
+
+  workoutData.forEach((row) => {
+    const startTime = row[indices.startTime];
+    const exercise = String(row[indices.exercise] || "").trim();
+    const setType = String(row[indices.setType] || "").toLowerCase();
+    if (
+      !exercise ||
+      setType === "warmup" ||
+      !startTime ||
+      isNaN(new Date(startTime).getTime())
+    ) {
+      return;
+    }
+
+    const week = getIsoWeekKey(startTime);
+    if (!weeks.has(week)) {
+      weeks.set(week, {
+        week,
+        weekStart: getIsoWeekStart(startTime),
+        sets: new Map(),
+      });
+    }
+    const sets = weeks.get(week).sets;
+    const add = (muscle, amount) =>
+      sets.set(muscle, (sets.get(muscle) ?? 0) + amount);
+
+    const metadata = findExerciseMetadata(
+      metadataMap,
+      row[indices.exerciseTemplateId],
+      exercise
+    );
+    add(metadata?.primaryMuscleGroup || VOLUME_MUSCLE_GROUPS.UNKNOWN, 1);
+    (metadata?.secondaryMuscleGroups ?? []).forEach((muscle) => {
+      if (secondaryFraction > 0) {
+        add(muscle, secondaryFraction);
+      }
+    });
+  });
+
+  return weeks;
+}
+
+/**
+ * Converts weekly set counts into sheet rows, newest week first and muscle
+ * groups alphabetically. Every muscle group trained in any week or given its
+ * own target is listed in every week, so missed muscle groups show 0 sets.
+ * @param {Map<string, Object>} weeks - Result of aggregateWeeklyHardSets
+ * @param {MuscleSetTargets} settings - Targets to compare against
+ * @returns {Array<Array>} Rows in SHEET_HEADERS order
+ */
+function muscleBalanceToRows(weeks, settings) {
+  const muscles = new Set(Object.keys(settings.targets));
+  weeks.forEach(({ sets }) => sets.forEach((_, muscle) => muscles.add(muscle)));
+  const sortedMuscles = Array.from(muscles).sort((a, b) => a.localeCompare(b));
+
+  return Array.from(weeks.values())
+    .sort((a, b) => b.weekStart - a.weekStart)
+    .flatMap(({ week, weekStart, sets }) =>
+      sortedMuscles.map((muscle) => {
+        const hardSets = Math.round((sets.get(muscle) ?? 0) * 100) / 100;
+        const target = getMuscleTarget(muscle, settings);
+        return [
+          week,
+          weekStart,
+          muscle,
+          hardSets,
+          target?.min ?? "",
+          target?.max ?? "",
+          getMuscleBalanceStatus(hardSets, target),
+        ];
+      })
+    );
+}
+
+/**
+ * Gets the weekly set target of a muscle group: its own target, otherwise
+ * the default unless the group is in UNTARGETED_MUSCLE_GROUPS. An own target
+ * without bounds opts the group out of the default.
+ * @param {string} muscle - Muscle group
+ * @param {MuscleSetTargets} settings - Muscle set targets
+ * @returns {SetTarget|null} Target, or null when the muscle group has none
+ */
+function getMuscleTarget(muscle, settings) {
+  const ownTarget = Object.entries(settings.targets).find(
+    ([name]) => name.toLowerCase() === muscle.toLowerCase()
+  )?.[1];
+  if (ownTarget) {
+    return ownTarget.min === null && ownTarget.max === null ? null : ownTarget;
+  }
+  if (
+    MUSCLE_BALANCE_CONFIG.UNTARGETED_MUSCLE_GROUPS.includes(muscle) ||
+    (settings.defaultMin === null && settings.defaultMax === null)
+  ) {
+    return null;
+  }
+  return { min: settings.defaultMin, max: settings.defaultMax };
+}
+
+/**
+ * Compares a weekly set count against a target
+ * @param {number} hardSets - Weekly hard sets
+ * @param {SetTarget|null} target - Target range
+ * @returns {string} One of MUSCLE_BALANCE_CONFIG.STATUSES, or "" without a target
+ */
+function getMuscleBalanceStatus(hardSets, target) {
+  const statuses = MUSCLE_BALANCE_CONFIG.STATUSES;
+  if (!target) {
+    return "";
+  }
+  if (target.min !== null && hardSets < target.min) {
+    return statuses.UNDER;
+  }
+  if (target.max !== null && hardSets > target.max) {
+    return statuses.OVER;
+  }
+  return statuses.ON_TARGET;
+}
+
+/**
+ * Loads the saved muscle set targets
+ * @returns {MuscleSetTargets} Targets, with defaults for unset values
+ * @private
+ */
+function _loadMuscleSetTargets() {
+  const defaults = {
+    secondaryFraction: MUSCLE_BALANCE_CONFIG.DEFAULT_SECONDARY_FRACTION,
+    defaultMin: MUSCLE_BALANCE_CONFIG.DEFAULT_MIN_SETS,
+    defaultMax: MUSCLE_BALANCE_CONFIG.DEFAULT_MAX_SETS,
+    targets: {},
+  };
+  try {
+    const json = getDocumentProperties()?.getProperty(
+      MUSCLE_BALANCE_CONFIG.PROPERTY_KEY
+    );
+    return json ? { ...defaults, ...JSON.parse(json) } : defaults;
+  } catch (error) {
+    console.warn("Failed to load muscle set targets:", error);
+    return defaults;
+  }
+}
+
+/**
+ * Validates a target range
+ * @param {number|string|null} min - Minimum weekly sets, blank for none
+ * @param {number|string|null} max - Maximum weekly sets, blank for none
+ * @param {string} label - Name used in error messages
+ * @returns {SetTarget} Target range
+ * @throws {ValidationError} If a bound is not a number from 0 to MAX_SETS or min exceeds max
+ * @private
+ */
+function _toSetTarget(min, max, label) {
+  const toBound = (value) => {
+    if (value === null || value === undefined || String(value).trim() === "") {
+      return null;
+    }
+    const number = Number(value);
+    if (!(number >= 0 && number <= MUSCLE_BALANCE_CONFIG.MAX_SETS)) {
+      throw new ValidationError(
+        `${label}: sets must be from 0 to ${MUSCLE_BALANCE_CONFIG.MAX_SETS}, got: ${value}`
+      );
+    }
+    return number;
+  };
+
+  const target = { min: toBound(min), max: toBound(max) };
+  if (target.min !== null && target.max !== null && target.min > target.max) {
+    throw new ValidationError(
+      `${label}: minimum ${target.min} is above maximum ${target.max}`
+    );
+  }
+  return target;
+}
+
+/**
+ * Highlights the Status column by status. Added after formatSheet, which
+ * replaces the sheet's conditional format rules with the row stripes.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - Muscle Balance sheet
+ * @param {number} numRows - Data rows written
+ * @private
+ */
+function _applyMuscleBalanceStatusColors(sheet, numRows) {
+  if (numRows === 0) {
+    return;
+  }
+
+  const statusColumn =
+    SHEET_HEADERS[MUSCLE_BALANCE_SHEET_NAME].indexOf("Status") + 1;
+  const range = sheet.getRange(2, statusColumn, numRows, 1);
+  const { STATUSES, STATUS_COLORS } = MUSCLE_BALANCE_CONFIG;
+  const statusRules = Object.keys(STATUSES).map((key) =>
+    SpreadsheetApp.newConditionalFormatRule()
+      .setRanges([range])
+      .whenTextEqualTo(STATUSES[key])
+      .setBackground(STATUS_COLORS[key])
+      .build()
+  );
+
+  // Status rules go first so they take precedence over the row stripes
+  sheet.setConditionalFormatRules([
+    ...statusRules,
+    ...sheet.getConditionalFormatRules(),
+  ]);
+}
@@ -0,0 +1,444 @@
+/**
+ * Functions for computing personal records from workout data.
+ * Records are kept per exercise template ID and written to the
+ * 'Personal Records' sheet, one row per record.
+ * @module PersonalRecords
+ */
+
+/**
+ * Record labels written to the "Record" column, in display order
+ * @type {Object<string>}
+ */
+const PERSONAL_RECORD_TYPES = {
+  HEAVIEST_WEIGHT: "Heaviest Weight",
+  BEST_E1RM: "Best Est. 1RM",
+  MOST_REPS: "Most Reps",
+  LONGEST_DURATION: "Longest Duration",
+  LONGEST_DISTANCE: "Longest Distance",
+};
+
+/**
+ * @typedef {Object} PersonalRecord
+ * @property {number|string} weight - Weight in kg ("" when not applicable)
+ * @property {number|string} reps - Reps ("" when not applicable)
+ * @property {number} value - Value the record is ranked by
+ * @property {string} workoutId - Workout the record was set in
+ * @property {Date|string} date - Workout start time
+ */
+
+/**
+ * @typedef {Object} ExerciseRecords
+ * @property {string} exercise - Exercise title
+ * @property {PersonalRecord|null} heaviestWeight - Heaviest weight lifted
+ * @property {PersonalRecord|null} bestE1rm - Best estimated one-rep max
+ * @property {Map<number, PersonalRecord>} repsByWeight - Most reps per weight
+ * @property {PersonalRecord|null} longestDuration - Longest duration in seconds
+ * @property {PersonalRecord|null} longestDistance - Longest distance in meters
+ */
+
+/**
+ * Rebuilds the Personal Records sheet from the spreadsheet's own rows in the
+ * Workouts sheet, leaving out athletes
+ * @param {Function} [checkTimeout] - Optional function that returns true if timeout is approaching
+ * @param {OwnWorkoutRows} [workoutRows] - Rows already read with readOwnWorkoutRows; read from the sheet when omitted
+ */
+async function updatePersonalRecords(checkTimeout = null, workoutRows = null) {
+  const ss = getActiveSpreadsheet();
+  const workoutSheet = ss.getSheetByName(WORKOUTS_SHEET_NAME);
+
+  if (!workoutSheet) {
+    return;
+  }
+
+  try {
+    checkAndThrowTimeout(checkTimeout, "updatePersonalRecords");
+
+    const { headers, rows: workoutData } =
+      workoutRows || readOwnWorkoutRows(workoutSheet);
+    const records = buildPersonalRecords(
+      workoutData,
+      getWorkoutColumnIndices(headers),
+      _getExerciseTypeMap(ss)
+    );
+
+    checkAndThrowTimeout(checkTimeout, "updatePersonalRecords");
+    await _writePersonalRecords(records, checkTimeout);
+
+    ImportProgressTracker.markOperationComplete("updatePersonalRecords");
+  } catch (error) {
+    if (error instanceof ImportTimeoutError) {
+      ImportProgressTracker.markDeferredOperation("updatePersonalRecords");
+    }
+    throw ErrorHandler.handle(error, {
+      operation: "Updating personal records",
+      sheetName: PERSONAL_RECORDS_SHEET_NAME,
+    });
+  }
+}
+
+/**
+ * Merges newly imported workout rows into the existing personal records.
+ * Falls back to a full rebuild when the sheet is empty or when a changed or
+ * deleted workout currently holds a record, since the record may no longer hold.
+ * @param {Array<Array>} rows - Workout rows in SHEET_HEADERS order
+ * @param {Set<string>} changedWorkoutIds - IDs of deleted or updated workouts
+ * @param {Function} [checkTimeout] - Optional function that returns true if timeout is approaching
+ */
+async function mergePersonalRecords(
+  rows,
+  changedWorkoutIds,
+  checkTimeout = null
+) {
+  const ss = getActiveSpreadsheet();
+  const recordsSheet = ss.getSheetByName(PERSONAL_RECORDS_SHEET_NAME);
+
+  if (!recordsSheet || recordsSheet.getLastRow() <= 1) {
+    await updatePersonalRecords(checkTimeout);
+    return;
+  }
+
+  try {
+    checkAndThrowTimeout(checkTimeout, "updatePersonalRecords");
+
+    const recordData = recordsSheet.getDataRange().getValues();
+    recordData.shift();
+    const records = parsePersonalRecordRows(recordData);
+
+    if (_recordsReferenceWorkouts(records, changedWorkoutIds)) {
+      await updatePersonalRecords(checkTimeout);
+      return;
+    }
+
+    if (rows.length === 0) {
+      return;
+    }
+
+    const indices = getWorkoutColumnIndices(SHEET_HEADERS[WORKOUTS_SHEET_NAME]);
+    buildPersonalRecords(rows, indices, _getExerciseTypeMap(ss), records);
+
+    await _writePersonalRecords(records, checkTimeout);
+  } catch (error) {
+    if (error instanceof ImportTimeoutError) {
+      ImportProgressTracker.markDeferredOperation("updatePersonalRecords");
+    }
+    throw ErrorHandler.handle(error, {
+      operation: "Merging personal records",
+      sheetName: PERSONAL_RECORDS_SHEET_NAME,
+    });
+  }
+}
+
+/**
+ * Builds personal records from workout rows.
+ * Warmup sets are ignored. Ties keep the earliest workout. The best e1RM
+ * uses the Est. 1RM column when present, falling back to Epley.
+ * @param {Array<Array>} workoutData - Workout rows (without header)
+ * @param {Object<number>} indices - Column indices from getWorkoutColumnIndices
+ * @param {Object<string>} typeMap - Exercise template ID to exercise type
+ * @param {Map<string, ExerciseRecords>} [records] - Existing records to merge into
+ * @returns {Map<string, ExerciseRecords>} Records keyed by exercise template ID
+ */
+function buildPersonalRecords(
+  workoutData,
+  indices,
+  typeMap,
+  records = new Map()
+) {
+  workoutData.forEach((row) => {
+    const templateId = String(row[indices.exerciseTemplateId] || "").trim();
+    const workoutId = row[indices.id];
+    const setType = String(row[indices.setType] || "").toLowerCase();
+
+    if (!templateId || !workoutId || setType === "warmup") {
+      return;
+    }
+
+    const exerciseRecords = _getOrCreateExerciseRecords(
+      records,
+      templateId,
+      String(row[indices.exercise] || "").trim()
+    );
+    const date = row[indices.startTime];
+    const weight = _toRecordNumber(row[indices.weight]);
+    const repsOrDistance = _toRecordNumber(row[indices.reps]);
+    const duration = _toRecordNumber(row[indices.duration]);
+    const isDistance = String(typeMap[templateId] || "").includes("distance");
+    const reps = isDistance ? null : repsOrDistance;
+    const distance = isDistance ? repsOrDistance : null;
+
+    const candidate = (value, recordWeight = "", recordReps = "") => ({
+      weight: recordWeight,
+      reps: recordReps,
+      value,
+      workoutId,
+      date,
+    });
+
+    if (weight !== null && weight > 0) {
+      exerciseRecords.heaviestWeight = _pickBetterRecord(
+        exerciseRecords.heaviestWeight,
+        candidate(weight, weight, reps ?? "")
+      );
+    }
+
+    if (reps !== null && reps > 0) {
+      const setWeight = weight ?? 0;
+      exerciseRecords.repsByWeight.set(
+        setWeight,
+        _pickBetterRecord(
+          exerciseRecords.repsByWeight.get(setWeight),
+          candidate(reps, setWeight, reps)
+        )
+      );
+
+      const estimate =
+        (indices.e1rm >= 0 ? _toRecordNumber(row[indices.e1rm]) : null) ??
+        _toRecordNumber(calculateOneRepMax(setWeight, reps));
+      if (estimate !== null && estimate > 0) {
+        exerciseRecords.bestE1rm = _pickBetterRecord(
+          exerciseRecords.bestE1rm,
+          candidate(estimate, setWeight, reps)
+        );
+      }
+    }
+
+    if (duration !== null && duration > 0) {
+      exerciseRecords.longestDuration = _pickBetterRecord(
+        exerciseRecords.longestDuration,
+        candidate(duration)
+      );
+    }
+
+    if (distance !== null && distance > 0) {
+      exerciseRecords.longestDistance = _pickBetterRecord(
+        exerciseRecords.longestDistance,
+        candidate(distance)
+      );
+    }
+  });
+
+  return records;
+}
+
+/**
+ * Converts personal records into sheet rows sorted by exercise and record type
+ * @param {Map<string, ExerciseRecords>} records - Records keyed by exercise template ID
+ * @returns {Array<Array>} Rows in SHEET_HEADERS order
+ */
+function personalRecordsToRows(records) {
+  const rows = [];
+  const sortedIds = Array.from(records.keys()).sort((a, b) =>
+    records.get(a).exercise.localeCompare(records.get(b).exercise)
+  );
+
+  sortedIds.forEach((templateId) => {
+    const exerciseRecords = records.get(templateId);
+    const toRow = (type, record) => [
+      templateId,
+      exerciseRecords.exercise,
+      type,
+      record.weight,
+      record.reps,
+      record.value,
+      record.workoutId,
+      record.date,
+    ];
+
+    if (exerciseRecords.heaviestWeight) {
+      rows.push(
+        toRow(
+          PERSONAL_RECORD_TYPES.HEAVIEST_WEIGHT,
+          exerciseRecords.heaviestWeight
+        )
+      );
+    }
+    if (exerciseRecords.bestE1rm) {
+      rows.push(
+        toRow(PERSONAL_RECORD_TYPES.BEST_E1RM, exerciseRecords.bestE1rm)
+      );
+    }
+    Array.from(exerciseRecords.repsByWeight.keys())
+      .sort((a, b) => b - a)
+      .forEach((weight) => {
+        rows.push(
+          toRow(
+            PERSONAL_RECORD_TYPES.MOST_REPS,
+            exerciseRecords.repsByWeight.get(weight)
+          )
+        );
+      });
+    if (exerciseRecords.longestDuration) {
+      rows.push(
+        toRow(
+          PERSONAL_RECORD_TYPES.LONGEST_DURATION,
+          exerciseRecords.longestDuration
+        )
+      );
+    }
+    if (exerciseRecords.longestDistance) {
+      rows.push(
+        toRow(
+          PERSONAL_RECORD_TYPES.LONGEST_DISTANCE,
+          exerciseRecords.longestDistance
+        )
+      );
+    }
+  });
+
+  return rows;
+}
+
+/**
+ * Parses Personal Records sheet rows back into the records structure
+ * @param {Array<Array>} recordData - Sheet rows (without header)
+ * @returns {Map<string, ExerciseRecords>} Records keyed by exercise template ID
+ */
+function parsePersonalRecordRows(recordData) {
+  const records = new Map();
+
+  recordData.forEach((row) => {
+    const [templateId, exercise, type, weight, reps, value, workoutId, date] =
+      row;
+    if (!templateId || !type) {
+      return;
+    }
+
+    const exerciseRecords = _getOrCreateExerciseRecords(
+      records,
+      String(templateId),
+      String(exercise || "")
+    );
+    const record = { weight, reps, value: Number(value), workoutId, date };
+
+    switch (type) {
+      case PERSONAL_RECORD_TYPES.HEAVIEST_WEIGHT:
+        exerciseRecords.heaviestWeight = record;
+        break;
+      case PERSONAL_RECORD_TYPES.BEST_E1RM:
+        exerciseRecords.bestE1rm = record;
+        break;
+      case PERSONAL_RECORD_TYPES.MOST_REPS:
+        exerciseRecords.repsByWeight.set(Number(weight) || 0, record);
+        break;
+      case PERSONAL_RECORD_TYPES.LONGEST_DURATION:
+        exerciseRecords.longestDuration = record;
+        break;
+      case PERSONAL_RECORD_TYPES.LONGEST_DISTANCE:
+        exerciseRecords.longestDistance = record;
+        break;
+    }
+  });
+
+  return records;
+}
+
+/**
+ * Writes records to the Personal Records sheet, replacing previous contents
+ * @param {Map<string, ExerciseRecords>} records - Records to write
+ * @param {Function} [checkTimeout] - Optional function that returns true if timeout is approaching
+ * @private
+ */
+async function _writePersonalRecords(records, checkTimeout) {
+  const manager = SheetManager.getOrCreate(PERSONAL_RECORDS_SHEET_NAME);
+  const rows = personalRecordsToRows(records);
+
+  manager.clearSheet();
+  if (rows.length > 0) {
+    manager.sheet.getRange(2, 1, rows.length, rows[0].length).setValues(rows);
+  }
+
+  await manager.formatSheet(checkTimeout);
+}
+
+/**
+ * Gets the records entry for an exercise, creating it if needed
+ * @param {Map<string, ExerciseRecords>} records - Records keyed by template ID
+ * @param {string} templateId - Exercise template ID
+ * @param {string} exercise - Exercise title
+ * @returns {ExerciseRecords} Records entry for the exercise
+ * @private
+ */
+function _getOrCreateExerciseRecords(records, templateId, exercise) {
+  if (!records.has(templateId)) {
+    records.set(templateId, {
+      exercise,
+      heaviestWeight: null,
+      bestE1rm: null,
+      repsByWeight: new Map(),
+      longestDuration: null,
+      longestDistance: null,
+    });
+  }
+  return records.get(templateId);
+}
+
+/**
+ * Returns the better of two records: higher value wins, ties keep the earlier date
+ * @param {PersonalRecord|null|undefined} current - Current record
+ * @param {PersonalRecord} candidate - Candidate record
+ * @returns {PersonalRecord} The better record
+ * @private
+ */
+function _pickBetterRecord(current, candidate) {
+  if (!current || candidate.value > current.value) {
+    return candidate;
+  }
+  if (
+    candidate.value === current.value &&
+    new Date(candidate.date).getTime() < new Date(current.date).getTime()
+  ) {
+    return candidate;
+  }
+  return current;
+}
+
+/**
+ * Checks whether any record was set in one of the given workouts
+ * @param {Map<string, ExerciseRecords>} records - Records keyed by template ID
+ * @param {Set<string>} workoutIds - Workout IDs to look for
+ * @returns {boolean} True if a record references one of the workouts
+ * @private
+ */
+function _recordsReferenceWorkouts(records, workoutIds) {
+  if (!workoutIds || workoutIds.size === 0) {
+    return false;
+  }
+
+  for (const exerciseRecords of records.values()) {
+    const entries = [
+      exerciseRecords.heaviestWeight,
+      exerciseRecords.bestE1rm,
+      exerciseRecords.longestDuration,
+      exerciseRecords.longestDistance,
+      ...exerciseRecords.repsByWeight.values(),
+    ];
+    if (entries.some((record) => record && workoutIds.has(record.workoutId))) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Gets the exercise type map, or an empty map when the Exercises sheet is missing
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss - Active spreadsheet
+ * @returns {Object<string>} Exercise template ID to exercise type
+ * @private
+ */
+function _getExerciseTypeMap(ss) {
+  return ss.getSheetByName(EXERCISES_SHEET_NAME) ? buildTemplateTypeMap() : {};
+}
+
+/**
+ * Converts a cell value to a number, treating blanks as missing
+ * @param {*} value - Cell value
+ * @returns {number|null} Parsed number or null
+ * @private
+ */
+function _toRecordNumber(value) {
+  if (value === "" || value === null || value === undefined) {
+    return null;
+  }
+  const number = Number(value);
+  return isNaN(number) ? null : number;
+}
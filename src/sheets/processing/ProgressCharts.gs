@@ -0,0 +1,444 @@
+/**
+ * Per-exercise progression charts.
+ * The Charts sheet holds one block of per-workout rows for each charted
+ * exercise, with an embedded line chart of best set, estimated 1RM and
+ * volume over each block. Once created with buildProgressCharts, the rows
+ * are rebuilt after every import and the charts follow their blocks.
+ * @module ProgressCharts
+ */
+
+/**
+ * @typedef {Object} ChartSelection
+ * @property {Array<string>} exercises - Exercise titles to chart, in order
+ * @property {number} topN - Exercises to chart by Count when no titles are selected
+ */
+
+/**
+ * @typedef {Object} ProgressionPoint
+ * @property {Date} date - Workout start time
+ * @property {number} bestSet - Heaviest working set in kg
+ * @property {number|string} e1rm - Best estimated 1RM in kg ("" when unknown)
+ * @property {number} volume - Weight × reps over the working sets
+ */
+
+/**
+ * Asks which exercises to chart, saves the selection and builds the
+ * Charts sheet
+ */
+async function buildProgressCharts() {
+  try {
+    const ui = SpreadsheetApp.getUi();
+    const current = getChartSelection();
+    const result = ui.prompt(
+      "Progress Charts",
+      "Enter exercise names separated by commas, or a number to chart your most performed exercises.\n\n" +
+        `Currently charting: ${_describeChartSelection(current)}`,
+      ui.ButtonSet.OK_CANCEL
+    );
+
+    if (result.getSelectedButton() !== ui.Button.OK) return;
+
+    const selection = parseChartSelection(result.getResponseText());
+    const { missing } = resolveChartExercises(
+      selection,
+      _getExerciseSheetValues()
+    );
+    if (missing.length > 0) {
+      throw new ValidationError(
+        `Exercises not found in the Exercises sheet: ${missing.join(", ")}`
+      );
+    }
+
+    const props = getDocumentProperties();
+    if (!props) {
+      throw new ConfigurationError(
+        "Unable to access document properties. Please ensure you have proper permissions."
+      );
+    }
+    props.setProperty(CHARTS_CONFIG.PROPERTY_KEY, JSON.stringify(selection));
+
+    SheetManager.getOrCreate(CHARTS_SHEET_NAME);
+    const chartCount = await updateProgressCharts();
+
+    getActiveSpreadsheet().toast(
+      chartCount > 0
+        ? `Built ${chartCount} chart(s). They are updated after each import.`
+        : "No weighted sets found for the selected exercises.",
+      "Progress Charts",
+      TOAST_DURATION.NORMAL
+    );
+  } catch (error) {
+    throw ErrorHandler.handle(error, { operation: "Building progress charts" });
+  }
+}
+
+/**
+ * Rebuilds the Charts sheet from the spreadsheet's own workouts, leaving out
+ * athletes. Does nothing until the sheet has been created with
+ * buildProgressCharts.
+ * @param {Function} [checkTimeout] - Optional function that returns true if timeout is approaching
+ * @param {OwnWorkoutRows} [workoutRows] - Rows already read with readOwnWorkoutRows; read from the sheet when omitted
+ * @returns {Promise<number>} Number of charts built
+ */
+async function updateProgressCharts(checkTimeout = null, workoutRows = null) {
+  const ss = getActiveSpreadsheet();
+  const workoutSheet = ss.getSheetByName(WORKOUTS_SHEET_NAME);
+
+  if (!workoutSheet || !ss.getSheetByName(CHARTS_SHEET_NAME)) {
+    return 0;
+  }
+
+  try {
+    checkAndThrowTimeout(checkTimeout, "updateProgressCharts");
+
+    const { headers, rows: workoutData } =
+      workoutRows || readOwnWorkoutRows(workoutSheet);
+    const { exercises } = resolveChartExercises(
+      getChartSelection(),
+      _getExerciseSheetValues()
+    );
+    const progression = buildExerciseProgression(
+      workoutData,
+      getWorkoutColumnIndices(headers),
+      exercises
+    ).filter((entry) => entry.points.length > 0);
+    const rows = progressionToRows(progression);
+
+    checkAndThrowTimeout(checkTimeout, "updateProgressCharts");
+
+    const manager = SheetManager.getOrCreate(CHARTS_SHEET_NAME);
+    manager.clearSheet();
+    if (rows.length > 0) {
+      manager.sheet.getRange(2, 1, rows.length, rows[0].length).setValues(rows);
+    }
+    await manager.formatSheet(checkTimeout);
+    _syncProgressCharts(manager.sheet, progression);
+
+    ImportProgressTracker.markOperationComplete("updateProgressCharts");
+    return progression.length;
+  } catch (error) {
+    if (error instanceof ImportTimeoutError) {
+      ImportProgressTracker.markDeferredOperation("updateProgressCharts");
+    }
+    throw ErrorHandler.handle(error, {
+      operation: "Updating progress charts",
+      sheetName: CHARTS_SHEET_NAME,
+    });
+  }
+}
+
+/**
+ * Gets the saved chart selection
+ * @returns {ChartSelection} Selection, defaulting to the top exercises by Count
+ */
+function getChartSelection() {
+  const defaults = { exercises: [], topN: CHARTS_CONFIG.DEFAULT_TOP_N };
+  try {
+    const json = getDocumentProperties()?.getProperty(
+      CHARTS_CONFIG.PROPERTY_KEY
+    );
+    return json ? { ...defaults, ...JSON.parse(json) } : defaults;
+  } catch (error) {
+    console.warn("Failed to load chart selection:", error);
+    return defaults;
+  }
+}
+
+/**
+ * Parses the chart prompt: comma-separated exercise names, a number of top
+ * exercises, or blank for the default number
+ * @param {string} text - Prompt response
+ * @returns {ChartSelection} Selection
+ * @throws {ValidationError} If more than CHARTS_CONFIG.MAX_CHARTS exercises are requested
+ */
+function parseChartSelection(text) {
+  const value = String(text ?? "").trim();
+  const max = CHARTS_CONFIG.MAX_CHARTS;
+
+  if (!value) {
+    return { exercises: [], topN: CHARTS_CONFIG.DEFAULT_TOP_N };
+  }
+
+  if (/^\d+$/.test(value)) {
+    const topN = Number(value);
+    if (topN < 1 || topN > max) {
+      throw new ValidationError(
+        `Number of exercises must be from 1 to ${max}, got: ${value}`
+      );
+    }
+    return { exercises: [], topN };
+  }
+
+  const seen = new Set();
+  const exercises = value
+    .split(",")
+    .map((name) => name.trim())
+    .filter((name) => {
+      const key = name.toLowerCase();
+      if (!name || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+  if (exercises.length > max) {
+    throw new ValidationError(
+      `At most ${max} exercises can be charted, got: ${exercises.length}`
+    );
+  }
+  return { exercises, topN: CHARTS_CONFIG.DEFAULT_TOP_N };
+}
+
+/**
+ * Resolves a selection against the Exercises sheet.
+ * Named exercises match titles case-insensitively; without names, the
+ * exercises with the highest "Count" are taken.
+ * @param {ChartSelection} selection - Chart selection
+ * @param {Array<Array>} exerciseValues - Exercises sheet values including the header row
+ * @returns {{exercises: Array<{id: string, title: string}>, missing: Array<string>}} Exercises to chart in order, and names not found
+ */
+function resolveChartExercises(selection, exerciseValues) {
+  const [headers = [], ...rows] = exerciseValues;
+  const idIndex = headers.indexOf("ID");
+  const titleIndex = headers.indexOf("Title");
+  const countIndex = headers.indexOf("Count");
+  const toExercise = (row) => ({
+    id: String(row[idIndex] ?? "").trim(),
+    title: String(row[titleIndex] ?? "").trim(),
+  });
+
+  if (selection.exercises.length === 0) {
+    const exercises = rows
+      .filter((row) => Number(row[countIndex]) > 0)
+      .sort((a, b) => Number(b[countIndex]) - Number(a[countIndex]))
+      .slice(0, selection.topN)
+      .map(toExercise);
+    return { exercises, missing: [] };
+  }
+
+  const byTitle = new Map();
+  rows.forEach((row) => {
+    const exercise = toExercise(row);
+    if (exercise.title && !byTitle.has(exercise.title.toLowerCase())) {
+      byTitle.set(exercise.title.toLowerCase(), exercise);
+    }
+  });
+
+  const exercises = [];
+  const missing = [];
+  selection.exercises.forEach((name) => {
+    const exercise = byTitle.get(name.toLowerCase());
+    if (exercise) {
+      exercises.push(exercise);
+    } else {
+      missing.push(name);
+    }
+  });
+  return { exercises, missing };
+}
+
+/**
+ * Builds per-workout progression points for each exercise.
+ * Warmup sets are ignored and sessions without a weighted set are left out.
+ * Rows match by exercise template ID, falling back to the title. The e1RM
+ * uses the Est. 1RM column when present, falling back to Epley.
+ * @param {Array<Array>} workoutData - Workout rows (without header)
+ * @param {Object<number>} indices - Column indices from getWorkoutColumnIndices
+ * @param {Array<{id: string, title: string}>} exercises - Exercises to chart
+ * @returns {Array<{exercise: string, points: Array<ProgressionPoint>}>} Points by exercise, oldest first
+ */
+function buildExerciseProgression(workoutData, indices, exercises) {
+  const sessions = exercises.map(() => new Map());
+  const byId = new Map();
+  const byTitle = new Map();
+  exercises.forEach(({ id, title }, i) => {
+    if (id && id !== "N/A" && !byId.has(id)) byId.set(id, i);
+    if (title && !byTitle.has(title.toLowerCase())) {
+      byTitle.set(title.toLowerCase(), i);
+    }
+  });
+
+  workoutData.forEach((row) => {
+    const workoutId = row[indices.id];
+    const startTime = row[indices.startTime];
+    const setType = String(row[indices.setType] || "").toLowerCase();
+    if (
+      !workoutId ||
+      setType === "warmup" ||
+      !startTime ||
+      isNaN(new Date(startTime).getTime())
+    ) {
+      return;
+    }
+
+    const templateId = String(row[indices.exerciseTemplateId] || "").trim();
+    const title = String(row[indices.exercise] || "")
+      .trim()
+      .toLowerCase();
+    const index = byId.get(templateId) ?? byTitle.get(title);
+    if (index === undefined) {
+      return;
+    }
+
+    const weight = Number(row[indices.weight]) || 0;
+    const reps = Number(row[indices.reps]) || 0;
+    const estimate =
+      (indices.e1rm >= 0 ? Number(row[indices.e1rm]) : 0) ||
+      (weight > 0 && reps > 0 ? Number(calculateOneRepMax(weight, reps)) : 0);
+
+    if (!sessions[index].has(workoutId)) {
+      sessions[index].set(workoutId, {
+        date: new Date(startTime),
+        bestSet: 0,
+        e1rm: 0,
+        volume: 0,
+      });
+    }
+    const session = sessions[index].get(workoutId);
+    session.bestSet = Math.max(session.bestSet, weight);
+    session.e1rm = Math.max(session.e1rm, estimate || 0);
+    session.volume += weight * reps;
+  });
+
+  const round = (value) => Math.round(value * 100) / 100;
+  return exercises.map(({ title }, i) => ({
+    exercise: title,
+    points: Array.from(sessions[i].values())
+      .filter((session) => session.bestSet > 0)
+      .sort((a, b) => a.date - b.date)
+      .map((session) => ({
+        date: session.date,
+        bestSet: round(session.bestSet),
+        e1rm: session.e1rm > 0 ? round(session.e1rm) : "",
+        volume: round(session.volume),
+      })),
+  }));
+}
+
+/**
+ * Converts progression points into sheet rows, one block per exercise
+ * @param {Array<{exercise: string, points: Array<ProgressionPoint>}>} progression - Result of buildExerciseProgression
+ * @returns {Array<Array>} Rows in SHEET_HEADERS order
+ */
+function progressionToRows(progression) {
+  return progression.flatMap(({ exercise, points }) =>
+    points.map((point) => [
+      exercise,
+      point.date,
+      point.bestSet,
+      point.e1rm,
+      point.volume,
+    ])
+  );
+}
+
+/**
+ * Points the existing charts at their rewritten blocks. The charts are only
+ * removed and inserted again when the charted exercises changed.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - Charts sheet with the rows written
+ * @param {Array<{exercise: string, points: Array<ProgressionPoint>}>} progression - Charted exercises with at least one point
+ * @private
+ */
+function _syncProgressCharts(sheet, progression) {
+  const charts = sheet.getCharts();
+  const chartsByTitle = new Map(
+    charts.map((chart) => [chart.getOptions().get("title"), chart])
+  );
+  const unchanged =
+    charts.length === progression.length &&
+    progression.every(({ exercise }) => chartsByTitle.has(exercise));
+
+  if (!unchanged) {
+    charts.forEach((chart) => sheet.removeChart(chart));
+    _insertProgressCharts(sheet, progression);
+    return;
+  }
+
+  const chartColumn = SHEET_HEADERS[CHARTS_SHEET_NAME].length + 2;
+  let startRow = 2;
+  progression.forEach(({ exercise, points }, i) => {
+    sheet.updateChart(
+      chartsByTitle
+        .get(exercise)
+        .modify()
+        .clearRanges()
+        .addRange(sheet.getRange(startRow, 2, points.length, 4))
+        .setPosition(1 + i * CHARTS_CONFIG.ROWS_PER_CHART, chartColumn, 0, 0)
+        .build()
+    );
+    startRow += points.length;
+  });
+}
+
+/**
+ * Inserts one line chart per exercise block, stacked to the right of the
+ * data. Volume is plotted on a second axis since it dwarfs the weights.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - Charts sheet with the rows written
+ * @param {Array<{exercise: string, points: Array<ProgressionPoint>}>} progression - Charted exercises with at least one point
+ * @private
+ */
+function _insertProgressCharts(sheet, progression) {
+  const headers = SHEET_HEADERS[CHARTS_SHEET_NAME];
+  const chartColumn = headers.length + 2;
+  const neededRows = progression.length * CHARTS_CONFIG.ROWS_PER_CHART;
+
+  if (sheet.getMaxColumns() < chartColumn) {
+    sheet.insertColumnsAfter(
+      sheet.getMaxColumns(),
+      chartColumn - sheet.getMaxColumns()
+    );
+  }
+  if (sheet.getMaxRows() < neededRows) {
+    sheet.insertRowsAfter(sheet.getMaxRows(), neededRows - sheet.getMaxRows());
+  }
+
+  let startRow = 2;
+  progression.forEach(({ exercise, points }, i) => {
+    const chart = sheet
+      .newChart()
+      .setChartType(Charts.ChartType.LINE)
+      .addRange(sheet.getRange(startRow, 2, points.length, 4))
+      .setNumHeaders(0)
+      .setPosition(1 + i * CHARTS_CONFIG.ROWS_PER_CHART, chartColumn, 0, 0)
+      .setOption("title", exercise)
+      .setOption("width", CHARTS_CONFIG.WIDTH)
+      .setOption("height", CHARTS_CONFIG.HEIGHT)
+      .setOption("legend", { position: "bottom" })
+      .setOption("series", {
+        0: { labelInLegend: headers[2] },
+        1: { labelInLegend: headers[3] },
+        2: { labelInLegend: headers[4], targetAxisIndex: 1 },
+      })
+      .setOption("vAxes", {
+        0: { title: "Weight (kg)" },
+        1: { title: headers[4] },
+      })
+      .build();
+    sheet.insertChart(chart);
+    startRow += points.length;
+  });
+}
+
+/**
+ * Reads the Exercises sheet
+ * @returns {Array<Array>} Sheet values including the header row, or [] without the sheet
+ * @private
+ */
+function _getExerciseSheetValues() {
+  const sheet = getActiveSpreadsheet().getSheetByName(EXERCISES_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() === 0) {
+    return [];
+  }
+  return sheet.getDataRange().getValues();
+}
+
+/**
+ * Describes a chart selection for the prompt
+ * @param {ChartSelection} selection - Chart selection
+ * @returns {string} Description
+ * @private
+ */
+function _describeChartSelection(selection) {
+  return selection.exercises.length > 0
+    ? selection.exercises.join(", ")
+    : `top ${selection.topN} exercises by count`;
+}
@@ -0,0 +1,194 @@
+/**
+ * Functions for summarizing training volume per week and month.
+ * Volume is broken down by primary muscle group, joined from the
+ * Exercises sheet, with an "All" row per period.
+ * @module VolumeSummary
+ */
+
+/**
+ * Period labels written to the "Period Type" column
+ * @type {Object<string>}
+ */
+const VOLUME_PERIOD_TYPES = {
+  WEEK: "Week",
+  MONTH: "Month",
+};
+
+/**
+ * Muscle group labels used for totals and unmatched exercises
+ * @type {Object<string>}
+ */
+const VOLUME_MUSCLE_GROUPS = {
+  ALL: "All",
+  UNKNOWN: "Other",
+};
+
+/**
+ * Rebuilds the Volume Summary sheet from the spreadsheet's own workouts,
+ * leaving out athletes
+ * @param {Function} [checkTimeout] - Optional function that returns true if timeout is approaching
+ * @param {OwnWorkoutRows} [workoutRows] - Rows already read with readOwnWorkoutRows; read from the sheet when omitted
+ */
+async function updateVolumeSummary(checkTimeout = null, workoutRows = null) {
+  const ss = getActiveSpreadsheet();
+  const workoutSheet = ss.getSheetByName(WORKOUTS_SHEET_NAME);
+
+  if (!workoutSheet) {
+    return;
+  }
+
+  try {
+    checkAndThrowTimeout(checkTimeout, "updateVolumeSummary");
+
+    const { headers, rows: workoutData } =
+      workoutRows || readOwnWorkoutRows(workoutSheet);
+    const totals = aggregateVolume(
+      workoutData,
+      getWorkoutColumnIndices(headers),
+      buildExerciseMetadataMap()
+    );
+    const rows = volumeTotalsToRows(totals);
+
+    checkAndThrowTimeout(checkTimeout, "updateVolumeSummary");
+
+    const manager = SheetManager.getOrCreate(VOLUME_SUMMARY_SHEET_NAME);
+    manager.clearSheet();
+    if (rows.length > 0) {
+      manager.sheet.getRange(2, 1, rows.length, rows[0].length).setValues(rows);
+    }
+    await manager.formatSheet(checkTimeout);
+
+    ImportProgressTracker.markOperationComplete("updateVolumeSummary");
+  } catch (error) {
+    if (error instanceof ImportTimeoutError) {
+      ImportProgressTracker.markDeferredOperation("updateVolumeSummary");
+    }
+    throw ErrorHandler.handle(error, {
+      operation: "Updating volume summary",
+      sheetName: VOLUME_SUMMARY_SHEET_NAME,
+    });
+  }
+}
+
+/**
+ * Aggregates tonnage, set count and workout count per ISO week and
+ * calendar month, per primary muscle group and in total.
+ * Tonnage is weight × reps; distance and duration sets count as sets only.
+ * @param {Array<Array>} workoutData - Workout rows (without header)
+ * @param {Object<number>} indices - Column indices from getWorkoutColumnIndices
+ * @param {{byId: Map, byTitle: Map}} metadataMap - Result of buildExerciseMetadataMap
+ * @returns {Map<string, Object>} Totals keyed by period type, period and muscle group
+ */
+function aggregateVolume(workoutData, indices, metadataMap) {
+  const totals = new Map();
+
+  const addToBucket = (periodType, period, periodStart, muscle, set) => {
+    const key = `${periodType}|${period}|${muscle}`;
+    if (!totals.has(key)) {
+      totals.set(key, {
+        periodType,
+        period,
+        periodStart,
+        muscle,
+        tonnage: 0,
+        sets: 0,
+        workouts: new Set(),
+      });
+    }
+    const bucket = totals.get(key);
+    bucket.workouts.add(set.workoutId);
+    if (set.hasSet) {
+      bucket.sets += 1;
+      bucket.tonnage += set.tonnage;
+    }
+  };
+
+  workoutData.forEach((row) => {
+    const workoutId = row[indices.id];
+    const startTime = row[indices.startTime];
+    if (!workoutId || !startTime || isNaN(new Date(startTime).getTime())) {
+      return;
+    }
+
+    const exercise = String(row[indices.exercise] || "").trim();
+    const metadata = exercise
+      ? findExerciseMetadata(
+          metadataMap,
+          row[indices.exerciseTemplateId],
+          exercise
+        )
+      : null;
+    const type = metadata?.type ?? "";
+    const weight = Number(row[indices.weight]) || 0;
+    const reps = Number(row[indices.reps]) || 0;
+    const countsTonnage =
+      !type.includes("distance") && !type.includes("duration");
+
+    const set = {
+      workoutId,
+      hasSet: Boolean(exercise),
+      tonnage: countsTonnage ? weight * reps : 0,
+    };
+    const muscles = [VOLUME_MUSCLE_GROUPS.ALL];
+    if (exercise) {
+      muscles.push(
+        metadata?.primaryMuscleGroup || VOLUME_MUSCLE_GROUPS.UNKNOWN
+      );
+    }
+
+    const periods = [
+      [
+        VOLUME_PERIOD_TYPES.WEEK,
+        getIsoWeekKey(startTime),
+        getIsoWeekStart(startTime),
+      ],
+      [
+        VOLUME_PERIOD_TYPES.MONTH,
+        getMonthKey(startTime),
+        getMonthStart(startTime),
+      ],
+    ];
+
+    periods.forEach(([periodType, period, periodStart]) => {
+      muscles.forEach((muscle) =>
+        addToBucket(periodType, period, periodStart, muscle, set)
+      );
+    });
+  });
+
+  return totals;
+}
+
+/**
+ * Converts aggregated totals into sheet rows.
+ * Weeks come before months, newest period first, "All" first within a period.
+ * @param {Map<string, Object>} totals - Result of aggregateVolume
+ * @returns {Array<Array>} Rows in SHEET_HEADERS order
+ */
+function volumeTotalsToRows(totals) {
+  const periodOrder = [VOLUME_PERIOD_TYPES.WEEK, VOLUME_PERIOD_TYPES.MONTH];
+
+  return Array.from(totals.values())
+    .sort((a, b) => {
+      if (a.periodType !== b.periodType) {
+        return (
+          periodOrder.indexOf(a.periodType) - periodOrder.indexOf(b.periodType)
+        );
+      }
+      if (a.periodStart.getTime() !== b.periodStart.getTime()) {
+        return b.periodStart - a.periodStart;
+      }
+      if (a.muscle === VOLUME_MUSCLE_GROUPS.ALL) return -1;
+      if (b.muscle === VOLUME_MUSCLE_GROUPS.ALL) return 1;
+      return a.muscle.localeCompare(b.muscle);
+    })
+    .map((bucket) => [
+      bucket.periodType,
+      bucket.period,
+      bucket.periodStart,
+      bucket.muscle,
+      Math.round(bucket.tonnage * 100) / 100,
+      bucket.sets,
+      bucket.workouts.size,
+    ]);
+}
@@ -146,6 +146,38 @@ const showTakeoutDialog = () => {
   }
 };
 
+/**
+ * Opens the CSV workout import dialog
+ */
+const showCsvImportDialog = () => {
+  try {
+    showHtmlDialog("ui/dialogs/ImportWorkoutsCsv", {
+      width: DIALOG_DIMENSIONS.CSV_IMPORT_WIDTH,
+      height: DIALOG_DIMENSIONS.CSV_IMPORT_HEIGHT,
+    });
+  } catch (error) {
+    throw ErrorHandler.handle(error, {
+      operation: "Showing CSV import dialog",
+    });
+  }
+};
+
+/**
+ * Opens the workout export dialog
+ */
+const showWorkoutExportDialog = () => {
+  try {
+    showHtmlDialog("ui/dialogs/ExportWorkouts", {
+      width: DIALOG_DIMENSIONS.EXPORT_WORKOUTS_WIDTH,
+      height: DIALOG_DIMENSIONS.EXPORT_WORKOUTS_HEIGHT,
+    });
+  } catch (error) {
+    throw ErrorHandler.handle(error, {
+      operation: "Showing workout export dialog",
+    });
+  }
+};
+
 /**
  * Shows a warning dialog about multi-login issues
  */
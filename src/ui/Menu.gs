@@ -11,6 +11,69 @@ async function runFullImport() {
   return getApiClient().runFullImport();
 }
 
+/**
+ * Wrapper function for menu item to import workouts
+ * @returns {Promise<void>}
+ */
+async function runWorkoutsImport() {
+  return _runManualImport(importAllWorkouts, "Importing workouts");
+}
+
+/**
+ * Wrapper function for menu item to import exercises
+ * @returns {Promise<void>}
+ */
+async function runExercisesImport() {
+  return _runManualImport(importAllExercises, "Importing exercises");
+}
+
+/**
+ * Wrapper function for menu item to import routines
+ * @returns {Promise<void>}
+ */
+async function runRoutinesImport() {
+  return _runManualImport(importAllRoutines, "Importing routines");
+}
+
+/**
+ * Wrapper function for menu item to import routine folders
+ * @returns {Promise<void>}
+ */
+async function runRoutineFoldersImport() {
+  return _runManualImport(importAllRoutineFolders, "Importing routine folders");
+}
+
+/**
+ * Runs a single import from the menu or sidebar under the import lock, so it
+ * cannot overlap a scheduled or on-open sync. An import stopped at the time
+ * limit keeps its progress, and running it again continues it.
+ * @param {function(Function): Promise<*>} importer - Import to run, called with the timeout check
+ * @param {string} operation - Operation name for error reporting
+ * @returns {Promise<void>}
+ * @throws {ValidationError} If another import is running
+ * @private
+ */
+async function _runManualImport(importer, operation) {
+  try {
+    await ImportProgressTracker.runExclusive(async (checkTimeout) => {
+      try {
+        await importer(checkTimeout);
+      } catch (error) {
+        if (!(error instanceof ImportTimeoutError)) {
+          throw error;
+        }
+        getActiveSpreadsheet().toast(
+          "Stopped at the time limit. Run the import again to continue.",
+          "Import Paused",
+          TOAST_DURATION.NORMAL
+        );
+      }
+    });
+  } catch (error) {
+    throw ErrorHandler.handle(error, { operation });
+  }
+}
+
 /**
  * Continues an interrupted import by automatically resuming from where it left off
  * Called from the continue import dialog
@@ -43,7 +106,7 @@ const addDeveloperMenuItems = (menu, isTemplate) => {
     .addItem("🔧 Developer API Manager", "showDevApiManagerDialog")
     .addSeparator();
   if (isTemplate) {
-    menu.addItem("💪 Import Exercises", "importAllExercises").addSeparator();
+    menu.addItem("💪 Import Exercises", "runExercisesImport").addSeparator();
   }
 };
 
@@ -58,10 +121,15 @@ const createImportSubmenu = (ui) => {
     .createMenu("📥 Import Data")
     .addItem("📥 Import All", "runFullImport")
     .addSeparator()
-    .addItem("🏋️ Import Workouts", "importAllWorkouts")
-    .addItem("💪 Import Exercises", "importAllExercises")
-    .addItem("📋 Import Routines", "importAllRoutines")
-    .addItem("📁 Import Routine Folders", "importAllRoutineFolders");
+    .addItem("🏋️ Import Workouts", "runWorkoutsImport")
+    .addItem("💪 Import Exercises", "runExercisesImport")
+    .addItem("📋 Import Routines", "runRoutinesImport")
+    .addItem("📁 Import Routine Folders", "runRoutineFoldersImport")
+    .addSubMenu(createImportPreviewSubmenu(ui))
+    .addSeparator()
+    .addItem("🩺 Verify & Repair Workouts", "verifyAndRepairWorkouts")
+    .addItem("⚡ Real-time Sync Setup", "showWebhookSetup")
+    .addItem("📄 Import Workouts from CSV", "showCsvImportDialog");
 
   // Add deferred post-processing option if there are deferred operations
   // Wrap in try-catch to prevent timeout in simple trigger
@@ -86,6 +154,20 @@ const createImportSubmenu = (ui) => {
   return submenu;
 };
 
+/**
+ * Creates import preview submenu
+ * @param {GoogleAppsScript.Base.Ui} ui - The UI object
+ * @returns {GoogleAppsScript.Base.Menu} Import preview submenu
+ * @private
+ */
+const createImportPreviewSubmenu = (ui) =>
+  ui
+    .createMenu("🔍 Preview Import")
+    .addItem("🏋️ Preview Workouts", "previewWorkoutsImport")
+    .addItem("💪 Preview Exercises", "previewExercisesImport")
+    .addItem("📋 Preview Routines", "previewRoutinesImport")
+    .addItem("📁 Preview Routine Folders", "previewRoutineFoldersImport");
+
 /**
  * Creates routine builder submenu
  * @param {GoogleAppsScript.Base.Ui} ui - The UI object
@@ -97,7 +179,21 @@ const createRoutineBuilderSubmenu = (ui) =>
     .createMenu("📝 Routine Builder")
     .addItem("📥 Load Routine for Editing", "showLoadRoutineDialog")
     .addItem("📋 Create Routine from Sheet", "createRoutineFromSheet")
-    .addItem("🗑️ Clear Builder Form", "clearRoutineBuilder");
+    .addItem("🗑️ Clear Builder Form", "clearRoutineBuilder")
+    .addSeparator()
+    .addItem("🆕 Create Custom Exercises", "createCustomExercisesFromSheet");
+
+/**
+ * Creates workout logger submenu
+ * @param {GoogleAppsScript.Base.Ui} ui - The UI object
+ * @returns {GoogleAppsScript.Base.Menu} Workout logger submenu
+ * @private
+ */
+const createWorkoutLoggerSubmenu = (ui) =>
+  ui
+    .createMenu("🏋️ Workout Logger")
+    .addItem("📤 Log Workout to Hevy", "createWorkoutFromSheet")
+    .addItem("🗑️ Clear Workout Logger", "clearWorkoutLogger");
 
 /**
  * Creates a custom menu in the Google Sheets UI when the spreadsheet is opened
@@ -125,6 +221,9 @@ function onOpen(e) {
         .addSubMenu(createImportSubmenu(ui))
         .addSeparator()
         .addSubMenu(createRoutineBuilderSubmenu(ui))
+        .addSubMenu(createWorkoutLoggerSubmenu(ui))
+        .addItem("📦 Export Workouts", "showWorkoutExportDialog")
+        .addItem("📈 Build Progress Charts", "buildProgressCharts")
         .addSeparator()
         .addItem("❤️‍🩹 Import Body Weight from Takeout", "showTakeoutDialog")
         .addItem("⚖️ Log Body Weight", "logWeight");
@@ -212,6 +311,20 @@ function onEdit(e) {
       return;
     }
 
+    if (
+      sheetName === MAIN_SHEET_NAME &&
+      cell === MAIN_SHEET_CELLS.ONE_REP_MAX_FORMULA
+    ) {
+      ensureOneRepMaxFormulaValidation();
+      markOneRepMaxFormulaChanged();
+      getActiveSpreadsheet().toast(
+        `Est. 1RM will be recalculated using ${getOneRepMaxFormula()} on the next import.`,
+        "Formula Changed",
+        TOAST_DURATION.SHORT
+      );
+      return;
+    }
+
     if (sheetName !== "Main" || !["I5", "S16", "T16"].includes(cell)) {
       return;
     }
@@ -312,19 +425,19 @@ const MENU_ACTIONS = {
     message: "Import started",
   },
   importAllWorkouts: {
-    handler: importAllWorkouts,
+    handler: runWorkoutsImport,
     message: "Workouts import initiated",
   },
   importAllExercises: {
-    handler: importAllExercises,
+    handler: runExercisesImport,
     message: "Exercises import initiated",
   },
   importAllRoutines: {
-    handler: importAllRoutines,
+    handler: runRoutinesImport,
     message: "Routines import initiated",
   },
   importAllRoutineFolders: {
-    handler: importAllRoutineFolders,
+    handler: runRoutineFoldersImport,
     message: "Folders import initiated",
   },
   showLoadRoutineDialog: {
@@ -339,12 +452,36 @@ const MENU_ACTIONS = {
     handler: clearRoutineBuilder,
     message: "Form cleared",
   },
+  createWorkoutFromSheet: {
+    handler: createWorkoutFromSheet,
+    message: "Logging workout",
+  },
+  clearWorkoutLogger: {
+    handler: clearWorkoutLogger,
+    message: "Workout logger cleared",
+  },
+  createCustomExercisesFromSheet: {
+    handler: createCustomExercisesFromSheet,
+    message: "Creating custom exercises",
+  },
   logWeight: { handler: logWeight, message: "Weight logging initiated" },
   showGuideDialog: { handler: showGuideDialog, message: "Opening guide" },
   showTakeoutDialog: {
     handler: showTakeoutDialog,
     message: "Weight import initiated",
   },
+  verifyAndRepairWorkouts: {
+    handler: verifyAndRepairWorkouts,
+    message: "Workout verification started",
+  },
+  showCsvImportDialog: {
+    handler: showCsvImportDialog,
+    message: "CSV import initiated",
+  },
+  showWorkoutExportDialog: {
+    handler: showWorkoutExportDialog,
+    message: "Workout export initiated",
+  },
   runDeferredPostProcessing: {
     handler: runDeferredPostProcessing,
     message: "Post-processing initiated",
@@ -396,6 +533,21 @@ const DEFERRED_OPERATION_HANDLERS = {
       await updateExerciseCounts(exerciseSheet, checkTimeout);
     }
   },
+  updatePersonalRecords: async (checkTimeout) => {
+    await updatePersonalRecords(checkTimeout);
+  },
+  updateVolumeSummary: async (checkTimeout) => {
+    await updateVolumeSummary(checkTimeout);
+  },
+  updateMuscleBalance: async (checkTimeout) => {
+    await updateMuscleBalance(checkTimeout);
+  },
+  updateConsistency: async (checkTimeout) => {
+    await updateConsistency(checkTimeout);
+  },
+  updateProgressCharts: async (checkTimeout) => {
+    await updateProgressCharts(checkTimeout);
+  },
 };
 
 /**
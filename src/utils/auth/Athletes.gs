@@ -0,0 +1,286 @@
+/**
+ * Athlete roster
+ * Lets a coach register the API keys of other Hevy accounts and import them
+ * into the same Workouts and Routines sheets, tagged in the "Athlete" column.
+ * Rows with a blank "Athlete" cell belong to the spreadsheet's own account.
+ * @module auth/Athletes
+ */
+
+/**
+ * @typedef {Object} Athlete
+ * @property {string} id - Stable ID used in per-athlete property keys
+ * @property {string} name - Name written to the "Athlete" column
+ * @property {string} apiKey - Hevy API key of the athlete
+ */
+
+/**
+ * Athlete whose account is currently being imported, or null for the
+ * spreadsheet's own account
+ * @type {Athlete|null}
+ * @private
+ */
+let _activeAthlete = null;
+
+/**
+ * Gets the registered athletes
+ * @returns {Array<Athlete>} Athletes in the order they were added
+ */
+function getAthletes() {
+  try {
+    const json = getDocumentProperties()?.getProperty(
+      ATHLETE_CONFIG.PROPERTY_KEY
+    );
+    return json ? JSON.parse(json) : [];
+  } catch (error) {
+    console.warn("Failed to load athletes:", error);
+    return [];
+  }
+}
+
+/**
+ * Gets the athletes for display in the sidebar, with masked API keys
+ * @returns {Array<{id: string, name: string, apiKey: string, lastSync: string|null}>} Athletes
+ */
+function getAthletesForUI() {
+  const props = getDocumentProperties();
+  return getAthletes().map((athlete) => ({
+    id: athlete.id,
+    name: athlete.name,
+    apiKey: `••••${athlete.apiKey.slice(-4)}`,
+    lastSync:
+      props?.getProperty(
+        _getAthletePropertyKey(athlete, "LAST_WORKOUT_UPDATE")
+      ) ?? null,
+  }));
+}
+
+/**
+ * Registers an athlete. Their workouts and routines are imported on the
+ * next sync.
+ * @param {string} name - Name shown in the "Athlete" column
+ * @param {string} apiKey - Hevy API key of the athlete
+ * @returns {Array<Object>} Athletes as returned by getAthletesForUI
+ * @throws {ValidationError} If the name or API key is invalid or already registered
+ */
+function saveAthlete(name, apiKey) {
+  try {
+    const trimmedName = String(name ?? "").trim();
+    if (!trimmedName) {
+      throw new ValidationError("Athlete name cannot be empty");
+    }
+    if (trimmedName.length > ATHLETE_CONFIG.MAX_NAME_LENGTH) {
+      throw new ValidationError(
+        `Athlete name must be at most ${ATHLETE_CONFIG.MAX_NAME_LENGTH} characters`
+      );
+    }
+
+    const trimmedKey = String(apiKey ?? "").trim();
+    const uuidRegex =
+      /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(trimmedKey)) {
+      throw new ValidationError(
+        "Invalid API key format. API key must be a valid UUID (e.g., xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx)."
+      );
+    }
+
+    const athletes = getAthletes();
+    if (athletes.length >= ATHLETE_CONFIG.MAX_ATHLETES) {
+      throw new ValidationError(
+        `At most ${ATHLETE_CONFIG.MAX_ATHLETES} athletes can be added`
+      );
+    }
+    if (
+      athletes.some(
+        (athlete) => athlete.name.toLowerCase() === trimmedName.toLowerCase()
+      )
+    ) {
+      throw new ValidationError(
+        `An athlete named ${trimmedName} already exists`
+      );
+    }
+    const ownKey = getDocumentProperties()?.getProperty("HEVY_API_KEY");
+    if (
+      trimmedKey === ownKey ||
+      athletes.some((athlete) => athlete.apiKey === trimmedKey)
+    ) {
+      throw new ValidationError("This API key is already being imported");
+    }
+
+    athletes.push({
+      id: Utilities.getUuid(),
+      name: trimmedName,
+      apiKey: trimmedKey,
+    });
+    _saveAthletes(athletes);
+    return getAthletesForUI();
+  } catch (error) {
+    throw ErrorHandler.handle(error, {
+      operation: "Saving athlete",
+      athlete: name,
+    });
+  }
+}
+
+/**
+ * Removes an athlete from the roster. Rows already imported for them stay
+ * in the sheets.
+ * @param {string} id - Athlete ID
+ * @returns {Array<Object>} Athletes as returned by getAthletesForUI
+ */
+function removeAthlete(id) {
+  try {
+    const athletes = getAthletes();
+    const athlete = athletes.find((entry) => entry.id === id);
+    if (!athlete) {
+      return getAthletesForUI();
+    }
+
+    _saveAthletes(athletes.filter((entry) => entry.id !== id));
+    const props = getDocumentProperties();
+    props?.deleteProperty(
+      _getAthletePropertyKey(athlete, "LAST_WORKOUT_UPDATE")
+    );
+    props?.deleteProperty(
+      _getAthletePropertyKey(athlete, IMPORT_CONFIG.RETRY_QUEUE_PROPERTY_KEY)
+    );
+    return getAthletesForUI();
+  } catch (error) {
+    throw ErrorHandler.handle(error, {
+      operation: "Removing athlete",
+      athleteId: id,
+    });
+  }
+}
+
+/**
+ * Gets the athlete currently being imported
+ * @returns {Athlete|null} Athlete, or null for the spreadsheet's own account
+ */
+function getActiveAthlete() {
+  return _activeAthlete;
+}
+
+/**
+ * Gets the value written to the "Athlete" column for new rows
+ * @returns {string} Athlete name, or "" for the spreadsheet's own account
+ */
+function getActiveAthleteName() {
+  return _activeAthlete?.name ?? "";
+}
+
+/**
+ * Scopes a document property key to the athlete being imported, so each
+ * athlete keeps its own watermark and retry queue
+ * @param {string} baseKey - Property key used for the spreadsheet's own account
+ * @returns {string} Property key for the active account
+ */
+function getAthletePropertyKey(baseKey) {
+  return _activeAthlete
+    ? _getAthletePropertyKey(_activeAthlete, baseKey)
+    : baseKey;
+}
+
+/**
+ * Runs a step once per athlete with that athlete's API key and property keys.
+ * A failing athlete is reported and skipped so the others still import;
+ * timeouts stop the loop so the next run can continue.
+ * @param {Function} step - Async function receiving the athlete
+ * @throws {ImportTimeoutError} If the time limit is reached
+ */
+async function forEachAthlete(step) {
+  for (const athlete of getAthletes()) {
+    const previous = _activeAthlete;
+    _activeAthlete = athlete;
+    try {
+      await step(athlete);
+    } catch (error) {
+      if (error instanceof ImportTimeoutError) {
+        throw error;
+      }
+      ErrorHandler.handle(
+        error,
+        { operation: "Importing athlete", athlete: athlete.name },
+        false
+      );
+      getActiveSpreadsheet().toast(
+        `${athlete.name}: ${error.message}`,
+        "Athlete Import Failed",
+        TOAST_DURATION.NORMAL
+      );
+    } finally {
+      _activeAthlete = previous;
+    }
+  }
+}
+
+/**
+ * Deletes every athlete's workout watermark so their workouts are listed
+ * again, e.g. after the Workouts sheet was cleared
+ */
+function resetAthleteWorkoutWatermarks() {
+  const props = getDocumentProperties();
+  getAthletes().forEach((athlete) =>
+    props?.deleteProperty(
+      _getAthletePropertyKey(athlete, "LAST_WORKOUT_UPDATE")
+    )
+  );
+}
+
+/**
+ * Keeps the rows of the spreadsheet's own account, dropping athlete rows.
+ * Sheets without an "Athlete" column only hold the own account's rows.
+ * @param {Array<Array>} rows - Data rows
+ * @param {Array<string>} headers - Header row of the sheet
+ * @returns {Array<Array>} Rows with a blank "Athlete" cell
+ */
+function filterOwnRows(rows, headers) {
+  const athleteIndex = headers.indexOf(ATHLETE_CONFIG.HEADER);
+  if (athleteIndex === -1) {
+    return rows;
+  }
+  return rows.filter((row) => !row[athleteIndex]);
+}
+
+/**
+ * @typedef {Object} OwnWorkoutRows
+ * @property {Array<string>} headers - Header row of the Workouts sheet
+ * @property {Array<Array>} rows - Data rows of the spreadsheet's own account
+ */
+
+/**
+ * Reads the Workouts sheet once and keeps the spreadsheet's own rows, so
+ * the summaries refreshed after an import can share a single read
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} workoutSheet - Workouts sheet
+ * @returns {OwnWorkoutRows} Header row and own data rows
+ */
+function readOwnWorkoutRows(workoutSheet) {
+  const [headers, ...rows] = workoutSheet.getDataRange().getValues();
+  return { headers, rows: filterOwnRows(rows, headers) };
+}
+
+/**
+ * Builds the property key of an athlete
+ * @param {Athlete} athlete - The athlete
+ * @param {string} baseKey - Property key used for the spreadsheet's own account
+ * @returns {string} Property key
+ * @private
+ */
+function _getAthletePropertyKey(athlete, baseKey) {
+  return `${baseKey}_ATHLETE_${athlete.id}`;
+}
+
+/**
+ * Writes the roster to document properties
+ * @param {Array<Athlete>} athletes - Athletes to save
+ * @throws {ConfigurationError} If document properties are unavailable
+ * @private
+ */
+function _saveAthletes(athletes) {
+  const props = getDocumentProperties();
+  if (!props) {
+    throw new ConfigurationError(
+      "Unable to access document properties. Please ensure you have proper permissions."
+    );
+  }
+  props.setProperty(ATHLETE_CONFIG.PROPERTY_KEY, JSON.stringify(athletes));
+}
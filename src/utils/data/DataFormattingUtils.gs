@@ -82,6 +82,16 @@ const toTitleCaseFromSnake = (str) => {
     .join(" ");
 };
 
+/**
+ * Converts a Title Case string back to snake_case.
+ * @param {string} str
+ * @returns {string}
+ */
+const toSnakeCaseFromTitle = (str) => {
+  if (!str) return "";
+  return String(str).trim().toLowerCase().split(/\s+/).join("_");
+};
+
 /**
  * Converts an array of snake_case strings into a comma-separated Title Case string.
  * @param {string[]} arr
@@ -0,0 +1,109 @@
+/**
+ * Date Utilities
+ * Provides calendar period helpers (ISO weeks, months) for workout analytics
+ * @module data/DateUtils
+ */
+
+/**
+ * Number of milliseconds in a day
+ * @type {number}
+ * @private
+ */
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Gets the Monday (00:00 local time) of the ISO week containing a date
+ * @param {Date|string} date - Date within the week
+ * @returns {Date} Start of the ISO week
+ */
+function getIsoWeekStart(date) {
+  const value = new Date(date);
+  const start = new Date(
+    value.getFullYear(),
+    value.getMonth(),
+    value.getDate()
+  );
+  start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  return start;
+}
+
+/**
+ * Gets the ISO 8601 week key for a date
+ * @param {Date|string} date - Date to key
+ * @returns {string} Week key such as "2024-W05"
+ * @example
+ * getIsoWeekKey(new Date(2021, 0, 3)); // "2020-W53"
+ */
+function getIsoWeekKey(date) {
+  const thursday = getIsoWeekStart(date);
+  thursday.setDate(thursday.getDate() + 3);
+
+  const isoYear = thursday.getFullYear();
+  const firstThursday = getIsoWeekStart(new Date(isoYear, 0, 4));
+  firstThursday.setDate(firstThursday.getDate() + 3);
+
+  const week = 1 + Math.round((thursday - firstThursday) / MS_PER_DAY / 7);
+  return `${isoYear}-W${String(week).padStart(2, "0")}`;
+}
+
+/**
+ * Gets the first day (00:00 local time) of the month containing a date
+ * @param {Date|string} date - Date within the month
+ * @returns {Date} Start of the month
+ */
+function getMonthStart(date) {
+  const value = new Date(date);
+  return new Date(value.getFullYear(), value.getMonth(), 1);
+}
+
+/**
+ * Gets the calendar month key for a date
+ * @param {Date|string} date - Date to key
+ * @returns {string} Month key such as "2024-01"
+ */
+function getMonthKey(date) {
+  const value = new Date(date);
+  return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(
+    2,
+    "0"
+  )}`;
+}
+
+/**
+ * Counts whole calendar days between two dates, ignoring time of day
+ * @param {Date|string} from - Earlier date
+ * @param {Date|string} to - Later date
+ * @returns {number} Number of days from `from` to `to`
+ */
+function daysBetween(from, to) {
+  const start = new Date(from);
+  const end = new Date(to);
+  return Math.round(
+    (new Date(end.getFullYear(), end.getMonth(), end.getDate()) -
+      new Date(start.getFullYear(), start.getMonth(), start.getDate())) /
+      MS_PER_DAY
+  );
+}
+
+/**
+ * Parses a yyyy-mm-dd day as local midnight
+ * @param {string} value - Day string
+ * @returns {Date} Start of the day
+ * @throws {ValidationError} If the value is not a valid calendar day
+ * @example
+ * parseIsoDay("2024-02-29"); // new Date(2024, 1, 29)
+ */
+function parseIsoDay(value) {
+  const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const day = match
+    ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]))
+    : null;
+  if (
+    !day ||
+    day.getMonth() !== Number(match[2]) - 1 ||
+    day.getDate() !== Number(match[3])
+  ) {
+    throw new ValidationError(`Invalid date: ${value}`);
+  }
+  return day;
+}
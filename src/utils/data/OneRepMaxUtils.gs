@@ -0,0 +1,147 @@
+/**
+ * Estimated One-Rep Max Utilities
+ * Provides e1RM formulas and reads the formula selected on the Main sheet
+ * @module data/OneRepMaxUtils
+ */
+
+/**
+ * Calculates an estimated one-rep max for a set
+ * RPE-adjusted adds reps in reserve (10 - RPE) before applying Epley,
+ * and behaves like plain Epley when no RPE was logged
+ * @param {number|string} weight - Weight lifted in kg
+ * @param {number|string} reps - Reps performed
+ * @param {string} [formula] - One of ONE_REP_MAX_FORMULAS
+ * @param {number|string|null} [rpe] - Rate of Perceived Exertion for the set
+ * @returns {number|string} Estimated 1RM rounded to two decimals, or "" if not applicable
+ * @example
+ * calculateOneRepMax(100, 5); // 116.67
+ * calculateOneRepMax(100, 5, ONE_REP_MAX_FORMULAS.BRZYCKI); // 112.5
+ */
+function calculateOneRepMax(
+  weight,
+  reps,
+  formula = ONE_REP_MAX_FORMULAS.EPLEY,
+  rpe = null
+) {
+  const weightValue = Number(weight);
+  const repsValue = Number(reps);
+
+  if (
+    weight === "" ||
+    weight === null ||
+    reps === "" ||
+    reps === null ||
+    !isFinite(weightValue) ||
+    !isFinite(repsValue) ||
+    weightValue <= 0 ||
+    repsValue <= 0
+  ) {
+    return "";
+  }
+
+  const epley = (r) => (r === 1 ? weightValue : weightValue * (1 + r / 30));
+  let estimate;
+
+  switch (formula) {
+    case ONE_REP_MAX_FORMULAS.BRZYCKI:
+      if (repsValue >= 37) {
+        return "";
+      }
+      estimate = (weightValue * 36) / (37 - repsValue);
+      break;
+    case ONE_REP_MAX_FORMULAS.LOMBARDI:
+      estimate = weightValue * Math.pow(repsValue, 0.1);
+      break;
+    case ONE_REP_MAX_FORMULAS.RPE_ADJUSTED: {
+      const rpeValue = Number(rpe);
+      const repsInReserve =
+        rpe === "" || rpe === null || !isFinite(rpeValue)
+          ? 0
+          : Math.max(0, 10 - rpeValue);
+      estimate = epley(repsValue + repsInReserve);
+      break;
+    }
+    default:
+      estimate = epley(repsValue);
+  }
+
+  return Math.round(estimate * 100) / 100;
+}
+
+/**
+ * Resolves a formula name, matching case-insensitively against ONE_REP_MAX_FORMULAS
+ * @param {*} value - Raw setting value
+ * @returns {string} Canonical formula name, defaulting to Epley
+ */
+function normalizeOneRepMaxFormula(value) {
+  const name = String(value ?? "")
+    .trim()
+    .toLowerCase();
+  return (
+    Object.values(ONE_REP_MAX_FORMULAS).find(
+      (formula) => formula.toLowerCase() === name
+    ) ?? ONE_REP_MAX_FORMULAS.EPLEY
+  );
+}
+
+/**
+ * Gets the e1RM formula selected on the Main sheet
+ * Falls back to Epley when the Main sheet or setting is missing
+ * @returns {string} One of ONE_REP_MAX_FORMULAS
+ */
+function getOneRepMaxFormula() {
+  const mainSheet = getActiveSpreadsheet().getSheetByName(MAIN_SHEET_NAME);
+  if (!mainSheet) {
+    return ONE_REP_MAX_FORMULAS.EPLEY;
+  }
+
+  return normalizeOneRepMaxFormula(
+    mainSheet.getRange(MAIN_SHEET_CELLS.ONE_REP_MAX_FORMULA).getValue()
+  );
+}
+
+/**
+ * Adds a dropdown of ONE_REP_MAX_FORMULAS to the formula setting on the Main
+ * sheet, so a typo is rejected instead of silently falling back to Epley.
+ * Does nothing when the Main sheet is missing or the cell already has a rule.
+ */
+function ensureOneRepMaxFormulaValidation() {
+  const mainSheet = getActiveSpreadsheet().getSheetByName(MAIN_SHEET_NAME);
+  const cell = mainSheet?.getRange(MAIN_SHEET_CELLS.ONE_REP_MAX_FORMULA);
+  if (!cell || cell.getDataValidation()) {
+    return;
+  }
+
+  const rule = SpreadsheetApp.newDataValidation()
+    .requireValueInList(Object.values(ONE_REP_MAX_FORMULAS), true)
+    .setAllowInvalid(false)
+    .build();
+  cell.setDataValidation(rule);
+}
+
+/**
+ * Records that the e1RM formula setting changed. The next workout import
+ * recalculates the Est. 1RM column, personal records and progress charts
+ * under the import lock, which an edit trigger cannot hold.
+ */
+function markOneRepMaxFormulaChanged() {
+  getDocumentProperties()?.setProperty(ONE_REP_MAX_FORMULA_CHANGED_KEY, "true");
+}
+
+/**
+ * Checks whether the e1RM formula changed since the last workout import
+ * @returns {boolean} True if the Est. 1RM column needs recalculating
+ */
+function isOneRepMaxFormulaChanged() {
+  return (
+    getDocumentProperties()?.getProperty(ONE_REP_MAX_FORMULA_CHANGED_KEY) ===
+    "true"
+  );
+}
+
+/**
+ * Clears the e1RM formula change once the import has applied it
+ */
+function clearOneRepMaxFormulaChanged() {
+  getDocumentProperties()?.deleteProperty(ONE_REP_MAX_FORMULA_CHANGED_KEY);
+}
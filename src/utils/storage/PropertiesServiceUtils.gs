@@ -30,6 +30,16 @@ const getUserProperties = () =>
     "user properties"
   );
 
+/**
+ * Gets script properties safely
+ * @returns {GoogleAppsScript.Properties.Properties|null} Properties object or null if error
+ */
+const getScriptProperties = () =>
+  getPropertiesSafely(
+    () => PropertiesService.getScriptProperties(),
+    "script properties"
+  );
+
 /**
  * Gets document properties safely
  * @returns {GoogleAppsScript.Properties.Properties|null} Properties object or null if error
@@ -34,3 +34,14 @@ function getActiveSpreadsheet() {
   }
   return _cachedSpreadsheet;
 }
+
+/**
+ * Opens a spreadsheet by ID and caches it as the active spreadsheet, for
+ * executions that have none, such as web app requests
+ * @param {string} spreadsheetId - Spreadsheet ID
+ * @returns {GoogleAppsScript.Spreadsheet.Spreadsheet} Opened spreadsheet
+ */
+function openSpreadsheetById(spreadsheetId) {
+  _cachedSpreadsheet = SpreadsheetApp.openById(spreadsheetId);
+  return _cachedSpreadsheet;
+}
@@ -0,0 +1,239 @@
+/**
+ * Import run history
+ * Appends one row per import run to the Import Log sheet so that a sync that
+ * did not update the sheets can be traced afterwards.
+ * @module tracking/ImportLog
+ */
+
+/**
+ * @typedef {Object} ImportLogRun
+ * @property {string} source - What started the run (one of IMPORT_LOG_SOURCES)
+ * @property {string} operation - Import that was run, e.g. "Full Import"
+ * @property {Date} startedAt - Start time
+ * @property {number} startUrlFetchCount - QuotaTracker URL fetch count at the start
+ * @property {Object<string, {added: number, updated: number, deleted: number}>} entities - Change counts by entity
+ * @property {Array<string>} failedIds - IDs that failed to import
+ * @property {Error|null} error - First error reported by an import nested in the run
+ */
+
+/**
+ * What started an import run
+ * @type {Object<string>}
+ */
+const IMPORT_LOG_SOURCES = {
+  MANUAL: "Manual",
+  ON_OPEN: "On Open",
+  SCHEDULED: "Scheduled",
+  INITIAL_SETUP: "Initial Setup",
+  WEBHOOK: "Webhook",
+};
+
+/**
+ * Entities whose changes are counted in the log
+ * @type {Object<string>}
+ */
+const IMPORT_LOG_ENTITIES = {
+  EXERCISES: "Exercises",
+  ROUTINE_FOLDERS: "Routine Folders",
+  ROUTINES: "Routines",
+  WORKOUTS: "Workouts",
+};
+
+/**
+ * Outcome written to the "Status" column
+ * @type {Object<string>}
+ */
+const IMPORT_LOG_STATUSES = {
+  SUCCESS: "Success",
+  TIMED_OUT: "Timed Out",
+  ERROR: "Error",
+};
+
+/**
+ * Run currently being logged. Imports started while a run is active, such as
+ * the steps of a full import, add their counts and errors to it instead of
+ * logging a row.
+ * @type {ImportLogRun|null}
+ * @private
+ */
+let _activeImportLogRun = null;
+
+/**
+ * Import log backed by the Import Log sheet
+ */
+class ImportLog {
+  /**
+   * Starts logging an import run
+   * @param {string} source - One of IMPORT_LOG_SOURCES
+   * @param {string} operation - Import being run
+   * @returns {ImportLogRun|{parent: ImportLogRun}} The run, or a handle on the active run it is part of
+   */
+  static start(source, operation) {
+    if (_activeImportLogRun) {
+      return { parent: _activeImportLogRun };
+    }
+
+    _activeImportLogRun = {
+      source,
+      operation,
+      startedAt: new Date(),
+      startUrlFetchCount: this._getUrlFetchCount(),
+      entities: {},
+      failedIds: [],
+      error: null,
+    };
+    return _activeImportLogRun;
+  }
+
+  /**
+   * Adds change counts for an entity to the active run
+   * @param {string} entity - One of IMPORT_LOG_ENTITIES
+   * @param {{added?: number, updated?: number, deleted?: number}} counts - Change counts
+   */
+  static recordChanges(entity, { added = 0, updated = 0, deleted = 0 } = {}) {
+    if (!_activeImportLogRun) {
+      return;
+    }
+
+    const totals = _activeImportLogRun.entities[entity] ?? {
+      added: 0,
+      updated: 0,
+      deleted: 0,
+    };
+    _activeImportLogRun.entities[entity] = {
+      added: totals.added + added,
+      updated: totals.updated + updated,
+      deleted: totals.deleted + deleted,
+    };
+  }
+
+  /**
+   * Adds IDs that failed to import to the active run
+   * @param {Array<string>} ids - Failed IDs
+   */
+  static recordFailedIds(ids) {
+    if (_activeImportLogRun && ids?.length) {
+      _activeImportLogRun.failedIds.push(...ids);
+    }
+  }
+
+  /**
+   * Ends a run and appends its row to the Import Log sheet.
+   * A nested run only passes its error on to the run it is part of.
+   * Logging failures are only reported to the console so they never fail
+   * the import itself.
+   * @param {ImportLogRun|{parent: ImportLogRun}|null} run - Result of start
+   * @param {Error|null} [error=null] - Error that ended the run
+   */
+  static async finish(run, error = null) {
+    if (run?.parent) {
+      run.parent.error = run.parent.error ?? error;
+      return;
+    }
+    if (!run || run !== _activeImportLogRun) {
+      return;
+    }
+    _activeImportLogRun = null;
+
+    try {
+      const urlFetches = Math.max(
+        0,
+        this._getUrlFetchCount() - run.startUrlFetchCount
+      );
+      await this._appendRow(
+        buildImportLogRow(run, new Date(), error ?? run.error, urlFetches)
+      );
+    } catch (logError) {
+      console.warn("Failed to write import log:", logError);
+    }
+  }
+
+  /**
+   * Appends a row, dropping the oldest rows beyond IMPORT_CONFIG.LOG_MAX_ROWS
+   * @param {Array} row - Row in SHEET_HEADERS order
+   * @private
+   */
+  static async _appendRow(row) {
+    const manager = SheetManager.getOrCreate(IMPORT_LOG_SHEET_NAME);
+    const sheet = manager.sheet;
+
+    // formatSheet writes the headers of a new sheet
+    if (sheet.getLastRow() === 0) {
+      await manager.formatSheet();
+    }
+    sheet.appendRow(row);
+
+    const overflow = sheet.getLastRow() - 1 - IMPORT_CONFIG.LOG_MAX_ROWS;
+    if (overflow > 0) {
+      sheet.deleteRows(2, overflow);
+    }
+
+    await manager.formatSheet();
+  }
+
+  /**
+   * Gets today's URL fetch count from QuotaTracker
+   * @returns {number} URL fetch count
+   * @private
+   */
+  static _getUrlFetchCount() {
+    try {
+      return QuotaTracker.getQuotaUsage().urlFetchCount;
+    } catch (error) {
+      console.warn("Failed to read URL fetch count:", error);
+      return 0;
+    }
+  }
+}
+
+/**
+ * Builds the Import Log row for a finished run
+ * @param {ImportLogRun} run - The run
+ * @param {Date} endedAt - End time
+ * @param {Error|null} error - Error that ended the run
+ * @param {number} urlFetches - URL fetches made during the run
+ * @returns {Array} Row in SHEET_HEADERS order
+ */
+function buildImportLogRow(run, endedAt, error, urlFetches) {
+  const counts = Object.values(run.entities);
+  const sum = (key) => counts.reduce((total, count) => total + count[key], 0);
+
+  let status = IMPORT_LOG_STATUSES.SUCCESS;
+  if (error) {
+    status =
+      error instanceof ImportTimeoutError
+        ? IMPORT_LOG_STATUSES.TIMED_OUT
+        : IMPORT_LOG_STATUSES.ERROR;
+  }
+
+  return [
+    run.startedAt,
+    endedAt,
+    Math.round((endedAt - run.startedAt) / 100) / 10,
+    run.source,
+    run.operation,
+    status,
+    sum("added"),
+    sum("updated"),
+    sum("deleted"),
+    formatImportLogChanges(run.entities),
+    run.failedIds.join(", "),
+    error ? ErrorHandler.getErrorCode(error) : "",
+    error?.message ?? "",
+    urlFetches,
+  ];
+}
+
+/**
+ * Formats per-entity change counts for the "Changes" column
+ * @param {Object<string, {added: number, updated: number, deleted: number}>} entities - Change counts by entity
+ * @returns {string} e.g. "Workouts: 2 added, 1 updated, 0 deleted"
+ */
+function formatImportLogChanges(entities) {
+  return Object.entries(entities)
+    .map(
+      ([entity, { added, updated, deleted }]) =>
+        `${entity}: ${added} added, ${updated} updated, ${deleted} deleted`
+    )
+    .join("; ");
+}
@@ -11,6 +11,14 @@
  * @property {boolean} isResuming - Whether this is a resumed import
  */
 
+/**
+ * @typedef {Object} WorkoutImportCheckpoint
+ * @property {number} page - Last page whose rows were fully written
+ * @property {number} nextRow - Sheet row where the next page starts
+ * @property {number} rowsWritten - Rows written so far
+ * @property {string} startedAt - ISO timestamp of when the full import started
+ */
+
 /**
  * Valid import step names in execution order
  * @type {Array<string>}
@@ -18,6 +26,13 @@
  */
 const IMPORT_STEPS = ["exercises", "routineFolders", "routines", "workouts"];
 
+/**
+ * Message shown when an operation is refused because an import is running
+ * @type {string}
+ */
+const IMPORT_BUSY_MESSAGE =
+  "Another import is running. Please try again when it has finished.";
+
 /**
  * Import progress tracking utility
  * Tracks and manages import state across execution sessions
@@ -78,19 +93,73 @@ class ImportProgressTracker {
   }
 
   /**
-   * Clears all import progress from document properties
+   * Clears all import progress, including the workout page checkpoint
    */
   static clearProgress() {
     try {
       const props = getDocumentProperties();
       if (props) {
         props.deleteProperty(IMPORT_CONFIG.PROGRESS_PROPERTY_KEY);
+        props.deleteProperty(IMPORT_CONFIG.WORKOUT_CHECKPOINT_KEY);
       }
     } catch (error) {
       console.warn("Failed to clear import progress:", error);
     }
   }
 
+  /**
+   * Saves how far the full workout import has written
+   * @param {WorkoutImportCheckpoint} checkpoint - Checkpoint to save
+   */
+  static saveWorkoutCheckpoint(checkpoint) {
+    try {
+      const props = getDocumentProperties();
+      if (!props) {
+        console.warn(
+          "Unable to save workout checkpoint: document properties unavailable"
+        );
+        return;
+      }
+
+      props.setProperty(
+        IMPORT_CONFIG.WORKOUT_CHECKPOINT_KEY,
+        JSON.stringify(checkpoint)
+      );
+    } catch (error) {
+      console.warn("Failed to save workout checkpoint:", error);
+    }
+  }
+
+  /**
+   * Loads the full workout import checkpoint
+   * @returns {WorkoutImportCheckpoint|null} Checkpoint or null if not found
+   */
+  static loadWorkoutCheckpoint() {
+    try {
+      const props = getDocumentProperties();
+      const checkpointJson = props?.getProperty(
+        IMPORT_CONFIG.WORKOUT_CHECKPOINT_KEY
+      );
+      return checkpointJson ? JSON.parse(checkpointJson) : null;
+    } catch (error) {
+      console.warn("Failed to load workout checkpoint:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Clears the full workout import checkpoint
+   */
+  static clearWorkoutCheckpoint() {
+    try {
+      getDocumentProperties()?.deleteProperty(
+        IMPORT_CONFIG.WORKOUT_CHECKPOINT_KEY
+      );
+    } catch (error) {
+      console.warn("Failed to clear workout checkpoint:", error);
+    }
+  }
+
   /**
    * Checks if a specific import step has been completed
    * @param {string} stepName - Name of the step to check
@@ -202,6 +271,67 @@ class ImportProgressTracker {
     this.markImportActive();
   }
 
+  /**
+   * Creates the timeout check passed to import steps. It also refreshes the
+   * active import heartbeat, so long runs are not mistaken for stale ones.
+   * @param {number} startTime - Start of the execution (ms since epoch)
+   * @returns {Function} Returns true once the execution time limit is near
+   */
+  static createTimeoutCheck(startTime) {
+    let lastHeartbeat = startTime;
+    return () => {
+      const now = Date.now();
+      if (now - lastHeartbeat >= IMPORT_CONFIG.HEARTBEAT_MS) {
+        this.updateImportActiveHeartbeat();
+        lastHeartbeat = now;
+      }
+      return now - startTime > IMPORT_CONFIG.MAX_EXECUTION_TIME_MS;
+    };
+  }
+
+  /**
+   * Runs a manual operation that writes imported data while holding the
+   * script lock and the active import flag, like the scheduled sync, so it
+   * cannot overlap another import
+   * @template T
+   * @param {function(Function): Promise<T>} operation - Receives the timeout check
+   * @returns {Promise<T>} Result of the operation
+   * @throws {ValidationError} If another import is running
+   */
+  static async runExclusive(operation) {
+    const startTime = Date.now();
+    const lock = LockService.getScriptLock();
+    if (!lock.tryLock(0)) {
+      throw new ValidationError(IMPORT_BUSY_MESSAGE);
+    }
+
+    let markedActive = false;
+    try {
+      if (this.isImportActive()) {
+        throw new ValidationError(IMPORT_BUSY_MESSAGE);
+      }
+      this.markImportActive();
+      markedActive = true;
+      return await operation(this.createTimeoutCheck(startTime));
+    } finally {
+      if (markedActive) {
+        this.clearImportActive();
+      }
+      lock.releaseLock();
+    }
+  }
+
+  /**
+   * Checks whether an error is runExclusive refusing to run over another import
+   * @param {Error} error - Caught error
+   * @returns {boolean} True if another import was running
+   */
+  static isBusyError(error) {
+    return (
+      error instanceof ValidationError && error.message === IMPORT_BUSY_MESSAGE
+    );
+  }
+
   /**
    * Clears the active import flag from document properties
    */
@@ -0,0 +1,149 @@
+/**
+ * Persistent queue of workouts that failed to fetch during a delta import.
+ * Queued workouts are retried on the next sync so they are not lost when
+ * the delta watermark moves past them.
+ * @module tracking/WorkoutRetryQueue
+ */
+
+/**
+ * @typedef {Object} WorkoutRetryEntry
+ * @property {string} id - Workout ID
+ * @property {number} attempts - Number of failed fetch attempts
+ * @property {string} lastAttempt - ISO timestamp of the last failed attempt
+ */
+
+/**
+ * Workout retry queue backed by document properties
+ */
+class WorkoutRetryQueue {
+  /**
+   * Gets the property key of the queue. Each athlete has its own queue.
+   * @returns {string} Property key
+   * @private
+   */
+  static _getPropertyKey() {
+    return getAthletePropertyKey(IMPORT_CONFIG.RETRY_QUEUE_PROPERTY_KEY);
+  }
+
+  /**
+   * Reads the queue from document properties
+   * @returns {Object<string, {attempts: number, lastAttempt: string}>} Entries keyed by workout ID
+   * @private
+   */
+  static _load() {
+    try {
+      const props = getDocumentProperties();
+      const queueJson = props?.getProperty(this._getPropertyKey());
+      return queueJson ? JSON.parse(queueJson) : {};
+    } catch (error) {
+      console.warn("Failed to load workout retry queue:", error);
+      return {};
+    }
+  }
+
+  /**
+   * Writes the queue to document properties, deleting it when empty
+   * @param {Object<string, Object>} queue - Entries keyed by workout ID
+   * @private
+   */
+  static _save(queue) {
+    try {
+      const props = getDocumentProperties();
+      if (!props) {
+        console.warn(
+          "Unable to save workout retry queue: document properties unavailable"
+        );
+        return;
+      }
+
+      if (Object.keys(queue).length === 0) {
+        props.deleteProperty(this._getPropertyKey());
+      } else {
+        props.setProperty(this._getPropertyKey(), JSON.stringify(queue));
+      }
+    } catch (error) {
+      console.warn("Failed to save workout retry queue:", error);
+    }
+  }
+
+  /**
+   * Gets the queued workouts, oldest failure first
+   * @returns {Array<WorkoutRetryEntry>} Queued workouts
+   */
+  static getEntries() {
+    const queue = this._load();
+    return Object.keys(queue)
+      .map((id) => ({ id, ...queue[id] }))
+      .sort((a, b) => a.lastAttempt.localeCompare(b.lastAttempt));
+  }
+
+  /**
+   * Gets the IDs of all queued workouts
+   * @returns {Array<string>} Workout IDs
+   */
+  static getIds() {
+    return Object.keys(this._load());
+  }
+
+  /**
+   * Queues workouts that failed to fetch, counting repeated failures.
+   * When the queue is full the oldest failures are dropped.
+   * @param {Array<string>} workoutIds - IDs that failed to fetch
+   */
+  static add(workoutIds) {
+    if (!workoutIds || workoutIds.length === 0) {
+      return;
+    }
+
+    const queue = this._load();
+    const now = new Date().toISOString();
+    workoutIds.forEach((id) => {
+      queue[id] = {
+        attempts: (queue[id]?.attempts ?? 0) + 1,
+        lastAttempt: now,
+      };
+    });
+
+    const ids = Object.keys(queue);
+    const overflow = ids.length - WORKOUT_IMPORT_CONFIG.RETRY_QUEUE_MAX_SIZE;
+    if (overflow > 0) {
+      ids
+        .sort((a, b) =>
+          queue[a].lastAttempt.localeCompare(queue[b].lastAttempt)
+        )
+        .slice(0, overflow)
+        .forEach((id) => delete queue[id]);
+      console.warn(
+        `Workout retry queue is full, dropped ${overflow} workout(s). Run Verify & Repair Workouts to restore them.`
+      );
+    }
+
+    this._save(queue);
+  }
+
+  /**
+   * Removes workouts from the queue once fetched or deleted
+   * @param {Iterable<string>} workoutIds - IDs to remove
+   */
+  static remove(workoutIds) {
+    const queue = this._load();
+    let changed = false;
+    for (const id of workoutIds) {
+      if (queue[id]) {
+        delete queue[id];
+        changed = true;
+      }
+    }
+
+    if (changed) {
+      this._save(queue);
+    }
+  }
+
+  /**
+   * Empties the queue, e.g. after a full import
+   */
+  static clear() {
+    this._save({});
+  }
+}
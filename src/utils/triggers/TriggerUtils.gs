@@ -7,6 +7,8 @@
 /**
  * Runs the automatic import process
  * This is the function called by the triggers
+ * Holds the import lock like the scheduled sync, and skips the run when
+ * another import is running.
  * @returns {Promise<void>}
  */
 async function runAutomaticImport() {
@@ -27,15 +29,13 @@ async function runAutomaticImport() {
     return;
   }
 
+  let logRun = null;
   try {
-    await importAllExercises();
-
-    if (!isTemplate) {
-      if ((await importAllWorkouts()) > 0) {
-        await importAllRoutineFolders();
-        await importAllRoutines();
-      }
-    }
+    await ImportProgressTracker.runExclusive(async (checkTimeout) => {
+      logRun = ImportLog.start(IMPORT_LOG_SOURCES.ON_OPEN, "Automatic Import");
+      await _runIncrementalSync(isTemplate, checkTimeout);
+    });
+    await ImportLog.finish(logRun);
 
     const executionTime = Date.now() - startTime;
     QuotaTracker.recordExecutionTime(executionTime);
@@ -52,10 +52,249 @@ async function runAutomaticImport() {
     );
   } catch (error) {
     QuotaTracker.recordExecutionTime(Date.now() - startTime);
+    await ImportLog.finish(logRun, error);
+    if (ImportProgressTracker.isBusyError(error)) {
+      console.log("Import already active, skipping automatic import");
+      return;
+    }
+    if (error instanceof ImportTimeoutError) {
+      console.warn("Automatic import stopped at the time limit");
+      return;
+    }
     ErrorHandler.handle(error, { operation: "Running import on open" }, false);
   }
 }
 
+/**
+ * Imports exercises, then workouts, and refreshes routines when workouts changed
+ * Workouts the real-time sync webhook queued during an import are imported too.
+ * Shared by the on-open and scheduled imports
+ * @param {boolean} isTemplate - Whether this is the template spreadsheet
+ * @param {Function} [checkTimeout] - Optional function that returns true if timeout is approaching
+ * @returns {Promise<number>} Number of workout changes
+ * @private
+ */
+async function _runIncrementalSync(isTemplate, checkTimeout = null) {
+  await importAllExercises(checkTimeout);
+
+  if (isTemplate) {
+    return 0;
+  }
+
+  const workoutChanges =
+    (await importQueuedWebhookWorkouts(checkTimeout)) +
+    (await importAllWorkouts(checkTimeout));
+  if (workoutChanges > 0) {
+    await importAllRoutineFolders(checkTimeout);
+    await importAllRoutines(checkTimeout);
+  }
+  return workoutChanges;
+}
+
+/**
+ * Runs the scheduled import process
+ * Called by the time-based trigger installed via configureScheduledSync.
+ * Skips the run when another import holds the lock or is marked active,
+ * and records the outcome for display in the sidebar.
+ * @returns {Promise<void>}
+ */
+async function runScheduledImport() {
+  const startTime = Date.now();
+  const statuses = SCHEDULED_SYNC_CONFIG.STATUSES;
+  const lock = LockService.getScriptLock();
+  let markedActive = false;
+  let logRun = null;
+  let logError = null;
+
+  if (!lock.tryLock(0)) {
+    _recordScheduledSyncRun({
+      status: statuses.SKIPPED,
+      message: "Another import was running",
+    });
+    return;
+  }
+
+  try {
+    if (ImportProgressTracker.isImportActive()) {
+      _recordScheduledSyncRun({
+        status: statuses.SKIPPED,
+        message: "Another import was running",
+      });
+      return;
+    }
+
+    const ss = getActiveSpreadsheet();
+    const apiKey = getDocumentProperties()?.getProperty("HEVY_API_KEY");
+    if (!apiKey) {
+      _recordScheduledSyncRun({
+        status: statuses.SKIPPED,
+        message: "Hevy API key not configured",
+      });
+      return;
+    }
+
+    ImportProgressTracker.markImportActive();
+    markedActive = true;
+    logRun = ImportLog.start(IMPORT_LOG_SOURCES.SCHEDULED, "Scheduled Sync");
+    const checkTimeout = ImportProgressTracker.createTimeoutCheck(startTime);
+
+    const changes = await _runIncrementalSync(
+      ss.getId() === TEMPLATE_SPREADSHEET_ID,
+      checkTimeout
+    );
+
+    _recordScheduledSyncRun({
+      status: statuses.SUCCESS,
+      changes,
+      durationMs: Date.now() - startTime,
+    });
+  } catch (error) {
+    logError = error;
+    if (error instanceof ImportTimeoutError) {
+      _recordScheduledSyncRun({
+        status: statuses.TIMED_OUT,
+        message: "Stopped at the time limit, will continue on the next run",
+        durationMs: Date.now() - startTime,
+      });
+      return;
+    }
+
+    const handledError = ErrorHandler.handle(
+      error,
+      { operation: "Running scheduled import" },
+      false
+    );
+    _recordScheduledSyncRun({
+      status: statuses.ERROR,
+      message: handledError.message,
+      errorCode: handledError.errorCode,
+      durationMs: Date.now() - startTime,
+    });
+  } finally {
+    QuotaTracker.recordExecutionTime(Date.now() - startTime);
+    await ImportLog.finish(logRun, logError);
+    if (markedActive) {
+      ImportProgressTracker.clearImportActive();
+    }
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Installs, replaces or removes the scheduled import trigger
+ * @param {string} frequency - One of SCHEDULED_SYNC_CONFIG.FREQUENCIES
+ * @param {number} [hour] - Hour of day (0-23) for daily syncs
+ * @returns {{frequency: string, hour: number, lastRun: Object|null}} Updated settings
+ * @throws {ValidationError} If frequency or hour is invalid
+ */
+function configureScheduledSync(
+  frequency,
+  hour = SCHEDULED_SYNC_CONFIG.DEFAULT_HOUR
+) {
+  const frequencies = SCHEDULED_SYNC_CONFIG.FREQUENCIES;
+
+  try {
+    if (!Object.values(frequencies).includes(frequency)) {
+      throw new ValidationError(`Unknown sync frequency: ${frequency}`);
+    }
+    const hourValue = Number(hour);
+    if (!Number.isInteger(hourValue) || hourValue < 0 || hourValue > 23) {
+      throw new ValidationError(`Sync hour must be 0-23, got: ${hour}`);
+    }
+
+    ScriptApp.getProjectTriggers()
+      .filter(
+        (t) => t.getHandlerFunction() === SCHEDULED_SYNC_CONFIG.HANDLER_FUNCTION
+      )
+      .forEach((t) => ScriptApp.deleteTrigger(t));
+
+    if (frequency !== frequencies.OFF) {
+      const builder = ScriptApp.newTrigger(
+        SCHEDULED_SYNC_CONFIG.HANDLER_FUNCTION
+      ).timeBased();
+      if (frequency === frequencies.DAILY) {
+        builder.everyDays(1).atHour(hourValue);
+      } else {
+        builder.everyHours(frequency === frequencies.HOURLY ? 1 : 6);
+      }
+      builder.create();
+    }
+
+    getDocumentProperties()?.setProperty(
+      SCHEDULED_SYNC_CONFIG.CONFIG_PROPERTY_KEY,
+      JSON.stringify({ frequency, hour: hourValue })
+    );
+
+    return getScheduledSyncSettings();
+  } catch (error) {
+    throw ErrorHandler.handle(error, {
+      operation: "Configuring scheduled sync",
+      frequency,
+    });
+  }
+}
+
+/**
+ * Gets the scheduled sync configuration and last run outcome
+ * Reports "off" when the saved trigger no longer exists
+ * @returns {{frequency: string, hour: number, lastRun: Object|null}} Current settings
+ */
+function getScheduledSyncSettings() {
+  const properties = getDocumentProperties();
+  const config = _parseJsonProperty(
+    properties,
+    SCHEDULED_SYNC_CONFIG.CONFIG_PROPERTY_KEY
+  );
+  const hasTrigger = ScriptApp.getProjectTriggers().some(
+    (t) => t.getHandlerFunction() === SCHEDULED_SYNC_CONFIG.HANDLER_FUNCTION
+  );
+
+  return {
+    frequency:
+      hasTrigger && config?.frequency
+        ? config.frequency
+        : SCHEDULED_SYNC_CONFIG.FREQUENCIES.OFF,
+    hour: config?.hour ?? SCHEDULED_SYNC_CONFIG.DEFAULT_HOUR,
+    lastRun: _parseJsonProperty(
+      properties,
+      SCHEDULED_SYNC_CONFIG.LAST_RUN_PROPERTY_KEY
+    ),
+  };
+}
+
+/**
+ * Stores the outcome of a scheduled import run
+ * @param {Object} outcome - Run outcome ({status, changes, message, errorCode, durationMs})
+ * @private
+ */
+function _recordScheduledSyncRun(outcome) {
+  try {
+    getDocumentProperties()?.setProperty(
+      SCHEDULED_SYNC_CONFIG.LAST_RUN_PROPERTY_KEY,
+      JSON.stringify({ timestamp: new Date().toISOString(), ...outcome })
+    );
+  } catch (error) {
+    console.warn("Failed to record scheduled sync run:", error);
+  }
+}
+
+/**
+ * Reads and parses a JSON document property
+ * @param {GoogleAppsScript.Properties.Properties|null} properties - Document properties
+ * @param {string} key - Property key
+ * @returns {Object|null} Parsed value, or null if missing or invalid
+ * @private
+ */
+function _parseJsonProperty(properties, key) {
+  try {
+    const json = properties?.getProperty(key);
+    return json ? JSON.parse(json) : null;
+  } catch (error) {
+    console.warn(`Failed to parse property ${key}:`, error);
+    return null;
+  }
+}
+
 /**
  * Runs the initial import after API key is set
  * This function is called by a time-based trigger to avoid blocking the dialog
@@ -63,6 +302,7 @@ async function runAutomaticImport() {
  * @returns {Promise<void>}
  */
 async function runInitialImport() {
+  let logRun = null;
   try {
     // Delete trigger after execution to prevent accumulation
     const triggers = ScriptApp.getProjectTriggers();
@@ -91,8 +331,11 @@ async function runInitialImport() {
     }
 
     // Run full import with skipResumeDialog flag
+    logRun = ImportLog.start(IMPORT_LOG_SOURCES.INITIAL_SETUP, "Full Import");
     await getApiClient().runFullImport(apiKey, true);
+    await ImportLog.finish(logRun);
   } catch (error) {
+    await ImportLog.finish(logRun, error);
     console.error("Initial import failed:", error);
     ErrorHandler.handle(error, { operation: "Running initial import" }, false);
   }
@@ -1,89 +1,1039 @@
-// Mock for SpreadsheetApp
-class MockSpreadsheet {
-  constructor() {
-    this.sheets = [];
+/**
+ * In-memory simulator of Spreadsheet, Sheet and Range.
+ * Sheets keep real cell contents, so tests can run sheet code unchanged and
+ * assert the final grid with getDataRange().getValues(). Formulas are stored
+ * but not evaluated; their cells read back as "".
+ */
+
+/**
+ * Format keys stored per cell, by the Range setter that writes them
+ * @type {Object<string>}
+ */
+const FORMAT_SETTERS = {
+  setBackground: "background",
+  setFontColor: "fontColor",
+  setFontFamily: "fontFamily",
+  setFontSize: "fontSize",
+  setFontWeight: "fontWeight",
+  setFontStyle: "fontStyle",
+  setHorizontalAlignment: "horizontalAlignment",
+  setVerticalAlignment: "verticalAlignment",
+  setNumberFormat: "numberFormat",
+  setWrap: "wrap",
+  setDataValidation: "dataValidation",
+};
+
+const OUT_OF_BOUNDS =
+  "The coordinates of the range are outside the dimensions of the sheet.";
+
+/**
+ * Converts a column letter (e.g. "AB") to its 1-based number
+ * @param {string} letters - Column letters
+ * @returns {number} Column number
+ */
+function columnToNumber(letters) {
+  return [...letters.toUpperCase()].reduce(
+    (number, letter) => number * 26 + letter.charCodeAt(0) - 64,
+    0
+  );
+}
+
+/**
+ * Converts a 1-based column number to its letters
+ * @param {number} column - Column number
+ * @returns {string} Column letters
+ */
+function numberToColumn(column) {
+  let letters = "";
+  for (let n = column; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
   }
+  return letters;
+}
 
-  getSheetByName(name) {
-    return this.sheets.find(sheet => sheet.getName() === name) || null;
+/**
+ * Orders two cell values like the Sheets sort: numbers and dates before
+ * text, and blanks last in either direction
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @param {boolean} [ascending=true] - Sort direction
+ * @returns {number} Sort order
+ */
+function compareCellValues(a, b, ascending = true) {
+  if ((a === "") !== (b === "")) {
+    return a === "" ? 1 : -1;
   }
+  const direction = ascending ? 1 : -1;
+  const rank = (value) => (typeof value === "string" ? 1 : 0);
+  if (rank(a) !== rank(b)) {
+    return (rank(a) - rank(b)) * direction;
+  }
+  if (a instanceof Date || b instanceof Date) {
+    return (new Date(a).getTime() - new Date(b).getTime()) * direction;
+  }
+  if (typeof a === "string") {
+    return a.localeCompare(b) * direction;
+  }
+  return (a < b ? -1 : a > b ? 1 : 0) * direction;
+}
 
-  getSheets() {
-    return this.sheets;
+class MockRange {
+  constructor(sheet, row, col, numRows = 1, numCols = 1) {
+    if (numRows < 1 || numCols < 1) {
+      throw new Error(
+        `The number of ${numRows < 1 ? "rows" : "columns"} in the range must be at least 1.`
+      );
+    }
+    if (
+      row < 1 ||
+      col < 1 ||
+      row + numRows - 1 > sheet.getMaxRows() ||
+      col + numCols - 1 > sheet.getMaxColumns()
+    ) {
+      throw new Error(OUT_OF_BOUNDS);
+    }
+
+    this.sheet = sheet;
+    this.row = row;
+    this.col = col;
+    this.numRows = numRows;
+    this.numCols = numCols;
+
+    Object.entries(FORMAT_SETTERS).forEach(([setter, key]) => {
+      this[setter] = (value) => this._setFormat(key, value);
+    });
   }
 
-  getName() {
-    return 'Mock Spreadsheet';
+  getSheet() {
+    return this.sheet;
+  }
+
+  getRow() {
+    return this.row;
+  }
+
+  getColumn() {
+    return this.col;
+  }
+
+  getNumRows() {
+    return this.numRows;
+  }
+
+  getNumColumns() {
+    return this.numCols;
+  }
+
+  getLastRow() {
+    return this.row + this.numRows - 1;
+  }
+
+  getLastColumn() {
+    return this.col + this.numCols - 1;
+  }
+
+  getA1Notation() {
+    const start = `${numberToColumn(this.col)}${this.row}`;
+    return this.numRows === 1 && this.numCols === 1
+      ? start
+      : `${start}:${numberToColumn(this.getLastColumn())}${this.getLastRow()}`;
+  }
+
+  getValues() {
+    return this._map((cell) => cell?.value ?? "");
+  }
+
+  getValue() {
+    return this.getValues()[0][0];
+  }
+
+  getDisplayValues() {
+    return this._map((cell) => String(cell?.value ?? ""));
+  }
+
+  getFormulas() {
+    return this._map((cell) => cell?.formula ?? "");
+  }
+
+  getFormula() {
+    return this.getFormulas()[0][0];
+  }
+
+  setValues(values) {
+    this._checkDimensions(values);
+    this._forEachCell((r, c) => {
+      const value = values[r - this.row][c - this.col];
+      const isFormula = typeof value === "string" && value.startsWith("=");
+      this.sheet._writeCell(r, c, {
+        value: isFormula || value == null ? "" : value,
+        formula: isFormula ? value : "",
+      });
+    });
+    return this;
+  }
+
+  setValue(value) {
+    return this.setValues(this._fill(value));
+  }
+
+  setFormulas(formulas) {
+    this._checkDimensions(formulas);
+    this._forEachCell((r, c) =>
+      this.sheet._writeCell(r, c, {
+        value: "",
+        formula: formulas[r - this.row][c - this.col] ?? "",
+      })
+    );
+    return this;
+  }
+
+  setFormula(formula) {
+    return this.setFormulas(this._fill(formula));
+  }
+
+  getBackground() {
+    return this.getBackgrounds()[0][0];
+  }
+
+  getBackgrounds() {
+    return this._map((cell) => cell?.format.background ?? "#ffffff");
+  }
+
+  getFontWeight() {
+    return this._map((cell) => cell?.format.fontWeight ?? "normal")[0][0];
+  }
+
+  getFontColor() {
+    return this._map((cell) => cell?.format.fontColor ?? "#000000")[0][0];
+  }
+
+  getNumberFormat() {
+    return this.getNumberFormats()[0][0];
+  }
+
+  getNumberFormats() {
+    return this._map((cell) => cell?.format.numberFormat ?? "General");
+  }
+
+  getDataValidation() {
+    return this._map((cell) => cell?.format.dataValidation ?? null)[0][0];
+  }
+
+  /**
+   * Gets a format stored by one of the FORMAT_SETTERS, for assertions
+   * @param {string} key - Format key, e.g. "fontFamily"
+   * @returns {*} Format of the top-left cell, or null if unset
+   */
+  getFormat(key) {
+    return this._map((cell) => cell?.format[key] ?? null)[0][0];
+  }
+
+  setBorder(...args) {
+    return this._setFormat("border", args);
+  }
+
+  clear() {
+    this._forEachCell((r, c) => this.sheet._clearCell(r, c, true, true));
+    return this;
+  }
+
+  clearContent() {
+    this._forEachCell((r, c) => this.sheet._clearCell(r, c, true, false));
+    return this;
+  }
+
+  clearFormat() {
+    this._forEachCell((r, c) => this.sheet._clearCell(r, c, false, true));
+    return this;
+  }
+
+  clearDataValidations() {
+    return this._setFormat("dataValidation", null);
+  }
+
+  /**
+   * Sorts the rows of the range like Range.sort
+   * @param {number|Object|Array} spec - Column number, {column, ascending} or an array of either
+   * @returns {MockRange} This range
+   */
+  sort(spec) {
+    const specs = (Array.isArray(spec) ? spec : [spec]).map((entry) =>
+      typeof entry === "number"
+        ? { column: entry, ascending: true }
+        : { ascending: true, ...entry }
+    );
+    const rows = this.sheet._cells
+      .slice(this.row - 1, this.getLastRow())
+      .map((cells = []) => cells.slice(this.col - 1, this.getLastColumn()));
+    while (rows.length < this.numRows) {
+      rows.push([]);
+    }
+
+    rows.sort((a, b) => {
+      for (const { column, ascending } of specs) {
+        const order = compareCellValues(
+          a[column - this.col]?.value ?? "",
+          b[column - this.col]?.value ?? "",
+          ascending
+        );
+        if (order !== 0) {
+          return order;
+        }
+      }
+      return 0;
+    });
+
+    rows.forEach((cells, i) => {
+      const target = (this.sheet._cells[this.row - 1 + i] ??= []);
+      for (let j = 0; j < this.numCols; j++) {
+        target[this.col - 1 + j] = cells[j];
+      }
+    });
+    return this;
+  }
+
+  _map(fn) {
+    return Array.from({ length: this.numRows }, (_, i) =>
+      Array.from({ length: this.numCols }, (_, j) =>
+        fn(this.sheet._cells[this.row - 1 + i]?.[this.col - 1 + j])
+      )
+    );
+  }
+
+  _fill(value) {
+    return Array.from({ length: this.numRows }, () =>
+      Array(this.numCols).fill(value)
+    );
+  }
+
+  _forEachCell(fn) {
+    for (let r = this.row; r <= this.getLastRow(); r++) {
+      for (let c = this.col; c <= this.getLastColumn(); c++) {
+        fn(r, c);
+      }
+    }
+  }
+
+  _checkDimensions(values) {
+    if (values.length !== this.numRows) {
+      throw new Error(
+        `The number of rows in the data does not match the number of rows in the range. The data has ${values.length} but the range has ${this.numRows}.`
+      );
+    }
+    const row = values.find((entry) => entry.length !== this.numCols);
+    if (row) {
+      throw new Error(
+        `The number of columns in the data does not match the number of columns in the range. The data has ${row.length} but the range has ${this.numCols}.`
+      );
+    }
+  }
+
+  _setFormat(key, value) {
+    this._forEachCell((r, c) => {
+      this.sheet._ensureCell(r, c).format[key] = value;
+    });
+    return this;
   }
 }
 
 class MockSheet {
-  constructor(name) {
+  /**
+   * @param {string} name - Sheet name
+   * @param {Array<Array>} [values=[]] - Initial grid, starting at A1
+   * @param {Object} [options] - Sheet options
+   * @param {number} [options.maxRows=1000] - Rows in the sheet, grown to fit the values
+   * @param {number} [options.maxColumns=26] - Columns in the sheet, grown to fit the values
+   * @param {MockSpreadsheet} [options.spreadsheet=null] - Parent spreadsheet
+   */
+  constructor(
+    name,
+    values = [],
+    { maxRows = 1000, maxColumns = 26, spreadsheet = null } = {}
+  ) {
     this.name = name;
-    this.data = [];
+    this.sheetId = MockSheet._nextId++;
+    this.spreadsheet = spreadsheet;
+    this.maxRows = Math.max(maxRows, values.length);
+    this.maxColumns = Math.max(maxColumns, ...values.map((row) => row.length));
+    this.frozenRows = 0;
+    this.frozenColumns = 0;
+    this.columnWidths = {};
+    this.conditionalFormatRules = [];
+    this.charts = [];
+    this._cells = [];
+
+    if (values.length > 0) {
+      const width = Math.max(...values.map((row) => row.length));
+      this.getRange(1, 1, values.length, width).setValues(
+        values.map((row) => [...row, ...Array(width - row.length).fill("")])
+      );
+    }
   }
 
   getName() {
     return this.name;
   }
 
-  getRange(row, col, numRows, numCols) {
-    return new MockRange(this, row, col, numRows, numCols);
+  setName(name) {
+    this.name = name;
+    return this;
+  }
+
+  getSheetId() {
+    return this.sheetId;
+  }
+
+  getParent() {
+    return this.spreadsheet;
+  }
+
+  getMaxRows() {
+    return this.maxRows;
+  }
+
+  getMaxColumns() {
+    return this.maxColumns;
   }
 
   getLastRow() {
-    return this.data.length;
+    for (let r = this._cells.length; r > 0; r--) {
+      if ((this._cells[r - 1] ?? []).some(MockSheet._hasContent)) {
+        return r;
+      }
+    }
+    return 0;
   }
 
   getLastColumn() {
-    return this.data[0] ? this.data[0].length : 0;
+    return this._cells.reduce((last, cells = []) => {
+      for (let c = cells.length; c > last; c--) {
+        if (MockSheet._hasContent(cells[c - 1])) {
+          return c;
+        }
+      }
+      return last;
+    }, 0);
   }
 
-  appendRow(rowData) {
-    this.data.push(rowData);
+  /**
+   * Gets a range by position or A1 notation, like Sheet.getRange
+   * @param {number|string} row - Row number, or A1 notation such as "B2" or "A1:C3"
+   * @param {number} [col] - Column number
+   * @param {number} [numRows=1] - Number of rows
+   * @param {number} [numCols=1] - Number of columns
+   * @returns {MockRange} Range
+   */
+  getRange(row, col, numRows = 1, numCols = 1) {
+    if (typeof row !== "string") {
+      return new MockRange(this, row, col, numRows, numCols);
+    }
+
+    const match = row
+      .toUpperCase()
+      .match(/^([A-Z]+)(\d+)(?::([A-Z]+)(\d+)?)?$/);
+    if (!match) {
+      throw new Error(`Range not found: ${row}`);
+    }
+    const startCol = columnToNumber(match[1]);
+    const startRow = Number(match[2]);
+    const endCol = match[3] ? columnToNumber(match[3]) : startCol;
+    const endRow = match[3] ? Number(match[4] ?? this.maxRows) : startRow;
+    return new MockRange(
+      this,
+      startRow,
+      startCol,
+      endRow - startRow + 1,
+      endCol - startCol + 1
+    );
   }
-}
 
-class MockRange {
-  constructor(sheet, row, col, numRows, numCols) {
-    this.sheet = sheet;
-    this.row = row;
-    this.col = col;
-    this.numRows = numRows || 1;
-    this.numCols = numCols || 1;
+  getDataRange() {
+    return new MockRange(
+      this,
+      1,
+      1,
+      Math.max(this.getLastRow(), 1),
+      Math.max(this.getLastColumn(), 1)
+    );
   }
 
-  getValues() {
-    const values = [];
-    for (let i = 0; i < this.numRows; i++) {
-      const rowData = this.sheet.data[this.row - 1 + i] || [];
-      values.push(rowData.slice(this.col - 1, this.col - 1 + this.numCols));
+  getRangeList(a1Notations) {
+    const ranges = a1Notations.map((a1) => this.getRange(a1));
+    const list = { getRanges: () => ranges };
+    [...Object.keys(FORMAT_SETTERS), "setBorder", "clearContent"].forEach(
+      (method) => {
+        list[method] = (...args) => {
+          ranges.forEach((range) => range[method](...args));
+          return list;
+        };
+      }
+    );
+    return list;
+  }
+
+  appendRow(rowContents) {
+    const row = this.getLastRow() + 1;
+    if (row > this.maxRows) {
+      this.maxRows = row;
     }
-    return values;
+    if (rowContents.length > this.maxColumns) {
+      this.maxColumns = rowContents.length;
+    }
+    this.getRange(row, 1, 1, rowContents.length).setValues([rowContents]);
+    return this;
   }
 
-  setValues(values) {
-    for (let i = 0; i < values.length; i++) {
-      if (!this.sheet.data[this.row - 1 + i]) {
-        this.sheet.data[this.row - 1 + i] = [];
+  insertRowsBefore(beforePosition, howMany) {
+    this._checkRow(beforePosition);
+    this._cells.splice(
+      beforePosition - 1,
+      0,
+      ...Array(howMany).fill(undefined)
+    );
+    this.maxRows += howMany;
+    return this;
+  }
+
+  insertRowsAfter(afterPosition, howMany) {
+    this._checkRow(afterPosition);
+    this._cells.splice(afterPosition, 0, ...Array(howMany).fill(undefined));
+    this.maxRows += howMany;
+    return this;
+  }
+
+  insertRowBefore(beforePosition) {
+    return this.insertRowsBefore(beforePosition, 1);
+  }
+
+  insertRowAfter(afterPosition) {
+    return this.insertRowsAfter(afterPosition, 1);
+  }
+
+  deleteRows(rowPosition, howMany) {
+    this._checkRow(rowPosition + howMany - 1);
+    if (howMany >= this.maxRows) {
+      throw new Error("You can't delete all the rows on the sheet.");
+    }
+    this._cells.splice(rowPosition - 1, howMany);
+    this.maxRows -= howMany;
+  }
+
+  deleteRow(rowPosition) {
+    this.deleteRows(rowPosition, 1);
+    return this;
+  }
+
+  insertColumnsAfter(afterPosition, howMany) {
+    this._checkColumn(afterPosition);
+    this._cells.forEach((cells) =>
+      cells?.splice(afterPosition, 0, ...Array(howMany).fill(undefined))
+    );
+    this.maxColumns += howMany;
+    return this;
+  }
+
+  insertColumnsBefore(beforePosition, howMany) {
+    return this.insertColumnsAfter(beforePosition - 1, howMany);
+  }
+
+  insertColumnBefore(beforePosition) {
+    return this.insertColumnsBefore(beforePosition, 1);
+  }
+
+  insertColumnAfter(afterPosition) {
+    return this.insertColumnsAfter(afterPosition, 1);
+  }
+
+  /**
+   * Moves whole columns, like Sheet.moveColumns
+   * @param {MockRange} columnSpec - Range spanning the columns to move
+   * @param {number} destinationIndex - Column to move them before, numbered before the move
+   */
+  moveColumns(columnSpec, destinationIndex) {
+    const start = columnSpec.getColumn();
+    const count = columnSpec.getNumColumns();
+    this._checkColumn(start + count - 1);
+    const insertAt =
+      destinationIndex > start
+        ? destinationIndex - 1 - count
+        : destinationIndex - 1;
+    this._cells.forEach((cells) => {
+      if (!cells) {
+        return;
       }
-      for (let j = 0; j < values[i].length; j++) {
-        this.sheet.data[this.row - 1 + i][this.col - 1 + j] = values[i][j];
+      while (cells.length < Math.max(start - 1 + count, insertAt)) {
+        cells.push(undefined);
       }
+      cells.splice(insertAt, 0, ...cells.splice(start - 1, count));
+    });
+  }
+
+  deleteColumns(columnPosition, howMany) {
+    this._checkColumn(columnPosition + howMany - 1);
+    if (howMany >= this.maxColumns) {
+      throw new Error("You can't delete all the columns on the sheet.");
     }
+    this._cells.forEach((cells) => cells?.splice(columnPosition - 1, howMany));
+    this.maxColumns -= howMany;
   }
 
-  getValue() {
-    return this.getValues()[0][0];
+  clear() {
+    this._cells = [];
+    return this;
   }
 
-  setValue(value) {
-    this.setValues([[value]]);
+  clearContents() {
+    this._cells.forEach((cells = [], r) =>
+      cells.forEach((cell, c) => this._clearCell(r + 1, c + 1, true, false))
+    );
+    return this;
+  }
+
+  clearFormats() {
+    this._cells.forEach((cells = [], r) =>
+      cells.forEach((cell, c) => this._clearCell(r + 1, c + 1, false, true))
+    );
+    return this;
   }
+
+  getFrozenRows() {
+    return this.frozenRows;
+  }
+
+  setFrozenRows(rows) {
+    this.frozenRows = rows;
+  }
+
+  getFrozenColumns() {
+    return this.frozenColumns;
+  }
+
+  setFrozenColumns(columns) {
+    this.frozenColumns = columns;
+  }
+
+  getColumnWidth(columnPosition) {
+    return this.columnWidths[columnPosition] ?? 100;
+  }
+
+  setColumnWidth(columnPosition, width) {
+    this.columnWidths[columnPosition] = width;
+    return this;
+  }
+
+  setColumnWidths(startColumn, numColumns, width) {
+    for (let c = startColumn; c < startColumn + numColumns; c++) {
+      this.columnWidths[c] = width;
+    }
+    return this;
+  }
+
+  autoResizeColumns() {
+    return this;
+  }
+
+  newChart() {
+    return new MockEmbeddedChartBuilder();
+  }
+
+  getCharts() {
+    return [...this.charts];
+  }
+
+  insertChart(chart) {
+    this.charts.push(chart);
+  }
+
+  removeChart(chart) {
+    this.charts = this.charts.filter((entry) => entry !== chart);
+  }
+
+  updateChart(chart) {
+    this.charts = this.charts.map((entry) =>
+      entry.getChartId() === chart.getChartId() ? chart : entry
+    );
+  }
+
+  getConditionalFormatRules() {
+    return [...this.conditionalFormatRules];
+  }
+
+  setConditionalFormatRules(rules) {
+    this.conditionalFormatRules = [...rules];
+  }
+
+  clearConditionalFormatRules() {
+    this.conditionalFormatRules = [];
+  }
+
+  activate() {
+    return this;
+  }
+
+  _ensureCell(row, col) {
+    const cells = (this._cells[row - 1] ??= []);
+    return (cells[col - 1] ??= { value: "", formula: "", format: {} });
+  }
+
+  _writeCell(row, col, content) {
+    Object.assign(this._ensureCell(row, col), content);
+  }
+
+  _clearCell(row, col, content, format) {
+    const cell = this._cells[row - 1]?.[col - 1];
+    if (!cell) {
+      return;
+    }
+    if (content) {
+      cell.value = "";
+      cell.formula = "";
+    }
+    if (format) {
+      cell.format = {};
+    }
+  }
+
+  _checkRow(row) {
+    if (row < 1 || row > this.maxRows) {
+      throw new Error(OUT_OF_BOUNDS);
+    }
+  }
+
+  _checkColumn(column) {
+    if (column < 1 || column > this.maxColumns) {
+      throw new Error(OUT_OF_BOUNDS);
+    }
+  }
+
+  static _hasContent(cell) {
+    return Boolean(cell) && (cell.value !== "" || cell.formula !== "");
+  }
+}
+
+MockSheet._nextId = 1;
+
+class MockSpreadsheet {
+  /**
+   * @param {Object} [options] - Spreadsheet options
+   * @param {string} [options.id="spreadsheet-123"] - Spreadsheet ID
+   * @param {string} [options.name="Mock Spreadsheet"] - Spreadsheet name
+   * @param {string} [options.timeZone="UTC"] - Spreadsheet time zone
+   */
+  constructor({
+    id = "spreadsheet-123",
+    name = "Mock Spreadsheet",
+    timeZone = "UTC",
+  } = {}) {
+    this.id = id;
+    this.name = name;
+    this.timeZone = timeZone;
+    this.sheets = [];
+    this.toast = jest.fn();
+  }
+
+  getId() {
+    return this.id;
+  }
+
+  getName() {
+    return this.name;
+  }
+
+  getSpreadsheetTimeZone() {
+    return this.timeZone;
+  }
+
+  getSheetByName(name) {
+    return this.sheets.find((sheet) => sheet.getName() === name) || null;
+  }
+
+  getSheets() {
+    return [...this.sheets];
+  }
+
+  getActiveSheet() {
+    return this.sheets[0] ?? null;
+  }
+
+  /**
+   * Adds a sheet, like Spreadsheet.insertSheet
+   * @param {string} name - Sheet name
+   * @param {Array<Array>} [values=[]] - Initial grid, for test setup
+   * @returns {MockSheet} New sheet
+   */
+  insertSheet(name, values = []) {
+    if (this.getSheetByName(name)) {
+      throw new Error(
+        `A sheet with the name "${name}" already exists. Please enter another name.`
+      );
+    }
+    const sheet = new MockSheet(name, Array.isArray(values) ? values : [], {
+      spreadsheet: this,
+    });
+    this.sheets.push(sheet);
+    return sheet;
+  }
+
+  deleteSheet(sheet) {
+    this.sheets = this.sheets.filter((entry) => entry !== sheet);
+  }
+}
+
+/**
+ * Builds conditional format rules like SpreadsheetApp.newConditionalFormatRule.
+ * Built rules keep their condition and format as plain data for assertions.
+ */
+class MockConditionalFormatRuleBuilder {
+  constructor() {
+    this.rule = { ranges: [], condition: null, format: {}, gradient: null };
+  }
+
+  setRanges(ranges) {
+    this.rule.ranges = ranges;
+    return this;
+  }
+
+  setBackground(color) {
+    this.rule.format.background = color;
+    return this;
+  }
+
+  setFontColor(color) {
+    this.rule.format.fontColor = color;
+    return this;
+  }
+
+  setBold(bold) {
+    this.rule.format.bold = bold;
+    return this;
+  }
+
+  whenFormulaSatisfied(formula) {
+    return this._when("CUSTOM_FORMULA", formula);
+  }
+
+  whenNumberGreaterThan(number) {
+    return this._when("NUMBER_GREATER_THAN", number);
+  }
+
+  whenNumberGreaterThanOrEqualTo(number) {
+    return this._when("NUMBER_GREATER_THAN_OR_EQUAL_TO", number);
+  }
+
+  whenNumberLessThan(number) {
+    return this._when("NUMBER_LESS_THAN", number);
+  }
+
+  whenNumberBetween(start, end) {
+    return this._when("NUMBER_BETWEEN", start, end);
+  }
+
+  whenNumberEqualTo(number) {
+    return this._when("NUMBER_EQUAL_TO", number);
+  }
+
+  whenTextEqualTo(text) {
+    return this._when("TEXT_EQUAL_TO", text);
+  }
+
+  whenCellEmpty() {
+    return this._when("CELL_EMPTY");
+  }
+
+  whenCellNotEmpty() {
+    return this._when("CELL_NOT_EMPTY");
+  }
+
+  setGradientMinpoint(color) {
+    return this._gradient("min", color, "MIN");
+  }
+
+  setGradientMaxpoint(color) {
+    return this._gradient("max", color, "MAX");
+  }
+
+  setGradientMinpointWithValue(color, type, value) {
+    return this._gradient("min", color, type, value);
+  }
+
+  setGradientMidpointWithValue(color, type, value) {
+    return this._gradient("mid", color, type, value);
+  }
+
+  setGradientMaxpointWithValue(color, type, value) {
+    return this._gradient("max", color, type, value);
+  }
+
+  build() {
+    const rule = { ...this.rule, format: { ...this.rule.format } };
+    return {
+      ...rule,
+      getRanges: () => rule.ranges,
+      getBooleanCondition: () => rule.condition,
+      getGradientCondition: () => rule.gradient,
+    };
+  }
+
+  _when(type, ...values) {
+    this.rule.condition = { type, values };
+    return this;
+  }
+
+  _gradient(point, color, type, value = null) {
+    this.rule.gradient = {
+      ...this.rule.gradient,
+      [point]: { color, type, value },
+    };
+    return this;
+  }
+}
+
+/**
+ * Builds embedded charts like Sheet.newChart. Built charts keep their type,
+ * ranges, position and options as plain data for assertions.
+ */
+class MockEmbeddedChartBuilder {
+  constructor(chart = {}) {
+    this.chart = {
+      chartId: MockEmbeddedChartBuilder._nextId++,
+      chartType: null,
+      ranges: [],
+      numHeaders: -1,
+      position: null,
+      options: {},
+      ...chart,
+    };
+  }
+
+  setChartType(chartType) {
+    this.chart.chartType = chartType;
+    return this;
+  }
+
+  addRange(range) {
+    this.chart.ranges = [...this.chart.ranges, range];
+    return this;
+  }
+
+  clearRanges() {
+    this.chart.ranges = [];
+    return this;
+  }
+
+  setNumHeaders(numHeaders) {
+    this.chart.numHeaders = numHeaders;
+    return this;
+  }
+
+  setPosition(anchorRowPos, anchorColPos, offsetX, offsetY) {
+    this.chart.position = { anchorRowPos, anchorColPos, offsetX, offsetY };
+    return this;
+  }
+
+  setOption(option, value) {
+    this.chart.options = { ...this.chart.options, [option]: value };
+    return this;
+  }
+
+  build() {
+    const chart = { ...this.chart };
+    return {
+      ...chart,
+      getChartId: () => chart.chartId,
+      getRanges: () => chart.ranges,
+      getOptions: () => ({ get: (option) => chart.options[option] ?? null }),
+      modify: () => new MockEmbeddedChartBuilder(chart),
+    };
+  }
+}
+
+MockEmbeddedChartBuilder._nextId = 1;
+
+/**
+ * Builds data validation rules like SpreadsheetApp.newDataValidation
+ */
+class MockDataValidationBuilder {
+  constructor() {
+    this.rule = { criteria: null, values: [], allowInvalid: true };
+  }
+
+  requireValueInList(values, showDropdown = true) {
+    return this._require("VALUE_IN_LIST", values, showDropdown);
+  }
+
+  requireValueInRange(range, showDropdown = true) {
+    return this._require("VALUE_IN_RANGE", range, showDropdown);
+  }
+
+  requireCheckbox() {
+    return this._require("CHECKBOX");
+  }
+
+  requireNumberBetween(start, end) {
+    return this._require("NUMBER_BETWEEN", start, end);
+  }
+
+  setAllowInvalid(allowInvalid) {
+    this.rule.allowInvalid = allowInvalid;
+    return this;
+  }
+
+  setHelpText(helpText) {
+    this.rule.helpText = helpText;
+    return this;
+  }
+
+  build() {
+    const rule = { ...this.rule };
+    return {
+      ...rule,
+      getCriteriaType: () => rule.criteria,
+      getCriteriaValues: () => rule.values,
+    };
+  }
+
+  _require(criteria, ...values) {
+    this.rule.criteria = criteria;
+    this.rule.values = values;
+    return this;
+  }
+}
+
+/**
+ * Creates a SpreadsheetApp whose active spreadsheet is the given simulator
+ * @param {MockSpreadsheet} [spreadsheet=new MockSpreadsheet()] - Active spreadsheet
+ * @returns {Object} SpreadsheetApp replacement
+ */
+function createMockSpreadsheetApp(spreadsheet = new MockSpreadsheet()) {
+  return {
+    getActiveSpreadsheet: jest.fn(() => spreadsheet),
+    getActive: jest.fn(() => spreadsheet),
+    flush: jest.fn(),
+    newConditionalFormatRule: () => new MockConditionalFormatRuleBuilder(),
+    newDataValidation: () => new MockDataValidationBuilder(),
+    BorderStyle: {
+      SOLID: "SOLID",
+      SOLID_MEDIUM: "SOLID_MEDIUM",
+      SOLID_THICK: "SOLID_THICK",
+      DASHED: "DASHED",
+      DOTTED: "DOTTED",
+    },
+    InterpolationType: {
+      MIN: "MIN",
+      MAX: "MAX",
+      NUMBER: "NUMBER",
+      PERCENT: "PERCENT",
+      PERCENTILE: "PERCENTILE",
+    },
+  };
 }
 
 module.exports = {
   MockSpreadsheet,
   MockSheet,
-  MockRange
+  MockRange,
+  MockConditionalFormatRuleBuilder,
+  MockDataValidationBuilder,
+  MockEmbeddedChartBuilder,
+  createMockSpreadsheetApp,
 };
@@ -155,12 +155,13 @@ class ImportManager {
     processFn,
     dataKey,
     additionalParams = {},
-    checkTimeout = null
+    checkTimeout = null,
+    startPage = 1
   ) {
     const apiKey = this.apiKeyManager.getOrPromptApiKey();
     if (!apiKey) return 0;
 
-    let page = 1;
+    let page = startPage;
     let totalProcessed = 0;
     let hasMore = true;
 
@@ -251,11 +252,12 @@ class ImportManager {
       return { processedCount: 0, hasMore: false };
     }
 
-    await processFn(items);
+    const shouldContinue = await processFn(items, page);
 
     return {
       processedCount: items.length,
       hasMore:
+        shouldContinue !== false &&
         items.length === pageSize &&
         (!response.page_count || page < response.page_count),
     };
@@ -392,7 +394,10 @@ describe("ImportManager", () => {
         1
       );
 
-      expect(processFn).toHaveBeenCalledWith([{ id: 1 }, { id: 2 }, { id: 3 }]);
+      expect(processFn).toHaveBeenCalledWith(
+        [{ id: 1 }, { id: 2 }, { id: 3 }],
+        1
+      );
       expect(result).toEqual({
         processedCount: 3,
         hasMore: true, // 3 items = pageSize and page < page_count
@@ -439,6 +444,22 @@ describe("ImportManager", () => {
       });
     });
 
+    test("should stop when processFn returns false", async () => {
+      const response = { workouts: [{ id: 1 }, { id: 2 }, { id: 3 }] };
+      const processFn = jest.fn(async () => false);
+
+      const result = await importManager.processPageData(
+        response,
+        "workouts",
+        processFn,
+        3,
+        1
+      );
+
+      expect(processFn).toHaveBeenCalledWith(response.workouts, 1);
+      expect(result).toEqual({ processedCount: 3, hasMore: false });
+    });
+
     test("should handle missing dataKey gracefully", async () => {
       const response = { otherData: [] };
       const processFn = jest.fn();
@@ -493,6 +514,31 @@ describe("ImportManager", () => {
       expect(mockApiClient.makeRequest).toHaveBeenCalledTimes(1);
     });
 
+    test("should resume from the given start page", async () => {
+      const processFn = jest.fn().mockResolvedValue();
+      mockApiClient.makeRequest.mockResolvedValue({
+        workouts: [{ id: 1 }],
+        page_count: 4,
+      });
+
+      await importManager.fetchPaginatedData(
+        "/workouts",
+        50,
+        processFn,
+        "workouts",
+        {},
+        null,
+        4
+      );
+
+      expect(mockApiClient.makeRequest).toHaveBeenCalledWith(
+        "/workouts",
+        expect.anything(),
+        expect.objectContaining({ page: 4 })
+      );
+      expect(processFn).toHaveBeenCalledWith([{ id: 1 }], 4);
+    });
+
     test("should fetch multiple pages", async () => {
       const processFn = jest.fn().mockResolvedValue();
       mockApiClient.makeRequest
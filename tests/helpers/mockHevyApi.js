@@ -0,0 +1,279 @@
+/**
+ * In-process stand-in for the Hevy API used by end-to-end import tests.
+ * Serves a scripted account through UrlFetchApp.fetch and fetchAll, with
+ * pagination, workout events, scripted failures and rate-limit headers.
+ */
+
+const {
+  MockHTTPResponse,
+} = require("../__mocks__/google-apps-script/UrlFetchApp");
+
+const BASE_URL = "https://api.hevyapp.com/v1";
+
+/**
+ * Largest page size Hevy accepts per paginated endpoint
+ * @type {Object<number>}
+ */
+const MAX_PAGE_SIZES = {
+  "/workouts": 10,
+  "/workouts/events": 10,
+  "/routines": 10,
+  "/routine_folders": 10,
+  "/exercise_templates": 100,
+};
+
+/**
+ * Response key of each paginated collection endpoint
+ * @type {Object<string>}
+ */
+const COLLECTION_KEYS = {
+  "/workouts": "workouts",
+  "/routines": "routines",
+  "/routine_folders": "routine_folders",
+  "/exercise_templates": "exercise_templates",
+};
+
+/**
+ * Deep copies a JSON value so the API never hands out its own objects
+ * @param {*} value - JSON value
+ * @returns {*} Copy of the value
+ */
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * Splits a request URL into its API path and query parameters
+ * @param {string} url - Request URL
+ * @returns {{path: string, query: Object<string>}} Path relative to the API base and decoded query
+ */
+function parseUrl(url) {
+  const [base, queryString = ""] = url.split("?");
+  const query = {};
+  queryString
+    .split("&")
+    .filter(Boolean)
+    .forEach((pair) => {
+      const [key, value = ""] = pair.split("=");
+      query[decodeURIComponent(key)] = decodeURIComponent(value);
+    });
+  return { path: base.replace(BASE_URL, ""), query };
+}
+
+/**
+ * Gets the time a workout event happened
+ * @param {Object} event - Workout event
+ * @returns {string} ISO timestamp
+ */
+const eventTime = (event) => event.workout?.updated_at ?? event.deleted_at;
+
+/**
+ * Creates a mock Hevy API serving one account
+ * @param {Object} [options] - API options
+ * @param {Object} [options.account={}] - Account data keyed like the API responses (workouts, routines, routine_folders, exercise_templates, events)
+ * @param {string|null} [options.apiKey=null] - Only this key is accepted when set; other keys get 401
+ * @param {number} [options.rateLimit=1000] - Requests allowed before every request gets 429
+ * @returns {Object} Mock API with fetch and fetchAll handlers, a request log and scripting helpers
+ */
+function createMockHevyApi({
+  account = {},
+  apiKey = null,
+  rateLimit = 1000,
+} = {}) {
+  const state = {
+    workouts: clone(account.workouts ?? []),
+    routines: clone(account.routines ?? []),
+    routine_folders: clone(account.routine_folders ?? []),
+    exercise_templates: clone(account.exercise_templates ?? []),
+    events: clone(account.events ?? []),
+  };
+  const failures = [];
+  const requests = [];
+  let remaining = rateLimit;
+
+  const rateLimitHeaders = () => ({
+    "X-RateLimit-Limit": String(rateLimit),
+    "X-RateLimit-Remaining": String(Math.max(remaining, 0)),
+    "X-RateLimit-Reset": String(Math.floor(Date.now() / 1000) + 60),
+  });
+
+  const respond = (status, body, headers = {}) =>
+    new MockHTTPResponse(body, status, { ...rateLimitHeaders(), ...headers });
+
+  const paginate = (path, query, items, key) => {
+    const page = Number(query.page ?? 1);
+    const pageSize = Number(query.page_size ?? query.pageSize ?? 5);
+    if (!(pageSize >= 1 && pageSize <= MAX_PAGE_SIZES[path])) {
+      return respond(400, { error: `Invalid page size: ${pageSize}` });
+    }
+
+    const pageCount = Math.ceil(items.length / pageSize);
+    if (page < 1 || page > Math.max(pageCount, 1)) {
+      return respond(404, { error: "Page not found" });
+    }
+
+    return respond(200, {
+      page,
+      page_count: pageCount,
+      [key]: clone(items.slice((page - 1) * pageSize, page * pageSize)),
+    });
+  };
+
+  const route = (path, query) => {
+    if (path === "/workouts/count") {
+      return respond(200, { workout_count: state.workouts.length });
+    }
+    if (path === "/workouts/events") {
+      const events = query.since
+        ? state.events.filter((event) => eventTime(event) >= query.since)
+        : state.events;
+      return paginate(path, query, events, "events");
+    }
+    if (COLLECTION_KEYS[path]) {
+      return paginate(
+        path,
+        query,
+        state[COLLECTION_KEYS[path]],
+        COLLECTION_KEYS[path]
+      );
+    }
+
+    const workoutMatch = path.match(/^\/workouts\/([^/]+)$/);
+    const workout =
+      workoutMatch &&
+      state.workouts.find((entry) => entry.id === workoutMatch[1]);
+    return workout
+      ? respond(200, clone(workout))
+      : respond(404, { error: "Not found" });
+  };
+
+  const takeFailure = (path, query) => {
+    const failure = failures.find(
+      (entry) =>
+        entry.times > 0 &&
+        entry.path === path &&
+        (entry.page == null || Number(query.page ?? 1) === entry.page)
+    );
+    if (failure) {
+      failure.times--;
+    }
+    return failure;
+  };
+
+  /**
+   * Handles one request like UrlFetchApp.fetch
+   * @param {string} url - Request URL
+   * @param {Object} [options={}] - UrlFetchApp request options
+   * @returns {MockHTTPResponse} Response
+   */
+  const fetch = (url, options = {}) => {
+    const { path, query } = parseUrl(url);
+    const method = (options.method ?? "GET").toUpperCase();
+    remaining--;
+
+    let response;
+    const failure = takeFailure(path, query);
+    if (apiKey && options.headers?.["api-key"] !== apiKey) {
+      response = respond(401, { error: "Unauthorized" });
+    } else if (remaining < 0) {
+      response = respond(429, { error: "Too many requests" });
+    } else if (failure) {
+      response = respond(
+        failure.status,
+        { error: `Scripted ${failure.status}` },
+        failure.headers
+      );
+    } else {
+      response = route(path, query);
+    }
+
+    requests.push({ method, path, query, status: response.getResponseCode() });
+    return response;
+  };
+
+  /**
+   * Handles parallel requests like UrlFetchApp.fetchAll
+   * @param {Array<Object>} batch - Request objects with a url and request options
+   * @returns {Array<MockHTTPResponse>} Responses in request order
+   */
+  const fetchAll = (batch) =>
+    batch.map(({ url, ...options }) => fetch(url, options));
+
+  return {
+    fetch,
+    fetchAll,
+    requests,
+    state,
+
+    /**
+     * Routes UrlFetchApp to this API
+     */
+    install() {
+      global.UrlFetchApp = {
+        fetch: jest.fn(fetch),
+        fetchAll: jest.fn(fetchAll),
+      };
+    },
+
+    /**
+     * Gets the logged requests to one path
+     * @param {string} path - API path, e.g. "/workouts"
+     * @returns {Array<Object>} Requests in the order they were made
+     */
+    requestsTo(path) {
+      return requests.filter((request) => request.path === path);
+    },
+
+    /**
+     * Makes the next requests to a path fail
+     * @param {string} path - API path, e.g. "/workouts/events"
+     * @param {number} status - HTTP status to return, e.g. 429 or 503
+     * @param {Object} [options] - Failure options
+     * @param {number} [options.times=1] - Number of requests that fail
+     * @param {number} [options.page] - Only fail requests for this page
+     * @param {Object} [options.headers={}] - Extra response headers, e.g. Retry-After
+     */
+    failNext(path, status, { times = 1, page = null, headers = {} } = {}) {
+      failures.push({ path, status, times, page, headers });
+    },
+
+    /**
+     * Restores the rate limit, as when the limit window resets
+     */
+    resetRateLimit() {
+      remaining = rateLimit;
+    },
+
+    /**
+     * Creates or updates a workout and records an "updated" event
+     * @param {Object} workout - Workout as returned by the API
+     * @returns {Object} Saved workout
+     */
+    saveWorkout(workout) {
+      const saved = { ...clone(workout), updated_at: new Date().toISOString() };
+      const index = state.workouts.findIndex((entry) => entry.id === saved.id);
+      if (index === -1) {
+        state.workouts.unshift(saved);
+      } else {
+        state.workouts[index] = saved;
+      }
+      state.events.push({ type: "updated", workout: clone(saved) });
+      return saved;
+    },
+
+    /**
+     * Deletes a workout and records a "deleted" event
+     * @param {string} id - Workout ID
+     */
+    deleteWorkout(id) {
+      state.workouts = state.workouts.filter((entry) => entry.id !== id);
+      state.events.push({
+        type: "deleted",
+        id,
+        deleted_at: new Date().toISOString(),
+      });
+    },
+  };
+}
+
+module.exports = {
+  createMockHevyApi,
+};
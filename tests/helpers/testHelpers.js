@@ -115,6 +115,31 @@ function createMockWorkoutEvent(overrides = {}) {
   };
 }
 
+/**
+ * Creates a simulated web app POST event, as passed to doPost
+ * @param {Object} options - Event options
+ * @param {Object|string} options.body - Request body, serialized unless already a string
+ * @param {Object} options.parameter - URL parameters
+ * @returns {Object} Mock doPost event object
+ */
+function createMockPostEvent({ body = {}, parameter = {} } = {}) {
+  const contents = typeof body === "string" ? body : JSON.stringify(body);
+
+  return {
+    parameter,
+    parameters: Object.fromEntries(
+      Object.entries(parameter).map(([key, value]) => [key, [value]])
+    ),
+    contentLength: contents.length,
+    postData: {
+      contents,
+      length: contents.length,
+      type: "application/json",
+      name: "postData",
+    },
+  };
+}
+
 /**
  * Creates a mock API response
  * @param {Object} options - Response options
@@ -311,6 +336,7 @@ module.exports = {
   createMockRoutine,
   createMockRoutineFolder,
   createMockWorkoutEvent,
+  createMockPostEvent,
   createMockApiResponse,
   createMockSheet,
   createMockSpreadsheet,
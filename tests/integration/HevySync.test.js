@@ -0,0 +1,2175 @@
+/**
+ * End-to-end import tests against the mock Hevy API.
+ * The API client, pagination and delta import run as in production; only
+ * the sheets are replaced by in-memory stores.
+ */
+
+const { createMockHevyApi } = require("../helpers/mockHevyApi");
+const { createMockWorkout } = require("../helpers/testHelpers");
+const recordedAccount = require("../fixtures/hevyAccount.json");
+
+// Constants
+const API_ENDPOINTS = {
+  BASE: "https://api.hevyapp.com/v1",
+  WORKOUTS: "/workouts",
+  WORKOUTS_EVENTS: "/workouts/events",
+  WORKOUTS_COUNT: "/workouts/count",
+  ROUTINES: "/routines",
+  EXERCISES: "/exercise_templates",
+  ROUTINE_FOLDERS: "/routine_folders",
+};
+
+const PAGE_SIZE = {
+  WORKOUTS: 10,
+  ROUTINES: 10,
+  EXERCISES: 100,
+  ROUTINE_FOLDERS: 10,
+};
+
+const MAX_PAGES = 10000;
+
+const RATE_LIMIT = {
+  API_DELAY: 25, // Milliseconds between API requests when rate limit info unavailable
+  BATCH_SIZE: 100, // Default batch size for operations
+  MAX_RETRIES: 5, // Maximum retry attempts
+  BACKOFF_MULTIPLIER: 2, // Exponential backoff multiplier
+  PARALLEL_PAGE_CONCURRENCY: 4, // Number of pages to fetch in parallel using UrlFetchApp.fetchAll
+};
+
+const HTTP_STATUS = {
+  OK: 200,
+  CREATED: 201,
+  NO_CONTENT: 204,
+  BAD_REQUEST: 400,
+  UNAUTHORIZED: 401,
+  FORBIDDEN: 403,
+  NOT_FOUND: 404,
+  REQUEST_TIMEOUT: 408,
+  TOO_MANY_REQUESTS: 429,
+  INTERNAL_SERVER_ERROR: 500,
+  BAD_GATEWAY: 502,
+  SERVICE_UNAVAILABLE: 503,
+  GATEWAY_TIMEOUT: 504,
+};
+
+const HTTP_STATUS_RANGE = {
+  SUCCESS_START: 200,
+  SUCCESS_END: 299,
+  CLIENT_ERROR_START: 400,
+  CLIENT_ERROR_END: 499,
+  SERVER_ERROR_START: 500,
+  SERVER_ERROR_END: 599,
+};
+
+const API_CLIENT_CONFIG = {
+  BASE_DELAY_MS: 1000, // Base delay for exponential backoff (milliseconds)
+  MAX_DELAY_MS: 10000, // Maximum delay for exponential backoff (milliseconds)
+  VALIDATION_TIMEOUT_MS: 15000, // Timeout for API key validation (milliseconds)
+  REQUEST_TIMEOUT_MS: 30000, // Timeout for API requests (milliseconds)
+  SERVICE_UNAVAILABLE_DELAY_MS: 5000, // Mandatory delay before retrying 503 errors (5 seconds)
+  CIRCUIT_BREAKER_FAILURE_THRESHOLD: 5.0, // Weighted failure count before opening circuit
+  CIRCUIT_BREAKER_RESET_TIMEOUT_MS: 60000, // Time to wait before attempting reset (1 minute)
+  CIRCUIT_BREAKER_STATUS_CODE: 429, // Status code used by circuit breaker (429 = Too Many Requests)
+};
+
+const WORKOUT_IMPORT_CONFIG = {
+  FAILURE_THRESHOLD: 0.5, // Maximum percentage of failures before aborting (0.5 = 50%)
+  MIN_SUCCESS_COUNT: 1, // Minimum number of successful requests required
+  RETRY_ATTEMPTS: 2, // Number of additional retry attempts for failed requests
+  BATCH_SIZE: 100, // Batch size for processing workout requests
+  RETRY_QUEUE_MAX_SIZE: 150, // Failed workouts kept for retry (fits one document property)
+};
+
+const CACHE_CONFIG = {
+  TTL_SECONDS: 600, // Time-to-live for cache entries (10 minutes, max for CacheService)
+  MAX_MEMORY_CACHE_SIZE: 100, // Maximum number of entries in memory cache
+};
+
+const TOAST_DURATION = { SHORT: 3, NORMAL: 5, LONG: 8 };
+const IMPORT_CONFIG = {
+  MAX_EXECUTION_TIME_MS: 5 * 60 * 1000,
+  HEARTBEAT_MS: 2 * 60 * 1000,
+};
+const IMPORT_LOG_SOURCES = { MANUAL: "Manual" };
+const IMPORT_LOG_ENTITIES = { WORKOUTS: "Workouts" };
+const WORKOUTS_SHEET_NAME = "Workouts";
+const AUTHORIZED_API_KEY = "PLACEHOLDER_KEY";
+const TEMPLATE_SPREADSHEET_ID = "template-spreadsheet";
+const API_KEY = "0b7c6c47-2b5d-4b4e-9f55-6f7f0e2d8a11";
+
+// Error classes
+class ValidationError extends Error {
+  constructor(message, context = {}) {
+    super(message);
+    this.name = "ValidationError";
+    this.context = context;
+  }
+}
+
+class ApiError extends Error {
+  constructor(message, statusCode, response, context = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.statusCode = statusCode;
+    this.response = response;
+    this.context = context;
+  }
+
+  isRetryable() {
+    const retryableStatusCodes = [
+      HTTP_STATUS.REQUEST_TIMEOUT,
+      HTTP_STATUS.TOO_MANY_REQUESTS,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      HTTP_STATUS.BAD_GATEWAY,
+      HTTP_STATUS.SERVICE_UNAVAILABLE,
+      HTTP_STATUS.GATEWAY_TIMEOUT,
+    ];
+    return retryableStatusCodes.includes(this.statusCode);
+  }
+}
+
+class ConfigurationError extends Error {
+  constructor(message, context = {}) {
+    super(message);
+    this.name = "ConfigurationError";
+    this.context = context;
+  }
+}
+
+class ImportTimeoutError extends Error {
+  constructor(message = "Import operation timed out", context = {}) {
+    super(message);
+    this.name = "ImportTimeoutError";
+    this.context = context;
+  }
+}
+
+const ErrorHandler = { handle: jest.fn((error) => error) };
+
+// Document properties and cache, kept across simulated executions
+let properties;
+let documentCache;
+const getDocumentProperties = () => ({
+  getProperty: (key) => properties[key] ?? null,
+  setProperty: (key, value) => {
+    properties[key] = value;
+  },
+  deleteProperty: (key) => {
+    delete properties[key];
+  },
+});
+
+global.CacheService = {
+  getDocumentCache: () => ({
+    get: (key) => documentCache[key] ?? null,
+    put: (key, value) => {
+      documentCache[key] = value;
+    },
+    remove: (key) => {
+      delete documentCache[key];
+    },
+  }),
+};
+global.LockService = {
+  getScriptLock: () => ({ waitLock: jest.fn(), releaseLock: jest.fn() }),
+};
+global.ScriptApp = {
+  EventType: { ON_OPEN: "ON_OPEN", CLOCK: "CLOCK" },
+  getProjectTriggers: jest.fn(() => []),
+  newTrigger: jest.fn(() => ({
+    forSpreadsheet: jest.fn(() => ({
+      onOpen: jest.fn(() => ({ create: jest.fn() })),
+    })),
+  })),
+};
+
+const mockSpreadsheet = {
+  toast: jest.fn(),
+  getId: jest.fn(() => "spreadsheet-123"),
+};
+const getActiveSpreadsheet = () => mockSpreadsheet;
+
+const QuotaTracker = {
+  recordUrlFetch: jest.fn(),
+  recordExecutionTime: jest.fn(),
+  checkQuotaWarnings: jest.fn(() => null),
+};
+const ImportLog = {
+  start: jest.fn(() => ({})),
+  finish: jest.fn(),
+  recordChanges: jest.fn(),
+  recordFailedIds: jest.fn(),
+};
+const checkForMultiLoginIssues = jest.fn(() => false);
+const showInitialSetup = jest.fn();
+const showContinueImportDialog = jest.fn();
+const getActiveAthlete = () => null;
+const getAthletePropertyKey = (baseKey) => baseKey;
+const getWorkoutSyncCutoff = () => null;
+const isInWorkoutSyncWindow = () => true;
+const _mergePersonalRecordsAfterDelta = jest.fn();
+const syncLocalizedExerciseNames = jest.fn();
+
+// Progress tracking and retry queue backed by the document properties
+const ImportProgressTracker = {
+  loadProgress: () => JSON.parse(properties.PROGRESS ?? "null"),
+  saveProgress: (completedSteps) => {
+    properties.PROGRESS = JSON.stringify({ completedSteps });
+  },
+  clearProgress: () => {
+    delete properties.PROGRESS;
+  },
+  isStepComplete: (stepName) =>
+    ImportProgressTracker.loadProgress()?.completedSteps.includes(stepName) ??
+    false,
+  isImportActive: () => Boolean(properties.ACTIVE),
+  markImportActive: () => {
+    properties.ACTIVE = "true";
+  },
+  clearImportActive: () => {
+    delete properties.ACTIVE;
+  },
+  updateImportActiveHeartbeat: jest.fn(),
+};
+
+const WorkoutRetryQueue = {
+  getIds: () => JSON.parse(properties.RETRY_QUEUE ?? "[]"),
+  add: (ids) => {
+    const queue = new Set([...WorkoutRetryQueue.getIds(), ...ids]);
+    properties.RETRY_QUEUE = JSON.stringify([...queue]);
+  },
+  remove: (ids) => {
+    const removed = new Set(ids);
+    properties.RETRY_QUEUE = JSON.stringify(
+      WorkoutRetryQueue.getIds().filter((id) => !removed.has(id))
+    );
+  },
+};
+
+class ApiKeyManager {
+  getApiKeyFromProperties() {
+    return getDocumentProperties().getProperty("HEVY_API_KEY");
+  }
+
+  getOrPromptApiKey() {
+    return this.getApiKeyFromProperties();
+  }
+
+  resetApiKeyCheckInProgress() {}
+}
+
+// In-memory sheets: one row per workout, collections stored as listed
+let sheets;
+const SheetManager = {
+  getOrCreate: () => ({ sheet: sheets.workouts }),
+};
+const processWorkoutsData = (workouts) =>
+  workouts.map((workout) => [workout.id, workout.title, workout.start_time]);
+const updateWorkoutData = (sheet, rows) => {
+  const written = { added: 0, updated: 0 };
+  rows.forEach((row) => {
+    written[sheet.has(row[0]) ? "updated" : "added"]++;
+    sheet.set(row[0], row);
+  });
+  return written;
+};
+const deleteWorkoutRows = (sheet, ids) => ids.forEach((id) => sheet.delete(id));
+
+/**
+ * Stands in for a sheet import that lists a whole collection
+ */
+const importCollection =
+  (endpoint, pageSize, dataKey) => async (checkTimeout) => {
+    sheets[dataKey] = [];
+    await getApiClient().fetchPaginatedData(
+      endpoint,
+      pageSize,
+      (items) => {
+        sheets[dataKey].push(...items);
+      },
+      dataKey,
+      {},
+      checkTimeout
+    );
+  };
+const importAllExercises = importCollection(
+  API_ENDPOINTS.EXERCISES,
+  PAGE_SIZE.EXERCISES,
+  "exercise_templates"
+);
+const importAllRoutineFolders = importCollection(
+  API_ENDPOINTS.ROUTINE_FOLDERS,
+  PAGE_SIZE.ROUTINE_FOLDERS,
+  "routine_folders"
+);
+const importAllRoutines = importCollection(
+  API_ENDPOINTS.ROUTINES,
+  PAGE_SIZE.ROUTINES,
+  "routines"
+);
+
+/**
+ * Stands in for importAllWorkouts: a full listing on the first sync, then
+ * the real delta import
+ */
+async function importAllWorkouts(checkTimeout) {
+  const lastUpdate = properties.LAST_WORKOUT_UPDATE;
+  if (lastUpdate) {
+    return importAllWorkoutsDelta(lastUpdate, checkTimeout);
+  }
+
+  sheets.workouts.clear();
+  await getApiClient().fetchPaginatedData(
+    API_ENDPOINTS.WORKOUTS,
+    PAGE_SIZE.WORKOUTS,
+    (workouts) => {
+      updateWorkoutData(sheets.workouts, processWorkoutsData(workouts));
+    },
+    "workouts",
+    {},
+    checkTimeout
+  );
+  properties.LAST_WORKOUT_UPDATE = new Date().toISOString();
+}
+
+// Copies of the API client and its managers
+class CircuitBreaker {
+  constructor(config) {
+    this.failures = 0; // Weighted failure count (can be fractional)
+    this.lastFailureTime = null;
+    this.state = "CLOSED"; // CLOSED, OPEN, HALF_OPEN
+    this.failureThreshold = config.CIRCUIT_BREAKER_FAILURE_THRESHOLD;
+    this.resetTimeout = config.CIRCUIT_BREAKER_RESET_TIMEOUT_MS;
+    this.statusCode = config.CIRCUIT_BREAKER_STATUS_CODE;
+  }
+
+  check(endpoint) {
+    const now = Date.now();
+
+    // Transition from OPEN to HALF_OPEN if reset timeout has passed
+    if (
+      this.state === "OPEN" &&
+      this.lastFailureTime &&
+      now - this.lastFailureTime > this.resetTimeout
+    ) {
+      this.state = "HALF_OPEN";
+      this.failures = 0;
+    }
+
+    // Reject immediately if circuit is open
+    if (this.state === "OPEN") {
+      const waitTime = Math.ceil(
+        (this.resetTimeout - (now - this.lastFailureTime)) / 1000
+      );
+      throw new ApiError(
+        `Too many API failures. Circuit breaker is open to prevent cascading failures. Please wait ${waitTime} seconds before retrying.`,
+        this.statusCode,
+        null,
+        {
+          endpoint,
+          circuitBreakerState: this.state,
+          lastFailureTime: this.lastFailureTime,
+          isCircuitBreakerError: true,
+          waitTimeSeconds: waitTime,
+        }
+      );
+    }
+  }
+
+  recordSuccess() {
+    if (this.state === "HALF_OPEN") {
+      this.state = "CLOSED";
+      this.failures = 0;
+      this.lastFailureTime = null;
+    } else if (this.state === "CLOSED") {
+      this.failures = 0;
+    }
+  }
+
+  _getFailureWeight(error) {
+    // Don't count circuit breaker's own errors
+    if (error?.context?.isCircuitBreakerError === true) {
+      return 0;
+    }
+
+    // Temporary server errors (likely to resolve on their own) count as half
+    const temporaryErrorCodes = [
+      HTTP_STATUS.TOO_MANY_REQUESTS, // 429 - Rate limit, will reset
+      HTTP_STATUS.SERVICE_UNAVAILABLE, // 503 - Temporary server overload
+      HTTP_STATUS.BAD_GATEWAY, // 502 - Temporary gateway issue
+      HTTP_STATUS.GATEWAY_TIMEOUT, // 504 - Temporary timeout
+    ];
+
+    if (
+      error instanceof ApiError &&
+      temporaryErrorCodes.includes(error.statusCode)
+    ) {
+      return 0.5;
+    }
+
+    // Persistent errors (client errors, auth failures, etc.) count as full failures
+    return 1.0;
+  }
+
+  recordFailure(error) {
+    const weight = this._getFailureWeight(error);
+    this.failures += weight;
+    this.lastFailureTime = Date.now();
+
+    if (this.failures >= this.failureThreshold) {
+      this.state = "OPEN";
+      console.warn(
+        `Circuit breaker opened after ${this.failures.toFixed(1)} weighted failures (threshold: ${this.failureThreshold}). Will retry after ${this.resetTimeout}ms.`
+      );
+    }
+  }
+}
+
+class CacheManager {
+  constructor() {
+    this.cache = {};
+    this._cacheSize = 0;
+  }
+
+  getCachedResponse(cacheKey) {
+    // Check in-memory cache first
+    if (this.cache[cacheKey]) {
+      return this.cache[cacheKey];
+    }
+
+    // Check persistent cache
+    try {
+      const persistentCache = CacheService.getDocumentCache();
+      const cached = persistentCache.get(cacheKey);
+      if (cached) {
+        const parsed = JSON.parse(cached);
+        this.cache[cacheKey] = parsed;
+        return parsed;
+      }
+    } catch (parseError) {
+      // Remove invalid cache entry
+      CacheService.getDocumentCache().remove(cacheKey);
+    }
+
+    return null;
+  }
+
+  storeInCache(cacheKey, response) {
+    // Store in memory cache with LRU eviction
+    if (!this.cache[cacheKey]) {
+      if (this._cacheSize >= CACHE_CONFIG.MAX_MEMORY_CACHE_SIZE) {
+        this._evictOldestCacheEntry();
+      }
+      this._cacheSize++;
+    }
+    this.cache[cacheKey] = response;
+
+    // Store in persistent cache
+    try {
+      const persistentCache = CacheService.getDocumentCache();
+      persistentCache.put(
+        cacheKey,
+        JSON.stringify(response),
+        CACHE_CONFIG.TTL_SECONDS
+      );
+    } catch (cacheError) {
+      console.warn("Failed to cache response:", cacheError);
+    }
+  }
+
+  _evictOldestCacheEntry() {
+    const keys = Object.keys(this.cache);
+    if (keys.length > 0) {
+      const oldestKey = keys[0];
+      delete this.cache[oldestKey];
+      this._cacheSize--;
+    }
+  }
+
+  clearCache() {
+    // Store cache keys before clearing in-memory cache
+    const cacheKeys = Object.keys(this.cache);
+
+    // Clear in-memory cache
+    this.cache = {};
+    this._cacheSize = 0;
+
+    // Remove known cache keys from persistent cache
+    try {
+      const persistentCache = CacheService.getDocumentCache();
+      cacheKeys.forEach((key) => {
+        persistentCache.remove(key);
+      });
+      // Also remove rate limit info if it exists
+      persistentCache.remove("RATE_LIMIT_INFO");
+    } catch (error) {
+      console.warn("Failed to clear persistent cache:", error);
+    }
+  }
+}
+
+class RateLimitManager {
+  _extractRateLimitHeaders(headers) {
+    const remaining =
+      headers["X-RateLimit-Remaining"] || headers["x-ratelimit-remaining"];
+    const reset = headers["X-RateLimit-Reset"] || headers["x-ratelimit-reset"];
+    const limit = headers["X-RateLimit-Limit"] || headers["x-ratelimit-limit"];
+
+    if (!remaining && !reset && !limit) {
+      return null;
+    }
+
+    return {
+      remaining: remaining ? parseInt(remaining) : null,
+      reset: reset ? parseInt(reset) : null,
+      limit: limit ? parseInt(limit) : null,
+    };
+  }
+
+  updateRateLimitInfo(headers) {
+    const rateLimitData = this._extractRateLimitHeaders(headers);
+    if (!rateLimitData) {
+      return;
+    }
+
+    const rateLimitInfo = {
+      ...rateLimitData,
+      timestamp: Date.now(),
+    };
+
+    // Store in persistent cache
+    try {
+      const cache = CacheService.getDocumentCache();
+      cache.put(
+        "RATE_LIMIT_INFO",
+        JSON.stringify(rateLimitInfo),
+        CACHE_CONFIG.TTL_SECONDS
+      );
+    } catch (error) {
+      console.warn("Failed to store rate limit info:", error);
+    }
+
+    // Warn if approaching rate limit (less than 10% remaining)
+    if (
+      rateLimitInfo.remaining !== null &&
+      rateLimitInfo.limit !== null &&
+      rateLimitInfo.remaining / rateLimitInfo.limit < 0.1
+    ) {
+      console.warn(
+        `Rate limit warning: ${rateLimitInfo.remaining}/${rateLimitInfo.limit} requests remaining`
+      );
+    }
+  }
+
+  getRateLimitInfo() {
+    try {
+      const cache = CacheService.getDocumentCache();
+      const cached = cache.get("RATE_LIMIT_INFO");
+      if (cached) {
+        return JSON.parse(cached);
+      }
+    } catch (error) {
+      console.warn("Failed to get rate limit info:", error);
+    }
+    return null;
+  }
+}
+
+class ImportManager {
+  constructor(apiClient, apiKeyManager) {
+    this.apiClient = apiClient;
+    this.apiKeyManager = apiKeyManager;
+  }
+
+  _showToast(message, title, duration = TOAST_DURATION.NORMAL) {
+    getActiveSpreadsheet().toast(message, title, duration);
+  }
+
+  async executeImportStep(stepName, importFn, completedSteps, checkTimeout) {
+    if (ImportProgressTracker.isStepComplete(stepName)) {
+      return;
+    }
+
+    if (checkTimeout && checkTimeout()) {
+      return;
+    }
+
+    this._showToast(
+      `Starting import: ${stepName}...`,
+      "Import Progress",
+      TOAST_DURATION.SHORT
+    );
+
+    try {
+      await importFn();
+      // Reload completed steps from properties to handle concurrent execution
+      // This ensures we have the latest state if other steps completed concurrently
+      const currentProgress = ImportProgressTracker.loadProgress();
+      const updatedSteps = currentProgress?.completedSteps ?? [];
+      if (!updatedSteps.includes(stepName)) {
+        updatedSteps.push(stepName);
+      }
+      // Also update the local array for consistency
+      if (!completedSteps.includes(stepName)) {
+        completedSteps.push(stepName);
+      }
+      ImportProgressTracker.saveProgress(updatedSteps);
+      this._showToast(
+        `Completed: ${stepName} ✓`,
+        "Import Progress",
+        TOAST_DURATION.SHORT
+      );
+    } catch (error) {
+      // Re-throw ImportTimeoutError to be handled by runFullImport
+      if (error instanceof ImportTimeoutError) {
+        throw error;
+      }
+      // Re-throw other errors
+      throw error;
+    }
+  }
+
+  _buildParallelRequests(
+    startPage,
+    concurrency,
+    endpoint,
+    pageSize,
+    apiKey,
+    additionalParams
+  ) {
+    const requests = [];
+    const pageNumbers = [];
+    let currentPage = startPage;
+
+    for (let i = 0; i < concurrency && currentPage <= MAX_PAGES; i++) {
+      const queryParams = {
+        page: currentPage,
+        page_size: pageSize,
+        ...additionalParams,
+      };
+
+      const url = this.apiClient.buildUrl(endpoint, queryParams);
+      const requestOptions = this.apiClient.createRequestOptions(apiKey);
+
+      requests.push({
+        url: url,
+        ...requestOptions,
+      });
+      pageNumbers.push(currentPage);
+      currentPage++;
+    }
+
+    return { requests, pageNumbers, nextPage: currentPage };
+  }
+
+  async _processParallelResponse(
+    response,
+    pageNum,
+    dataKey,
+    processFn,
+    pageSize
+  ) {
+    const statusCode = response.getResponseCode();
+    QuotaTracker.recordUrlFetch(1);
+
+    const headers = response.getHeaders();
+    this.apiClient.rateLimitManager.updateRateLimitInfo(headers);
+
+    if (
+      statusCode < HTTP_STATUS_RANGE.SUCCESS_START ||
+      statusCode > HTTP_STATUS_RANGE.SUCCESS_END
+    ) {
+      return { processedCount: 0, hasMore: false, statusCode };
+    }
+
+    const responseText = response.getContentText();
+    let parsedResponse;
+    try {
+      parsedResponse = JSON.parse(responseText);
+    } catch (error) {
+      throw ErrorHandler.handle(
+        new ApiError(
+          "Invalid JSON response from API",
+          statusCode,
+          responseText
+        ),
+        { operation: "Parsing API response", page: pageNum }
+      );
+    }
+
+    const result = await this.processPageData(
+      parsedResponse,
+      dataKey,
+      processFn,
+      pageSize,
+      pageNum
+    );
+
+    return { ...result, statusCode };
+  }
+
+  _applyAdaptiveRateLimit() {
+    const rateLimitInfo = this.apiClient.rateLimitManager.getRateLimitInfo();
+    if (
+      !rateLimitInfo ||
+      rateLimitInfo.remaining === null ||
+      rateLimitInfo.limit === null
+    ) {
+      return;
+    }
+
+    const remainingPercent = rateLimitInfo.remaining / rateLimitInfo.limit;
+    const LOW_THRESHOLD_PERCENT = 0.2;
+    const LOW_THRESHOLD_COUNT = 50;
+
+    if (
+      remainingPercent < LOW_THRESHOLD_PERCENT ||
+      rateLimitInfo.remaining < LOW_THRESHOLD_COUNT
+    ) {
+      Utilities.sleep(100);
+    }
+  }
+
+  async fetchPaginatedData(
+    endpoint,
+    pageSize,
+    processFn,
+    dataKey,
+    additionalParams = {},
+    checkTimeout = null,
+    startPage = 1
+  ) {
+    const apiKey = this.apiKeyManager.getOrPromptApiKey();
+    if (!apiKey) return 0;
+
+    let page = startPage;
+    let totalProcessed = 0;
+    let hasMore = true;
+    const concurrency = RATE_LIMIT.PARALLEL_PAGE_CONCURRENCY;
+
+    while (hasMore && page <= MAX_PAGES) {
+      try {
+        if (checkTimeout && checkTimeout()) {
+          throw new ImportTimeoutError(
+            `Timeout approaching while fetching ${endpoint} (page ${page})`
+          );
+        }
+
+        const { requests, pageNumbers, nextPage } = this._buildParallelRequests(
+          page,
+          concurrency,
+          endpoint,
+          pageSize,
+          apiKey,
+          additionalParams
+        );
+
+        if (requests.length === 0) {
+          break;
+        }
+
+        const responses = UrlFetchApp.fetchAll(requests);
+        let batchHasMore = true;
+
+        for (let i = 0; i < responses.length; i++) {
+          const response = responses[i];
+          const pageNum = pageNumbers[i];
+          const statusCode = response.getResponseCode();
+
+          if (statusCode === HTTP_STATUS.NOT_FOUND) {
+            batchHasMore = false;
+            break;
+          }
+
+          if (statusCode === HTTP_STATUS.TOO_MANY_REQUESTS) {
+            Utilities.sleep(1000);
+            const retryResponse = await this.fetchPage(
+              endpoint,
+              apiKey,
+              pageNum,
+              pageSize,
+              additionalParams
+            );
+            const result = await this.processPageData(
+              retryResponse,
+              dataKey,
+              processFn,
+              pageSize,
+              pageNum
+            );
+            totalProcessed += result.processedCount;
+            if (!result.hasMore) {
+              batchHasMore = false;
+              break;
+            }
+            continue;
+          }
+
+          const result = await this._processParallelResponse(
+            response,
+            pageNum,
+            dataKey,
+            processFn,
+            pageSize
+          );
+
+          if (
+            result.statusCode < HTTP_STATUS_RANGE.SUCCESS_START ||
+            result.statusCode > HTTP_STATUS_RANGE.SUCCESS_END
+          ) {
+            throw ErrorHandler.handle(
+              new ApiError(
+                `API request failed with status ${result.statusCode}`,
+                result.statusCode,
+                response.getContentText()
+              ),
+              {
+                endpoint,
+                page: pageNum,
+                operation: "Fetching paginated data",
+              }
+            );
+          }
+
+          totalProcessed += result.processedCount;
+
+          if (!result.hasMore) {
+            batchHasMore = false;
+            break;
+          }
+        }
+
+        page = nextPage;
+        hasMore = batchHasMore;
+
+        if (hasMore) {
+          this._applyAdaptiveRateLimit();
+        }
+      } catch (error) {
+        if (error instanceof ImportTimeoutError) {
+          throw error;
+        }
+        if (
+          error instanceof ApiError &&
+          error.statusCode === HTTP_STATUS.NOT_FOUND
+        ) {
+          break;
+        }
+        throw ErrorHandler.handle(error, {
+          endpoint,
+          page,
+          operation: "Fetching paginated data",
+        });
+      }
+    }
+
+    if (page > MAX_PAGES) {
+      throw ErrorHandler.handle(
+        new Error(
+          `Maximum page limit (${MAX_PAGES}) reached while fetching ${endpoint}. ` +
+            "This may indicate an infinite loop or API inconsistency. " +
+            `Total items processed: ${totalProcessed}`
+        ),
+        {
+          endpoint,
+          page,
+          totalProcessed,
+          operation: "Fetching paginated data - maximum page limit exceeded",
+        }
+      );
+    }
+
+    return totalProcessed;
+  }
+
+  async fetchPage(endpoint, apiKey, page, pageSize, additionalParams) {
+    const queryParams = {
+      page,
+      page_size: pageSize,
+      ...additionalParams,
+    };
+
+    return await this.apiClient.makeRequest(
+      endpoint,
+      this.apiClient.createRequestOptions(apiKey),
+      queryParams
+    );
+  }
+
+  async processPageData(response, dataKey, processFn, pageSize, page) {
+    const items = response[dataKey] ?? [];
+    if (items.length === 0) {
+      return { processedCount: 0, hasMore: false };
+    }
+
+    const shouldContinue = await processFn(items, page);
+
+    return {
+      processedCount: items.length,
+      hasMore:
+        shouldContinue !== false &&
+        items.length === pageSize &&
+        (!response.page_count || page < response.page_count),
+    };
+  }
+
+  ensureImportTrigger(ss) {
+    const spreadsheetId = ss.getId();
+    const triggers = ScriptApp.getProjectTriggers();
+    const exists = triggers.some(
+      (t) =>
+        t.getHandlerFunction() === "runAutomaticImport" &&
+        t.getEventType() === ScriptApp.EventType.ON_OPEN &&
+        t.getTriggerSourceId() === spreadsheetId
+    );
+
+    if (!exists) {
+      ScriptApp.newTrigger("runAutomaticImport")
+        .forSpreadsheet(ss)
+        .onOpen()
+        .create();
+    }
+  }
+
+  cancelPendingInitialImportTriggers() {
+    try {
+      const triggers = ScriptApp.getProjectTriggers();
+      const cancelledTriggers = triggers.filter(
+        (t) =>
+          t.getHandlerFunction() === "runInitialImport" &&
+          t.getEventType() === ScriptApp.EventType.CLOCK
+      );
+
+      if (cancelledTriggers.length > 0) {
+        cancelledTriggers.forEach((t) => ScriptApp.deleteTrigger(t));
+        console.log(
+          `Cancelled ${cancelledTriggers.length} pending initial import trigger(s)`
+        );
+      }
+    } catch (error) {
+      // Log error but don't throw - import can still proceed
+      console.warn("Failed to cancel pending triggers:", error);
+    }
+  }
+
+  async runFullImport(apiKeyOverride = null, skipResumeDialog = false) {
+    const startTime = Date.now();
+    let completedSteps = [];
+    const lock = LockService.getScriptLock();
+    let lockAcquired = false;
+    let lastHeartbeat = startTime;
+    let logRun = null;
+    let logError = null;
+
+    try {
+      // Try to acquire lock to prevent concurrent execution
+      try {
+        lock.waitLock(30000); // Wait up to 30 seconds for lock
+        lockAcquired = true;
+      } catch (lockError) {
+        // Lock acquisition failed - fall back to active import check
+        console.warn(
+          "Failed to acquire lock, checking active import status:",
+          lockError
+        );
+      }
+
+      // Check if import is already active (using document properties as fallback)
+      if (ImportProgressTracker.isImportActive()) {
+        this._showToast(
+          "Import already in progress. Please wait for it to complete.",
+          "Import Active",
+          TOAST_DURATION.NORMAL
+        );
+        return;
+      }
+
+      // Validate API key BEFORE marking import as active
+      // This prevents marking as active if validation fails
+      const apiKey =
+        apiKeyOverride ?? this.apiKeyManager.getApiKeyFromProperties();
+      if (!apiKey) {
+        showInitialSetup();
+        return;
+      }
+
+      // Mark import as active and cancel any pending triggers
+      // Only reaches here if API key validation passed
+      ImportProgressTracker.markImportActive();
+      this.cancelPendingInitialImportTriggers();
+      logRun = ImportLog.start(IMPORT_LOG_SOURCES.MANUAL, "Full Import");
+
+      const ss = getActiveSpreadsheet();
+      this.ensureImportTrigger(ss);
+
+      if (checkForMultiLoginIssues()) {
+        this._showToast(
+          "Multi-login warning shown. Continuing with import...",
+          "Setup Progress",
+          TOAST_DURATION.NORMAL
+        );
+      }
+
+      if (apiKey === AUTHORIZED_API_KEY) {
+        this.setupAuthorizedWeightImport();
+      }
+
+      // Check for existing progress and prompt user
+      const existingProgress = ImportProgressTracker.loadProgress();
+      if (existingProgress?.completedSteps?.length > 0) {
+        if (skipResumeDialog) {
+          // Skip dialog and automatically resume when called from continueImport dialog
+          completedSteps = existingProgress.completedSteps;
+          this._showToast(
+            `Resuming import. Skipping ${completedSteps.length} completed step(s)...`,
+            "Resuming Import",
+            TOAST_DURATION.NORMAL
+          );
+        } else {
+          // Show resume dialog for manual imports
+          const ui = SpreadsheetApp.getUi();
+          const response = ui.alert(
+            "Resume Import?",
+            `Previous import was incomplete. ${existingProgress.completedSteps.length} step(s) completed.\n\nResume from where it left off, or start fresh?`,
+            ui.ButtonSet.YES_NO_CANCEL
+          );
+
+          if (response === ui.Button.YES) {
+            // Resume: use existing completed steps
+            completedSteps = existingProgress.completedSteps;
+            this._showToast(
+              `Resuming import. Skipping ${completedSteps.length} completed step(s)...`,
+              "Resuming Import",
+              TOAST_DURATION.NORMAL
+            );
+          } else if (response === ui.Button.NO) {
+            ImportProgressTracker.clearProgress();
+            completedSteps = [];
+            this._showToast(
+              "Starting fresh import...",
+              "Import Started",
+              TOAST_DURATION.NORMAL
+            );
+          } else {
+            // Cancel
+            return;
+          }
+        }
+      }
+
+      const isTemplate = ss.getId() === TEMPLATE_SPREADSHEET_ID;
+
+      // Helper function to check timeout, update heartbeat, and save progress if needed
+      const checkTimeout = () => {
+        const now = Date.now();
+        const elapsed = now - startTime;
+
+        // Update heartbeat if needed (every IMPORT_CONFIG.HEARTBEAT_MS)
+        if (now - lastHeartbeat >= IMPORT_CONFIG.HEARTBEAT_MS) {
+          ImportProgressTracker.updateImportActiveHeartbeat();
+          lastHeartbeat = now;
+        }
+
+        if (elapsed > IMPORT_CONFIG.MAX_EXECUTION_TIME_MS) {
+          ImportProgressTracker.saveProgress(completedSteps);
+          // Show dialog if there's progress to resume, otherwise show toast
+          if (completedSteps.length > 0) {
+            showContinueImportDialog();
+          } else {
+            this._showToast(
+              "Import paused due to time limit. Run 'Import All' again to resume.",
+              "Import Paused",
+              TOAST_DURATION.LONG
+            );
+          }
+          return true;
+        }
+        return false;
+      };
+
+      // Import Exercises, Routine Folders, and Routines concurrently
+      // These are independent operations that can run in parallel
+      if (!isTemplate) {
+        // Run exercises, routine folders, and routines concurrently
+        await Promise.all([
+          this.executeImportStep(
+            "exercises",
+            () => importAllExercises(checkTimeout),
+            completedSteps,
+            checkTimeout
+          ),
+          this.executeImportStep(
+            "routineFolders",
+            () => importAllRoutineFolders(checkTimeout),
+            completedSteps,
+            checkTimeout
+          ),
+          this.executeImportStep(
+            "routines",
+            () => importAllRoutines(checkTimeout),
+            completedSteps,
+            checkTimeout
+          ),
+        ]);
+
+        // Import Workouts after exercises (for localized exercise name mapping)
+        await this.executeImportStep(
+          "workouts",
+          () => importAllWorkouts(checkTimeout),
+          completedSteps,
+          checkTimeout
+        );
+      } else {
+        // Template mode: only import exercises
+        await this.executeImportStep(
+          "exercises",
+          () => importAllExercises(checkTimeout),
+          completedSteps,
+          checkTimeout
+        );
+      }
+
+      // All steps completed - clear progress and show success
+      ImportProgressTracker.clearProgress();
+
+      // Track execution time
+      const executionTime = Date.now() - startTime;
+      QuotaTracker.recordExecutionTime(executionTime);
+
+      // Check quota warnings
+      const quotaWarning = QuotaTracker.checkQuotaWarnings();
+      if (quotaWarning) {
+        console.warn("Quota warning:", quotaWarning);
+      }
+
+      this._showToast(
+        "Import complete! All data synced successfully.",
+        "Setup Complete",
+        TOAST_DURATION.NORMAL
+      );
+    } catch (error) {
+      logError = error;
+
+      // Track execution time even on error
+      const executionTime = Date.now() - startTime;
+      QuotaTracker.recordExecutionTime(executionTime);
+
+      // Save progress before error handling (in case of timeout)
+      if (completedSteps.length > 0) {
+        ImportProgressTracker.saveProgress(completedSteps);
+      }
+
+      this.apiKeyManager.resetApiKeyCheckInProgress();
+
+      // Handle ImportTimeoutError specifically
+      if (error instanceof ImportTimeoutError) {
+        this._showToast(
+          "Import complete, but some post-processing was skipped due to time limit.",
+          "Import Complete (Partial)",
+          TOAST_DURATION.LONG
+        );
+        // Don't throw - import was successful, just post-processing timed out
+        return;
+      }
+
+      // Check if this is a timeout error (Apps Script execution limit)
+      if (
+        error.message &&
+        (error.message.includes("Exceeded maximum execution time") ||
+          error.message.includes("timeout"))
+      ) {
+        // Show dialog if there's progress to resume, otherwise show toast
+        if (completedSteps.length > 0) {
+          showContinueImportDialog();
+        } else {
+          this._showToast(
+            "Import paused due to time limit. Run 'Import All' again to resume.",
+            "Import Paused",
+            TOAST_DURATION.LONG
+          );
+        }
+        return;
+      }
+
+      if (
+        error instanceof ApiError &&
+        error.statusCode === HTTP_STATUS.UNAUTHORIZED
+      ) {
+        SpreadsheetApp.getUi().alert(
+          "Invalid API Key",
+          "Your Hevy API key appears to be invalid or expired. Please update it now.",
+          SpreadsheetApp.getUi().ButtonSet.OK
+        );
+        showInitialSetup();
+        return;
+      }
+
+      // For other errors, show dialog if there's progress to resume
+      if (completedSteps.length > 0) {
+        showContinueImportDialog();
+        return;
+      }
+
+      throw ErrorHandler.handle(error, { operation: "Initial data import" });
+    } finally {
+      await ImportLog.finish(logRun, logError);
+
+      // Always cleanup: clear active import flag and release lock
+      try {
+        ImportProgressTracker.clearImportActive();
+      } catch (cleanupError) {
+        console.warn("Failed to clear active import flag:", cleanupError);
+      }
+
+      if (lockAcquired) {
+        try {
+          lock.releaseLock();
+        } catch (lockError) {
+          console.warn("Failed to release lock:", lockError);
+        }
+      }
+    }
+  }
+}
+
+class ApiClient {
+  constructor() {
+    const config = this._getApiClientConfig();
+    this.retryConfig = {
+      maxRetries: 3,
+      baseDelay: config.BASE_DELAY_MS,
+      maxDelay: config.MAX_DELAY_MS,
+    };
+
+    // Initialize managers
+    this.circuitBreaker = new CircuitBreaker(config);
+    this.cacheManager = new CacheManager();
+    this.rateLimitManager = new RateLimitManager();
+    this.apiKeyManager = new ApiKeyManager(this);
+    this.importManager = new ImportManager(this, this.apiKeyManager);
+  }
+
+  _getApiClientConfig() {
+    // Use fallback defaults if constant is not yet loaded
+    if (typeof API_CLIENT_CONFIG !== "undefined") {
+      return API_CLIENT_CONFIG;
+    }
+
+    // Fallback defaults matching Constants.gs values
+    return {
+      BASE_DELAY_MS: 1000,
+      MAX_DELAY_MS: 10000,
+      VALIDATION_TIMEOUT_MS: 15000,
+      REQUEST_TIMEOUT_MS: 30000,
+      CIRCUIT_BREAKER_FAILURE_THRESHOLD: 5,
+      CIRCUIT_BREAKER_RESET_TIMEOUT_MS: 60000,
+    };
+  }
+
+  async fetchPaginatedData(
+    endpoint,
+    pageSize,
+    processFn,
+    dataKey,
+    additionalParams = {},
+    checkTimeout = null,
+    startPage = 1
+  ) {
+    return this.importManager.fetchPaginatedData(
+      endpoint,
+      pageSize,
+      processFn,
+      dataKey,
+      additionalParams,
+      checkTimeout,
+      startPage
+    );
+  }
+
+  async runFullImport(apiKeyOverride = null, skipResumeDialog = false) {
+    return this.importManager.runFullImport(apiKeyOverride, skipResumeDialog);
+  }
+
+  // Core Request Methods
+
+  _serializePayload(payload) {
+    if (typeof payload === "string") return payload;
+    if (payload?.body) return payload.body;
+    return JSON.stringify(payload ?? {});
+  }
+
+  _shouldRetry(error, attempt) {
+    // Never retry circuit breaker errors - they indicate systematic failure
+    if (error?.context?.isCircuitBreakerError === true) {
+      return false;
+    }
+
+    return (
+      error instanceof ApiError &&
+      error.isRetryable() &&
+      attempt < this.retryConfig.maxRetries - 1
+    );
+  }
+
+  async makeRequest(endpoint, options, queryParams = {}, payload = null) {
+    this.circuitBreaker.check(endpoint);
+
+    const cacheKey = this.getCacheKey(endpoint, queryParams);
+    const isGetRequest = options.method === "GET";
+
+    // Check cache for GET requests
+    if (isGetRequest) {
+      const cached = this.cacheManager.getCachedResponse(cacheKey);
+      if (cached) {
+        return cached;
+      }
+    }
+
+    // Build request URL and add payload if needed
+    const url = this.buildUrl(endpoint, queryParams);
+    if (payload) {
+      options.payload = this._serializePayload(payload);
+    }
+
+    // Retry loop
+    let lastError;
+    for (let attempt = 0; attempt < this.retryConfig.maxRetries; attempt++) {
+      try {
+        const response = await this.executeRequest(url, options);
+        const parsedResponse = this.handleResponse(response);
+
+        this.circuitBreaker.recordSuccess();
+
+        // Cache successful GET responses
+        if (isGetRequest) {
+          this.cacheManager.storeInCache(cacheKey, parsedResponse);
+        }
+
+        return parsedResponse;
+      } catch (error) {
+        lastError = error;
+
+        // ALWAYS record failures immediately for circuit breaker
+        this.circuitBreaker.recordFailure(error);
+
+        const shouldRetry = this._shouldRetry(error, attempt);
+
+        if (!shouldRetry) {
+          throw ErrorHandler.handle(error, {
+            endpoint,
+            queryParams,
+            attempt: attempt + 1,
+            operation: "API request",
+          });
+        }
+
+        // Calculate delay with special handling for 503 errors
+        let delay = this.calculateBackoff(attempt);
+
+        // For 503 errors, enforce a mandatory minimum delay per Google Cloud best practices
+        if (
+          error instanceof ApiError &&
+          error.statusCode === HTTP_STATUS.SERVICE_UNAVAILABLE
+        ) {
+          const config = this._getApiClientConfig();
+          delay = Math.max(delay, config.SERVICE_UNAVAILABLE_DELAY_MS);
+          console.warn(
+            `API returned 503 Service Unavailable. Waiting ${delay}ms before retry ${attempt + 2}/${this.retryConfig.maxRetries}`
+          );
+        }
+
+        Utilities.sleep(delay);
+      }
+    }
+
+    throw ErrorHandler.handle(lastError, {
+      endpoint,
+      queryParams,
+      attempt: this.retryConfig.maxRetries,
+      operation: "API request max retries exceeded",
+    });
+  }
+
+  createRequestOptions(apiKey, method = "get", additionalHeaders = {}) {
+    const config = this._getApiClientConfig();
+    return {
+      method: method.toUpperCase(),
+      headers: {
+        Accept: "application/json",
+        "Content-Type": "application/json",
+        "api-key": apiKey,
+        ...additionalHeaders,
+      },
+      muteHttpExceptions: true,
+      validateHttpsCertificates: true,
+      followRedirects: true,
+      timeout: config.REQUEST_TIMEOUT_MS,
+    };
+  }
+
+  async executeRequest(url, options) {
+    try {
+      // Track quota usage
+      QuotaTracker.recordUrlFetch(1);
+
+      return UrlFetchApp.fetch(url, options);
+    } catch (error) {
+      throw ErrorHandler.handle(error, {
+        operation: "Executing HTTP request",
+        url: url,
+      });
+    }
+  }
+
+  calculateBackoff(attempt) {
+    const delay = Math.min(
+      this.retryConfig.baseDelay * Math.pow(2, attempt),
+      this.retryConfig.maxDelay
+    );
+
+    return delay * (0.5 + Math.random() * 0.5);
+  }
+
+  static getStatusErrorMessage(statusCode) {
+    const messages = {
+      [HTTP_STATUS.BAD_REQUEST]: "Invalid request parameters",
+      [HTTP_STATUS.UNAUTHORIZED]: "Invalid API key",
+      [HTTP_STATUS.FORBIDDEN]: "Access forbidden",
+      [HTTP_STATUS.NOT_FOUND]: "Resource not found",
+      [HTTP_STATUS.TOO_MANY_REQUESTS]: "Rate limit exceeded",
+    };
+    return messages[statusCode] || null;
+  }
+
+  handleResponse(response) {
+    const statusCode = response.getResponseCode();
+    const responseText = response.getContentText();
+    const headers = response.getHeaders();
+
+    this.rateLimitManager.updateRateLimitInfo(headers);
+
+    if (statusCode === HTTP_STATUS.NO_CONTENT) {
+      return null;
+    }
+
+    // Handle successful responses
+    if (
+      statusCode >= HTTP_STATUS_RANGE.SUCCESS_START &&
+      statusCode <= HTTP_STATUS_RANGE.SUCCESS_END
+    ) {
+      try {
+        return JSON.parse(responseText);
+      } catch (error) {
+        throw ErrorHandler.handle(
+          new ApiError(
+            "Invalid JSON response from API",
+            statusCode,
+            responseText
+          ),
+          { operation: "Parsing API response" }
+        );
+      }
+    }
+
+    // Handle error responses
+    const errorMessage =
+      ApiClient.getStatusErrorMessage(statusCode) ||
+      `API request failed with status ${statusCode}`;
+
+    throw ErrorHandler.handle(
+      new ApiError(errorMessage, statusCode, responseText),
+      { operation: "API response error" }
+    );
+  }
+
+  buildUrl(endpoint, queryParams) {
+    const baseUrl = `${API_ENDPOINTS.BASE}${endpoint}`;
+    return Object.keys(queryParams).length === 0
+      ? baseUrl
+      : `${baseUrl}?${this.buildQueryString(queryParams)}`;
+  }
+
+  buildQueryString(params) {
+    return Object.entries(params)
+      .filter(([, value]) => value != null)
+      .map(
+        ([key, value]) =>
+          `${encodeURIComponent(key)}=${encodeURIComponent(value)}`
+      )
+      .join("&");
+  }
+
+  getCacheKey(endpoint, queryParams) {
+    const key = `${endpoint}?${this.buildQueryString(queryParams)}`;
+    const athlete = getActiveAthlete();
+    return athlete ? `${athlete.id}:${key}` : key;
+  }
+}
+
+let _apiClientInstance = null;
+
+function getApiClient() {
+  if (!_apiClientInstance) {
+    _apiClientInstance = new ApiClient();
+  }
+  return _apiClientInstance;
+}
+
+// Copies of the delta import
+function processWorkoutEvents(events, cutoff = null) {
+  const deletedIds = new Set();
+  const upsertIds = [];
+
+  for (const event of events) {
+    if (event.type === "deleted") {
+      const id = event.workout?.id ?? event.id;
+      if (id) {
+        deletedIds.add(id);
+      }
+    } else if (event.type === "updated" || event.type === "created") {
+      const id = event.workout?.id;
+      if (id && isInWorkoutSyncWindow(event.workout, cutoff)) {
+        upsertIds.push(id);
+      }
+    }
+  }
+
+  return { deletedIds, upsertIds };
+}
+
+async function importAllWorkoutsDelta(lastUpdate, checkTimeout = null) {
+  try {
+    const manager = SheetManager.getOrCreate(WORKOUTS_SHEET_NAME);
+    const props = getDocumentProperties();
+    if (!props) {
+      throw new ConfigurationError(
+        "Unable to access document properties. Please ensure you have proper permissions."
+      );
+    }
+
+    const events = [];
+    await getApiClient().fetchPaginatedData(
+      API_ENDPOINTS.WORKOUTS_EVENTS,
+      PAGE_SIZE.WORKOUTS,
+      (page) => events.push(...page),
+      "events",
+      { since: lastUpdate },
+      checkTimeout
+    );
+
+    const { deletedIds, upsertIds } = processWorkoutEvents(
+      events,
+      getWorkoutSyncCutoff()
+    );
+    const retryIds = WorkoutRetryQueue.getIds().filter(
+      (id) => !deletedIds.has(id) && !upsertIds.includes(id)
+    );
+
+    if (!events.length && !retryIds.length) {
+      const ss = getActiveSpreadsheet();
+      ss.toast(
+        "No new workout events found since last import.",
+        "Delta Import Complete",
+        TOAST_DURATION.NORMAL
+      );
+      return 0;
+    }
+
+    if (deletedIds.size) {
+      deleteWorkoutRows(manager.sheet, deletedIds);
+      WorkoutRetryQueue.remove(deletedIds);
+      ImportLog.recordChanges(IMPORT_LOG_ENTITIES.WORKOUTS, {
+        deleted: deletedIds.size,
+      });
+    }
+
+    if (!upsertIds.length && !retryIds.length) {
+      props.setProperty(
+        getAthletePropertyKey("LAST_WORKOUT_UPDATE"),
+        new Date().toISOString()
+      );
+      if (deletedIds.size) {
+        await _mergePersonalRecordsAfterDelta([], deletedIds, checkTimeout);
+      }
+      return 0;
+    }
+
+    const apiKey = getApiClient().apiKeyManager.getApiKeyFromProperties();
+    if (!apiKey) {
+      throw new ConfigurationError("API key not found");
+    }
+
+    const { fullWorkouts, failedIds } = upsertIds.length
+      ? await _fetchWorkoutsInBatches(upsertIds, apiKey, checkTimeout)
+      : { fullWorkouts: [], failedIds: [] };
+    const retried = await _fetchQueuedWorkouts(retryIds, apiKey, checkTimeout);
+    fullWorkouts.push(...retried.fullWorkouts);
+
+    const rows = processWorkoutsData(fullWorkouts);
+    const written = updateWorkoutData(manager.sheet, rows);
+    WorkoutRetryQueue.remove(fullWorkouts.map((workout) => workout.id));
+    WorkoutRetryQueue.add([...failedIds, ...retried.failedIds]);
+    ImportLog.recordChanges(IMPORT_LOG_ENTITIES.WORKOUTS, written);
+    ImportLog.recordFailedIds([...failedIds, ...retried.failedIds]);
+    props.setProperty(
+      getAthletePropertyKey("LAST_WORKOUT_UPDATE"),
+      new Date().toISOString()
+    );
+
+    await _mergePersonalRecordsAfterDelta(
+      rows,
+      new Set([...deletedIds, ...upsertIds, ...retryIds]),
+      checkTimeout
+    );
+
+    const idToLocalizedName = new Map();
+    fullWorkouts.forEach((workout) => {
+      if (workout.exercises && Array.isArray(workout.exercises)) {
+        workout.exercises.forEach((exercise) => {
+          const exerciseTemplateId = exercise.exercise_template_id;
+          const localizedTitle = exercise.title;
+          if (
+            exerciseTemplateId &&
+            localizedTitle &&
+            exerciseTemplateId !== "N/A"
+          ) {
+            idToLocalizedName.set(exerciseTemplateId, localizedTitle);
+          }
+        });
+      }
+    });
+
+    const ss = getActiveSpreadsheet();
+    let toastMessage = `Imported ${rows.length} workout records.`;
+    const queuedCount = failedIds.length + retried.failedIds.length;
+    if (queuedCount > 0) {
+      toastMessage += ` ${queuedCount} workout(s) failed to import and will be retried on the next sync.`;
+    }
+    ss.toast(toastMessage, "Delta Import Complete", TOAST_DURATION.NORMAL);
+
+    if (idToLocalizedName.size > 0) {
+      try {
+        await syncLocalizedExerciseNames(idToLocalizedName, checkTimeout);
+      } catch (error) {
+        if (error instanceof ImportTimeoutError) {
+          console.warn(
+            "syncLocalizedExerciseNames timed out after delta import"
+          );
+        } else {
+          throw error;
+        }
+      }
+    }
+
+    return fullWorkouts.length;
+  } catch (error) {
+    throw ErrorHandler.handle(error, {
+      operation: "Importing workout delta",
+      sheetName: WORKOUTS_SHEET_NAME,
+    });
+  }
+}
+
+async function _fetchQueuedWorkouts(workoutIds, apiKey, checkTimeout = null) {
+  if (workoutIds.length === 0) {
+    return { fullWorkouts: [], failedIds: [] };
+  }
+
+  try {
+    return await _fetchWorkoutsInBatches(workoutIds, apiKey, checkTimeout);
+  } catch (error) {
+    if (!(error instanceof ValidationError)) {
+      throw error;
+    }
+    console.warn("Retrying queued workouts failed:", error.message);
+    return { fullWorkouts: [], failedIds: workoutIds };
+  }
+}
+
+function _buildWorkoutRequests(workoutIds, apiKey) {
+  const client = getApiClient();
+  return workoutIds.map((workoutId) => {
+    const url = client.buildUrl(`${API_ENDPOINTS.WORKOUTS}/${workoutId}`, {});
+    const requestOptions = client.createRequestOptions(apiKey);
+    return {
+      url: url,
+      ...requestOptions,
+    };
+  });
+}
+
+function _parseWorkoutResponse(response, workoutId) {
+  try {
+    const responseText = response.getContentText();
+    const parsedResponse = JSON.parse(responseText);
+    return parsedResponse.workout || parsedResponse;
+  } catch (error) {
+    console.error(`Failed to parse workout ${workoutId}:`, error);
+    return null;
+  }
+}
+
+async function _retryWorkoutFetch(workoutId, apiKey, checkTimeout) {
+  const client = getApiClient();
+  const maxAttempts = WORKOUT_IMPORT_CONFIG.RETRY_ATTEMPTS;
+
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    if (checkTimeout && checkTimeout()) {
+      return null;
+    }
+
+    const delay =
+      Math.min(
+        API_CLIENT_CONFIG.BASE_DELAY_MS * Math.pow(2, attempt),
+        API_CLIENT_CONFIG.MAX_DELAY_MS
+      ) *
+      (0.5 + Math.random() * 0.5);
+    Utilities.sleep(delay);
+
+    try {
+      const retryResponse = await client.makeRequest(
+        `${API_ENDPOINTS.WORKOUTS}/${workoutId}`,
+        client.createRequestOptions(apiKey)
+      );
+      return retryResponse.workout || retryResponse;
+    } catch (retryError) {
+      if (attempt === maxAttempts - 1) {
+        console.error(
+          `Failed to fetch workout ${workoutId} after retries:`,
+          retryError
+        );
+      }
+    }
+  }
+  return null;
+}
+
+function _applyBatchRateLimit(client, hasMoreBatches) {
+  if (!hasMoreBatches) {
+    return;
+  }
+
+  const rateLimitInfo = client.rateLimitManager.getRateLimitInfo();
+  if (
+    rateLimitInfo &&
+    rateLimitInfo.remaining !== null &&
+    rateLimitInfo.limit !== null
+  ) {
+    const remainingPercent = rateLimitInfo.remaining / rateLimitInfo.limit;
+    const LOW_THRESHOLD_PERCENT = 0.2;
+    const LOW_THRESHOLD_COUNT = 50;
+
+    if (
+      remainingPercent < LOW_THRESHOLD_PERCENT ||
+      rateLimitInfo.remaining < LOW_THRESHOLD_COUNT
+    ) {
+      Utilities.sleep(100);
+    }
+  } else {
+    Utilities.sleep(RATE_LIMIT.API_DELAY);
+  }
+}
+
+async function _fetchWorkoutsInBatches(
+  workoutIds,
+  apiKey,
+  checkTimeout = null
+) {
+  const fullWorkouts = [];
+  const failedIds = [];
+  const batchSize = WORKOUT_IMPORT_CONFIG.BATCH_SIZE;
+  const totalCount = workoutIds.length;
+  const client = getApiClient();
+
+  for (let i = 0; i < workoutIds.length; i += batchSize) {
+    if (checkTimeout && checkTimeout()) {
+      throw new ImportTimeoutError(
+        `Timeout approaching while fetching workout batch (${i}/${totalCount})`
+      );
+    }
+
+    const batch = workoutIds.slice(
+      i,
+      Math.min(i + batchSize, workoutIds.length)
+    );
+
+    const requests = _buildWorkoutRequests(batch, apiKey);
+    const responses = UrlFetchApp.fetchAll(requests);
+
+    for (let j = 0; j < responses.length; j++) {
+      const response = responses[j];
+      const workoutId = batch[j];
+      const statusCode = response.getResponseCode();
+
+      QuotaTracker.recordUrlFetch(1);
+
+      const headers = response.getHeaders();
+      client.rateLimitManager.updateRateLimitInfo(headers);
+
+      if (
+        statusCode >= HTTP_STATUS_RANGE.SUCCESS_START &&
+        statusCode <= HTTP_STATUS_RANGE.SUCCESS_END
+      ) {
+        const workout = _parseWorkoutResponse(response, workoutId);
+        if (workout) {
+          fullWorkouts.push(workout);
+        } else {
+          failedIds.push(workoutId);
+        }
+      } else if (
+        statusCode >= HTTP_STATUS_RANGE.SERVER_ERROR_START &&
+        statusCode <= HTTP_STATUS_RANGE.SERVER_ERROR_END &&
+        WORKOUT_IMPORT_CONFIG.RETRY_ATTEMPTS > 0
+      ) {
+        const workout = await _retryWorkoutFetch(
+          workoutId,
+          apiKey,
+          checkTimeout
+        );
+        if (workout) {
+          fullWorkouts.push(workout);
+        } else {
+          failedIds.push(workoutId);
+        }
+      } else {
+        failedIds.push(workoutId);
+        const errorText = response.getContentText();
+        console.error(
+          `Failed to fetch workout ${workoutId} (status ${statusCode}):`,
+          errorText
+        );
+      }
+    }
+
+    _applyBatchRateLimit(client, i + batchSize < workoutIds.length);
+  }
+
+  const successCount = fullWorkouts.length;
+  const failureCount = failedIds.length;
+  const failureRate = totalCount > 0 ? failureCount / totalCount : 0;
+
+  if (successCount < WORKOUT_IMPORT_CONFIG.MIN_SUCCESS_COUNT) {
+    const errorMessage = `Workout import failed: Only ${successCount} of ${totalCount} requests succeeded (minimum ${WORKOUT_IMPORT_CONFIG.MIN_SUCCESS_COUNT} required).`;
+    const failedIdsDisplay =
+      failedIds.length <= 10
+        ? failedIds.join(", ")
+        : `${failedIds.slice(0, 10).join(", ")} and ${
+            failedIds.length - 10
+          } more`;
+
+    throw new ValidationError(errorMessage, {
+      totalCount,
+      successCount,
+      failureCount,
+      failureRate,
+      failedIds: failedIds.slice(0, 50),
+      failedIdsDisplay,
+      recoverySuggestion:
+        "Check your API connection and try again. If the issue persists, verify your API key is valid.",
+    });
+  }
+
+  if (
+    failureCount > 1 &&
+    failureRate > WORKOUT_IMPORT_CONFIG.FAILURE_THRESHOLD
+  ) {
+    const errorMessage = `Workout import aborted: ${(failureRate * 100).toFixed(
+      1
+    )}% of requests failed (threshold: ${(
+      WORKOUT_IMPORT_CONFIG.FAILURE_THRESHOLD * 100
+    ).toFixed(1)}%).`;
+    const failedIdsDisplay =
+      failedIds.length <= 10
+        ? failedIds.join(", ")
+        : `${failedIds.slice(0, 10).join(", ")} and ${
+            failedIds.length - 10
+          } more`;
+
+    throw new ValidationError(errorMessage, {
+      totalCount,
+      successCount,
+      failureCount,
+      failureRate,
+      failedIds: failedIds.slice(0, 50),
+      failedIdsDisplay,
+      recoverySuggestion:
+        "Too many requests failed. Check your API connection and try again. If the issue persists, verify your API key is valid.",
+    });
+  }
+
+  if (failureCount > 0) {
+    const failedIdsDisplay =
+      failedIds.length <= 10
+        ? failedIds.join(", ")
+        : `${failedIds.slice(0, 10).join(", ")} and ${
+            failedIds.length - 10
+          } more`;
+    console.warn(
+      `Workout import completed with ${failureCount} failure(s) out of ${totalCount} requests (${(
+        failureRate * 100
+      ).toFixed(1)}% failure rate). Failed IDs: ${failedIdsDisplay}`
+    );
+  }
+
+  return { fullWorkouts, failedIds };
+}
+
+/**
+ * Starts a new script execution: module state is lost, while document
+ * properties and the document cache are kept
+ */
+const newExecution = () => {
+  _apiClientInstance = null;
+  api.requests.length = 0;
+};
+
+/**
+ * Builds an account history of workouts, newest first
+ * @param {number} count - Number of workouts
+ * @returns {Array<Object>} Workouts
+ */
+const createWorkoutHistory = (count) =>
+  Array.from({ length: count }, (_, i) =>
+    createMockWorkout({
+      id: `workout-${count - i}`,
+      title: `Workout ${count - i}`,
+      start_time: new Date(Date.UTC(2024, 0, count - i, 17)).toISOString(),
+    })
+  );
+
+const sheetWorkoutIds = () => [...sheets.workouts.keys()].sort();
+const accountWorkoutIds = () =>
+  api.state.workouts.map((workout) => workout.id).sort();
+const requestedPages = (path) =>
+  api.requestsTo(path).map((request) => [request.query.page, request.status]);
+
+let api;
+
+describe("Hevy sync end to end", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    properties = { HEVY_API_KEY: API_KEY };
+    documentCache = {};
+    sheets = { workouts: new Map() };
+    _apiClientInstance = null;
+    api = createMockHevyApi({ account: recordedAccount, apiKey: API_KEY });
+    api.install();
+  });
+
+  describe("runFullImport()", () => {
+    test("should import a recorded account", async () => {
+      await getApiClient().runFullImport();
+
+      expect(sheets.exercise_templates).toHaveLength(3);
+      expect(sheets.routine_folders).toEqual(recordedAccount.routine_folders);
+      expect(sheets.routines.map((routine) => routine.title)).toEqual([
+        "Push",
+        "Pull",
+      ]);
+      expect(sheetWorkoutIds()).toEqual(accountWorkoutIds());
+      expect(properties.LAST_WORKOUT_UPDATE).toBeDefined();
+      expect(ImportProgressTracker.loadProgress()).toBeNull();
+      expect(ImportProgressTracker.isImportActive()).toBe(false);
+      expect(mockSpreadsheet.toast).toHaveBeenCalledWith(
+        "Import complete! All data synced successfully.",
+        "Setup Complete",
+        TOAST_DURATION.NORMAL
+      );
+    });
+
+    test("should page through a long workout history", async () => {
+      api = createMockHevyApi({
+        account: { ...recordedAccount, workouts: createWorkoutHistory(25) },
+        apiKey: API_KEY,
+      });
+      api.install();
+
+      await getApiClient().runFullImport();
+
+      expect(sheets.workouts.size).toBe(25);
+      expect(sheetWorkoutIds()).toEqual(accountWorkoutIds());
+      expect(requestedPages("/workouts")).toEqual([
+        ["1", 200],
+        ["2", 200],
+        ["3", 200],
+        ["4", 404],
+      ]);
+      api.requestsTo("/workouts").forEach((request) => {
+        expect(request.query.page_size).toBe(String(PAGE_SIZE.WORKOUTS));
+      });
+    });
+
+    test("should retry a rate-limited page", async () => {
+      api = createMockHevyApi({
+        account: { ...recordedAccount, workouts: createWorkoutHistory(25) },
+        apiKey: API_KEY,
+      });
+      api.install();
+      api.failNext("/workouts", 429, { page: 2 });
+
+      await getApiClient().runFullImport();
+
+      expect(sheets.workouts.size).toBe(25);
+      expect(
+        requestedPages("/workouts").filter(([page]) => page === "2")
+      ).toEqual([
+        ["2", 429],
+        ["2", 200],
+      ]);
+      expect(Utilities.sleep).toHaveBeenCalledWith(1000);
+    });
+
+    test("should resume from the failed step after a 503", async () => {
+      api.failNext("/workouts", 503, { page: 1 });
+
+      await getApiClient().runFullImport();
+
+      expect(sheets.workouts.size).toBe(0);
+      expect(showContinueImportDialog).toHaveBeenCalled();
+      expect(
+        ImportProgressTracker.loadProgress().completedSteps.sort()
+      ).toEqual(["exercises", "routineFolders", "routines"]);
+      expect(ImportProgressTracker.isImportActive()).toBe(false);
+
+      newExecution();
+      await getApiClient().runFullImport(null, true);
+
+      expect(api.requestsTo("/exercise_templates")).toHaveLength(0);
+      expect(api.requestsTo("/routines")).toHaveLength(0);
+      expect(sheetWorkoutIds()).toEqual(accountWorkoutIds());
+      expect(ImportProgressTracker.loadProgress()).toBeNull();
+    });
+
+    test("should slow down when few requests remain", async () => {
+      api = createMockHevyApi({
+        account: { ...recordedAccount, workouts: createWorkoutHistory(50) },
+        apiKey: API_KEY,
+        rateLimit: 60,
+      });
+      api.install();
+
+      await getApiClient().runFullImport();
+
+      expect(sheets.workouts.size).toBe(50);
+      expect(Utilities.sleep).toHaveBeenCalledWith(100);
+      const rateLimitInfo = getApiClient().rateLimitManager.getRateLimitInfo();
+      expect(rateLimitInfo.limit).toBe(60);
+      expect(rateLimitInfo.remaining).toBeLessThan(50);
+    });
+
+    test("should ask for a new API key when Hevy rejects it", async () => {
+      properties.HEVY_API_KEY = "ffffffff-ffff-4fff-8fff-ffffffffffff";
+
+      await getApiClient().runFullImport();
+
+      expect(api.requests.every((request) => request.status === 401)).toBe(
+        true
+      );
+      expect(showInitialSetup).toHaveBeenCalled();
+      expect(sheets.workouts.size).toBe(0);
+      expect(ImportProgressTracker.isImportActive()).toBe(false);
+    });
+  });
+
+  describe("importAllWorkoutsDelta()", () => {
+    const [pull, legs, push] = recordedAccount.workouts;
+
+    beforeEach(async () => {
+      await getApiClient().runFullImport();
+      newExecution();
+      jest.clearAllMocks();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test("should apply edits, deletions and new workouts", async () => {
+      const since = properties.LAST_WORKOUT_UPDATE;
+      api.saveWorkout({ ...pull, title: "Pull (edited)" });
+      api.deleteWorkout(push.id);
+      api.saveWorkout(
+        createMockWorkout({
+          id: "new-workout",
+          start_time: "2024-01-06T17:00:00Z",
+        })
+      );
+
+      const imported = await importAllWorkoutsDelta(since);
+
+      expect(imported).toBe(2);
+      expect(sheetWorkoutIds()).toEqual(accountWorkoutIds());
+      expect(sheets.workouts.get(pull.id)[1]).toBe("Pull (edited)");
+      expect(api.requestsTo("/workouts/events")[0].query.since).toBe(since);
+      expect(api.requestsTo(`/workouts/${legs.id}`)).toHaveLength(0);
+      expect(ImportLog.recordChanges).toHaveBeenCalledWith("Workouts", {
+        deleted: 1,
+      });
+      expect(ImportLog.recordChanges).toHaveBeenCalledWith("Workouts", {
+        added: 1,
+        updated: 1,
+      });
+      expect(properties.LAST_WORKOUT_UPDATE >= since).toBe(true);
+    });
+
+    test("should report when nothing changed", async () => {
+      const imported = await importAllWorkoutsDelta(
+        properties.LAST_WORKOUT_UPDATE
+      );
+
+      expect(imported).toBe(0);
+      expect(requestedPages("/workouts/events")[0]).toEqual(["1", 200]);
+      expect(api.requests.map((request) => request.path)).toEqual(
+        Array(4).fill("/workouts/events")
+      );
+      expect(mockSpreadsheet.toast).toHaveBeenCalledWith(
+        "No new workout events found since last import.",
+        "Delta Import Complete",
+        TOAST_DURATION.NORMAL
+      );
+    });
+
+    test("should queue a workout that keeps failing and import it on the next sync", async () => {
+      const editedAt =
+        new Date(properties.LAST_WORKOUT_UPDATE).getTime() + 1000;
+      jest.useFakeTimers({ now: editedAt });
+      api.saveWorkout({ ...pull, title: "Pull (edited)" });
+      api.saveWorkout({ ...legs, title: "Legs (edited)" });
+      api.failNext(`/workouts/${legs.id}`, 503, { times: 7 });
+      // The events filter is inclusive, so the watermark this sync saves
+      // must be later than the edits
+      jest.setSystemTime(editedAt + 1000);
+
+      await importAllWorkoutsDelta(properties.LAST_WORKOUT_UPDATE);
+
+      expect(sheets.workouts.get(pull.id)[1]).toBe("Pull (edited)");
+      expect(sheets.workouts.get(legs.id)[1]).toBe("Legs");
+      expect(WorkoutRetryQueue.getIds()).toEqual([legs.id]);
+      expect(ImportLog.recordFailedIds).toHaveBeenCalledWith([legs.id]);
+      expect(
+        api
+          .requestsTo(`/workouts/${legs.id}`)
+          .every((request) => request.status === 503)
+      ).toBe(true);
+
+      newExecution();
+      await importAllWorkoutsDelta(properties.LAST_WORKOUT_UPDATE);
+
+      expect(sheets.workouts.get(legs.id)[1]).toBe("Legs (edited)");
+      expect(WorkoutRetryQueue.getIds()).toEqual([]);
+      expect(api.requestsTo(`/workouts/${pull.id}`)).toHaveLength(0);
+    });
+
+    test("should queue a rate-limited workout without retrying it", async () => {
+      api.saveWorkout({ ...pull, title: "Pull (edited)" });
+      api.saveWorkout({ ...legs, title: "Legs (edited)" });
+      api.failNext(`/workouts/${pull.id}`, 429);
+
+      await importAllWorkoutsDelta(properties.LAST_WORKOUT_UPDATE);
+
+      expect(WorkoutRetryQueue.getIds()).toEqual([pull.id]);
+      expect(api.requestsTo(`/workouts/${pull.id}`)).toHaveLength(1);
+      expect(sheets.workouts.get(legs.id)[1]).toBe("Legs (edited)");
+    });
+  });
+});
@@ -0,0 +1,704 @@
+/**
+ * Tests for Consistency.gs - Workout calendar, streaks and gaps
+ */
+
+const {
+  MockSpreadsheet,
+  createMockSpreadsheetApp,
+} = require("../__mocks__/google-apps-script/SpreadsheetApp");
+
+// Mock constants
+const WORKOUTS_SHEET_NAME = "Workouts";
+const CONSISTENCY_SHEET_NAME = "Consistency";
+const WORKOUTS_HEADERS = [
+  "ID",
+  "Title",
+  "Start Time",
+  "End Time",
+  "Exercise",
+  "Athlete",
+];
+const SHEET_HEADERS = {
+  [CONSISTENCY_SHEET_NAME]: [
+    "Week",
+    "Week Start",
+    "Mon",
+    "Tue",
+    "Wed",
+    "Thu",
+    "Fri",
+    "Sat",
+    "Sun",
+    "Sessions",
+  ],
+};
+const CONSISTENCY_CONFIG = {
+  MIN_WEEKLY_SESSIONS: 1,
+  LONGEST_GAPS: 5,
+  SUMMARY_COLUMN: 12,
+  HEATMAP_COLORS: {
+    MIN: "#C8E6C9",
+    MAX: "#2E7D32",
+  },
+};
+const ATHLETE_CONFIG = { HEADER: "Athlete" };
+
+// Mock error classes
+class ImportTimeoutError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ImportTimeoutError";
+  }
+}
+
+const ErrorHandler = {
+  handle: jest.fn((error) => error),
+};
+
+const ImportProgressTracker = {
+  markOperationComplete: jest.fn(),
+  markDeferredOperation: jest.fn(),
+};
+
+// In-memory spreadsheet
+let spreadsheet;
+
+const getActiveSpreadsheet = () => spreadsheet;
+
+const STRIPE_RULE = { stripe: true };
+
+const SheetManager = {
+  getOrCreate: (sheetName) => {
+    const sheet =
+      spreadsheet.getSheetByName(sheetName) ||
+      spreadsheet.insertSheet(sheetName);
+    return {
+      sheet,
+      clearSheet: () => {
+        if (sheet.getLastRow() > 1) {
+          sheet
+            .getRange(2, 1, sheet.getLastRow() - 1, sheet.getLastColumn())
+            .clear();
+        }
+      },
+      // Like the real formatSheet, trims the sheet to its data and replaces
+      // the rules with the row stripes
+      formatSheet: async () => {
+        const headers = SHEET_HEADERS[sheetName];
+        sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+        if (sheet.getLastRow() < sheet.getMaxRows()) {
+          sheet.deleteRows(
+            sheet.getLastRow() + 1,
+            sheet.getMaxRows() - sheet.getLastRow()
+          );
+        }
+        if (sheet.getLastColumn() < sheet.getMaxColumns()) {
+          sheet.deleteColumns(
+            sheet.getLastColumn() + 1,
+            sheet.getMaxColumns() - sheet.getLastColumn()
+          );
+        }
+        sheet.setConditionalFormatRules([STRIPE_RULE]);
+      },
+    };
+  },
+};
+
+// Simplified functions for testing
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+function getIsoWeekStart(date) {
+  const value = new Date(date);
+  const start = new Date(
+    value.getFullYear(),
+    value.getMonth(),
+    value.getDate()
+  );
+  start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  return start;
+}
+
+function getIsoWeekKey(date) {
+  const thursday = getIsoWeekStart(date);
+  thursday.setDate(thursday.getDate() + 3);
+
+  const isoYear = thursday.getFullYear();
+  const firstThursday = getIsoWeekStart(new Date(isoYear, 0, 4));
+  firstThursday.setDate(firstThursday.getDate() + 3);
+
+  const week = 1 + Math.round((thursday - firstThursday) / MS_PER_DAY / 7);
+  return `${isoYear}-W${String(week).padStart(2, "0")}`;
+}
+
+function daysBetween(from, to) {
+  const start = new Date(from);
+  const end = new Date(to);
+  return Math.round(
+    (new Date(end.getFullYear(), end.getMonth(), end.getDate()) -
+      new Date(start.getFullYear(), start.getMonth(), start.getDate())) /
+      MS_PER_DAY
+  );
+}
+
+function checkAndThrowTimeout(checkTimeout, operationName) {
+  if (checkTimeout && checkTimeout()) {
+    throw new ImportTimeoutError(`Timeout approaching during ${operationName}`);
+  }
+}
+
+function getWorkoutColumnIndices(headers) {
+  return {
+    id: headers.indexOf("ID"),
+    title: headers.indexOf("Title"),
+    startTime: headers.indexOf("Start Time"),
+    endTime: headers.indexOf("End Time"),
+    exercise: headers.indexOf("Exercise"),
+  };
+}
+
+function filterOwnRows(rows, headers) {
+  const athleteIndex = headers.indexOf(ATHLETE_CONFIG.HEADER);
+  if (athleteIndex === -1) {
+    return rows;
+  }
+  return rows.filter((row) => !row[athleteIndex]);
+}
+
+function readOwnWorkoutRows(workoutSheet) {
+  const [headers, ...rows] = workoutSheet.getDataRange().getValues();
+  return { headers, rows: filterOwnRows(rows, headers) };
+}
+
+async function updateConsistency(checkTimeout = null, workoutRows = null) {
+  const workoutSheet =
+    getActiveSpreadsheet().getSheetByName(WORKOUTS_SHEET_NAME);
+
+  if (!workoutSheet) {
+    return;
+  }
+
+  try {
+    checkAndThrowTimeout(checkTimeout, "updateConsistency");
+
+    const today = new Date();
+    const { headers, rows: workoutData } =
+      workoutRows || readOwnWorkoutRows(workoutSheet);
+    const workoutDays = collectWorkoutDays(
+      workoutData,
+      getWorkoutColumnIndices(headers)
+    );
+    const rows = buildConsistencyCalendar(workoutDays, today);
+    const stats = calculateConsistencyStats(workoutDays, today);
+
+    checkAndThrowTimeout(checkTimeout, "updateConsistency");
+
+    const manager = SheetManager.getOrCreate(CONSISTENCY_SHEET_NAME);
+    _clearConsistencySummary(manager.sheet);
+    manager.clearSheet();
+    if (rows.length > 0) {
+      manager.sheet.getRange(2, 1, rows.length, rows[0].length).setValues(rows);
+    }
+    await manager.formatSheet(checkTimeout);
+    _applyConsistencyHeatmap(manager.sheet, rows.length);
+    _writeConsistencySummary(manager.sheet, consistencySummaryToRows(stats));
+
+    ImportProgressTracker.markOperationComplete("updateConsistency");
+  } catch (error) {
+    if (error instanceof ImportTimeoutError) {
+      ImportProgressTracker.markDeferredOperation("updateConsistency");
+    }
+    throw ErrorHandler.handle(error, {
+      operation: "Updating consistency",
+      sheetName: CONSISTENCY_SHEET_NAME,
+    });
+  }
+}
+
+function getConsistencySummary() {
+  try {
+    const workoutSheet =
+      getActiveSpreadsheet().getSheetByName(WORKOUTS_SHEET_NAME);
+    const stats = calculateConsistencyStats(
+      workoutSheet ? _readWorkoutDays(workoutSheet) : [],
+      new Date()
+    );
+    return {
+      currentStreak: stats.currentStreak,
+      longestStreak: stats.longestStreak,
+      sessionsThisWeek: stats.sessionsThisWeek,
+      lastWorkout: stats.lastWorkout ? stats.lastWorkout.toISOString() : null,
+    };
+  } catch (error) {
+    throw ErrorHandler.handle(error, {
+      operation: "Getting consistency summary",
+    });
+  }
+}
+
+function collectWorkoutDays(workoutData, indices) {
+  const seenWorkouts = new Set();
+  const days = new Map();
+
+  workoutData.forEach((row) => {
+    const startTime = row[indices.startTime];
+    if (!startTime || isNaN(new Date(startTime).getTime())) {
+      return;
+    }
+
+    const workoutKey =
+      String(row[indices.id] || "").trim() || String(startTime);
+    if (seenWorkouts.has(workoutKey)) {
+      return;
+    }
+    seenWorkouts.add(workoutKey);
+
+    const start = new Date(startTime);
+    const date = new Date(
+      start.getFullYear(),
+      start.getMonth(),
+      start.getDate()
+    );
+    const day = days.get(date.getTime()) ?? { date, sessions: 0 };
+    day.sessions++;
+    days.set(date.getTime(), day);
+  });
+
+  return Array.from(days.values()).sort((a, b) => a.date - b.date);
+}
+
+function buildConsistencyCalendar(workoutDays, today) {
+  const sessionsByDay = new Map(
+    workoutDays.map(({ date, sessions }) => [date.getTime(), sessions])
+  );
+
+  return _listWeekStarts(workoutDays, today)
+    .reverse()
+    .map((weekStart) => {
+      const days = Array.from({ length: 7 }, (_, offset) => {
+        const day = new Date(
+          weekStart.getFullYear(),
+          weekStart.getMonth(),
+          weekStart.getDate() + offset
+        );
+        return sessionsByDay.get(day.getTime()) ?? "";
+      });
+      const total = days.reduce((sum, sessions) => sum + (sessions || 0), 0);
+      return [getIsoWeekKey(weekStart), weekStart, ...days, total];
+    });
+}
+
+function calculateConsistencyStats(workoutDays, today) {
+  const weekStarts = _listWeekStarts(workoutDays, today);
+  const sessionsByWeek = new Map();
+  workoutDays.forEach(({ date, sessions }) => {
+    const week = getIsoWeekStart(date).getTime();
+    sessionsByWeek.set(week, (sessionsByWeek.get(week) ?? 0) + sessions);
+  });
+  const weeklySessions = weekStarts.map(
+    (weekStart) => sessionsByWeek.get(weekStart.getTime()) ?? 0
+  );
+  const qualifies = (sessions) =>
+    sessions >= CONSISTENCY_CONFIG.MIN_WEEKLY_SESSIONS;
+
+  let longestStreak = 0;
+  let run = 0;
+  weeklySessions.forEach((sessions) => {
+    run = qualifies(sessions) ? run + 1 : 0;
+    longestStreak = Math.max(longestStreak, run);
+  });
+
+  let currentStreak = 0;
+  const lastIndex = weeklySessions.length - 1;
+  for (let i = lastIndex; i >= 0; i--) {
+    if (!qualifies(weeklySessions[i])) {
+      if (i === lastIndex) {
+        continue;
+      }
+      break;
+    }
+    currentStreak++;
+  }
+
+  const totalWorkouts = weeklySessions.reduce((sum, n) => sum + n, 0);
+  const longestGaps = workoutDays
+    .slice(1)
+    .map(({ date }, i) => ({
+      from: workoutDays[i].date,
+      to: date,
+      days: daysBetween(workoutDays[i].date, date),
+    }))
+    .filter(({ days }) => days > 1)
+    .sort((a, b) => b.days - a.days || b.to - a.to)
+    .slice(0, CONSISTENCY_CONFIG.LONGEST_GAPS);
+
+  return {
+    totalWorkouts,
+    currentStreak,
+    longestStreak,
+    averagePerWeek:
+      weekStarts.length > 0
+        ? Math.round((totalWorkouts / weekStarts.length) * 100) / 100
+        : 0,
+    sessionsThisWeek: weeklySessions[lastIndex] ?? 0,
+    lastWorkout:
+      workoutDays.length > 0 ? workoutDays[workoutDays.length - 1].date : null,
+    longestGaps,
+  };
+}
+
+function consistencySummaryToRows(stats) {
+  return [
+    ["Statistic", "Value", ""],
+    ["Current Streak (weeks)", stats.currentStreak, ""],
+    ["Longest Streak (weeks)", stats.longestStreak, ""],
+    ["Avg Sessions / Week", stats.averagePerWeek, ""],
+    ["Total Workouts", stats.totalWorkouts, ""],
+    ["Last Workout", stats.lastWorkout ?? "", ""],
+    ["", "", ""],
+    ["Gap From", "Gap To", "Days"],
+    ...stats.longestGaps.map(({ from, to, days }) => [from, to, days]),
+  ];
+}
+
+function _readWorkoutDays(workoutSheet) {
+  const { headers, rows } = readOwnWorkoutRows(workoutSheet);
+  return collectWorkoutDays(rows, getWorkoutColumnIndices(headers));
+}
+
+function _listWeekStarts(workoutDays, today) {
+  if (workoutDays.length === 0) {
+    return [];
+  }
+
+  const lastWorkout = workoutDays[workoutDays.length - 1].date;
+  const end = getIsoWeekStart(today > lastWorkout ? today : lastWorkout);
+  const weekStarts = [];
+  for (
+    let weekStart = getIsoWeekStart(workoutDays[0].date);
+    weekStart <= end;
+    weekStart = new Date(
+      weekStart.getFullYear(),
+      weekStart.getMonth(),
+      weekStart.getDate() + 7
+    )
+  ) {
+    weekStarts.push(weekStart);
+  }
+  return weekStarts;
+}
+
+function _applyConsistencyHeatmap(sheet, numRows) {
+  if (numRows === 0) {
+    return;
+  }
+
+  const firstDayColumn =
+    SHEET_HEADERS[CONSISTENCY_SHEET_NAME].indexOf("Mon") + 1;
+  const heatmapRule = SpreadsheetApp.newConditionalFormatRule()
+    .setRanges([sheet.getRange(2, firstDayColumn, numRows, 7)])
+    .setGradientMinpointWithValue(
+      CONSISTENCY_CONFIG.HEATMAP_COLORS.MIN,
+      SpreadsheetApp.InterpolationType.NUMBER,
+      "1"
+    )
+    .setGradientMaxpoint(CONSISTENCY_CONFIG.HEATMAP_COLORS.MAX)
+    .build();
+
+  // The heatmap goes first so it takes precedence over the row stripes
+  sheet.setConditionalFormatRules([
+    heatmapRule,
+    ...sheet.getConditionalFormatRules(),
+  ]);
+}
+
+function _clearConsistencySummary(sheet) {
+  const column = CONSISTENCY_CONFIG.SUMMARY_COLUMN;
+  const maxColumns = sheet.getMaxColumns();
+  if (maxColumns < column) {
+    return;
+  }
+  sheet
+    .getRange(1, column, sheet.getMaxRows(), maxColumns - column + 1)
+    .clear();
+}
+
+function _writeConsistencySummary(sheet, rows) {
+  const column = CONSISTENCY_CONFIG.SUMMARY_COLUMN;
+  const lastColumn = column + rows[0].length - 1;
+  if (sheet.getMaxColumns() < lastColumn) {
+    sheet.insertColumnsAfter(
+      sheet.getMaxColumns(),
+      lastColumn - sheet.getMaxColumns()
+    );
+  }
+  if (sheet.getMaxRows() < rows.length) {
+    sheet.insertRowsAfter(sheet.getMaxRows(), rows.length - sheet.getMaxRows());
+  }
+
+  sheet.getRange(1, column, rows.length, rows[0].length).setValues(rows);
+  const gapHeaderRow = rows.findIndex(([label]) => label === "Gap From") + 1;
+  [1, gapHeaderRow].forEach((row) =>
+    sheet.getRange(row, column, 1, rows[0].length).setFontWeight("bold")
+  );
+}
+
+describe("Consistency", () => {
+  const indices = getWorkoutColumnIndices(WORKOUTS_HEADERS);
+  const day = (date, sessions) => ({ date, sessions });
+  const set = (id, startTime, athlete = "") => [
+    id,
+    "Workout",
+    startTime,
+    "",
+    "Squat",
+    athlete,
+  ];
+
+  // Tue 2 Jan, Thu 4 Jan (two workouts), Tue 16 Jan and Wed 24 Jan 2024
+  const WORKOUT_DAYS = [
+    day(new Date(2024, 0, 2), 1),
+    day(new Date(2024, 0, 4), 2),
+    day(new Date(2024, 0, 16), 1),
+    day(new Date(2024, 0, 24), 1),
+  ];
+  const WEDNESDAY = new Date(2024, 0, 31, 12);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    spreadsheet = new MockSpreadsheet();
+    global.SpreadsheetApp = createMockSpreadsheetApp(spreadsheet);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe("collectWorkoutDays()", () => {
+    test("should count each workout once on its local day", () => {
+      expect(
+        collectWorkoutDays(
+          [
+            set("w3", new Date(2024, 0, 4, 18)),
+            set("w1", new Date(2024, 0, 2, 23, 30)),
+            set("w1", new Date(2024, 0, 2, 23, 30)),
+            set("w2", new Date(2024, 0, 4, 7)),
+            set("", new Date(2024, 0, 5, 9)),
+            set("w4", "not a date"),
+            set("w5", ""),
+          ],
+          indices
+        )
+      ).toEqual([
+        day(new Date(2024, 0, 2), 1),
+        day(new Date(2024, 0, 4), 2),
+        day(new Date(2024, 0, 5), 1),
+      ]);
+    });
+  });
+
+  describe("buildConsistencyCalendar()", () => {
+    test("should list every week up to today, newest first", () => {
+      expect(buildConsistencyCalendar(WORKOUT_DAYS, WEDNESDAY)).toEqual([
+        ["2024-W05", new Date(2024, 0, 29), "", "", "", "", "", "", "", 0],
+        ["2024-W04", new Date(2024, 0, 22), "", "", 1, "", "", "", "", 1],
+        ["2024-W03", new Date(2024, 0, 15), "", 1, "", "", "", "", "", 1],
+        ["2024-W02", new Date(2024, 0, 8), "", "", "", "", "", "", "", 0],
+        ["2024-W01", new Date(2024, 0, 1), "", 1, "", 2, "", "", "", 3],
+      ]);
+    });
+
+    test("should be empty without workouts", () => {
+      expect(buildConsistencyCalendar([], WEDNESDAY)).toEqual([]);
+    });
+  });
+
+  describe("calculateConsistencyStats()", () => {
+    test("should keep the streak alive during the week in progress", () => {
+      expect(calculateConsistencyStats(WORKOUT_DAYS, WEDNESDAY)).toEqual({
+        totalWorkouts: 5,
+        currentStreak: 2,
+        longestStreak: 2,
+        averagePerWeek: 1,
+        sessionsThisWeek: 0,
+        lastWorkout: new Date(2024, 0, 24),
+        longestGaps: [
+          { from: new Date(2024, 0, 4), to: new Date(2024, 0, 16), days: 12 },
+          { from: new Date(2024, 0, 16), to: new Date(2024, 0, 24), days: 8 },
+          { from: new Date(2024, 0, 2), to: new Date(2024, 0, 4), days: 2 },
+        ],
+      });
+    });
+
+    test("should break the streak after a full week without workouts", () => {
+      const stats = calculateConsistencyStats(
+        WORKOUT_DAYS,
+        new Date(2024, 1, 6, 12)
+      );
+
+      expect(stats.currentStreak).toBe(0);
+      expect(stats.longestStreak).toBe(2);
+      expect(stats.averagePerWeek).toBe(0.83);
+    });
+
+    test("should count the week in progress once it has a workout", () => {
+      const stats = calculateConsistencyStats(
+        [...WORKOUT_DAYS, day(new Date(2024, 0, 29), 1)],
+        WEDNESDAY
+      );
+
+      expect(stats.currentStreak).toBe(3);
+      expect(stats.longestStreak).toBe(3);
+      expect(stats.sessionsThisWeek).toBe(1);
+    });
+
+    test("should leave out back-to-back days and keep the longest gaps", () => {
+      const days = Array.from({ length: 8 }, (_, i) =>
+        day(new Date(2024, 0, 1 + (i * (i + 1)) / 2), 1)
+      );
+
+      const { longestGaps } = calculateConsistencyStats(days, WEDNESDAY);
+
+      expect(longestGaps.map(({ days: gap }) => gap)).toEqual([7, 6, 5, 4, 3]);
+    });
+
+    test("should report zeros without workouts", () => {
+      expect(calculateConsistencyStats([], WEDNESDAY)).toEqual({
+        totalWorkouts: 0,
+        currentStreak: 0,
+        longestStreak: 0,
+        averagePerWeek: 0,
+        sessionsThisWeek: 0,
+        lastWorkout: null,
+        longestGaps: [],
+      });
+    });
+  });
+
+  describe("updateConsistency()", () => {
+    const setUpWorkouts = (rows) =>
+      spreadsheet.insertSheet(WORKOUTS_SHEET_NAME, [WORKOUTS_HEADERS, ...rows]);
+
+    test("should write the calendar, heatmap and summary", async () => {
+      jest.useFakeTimers().setSystemTime(WEDNESDAY);
+      setUpWorkouts([
+        set("w1", new Date(2024, 0, 16, 9)),
+        set("w1", new Date(2024, 0, 16, 9)),
+        set("w2", new Date(2024, 0, 24, 9)),
+        set("a1", new Date(2024, 0, 25, 9), "Sam"),
+      ]);
+
+      await updateConsistency();
+
+      const sheet = spreadsheet.getSheetByName(CONSISTENCY_SHEET_NAME);
+      expect(sheet.getRange("A1:J4").getValues()).toEqual([
+        SHEET_HEADERS[CONSISTENCY_SHEET_NAME],
+        ["2024-W05", new Date(2024, 0, 29), "", "", "", "", "", "", "", 0],
+        ["2024-W04", new Date(2024, 0, 22), "", "", 1, "", "", "", "", 1],
+        ["2024-W03", new Date(2024, 0, 15), "", 1, "", "", "", "", "", 1],
+      ]);
+      expect(sheet.getRange("L1:N9").getValues()).toEqual([
+        ["Statistic", "Value", ""],
+        ["Current Streak (weeks)", 2, ""],
+        ["Longest Streak (weeks)", 2, ""],
+        ["Avg Sessions / Week", 0.67, ""],
+        ["Total Workouts", 2, ""],
+        ["Last Workout", new Date(2024, 0, 24), ""],
+        ["", "", ""],
+        ["Gap From", "Gap To", "Days"],
+        [new Date(2024, 0, 16), new Date(2024, 0, 24), 8],
+      ]);
+      expect(sheet.getRange("L1").getFontWeight()).toBe("bold");
+      expect(sheet.getRange("L8").getFontWeight()).toBe("bold");
+
+      const [heatmapRule, ...otherRules] = sheet.getConditionalFormatRules();
+      expect(otherRules).toEqual([STRIPE_RULE]);
+      expect(heatmapRule.getRanges()[0].getA1Notation()).toBe("C2:I4");
+      expect(heatmapRule.getGradientCondition()).toEqual({
+        min: { color: "#C8E6C9", type: "NUMBER", value: "1" },
+        max: { color: "#2E7D32", type: "MAX", value: null },
+      });
+      expect(ImportProgressTracker.markOperationComplete).toHaveBeenCalledWith(
+        "updateConsistency"
+      );
+    });
+
+    test("should clear the old summary when rebuilt", async () => {
+      jest.useFakeTimers().setSystemTime(WEDNESDAY);
+      setUpWorkouts([
+        set("w1", new Date(2024, 0, 2, 9)),
+        set("w2", new Date(2024, 0, 16, 9)),
+        set("w3", new Date(2024, 0, 24, 9)),
+      ]);
+      await updateConsistency();
+      spreadsheet.getSheetByName(WORKOUTS_SHEET_NAME).deleteRows(2, 2);
+
+      await updateConsistency();
+
+      const sheet = spreadsheet.getSheetByName(CONSISTENCY_SHEET_NAME);
+      expect(sheet.getLastRow()).toBe(8);
+      expect(sheet.getRange("L2:M5").getValues()).toEqual([
+        ["Current Streak (weeks)", 1],
+        ["Longest Streak (weeks)", 1],
+        ["Avg Sessions / Week", 0.5],
+        ["Total Workouts", 1],
+      ]);
+      expect(sheet.getRange("A4").getValue()).toBe("");
+    });
+
+    test("should use rows already read from the Workouts sheet", async () => {
+      jest.useFakeTimers().setSystemTime(WEDNESDAY);
+      setUpWorkouts([set("w1", new Date(2024, 0, 16, 9))]);
+
+      await updateConsistency(null, {
+        headers: WORKOUTS_HEADERS,
+        rows: [
+          set("w1", new Date(2024, 0, 16, 9)),
+          set("w2", new Date(2024, 0, 24, 9)),
+        ],
+      });
+
+      const sheet = spreadsheet.getSheetByName(CONSISTENCY_SHEET_NAME);
+      expect(sheet.getRange("L5:M5").getValues()).toEqual([
+        ["Total Workouts", 2],
+      ]);
+    });
+
+    test("should defer the rebuild when the import is out of time", async () => {
+      setUpWorkouts([]);
+
+      await expect(updateConsistency(() => true)).rejects.toThrow(
+        ImportTimeoutError
+      );
+      expect(ImportProgressTracker.markDeferredOperation).toHaveBeenCalledWith(
+        "updateConsistency"
+      );
+      expect(spreadsheet.getSheetByName(CONSISTENCY_SHEET_NAME)).toBeNull();
+    });
+  });
+
+  describe("getConsistencySummary()", () => {
+    test("should return the streaks with the last workout as a string", () => {
+      jest.useFakeTimers().setSystemTime(WEDNESDAY);
+      spreadsheet.insertSheet(WORKOUTS_SHEET_NAME, [
+        WORKOUTS_HEADERS,
+        set("w1", new Date(2024, 0, 24, 9)),
+      ]);
+
+      expect(getConsistencySummary()).toEqual({
+        currentStreak: 1,
+        longestStreak: 1,
+        sessionsThisWeek: 0,
+        lastWorkout: new Date(2024, 0, 24).toISOString(),
+      });
+    });
+
+    test("should report no streak without a Workouts sheet", () => {
+      expect(getConsistencySummary()).toEqual({
+        currentStreak: 0,
+        longestStreak: 0,
+        sessionsThisWeek: 0,
+        lastWorkout: null,
+      });
+    });
+  });
+});
@@ -0,0 +1,532 @@
+/**
+ * Tests for CsvWorkoutImport.gs - Importing Strong and FitNotes CSV exports
+ */
+
+const CSV_IMPORT_SOURCES = { STRONG: "strong", FITNOTES: "fitnotes" };
+const CSV_DEFAULT_DURATION_SECONDS = 60 * 60;
+const CSV_DISTANCE_TO_METERS = {
+  m: 1,
+  km: 1000,
+  mi: 1609.344,
+  ft: 0.3048,
+  yd: 0.9144,
+};
+const WEIGHT_CONVERSION = { LBS_TO_KG: 0.45359237, STONE_TO_KG: 6.35029 };
+
+class ValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ValidationError";
+  }
+}
+
+// Minimal stand-in for Utilities.parseCsv: quoted fields, no embedded newlines
+global.Utilities = {
+  parseCsv: (text, delimiter = ",") =>
+    text.split(/\r?\n/).map((line) =>
+      line
+        .match(
+          new RegExp(`("([^"]|"")*"|[^${delimiter}]*)(${delimiter}|$)`, "g")
+        )
+        .slice(0, -1)
+        .map((cell) =>
+          cell
+            .replace(new RegExp(`${delimiter}$`), "")
+            .replace(/^"|"$/g, "")
+            .replace(/""/g, '"')
+        )
+    ),
+};
+
+const getEnglishName = (name) =>
+  ({ "Press de banca": "Bench Press" })[name] ?? name;
+
+function findExerciseMetadata(metadataMap, templateId, title) {
+  const id = String(templateId || "").trim();
+  if (id && metadataMap.byId.has(id)) {
+    return metadataMap.byId.get(id);
+  }
+
+  const name = String(title || "").trim();
+  if (!name) {
+    return null;
+  }
+
+  return (
+    metadataMap.byTitle.get(name.toLowerCase()) ??
+    metadataMap.byTitle.get(getEnglishName(name).toLowerCase()) ??
+    null
+  );
+}
+
+function parseWorkoutCsv(content, source, weightUnit) {
+  const text = String(content ?? "").replace(/^\uFEFF/, "");
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter =
+    firstLine.includes(";") && !firstLine.includes(",") ? ";" : ",";
+  const rows = Utilities.parseCsv(text, delimiter).filter((row) =>
+    row.some((value) => String(value).trim() !== "")
+  );
+
+  if (rows.length < 2) {
+    throw new ValidationError("The CSV file has no workout rows.");
+  }
+
+  const headers = rows.shift().map((header) => String(header).trim());
+  const workouts =
+    source === CSV_IMPORT_SOURCES.FITNOTES
+      ? _parseFitNotesRows(headers, rows, weightUnit)
+      : _parseStrongRows(headers, rows, weightUnit);
+
+  return workouts.sort((a, b) => a.startTime - b.startTime);
+}
+
+function _parseStrongRows(headers, rows, weightUnit) {
+  const column = _getCsvColumnReader(
+    headers,
+    ["Date", "Workout Name", "Exercise Name"],
+    "Strong"
+  );
+  const isImperial = weightUnit === "lbs";
+  const weightFactor = isImperial ? WEIGHT_CONVERSION.LBS_TO_KG : 1;
+  const distanceFactor = isImperial
+    ? CSV_DISTANCE_TO_METERS.mi
+    : CSV_DISTANCE_TO_METERS.km;
+  const setTypes = { W: "warmup", D: "dropset", F: "failure" };
+  const workouts = new Map();
+
+  rows.forEach((row) => {
+    const exerciseName = column(row, "Exercise Name");
+    const setOrder = column(row, "Set Order");
+    if (!exerciseName || /rest timer/i.test(setOrder)) {
+      return;
+    }
+
+    const startTime = _parseCsvDate(column(row, "Date"));
+    const key = `${CSV_IMPORT_SOURCES.STRONG}-${startTime.toISOString()}`;
+    if (!workouts.has(key)) {
+      const duration =
+        parseCsvDuration(column(row, "Duration")) ||
+        CSV_DEFAULT_DURATION_SECONDS;
+      workouts.set(key, {
+        key,
+        title: column(row, "Workout Name") || "Strong Workout",
+        startTime,
+        endTime: new Date(startTime.getTime() + duration * 1000),
+        description: column(row, "Workout Notes"),
+        exercises: [],
+      });
+    }
+
+    _addCsvSet(workouts.get(key), exerciseName, column(row, "Notes"), {
+      type: setTypes[setOrder.toUpperCase()] ?? "normal",
+      weight_kg: _scaleCsvNumber(column(row, "Weight"), weightFactor),
+      reps: _scaleCsvNumber(column(row, "Reps"), 1),
+      distance_meters: _scaleCsvNumber(column(row, "Distance"), distanceFactor),
+      duration_seconds: _scaleCsvNumber(column(row, "Seconds"), 1),
+      rpe: _scaleCsvNumber(column(row, "RPE"), 1),
+    });
+  });
+
+  return Array.from(workouts.values());
+}
+
+function _parseFitNotesRows(headers, rows, weightUnit) {
+  const weightHeader =
+    headers.find((header) => /^weight/i.test(header)) ?? "Weight";
+  const column = _getCsvColumnReader(
+    headers,
+    ["Date", "Exercise", weightHeader],
+    "FitNotes"
+  );
+  const isImperial = /lbs/i.test(weightHeader) || weightUnit === "lbs";
+  const weightFactor = isImperial ? WEIGHT_CONVERSION.LBS_TO_KG : 1;
+  const workouts = new Map();
+  const categories = new Map();
+
+  rows.forEach((row) => {
+    const exerciseName = column(row, "Exercise");
+    if (!exerciseName) {
+      return;
+    }
+
+    // FitNotes only records the day; use noon so time zones keep the date
+    const day = _parseCsvDate(column(row, "Date"));
+    const startTime = new Date(
+      day.getFullYear(),
+      day.getMonth(),
+      day.getDate(),
+      12
+    );
+    const key = `${CSV_IMPORT_SOURCES.FITNOTES}-${startTime.toISOString()}`;
+    if (!workouts.has(key)) {
+      workouts.set(key, {
+        key,
+        title: "",
+        startTime,
+        endTime: new Date(
+          startTime.getTime() + CSV_DEFAULT_DURATION_SECONDS * 1000
+        ),
+        description: "",
+        exercises: [],
+      });
+      categories.set(key, new Set());
+    }
+
+    const category = column(row, "Category");
+    if (category) {
+      categories.get(key).add(category);
+    }
+
+    const distanceUnit = column(row, "Distance Unit").toLowerCase();
+    _addCsvSet(workouts.get(key), exerciseName, column(row, "Comment"), {
+      type: "normal",
+      weight_kg: _scaleCsvNumber(column(row, weightHeader), weightFactor),
+      reps: _scaleCsvNumber(column(row, "Reps"), 1),
+      distance_meters: _scaleCsvNumber(
+        column(row, "Distance"),
+        CSV_DISTANCE_TO_METERS[distanceUnit] ?? 1
+      ),
+      duration_seconds: parseCsvDuration(column(row, "Time")) || null,
+      rpe: null,
+    });
+  });
+
+  workouts.forEach((workout, key) => {
+    workout.title =
+      Array.from(categories.get(key)).join(" & ") || "FitNotes Workout";
+  });
+
+  return Array.from(workouts.values());
+}
+
+function _getCsvColumnReader(headers, required, sourceLabel) {
+  const missing = required.filter((header) => !headers.includes(header));
+  if (missing.length > 0) {
+    throw new ValidationError(
+      `This does not look like a ${sourceLabel} export. Missing columns: ${missing.join(
+        ", "
+      )}`
+    );
+  }
+
+  return (row, header) => {
+    const index = headers.indexOf(header);
+    return index >= 0 ? String(row[index] ?? "").trim() : "";
+  };
+}
+
+function _addCsvSet(workout, exerciseName, notes, set) {
+  let exercise = workout.exercises[workout.exercises.length - 1];
+  if (!exercise || exercise.name !== exerciseName) {
+    exercise = { name: exerciseName, notes: "", sets: [] };
+    workout.exercises.push(exercise);
+  }
+
+  if (notes && !exercise.notes.split("\n").includes(notes)) {
+    exercise.notes = exercise.notes ? `${exercise.notes}\n${notes}` : notes;
+  }
+
+  exercise.sets.push(
+    Object.fromEntries(
+      Object.entries(set).filter(([, value]) => value !== null)
+    )
+  );
+}
+
+function _scaleCsvNumber(value, factor) {
+  const number = parseFloat(String(value).replace(",", "."));
+  if (!isFinite(number) || number === 0) {
+    return null;
+  }
+  return Math.round(number * factor * 100) / 100;
+}
+
+function _parseCsvDate(value) {
+  const match = String(value).match(
+    /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?/
+  );
+  const date = match
+    ? new Date(
+        Number(match[1]),
+        Number(match[2]) - 1,
+        Number(match[3]),
+        Number(match[4] ?? 0),
+        Number(match[5] ?? 0),
+        Number(match[6] ?? 0)
+      )
+    : new Date(value);
+
+  if (isNaN(date.getTime())) {
+    throw new ValidationError(`Invalid date in CSV: ${value}`);
+  }
+  return date;
+}
+
+function parseCsvDuration(value) {
+  const text = String(value ?? "").trim();
+  if (!text) {
+    return 0;
+  }
+
+  if (/^\d+(:\d{1,2}){1,2}$/.test(text)) {
+    return text
+      .split(":")
+      .map(Number)
+      .reduce((total, part) => total * 60 + part, 0);
+  }
+
+  const units = { h: 3600, m: 60, s: 1 };
+  let seconds = 0;
+  const pattern = /(\d+(?:\.\d+)?)\s*([hms])/gi;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    seconds += Number(match[1]) * units[match[2].toLowerCase()];
+  }
+  return Math.round(seconds);
+}
+
+function matchCsvExercises(workouts, metadataMap, mappings = {}) {
+  const matches = new Map();
+
+  workouts.forEach((workout) =>
+    workout.exercises.forEach(({ name }) => {
+      if (matches.has(name)) {
+        return;
+      }
+
+      const metadata = findExerciseMetadata(metadataMap, mappings[name], name);
+      matches.set(
+        name,
+        metadata?.id && metadata.id !== "N/A" ? metadata : null
+      );
+    })
+  );
+
+  return matches;
+}
+
+function toHevyWorkout(workout, matches) {
+  return {
+    id: workout.key,
+    title: workout.title,
+    description: workout.description,
+    start_time: workout.startTime.toISOString(),
+    end_time: workout.endTime.toISOString(),
+    exercises: workout.exercises
+      .filter(({ name }) => matches.get(name))
+      .map((exercise) => {
+        const metadata = matches.get(exercise.name);
+        return {
+          title: metadata.title,
+          exercise_template_id: metadata.id,
+          notes: exercise.notes,
+          superset_id: null,
+          sets: exercise.sets.map((set, index) => ({ ...set, index })),
+        };
+      }),
+  };
+}
+
+const STRONG_CSV = [
+  "Date,Workout Name,Duration,Exercise Name,Set Order,Weight,Reps,Distance,Seconds,Notes,Workout Notes,RPE",
+  "2021-03-15 18:04:21,Push Day,1h 5m,Bench Press (Barbell),W,40,10,0,0,,Felt good,",
+  "2021-03-15 18:04:21,Push Day,1h 5m,Bench Press (Barbell),1,80,5,0,0,Pause reps,Felt good,8",
+  "2021-03-15 18:04:21,Push Day,1h 5m,Bench Press (Barbell),Rest Timer,0,0,0,90,,Felt good,",
+  "2021-03-15 18:04:21,Push Day,1h 5m,Running,1,0,0,2.5,900,,Felt good,",
+  '2021-03-10 07:30:00,"Legs, Heavy",45m,Squat (Barbell),D,100,3,0,0,,,',
+].join("\n");
+
+const FITNOTES_CSV = [
+  "Date,Exercise,Category,Weight (lbs),Reps,Distance,Distance Unit,Time,Comment",
+  "2020-01-02,Flat Barbell Bench Press,Chest,135,8,,,,",
+  "2020-01-02,Pull Up,Back,,10,,,,Strict",
+  "2020-01-02,Rowing Machine,Cardio,,,2000,m,0:08:30,",
+  "2020-01-01,Deadlift,Back,225,5,,,,",
+].join("\n");
+
+describe("CsvWorkoutImport", () => {
+  describe("parseCsvDuration()", () => {
+    test("should parse Strong style durations", () => {
+      expect(parseCsvDuration("1h 5m")).toBe(3900);
+      expect(parseCsvDuration("45m 30s")).toBe(2730);
+    });
+
+    test("should parse clock style durations", () => {
+      expect(parseCsvDuration("0:08:30")).toBe(510);
+      expect(parseCsvDuration("05:30")).toBe(330);
+    });
+
+    test("should return 0 for empty or unparseable values", () => {
+      expect(parseCsvDuration("")).toBe(0);
+      expect(parseCsvDuration(null)).toBe(0);
+      expect(parseCsvDuration("soon")).toBe(0);
+    });
+  });
+
+  describe("parseWorkoutCsv() - Strong", () => {
+    test("should group rows into workouts sorted oldest first", () => {
+      const workouts = parseWorkoutCsv(STRONG_CSV, "strong", "kg");
+
+      expect(workouts.map((w) => w.title)).toEqual(["Legs, Heavy", "Push Day"]);
+      expect(workouts[1].description).toBe("Felt good");
+      expect(workouts[1].endTime - workouts[1].startTime).toBe(3900 * 1000);
+    });
+
+    test("should map set types, skip rest timers and keep set notes", () => {
+      const [legs, push] = parseWorkoutCsv(STRONG_CSV, "strong", "kg");
+      const bench = push.exercises[0];
+
+      expect(bench.name).toBe("Bench Press (Barbell)");
+      expect(bench.sets).toEqual([
+        { type: "warmup", weight_kg: 40, reps: 10 },
+        { type: "normal", weight_kg: 80, reps: 5, rpe: 8 },
+      ]);
+      expect(bench.notes).toBe("Pause reps");
+      expect(legs.exercises[0].sets[0].type).toBe("dropset");
+    });
+
+    test("should convert distance from km to meters", () => {
+      const push = parseWorkoutCsv(STRONG_CSV, "strong", "kg")[1];
+
+      expect(push.exercises[1].sets[0]).toEqual({
+        type: "normal",
+        distance_meters: 2500,
+        duration_seconds: 900,
+      });
+    });
+
+    test("should convert pounds and miles for imperial exports", () => {
+      const push = parseWorkoutCsv(STRONG_CSV, "strong", "lbs")[1];
+
+      expect(push.exercises[0].sets[1].weight_kg).toBe(36.29);
+      expect(push.exercises[1].sets[0].distance_meters).toBe(4023.36);
+    });
+
+    test("should accept semicolon-delimited files with a BOM", () => {
+      const content =
+        "\uFEFF" +
+        STRONG_CSV.split("\n").slice(0, 3).join("\n").replace(/,/g, ";");
+
+      const workouts = parseWorkoutCsv(content, "strong", "kg");
+
+      expect(workouts).toHaveLength(1);
+      expect(workouts[0].exercises[0].sets).toHaveLength(2);
+    });
+
+    test("should reject files that are not Strong exports", () => {
+      expect(() => parseWorkoutCsv(FITNOTES_CSV, "strong", "kg")).toThrow(
+        "Missing columns: Workout Name, Exercise Name"
+      );
+    });
+
+    test("should reject files without data rows", () => {
+      expect(() => parseWorkoutCsv("Date,Exercise Name\n", "strong")).toThrow(
+        ValidationError
+      );
+    });
+  });
+
+  describe("parseWorkoutCsv() - FitNotes", () => {
+    test("should create one workout per day titled by category", () => {
+      const workouts = parseWorkoutCsv(FITNOTES_CSV, "fitnotes", "kg");
+
+      expect(workouts.map((w) => w.title)).toEqual([
+        "Back",
+        "Chest & Back & Cardio",
+      ]);
+      expect(workouts[1].startTime.getHours()).toBe(12);
+      expect(workouts[1].endTime - workouts[1].startTime).toBe(
+        CSV_DEFAULT_DURATION_SECONDS * 1000
+      );
+    });
+
+    test("should read the weight unit from the header", () => {
+      const workouts = parseWorkoutCsv(FITNOTES_CSV, "fitnotes", "kg");
+
+      expect(workouts[0].exercises[0].sets[0]).toEqual({
+        type: "normal",
+        weight_kg: 102.06,
+        reps: 5,
+      });
+    });
+
+    test("should parse distance, time and comments", () => {
+      const day = parseWorkoutCsv(FITNOTES_CSV, "fitnotes", "kg")[1];
+
+      expect(day.exercises[1].notes).toBe("Strict");
+      expect(day.exercises[2].sets[0]).toEqual({
+        type: "normal",
+        distance_meters: 2000,
+        duration_seconds: 510,
+      });
+    });
+  });
+
+  describe("matchCsvExercises()", () => {
+    const bench = { id: "BENCH", title: "Bench Press (Barbell)" };
+    const custom = { id: "N/A", title: "Pull Up" };
+    const metadataMap = {
+      byId: new Map([["BENCH", bench]]),
+      byTitle: new Map([
+        ["bench press (barbell)", bench],
+        ["bench press", bench],
+        ["pull up", custom],
+      ]),
+    };
+    const workouts = [
+      {
+        exercises: [
+          { name: "Bench Press (Barbell)" },
+          { name: "Press de banca" },
+          { name: "Pull Up" },
+          { name: "Cable Thing" },
+        ],
+      },
+    ];
+
+    test("should match by title and English name", () => {
+      const matches = matchCsvExercises(workouts, metadataMap);
+
+      expect(matches.get("Bench Press (Barbell)")).toBe(bench);
+      expect(matches.get("Press de banca")).toBe(bench);
+    });
+
+    test("should treat exercises without a Hevy ID as unmatched", () => {
+      const matches = matchCsvExercises(workouts, metadataMap);
+
+      expect(matches.get("Pull Up")).toBeNull();
+      expect(matches.get("Cable Thing")).toBeNull();
+    });
+
+    test("should apply manual mappings", () => {
+      const matches = matchCsvExercises(workouts, metadataMap, {
+        "Cable Thing": "BENCH",
+      });
+
+      expect(matches.get("Cable Thing")).toBe(bench);
+    });
+  });
+
+  describe("toHevyWorkout()", () => {
+    test("should build a Hevy-shaped workout and drop unmatched exercises", () => {
+      const [, push] = parseWorkoutCsv(STRONG_CSV, "strong", "kg");
+      const matches = new Map([
+        ["Bench Press (Barbell)", { id: "BENCH", title: "Bench Press" }],
+        ["Running", null],
+      ]);
+
+      const workout = toHevyWorkout(push, matches);
+
+      expect(workout.id).toBe(`strong-${push.startTime.toISOString()}`);
+      expect(workout.start_time).toBe(push.startTime.toISOString());
+      expect(workout.exercises).toHaveLength(1);
+      expect(workout.exercises[0]).toMatchObject({
+        title: "Bench Press",
+        exercise_template_id: "BENCH",
+        notes: "Pause reps",
+      });
+      expect(workout.exercises[0].sets.map((set) => set.index)).toEqual([0, 1]);
+    });
+  });
+});
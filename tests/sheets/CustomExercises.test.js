@@ -0,0 +1,420 @@
+/**
+ * Tests for CustomExercises.gs - Creating custom exercises from the Exercises sheet
+ */
+
+const { createMockSheet } = require("../helpers/testHelpers");
+
+const EXERCISES_SHEET_NAME = "Exercises";
+const API_ENDPOINTS = { EXERCISES: "/exercise_templates" };
+const HTTP_STATUS = { OK: 200 };
+const TOAST_DURATION = { NORMAL: 5 };
+const EXERCISE_TYPES = [
+  "weight_reps",
+  "reps_only",
+  "bodyweight_reps",
+  "bodyweight_assisted_reps",
+  "duration",
+  "weight_duration",
+  "distance_duration",
+  "short_distance_weight",
+];
+const MUSCLE_GROUPS = [
+  "abdominals",
+  "shoulders",
+  "biceps",
+  "triceps",
+  "forearms",
+  "chest",
+  "upper_back",
+  "lats",
+  "full_body",
+  "other",
+];
+const DEFAULT_CUSTOM_EXERCISE_EQUIPMENT = "other";
+
+class ValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ValidationError";
+  }
+}
+
+class ApiError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = "ApiError";
+    this.statusCode = statusCode;
+  }
+}
+
+const toSnakeCaseFromTitle = (str) => {
+  if (!str) return "";
+  return String(str).trim().toLowerCase().split(/\s+/).join("_");
+};
+
+global.ErrorHandler = { handle: jest.fn((error) => error) };
+global.validateExerciseSheetHeaders = jest.fn();
+
+const mockUi = {
+  alert: jest.fn(),
+  Button: { YES: "YES", NO: "NO" },
+  ButtonSet: { YES_NO: "YES_NO", OK: "OK" },
+};
+global.SpreadsheetApp = { getUi: jest.fn(() => mockUi) };
+
+let mockSpreadsheet;
+let mockClient;
+const getActiveSpreadsheet = () => mockSpreadsheet;
+const getApiClientAndKey = () => ({ client: mockClient, apiKey: "key" });
+
+const HEADERS = [
+  "ID",
+  "Title",
+  "IMG",
+  "Type",
+  "Primary Muscle Group",
+  "Secondary Muscle Groups",
+  "Is Custom",
+  "Count",
+  "Rank",
+];
+const INDICES = {
+  id: 0,
+  title: 1,
+  type: 3,
+  primary: 4,
+  secondary: 5,
+  isCustom: 6,
+};
+
+async function createCustomExercisesFromSheet() {
+  const ss = getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(EXERCISES_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() <= 1) {
+    ss.toast(
+      "No exercises found in the Exercises sheet.",
+      "Create Custom Exercises",
+      TOAST_DURATION.NORMAL
+    );
+    return;
+  }
+
+  try {
+    const data = sheet.getDataRange().getValues();
+    const headers = data.shift();
+    validateExerciseSheetHeaders(headers, [
+      "ID",
+      "Title",
+      "Type",
+      "Primary Muscle Group",
+      "Secondary Muscle Groups",
+      "Is Custom",
+    ]);
+
+    const indices = getCustomExerciseColumnIndices(headers);
+    const pending = findPendingCustomExercises(data, indices);
+
+    if (pending.length === 0) {
+      ss.toast(
+        'No custom exercises to create. Mark rows with "Is Custom" and leave the ID empty or "N/A".',
+        "Create Custom Exercises",
+        TOAST_DURATION.NORMAL
+      );
+      return;
+    }
+
+    const ui = SpreadsheetApp.getUi();
+    const response = ui.alert(
+      "Create Custom Exercises?",
+      `Create ${pending.length} custom exercise(s) in your Hevy account?\n\n` +
+        pending.map(({ row }) => `• ${row[indices.title]}`).join("\n"),
+      ui.ButtonSet.YES_NO
+    );
+    if (response !== ui.Button.YES) {
+      return;
+    }
+
+    const { client, apiKey } = getApiClientAndKey();
+    const failures = [];
+    let createdCount = 0;
+
+    for (const { row, rowNumber } of pending) {
+      const title = String(row[indices.title]).trim();
+      try {
+        const payload = buildCustomExercisePayload(row, indices);
+        const options = client.createRequestOptions(apiKey, "post");
+        const result = await client.makeRequest(
+          API_ENDPOINTS.EXERCISES,
+          options,
+          {},
+          payload
+        );
+        const templateId = extractExerciseTemplateId(result);
+        if (!templateId) {
+          throw new ApiError(
+            "Exercise created but no template ID was returned",
+            HTTP_STATUS.OK,
+            JSON.stringify(result)
+          );
+        }
+
+        sheet.getRange(rowNumber, indices.id + 1).setValue(templateId);
+        createdCount++;
+      } catch (error) {
+        failures.push(`${title}: ${error.message}`);
+      }
+    }
+
+    if (createdCount > 0) {
+      // Exercise template list responses are cached; drop them so the next
+      // import sees the new templates instead of resetting their IDs to "N/A"
+      client.clearCache();
+    }
+
+    if (failures.length > 0) {
+      ui.alert(
+        "Some Custom Exercises Failed",
+        `Created ${createdCount} of ${pending.length} exercise(s).\n\n` +
+          failures.join("\n"),
+        ui.ButtonSet.OK
+      );
+    } else {
+      ss.toast(
+        `Created ${createdCount} custom exercise(s) in Hevy.`,
+        "Create Custom Exercises",
+        TOAST_DURATION.NORMAL
+      );
+    }
+  } catch (error) {
+    throw ErrorHandler.handle(error, {
+      operation: "Creating custom exercises",
+      sheetName: EXERCISES_SHEET_NAME,
+    });
+  }
+}
+
+function getCustomExerciseColumnIndices(headers) {
+  return {
+    id: headers.indexOf("ID"),
+    title: headers.indexOf("Title"),
+    type: headers.indexOf("Type"),
+    primary: headers.indexOf("Primary Muscle Group"),
+    secondary: headers.indexOf("Secondary Muscle Groups"),
+    isCustom: headers.indexOf("Is Custom"),
+  };
+}
+
+function findPendingCustomExercises(data, indices) {
+  return data
+    .map((row, index) => ({ row, rowNumber: index + 2 }))
+    .filter(({ row }) => {
+      const isCustom = String(row[indices.isCustom]).toUpperCase() === "TRUE";
+      const id = String(row[indices.id] ?? "").trim();
+      const title = String(row[indices.title] ?? "").trim();
+      return isCustom && title && (!id || id === "N/A");
+    });
+}
+
+function buildCustomExercisePayload(row, indices) {
+  const title = String(row[indices.title]).trim();
+  const type = String(row[indices.type] ?? "").trim();
+  if (!EXERCISE_TYPES.includes(type)) {
+    throw new ValidationError(
+      `Invalid type "${type}". Use one of: ${EXERCISE_TYPES.join(", ")}`
+    );
+  }
+
+  const toMuscleGroup = (value) => {
+    const muscleGroup = toSnakeCaseFromTitle(value);
+    if (!MUSCLE_GROUPS.includes(muscleGroup)) {
+      throw new ValidationError(`Invalid muscle group "${value}"`);
+    }
+    return muscleGroup;
+  };
+
+  const primary = String(row[indices.primary] ?? "").trim();
+  if (!primary) {
+    throw new ValidationError("Primary Muscle Group is required");
+  }
+
+  const secondary = String(row[indices.secondary] ?? "")
+    .split(",")
+    .map((value) => value.trim())
+    .filter(Boolean)
+    .map(toMuscleGroup);
+
+  return {
+    exercise: {
+      title,
+      exercise_type: type,
+      equipment_category: DEFAULT_CUSTOM_EXERCISE_EQUIPMENT,
+      muscle_group: toMuscleGroup(primary),
+      other_muscles: secondary,
+    },
+  };
+}
+
+function extractExerciseTemplateId(response) {
+  if (typeof response === "string" || typeof response === "number") {
+    return String(response);
+  }
+  const id =
+    response?.exercise_template?.id ?? response?.id ?? response?.template_id;
+  return id != null ? String(id) : null;
+}
+
+describe("CustomExercises", () => {
+  describe("findPendingCustomExercises", () => {
+    test("should return custom rows without a Hevy ID", () => {
+      const data = [
+        ["abc", "Bench Press", "", "weight_reps", "Chest", "", "FALSE"],
+        ["N/A", "Zercher Hold", "", "duration", "Full Body", "", "TRUE"],
+        ["", "Sled Drag", "", "weight_duration", "Other", "", true],
+        ["xyz", "My Curl", "", "weight_reps", "Biceps", "", "TRUE"],
+        ["N/A", "", "", "", "", "", "TRUE"],
+      ];
+
+      const pending = findPendingCustomExercises(data, INDICES);
+
+      expect(pending.map((p) => p.rowNumber)).toEqual([3, 4]);
+    });
+  });
+
+  describe("buildCustomExercisePayload", () => {
+    test("should convert sheet values to the API payload", () => {
+      const row = [
+        "N/A",
+        " Landmine Row ",
+        "",
+        "weight_reps",
+        "Upper Back",
+        "Lats, Biceps",
+        "TRUE",
+      ];
+
+      expect(buildCustomExercisePayload(row, INDICES)).toEqual({
+        exercise: {
+          title: "Landmine Row",
+          exercise_type: "weight_reps",
+          equipment_category: "other",
+          muscle_group: "upper_back",
+          other_muscles: ["lats", "biceps"],
+        },
+      });
+    });
+
+    test("should reject unknown exercise types", () => {
+      const row = ["N/A", "Row", "", "weights", "Chest", "", "TRUE"];
+
+      expect(() => buildCustomExercisePayload(row, INDICES)).toThrow(
+        'Invalid type "weights"'
+      );
+    });
+
+    test("should reject unknown and missing muscle groups", () => {
+      const unknown = ["N/A", "Row", "", "reps_only", "Wings", "", "TRUE"];
+      const missing = ["N/A", "Row", "", "reps_only", "", "", "TRUE"];
+
+      expect(() => buildCustomExercisePayload(unknown, INDICES)).toThrow(
+        ValidationError
+      );
+      expect(() => buildCustomExercisePayload(missing, INDICES)).toThrow(
+        "Primary Muscle Group is required"
+      );
+    });
+  });
+
+  describe("extractExerciseTemplateId", () => {
+    test.each([
+      [{ id: 42 }, "42"],
+      [{ exercise_template: { id: "A1B2" } }, "A1B2"],
+      ["C3D4", "C3D4"],
+      [{}, null],
+      [null, null],
+    ])("should extract the ID from %p", (response, expected) => {
+      expect(extractExerciseTemplateId(response)).toBe(expected);
+    });
+  });
+
+  describe("createCustomExercisesFromSheet", () => {
+    let sheet;
+    let idCells;
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      sheet = createMockSheet({
+        name: EXERCISES_SHEET_NAME,
+        values: [
+          HEADERS,
+          ["abc", "Bench Press", "", "weight_reps", "Chest", "", "FALSE"],
+          ["N/A", "Zercher Hold", "", "duration", "Full Body", "", "TRUE"],
+          ["N/A", "Broken", "", "unknown", "Chest", "", "TRUE"],
+        ],
+      });
+      idCells = {};
+      sheet.getRange = jest.fn((row, col) => ({
+        setValue: jest.fn((value) => {
+          idCells[`${row},${col}`] = value;
+        }),
+      }));
+      mockSpreadsheet = {
+        getSheetByName: jest.fn(() => sheet),
+        toast: jest.fn(),
+      };
+      mockClient = {
+        createRequestOptions: jest.fn(() => ({ method: "POST" })),
+        makeRequest: jest.fn(async () => ({ id: "new-id" })),
+        clearCache: jest.fn(),
+      };
+      mockUi.alert.mockReturnValue("YES");
+    });
+
+    test("should create valid rows, write IDs back and report failures", async () => {
+      await createCustomExercisesFromSheet();
+
+      expect(mockClient.makeRequest).toHaveBeenCalledTimes(1);
+      expect(mockClient.makeRequest).toHaveBeenCalledWith(
+        "/exercise_templates",
+        { method: "POST" },
+        {},
+        expect.objectContaining({
+          exercise: expect.objectContaining({ title: "Zercher Hold" }),
+        })
+      );
+      expect(idCells).toEqual({ "3,1": "new-id" });
+      expect(mockClient.clearCache).toHaveBeenCalled();
+      expect(mockUi.alert).toHaveBeenLastCalledWith(
+        "Some Custom Exercises Failed",
+        expect.stringContaining("Broken: Invalid type"),
+        "OK"
+      );
+    });
+
+    test("should do nothing when the user cancels", async () => {
+      mockUi.alert.mockReturnValue("NO");
+
+      await createCustomExercisesFromSheet();
+
+      expect(mockClient.makeRequest).not.toHaveBeenCalled();
+      expect(idCells).toEqual({});
+    });
+
+    test("should toast when there is nothing to create", async () => {
+      sheet.getDataRange = jest.fn(() => ({
+        getValues: () => [
+          HEADERS,
+          ["abc", "Bench Press", "", "weight_reps", "Chest", "", "FALSE"],
+        ],
+      }));
+
+      await createCustomExercisesFromSheet();
+
+      expect(mockUi.alert).not.toHaveBeenCalled();
+      expect(mockSpreadsheet.toast).toHaveBeenCalledWith(
+        expect.stringContaining("No custom exercises to create"),
+        "Create Custom Exercises",
+        5
+      );
+    });
+  });
+});
@@ -2,6 +2,8 @@
  * Tests for ExerciseCounts.gs - Exercise count update functions
  */
 
+const { MockSheet } = require("../__mocks__/google-apps-script/SpreadsheetApp");
+
 // Mock constants
 const WORKOUTS_SHEET_NAME = "Workouts";
 const EXERCISES_SHEET_NAME = "Exercises";
@@ -108,16 +110,17 @@ function buildExerciseMaps(exerciseSheet) {
   };
 }
 
-function buildWorkoutMaps(workoutSheet) {
-  const workoutData = workoutSheet.getDataRange().getValues();
-  const workoutHeaders = workoutData.shift();
+function buildWorkoutMaps({ headers, rows }) {
   const indices = {
-    workoutId: workoutHeaders.indexOf("ID"),
-    exercise: workoutHeaders.indexOf("Exercise"),
-    exerciseTemplateId: workoutHeaders.indexOf("Exercise Template ID"),
+    workoutId: headers.indexOf("ID"),
+    exercise: headers.indexOf("Exercise"),
+    exerciseTemplateId: headers.indexOf("Exercise Template ID"),
   };
 
-  return { workoutData, workoutIndices: indices };
+  return {
+    workoutData: rows,
+    workoutIndices: indices,
+  };
 }
 
 function incrementTitleCount(
@@ -163,6 +166,82 @@ function checkAndThrowTimeout(checkTimeout, operationName, context = "") {
   }
 }
 
+async function updateExerciseSheetCounts(
+  exerciseSheet,
+  exerciseData,
+  exerciseCountsById,
+  exerciseCountsByTitle,
+  indices,
+  checkTimeout
+) {
+  const batchSize = BATCH_CONFIG.EXERCISE_COUNT_BATCH_SIZE;
+  const timeoutCheckInterval = 200;
+  const { idIndex, titleIndex, countIndex } = indices;
+
+  if (countIndex < 0) {
+    throw new ConfigurationError(
+      "Count column not found in Exercises sheet. Please restore the sheet from the template.",
+      {
+        sheetName: exerciseSheet.getName(),
+        missingColumn: "Count",
+      }
+    );
+  }
+
+  for (let i = 0; i < exerciseData.length; i += batchSize) {
+    checkAndThrowTimeout(checkTimeout, "updateExerciseCounts");
+
+    const batch = exerciseData.slice(
+      i,
+      Math.min(i + batchSize, exerciseData.length)
+    );
+
+    if (
+      i > 0 &&
+      i % timeoutCheckInterval === 0 &&
+      checkTimeout &&
+      checkTimeout()
+    ) {
+      checkAndThrowTimeout(checkTimeout, "updateExerciseCounts");
+    }
+
+    const updateRange = exerciseSheet.getRange(
+      i + 2,
+      countIndex + 1,
+      batch.length,
+      1
+    );
+
+    const counts = batch.map((row) => {
+      const id = String(row[idIndex] || "").trim();
+      const title = String(row[titleIndex] || "").trim();
+
+      if (id && id !== "N/A" && exerciseCountsById.has(id)) {
+        return [exerciseCountsById.get(id)];
+      }
+
+      if (title) {
+        if (exerciseCountsByTitle.has(title)) {
+          return [exerciseCountsByTitle.get(title)];
+        }
+
+        const englishTitle = getEnglishName(title);
+        if (englishTitle !== title && exerciseCountsByTitle.has(englishTitle)) {
+          return [exerciseCountsByTitle.get(englishTitle)];
+        }
+      }
+
+      return [0];
+    });
+
+    updateRange.setValues(counts);
+
+    if (i % (batchSize * 5) === 0) {
+      Utilities.sleep(RATE_LIMIT.API_DELAY);
+    }
+  }
+}
+
 describe("ExerciseCounts", () => {
   let mockExerciseSheet;
   let mockWorkoutSheet;
@@ -229,17 +308,15 @@ describe("ExerciseCounts", () => {
   });
 
   describe("buildWorkoutMaps()", () => {
-    test("should build maps from workout sheet data", () => {
-      mockWorkoutSheet.getDataRange.mockReturnValue({
-        getValues: jest.fn(() => [
-          ["ID", "Exercise", "Exercise Template ID"],
+    test("should build maps from the own workout rows", () => {
+      const result = buildWorkoutMaps({
+        headers: ["ID", "Exercise", "Exercise Template ID"],
+        rows: [
           ["W001", "Bench Press", "EX001"],
           ["W002", "Squat", "EX002"],
-        ]),
+        ],
       });
 
-      const result = buildWorkoutMaps(mockWorkoutSheet);
-
       expect(result.workoutData.length).toBe(2);
       expect(result.workoutIndices.workoutId).toBe(0);
       expect(result.workoutIndices.exercise).toBe(1);
@@ -281,6 +358,99 @@ describe("ExerciseCounts", () => {
     });
   });
 
+  describe("updateExerciseSheetCounts()", () => {
+    const HEADERS = ["ID", "Title", "Count"];
+    const indices = { idIndex: 0, titleIndex: 1, countIndex: 2 };
+
+    const createExerciseSheet = (rows) =>
+      new MockSheet(EXERCISES_SHEET_NAME, [HEADERS, ...rows]);
+
+    test("should write counts matched by ID, title or English title", async () => {
+      const sheet = createExerciseSheet([
+        ["e1", "Bench Press", ""],
+        ["N/A", "Curl", ""],
+        ["", "Sentadilla", ""],
+        ["e4", "Unused", 7],
+      ]);
+      getEnglishName.mockImplementation((name) =>
+        name === "Sentadilla" ? "Squat" : name
+      );
+      const data = sheet.getRange(2, 1, 4, 3).getValues();
+
+      await updateExerciseSheetCounts(
+        sheet,
+        data,
+        new Map([["e1", 5]]),
+        new Map([
+          ["Curl", 3],
+          ["Squat", 2],
+        ]),
+        indices,
+        () => false
+      );
+
+      expect(sheet.getDataRange().getValues()).toEqual([
+        HEADERS,
+        ["e1", "Bench Press", 5],
+        ["N/A", "Curl", 3],
+        ["", "Sentadilla", 2],
+        ["e4", "Unused", 0],
+      ]);
+      getEnglishName.mockImplementation((name) => name);
+    });
+
+    test("should write every batch into its own rows", async () => {
+      BATCH_CONFIG.EXERCISE_COUNT_BATCH_SIZE = 2;
+      const rows = ["e1", "e2", "e3", "e4", "e5"].map((id) => [id, id, ""]);
+      const sheet = createExerciseSheet(rows);
+      const counts = new Map(rows.map(([id], i) => [id, i + 1]));
+
+      try {
+        await updateExerciseSheetCounts(
+          sheet,
+          rows,
+          counts,
+          new Map(),
+          indices,
+          () => false
+        );
+      } finally {
+        BATCH_CONFIG.EXERCISE_COUNT_BATCH_SIZE = 100;
+      }
+
+      expect(sheet.getRange(2, 3, 5, 1).getValues()).toEqual([
+        [1],
+        [2],
+        [3],
+        [4],
+        [5],
+      ]);
+      expect(sheet.getLastRow()).toBe(6);
+    });
+
+    test("should throw and leave the sheet untouched without a Count column", async () => {
+      const sheet = new MockSheet(EXERCISES_SHEET_NAME, [
+        ["ID", "Title"],
+        ["e1", "Bench Press"],
+      ]);
+
+      await expect(
+        updateExerciseSheetCounts(
+          sheet,
+          [["e1", "Bench Press"]],
+          new Map([["e1", 5]]),
+          new Map(),
+          { idIndex: 0, titleIndex: 1, countIndex: -1 },
+          () => false
+        )
+      ).rejects.toThrow(ConfigurationError);
+      expect(sheet.getDataRange().getValues()).toEqual([
+        ["ID", "Title"],
+        ["e1", "Bench Press"],
+      ]);
+    });
+  });
+
   describe("checkAndThrowTimeout()", () => {
     test("should not throw if checkTimeout returns false", () => {
       const checkTimeout = jest.fn(() => false);
@@ -3,7 +3,10 @@
  * Note: Exercise count and localization functions are tested separately
  */
 
-const { createMockExercise } = require("../helpers/testHelpers");
+const {
+  createMockExercise,
+  createMockSheet,
+} = require("../helpers/testHelpers");
 
 // Mock constants
 const EXERCISES_SHEET_NAME = "Exercises";
@@ -217,6 +220,116 @@ function validateExerciseSheetHeaders(headers, requiredHeaders) {
   }
 }
 
+function updateChangedExercises(sheet, apiExercises) {
+  const summary = { updated: 0, renamed: 0, retyped: 0, muscles: 0 };
+  if (sheet.getLastRow() <= 1) {
+    return summary;
+  }
+
+  const data = sheet.getDataRange().getValues();
+  const headers = data.shift();
+  validateExerciseSheetHeaders(headers, [
+    "ID",
+    "Title",
+    "Type",
+    "Primary Muscle Group",
+    "Secondary Muscle Groups",
+  ]);
+
+  const changes = findChangedExercises(data, headers, apiExercises);
+  const columns = {
+    title: headers.indexOf("Title") + 1,
+    type: headers.indexOf("Type") + 1,
+    primary: headers.indexOf("Primary Muscle Group") + 1,
+    secondary: headers.indexOf("Secondary Muscle Groups") + 1,
+  };
+
+  changes.forEach(({ rowIndex, values, fields }) => {
+    const rowNumber = rowIndex + 2;
+    if (fields.includes("title")) {
+      sheet.getRange(rowNumber, columns.title).setValue(values.title);
+      summary.renamed++;
+    }
+    if (fields.includes("type")) {
+      sheet.getRange(rowNumber, columns.type).setValue(values.type);
+      summary.retyped++;
+    }
+    if (fields.includes("muscles")) {
+      sheet.getRange(rowNumber, columns.primary).setValue(values.primary);
+      sheet.getRange(rowNumber, columns.secondary).setValue(values.secondary);
+      summary.muscles++;
+    }
+  });
+
+  summary.updated = changes.length;
+  return summary;
+}
+
+function findChangedExercises(data, headers, apiExercises) {
+  const apiById = new Map(
+    apiExercises.map((exercise) => [String(exercise.id), exercise])
+  );
+  const indices = {
+    id: headers.indexOf("ID"),
+    title: headers.indexOf("Title"),
+    type: headers.indexOf("Type"),
+    primary: headers.indexOf("Primary Muscle Group"),
+    secondary: headers.indexOf("Secondary Muscle Groups"),
+  };
+
+  return data.flatMap((row, rowIndex) => {
+    const exercise = apiById.get(String(row[indices.id] ?? "").trim());
+    if (!exercise) {
+      return [];
+    }
+
+    const current = {
+      title: String(row[indices.title] ?? "").trim(),
+      type: String(row[indices.type] ?? "").trim(),
+      primary: String(row[indices.primary] ?? "").trim(),
+      secondary: String(row[indices.secondary] ?? "").trim(),
+    };
+    const values = {
+      title: exercise.title,
+      type: exercise.type || "",
+      primary: toTitleCaseFromSnake(exercise.primary_muscle_group),
+      secondary: arrayToTitleCase(exercise.secondary_muscle_groups),
+    };
+
+    const fields = [];
+    if (
+      current.title !== values.title &&
+      getEnglishName(current.title) !== values.title
+    ) {
+      fields.push("title");
+    }
+    if (current.type !== values.type) {
+      fields.push("type");
+    }
+    if (
+      current.primary !== values.primary ||
+      current.secondary !== values.secondary
+    ) {
+      fields.push("muscles");
+    }
+
+    return fields.length > 0 ? [{ rowIndex, fields, values }] : [];
+  });
+}
+
+function formatExerciseChangeSummary(summary) {
+  if (!summary.updated) {
+    return "";
+  }
+
+  const details = [
+    summary.renamed && `${summary.renamed} renamed`,
+    summary.retyped && `${summary.retyped} type`,
+    summary.muscles && `${summary.muscles} muscle groups`,
+  ].filter(Boolean);
+  return `Updated ${summary.updated} exercises (${details.join(", ")}). `;
+}
+
 describe("Exercises", () => {
   beforeEach(() => {
     jest.clearAllMocks();
@@ -437,4 +550,169 @@ describe("Exercises", () => {
       }
     });
   });
+
+  describe("findChangedExercises()", () => {
+    const headers = SHEET_HEADERS[EXERCISES_SHEET_NAME];
+    const row = (overrides = {}) => {
+      const values = {
+        ID: "EX001",
+        Title: "Bench Press (Barbell)",
+        IMG: "img.png",
+        Type: "weight_reps",
+        "Primary Muscle Group": "chest",
+        "Secondary Muscle Groups": "shoulders, triceps",
+        "Is Custom": "FALSE",
+        Count: 12,
+        Rank: 1,
+        ...overrides,
+      };
+      return headers.map((header) => values[header]);
+    };
+
+    test("should ignore unchanged and unknown exercises", () => {
+      const changes = findChangedExercises(
+        [row(), row({ ID: "EX999" })],
+        headers,
+        [createMockExercise()]
+      );
+
+      expect(changes).toEqual([]);
+    });
+
+    test("should detect renamed, retyped and re-muscled exercises", () => {
+      const changes = findChangedExercises([row()], headers, [
+        createMockExercise({
+          title: "Bench Press (Flat)",
+          type: "weight_duration",
+          secondary_muscle_groups: ["triceps"],
+        }),
+      ]);
+
+      expect(changes).toEqual([
+        {
+          rowIndex: 0,
+          fields: ["title", "type", "muscles"],
+          values: {
+            title: "Bench Press (Flat)",
+            type: "weight_duration",
+            primary: "chest",
+            secondary: "triceps",
+          },
+        },
+      ]);
+    });
+
+    test("should not revert localized titles", () => {
+      getEnglishName.mockImplementation((name) =>
+        name === "Press de banca (barra)" ? "Bench Press (Barbell)" : name
+      );
+
+      const changes = findChangedExercises(
+        [row({ Title: "Press de banca (barra)" })],
+        headers,
+        [createMockExercise()]
+      );
+
+      expect(changes).toEqual([]);
+      getEnglishName.mockImplementation((name) => name);
+    });
+  });
+
+  describe("updateChangedExercises()", () => {
+    test("should only write changed cells, keeping IMG, Count and Rank", () => {
+      const headers = SHEET_HEADERS[EXERCISES_SHEET_NAME];
+      const sheet = createMockSheet({
+        values: [
+          headers,
+          [
+            "EX001",
+            "Bench",
+            "img.png",
+            "weight_reps",
+            "chest",
+            "",
+            "FALSE",
+            12,
+            1,
+          ],
+          [
+            "EX002",
+            "Squat",
+            "",
+            "weight_reps",
+            "quadriceps",
+            "",
+            "FALSE",
+            3,
+            2,
+          ],
+        ],
+      });
+
+      const summary = updateChangedExercises(sheet, [
+        createMockExercise({
+          id: "EX001",
+          title: "Bench Press",
+          secondary_muscle_groups: [],
+        }),
+        createMockExercise({
+          id: "EX002",
+          title: "Squat",
+          type: "weight_reps",
+          primary_muscle_group: "glutes",
+          secondary_muscle_groups: [],
+        }),
+      ]);
+
+      expect(summary).toEqual({
+        updated: 2,
+        renamed: 1,
+        retyped: 0,
+        muscles: 1,
+      });
+      const written = sheet.getRange.mock.calls.map(([r, c]) => [r, c]);
+      expect(written).toEqual([
+        [2, 2],
+        [3, 5],
+        [3, 6],
+      ]);
+    });
+
+    test("should return an empty summary for an empty sheet", () => {
+      const sheet = createMockSheet({
+        values: [SHEET_HEADERS[EXERCISES_SHEET_NAME]],
+      });
+
+      expect(updateChangedExercises(sheet, [createMockExercise()])).toEqual({
+        updated: 0,
+        renamed: 0,
+        retyped: 0,
+        muscles: 0,
+      });
+    });
+  });
+
+  describe("formatExerciseChangeSummary()", () => {
+    test("should describe each kind of change", () => {
+      expect(
+        formatExerciseChangeSummary({
+          updated: 3,
+          renamed: 2,
+          retyped: 0,
+          muscles: 1,
+        })
+      ).toBe("Updated 3 exercises (2 renamed, 1 muscle groups). ");
+    });
+
+    test("should be empty when nothing changed", () => {
+      expect(
+        formatExerciseChangeSummary({
+          updated: 0,
+          renamed: 0,
+          retyped: 0,
+          muscles: 0,
+        })
+      ).toBe("");
+    });
+  });
 });
@@ -0,0 +1,204 @@
+/**
+ * Tests for ImportPreview.gs - Dry-run previews of the individual imports
+ */
+
+const IMPORT_CONFIG = {
+  MAX_EXECUTION_TIME_MS: 5 * 60 * 1000,
+  PREVIEW_MAX_ITEMS: 2,
+};
+
+class ValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ValidationError";
+  }
+}
+
+class ImportTimeoutError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ImportTimeoutError";
+  }
+}
+
+const ErrorHandler = { handle: jest.fn((error) => error) };
+const checkTimeoutStub = () => false;
+const ImportProgressTracker = {
+  runExclusive: jest.fn((operation) => operation(checkTimeoutStub)),
+};
+
+const importAllWorkouts = jest.fn();
+const importAllExercises = jest.fn();
+const importAllRoutines = jest.fn();
+const importAllRoutineFolders = jest.fn();
+
+const IMPORT_PREVIEW_HANDLERS = {
+  workouts: {
+    title: "Workouts",
+    run: (checkTimeout, options) => importAllWorkouts(checkTimeout, options),
+  },
+  exercises: {
+    title: "Exercises",
+    run: (checkTimeout, options) => importAllExercises(checkTimeout, options),
+  },
+  routines: {
+    title: "Routines",
+    run: (checkTimeout, options) => importAllRoutines(checkTimeout, options),
+  },
+  routineFolders: {
+    title: "Routine Folders",
+    run: (checkTimeout, options) =>
+      importAllRoutineFolders(checkTimeout, options),
+  },
+};
+
+async function getImportPreview(type) {
+  try {
+    const handler = _getImportPreviewHandler(type);
+    const startTime = Date.now();
+    const checkTimeout = () =>
+      Date.now() - startTime > IMPORT_CONFIG.MAX_EXECUTION_TIME_MS;
+
+    const preview = await handler.run(checkTimeout, { preview: true });
+    return summarizeImportPreview(preview);
+  } catch (error) {
+    throw ErrorHandler.handle(error, { operation: "Previewing import", type });
+  }
+}
+
+async function applyImportPreview(type) {
+  try {
+    const handler = _getImportPreviewHandler(type);
+    return await ImportProgressTracker.runExclusive(async (checkTimeout) => {
+      try {
+        await handler.run(checkTimeout);
+        return { paused: false };
+      } catch (error) {
+        if (error instanceof ImportTimeoutError) {
+          return { paused: true };
+        }
+        throw error;
+      }
+    });
+  } catch (error) {
+    throw ErrorHandler.handle(error, {
+      operation: "Applying import preview",
+      type,
+    });
+  }
+}
+
+function summarizeImportPreview(
+  preview,
+  maxItems = IMPORT_CONFIG.PREVIEW_MAX_ITEMS
+) {
+  const summarize = (items) => ({
+    count: items.length,
+    items: items.slice(0, maxItems),
+  });
+
+  return {
+    ...preview,
+    added: summarize(preview.added),
+    updated: summarize(preview.updated),
+    deleted: summarize(preview.deleted),
+  };
+}
+
+function _getImportPreviewHandler(type) {
+  const handler = IMPORT_PREVIEW_HANDLERS[type];
+  if (!handler) {
+    throw new ValidationError(`Unknown import type: ${type}`);
+  }
+  return handler;
+}
+
+describe("ImportPreview", () => {
+  const item = (id) => ({ id, title: `Item ${id}` });
+  const preview = {
+    entity: "Routines",
+    added: [item("1"), item("2"), item("3")],
+    updated: [item("4")],
+    deleted: [],
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("summarizeImportPreview()", () => {
+    test("should keep the full counts but only the first items", () => {
+      const summary = summarizeImportPreview(preview);
+
+      expect(summary).toEqual({
+        entity: "Routines",
+        added: { count: 3, items: [item("1"), item("2")] },
+        updated: { count: 1, items: [item("4")] },
+        deleted: { count: 0, items: [] },
+      });
+    });
+  });
+
+  describe("getImportPreview()", () => {
+    test("should run the import in preview mode", async () => {
+      importAllRoutines.mockResolvedValue(preview);
+
+      const summary = await getImportPreview("routines");
+
+      expect(importAllRoutines).toHaveBeenCalledWith(expect.any(Function), {
+        preview: true,
+      });
+      expect(summary.added.count).toBe(3);
+    });
+
+    test("should reject unknown import types", async () => {
+      await expect(getImportPreview("weights")).rejects.toThrow(
+        ValidationError
+      );
+      expect(ErrorHandler.handle).toHaveBeenCalledWith(
+        expect.any(ValidationError),
+        expect.objectContaining({ type: "weights" })
+      );
+    });
+  });
+
+  describe("applyImportPreview()", () => {
+    test("should run the import under the import lock without preview mode", async () => {
+      const result = await applyImportPreview("routineFolders");
+
+      expect(result).toEqual({ paused: false });
+      expect(ImportProgressTracker.runExclusive).toHaveBeenCalled();
+      expect(importAllRoutineFolders).toHaveBeenCalledWith(
+        checkTimeoutStub,
+        undefined
+      );
+      expect(importAllWorkouts).not.toHaveBeenCalled();
+    });
+
+    test("should report an import stopped at the time limit as paused", async () => {
+      importAllWorkouts.mockRejectedValueOnce(
+        new ImportTimeoutError("Timeout approaching")
+      );
+
+      await expect(applyImportPreview("workouts")).resolves.toEqual({
+        paused: true,
+      });
+      expect(ErrorHandler.handle).not.toHaveBeenCalled();
+    });
+
+    test("should surface other failures, such as a running import", async () => {
+      ImportProgressTracker.runExclusive.mockRejectedValueOnce(
+        new ValidationError("Another import is running.")
+      );
+
+      await expect(applyImportPreview("workouts")).rejects.toThrow(
+        "Another import is running."
+      );
+      expect(importAllWorkouts).not.toHaveBeenCalled();
+      expect(ErrorHandler.handle).toHaveBeenCalledWith(
+        expect.any(ValidationError),
+        expect.objectContaining({ type: "workouts" })
+      );
+    });
+  });
+});
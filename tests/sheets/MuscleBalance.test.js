@@ -0,0 +1,907 @@
+/**
+ * Tests for MuscleBalance.gs - Weekly hard sets per muscle group
+ */
+
+const {
+  MockSpreadsheet,
+  createMockSpreadsheetApp,
+} = require("../__mocks__/google-apps-script/SpreadsheetApp");
+
+// Mock getEnglishName utility
+global.getEnglishName = jest.fn((name) => name);
+
+// Mock constants
+const WORKOUTS_SHEET_NAME = "Workouts";
+const EXERCISES_SHEET_NAME = "Exercises";
+const MUSCLE_BALANCE_SHEET_NAME = "Muscle Balance";
+const WORKOUTS_HEADERS = [
+  "ID",
+  "Title",
+  "Start Time",
+  "End Time",
+  "Exercise",
+  "Exercise Template ID",
+  "Set Type",
+  "Weight (kg)",
+  "Reps / Distance (m)",
+  "Athlete",
+];
+const SHEET_HEADERS = {
+  [MUSCLE_BALANCE_SHEET_NAME]: [
+    "Week",
+    "Week Start",
+    "Muscle Group",
+    "Hard Sets",
+    "Min Target",
+    "Max Target",
+    "Status",
+  ],
+};
+const MUSCLE_BALANCE_CONFIG = {
+  PROPERTY_KEY: "MUSCLE_SET_TARGETS",
+  DEFAULT_SECONDARY_FRACTION: 0.5,
+  DEFAULT_MIN_SETS: 10,
+  DEFAULT_MAX_SETS: 20,
+  MAX_SETS: 100,
+  UNTARGETED_MUSCLE_GROUPS: ["Cardio", "Full Body", "Other"],
+  STATUSES: {
+    UNDER: "Under",
+    ON_TARGET: "On Target",
+    OVER: "Over",
+  },
+  STATUS_COLORS: {
+    UNDER: "#FFCDD2",
+    ON_TARGET: "#C8E6C9",
+    OVER: "#FFE0B2",
+  },
+};
+const VOLUME_MUSCLE_GROUPS = { ALL: "All", UNKNOWN: "Other" };
+const ATHLETE_CONFIG = { HEADER: "Athlete" };
+
+// Mock error classes
+class ValidationError extends Error {
+  constructor(message, context = {}) {
+    super(message);
+    this.name = "ValidationError";
+    this.context = context;
+  }
+}
+
+class ConfigurationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ConfigurationError";
+  }
+}
+
+class ImportTimeoutError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ImportTimeoutError";
+  }
+}
+
+const ErrorHandler = {
+  handle: jest.fn((error) => error),
+};
+
+const ImportProgressTracker = {
+  markOperationComplete: jest.fn(),
+  markDeferredOperation: jest.fn(),
+};
+
+// In-memory spreadsheet and document properties
+let spreadsheet;
+let documentProperties;
+
+const getActiveSpreadsheet = () => spreadsheet;
+const getDocumentProperties = () => ({
+  getProperty: (key) => documentProperties[key] ?? null,
+  setProperty: (key, value) => {
+    documentProperties[key] = value;
+  },
+});
+
+const STRIPE_RULE = { stripe: true };
+
+const SheetManager = {
+  getOrCreate: (sheetName) => {
+    const sheet =
+      spreadsheet.getSheetByName(sheetName) ||
+      spreadsheet.insertSheet(sheetName);
+    return {
+      sheet,
+      clearSheet: () => {
+        if (sheet.getLastRow() > 1) {
+          sheet
+            .getRange(2, 1, sheet.getLastRow() - 1, sheet.getLastColumn())
+            .clear();
+        }
+      },
+      // Like the real formatSheet, replaces the rules with the row stripes
+      formatSheet: async () => {
+        const headers = SHEET_HEADERS[sheetName];
+        sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+        sheet.setConditionalFormatRules([STRIPE_RULE]);
+      },
+    };
+  },
+};
+
+// Simplified functions for testing
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+function getIsoWeekStart(date) {
+  const value = new Date(date);
+  const start = new Date(
+    value.getFullYear(),
+    value.getMonth(),
+    value.getDate()
+  );
+  start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  return start;
+}
+
+function getIsoWeekKey(date) {
+  const thursday = getIsoWeekStart(date);
+  thursday.setDate(thursday.getDate() + 3);
+
+  const isoYear = thursday.getFullYear();
+  const firstThursday = getIsoWeekStart(new Date(isoYear, 0, 4));
+  firstThursday.setDate(firstThursday.getDate() + 3);
+
+  const week = 1 + Math.round((thursday - firstThursday) / MS_PER_DAY / 7);
+  return `${isoYear}-W${String(week).padStart(2, "0")}`;
+}
+
+function checkAndThrowTimeout(checkTimeout, operationName) {
+  if (checkTimeout && checkTimeout()) {
+    throw new ImportTimeoutError(`Timeout approaching during ${operationName}`);
+  }
+}
+
+function getWorkoutColumnIndices(headers) {
+  return {
+    id: headers.indexOf("ID"),
+    title: headers.indexOf("Title"),
+    startTime: headers.indexOf("Start Time"),
+    endTime: headers.indexOf("End Time"),
+    exercise: headers.indexOf("Exercise"),
+    exerciseTemplateId: headers.indexOf("Exercise Template ID"),
+    setType: headers.indexOf("Set Type"),
+    weight: headers.indexOf("Weight (kg)"),
+    reps: headers.indexOf("Reps / Distance (m)"),
+  };
+}
+
+function filterOwnRows(rows, headers) {
+  const athleteIndex = headers.indexOf(ATHLETE_CONFIG.HEADER);
+  if (athleteIndex === -1) {
+    return rows;
+  }
+  return rows.filter((row) => !row[athleteIndex]);
+}
+
+function readOwnWorkoutRows(workoutSheet) {
+  const [headers, ...rows] = workoutSheet.getDataRange().getValues();
+  return { headers, rows: filterOwnRows(rows, headers) };
+}
+
+function findExerciseMetadata(metadataMap, templateId, title) {
+  const id = String(templateId || "").trim();
+  if (id && metadataMap.byId.has(id)) {
+    return metadataMap.byId.get(id);
+  }
+
+  const name = String(title || "").trim();
+  if (!name) {
+    return null;
+  }
+
+  return (
+    metadataMap.byTitle.get(name.toLowerCase()) ??
+    metadataMap.byTitle.get(getEnglishName(name).toLowerCase()) ??
+    null
+  );
+}
+
+function buildExerciseMetadataMap() {
+  const byId = new Map();
+  const byTitle = new Map();
+  const sheet = getActiveSpreadsheet().getSheetByName(EXERCISES_SHEET_NAME);
+
+  if (!sheet || sheet.getLastRow() <= 1) {
+    return { byId, byTitle };
+  }
+
+  const data = sheet.getDataRange().getValues();
+  const headers = data.shift();
+  const indices = {
+    id: headers.indexOf("ID"),
+    title: headers.indexOf("Title"),
+    type: headers.indexOf("Type"),
+    primary: headers.indexOf("Primary Muscle Group"),
+    secondary: headers.indexOf("Secondary Muscle Groups"),
+  };
+
+  data.forEach((row) => {
+    const id = String(row[indices.id] || "").trim();
+    const title = String(row[indices.title] || "").trim();
+    const metadata = {
+      id,
+      title,
+      type: indices.type >= 0 ? String(row[indices.type] || "").trim() : "",
+      primaryMuscleGroup:
+        indices.primary >= 0 ? String(row[indices.primary] || "").trim() : "",
+      secondaryMuscleGroups:
+        indices.secondary >= 0
+          ? String(row[indices.secondary] || "")
+              .split(",")
+              .map((muscle) => muscle.trim())
+              .filter(Boolean)
+          : [],
+    };
+
+    if (id && id !== "N/A") {
+      byId.set(id, metadata);
+    }
+    if (title) {
+      byTitle.set(title.toLowerCase(), metadata);
+    }
+  });
+
+  return { byId, byTitle };
+}
+
+async function updateMuscleBalance(checkTimeout = null, workoutRows = null) {
+  const ss = getActiveSpreadsheet();
+  const workoutSheet = ss.getSheetByName(WORKOUTS_SHEET_NAME);
+
+  if (!workoutSheet) {
+    return;
+  }
+
+  try {
+    checkAndThrowTimeout(checkTimeout, "updateMuscleBalance");
+
+    const settings = _loadMuscleSetTargets();
+    const { headers, rows: workoutData } =
+      workoutRows || readOwnWorkoutRows(workoutSheet);
+    const weeks = aggregateWeeklyHardSets(
+      workoutData,
+      getWorkoutColumnIndices(headers),
+      buildExerciseMetadataMap(),
+      settings.secondaryFraction
+    );
+    const rows = muscleBalanceToRows(weeks, settings);
+
+    checkAndThrowTimeout(checkTimeout, "updateMuscleBalance");
+
+    const manager = SheetManager.getOrCreate(MUSCLE_BALANCE_SHEET_NAME);
+    manager.clearSheet();
+    if (rows.length > 0) {
+      manager.sheet.getRange(2, 1, rows.length, rows[0].length).setValues(rows);
+    }
+    await manager.formatSheet(checkTimeout);
+    _applyMuscleBalanceStatusColors(manager.sheet, rows.length);
+
+    ImportProgressTracker.markOperationComplete("updateMuscleBalance");
+  } catch (error) {
+    if (error instanceof ImportTimeoutError) {
+      ImportProgressTracker.markDeferredOperation("updateMuscleBalance");
+    }
+    throw ErrorHandler.handle(error, {
+      operation: "Updating muscle balance",
+      sheetName: MUSCLE_BALANCE_SHEET_NAME,
+    });
+  }
+}
+
+function getMuscleSetTargets() {
+  const settings = _loadMuscleSetTargets();
+  return { ...settings, targetsText: formatMuscleTargets(settings.targets) };
+}
+
+async function saveMuscleSetTargets(
+  secondaryFraction,
+  defaultMin,
+  defaultMax,
+  targetsText
+) {
+  try {
+    const fraction = Number(secondaryFraction);
+    if (
+      String(secondaryFraction ?? "").trim() === "" ||
+      !(fraction >= 0 && fraction <= 1)
+    ) {
+      throw new ValidationError(
+        `Secondary muscle fraction must be from 0 to 1, got: ${secondaryFraction}`
+      );
+    }
+
+    const defaults = _toSetTarget(defaultMin, defaultMax, "Default target");
+    const settings = {
+      secondaryFraction: fraction,
+      defaultMin: defaults.min,
+      defaultMax: defaults.max,
+      targets: parseMuscleTargets(targetsText),
+    };
+
+    const props = getDocumentProperties();
+    if (!props) {
+      throw new ConfigurationError(
+        "Unable to access document properties. Please ensure you have proper permissions."
+      );
+    }
+    props.setProperty(
+      MUSCLE_BALANCE_CONFIG.PROPERTY_KEY,
+      JSON.stringify(settings)
+    );
+
+    await updateMuscleBalance();
+    return getMuscleSetTargets();
+  } catch (error) {
+    throw ErrorHandler.handle(error, {
+      operation: "Saving muscle set targets",
+    });
+  }
+}
+
+function parseMuscleTargets(text) {
+  const targets = {};
+
+  String(text ?? "")
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .forEach((line) => {
+      const match = line.match(/^([^:]+):\s*(\d*\.?\d*)\s*-\s*(\d*\.?\d*)$/);
+      const muscle = match?.[1].trim();
+      if (!muscle) {
+        throw new ValidationError(
+          `Targets must look like "Chest: 10-20", got: ${line}`
+        );
+      }
+      targets[muscle] = _toSetTarget(match[2], match[3], muscle);
+    });
+
+  return targets;
+}
+
+function formatMuscleTargets(targets) {
+  return Object.entries(targets)
+    .map(([muscle, { min, max }]) => `${muscle}: ${min ?? ""}-${max ?? ""}`)
+    .join("\n");
+}
+
+function aggregateWeeklyHardSets(
+  workoutData,
+  indices,
+  metadataMap,
+  secondaryFraction
+) {
+  const weeks = new Map();
+
+  workoutData.forEach((row) => {
+    const startTime = row[indices.startTime];
+    const exercise = String(row[indices.exercise] || "").trim();
+    const setType = String(row[indices.setType] || "").toLowerCase();
+    if (
+      !exercise ||
+      setType === "warmup" ||
+      !startTime ||
+      isNaN(new Date(startTime).getTime())
+    ) {
+      return;
+    }
+
+    const week = getIsoWeekKey(startTime);
+    if (!weeks.has(week)) {
+      weeks.set(week, {
+        week,
+        weekStart: getIsoWeekStart(startTime),
+        sets: new Map(),
+      });
+    }
+    const sets = weeks.get(week).sets;
+    const add = (muscle, amount) =>
+      sets.set(muscle, (sets.get(muscle) ?? 0) + amount);
+
+    const metadata = findExerciseMetadata(
+      metadataMap,
+      row[indices.exerciseTemplateId],
+      exercise
+    );
+    add(metadata?.primaryMuscleGroup || VOLUME_MUSCLE_GROUPS.UNKNOWN, 1);
+    (metadata?.secondaryMuscleGroups ?? []).forEach((muscle) => {
+      if (secondaryFraction > 0) {
+        add(muscle, secondaryFraction);
+      }
+    });
+  });
+
+  return weeks;
+}
+
+function muscleBalanceToRows(weeks, settings) {
+  const muscles = new Set(Object.keys(settings.targets));
+  weeks.forEach(({ sets }) => sets.forEach((_, muscle) => muscles.add(muscle)));
+  const sortedMuscles = Array.from(muscles).sort((a, b) => a.localeCompare(b));
+
+  return Array.from(weeks.values())
+    .sort((a, b) => b.weekStart - a.weekStart)
+    .flatMap(({ week, weekStart, sets }) =>
+      sortedMuscles.map((muscle) => {
+        const hardSets = Math.round((sets.get(muscle) ?? 0) * 100) / 100;
+        const target = getMuscleTarget(muscle, settings);
+        return [
+          week,
+          weekStart,
+          muscle,
+          hardSets,
+          target?.min ?? "",
+          target?.max ?? "",
+          getMuscleBalanceStatus(hardSets, target),
+        ];
+      })
+    );
+}
+
+function getMuscleTarget(muscle, settings) {
+  const ownTarget = Object.entries(settings.targets).find(
+    ([name]) => name.toLowerCase() === muscle.toLowerCase()
+  )?.[1];
+  if (ownTarget) {
+    return ownTarget.min === null && ownTarget.max === null ? null : ownTarget;
+  }
+  if (
+    MUSCLE_BALANCE_CONFIG.UNTARGETED_MUSCLE_GROUPS.includes(muscle) ||
+    (settings.defaultMin === null && settings.defaultMax === null)
+  ) {
+    return null;
+  }
+  return { min: settings.defaultMin, max: settings.defaultMax };
+}
+
+function getMuscleBalanceStatus(hardSets, target) {
+  const statuses = MUSCLE_BALANCE_CONFIG.STATUSES;
+  if (!target) {
+    return "";
+  }
+  if (target.min !== null && hardSets < target.min) {
+    return statuses.UNDER;
+  }
+  if (target.max !== null && hardSets > target.max) {
+    return statuses.OVER;
+  }
+  return statuses.ON_TARGET;
+}
+
+function _loadMuscleSetTargets() {
+  const defaults = {
+    secondaryFraction: MUSCLE_BALANCE_CONFIG.DEFAULT_SECONDARY_FRACTION,
+    defaultMin: MUSCLE_BALANCE_CONFIG.DEFAULT_MIN_SETS,
+    defaultMax: MUSCLE_BALANCE_CONFIG.DEFAULT_MAX_SETS,
+    targets: {},
+  };
+  try {
+    const json = getDocumentProperties()?.getProperty(
+      MUSCLE_BALANCE_CONFIG.PROPERTY_KEY
+    );
+    return json ? { ...defaults, ...JSON.parse(json) } : defaults;
+  } catch (error) {
+    console.warn("Failed to load muscle set targets:", error);
+    return defaults;
+  }
+}
+
+function _toSetTarget(min, max, label) {
+  const toBound = (value) => {
+    if (value === null || value === undefined || String(value).trim() === "") {
+      return null;
+    }
+    const number = Number(value);
+    if (!(number >= 0 && number <= MUSCLE_BALANCE_CONFIG.MAX_SETS)) {
+      throw new ValidationError(
+        `${label}: sets must be from 0 to ${MUSCLE_BALANCE_CONFIG.MAX_SETS}, got: ${value}`
+      );
+    }
+    return number;
+  };
+
+  const target = { min: toBound(min), max: toBound(max) };
+  if (target.min !== null && target.max !== null && target.min > target.max) {
+    throw new ValidationError(
+      `${label}: minimum ${target.min} is above maximum ${target.max}`
+    );
+  }
+  return target;
+}
+
+function _applyMuscleBalanceStatusColors(sheet, numRows) {
+  if (numRows === 0) {
+    return;
+  }
+
+  const statusColumn =
+    SHEET_HEADERS[MUSCLE_BALANCE_SHEET_NAME].indexOf("Status") + 1;
+  const range = sheet.getRange(2, statusColumn, numRows, 1);
+  const { STATUSES, STATUS_COLORS } = MUSCLE_BALANCE_CONFIG;
+  const statusRules = Object.keys(STATUSES).map((key) =>
+    SpreadsheetApp.newConditionalFormatRule()
+      .setRanges([range])
+      .whenTextEqualTo(STATUSES[key])
+      .setBackground(STATUS_COLORS[key])
+      .build()
+  );
+
+  // Status rules go first so they take precedence over the row stripes
+  sheet.setConditionalFormatRules([
+    ...statusRules,
+    ...sheet.getConditionalFormatRules(),
+  ]);
+}
+
+describe("MuscleBalance", () => {
+  const indices = getWorkoutColumnIndices(WORKOUTS_HEADERS);
+  const EXERCISE_VALUES = [
+    ["ID", "Title", "Primary Muscle Group", "Secondary Muscle Groups"],
+    ["bench", "Bench Press", "Chest", "Triceps, Shoulders"],
+    ["squat", "Squat", "Quadriceps", "Glutes"],
+    ["curl", "Bicep Curl", "Biceps", ""],
+  ];
+  const settings = (overrides = {}) => ({
+    secondaryFraction: 0.5,
+    defaultMin: 10,
+    defaultMax: 20,
+    targets: {},
+    ...overrides,
+  });
+
+  const set = (
+    startTime,
+    exercise,
+    templateId,
+    { setType = "normal", athlete = "" } = {}
+  ) => [
+    "w1",
+    "Workout",
+    startTime,
+    "",
+    exercise,
+    templateId,
+    setType,
+    60,
+    8,
+    athlete,
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    spreadsheet = new MockSpreadsheet();
+    global.SpreadsheetApp = createMockSpreadsheetApp(spreadsheet);
+    documentProperties = {};
+  });
+
+  describe("parseMuscleTargets()", () => {
+    test("should read one range per line with optional bounds", () => {
+      expect(
+        parseMuscleTargets("Chest: 12-20\n\n  Biceps: 6 - \nNeck: -\nBack: -25")
+      ).toEqual({
+        Chest: { min: 12, max: 20 },
+        Biceps: { min: 6, max: null },
+        Neck: { min: null, max: null },
+        Back: { min: null, max: 25 },
+      });
+    });
+
+    test("should reject malformed lines and invalid ranges", () => {
+      expect(() => parseMuscleTargets("Chest 12-20")).toThrow(ValidationError);
+      expect(() => parseMuscleTargets("Chest: 12")).toThrow(ValidationError);
+      expect(() => parseMuscleTargets("Chest: 20-12")).toThrow(
+        "minimum 20 is above maximum 12"
+      );
+      expect(() => parseMuscleTargets("Chest: 10-101")).toThrow(
+        ValidationError
+      );
+    });
+
+    test("should round-trip through formatMuscleTargets", () => {
+      const targets = {
+        Chest: { min: 12, max: 20 },
+        Neck: { min: null, max: null },
+      };
+      expect(formatMuscleTargets(targets)).toBe("Chest: 12-20\nNeck: -");
+      expect(parseMuscleTargets(formatMuscleTargets(targets))).toEqual(targets);
+    });
+  });
+
+  describe("aggregateWeeklyHardSets()", () => {
+    const metadataMap = () => {
+      spreadsheet.insertSheet(EXERCISES_SHEET_NAME, EXERCISE_VALUES);
+      return buildExerciseMetadataMap();
+    };
+
+    test("should count primary sets fully and secondary sets by fraction", () => {
+      const weeks = aggregateWeeklyHardSets(
+        [
+          set(new Date(2024, 0, 1, 9), "Bench Press", "bench"),
+          set(new Date(2024, 0, 3, 9), "Bench Press", "bench"),
+          set(new Date(2024, 0, 3, 9), "Squat", "squat"),
+        ],
+        indices,
+        metadataMap(),
+        0.5
+      );
+
+      expect(Array.from(weeks.keys())).toEqual(["2024-W01"]);
+      expect(weeks.get("2024-W01").weekStart).toEqual(new Date(2024, 0, 1));
+      expect(Object.fromEntries(weeks.get("2024-W01").sets)).toEqual({
+        Chest: 2,
+        Triceps: 1,
+        Shoulders: 1,
+        Quadriceps: 1,
+        Glutes: 0.5,
+      });
+    });
+
+    test("should skip warmups and leave out secondaries at fraction 0", () => {
+      const weeks = aggregateWeeklyHardSets(
+        [
+          set(new Date(2024, 0, 1, 9), "Bench Press", "bench", {
+            setType: "warmup",
+          }),
+          set(new Date(2024, 0, 1, 9), "Bench Press", "bench", {
+            setType: "failure",
+          }),
+          set(new Date(2024, 0, 1, 9), "Bench Press", "bench", {
+            setType: "dropset",
+          }),
+        ],
+        indices,
+        metadataMap(),
+        0
+      );
+
+      expect(Object.fromEntries(weeks.get("2024-W01").sets)).toEqual({
+        Chest: 2,
+      });
+    });
+
+    test("should match by template ID before title and fall back to Other", () => {
+      const weeks = aggregateWeeklyHardSets(
+        [
+          set(new Date(2024, 0, 1, 9), "Renamed Curl", "curl"),
+          set(new Date(2024, 0, 1, 9), "Squat", ""),
+          set(new Date(2024, 0, 1, 9), "Mystery Move", "unknown"),
+          set("not a date", "Squat", "squat"),
+          set(new Date(2024, 0, 1, 9), "", ""),
+        ],
+        indices,
+        metadataMap(),
+        0.5
+      );
+
+      expect(Object.fromEntries(weeks.get("2024-W01").sets)).toEqual({
+        Biceps: 1,
+        Quadriceps: 1,
+        Glutes: 0.5,
+        Other: 1,
+      });
+    });
+  });
+
+  describe("getMuscleTarget()", () => {
+    test("should prefer a muscle's own target, matched case-insensitively", () => {
+      const targets = settings({ targets: { chest: { min: 12, max: null } } });
+      expect(getMuscleTarget("Chest", targets)).toEqual({ min: 12, max: null });
+      expect(getMuscleTarget("Back", targets)).toEqual({ min: 10, max: 20 });
+    });
+
+    test("should leave untargeted and opted-out muscles without a target", () => {
+      const targets = settings({ targets: { Neck: { min: null, max: null } } });
+      expect(getMuscleTarget("Neck", targets)).toBeNull();
+      expect(getMuscleTarget("Cardio", targets)).toBeNull();
+      expect(getMuscleTarget("Other", targets)).toBeNull();
+      expect(
+        getMuscleTarget(
+          "Chest",
+          settings({ defaultMin: null, defaultMax: null })
+        )
+      ).toBeNull();
+    });
+  });
+
+  describe("getMuscleBalanceStatus()", () => {
+    test("should compare sets against the range inclusively", () => {
+      const target = { min: 10, max: 20 };
+      expect(getMuscleBalanceStatus(9.5, target)).toBe("Under");
+      expect(getMuscleBalanceStatus(10, target)).toBe("On Target");
+      expect(getMuscleBalanceStatus(20, target)).toBe("On Target");
+      expect(getMuscleBalanceStatus(20.5, target)).toBe("Over");
+      expect(getMuscleBalanceStatus(50, { min: 10, max: null })).toBe(
+        "On Target"
+      );
+      expect(getMuscleBalanceStatus(5, null)).toBe("");
+    });
+  });
+
+  describe("muscleBalanceToRows()", () => {
+    test("should list every muscle in every week, newest week first", () => {
+      const weeks = new Map([
+        [
+          "2024-W01",
+          {
+            week: "2024-W01",
+            weekStart: new Date(2024, 0, 1),
+            sets: new Map([
+              ["Chest", 12],
+              ["Triceps", 1 / 3],
+            ]),
+          },
+        ],
+        [
+          "2024-W02",
+          {
+            week: "2024-W02",
+            weekStart: new Date(2024, 0, 8),
+            sets: new Map([["Chest", 22]]),
+          },
+        ],
+      ]);
+
+      expect(
+        muscleBalanceToRows(
+          weeks,
+          settings({ targets: { Calves: { min: 6, max: 12 } } })
+        )
+      ).toEqual([
+        ["2024-W02", new Date(2024, 0, 8), "Calves", 0, 6, 12, "Under"],
+        ["2024-W02", new Date(2024, 0, 8), "Chest", 22, 10, 20, "Over"],
+        ["2024-W02", new Date(2024, 0, 8), "Triceps", 0, 10, 20, "Under"],
+        ["2024-W01", new Date(2024, 0, 1), "Calves", 0, 6, 12, "Under"],
+        ["2024-W01", new Date(2024, 0, 1), "Chest", 12, 10, 20, "On Target"],
+        ["2024-W01", new Date(2024, 0, 1), "Triceps", 0.33, 10, 20, "Under"],
+      ]);
+    });
+  });
+
+  describe("saveMuscleSetTargets()", () => {
+    test("should save the targets and return them with editable lines", async () => {
+      const result = await saveMuscleSetTargets(
+        "0.25",
+        "8",
+        "",
+        "Chest: 12-20"
+      );
+
+      expect(JSON.parse(documentProperties.MUSCLE_SET_TARGETS)).toEqual({
+        secondaryFraction: 0.25,
+        defaultMin: 8,
+        defaultMax: null,
+        targets: { Chest: { min: 12, max: 20 } },
+      });
+      expect(result).toEqual({
+        secondaryFraction: 0.25,
+        defaultMin: 8,
+        defaultMax: null,
+        targets: { Chest: { min: 12, max: 20 } },
+        targetsText: "Chest: 12-20",
+      });
+    });
+
+    test("should reject a fraction outside 0 to 1 without saving", async () => {
+      await expect(saveMuscleSetTargets("1.5", 10, 20, "")).rejects.toThrow(
+        ValidationError
+      );
+      await expect(saveMuscleSetTargets("", 10, 20, "")).rejects.toThrow(
+        ValidationError
+      );
+      expect(documentProperties.MUSCLE_SET_TARGETS).toBeUndefined();
+    });
+
+    test("should fall back to the defaults when nothing is saved", () => {
+      expect(getMuscleSetTargets()).toEqual({
+        secondaryFraction: 0.5,
+        defaultMin: 10,
+        defaultMax: 20,
+        targets: {},
+        targetsText: "",
+      });
+    });
+  });
+
+  describe("updateMuscleBalance()", () => {
+    const setUpSheets = (workoutRows) => {
+      spreadsheet.insertSheet(WORKOUTS_SHEET_NAME, [
+        WORKOUTS_HEADERS,
+        ...workoutRows,
+      ]);
+      spreadsheet.insertSheet(EXERCISES_SHEET_NAME, EXERCISE_VALUES);
+    };
+
+    test("should write own weekly sets and color the status column", async () => {
+      setUpSheets([
+        set(new Date(2024, 0, 8, 9), "Bench Press", "bench"),
+        set(new Date(2024, 0, 1, 9), "Squat", "squat", { setType: "warmup" }),
+        set(new Date(2024, 0, 1, 9), "Squat", "squat"),
+        set(new Date(2024, 0, 1, 9), "Bicep Curl", "curl", { athlete: "Sam" }),
+      ]);
+      documentProperties.MUSCLE_SET_TARGETS = JSON.stringify({
+        secondaryFraction: 1,
+        defaultMin: 1,
+        defaultMax: 1,
+        targets: {},
+      });
+
+      await updateMuscleBalance();
+
+      const sheet = spreadsheet.getSheetByName(MUSCLE_BALANCE_SHEET_NAME);
+      expect(
+        sheet
+          .getDataRange()
+          .getValues()
+          .slice(1)
+          .map((row) => [row[0], row[2], row[3], row[6]])
+      ).toEqual([
+        ["2024-W02", "Chest", 1, "On Target"],
+        ["2024-W02", "Glutes", 0, "Under"],
+        ["2024-W02", "Quadriceps", 0, "Under"],
+        ["2024-W02", "Shoulders", 1, "On Target"],
+        ["2024-W02", "Triceps", 1, "On Target"],
+        ["2024-W01", "Chest", 0, "Under"],
+        ["2024-W01", "Glutes", 1, "On Target"],
+        ["2024-W01", "Quadriceps", 1, "On Target"],
+        ["2024-W01", "Shoulders", 0, "Under"],
+        ["2024-W01", "Triceps", 0, "Under"],
+      ]);
+
+      const rules = sheet.getConditionalFormatRules();
+      expect(rules[rules.length - 1]).toBe(STRIPE_RULE);
+      expect(
+        rules
+          .slice(0, -1)
+          .map((rule) => [
+            rule.getRanges()[0].getA1Notation(),
+            rule.condition.values[0],
+            rule.format.background,
+          ])
+      ).toEqual([
+        ["G2:G11", "Under", "#FFCDD2"],
+        ["G2:G11", "On Target", "#C8E6C9"],
+        ["G2:G11", "Over", "#FFE0B2"],
+      ]);
+      expect(ImportProgressTracker.markOperationComplete).toHaveBeenCalledWith(
+        "updateMuscleBalance"
+      );
+    });
+
+    test("should clear old rows when rebuilt", async () => {
+      setUpSheets([set(new Date(2024, 0, 1, 9), "Bicep Curl", "curl")]);
+      const sheet = spreadsheet.insertSheet(MUSCLE_BALANCE_SHEET_NAME, [
+        SHEET_HEADERS[MUSCLE_BALANCE_SHEET_NAME],
+        ["2023-W01", new Date(2023, 0, 2), "Chest", 5, 10, 20, "Under"],
+        ["2023-W01", new Date(2023, 0, 2), "Back", 5, 10, 20, "Under"],
+      ]);
+
+      await updateMuscleBalance();
+
+      expect(sheet.getDataRange().getValues()).toEqual([
+        SHEET_HEADERS[MUSCLE_BALANCE_SHEET_NAME],
+        ["2024-W01", new Date(2024, 0, 1), "Biceps", 1, 10, 20, "Under"],
+      ]);
+    });
+
+    test("should defer the rebuild when the import is out of time", async () => {
+      setUpSheets([]);
+
+      await expect(updateMuscleBalance(() => true)).rejects.toThrow(
+        ImportTimeoutError
+      );
+      expect(ImportProgressTracker.markDeferredOperation).toHaveBeenCalledWith(
+        "updateMuscleBalance"
+      );
+      expect(spreadsheet.getSheetByName(MUSCLE_BALANCE_SHEET_NAME)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,521 @@
+/**
+ * Tests for PersonalRecords.gs - Personal record computation
+ */
+
+// Mock constants
+const WORKOUTS_HEADERS = [
+  "ID",
+  "Title",
+  "Start Time",
+  "End Time",
+  "Exercise",
+  "Exercise Template ID",
+  "Set Type",
+  "Weight (kg)",
+  "Reps / Distance (m)",
+  "Duration (s)",
+  "RPE",
+  "Est. 1RM (kg)",
+];
+const ONE_REP_MAX_FORMULAS = {
+  EPLEY: "Epley",
+  BRZYCKI: "Brzycki",
+  LOMBARDI: "Lombardi",
+  RPE_ADJUSTED: "RPE-adjusted",
+};
+
+// Simplified functions for testing
+function calculateOneRepMax(
+  weight,
+  reps,
+  formula = ONE_REP_MAX_FORMULAS.EPLEY,
+  rpe = null
+) {
+  const weightValue = Number(weight);
+  const repsValue = Number(reps);
+
+  if (
+    weight === "" ||
+    weight === null ||
+    reps === "" ||
+    reps === null ||
+    !isFinite(weightValue) ||
+    !isFinite(repsValue) ||
+    weightValue <= 0 ||
+    repsValue <= 0
+  ) {
+    return "";
+  }
+
+  const epley = (r) => (r === 1 ? weightValue : weightValue * (1 + r / 30));
+  let estimate;
+
+  switch (formula) {
+    case ONE_REP_MAX_FORMULAS.BRZYCKI:
+      if (repsValue >= 37) {
+        return "";
+      }
+      estimate = (weightValue * 36) / (37 - repsValue);
+      break;
+    case ONE_REP_MAX_FORMULAS.LOMBARDI:
+      estimate = weightValue * Math.pow(repsValue, 0.1);
+      break;
+    case ONE_REP_MAX_FORMULAS.RPE_ADJUSTED: {
+      const rpeValue = Number(rpe);
+      const repsInReserve =
+        rpe === "" || rpe === null || !isFinite(rpeValue)
+          ? 0
+          : Math.max(0, 10 - rpeValue);
+      estimate = epley(repsValue + repsInReserve);
+      break;
+    }
+    default:
+      estimate = epley(repsValue);
+  }
+
+  return Math.round(estimate * 100) / 100;
+}
+
+function getWorkoutColumnIndices(headers) {
+  return {
+    id: headers.indexOf("ID"),
+    title: headers.indexOf("Title"),
+    startTime: headers.indexOf("Start Time"),
+    endTime: headers.indexOf("End Time"),
+    exercise: headers.indexOf("Exercise"),
+    exerciseTemplateId: headers.indexOf("Exercise Template ID"),
+    setType: headers.indexOf("Set Type"),
+    weight: headers.indexOf("Weight (kg)"),
+    reps: headers.indexOf("Reps / Distance (m)"),
+    duration: headers.indexOf("Duration (s)"),
+    rpe: headers.indexOf("RPE"),
+    e1rm: headers.indexOf("Est. 1RM (kg)"),
+  };
+}
+
+const PERSONAL_RECORD_TYPES = {
+  HEAVIEST_WEIGHT: "Heaviest Weight",
+  BEST_E1RM: "Best Est. 1RM",
+  MOST_REPS: "Most Reps",
+  LONGEST_DURATION: "Longest Duration",
+  LONGEST_DISTANCE: "Longest Distance",
+};
+
+function buildPersonalRecords(
+  workoutData,
+  indices,
+  typeMap,
+  records = new Map()
+) {
+  workoutData.forEach((row) => {
+    const templateId = String(row[indices.exerciseTemplateId] || "").trim();
+    const workoutId = row[indices.id];
+    const setType = String(row[indices.setType] || "").toLowerCase();
+
+    if (!templateId || !workoutId || setType === "warmup") {
+      return;
+    }
+
+    const exerciseRecords = _getOrCreateExerciseRecords(
+      records,
+      templateId,
+      String(row[indices.exercise] || "").trim()
+    );
+    const date = row[indices.startTime];
+    const weight = _toRecordNumber(row[indices.weight]);
+    const repsOrDistance = _toRecordNumber(row[indices.reps]);
+    const duration = _toRecordNumber(row[indices.duration]);
+    const isDistance = String(typeMap[templateId] || "").includes("distance");
+    const reps = isDistance ? null : repsOrDistance;
+    const distance = isDistance ? repsOrDistance : null;
+
+    const candidate = (value, recordWeight = "", recordReps = "") => ({
+      weight: recordWeight,
+      reps: recordReps,
+      value,
+      workoutId,
+      date,
+    });
+
+    if (weight !== null && weight > 0) {
+      exerciseRecords.heaviestWeight = _pickBetterRecord(
+        exerciseRecords.heaviestWeight,
+        candidate(weight, weight, reps ?? "")
+      );
+    }
+
+    if (reps !== null && reps > 0) {
+      const setWeight = weight ?? 0;
+      exerciseRecords.repsByWeight.set(
+        setWeight,
+        _pickBetterRecord(
+          exerciseRecords.repsByWeight.get(setWeight),
+          candidate(reps, setWeight, reps)
+        )
+      );
+
+      const estimate =
+        (indices.e1rm >= 0 ? _toRecordNumber(row[indices.e1rm]) : null) ??
+        _toRecordNumber(calculateOneRepMax(setWeight, reps));
+      if (estimate !== null && estimate > 0) {
+        exerciseRecords.bestE1rm = _pickBetterRecord(
+          exerciseRecords.bestE1rm,
+          candidate(estimate, setWeight, reps)
+        );
+      }
+    }
+
+    if (duration !== null && duration > 0) {
+      exerciseRecords.longestDuration = _pickBetterRecord(
+        exerciseRecords.longestDuration,
+        candidate(duration)
+      );
+    }
+
+    if (distance !== null && distance > 0) {
+      exerciseRecords.longestDistance = _pickBetterRecord(
+        exerciseRecords.longestDistance,
+        candidate(distance)
+      );
+    }
+  });
+
+  return records;
+}
+
+function personalRecordsToRows(records) {
+  const rows = [];
+  const sortedIds = Array.from(records.keys()).sort((a, b) =>
+    records.get(a).exercise.localeCompare(records.get(b).exercise)
+  );
+
+  sortedIds.forEach((templateId) => {
+    const exerciseRecords = records.get(templateId);
+    const toRow = (type, record) => [
+      templateId,
+      exerciseRecords.exercise,
+      type,
+      record.weight,
+      record.reps,
+      record.value,
+      record.workoutId,
+      record.date,
+    ];
+
+    if (exerciseRecords.heaviestWeight) {
+      rows.push(
+        toRow(
+          PERSONAL_RECORD_TYPES.HEAVIEST_WEIGHT,
+          exerciseRecords.heaviestWeight
+        )
+      );
+    }
+    if (exerciseRecords.bestE1rm) {
+      rows.push(
+        toRow(PERSONAL_RECORD_TYPES.BEST_E1RM, exerciseRecords.bestE1rm)
+      );
+    }
+    Array.from(exerciseRecords.repsByWeight.keys())
+      .sort((a, b) => b - a)
+      .forEach((weight) => {
+        rows.push(
+          toRow(
+            PERSONAL_RECORD_TYPES.MOST_REPS,
+            exerciseRecords.repsByWeight.get(weight)
+          )
+        );
+      });
+    if (exerciseRecords.longestDuration) {
+      rows.push(
+        toRow(
+          PERSONAL_RECORD_TYPES.LONGEST_DURATION,
+          exerciseRecords.longestDuration
+        )
+      );
+    }
+    if (exerciseRecords.longestDistance) {
+      rows.push(
+        toRow(
+          PERSONAL_RECORD_TYPES.LONGEST_DISTANCE,
+          exerciseRecords.longestDistance
+        )
+      );
+    }
+  });
+
+  return rows;
+}
+
+function parsePersonalRecordRows(recordData) {
+  const records = new Map();
+
+  recordData.forEach((row) => {
+    const [templateId, exercise, type, weight, reps, value, workoutId, date] =
+      row;
+    if (!templateId || !type) {
+      return;
+    }
+
+    const exerciseRecords = _getOrCreateExerciseRecords(
+      records,
+      String(templateId),
+      String(exercise || "")
+    );
+    const record = { weight, reps, value: Number(value), workoutId, date };
+
+    switch (type) {
+      case PERSONAL_RECORD_TYPES.HEAVIEST_WEIGHT:
+        exerciseRecords.heaviestWeight = record;
+        break;
+      case PERSONAL_RECORD_TYPES.BEST_E1RM:
+        exerciseRecords.bestE1rm = record;
+        break;
+      case PERSONAL_RECORD_TYPES.MOST_REPS:
+        exerciseRecords.repsByWeight.set(Number(weight) || 0, record);
+        break;
+      case PERSONAL_RECORD_TYPES.LONGEST_DURATION:
+        exerciseRecords.longestDuration = record;
+        break;
+      case PERSONAL_RECORD_TYPES.LONGEST_DISTANCE:
+        exerciseRecords.longestDistance = record;
+        break;
+    }
+  });
+
+  return records;
+}
+
+function _getOrCreateExerciseRecords(records, templateId, exercise) {
+  if (!records.has(templateId)) {
+    records.set(templateId, {
+      exercise,
+      heaviestWeight: null,
+      bestE1rm: null,
+      repsByWeight: new Map(),
+      longestDuration: null,
+      longestDistance: null,
+    });
+  }
+  return records.get(templateId);
+}
+
+function _pickBetterRecord(current, candidate) {
+  if (!current || candidate.value > current.value) {
+    return candidate;
+  }
+  if (
+    candidate.value === current.value &&
+    new Date(candidate.date).getTime() < new Date(current.date).getTime()
+  ) {
+    return candidate;
+  }
+  return current;
+}
+
+function _recordsReferenceWorkouts(records, workoutIds) {
+  if (!workoutIds || workoutIds.size === 0) {
+    return false;
+  }
+
+  for (const exerciseRecords of records.values()) {
+    const entries = [
+      exerciseRecords.heaviestWeight,
+      exerciseRecords.bestE1rm,
+      exerciseRecords.longestDuration,
+      exerciseRecords.longestDistance,
+      ...exerciseRecords.repsByWeight.values(),
+    ];
+    if (entries.some((record) => record && workoutIds.has(record.workoutId))) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function _toRecordNumber(value) {
+  if (value === "" || value === null || value === undefined) {
+    return null;
+  }
+  const number = Number(value);
+  return isNaN(number) ? null : number;
+}
+
+const workoutRow = (overrides = {}) => {
+  const row = {
+    id: "w1",
+    startTime: new Date("2024-01-01T10:00:00Z"),
+    exercise: "Bench Press (Barbell)",
+    templateId: "EX1",
+    setType: "normal",
+    weight: 100,
+    reps: 5,
+    duration: "",
+    e1rm: "",
+    ...overrides,
+  };
+  return [
+    row.id,
+    "Push Day",
+    row.startTime,
+    row.startTime,
+    row.exercise,
+    row.templateId,
+    row.setType,
+    row.weight,
+    row.reps,
+    row.duration,
+    "",
+    row.e1rm,
+  ];
+};
+
+describe("PersonalRecords", () => {
+  const indices = getWorkoutColumnIndices(WORKOUTS_HEADERS);
+
+  describe("buildPersonalRecords()", () => {
+    test("should track heaviest weight, best e1RM and reps per weight", () => {
+      const records = buildPersonalRecords(
+        [
+          workoutRow({ weight: 100, reps: 5 }),
+          workoutRow({ weight: 110, reps: 1 }),
+          workoutRow({ weight: 100, reps: 8 }),
+        ],
+        indices,
+        { EX1: "weight_reps" }
+      );
+
+      const bench = records.get("EX1");
+      expect(bench.heaviestWeight.value).toBe(110);
+      expect(bench.bestE1rm.value).toBe(126.67);
+      expect(bench.bestE1rm.reps).toBe(8);
+      expect(bench.repsByWeight.get(100).value).toBe(8);
+      expect(bench.repsByWeight.get(110).value).toBe(1);
+    });
+
+    test("should prefer the Est. 1RM column over the Epley fallback", () => {
+      const records = buildPersonalRecords(
+        [
+          workoutRow({ id: "w1", weight: 100, reps: 5, e1rm: 112.5 }),
+          workoutRow({ id: "w2", weight: 100, reps: 4, e1rm: 120 }),
+        ],
+        indices,
+        {}
+      );
+
+      expect(records.get("EX1").bestE1rm.value).toBe(120);
+      expect(records.get("EX1").bestE1rm.workoutId).toBe("w2");
+    });
+
+    test("should ignore warmup sets", () => {
+      const records = buildPersonalRecords(
+        [workoutRow({ setType: "warmup", weight: 200 })],
+        indices,
+        {}
+      );
+
+      expect(records.size).toBe(0);
+    });
+
+    test("should keep the earliest workout on ties", () => {
+      const records = buildPersonalRecords(
+        [
+          workoutRow({ id: "late", startTime: new Date("2024-02-01") }),
+          workoutRow({ id: "early", startTime: new Date("2024-01-01") }),
+        ],
+        indices,
+        {}
+      );
+
+      expect(records.get("EX1").heaviestWeight.workoutId).toBe("early");
+    });
+
+    test("should treat the reps column as distance for distance exercises", () => {
+      const records = buildPersonalRecords(
+        [
+          workoutRow({
+            templateId: "RUN",
+            exercise: "Running",
+            weight: "",
+            reps: 5000,
+            duration: 1500,
+          }),
+        ],
+        indices,
+        { RUN: "distance_duration" }
+      );
+
+      const run = records.get("RUN");
+      expect(run.longestDistance.value).toBe(5000);
+      expect(run.longestDuration.value).toBe(1500);
+      expect(run.repsByWeight.size).toBe(0);
+      expect(run.heaviestWeight).toBeNull();
+    });
+
+    test("should record bodyweight reps at zero weight", () => {
+      const records = buildPersonalRecords(
+        [workoutRow({ weight: "", reps: 15 })],
+        indices,
+        { EX1: "bodyweight_reps" }
+      );
+
+      expect(records.get("EX1").repsByWeight.get(0).value).toBe(15);
+      expect(records.get("EX1").bestE1rm).toBeNull();
+    });
+  });
+
+  describe("personalRecordsToRows() / parsePersonalRecordRows()", () => {
+    test("should round-trip records through sheet rows", () => {
+      const records = buildPersonalRecords(
+        [
+          workoutRow({ weight: 100, reps: 5 }),
+          workoutRow({ weight: 80, reps: 10 }),
+        ],
+        indices,
+        {}
+      );
+
+      const rows = personalRecordsToRows(records);
+      expect(rows.map((row) => row[2])).toEqual([
+        "Heaviest Weight",
+        "Best Est. 1RM",
+        "Most Reps",
+        "Most Reps",
+      ]);
+      expect(rows[2][3]).toBe(100);
+      expect(rows[3][3]).toBe(80);
+
+      const parsed = parsePersonalRecordRows(rows);
+      expect(personalRecordsToRows(parsed)).toEqual(rows);
+    });
+  });
+
+  describe("_recordsReferenceWorkouts()", () => {
+    test("should detect records set in changed workouts", () => {
+      const records = buildPersonalRecords([workoutRow()], indices, {});
+
+      expect(_recordsReferenceWorkouts(records, new Set(["w1"]))).toBe(true);
+      expect(_recordsReferenceWorkouts(records, new Set(["w2"]))).toBe(false);
+      expect(_recordsReferenceWorkouts(records, new Set())).toBe(false);
+    });
+  });
+
+  describe("merging new rows into existing records", () => {
+    test("should only replace records that were beaten", () => {
+      const existing = parsePersonalRecordRows(
+        personalRecordsToRows(buildPersonalRecords([workoutRow()], indices, {}))
+      );
+
+      buildPersonalRecords(
+        [workoutRow({ id: "w2", weight: 90, reps: 12 })],
+        indices,
+        {},
+        existing
+      );
+
+      const bench = existing.get("EX1");
+      expect(bench.heaviestWeight.workoutId).toBe("w1");
+      expect(bench.bestE1rm.workoutId).toBe("w2");
+      expect(bench.repsByWeight.get(90).workoutId).toBe("w2");
+    });
+  });
+});
@@ -0,0 +1,747 @@
+/**
+ * Tests for ProgressCharts.gs - Per-exercise progression charts
+ */
+
+const {
+  MockSpreadsheet,
+} = require("../__mocks__/google-apps-script/SpreadsheetApp");
+
+// Mock constants
+const WORKOUTS_SHEET_NAME = "Workouts";
+const EXERCISES_SHEET_NAME = "Exercises";
+const CHARTS_SHEET_NAME = "Charts";
+const WORKOUTS_HEADERS = [
+  "ID",
+  "Title",
+  "Start Time",
+  "End Time",
+  "Exercise",
+  "Exercise Template ID",
+  "Set Type",
+  "Weight (kg)",
+  "Reps / Distance (m)",
+  "Duration (s)",
+  "RPE",
+  "Est. 1RM (kg)",
+  "Athlete",
+];
+const SHEET_HEADERS = {
+  [CHARTS_SHEET_NAME]: [
+    "Exercise",
+    "Date",
+    "Best Set (kg)",
+    "Est. 1RM (kg)",
+    "Volume (kg)",
+  ],
+};
+const CHARTS_CONFIG = {
+  PROPERTY_KEY: "CHART_SELECTION",
+  DEFAULT_TOP_N: 5,
+  MAX_CHARTS: 20,
+  WIDTH: 600,
+  HEIGHT: 300,
+  ROWS_PER_CHART: 16,
+};
+const ATHLETE_CONFIG = { HEADER: "Athlete" };
+
+global.Charts = { ChartType: { LINE: "LINE" } };
+
+// Mock error classes
+class ValidationError extends Error {
+  constructor(message, context = {}) {
+    super(message);
+    this.name = "ValidationError";
+    this.context = context;
+  }
+}
+
+class ImportTimeoutError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ImportTimeoutError";
+  }
+}
+
+const ErrorHandler = {
+  handle: jest.fn((error) => error),
+};
+
+const ImportProgressTracker = {
+  markOperationComplete: jest.fn(),
+  markDeferredOperation: jest.fn(),
+};
+
+// In-memory spreadsheet and document properties
+let spreadsheet;
+let documentProperties;
+
+const getActiveSpreadsheet = () => spreadsheet;
+const getDocumentProperties = () => ({
+  getProperty: (key) => documentProperties[key] ?? null,
+  setProperty: (key, value) => {
+    documentProperties[key] = value;
+  },
+});
+
+const SheetManager = {
+  getOrCreate: (sheetName) => {
+    const sheet =
+      spreadsheet.getSheetByName(sheetName) ||
+      spreadsheet.insertSheet(sheetName);
+    return {
+      sheet,
+      clearSheet: () => {
+        if (sheet.getLastRow() > 1) {
+          sheet
+            .getRange(2, 1, sheet.getLastRow() - 1, sheet.getLastColumn())
+            .clear();
+        }
+      },
+      formatSheet: async () => {
+        const headers = SHEET_HEADERS[sheetName];
+        sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+      },
+    };
+  },
+};
+
+// Simplified functions for testing
+function calculateOneRepMax(weight, reps) {
+  if (!(weight > 0) || !(reps > 0)) {
+    return "";
+  }
+  const estimate = reps === 1 ? weight : weight * (1 + reps / 30);
+  return Math.round(estimate * 100) / 100;
+}
+
+function checkAndThrowTimeout(checkTimeout, operationName) {
+  if (checkTimeout && checkTimeout()) {
+    throw new ImportTimeoutError(`Timeout approaching during ${operationName}`);
+  }
+}
+
+function getWorkoutColumnIndices(headers) {
+  return {
+    id: headers.indexOf("ID"),
+    title: headers.indexOf("Title"),
+    startTime: headers.indexOf("Start Time"),
+    endTime: headers.indexOf("End Time"),
+    exercise: headers.indexOf("Exercise"),
+    exerciseTemplateId: headers.indexOf("Exercise Template ID"),
+    setType: headers.indexOf("Set Type"),
+    weight: headers.indexOf("Weight (kg)"),
+    reps: headers.indexOf("Reps / Distance (m)"),
+    duration: headers.indexOf("Duration (s)"),
+    rpe: headers.indexOf("RPE"),
+    e1rm: headers.indexOf("Est. 1RM (kg)"),
+    description: headers.indexOf("Description"),
+    exerciseNotes: headers.indexOf("Exercise Notes"),
+    supersetId: headers.indexOf("Superset ID"),
+    setIndex: headers.indexOf("Set Index"),
+  };
+}
+
+function filterOwnRows(rows, headers) {
+  const athleteIndex = headers.indexOf(ATHLETE_CONFIG.HEADER);
+  if (athleteIndex === -1) {
+    return rows;
+  }
+  return rows.filter((row) => !row[athleteIndex]);
+}
+
+function readOwnWorkoutRows(workoutSheet) {
+  const [headers, ...rows] = workoutSheet.getDataRange().getValues();
+  return { headers, rows: filterOwnRows(rows, headers) };
+}
+
+function getChartSelection() {
+  const defaults = { exercises: [], topN: CHARTS_CONFIG.DEFAULT_TOP_N };
+  try {
+    const json = getDocumentProperties()?.getProperty(
+      CHARTS_CONFIG.PROPERTY_KEY
+    );
+    return json ? { ...defaults, ...JSON.parse(json) } : defaults;
+  } catch (error) {
+    console.warn("Failed to load chart selection:", error);
+    return defaults;
+  }
+}
+
+function parseChartSelection(text) {
+  const value = String(text ?? "").trim();
+  const max = CHARTS_CONFIG.MAX_CHARTS;
+
+  if (!value) {
+    return { exercises: [], topN: CHARTS_CONFIG.DEFAULT_TOP_N };
+  }
+
+  if (/^\d+$/.test(value)) {
+    const topN = Number(value);
+    if (topN < 1 || topN > max) {
+      throw new ValidationError(
+        `Number of exercises must be from 1 to ${max}, got: ${value}`
+      );
+    }
+    return { exercises: [], topN };
+  }
+
+  const seen = new Set();
+  const exercises = value
+    .split(",")
+    .map((name) => name.trim())
+    .filter((name) => {
+      const key = name.toLowerCase();
+      if (!name || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+  if (exercises.length > max) {
+    throw new ValidationError(
+      `At most ${max} exercises can be charted, got: ${exercises.length}`
+    );
+  }
+  return { exercises, topN: CHARTS_CONFIG.DEFAULT_TOP_N };
+}
+
+function resolveChartExercises(selection, exerciseValues) {
+  const [headers = [], ...rows] = exerciseValues;
+  const idIndex = headers.indexOf("ID");
+  const titleIndex = headers.indexOf("Title");
+  const countIndex = headers.indexOf("Count");
+  const toExercise = (row) => ({
+    id: String(row[idIndex] ?? "").trim(),
+    title: String(row[titleIndex] ?? "").trim(),
+  });
+
+  if (selection.exercises.length === 0) {
+    const exercises = rows
+      .filter((row) => Number(row[countIndex]) > 0)
+      .sort((a, b) => Number(b[countIndex]) - Number(a[countIndex]))
+      .slice(0, selection.topN)
+      .map(toExercise);
+    return { exercises, missing: [] };
+  }
+
+  const byTitle = new Map();
+  rows.forEach((row) => {
+    const exercise = toExercise(row);
+    if (exercise.title && !byTitle.has(exercise.title.toLowerCase())) {
+      byTitle.set(exercise.title.toLowerCase(), exercise);
+    }
+  });
+
+  const exercises = [];
+  const missing = [];
+  selection.exercises.forEach((name) => {
+    const exercise = byTitle.get(name.toLowerCase());
+    if (exercise) {
+      exercises.push(exercise);
+    } else {
+      missing.push(name);
+    }
+  });
+  return { exercises, missing };
+}
+
+function buildExerciseProgression(workoutData, indices, exercises) {
+  const sessions = exercises.map(() => new Map());
+  const byId = new Map();
+  const byTitle = new Map();
+  exercises.forEach(({ id, title }, i) => {
+    if (id && id !== "N/A" && !byId.has(id)) byId.set(id, i);
+    if (title && !byTitle.has(title.toLowerCase())) {
+      byTitle.set(title.toLowerCase(), i);
+    }
+  });
+
+  workoutData.forEach((row) => {
+    const workoutId = row[indices.id];
+    const startTime = row[indices.startTime];
+    const setType = String(row[indices.setType] || "").toLowerCase();
+    if (
+      !workoutId ||
+      setType === "warmup" ||
+      !startTime ||
+      isNaN(new Date(startTime).getTime())
+    ) {
+      return;
+    }
+
+    const templateId = String(row[indices.exerciseTemplateId] || "").trim();
+    const title = String(row[indices.exercise] || "")
+      .trim()
+      .toLowerCase();
+    const index = byId.get(templateId) ?? byTitle.get(title);
+    if (index === undefined) {
+      return;
+    }
+
+    const weight = Number(row[indices.weight]) || 0;
+    const reps = Number(row[indices.reps]) || 0;
+    const estimate =
+      (indices.e1rm >= 0 ? Number(row[indices.e1rm]) : 0) ||
+      (weight > 0 && reps > 0 ? Number(calculateOneRepMax(weight, reps)) : 0);
+
+    if (!sessions[index].has(workoutId)) {
+      sessions[index].set(workoutId, {
+        date: new Date(startTime),
+        bestSet: 0,
+        e1rm: 0,
+        volume: 0,
+      });
+    }
+    const session = sessions[index].get(workoutId);
+    session.bestSet = Math.max(session.bestSet, weight);
+    session.e1rm = Math.max(session.e1rm, estimate || 0);
+    session.volume += weight * reps;
+  });
+
+  const round = (value) => Math.round(value * 100) / 100;
+  return exercises.map(({ title }, i) => ({
+    exercise: title,
+    points: Array.from(sessions[i].values())
+      .filter((session) => session.bestSet > 0)
+      .sort((a, b) => a.date - b.date)
+      .map((session) => ({
+        date: session.date,
+        bestSet: round(session.bestSet),
+        e1rm: session.e1rm > 0 ? round(session.e1rm) : "",
+        volume: round(session.volume),
+      })),
+  }));
+}
+
+function progressionToRows(progression) {
+  return progression.flatMap(({ exercise, points }) =>
+    points.map((point) => [
+      exercise,
+      point.date,
+      point.bestSet,
+      point.e1rm,
+      point.volume,
+    ])
+  );
+}
+
+function _syncProgressCharts(sheet, progression) {
+  const charts = sheet.getCharts();
+  const chartsByTitle = new Map(
+    charts.map((chart) => [chart.getOptions().get("title"), chart])
+  );
+  const unchanged =
+    charts.length === progression.length &&
+    progression.every(({ exercise }) => chartsByTitle.has(exercise));
+
+  if (!unchanged) {
+    charts.forEach((chart) => sheet.removeChart(chart));
+    _insertProgressCharts(sheet, progression);
+    return;
+  }
+
+  const chartColumn = SHEET_HEADERS[CHARTS_SHEET_NAME].length + 2;
+  let startRow = 2;
+  progression.forEach(({ exercise, points }, i) => {
+    sheet.updateChart(
+      chartsByTitle
+        .get(exercise)
+        .modify()
+        .clearRanges()
+        .addRange(sheet.getRange(startRow, 2, points.length, 4))
+        .setPosition(1 + i * CHARTS_CONFIG.ROWS_PER_CHART, chartColumn, 0, 0)
+        .build()
+    );
+    startRow += points.length;
+  });
+}
+
+async function updateProgressCharts(checkTimeout = null, workoutRows = null) {
+  const ss = getActiveSpreadsheet();
+  const workoutSheet = ss.getSheetByName(WORKOUTS_SHEET_NAME);
+
+  if (!workoutSheet || !ss.getSheetByName(CHARTS_SHEET_NAME)) {
+    return 0;
+  }
+
+  try {
+    checkAndThrowTimeout(checkTimeout, "updateProgressCharts");
+
+    const { headers, rows: workoutData } =
+      workoutRows || readOwnWorkoutRows(workoutSheet);
+    const { exercises } = resolveChartExercises(
+      getChartSelection(),
+      _getExerciseSheetValues()
+    );
+    const progression = buildExerciseProgression(
+      workoutData,
+      getWorkoutColumnIndices(headers),
+      exercises
+    ).filter((entry) => entry.points.length > 0);
+    const rows = progressionToRows(progression);
+
+    checkAndThrowTimeout(checkTimeout, "updateProgressCharts");
+
+    const manager = SheetManager.getOrCreate(CHARTS_SHEET_NAME);
+    manager.clearSheet();
+    if (rows.length > 0) {
+      manager.sheet.getRange(2, 1, rows.length, rows[0].length).setValues(rows);
+    }
+    await manager.formatSheet(checkTimeout);
+    _syncProgressCharts(manager.sheet, progression);
+
+    ImportProgressTracker.markOperationComplete("updateProgressCharts");
+    return progression.length;
+  } catch (error) {
+    if (error instanceof ImportTimeoutError) {
+      ImportProgressTracker.markDeferredOperation("updateProgressCharts");
+    }
+    throw ErrorHandler.handle(error, {
+      operation: "Updating progress charts",
+      sheetName: CHARTS_SHEET_NAME,
+    });
+  }
+}
+
+function _insertProgressCharts(sheet, progression) {
+  const headers = SHEET_HEADERS[CHARTS_SHEET_NAME];
+  const chartColumn = headers.length + 2;
+  const neededRows = progression.length * CHARTS_CONFIG.ROWS_PER_CHART;
+
+  if (sheet.getMaxColumns() < chartColumn) {
+    sheet.insertColumnsAfter(
+      sheet.getMaxColumns(),
+      chartColumn - sheet.getMaxColumns()
+    );
+  }
+  if (sheet.getMaxRows() < neededRows) {
+    sheet.insertRowsAfter(sheet.getMaxRows(), neededRows - sheet.getMaxRows());
+  }
+
+  let startRow = 2;
+  progression.forEach(({ exercise, points }, i) => {
+    const chart = sheet
+      .newChart()
+      .setChartType(Charts.ChartType.LINE)
+      .addRange(sheet.getRange(startRow, 2, points.length, 4))
+      .setNumHeaders(0)
+      .setPosition(1 + i * CHARTS_CONFIG.ROWS_PER_CHART, chartColumn, 0, 0)
+      .setOption("title", exercise)
+      .setOption("width", CHARTS_CONFIG.WIDTH)
+      .setOption("height", CHARTS_CONFIG.HEIGHT)
+      .setOption("legend", { position: "bottom" })
+      .setOption("series", {
+        0: { labelInLegend: headers[2] },
+        1: { labelInLegend: headers[3] },
+        2: { labelInLegend: headers[4], targetAxisIndex: 1 },
+      })
+      .setOption("vAxes", {
+        0: { title: "Weight (kg)" },
+        1: { title: headers[4] },
+      })
+      .build();
+    sheet.insertChart(chart);
+    startRow += points.length;
+  });
+}
+
+function _getExerciseSheetValues() {
+  const sheet = getActiveSpreadsheet().getSheetByName(EXERCISES_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() === 0) {
+    return [];
+  }
+  return sheet.getDataRange().getValues();
+}
+
+describe("ProgressCharts", () => {
+  const indices = getWorkoutColumnIndices(WORKOUTS_HEADERS);
+  const EXERCISE_VALUES = [
+    ["ID", "Title", "Count"],
+    ["bench", "Bench Press", 12],
+    ["squat", "Squat", 30],
+    ["curl", "Bicep Curl", 0],
+    ["row", "Barbell Row", 5],
+  ];
+
+  const set = (
+    workoutId,
+    startTime,
+    exercise,
+    templateId,
+    weight,
+    reps,
+    { setType = "normal", e1rm = "", athlete = "" } = {}
+  ) => [
+    workoutId,
+    "Workout",
+    startTime,
+    "",
+    exercise,
+    templateId,
+    setType,
+    weight,
+    reps,
+    "",
+    "",
+    e1rm,
+    athlete,
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    spreadsheet = new MockSpreadsheet();
+    documentProperties = {};
+  });
+
+  describe("parseChartSelection()", () => {
+    test("should default to the top exercises when blank", () => {
+      expect(parseChartSelection("  ")).toEqual({ exercises: [], topN: 5 });
+    });
+
+    test("should read a number as the count of top exercises", () => {
+      expect(parseChartSelection("8")).toEqual({ exercises: [], topN: 8 });
+      expect(() => parseChartSelection("0")).toThrow(ValidationError);
+      expect(() => parseChartSelection("21")).toThrow(ValidationError);
+    });
+
+    test("should split names, dropping blanks and repeats", () => {
+      expect(
+        parseChartSelection(" Squat, bench press,, squat ,Bench Press")
+      ).toEqual({ exercises: ["Squat", "bench press"], topN: 5 });
+    });
+
+    test("should reject more names than charts allowed", () => {
+      const names = Array.from({ length: 21 }, (_, i) => `Lift ${i}`);
+
+      expect(() => parseChartSelection(names.join(","))).toThrow(
+        ValidationError
+      );
+    });
+  });
+
+  describe("resolveChartExercises()", () => {
+    test("should take the highest counts, skipping unperformed exercises", () => {
+      const { exercises } = resolveChartExercises(
+        { exercises: [], topN: 5 },
+        EXERCISE_VALUES
+      );
+
+      expect(exercises).toEqual([
+        { id: "squat", title: "Squat" },
+        { id: "bench", title: "Bench Press" },
+        { id: "row", title: "Barbell Row" },
+      ]);
+    });
+
+    test("should match names case-insensitively and report missing ones", () => {
+      const result = resolveChartExercises(
+        { exercises: ["barbell row", "Deadlift", "SQUAT"], topN: 5 },
+        EXERCISE_VALUES
+      );
+
+      expect(result).toEqual({
+        exercises: [
+          { id: "row", title: "Barbell Row" },
+          { id: "squat", title: "Squat" },
+        ],
+        missing: ["Deadlift"],
+      });
+    });
+  });
+
+  describe("buildExerciseProgression()", () => {
+    test("should summarize each workout's working sets, oldest first", () => {
+      const progression = buildExerciseProgression(
+        [
+          set("w2", "2024-02-08T10:00:00Z", "Squat", "squat", 110, 3),
+          set("w2", "2024-02-08T10:00:00Z", "Squat", "squat", 100, 5, {
+            e1rm: 120,
+          }),
+          set("w1", "2024-02-01T10:00:00Z", "Squat", "squat", 60, 10, {
+            setType: "warmup",
+          }),
+          set("w1", "2024-02-01T10:00:00Z", "Squat", "squat", 100, 5),
+        ],
+        indices,
+        [{ id: "squat", title: "Squat" }]
+      );
+
+      expect(progression).toEqual([
+        {
+          exercise: "Squat",
+          points: [
+            {
+              date: new Date("2024-02-01T10:00:00Z"),
+              bestSet: 100,
+              e1rm: 116.67,
+              volume: 500,
+            },
+            {
+              date: new Date("2024-02-08T10:00:00Z"),
+              bestSet: 110,
+              e1rm: 121,
+              volume: 830,
+            },
+          ],
+        },
+      ]);
+    });
+
+    test("should match by template ID before title", () => {
+      const progression = buildExerciseProgression(
+        [
+          set("w1", "2024-02-01T10:00:00Z", "Sentadilla", "squat", 100, 1),
+          set("w2", "2024-02-02T10:00:00Z", "Squat", "", 90, 1),
+          set("w3", "2024-02-03T10:00:00Z", "Squat", "other", 80, 1),
+        ],
+        indices,
+        [
+          { id: "squat", title: "Squat" },
+          { id: "other", title: "Other" },
+        ]
+      );
+
+      expect(progression[0].points.map((point) => point.bestSet)).toEqual([
+        100, 90,
+      ]);
+      expect(progression[1].points.map((point) => point.bestSet)).toEqual([80]);
+    });
+
+    test("should leave out sessions without a weighted set", () => {
+      const progression = buildExerciseProgression(
+        [set("w1", "2024-02-01T10:00:00Z", "Squat", "squat", "", 20)],
+        indices,
+        [{ id: "squat", title: "Squat" }]
+      );
+
+      expect(progression).toEqual([{ exercise: "Squat", points: [] }]);
+    });
+  });
+
+  describe("updateProgressCharts()", () => {
+    const setUpSheets = (workoutRows) => {
+      spreadsheet.insertSheet(WORKOUTS_SHEET_NAME, [
+        WORKOUTS_HEADERS,
+        ...workoutRows,
+      ]);
+      spreadsheet.insertSheet(EXERCISES_SHEET_NAME, EXERCISE_VALUES);
+    };
+
+    test("should do nothing until the Charts sheet exists", async () => {
+      setUpSheets([
+        set("w1", "2024-02-01T10:00:00Z", "Squat", "squat", 100, 5),
+      ]);
+
+      await expect(updateProgressCharts()).resolves.toBe(0);
+      expect(spreadsheet.getSheetByName(CHARTS_SHEET_NAME)).toBeNull();
+    });
+
+    test("should write a block and a chart per exercise", async () => {
+      setUpSheets([
+        set("w2", "2024-02-08T10:00:00Z", "Squat", "squat", 110, 1),
+        set("w2", "2024-02-08T10:00:00Z", "Bench Press", "bench", 80, 1),
+        set("w1", "2024-02-01T10:00:00Z", "Squat", "squat", 100, 1),
+        set("a1", "2024-02-02T10:00:00Z", "Squat", "squat", 200, 1, {
+          athlete: "Sam",
+        }),
+      ]);
+      documentProperties.CHART_SELECTION = JSON.stringify({
+        exercises: ["Squat", "Bench Press"],
+        topN: 5,
+      });
+      const sheet = spreadsheet.insertSheet(CHARTS_SHEET_NAME);
+
+      await expect(updateProgressCharts()).resolves.toBe(2);
+
+      expect(sheet.getDataRange().getValues()).toEqual([
+        SHEET_HEADERS[CHARTS_SHEET_NAME],
+        ["Squat", new Date("2024-02-01T10:00:00Z"), 100, 100, 100],
+        ["Squat", new Date("2024-02-08T10:00:00Z"), 110, 110, 110],
+        ["Bench Press", new Date("2024-02-08T10:00:00Z"), 80, 80, 80],
+      ]);
+
+      const charts = sheet.getCharts();
+      expect(
+        charts.map((chart) => [
+          chart.getOptions().get("title"),
+          chart.getRanges()[0].getA1Notation(),
+          chart.position.anchorRowPos,
+          chart.position.anchorColPos,
+        ])
+      ).toEqual([
+        ["Squat", "B2:E3", 1, 7],
+        ["Bench Press", "B4:E4", 17, 7],
+      ]);
+      expect(charts[0].chartType).toBe("LINE");
+      expect(charts[0].getOptions().get("series")[2]).toEqual({
+        labelInLegend: "Volume (kg)",
+        targetAxisIndex: 1,
+      });
+      expect(ImportProgressTracker.markOperationComplete).toHaveBeenCalledWith(
+        "updateProgressCharts"
+      );
+    });
+
+    test("should move the existing charts to their new blocks", async () => {
+      setUpSheets([
+        set("w1", "2024-02-01T10:00:00Z", "Squat", "squat", 100, 1),
+        set("w1", "2024-02-01T10:00:00Z", "Bench Press", "bench", 80, 1),
+      ]);
+      documentProperties.CHART_SELECTION = JSON.stringify({
+        exercises: ["Squat", "Bench Press"],
+        topN: 5,
+      });
+      const sheet = spreadsheet.insertSheet(CHARTS_SHEET_NAME);
+      await updateProgressCharts();
+      const chartIds = sheet.getCharts().map((chart) => chart.getChartId());
+
+      spreadsheet
+        .getSheetByName(WORKOUTS_SHEET_NAME)
+        .appendRow(set("w2", "2024-02-08T10:00:00Z", "Squat", "squat", 110, 1));
+      await updateProgressCharts();
+
+      const charts = sheet.getCharts();
+      expect(charts.map((chart) => chart.getChartId())).toEqual(chartIds);
+      expect(
+        charts.map((chart) => [
+          chart.getOptions().get("title"),
+          chart.getRanges()[0].getA1Notation(),
+        ])
+      ).toEqual([
+        ["Squat", "B2:E3"],
+        ["Bench Press", "B4:E4"],
+      ]);
+    });
+
+    test("should replace the charts and rows when rebuilt", async () => {
+      setUpSheets([
+        set("w1", "2024-02-01T10:00:00Z", "Squat", "squat", 100, 5),
+        set("w1", "2024-02-01T10:00:00Z", "Bench Press", "bench", 80, 5),
+        set("w1", "2024-02-01T10:00:00Z", "Barbell Row", "row", 70, 5),
+      ]);
+      const sheet = spreadsheet.insertSheet(CHARTS_SHEET_NAME);
+
+      await updateProgressCharts();
+      documentProperties.CHART_SELECTION = JSON.stringify({
+        exercises: [],
+        topN: 1,
+      });
+      await updateProgressCharts();
+
+      expect(sheet.getCharts()).toHaveLength(1);
+      expect(sheet.getLastRow()).toBe(2);
+      expect(sheet.getRange("A2").getValue()).toBe("Squat");
+    });
+
+    test("should defer the rebuild when the import is out of time", async () => {
+      setUpSheets([]);
+      spreadsheet.insertSheet(CHARTS_SHEET_NAME);
+
+      await expect(updateProgressCharts(() => true)).rejects.toThrow(
+        ImportTimeoutError
+      );
+      expect(ImportProgressTracker.markDeferredOperation).toHaveBeenCalledWith(
+        "updateProgressCharts"
+      );
+    });
+  });
+});
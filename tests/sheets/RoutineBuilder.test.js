@@ -0,0 +1,473 @@
+/**
+ * Tests for the Routine Builder set handling - mapping the Weight and Reps
+ * columns to set fields for every exercise type, and back when loading
+ */
+
+const { createMockSheet } = require("../helpers/testHelpers");
+
+const WEIGHT_CONVERSION = { LBS_TO_KG: 0.45359237, STONE_TO_KG: 6.35029 };
+const ROUTINE_BUILDER_CONFIG = { DECIMAL_PLACES: 2 };
+const ROUTINE_BUILDER_CELLS = {
+  EXERCISE_DATA_START: "B8",
+  EXERCISE_DATA_START_ROW: 8,
+};
+const SET_TYPES = ["normal", "warmup", "failure", "dropset"];
+const ROUTINE_SET_COLUMNS = {
+  weight_reps: { weight: "weight_kg", reps: "reps" },
+  reps_only: { weight: null, reps: "reps" },
+  bodyweight_reps: { weight: "weight_kg", reps: "reps" },
+  bodyweight_assisted_reps: { weight: "weight_kg", reps: "reps" },
+  duration: { weight: "duration_seconds", reps: null },
+  weight_duration: { weight: "weight_kg", reps: "duration_seconds" },
+  distance_duration: { weight: "duration_seconds", reps: "distance_meters" },
+  short_distance_weight: { weight: "weight_kg", reps: "distance_meters" },
+};
+
+class ValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ValidationError";
+  }
+}
+
+const getExerciseNameFromTemplateId = (templateId) =>
+  templateId ? `Exercise ${templateId}` : null;
+
+function parseNumber(value, fieldName) {
+  if (value == null || value === "") return null;
+  const n = Number(value);
+  if (isNaN(n)) {
+    throw new ValidationError(`Invalid ${fieldName} value: ${value}`);
+  }
+  return n;
+}
+
+function formatRepRange(repRange) {
+  if (!repRange || typeof repRange !== "object") return "";
+  const start = repRange.start;
+  const end = repRange.end;
+  if (start == null || end == null) return "";
+  if (start === end) return String(start);
+  return `${start}-${end}`;
+}
+
+function getRepsValue(set) {
+  if (!set) return null;
+
+  // Prioritize rep_range if it exists
+  if (set.rep_range && typeof set.rep_range === "object") {
+    const formatted = formatRepRange(set.rep_range);
+    if (formatted) return formatted;
+  }
+
+  // Fall back to reps if rep_range is not available
+  if (set.reps != null) {
+    return set.reps;
+  }
+
+  return null;
+}
+
+function parseRepRange(repsValue) {
+  if (repsValue == null || repsValue === "") {
+    return { reps: null, rep_range: null };
+  }
+
+  // Convert to string for parsing
+  const strValue = String(repsValue).trim();
+
+  // Check if it contains a hyphen (rep range format)
+  if (strValue.includes("-")) {
+    const parts = strValue.split("-");
+    if (parts.length !== 2) {
+      throw new ValidationError(
+        `Invalid rep range format: "${repsValue}". Expected format: "8-12"`
+      );
+    }
+
+    const start = parseNumber(parts[0].trim(), "rep range start");
+    const end = parseNumber(parts[1].trim(), "rep range end");
+
+    if (start === null || end === null) {
+      throw new ValidationError(
+        `Invalid rep range values: "${repsValue}". Both start and end must be numbers.`
+      );
+    }
+
+    if (start > end) {
+      throw new ValidationError(
+        `Invalid rep range: start (${start}) cannot be greater than end (${end})`
+      );
+    }
+
+    // If start equals end, return as single reps value
+    if (start === end) {
+      return { reps: start, rep_range: null };
+    }
+
+    return { reps: null, rep_range: { start: start, end: end } };
+  }
+
+  // Single number format
+  const reps = parseNumber(repsValue, "reps");
+  return { reps: reps, rep_range: null };
+}
+
+function getRoutineSetColumns(templateType) {
+  const normalizedType = String(templateType ?? "")
+    .trim()
+    .toLowerCase();
+  return ROUTINE_SET_COLUMNS[normalizedType] ?? ROUTINE_SET_COLUMNS.weight_reps;
+}
+
+function createSet(
+  setType,
+  weight,
+  reps,
+  repRange,
+  templateType,
+  conversionFactor = 1
+) {
+  const columns = getRoutineSetColumns(templateType);
+  const set = {
+    type:
+      String(setType ?? "")
+        .trim()
+        .toLowerCase() || "normal",
+  };
+
+  if (columns.weight && weight != null) {
+    set[columns.weight] =
+      columns.weight === "weight_kg" ? weight * conversionFactor : weight;
+  }
+
+  if (isValidRepRange(repRange)) {
+    if (columns.reps !== "reps") {
+      throw new ValidationError(
+        `Rep ranges are only supported for rep-based exercises, not ${templateType}`
+      );
+    }
+    set.rep_range = { start: repRange.start, end: repRange.end };
+  } else if (columns.reps && reps != null) {
+    set[columns.reps] = reps;
+  }
+
+  return set;
+}
+
+function isValidRepRange(repRange) {
+  return (
+    repRange != null &&
+    typeof repRange === "object" &&
+    repRange.start != null &&
+    repRange.end != null
+  );
+}
+
+function inferTemplateTypeFromSet(set) {
+  const hasWeight = set.weight_kg != null;
+  const hasDistance = set.distance_meters != null;
+  const hasDuration = set.duration_seconds != null;
+
+  if (hasDistance) {
+    return hasWeight ? "short_distance_weight" : "distance_duration";
+  }
+  if (hasDuration) {
+    return hasWeight ? "weight_duration" : "duration";
+  }
+  return "weight_reps";
+}
+
+function convertRoutineExerciseToSheetRows(
+  exercise,
+  weightUnit,
+  templateType = null
+) {
+  const rows = [];
+  const templateId = exercise.exercise_template_id ?? "";
+  const exerciseName =
+    getExerciseNameFromTemplateId(templateId) ??
+    exercise.title ??
+    "Unknown Exercise";
+
+  const displayName =
+    exerciseName === "Unknown Exercise" && templateId
+      ? templateId
+      : exerciseName;
+
+  const conversionFactors = {
+    lbs: 1 / WEIGHT_CONVERSION.LBS_TO_KG,
+    stone: 1 / WEIGHT_CONVERSION.STONE_TO_KG,
+    kg: 1,
+  };
+  const conversionFactor = conversionFactors[weightUnit] ?? 1;
+
+  const restSeconds = exercise.rest_seconds ?? "";
+  const notes = exercise.notes?.trim() || "";
+  const supersetId = exercise.superset_id ?? "";
+
+  if (!exercise.sets?.length) {
+    rows.push([displayName, restSeconds, "", "", "", notes, supersetId]);
+    return rows;
+  }
+
+  const decimalPlaces = ROUTINE_BUILDER_CONFIG.DECIMAL_PLACES;
+  const toColumnValue = (set, field) => {
+    if (field === "reps") {
+      return getRepsValue(set);
+    }
+    const value = field ? set[field] : null;
+    if (value == null || field !== "weight_kg") {
+      return value ?? null;
+    }
+    return (
+      Math.round(value * conversionFactor * Math.pow(10, decimalPlaces)) /
+      Math.pow(10, decimalPlaces)
+    );
+  };
+
+  exercise.sets.forEach((set, index) => {
+    const columns = getRoutineSetColumns(
+      templateType ?? inferTemplateTypeFromSet(set)
+    );
+    const weight = toColumnValue(set, columns.weight);
+    const reps = toColumnValue(set, columns.reps);
+    const isFirstSet = index === 0;
+
+    rows.push([
+      isFirstSet ? displayName : "",
+      isFirstSet ? restSeconds : "",
+      set.type ?? "normal",
+      weight ?? "",
+      reps ?? "",
+      isFirstSet ? notes : "",
+      isFirstSet ? supersetId : "",
+    ]);
+  });
+
+  return rows;
+}
+
+function readRoutineBuilderRows(sheet) {
+  return sheet
+    .getRange(
+      `${ROUTINE_BUILDER_CELLS.EXERCISE_DATA_START}:I${sheet.getLastRow()}`
+    )
+    .getValues()
+    .map((values, index) => ({
+      rowNumber: ROUTINE_BUILDER_CELLS.EXERCISE_DATA_START_ROW + index,
+      values,
+    }))
+    .filter(({ values }) => values[2] || values[0] || values[7]);
+}
+
+function findSetTypeErrors(exerciseRows) {
+  return exerciseRows.flatMap(({ rowNumber, values }) => {
+    const setType = String(values[2] ?? "").trim();
+    if (!setType) {
+      return [`Row ${rowNumber}: set type is required`];
+    }
+    if (!SET_TYPES.includes(setType.toLowerCase())) {
+      return [`Row ${rowNumber}: "${setType}" is not a valid set type`];
+    }
+    return [];
+  });
+}
+
+/**
+ * Builds a set from a sheet row the way processExercises does
+ */
+const setFromRow = (setType, weight, reps, templateType, factor = 1) => {
+  const parsedReps = parseRepRange(reps);
+  return createSet(
+    setType,
+    parseNumber(weight, "weight"),
+    parsedReps.reps,
+    parsedReps.rep_range,
+    templateType,
+    factor
+  );
+};
+
+describe("Routine Builder sets", () => {
+  describe("createSet()", () => {
+    test.each([
+      ["weight_reps", 100, 5, { type: "normal", weight_kg: 100, reps: 5 }],
+      ["reps_only", 10, 12, { type: "normal", reps: 12 }],
+      ["bodyweight_reps", 10, 12, { type: "normal", weight_kg: 10, reps: 12 }],
+      [
+        "bodyweight_assisted_reps",
+        20,
+        8,
+        { type: "normal", weight_kg: 20, reps: 8 },
+      ],
+      ["duration", 60, "", { type: "normal", duration_seconds: 60 }],
+      [
+        "weight_duration",
+        24,
+        45,
+        { type: "normal", weight_kg: 24, duration_seconds: 45 },
+      ],
+      [
+        "distance_duration",
+        600,
+        2000,
+        { type: "normal", duration_seconds: 600, distance_meters: 2000 },
+      ],
+      [
+        "short_distance_weight",
+        40,
+        20,
+        { type: "normal", weight_kg: 40, distance_meters: 20 },
+      ],
+    ])("should map columns for %s", (templateType, weight, reps, expected) => {
+      expect(setFromRow("normal", weight, reps, templateType)).toEqual(
+        expected
+      );
+    });
+
+    test("should only convert weights to kg", () => {
+      expect(setFromRow("normal", 100, 5, "weight_reps", 0.5)).toEqual({
+        type: "normal",
+        weight_kg: 50,
+        reps: 5,
+      });
+      expect(setFromRow("normal", 60, 20, "distance_duration", 0.5)).toEqual({
+        type: "normal",
+        duration_seconds: 60,
+        distance_meters: 20,
+      });
+    });
+
+    test("should keep per-set rep ranges", () => {
+      expect(setFromRow("warmup", 60, "8-12", "weight_reps")).toEqual({
+        type: "warmup",
+        weight_kg: 60,
+        rep_range: { start: 8, end: 12 },
+      });
+    });
+
+    test("should reject rep ranges for duration and distance columns", () => {
+      expect(() =>
+        setFromRow("normal", 20, "30-45", "weight_duration")
+      ).toThrow(ValidationError);
+    });
+
+    test("should normalize set types and default to normal", () => {
+      expect(setFromRow(" Failure ", 100, 5, "weight_reps").type).toBe(
+        "failure"
+      );
+      expect(setFromRow("", 100, 5, "weight_reps").type).toBe("normal");
+    });
+
+    test("should treat unknown exercise types as weight and reps", () => {
+      expect(setFromRow("normal", 100, 5, undefined)).toEqual({
+        type: "normal",
+        weight_kg: 100,
+        reps: 5,
+      });
+    });
+  });
+
+  describe("convertRoutineExerciseToSheetRows()", () => {
+    const toSheetRow = (set, templateType, weightUnit = "kg") =>
+      convertRoutineExerciseToSheetRows(
+        { exercise_template_id: "T1", sets: [set] },
+        weightUnit,
+        templateType
+      )[0];
+
+    test.each(Object.keys(ROUTINE_SET_COLUMNS))(
+      "should round-trip %s sets",
+      (templateType) => {
+        const original = setFromRow("dropset", 30, 40, templateType);
+        const row = toSheetRow(original, templateType);
+
+        expect(setFromRow(row[2], row[3], row[4], templateType)).toEqual(
+          original
+        );
+      }
+    );
+
+    test("should round-trip rep ranges and converted weights", () => {
+      const factor = WEIGHT_CONVERSION.LBS_TO_KG;
+      const original = setFromRow("normal", 135, "6-8", "weight_reps", factor);
+      const row = toSheetRow(original, "weight_reps", "lbs");
+
+      expect(row.slice(2, 5)).toEqual(["normal", 135, "6-8"]);
+    });
+
+    test("should keep weight and duration in separate columns", () => {
+      const row = toSheetRow(
+        { type: "normal", weight_kg: 24, duration_seconds: 45 },
+        "weight_duration"
+      );
+
+      expect(row.slice(3, 5)).toEqual([24, 45]);
+    });
+
+    test("should infer the layout when the exercise type is unknown", () => {
+      const row = toSheetRow(
+        { type: "normal", duration_seconds: 600, distance_meters: 2000 },
+        null
+      );
+
+      expect(row.slice(3, 5)).toEqual([600, 2000]);
+    });
+
+    test("should only fill exercise details on the first set", () => {
+      const rows = convertRoutineExerciseToSheetRows(
+        {
+          exercise_template_id: "T1",
+          rest_seconds: 90,
+          notes: " Slow ",
+          superset_id: 1,
+          sets: [
+            { type: "normal", weight_kg: 50, reps: 5 },
+            { type: "normal", weight_kg: 55, reps: 5 },
+          ],
+        },
+        "kg",
+        "weight_reps"
+      );
+
+      expect(rows).toEqual([
+        ["Exercise T1", 90, "normal", 50, 5, "Slow", 1],
+        ["", "", "normal", 55, 5, "", ""],
+      ]);
+    });
+  });
+
+  describe("readRoutineBuilderRows()", () => {
+    test("should keep sheet row numbers for non-empty rows", () => {
+      const sheet = createMockSheet({
+        getRange: jest.fn(() => ({
+          getValues: () => [
+            ["Squat", 90, "normal", 100, 5, "", "", "SQ"],
+            ["", "", "", "", "", "", "", ""],
+            ["", "", "warmup", 60, 5, "", "", ""],
+          ],
+        })),
+      });
+
+      expect(
+        readRoutineBuilderRows(sheet).map(({ rowNumber }) => rowNumber)
+      ).toEqual([8, 10]);
+    });
+  });
+
+  describe("findSetTypeErrors()", () => {
+    test("should report missing and invalid set types by row", () => {
+      const errors = findSetTypeErrors([
+        { rowNumber: 8, values: ["Squat", "", "Normal"] },
+        { rowNumber: 9, values: ["", "", ""] },
+        { rowNumber: 10, values: ["", "", "superset"] },
+      ]);
+
+      expect(errors).toEqual([
+        "Row 9: set type is required",
+        'Row 10: "superset" is not a valid set type',
+      ]);
+    });
+  });
+});
@@ -73,6 +73,38 @@ function processFolderData(folders) {
   ]);
 }
 
+function diffRoutineFolders(existingValues, folders) {
+  const existingRows = new Map();
+  existingValues.slice(1).forEach((row) => {
+    if (row[0] !== "") {
+      existingRows.set(String(row[0]), row);
+    }
+  });
+
+  const toSeconds = (value) => Math.floor(new Date(value).getTime() / 1000);
+  const changes = { added: [], updated: [], deleted: [] };
+  folders.forEach((folder) => {
+    const id = String(folder.id);
+    const row = existingRows.get(id);
+    existingRows.delete(id);
+
+    if (!row) {
+      changes.added.push({ id, title: folder.title });
+    } else if (
+      String(row[1]) !== folder.title ||
+      Number(row[4]) !== folder.index ||
+      toSeconds(row[2]) !== toSeconds(folder.updated_at)
+    ) {
+      changes.updated.push({ id, title: folder.title });
+    }
+  });
+
+  existingRows.forEach((row, id) => {
+    changes.deleted.push({ id, title: String(row[1]) });
+  });
+  return changes;
+}
+
 describe("RoutineFolders", () => {
   beforeEach(() => {
     jest.clearAllMocks();
@@ -117,4 +149,45 @@ describe("RoutineFolders", () => {
       expect(result[0][4]).toBe(0);
     });
   });
+
+  describe("diffRoutineFolders()", () => {
+    const existing = [
+      ["ID", "Name", "Last Updated", "Created At", "Index"],
+      [1, "Push", new Date("2024-01-01T10:00:00Z"), new Date(), 0],
+      [2, "Pull", new Date("2024-01-01T10:00:00Z"), new Date(), 1],
+      [3, "Legs", new Date("2024-01-01T10:00:00Z"), new Date(), 2],
+    ];
+
+    test("should list added, renamed and removed folders", () => {
+      const folders = [
+        createMockRoutineFolder({
+          id: 1,
+          title: "Push",
+          updated_at: "2024-01-01T10:00:00.400Z",
+          index: 0,
+        }),
+        createMockRoutineFolder({
+          id: 2,
+          title: "Pull Day",
+          updated_at: "2024-02-01T10:00:00Z",
+          index: 1,
+        }),
+        createMockRoutineFolder({ id: 4, title: "Arms", index: 2 }),
+      ];
+
+      expect(diffRoutineFolders(existing, folders)).toEqual({
+        added: [{ id: "4", title: "Arms" }],
+        updated: [{ id: "2", title: "Pull Day" }],
+        deleted: [{ id: "3", title: "Legs" }],
+      });
+    });
+
+    test("should treat every folder as added for an empty sheet", () => {
+      const folders = [createMockRoutineFolder({ id: 1, title: "Push" })];
+
+      expect(diffRoutineFolders([], folders).added).toEqual([
+        { id: "1", title: "Push" },
+      ]);
+    });
+  });
 });
@@ -80,7 +80,7 @@ global.normalizeNumber = jest.fn((num) => num || "");
 global.syncLocalizedExerciseNames = jest.fn();
 
 // Simplified routine processing function
-function processRoutine(routine) {
+function processRoutine(routine, athlete = "") {
   if (!routine.exercises || routine.exercises.length === 0) {
     return [
       [
@@ -94,6 +94,7 @@ function processRoutine(routine) {
         "",
         "",
         "",
+        athlete,
       ],
     ];
   }
@@ -110,10 +111,96 @@ function processRoutine(routine) {
       normalizeWeight(set.weight_kg),
       normalizeNumber(set.reps ?? set.distance_meters),
       normalizeNumber(set.duration_seconds),
+      athlete,
     ])
   );
 }
 
+const SHEET_HEADERS = {
+  [ROUTINES_SHEET_NAME]: [
+    "ID",
+    "Title",
+    "Folder ID",
+    "Last Updated",
+    "Created At",
+    "Exercise",
+    "Set Type",
+    "Weight (kg)",
+    "Reps / Distance (m)",
+    "Duration (s)",
+    "Athlete",
+  ],
+};
+
+const ATHLETE_CONFIG = { HEADER: "Athlete" };
+
+function mergeRoutineRows(existingValues, routines, athlete = "") {
+  const headers = existingValues[0] ?? SHEET_HEADERS[ROUTINES_SHEET_NAME];
+  const idIndex = headers.indexOf("ID");
+  const titleIndex = headers.indexOf("Title");
+  const updatedIndex = headers.indexOf("Last Updated");
+  const athleteIndex = headers.indexOf(ATHLETE_CONFIG.HEADER);
+
+  const existingRows = new Map();
+  const otherRows = [];
+  let insertAt = -1;
+  existingValues.slice(1).forEach((row) => {
+    const id = String(row[idIndex] ?? "");
+    if (!id) {
+      return;
+    }
+    const rowAthlete =
+      athleteIndex === -1 ? "" : String(row[athleteIndex] ?? "");
+    if (rowAthlete !== athlete) {
+      otherRows.push(row);
+      return;
+    }
+    if (insertAt === -1) {
+      insertAt = otherRows.length;
+    }
+    if (!existingRows.has(id)) {
+      existingRows.set(id, []);
+    }
+    existingRows.get(id).push(row);
+  });
+
+  const changes = { added: [], updated: [], deleted: [] };
+  const mergedRows = routines.flatMap((routine) => {
+    const id = String(routine.id);
+    const current = existingRows.get(id);
+    existingRows.delete(id);
+
+    if (!current) {
+      changes.added.push({ id, title: routine.title });
+      return processRoutine(routine, athlete);
+    }
+
+    // Compare whole seconds; sheet date serials can drift by a millisecond
+    const toSeconds = (value) => Math.floor(new Date(value).getTime() / 1000);
+    if (toSeconds(current[0][updatedIndex]) === toSeconds(routine.updated_at)) {
+      return current;
+    }
+
+    changes.updated.push({ id, title: routine.title });
+    return processRoutine(routine, athlete);
+  });
+
+  existingRows.forEach((current, id) => {
+    changes.deleted.push({ id, title: String(current[0][titleIndex] ?? "") });
+  });
+
+  const rows = [...otherRows];
+  rows.splice(insertAt === -1 ? rows.length : insertAt, 0, ...mergedRows);
+
+  return {
+    rows,
+    added: changes.added.length,
+    updated: changes.updated.length,
+    deleted: changes.deleted.length,
+    changes,
+  };
+}
+
 describe("Routines", () => {
   beforeEach(() => {
     jest.clearAllMocks();
@@ -191,4 +278,157 @@ describe("Routines", () => {
       expect(result[1][5]).toBe("Squat");
     });
   });
+
+  describe("mergeRoutineRows()", () => {
+    const headers = SHEET_HEADERS[ROUTINES_SHEET_NAME];
+    const sheetRows = (routine, updatedAt = routine.updated_at) =>
+      processRoutine({ ...routine, updated_at: new Date(updatedAt) });
+
+    const unchanged = createMockRoutine({ id: "r1", title: "Push" });
+    const edited = createMockRoutine({
+      id: "r2",
+      title: "Pull",
+      updated_at: "2024-02-01T10:00:00Z",
+    });
+    const removed = createMockRoutine({ id: "r3", title: "Legs" });
+
+    const existing = () => [
+      headers,
+      ...sheetRows(unchanged),
+      ...sheetRows({ ...edited, title: "Old Pull" }, "2024-01-01T10:00:00Z"),
+      ...sheetRows(removed),
+    ];
+
+    test("should add, update and delete routines by ID", () => {
+      const added = createMockRoutine({ id: "r4", title: "Arms" });
+
+      const result = mergeRoutineRows(existing(), [unchanged, edited, added]);
+
+      expect(result).toMatchObject({ added: 1, updated: 1, deleted: 1 });
+      expect(result.rows.map((row) => row[1])).toEqual([
+        "Push",
+        "Pull",
+        "Arms",
+      ]);
+    });
+
+    test("should list the changed routines for a preview", () => {
+      const added = createMockRoutine({ id: "r4", title: "Arms" });
+
+      const { changes } = mergeRoutineRows(existing(), [
+        unchanged,
+        edited,
+        added,
+      ]);
+
+      expect(changes).toEqual({
+        added: [{ id: "r4", title: "Arms" }],
+        updated: [{ id: "r2", title: "Pull" }],
+        deleted: [{ id: "r3", title: "Legs" }],
+      });
+    });
+
+    test("should reuse rows of unchanged routines", () => {
+      const values = existing();
+
+      const result = mergeRoutineRows(values, [unchanged]);
+
+      expect(result.rows[0]).toBe(values[1]);
+    });
+
+    test("should ignore millisecond differences in Last Updated", () => {
+      const values = [
+        headers,
+        ...sheetRows(unchanged, "2024-01-01T10:00:00.400Z"),
+      ];
+
+      const result = mergeRoutineRows(values, [unchanged]);
+
+      expect(result).toMatchObject({ added: 0, updated: 0, deleted: 0 });
+    });
+
+    test("should treat every routine as added for an empty sheet", () => {
+      const result = mergeRoutineRows([], [unchanged, edited]);
+
+      expect(result).toMatchObject({ added: 2, updated: 0, deleted: 0 });
+      expect(result.rows).toHaveLength(2);
+    });
+
+    test("should keep every row of a multi-set routine", () => {
+      const routine = createMockRoutine({
+        id: "r5",
+        exercises: [
+          {
+            title: "Bench Press",
+            sets: [
+              { type: "normal", weight_kg: 100, reps: 10 },
+              { type: "normal", weight_kg: 105, reps: 8 },
+            ],
+          },
+        ],
+      });
+      const values = [headers, ...sheetRows(routine)];
+
+      const result = mergeRoutineRows(values, [routine]);
+
+      expect(result.rows).toEqual(values.slice(1));
+      expect(result.deleted).toBe(0);
+    });
+
+    describe("with athletes", () => {
+      const athleteRoutine = createMockRoutine({ id: "a1", title: "Coach A" });
+      const mixed = () => [
+        headers,
+        ...processRoutine(athleteRoutine, "Alex"),
+        ...sheetRows(unchanged),
+        ...processRoutine({ ...athleteRoutine, id: "b1" }, "Blake"),
+      ];
+
+      test("should keep the rows of other accounts", () => {
+        const result = mergeRoutineRows(mixed(), []);
+
+        expect(result).toMatchObject({ added: 0, updated: 0, deleted: 1 });
+        expect(result.rows.map((row) => row[0])).toEqual(["a1", "b1"]);
+      });
+
+      test("should merge an athlete's routines in place of their rows", () => {
+        const added = createMockRoutine({ id: "a2", title: "Coach B" });
+
+        const result = mergeRoutineRows(
+          mixed(),
+          [athleteRoutine, added],
+          "Alex"
+        );
+
+        expect(result).toMatchObject({ added: 1, updated: 0, deleted: 0 });
+        expect(result.rows.map((row) => row[0])).toEqual([
+          "a1",
+          "a2",
+          "r1",
+          "b1",
+        ]);
+        expect(result.rows[1][10]).toBe("Alex");
+      });
+
+      test("should append the routines of a new athlete", () => {
+        const result = mergeRoutineRows(mixed(), [edited], "Casey");
+
+        expect(result.rows.map((row) => row[0])).toEqual([
+          "a1",
+          "r1",
+          "b1",
+          "r2",
+        ]);
+        expect(result.rows[3][10]).toBe("Casey");
+      });
+
+      test("should treat rows of a sheet without an Athlete column as the own account", () => {
+        const values = [headers.slice(0, -1), ...sheetRows(unchanged)];
+
+        const result = mergeRoutineRows(values, [unchanged]);
+
+        expect(result).toMatchObject({ added: 0, updated: 0, deleted: 0 });
+      });
+    });
+  });
 });
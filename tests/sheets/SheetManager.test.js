@@ -6,6 +6,10 @@ const {
   createMockSheet,
   createMockSpreadsheet,
 } = require("../helpers/testHelpers");
+const {
+  MockSpreadsheet,
+  createMockSpreadsheetApp,
+} = require("../__mocks__/google-apps-script/SpreadsheetApp");
 
 // Mock constants
 const SHEET_HEADERS = {
@@ -431,6 +435,85 @@ describe("SheetManager", () => {
     });
   });
 
+  describe("formatSheet() on a simulated sheet", () => {
+    const originalSpreadsheetApp = global.SpreadsheetApp;
+    let spreadsheet;
+
+    beforeEach(() => {
+      spreadsheet = new MockSpreadsheet();
+      global.SpreadsheetApp = createMockSpreadsheetApp(spreadsheet);
+    });
+
+    afterEach(() => {
+      global.SpreadsheetApp = originalSpreadsheetApp;
+    });
+
+    test("should replace mismatched headers and clear stale rows", async () => {
+      const sheet = spreadsheet.insertSheet("Workouts", [
+        ["Old Header"],
+        ["stale"],
+      ]);
+
+      await new SheetManager(sheet, "Workouts").formatSheet();
+
+      expect(sheet.getDataRange().getValues()).toEqual([
+        SHEET_HEADERS.Workouts,
+      ]);
+      expect(sheet.getFrozenRows()).toBe(1);
+      expect(sheet.getRange("A1").getFontWeight()).toBe("bold");
+      expect(sheet.getRange("D1").getBackground()).toBe(
+        SHEET_THEMES.Workouts.evenRowColor
+      );
+    });
+
+    test("should trim the sheet to its data and stripe the rows", async () => {
+      const rows = [
+        ["w1", "Push", "2024-01-01", "2024-01-01"],
+        ["w2", "Pull", "2024-01-02", "2024-01-02"],
+        ["w3", "Legs", "2024-01-03", "2024-01-03"],
+      ];
+      const sheet = spreadsheet.insertSheet("Workouts", [
+        SHEET_HEADERS.Workouts,
+        ...rows,
+      ]);
+
+      await new SheetManager(sheet, "Workouts").formatSheet();
+
+      expect(sheet.getDataRange().getValues()).toEqual([
+        SHEET_HEADERS.Workouts,
+        ...rows,
+      ]);
+      expect(sheet.getMaxRows()).toBe(4);
+      expect(sheet.getMaxColumns()).toBe(4);
+      expect(sheet.getRange("B3").getFormat("fontFamily")).toBe("Arial");
+
+      const rules = sheet.getConditionalFormatRules();
+      expect(
+        rules.map((rule) => [
+          rule.getRanges()[0].getA1Notation(),
+          rule.condition.values[0],
+          rule.format.background,
+        ])
+      ).toEqual([
+        ["A2:D4", "=MOD(ROW(),2)=0", SHEET_THEMES.Workouts.evenRowColor],
+        ["A2:D4", "=MOD(ROW(),2)=1", SHEET_THEMES.Workouts.oddRowColor],
+      ]);
+    });
+
+    test("should replace existing rules when formatted again", async () => {
+      const sheet = spreadsheet.insertSheet("Workouts", [
+        SHEET_HEADERS.Workouts,
+        ["w1", "Push", "2024-01-01", "2024-01-01"],
+      ]);
+      const manager = new SheetManager(sheet, "Workouts");
+
+      await manager.formatSheet();
+      await manager.formatSheet();
+
+      expect(sheet.getConditionalFormatRules()).toHaveLength(2);
+    });
+  });
+
   describe("ensureHeaders()", () => {
     test("should create headers if sheet is empty", async () => {
       mockSheet.getLastRow.mockReturnValue(0);
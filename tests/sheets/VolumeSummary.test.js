@@ -0,0 +1,317 @@
+/**
+ * Tests for VolumeSummary.gs - Weekly and monthly volume aggregation
+ */
+
+// Mock getEnglishName utility
+global.getEnglishName = jest.fn((name) =>
+  name === "Press de Banca" ? "Bench Press" : name
+);
+
+// Simplified functions for testing
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+function getIsoWeekStart(date) {
+  const value = new Date(date);
+  const start = new Date(
+    value.getFullYear(),
+    value.getMonth(),
+    value.getDate()
+  );
+  start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  return start;
+}
+
+function getIsoWeekKey(date) {
+  const thursday = getIsoWeekStart(date);
+  thursday.setDate(thursday.getDate() + 3);
+
+  const isoYear = thursday.getFullYear();
+  const firstThursday = getIsoWeekStart(new Date(isoYear, 0, 4));
+  firstThursday.setDate(firstThursday.getDate() + 3);
+
+  const week = 1 + Math.round((thursday - firstThursday) / MS_PER_DAY / 7);
+  return `${isoYear}-W${String(week).padStart(2, "0")}`;
+}
+
+function getMonthStart(date) {
+  const value = new Date(date);
+  return new Date(value.getFullYear(), value.getMonth(), 1);
+}
+
+function getMonthKey(date) {
+  const value = new Date(date);
+  return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(
+    2,
+    "0"
+  )}`;
+}
+
+function findExerciseMetadata(metadataMap, templateId, title) {
+  const id = String(templateId || "").trim();
+  if (id && metadataMap.byId.has(id)) {
+    return metadataMap.byId.get(id);
+  }
+
+  const name = String(title || "").trim();
+  if (!name) {
+    return null;
+  }
+
+  return (
+    metadataMap.byTitle.get(name.toLowerCase()) ??
+    metadataMap.byTitle.get(getEnglishName(name).toLowerCase()) ??
+    null
+  );
+}
+
+const VOLUME_PERIOD_TYPES = {
+  WEEK: "Week",
+  MONTH: "Month",
+};
+
+const VOLUME_MUSCLE_GROUPS = {
+  ALL: "All",
+  UNKNOWN: "Other",
+};
+
+function aggregateVolume(workoutData, indices, metadataMap) {
+  const totals = new Map();
+
+  const addToBucket = (periodType, period, periodStart, muscle, set) => {
+    const key = `${periodType}|${period}|${muscle}`;
+    if (!totals.has(key)) {
+      totals.set(key, {
+        periodType,
+        period,
+        periodStart,
+        muscle,
+        tonnage: 0,
+        sets: 0,
+        workouts: new Set(),
+      });
+    }
+    const bucket = totals.get(key);
+    bucket.workouts.add(set.workoutId);
+    if (set.hasSet) {
+      bucket.sets += 1;
+      bucket.tonnage += set.tonnage;
+    }
+  };
+
+  workoutData.forEach((row) => {
+    const workoutId = row[indices.id];
+    const startTime = row[indices.startTime];
+    if (!workoutId || !startTime || isNaN(new Date(startTime).getTime())) {
+      return;
+    }
+
+    const exercise = String(row[indices.exercise] || "").trim();
+    const metadata = exercise
+      ? findExerciseMetadata(
+          metadataMap,
+          row[indices.exerciseTemplateId],
+          exercise
+        )
+      : null;
+    const type = metadata?.type ?? "";
+    const weight = Number(row[indices.weight]) || 0;
+    const reps = Number(row[indices.reps]) || 0;
+    const countsTonnage =
+      !type.includes("distance") && !type.includes("duration");
+
+    const set = {
+      workoutId,
+      hasSet: Boolean(exercise),
+      tonnage: countsTonnage ? weight * reps : 0,
+    };
+    const muscles = [VOLUME_MUSCLE_GROUPS.ALL];
+    if (exercise) {
+      muscles.push(
+        metadata?.primaryMuscleGroup || VOLUME_MUSCLE_GROUPS.UNKNOWN
+      );
+    }
+
+    const periods = [
+      [
+        VOLUME_PERIOD_TYPES.WEEK,
+        getIsoWeekKey(startTime),
+        getIsoWeekStart(startTime),
+      ],
+      [
+        VOLUME_PERIOD_TYPES.MONTH,
+        getMonthKey(startTime),
+        getMonthStart(startTime),
+      ],
+    ];
+
+    periods.forEach(([periodType, period, periodStart]) => {
+      muscles.forEach((muscle) =>
+        addToBucket(periodType, period, periodStart, muscle, set)
+      );
+    });
+  });
+
+  return totals;
+}
+
+function volumeTotalsToRows(totals) {
+  const periodOrder = [VOLUME_PERIOD_TYPES.WEEK, VOLUME_PERIOD_TYPES.MONTH];
+
+  return Array.from(totals.values())
+    .sort((a, b) => {
+      if (a.periodType !== b.periodType) {
+        return (
+          periodOrder.indexOf(a.periodType) - periodOrder.indexOf(b.periodType)
+        );
+      }
+      if (a.periodStart.getTime() !== b.periodStart.getTime()) {
+        return b.periodStart - a.periodStart;
+      }
+      if (a.muscle === VOLUME_MUSCLE_GROUPS.ALL) return -1;
+      if (b.muscle === VOLUME_MUSCLE_GROUPS.ALL) return 1;
+      return a.muscle.localeCompare(b.muscle);
+    })
+    .map((bucket) => [
+      bucket.periodType,
+      bucket.period,
+      bucket.periodStart,
+      bucket.muscle,
+      Math.round(bucket.tonnage * 100) / 100,
+      bucket.sets,
+      bucket.workouts.size,
+    ]);
+}
+
+const indices = {
+  id: 0,
+  startTime: 1,
+  exercise: 2,
+  exerciseTemplateId: 3,
+  weight: 4,
+  reps: 5,
+};
+
+const metadata = (id, title, type, primaryMuscleGroup) => ({
+  id,
+  title,
+  type,
+  primaryMuscleGroup,
+  secondaryMuscleGroups: [],
+});
+
+const metadataMap = {
+  byId: new Map([
+    ["EX1", metadata("EX1", "Bench Press", "weight_reps", "Chest")],
+    ["EX2", metadata("EX2", "Squat", "weight_reps", "Quadriceps")],
+    ["RUN", metadata("RUN", "Running", "distance_duration", "Cardio")],
+  ]),
+  byTitle: new Map([
+    ["bench press", metadata("EX1", "Bench Press", "weight_reps", "Chest")],
+  ]),
+};
+
+describe("VolumeSummary", () => {
+  describe("findExerciseMetadata()", () => {
+    test("should match by ID, then title, then English title", () => {
+      expect(findExerciseMetadata(metadataMap, "EX2", "Sentadilla").title).toBe(
+        "Squat"
+      );
+      expect(findExerciseMetadata(metadataMap, "", "Bench Press").id).toBe(
+        "EX1"
+      );
+      expect(findExerciseMetadata(metadataMap, "", "Press de Banca").id).toBe(
+        "EX1"
+      );
+      expect(findExerciseMetadata(metadataMap, "", "Unknown")).toBeNull();
+    });
+  });
+
+  describe("aggregateVolume()", () => {
+    const monday = new Date(2024, 0, 1, 9);
+    const wednesday = new Date(2024, 0, 3, 9);
+
+    test("should total tonnage, sets and workouts per week and muscle", () => {
+      const totals = aggregateVolume(
+        [
+          ["w1", monday, "Bench Press", "EX1", 100, 5],
+          ["w1", monday, "Bench Press", "EX1", 100, 5],
+          ["w1", monday, "Squat", "EX2", 150, 3],
+          ["w2", wednesday, "Bench Press", "EX1", 80, 10],
+        ],
+        indices,
+        metadataMap
+      );
+
+      const chest = totals.get("Week|2024-W01|Chest");
+      expect(chest.tonnage).toBe(1800);
+      expect(chest.sets).toBe(3);
+      expect(chest.workouts.size).toBe(2);
+
+      const all = totals.get("Week|2024-W01|All");
+      expect(all.tonnage).toBe(2250);
+      expect(all.sets).toBe(4);
+      expect(all.workouts.size).toBe(2);
+
+      expect(totals.get("Month|2024-01|Quadriceps").tonnage).toBe(450);
+    });
+
+    test("should count distance sets without tonnage", () => {
+      const totals = aggregateVolume(
+        [["w1", monday, "Running", "RUN", "", 5000]],
+        indices,
+        metadataMap
+      );
+
+      expect(totals.get("Week|2024-W01|Cardio").sets).toBe(1);
+      expect(totals.get("Week|2024-W01|Cardio").tonnage).toBe(0);
+    });
+
+    test("should group unmatched exercises under Other", () => {
+      const totals = aggregateVolume(
+        [["w1", monday, "Mystery Move", "", 10, 10]],
+        indices,
+        metadataMap
+      );
+
+      expect(totals.get("Week|2024-W01|Other").tonnage).toBe(100);
+    });
+
+    test("should count workouts without exercises in the total only", () => {
+      const totals = aggregateVolume(
+        [["w1", monday, "", "", "", ""]],
+        indices,
+        metadataMap
+      );
+
+      expect(totals.get("Week|2024-W01|All").workouts.size).toBe(1);
+      expect(totals.get("Week|2024-W01|All").sets).toBe(0);
+      expect(totals.size).toBe(2);
+    });
+  });
+
+  describe("volumeTotalsToRows()", () => {
+    test("should sort weeks before months, newest first, All first", () => {
+      const totals = aggregateVolume(
+        [
+          ["w1", new Date(2024, 0, 1), "Squat", "EX2", 100, 5],
+          ["w2", new Date(2024, 0, 8), "Bench Press", "EX1", 100, 5],
+        ],
+        indices,
+        metadataMap
+      );
+
+      const rows = volumeTotalsToRows(totals);
+
+      expect(rows.map((row) => `${row[0]} ${row[1]} ${row[3]}`)).toEqual([
+        "Week 2024-W02 All",
+        "Week 2024-W02 Chest",
+        "Week 2024-W01 All",
+        "Week 2024-W01 Quadriceps",
+        "Month 2024-01 All",
+        "Month 2024-01 Chest",
+        "Month 2024-01 Quadriceps",
+      ]);
+      expect(rows[0].slice(4)).toEqual([500, 1, 1]);
+    });
+  });
+});
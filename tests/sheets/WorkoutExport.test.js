@@ -0,0 +1,542 @@
+/**
+ * Tests for WorkoutExport.gs - Exporting workouts to Strong CSV and Hevy JSON
+ */
+
+const { createMockSheet } = require("../helpers/testHelpers");
+
+const WORKOUTS_SHEET_NAME = "Workouts";
+const WEIGHT_CONVERSION = { LBS_TO_KG: 0.45359237, STONE_TO_KG: 6.35029 };
+const WORKOUT_EXPORT_FORMATS = { STRONG_CSV: "strongCsv", JSON: "json" };
+const STRONG_CSV_HEADERS = [
+  "Date",
+  "Workout Name",
+  "Duration",
+  "Exercise Name",
+  "Set Order",
+  "Weight",
+  "Reps",
+  "Distance",
+  "Seconds",
+  "Notes",
+  "Workout Notes",
+  "RPE",
+];
+const DISTANCE_EXERCISE_TYPES = ["distance_duration", "short_distance_weight"];
+const HEADERS = [
+  "ID",
+  "Title",
+  "Start Time",
+  "End Time",
+  "Exercise",
+  "Exercise Template ID",
+  "Set Type",
+  "Weight (kg)",
+  "Reps / Distance (m)",
+  "Duration (s)",
+  "RPE",
+  "Est. 1RM (kg)",
+  "Description",
+  "Exercise Notes",
+  "Superset ID",
+  "Set Index",
+];
+
+class ValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ValidationError";
+  }
+}
+
+global.ErrorHandler = { handle: jest.fn((error) => error) };
+global.Utilities = {
+  // Formats in local time, which is what the spreadsheet time zone resolves to here
+  formatDate: jest.fn((date, timeZone, pattern) => {
+    const pad = (n) => String(n).padStart(2, "0");
+    const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+      date.getDate()
+    )}`;
+    return pattern === "yyyy-MM-dd"
+      ? day
+      : `${day} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(
+          date.getSeconds()
+        )}`;
+  }),
+};
+
+const METADATA = {
+  BENCH: { id: "BENCH", type: "weight_reps" },
+  ROW: { id: "ROW", type: "distance_duration" },
+};
+const buildExerciseMetadataMap = () => ({});
+const findExerciseMetadata = (map, templateId) => METADATA[templateId] ?? null;
+
+function getWorkoutColumnIndices(headers) {
+  return {
+    id: headers.indexOf("ID"),
+    title: headers.indexOf("Title"),
+    startTime: headers.indexOf("Start Time"),
+    endTime: headers.indexOf("End Time"),
+    exercise: headers.indexOf("Exercise"),
+    exerciseTemplateId: headers.indexOf("Exercise Template ID"),
+    setType: headers.indexOf("Set Type"),
+    weight: headers.indexOf("Weight (kg)"),
+    reps: headers.indexOf("Reps / Distance (m)"),
+    duration: headers.indexOf("Duration (s)"),
+    rpe: headers.indexOf("RPE"),
+    e1rm: headers.indexOf("Est. 1RM (kg)"),
+    description: headers.indexOf("Description"),
+    exerciseNotes: headers.indexOf("Exercise Notes"),
+    supersetId: headers.indexOf("Superset ID"),
+    setIndex: headers.indexOf("Set Index"),
+  };
+}
+
+let mockSheet = null;
+const getActiveSpreadsheet = () => ({
+  getSheetByName: () => mockSheet,
+  getSpreadsheetTimeZone: () => "Europe/Zurich",
+});
+
+function readWorkoutsFromSheet(from = null, to = null) {
+  const sheet = getActiveSpreadsheet().getSheetByName(WORKOUTS_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() <= 1) {
+    return [];
+  }
+
+  const data = sheet.getDataRange().getValues();
+  const indices = getWorkoutColumnIndices(data.shift());
+  const metadataMap = buildExerciseMetadataMap();
+  const workouts = new Map();
+
+  data.forEach((row) => {
+    const id = row[indices.id];
+    const startTime = new Date(row[indices.startTime]);
+    if (
+      !id ||
+      isNaN(startTime.getTime()) ||
+      (from && startTime < from) ||
+      (to && startTime >= to)
+    ) {
+      return;
+    }
+
+    if (!workouts.has(id)) {
+      workouts.set(id, {
+        id,
+        title: row[indices.title],
+        description: row[indices.description] || null,
+        start_time: startTime.toISOString(),
+        end_time: _toExportIsoString(row[indices.endTime]),
+        exercises: [],
+      });
+    }
+
+    const title = row[indices.exercise];
+    if (!title) {
+      return;
+    }
+
+    const workout = workouts.get(id);
+    const templateId = row[indices.exerciseTemplateId] || null;
+    const setIndex = _toExportNumber(row[indices.setIndex]);
+    let exercise = workout.exercises[workout.exercises.length - 1];
+    const lastSet = exercise?.sets[exercise.sets.length - 1];
+
+    if (
+      !exercise ||
+      exercise.title !== title ||
+      exercise.exercise_template_id !== templateId ||
+      (setIndex !== null && lastSet && setIndex <= lastSet.index)
+    ) {
+      exercise = {
+        index: workout.exercises.length,
+        title,
+        notes: row[indices.exerciseNotes] || null,
+        exercise_template_id: templateId,
+        superset_id: _toExportNumber(row[indices.supersetId]),
+        sets: [],
+      };
+      workout.exercises.push(exercise);
+    }
+
+    const metadata = findExerciseMetadata(metadataMap, templateId, title);
+    const isDistance = DISTANCE_EXERCISE_TYPES.includes(metadata?.type);
+    const repsOrDistance = _toExportNumber(row[indices.reps]);
+
+    exercise.sets.push({
+      index: setIndex ?? exercise.sets.length,
+      type: row[indices.setType] || "normal",
+      weight_kg: _toExportNumber(row[indices.weight]),
+      reps: isDistance ? null : repsOrDistance,
+      distance_meters: isDistance ? repsOrDistance : null,
+      duration_seconds: _toExportNumber(row[indices.duration]),
+      rpe: _toExportNumber(row[indices.rpe]),
+    });
+  });
+
+  return Array.from(workouts.values()).sort((a, b) =>
+    a.start_time.localeCompare(b.start_time)
+  );
+}
+
+function buildStrongCsv(workouts, weightUnit, timeZone) {
+  const isImperial = weightUnit === "lbs";
+  const weightFactor = isImperial ? 1 / WEIGHT_CONVERSION.LBS_TO_KG : 1;
+  const distanceFactor = isImperial ? 1 / 1609.344 : 1 / 1000;
+  const setOrders = { warmup: "W", dropset: "D", failure: "F" };
+  const round = (value, factor, decimals) =>
+    value == null ? "" : Number((value * factor).toFixed(decimals));
+
+  const lines = [STRONG_CSV_HEADERS];
+
+  workouts.forEach((workout) => {
+    const start = new Date(workout.start_time);
+    const date = Utilities.formatDate(start, timeZone, "yyyy-MM-dd HH:mm:ss");
+    const duration = workout.end_time
+      ? formatStrongDuration((new Date(workout.end_time) - start) / 1000)
+      : "";
+
+    workout.exercises.forEach((exercise) => {
+      let workingSet = 0;
+      exercise.sets.forEach((set) => {
+        lines.push([
+          date,
+          workout.title,
+          duration,
+          exercise.title,
+          setOrders[set.type] ?? ++workingSet,
+          round(set.weight_kg, weightFactor, 2),
+          set.reps ?? "",
+          round(set.distance_meters, distanceFactor, 3),
+          set.duration_seconds ?? "",
+          exercise.notes ?? "",
+          workout.description ?? "",
+          set.rpe ?? "",
+        ]);
+      });
+    });
+  });
+
+  return lines.map((line) => line.map(_escapeCsvValue).join(",")).join("\n");
+}
+
+function formatStrongDuration(seconds) {
+  const totalMinutes = Math.max(0, Math.round(seconds / 60));
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  if (hours === 0) {
+    return `${minutes}m`;
+  }
+  return minutes === 0 ? `${hours}h` : `${hours}h ${minutes}m`;
+}
+
+function _escapeCsvValue(value) {
+  const text = String(value ?? "");
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function _toExportNumber(value) {
+  if (value === "" || value == null) {
+    return null;
+  }
+  const number = Number(value);
+  return isNaN(number) ? null : number;
+}
+
+function _toExportIsoString(value) {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date.getTime()) ? date.toISOString() : null;
+}
+
+function parseIsoDay(value) {
+  const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const day = match
+    ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]))
+    : null;
+  if (
+    !day ||
+    day.getMonth() !== Number(match[2]) - 1 ||
+    day.getDate() !== Number(match[3])
+  ) {
+    throw new ValidationError(`Invalid date: ${value}`);
+  }
+  return day;
+}
+
+function exportWorkouts(format, options = {}) {
+  try {
+    const { fromDate, toDate, weightUnit = "kg" } = options;
+    const from = fromDate ? parseIsoDay(fromDate) : null;
+    const to = toDate ? parseIsoDay(toDate) : null;
+    if (to) {
+      to.setDate(to.getDate() + 1);
+    }
+
+    const workouts = readWorkoutsFromSheet(from, to);
+    if (workouts.length === 0) {
+      throw new ValidationError("No workouts found for the selected dates.");
+    }
+
+    const timeZone = getActiveSpreadsheet().getSpreadsheetTimeZone();
+    const stamp = Utilities.formatDate(new Date(), timeZone, "yyyy-MM-dd");
+
+    if (format === WORKOUT_EXPORT_FORMATS.JSON) {
+      return {
+        filename: `hevy-workouts-${stamp}.json`,
+        mimeType: "application/json",
+        content: JSON.stringify(
+          {
+            exported_at: new Date().toISOString(),
+            weight_unit: "kg",
+            distance_unit: "m",
+            workout_count: workouts.length,
+            workouts,
+          },
+          null,
+          2
+        ),
+        workoutCount: workouts.length,
+      };
+    }
+
+    return {
+      filename: `hevy-workouts-strong-${stamp}.csv`,
+      mimeType: "text/csv",
+      content: buildStrongCsv(workouts, weightUnit, timeZone),
+      workoutCount: workouts.length,
+    };
+  } catch (error) {
+    throw ErrorHandler.handle(error, {
+      operation: "Exporting workouts",
+      sheetName: WORKOUTS_SHEET_NAME,
+      format,
+    });
+  }
+}
+
+const start = new Date(2024, 0, 15, 18, 0);
+const end = new Date(2024, 0, 15, 19, 5);
+const older = new Date(2024, 0, 10, 7, 30);
+
+const row = (values) =>
+  HEADERS.map((header) => (header in values ? values[header] : ""));
+const pushRow = (values) =>
+  row({
+    ID: "w2",
+    Title: "Push",
+    "Start Time": start,
+    "End Time": end,
+    Description: "Felt good",
+    ...values,
+  });
+
+// Newest first, as the sheet is stored; bench appears twice to test splitting
+const ROWS = [
+  pushRow({
+    Exercise: "Bench Press",
+    "Exercise Template ID": "BENCH",
+    "Set Type": "warmup",
+    "Weight (kg)": 40,
+    "Reps / Distance (m)": 10,
+    "Exercise Notes": "Paused",
+    "Set Index": 0,
+  }),
+  pushRow({
+    Exercise: "Bench Press",
+    "Exercise Template ID": "BENCH",
+    "Set Type": "normal",
+    "Weight (kg)": 80,
+    "Reps / Distance (m)": 5,
+    RPE: 8,
+    "Exercise Notes": "Paused",
+    "Set Index": 1,
+  }),
+  pushRow({
+    Exercise: "Bench Press",
+    "Exercise Template ID": "BENCH",
+    "Set Type": "normal",
+    "Weight (kg)": 60,
+    "Reps / Distance (m)": 12,
+    "Set Index": 0,
+  }),
+  pushRow({
+    Exercise: "Rowing",
+    "Exercise Template ID": "ROW",
+    "Set Type": "normal",
+    "Reps / Distance (m)": 2000,
+    "Duration (s)": 480,
+    "Set Index": 0,
+  }),
+  row({ ID: "w1", Title: "Rest Day", "Start Time": older, "End Time": older }),
+];
+
+const setSheet = (rows = ROWS) => {
+  mockSheet = createMockSheet({
+    name: WORKOUTS_SHEET_NAME,
+    values: [HEADERS, ...rows.map((row) => [...row])],
+  });
+};
+
+describe("WorkoutExport", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    setSheet();
+  });
+
+  describe("readWorkoutsFromSheet()", () => {
+    test("should regroup rows into workouts, exercises and sets", () => {
+      const workouts = readWorkoutsFromSheet();
+
+      expect(workouts.map((w) => w.id)).toEqual(["w1", "w2"]);
+      expect(workouts[0].exercises).toEqual([]);
+
+      const push = workouts[1];
+      expect(push).toMatchObject({
+        title: "Push",
+        description: "Felt good",
+        start_time: start.toISOString(),
+        end_time: end.toISOString(),
+      });
+      expect(push.exercises.map((ex) => ex.sets.length)).toEqual([2, 1, 1]);
+      expect(push.exercises[0]).toMatchObject({
+        index: 0,
+        title: "Bench Press",
+        exercise_template_id: "BENCH",
+        notes: "Paused",
+        superset_id: null,
+      });
+      expect(push.exercises[0].sets[1]).toEqual({
+        index: 1,
+        type: "normal",
+        weight_kg: 80,
+        reps: 5,
+        distance_meters: null,
+        duration_seconds: null,
+        rpe: 8,
+      });
+    });
+
+    test("should put distance exercises in distance_meters", () => {
+      const rowing = readWorkoutsFromSheet()[1].exercises[2];
+
+      expect(rowing.sets[0]).toMatchObject({
+        weight_kg: null,
+        reps: null,
+        distance_meters: 2000,
+        duration_seconds: 480,
+      });
+    });
+
+    test("should filter by start time", () => {
+      const workouts = readWorkoutsFromSheet(
+        new Date(2024, 0, 11),
+        new Date(2024, 0, 16)
+      );
+
+      expect(workouts.map((w) => w.id)).toEqual(["w2"]);
+    });
+
+    test("should return an empty list when the sheet is missing", () => {
+      mockSheet = null;
+
+      expect(readWorkoutsFromSheet()).toEqual([]);
+    });
+  });
+
+  describe("buildStrongCsv()", () => {
+    test("should write Strong's columns with set order codes", () => {
+      const lines = buildStrongCsv(readWorkoutsFromSheet(), "kg", "UTC").split(
+        "\n"
+      );
+
+      expect(lines[0]).toBe(STRONG_CSV_HEADERS.join(","));
+      expect(lines).toHaveLength(5);
+      expect(lines[1]).toBe(
+        "2024-01-15 18:00:00,Push,1h 5m,Bench Press,W,40,10,,,Paused,Felt good,"
+      );
+      expect(lines[2]).toBe(
+        "2024-01-15 18:00:00,Push,1h 5m,Bench Press,1,80,5,,,Paused,Felt good,8"
+      );
+    });
+
+    test("should convert to pounds and miles", () => {
+      const workouts = [
+        {
+          title: "Run, then lift",
+          description: 'Said "easy"',
+          start_time: start.toISOString(),
+          end_time: end.toISOString(),
+          exercises: [
+            {
+              title: "Run",
+              notes: null,
+              sets: [
+                {
+                  type: "normal",
+                  weight_kg: 100,
+                  reps: null,
+                  distance_meters: 1609.344,
+                  duration_seconds: 600,
+                  rpe: null,
+                },
+              ],
+            },
+          ],
+        },
+      ];
+
+      const line = buildStrongCsv(workouts, "lbs", "UTC").split("\n")[1];
+
+      expect(line).toBe(
+        '2024-01-15 18:00:00,"Run, then lift",1h 5m,Run,1,220.46,,1,600,,"Said ""easy""",'
+      );
+    });
+  });
+
+  describe("formatStrongDuration()", () => {
+    test("should format durations like Strong", () => {
+      expect(formatStrongDuration(45 * 60)).toBe("45m");
+      expect(formatStrongDuration(3600)).toBe("1h");
+      expect(formatStrongDuration(3900)).toBe("1h 5m");
+    });
+  });
+
+  describe("exportWorkouts()", () => {
+    test("should export JSON in the Hevy workout schema", () => {
+      const file = exportWorkouts(WORKOUT_EXPORT_FORMATS.JSON);
+      const json = JSON.parse(file.content);
+
+      expect(file.mimeType).toBe("application/json");
+      expect(file.filename).toMatch(/^hevy-workouts-\d{4}-\d{2}-\d{2}\.json$/);
+      expect(json.weight_unit).toBe("kg");
+      expect(json.workouts).toHaveLength(2);
+      expect(file.workoutCount).toBe(2);
+    });
+
+    test("should include the whole last day of the range", () => {
+      const file = exportWorkouts(WORKOUT_EXPORT_FORMATS.STRONG_CSV, {
+        fromDate: "2024-01-15",
+        toDate: "2024-01-15",
+      });
+
+      expect(file.workoutCount).toBe(1);
+      expect(file.mimeType).toBe("text/csv");
+    });
+
+    test("should reject an empty selection", () => {
+      expect(() =>
+        exportWorkouts(WORKOUT_EXPORT_FORMATS.JSON, { fromDate: "2030-01-01" })
+      ).toThrow("No workouts found for the selected dates.");
+    });
+
+    test("should reject invalid dates", () => {
+      expect(() =>
+        exportWorkouts(WORKOUT_EXPORT_FORMATS.JSON, { fromDate: "15/01/2024" })
+      ).toThrow(ValidationError);
+      expect(() =>
+        exportWorkouts(WORKOUT_EXPORT_FORMATS.JSON, { toDate: "2025-02-31" })
+      ).toThrow(ValidationError);
+    });
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * Tests for workouts/WorkoutIntegrity.gs - Workout sheet drift detection
+ */
+
+const WORKOUT_DRIFT_TYPES = {
+  MISSING: "missing",
+  ORPHANED: "orphaned",
+  DUPLICATED: "duplicated",
+  PARTIAL: "partial",
+};
+
+const CSV_WORKOUT_ID_PREFIXES = {
+  STRONG: "strong-",
+  FITNOTES: "fitnotes-",
+};
+
+function isCsvWorkoutId(workoutId) {
+  return Object.values(CSV_WORKOUT_ID_PREFIXES).some((prefix) =>
+    String(workoutId).startsWith(prefix)
+  );
+}
+
+function _groupContiguousRows(rows) {
+  return rows.reduce((blocks, row) => {
+    const last = blocks[blocks.length - 1];
+    if (last && row === last.start + last.count) {
+      last.count++;
+    } else {
+      blocks.push({ start: row, count: 1 });
+    }
+    return blocks;
+  }, []);
+}
+
+function classifyWorkoutRows(rowNumbers, expectedCount) {
+  if (!rowNumbers || rowNumbers.length === 0) {
+    return WORKOUT_DRIFT_TYPES.MISSING;
+  }
+
+  const isSplit = _groupContiguousRows(rowNumbers).length > 1;
+  const isRepeated =
+    rowNumbers.length > expectedCount &&
+    rowNumbers.length % expectedCount === 0;
+  if (isSplit || isRepeated) {
+    return WORKOUT_DRIFT_TYPES.DUPLICATED;
+  }
+
+  return rowNumbers.length === expectedCount
+    ? null
+    : WORKOUT_DRIFT_TYPES.PARTIAL;
+}
+
+function findWorkoutDrift(sheetRows, apiRowCounts, ignoredIds = new Set()) {
+  const report = { missing: [], orphaned: [], duplicated: [], partial: [] };
+
+  apiRowCounts.forEach((expectedCount, id) => {
+    const type = classifyWorkoutRows(sheetRows.get(id), expectedCount);
+    if (type) {
+      report[type].push(id);
+    }
+  });
+
+  sheetRows.forEach((rows, id) => {
+    if (!apiRowCounts.has(id) && !ignoredIds.has(id) && !isCsvWorkoutId(id)) {
+      report.orphaned.push(id);
+    }
+  });
+
+  return report;
+}
+
+function hasWorkoutDrift(report) {
+  return Object.values(WORKOUT_DRIFT_TYPES).some(
+    (type) => report[type].length > 0
+  );
+}
+
+function formatWorkoutDriftReport(report, apiCount, sheetCount) {
+  const lines = [`Hevy: ${apiCount} workouts. Sheet: ${sheetCount} workouts.`];
+  if (!hasWorkoutDrift(report)) {
+    lines.push("The Workouts sheet matches Hevy.");
+    return lines.join("\n");
+  }
+
+  const labels = {
+    missing: "Missing from the sheet",
+    orphaned: "Deleted in Hevy but still in the sheet",
+    duplicated: "Written more than once",
+    partial: "Partially written",
+  };
+  Object.entries(labels).forEach(([type, label]) => {
+    if (report[type].length > 0) {
+      lines.push(`${label}: ${report[type].length}`);
+    }
+  });
+
+  return lines.join("\n");
+}
+
+describe("WorkoutIntegrity", () => {
+  describe("classifyWorkoutRows()", () => {
+    test("should accept a single block with the expected rows", () => {
+      expect(classifyWorkoutRows([2, 3, 4], 3)).toBeNull();
+    });
+
+    test("should flag workouts absent from the sheet as missing", () => {
+      expect(classifyWorkoutRows(undefined, 2)).toBe("missing");
+      expect(classifyWorkoutRows([], 2)).toBe("missing");
+    });
+
+    test("should flag split or repeated blocks as duplicated", () => {
+      expect(classifyWorkoutRows([2, 3, 10, 11], 2)).toBe("duplicated");
+      expect(classifyWorkoutRows([2, 3, 4, 5], 2)).toBe("duplicated");
+    });
+
+    test("should flag a wrong number of rows as partial", () => {
+      expect(classifyWorkoutRows([2], 3)).toBe("partial");
+      expect(classifyWorkoutRows([2, 3, 4], 2)).toBe("partial");
+    });
+  });
+
+  describe("findWorkoutDrift()", () => {
+    test("should report each workout under its drift type", () => {
+      const sheetRows = new Map([
+        ["ok", [2, 3]],
+        ["dup", [4, 9]],
+        ["part", [5]],
+        ["gone", [6, 7, 8]],
+      ]);
+      const apiRowCounts = new Map([
+        ["ok", 2],
+        ["dup", 1],
+        ["part", 3],
+        ["new", 4],
+      ]);
+
+      expect(findWorkoutDrift(sheetRows, apiRowCounts)).toEqual({
+        missing: ["new"],
+        orphaned: ["gone"],
+        duplicated: ["dup"],
+        partial: ["part"],
+      });
+    });
+
+    test("should not treat workouts outside the sync window as deleted", () => {
+      const report = findWorkoutDrift(
+        new Map([
+          ["recent", [2]],
+          ["old", [3]],
+        ]),
+        new Map([["recent", 1]]),
+        new Set(["old"])
+      );
+
+      expect(hasWorkoutDrift(report)).toBe(false);
+    });
+
+    test("should keep workouts imported from CSV into the sheet only", () => {
+      const report = findWorkoutDrift(
+        new Map([
+          ["w1", [2]],
+          ["strong-2024-01-01T10:00:00.000Z", [3, 4]],
+          ["fitnotes-2024-01-02T12:00:00.000Z", [5]],
+          ["gone", [6]],
+        ]),
+        new Map([["w1", 1]])
+      );
+
+      expect(report.orphaned).toEqual(["gone"]);
+    });
+
+    test("should report nothing when the sheet matches", () => {
+      const report = findWorkoutDrift(
+        new Map([["w1", [2]]]),
+        new Map([["w1", 1]])
+      );
+
+      expect(hasWorkoutDrift(report)).toBe(false);
+    });
+  });
+
+  describe("formatWorkoutDriftReport()", () => {
+    test("should list only the drift types that occurred", () => {
+      const text = formatWorkoutDriftReport(
+        { missing: ["a", "b"], orphaned: [], duplicated: ["c"], partial: [] },
+        12,
+        11
+      );
+
+      expect(text).toBe(
+        "Hevy: 12 workouts. Sheet: 11 workouts.\n" +
+          "Missing from the sheet: 2\n" +
+          "Written more than once: 1"
+      );
+    });
+
+    test("should confirm a matching sheet", () => {
+      const text = formatWorkoutDriftReport(
+        { missing: [], orphaned: [], duplicated: [], partial: [] },
+        3,
+        3
+      );
+
+      expect(text).toContain("The Workouts sheet matches Hevy.");
+    });
+  });
+});
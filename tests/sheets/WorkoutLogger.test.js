@@ -0,0 +1,565 @@
+/**
+ * Tests for WorkoutLogger.gs - Logging completed workouts from a sheet
+ */
+
+const WORKOUT_LOGGER_SHEET_NAME = "Workout Logger";
+const WORKOUT_LOGGER_CELLS = {
+  TITLE: "B2",
+  START_TIME: "B3",
+  END_TIME: "B4",
+  DESCRIPTION: "B5",
+  HEADER_ROW: 7,
+  EXERCISE_DATA_START_ROW: 8,
+};
+const WORKOUT_LOGGER_HEADERS = [
+  "Exercise",
+  "Set Type",
+  "Weight",
+  "Reps / Distance (m)",
+  "Duration (s)",
+  "RPE",
+  "Notes",
+  "Superset ID",
+];
+const SET_TYPES = ["normal", "warmup", "failure", "dropset"];
+const RPE_VALUES = [6, 7, 7.5, 8, 8.5, 9, 9.5, 10];
+const TOAST_DURATION = { NORMAL: 5, LONG: 8 };
+
+class ValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ValidationError";
+  }
+}
+
+function parseNumber(value, fieldName) {
+  if (value == null || value === "") return null;
+  const n = Number(value);
+  if (isNaN(n)) {
+    throw new ValidationError(`Invalid ${fieldName} value: ${value}`);
+  }
+  return n;
+}
+
+const parseAndConvertWeight = (weight, conversionFactor) => {
+  const parsedWeight = parseNumber(weight, "weight");
+  return parsedWeight !== null ? parsedWeight * conversionFactor : null;
+};
+
+const normalizeNotes = (notes) => {
+  if (!notes) return null;
+  const trimmed = String(notes).trim();
+  return trimmed || null;
+};
+
+const METADATA = {
+  "bench press": { id: "BENCH", type: "weight_reps" },
+  rowing: { id: "ROW", type: "distance_duration" },
+  "my move": { id: "N/A", type: "reps_only" },
+};
+
+global.buildExerciseMetadataMap = jest.fn(() => ({}));
+global.findExerciseMetadata = jest.fn(
+  (map, id, title) => METADATA[title.toLowerCase()] ?? null
+);
+global.getWeightConversionFactor = jest.fn(() => 1);
+global.submitWorkout = jest.fn(async () => ({ workout: { id: "w1" } }));
+global.clearWorkoutLogger = jest.fn();
+global.setupWorkoutLoggerSheet = jest.fn();
+global.ErrorHandler = { handle: jest.fn((error) => error) };
+
+const mockUi = { alert: jest.fn(), ButtonSet: { OK: "OK" } };
+global.SpreadsheetApp = { getUi: jest.fn(() => mockUi) };
+
+let mockSpreadsheet;
+const getActiveSpreadsheet = () => mockSpreadsheet;
+
+const toRows = (values) =>
+  values.map((row, index) => ({ rowNumber: 8 + index, values: row }));
+
+async function createWorkoutFromSheet() {
+  const ss = getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(WORKOUT_LOGGER_SHEET_NAME);
+
+  if (!sheet) {
+    sheet = setupWorkoutLoggerSheet();
+    sheet.activate();
+    ss.toast(
+      "Workout Logger sheet created. Fill in your workout and run this command again.",
+      "Workout Logger",
+      TOAST_DURATION.LONG
+    );
+    return null;
+  }
+
+  const title = String(
+    sheet.getRange(WORKOUT_LOGGER_CELLS.TITLE).getValue()
+  ).trim();
+  if (!title) {
+    SpreadsheetApp.getUi().alert(
+      "Workout title is required",
+      `Please enter a name for your workout in cell ${WORKOUT_LOGGER_CELLS.TITLE} before logging.`,
+      SpreadsheetApp.getUi().ButtonSet.OK
+    );
+    return null;
+  }
+
+  try {
+    const startTime = parseWorkoutTime(
+      sheet.getRange(WORKOUT_LOGGER_CELLS.START_TIME).getValue(),
+      "Start time"
+    );
+    const endTime = parseWorkoutTime(
+      sheet.getRange(WORKOUT_LOGGER_CELLS.END_TIME).getValue(),
+      "End time"
+    );
+    const description = normalizeNotes(
+      sheet.getRange(WORKOUT_LOGGER_CELLS.DESCRIPTION).getValue()
+    );
+
+    const exercises = processWorkoutLoggerRows(readWorkoutLoggerRows(sheet));
+
+    const workoutData = {
+      workout: {
+        title,
+        description,
+        start_time: startTime,
+        end_time: endTime,
+        is_private: false,
+        exercises,
+      },
+    };
+    validateWorkoutData(workoutData.workout);
+
+    const response = await submitWorkout(workoutData);
+
+    clearWorkoutLogger();
+    ss.toast(
+      "Workout logged to Hevy! Run 'Import Workouts' to add it to the Workouts sheet.",
+      "Success",
+      TOAST_DURATION.NORMAL
+    );
+
+    return response?.workout ?? response;
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      SpreadsheetApp.getUi().alert(
+        "Workout not logged",
+        error.message,
+        SpreadsheetApp.getUi().ButtonSet.OK
+      );
+      return null;
+    }
+    throw ErrorHandler.handle(error, {
+      operation: "Creating workout from sheet",
+      sheetName: WORKOUT_LOGGER_SHEET_NAME,
+    });
+  }
+}
+
+function readWorkoutLoggerRows(sheet) {
+  const startRow = WORKOUT_LOGGER_CELLS.EXERCISE_DATA_START_ROW;
+  const lastRow = sheet.getLastRow();
+  if (lastRow < startRow) {
+    return [];
+  }
+
+  return sheet
+    .getRange(
+      startRow,
+      1,
+      lastRow - startRow + 1,
+      WORKOUT_LOGGER_HEADERS.length
+    )
+    .getValues()
+    .map((values, index) => ({ rowNumber: startRow + index, values }))
+    .filter(({ values }) => values.some((value) => value !== ""));
+}
+
+function processWorkoutLoggerRows(rows) {
+  const metadataMap = buildExerciseMetadataMap();
+  const conversionFactor = getWeightConversionFactor();
+  const exercises = [];
+  const errors = [];
+  let currentExercise = null;
+  let currentType = "";
+  let skipSets = false;
+
+  for (const { rowNumber, values } of rows) {
+    const [
+      name,
+      setType,
+      weight,
+      repsOrDistance,
+      duration,
+      rpe,
+      notes,
+      superset,
+    ] = values;
+    const exerciseName = String(name ?? "").trim();
+
+    try {
+      if (exerciseName) {
+        const metadata = findExerciseMetadata(metadataMap, null, exerciseName);
+        if (!metadata?.id || metadata.id === "N/A") {
+          // Sets below an unknown exercise are not reported separately
+          skipSets = true;
+          throw new ValidationError(
+            `"${exerciseName}" is not in your Hevy account. Import or create it first.`
+          );
+        }
+
+        skipSets = false;
+        currentType = metadata.type;
+        currentExercise = {
+          exercise_template_id: metadata.id,
+          superset_id: parseNumber(superset, "superset ID"),
+          notes: normalizeNotes(notes),
+          sets: [],
+        };
+        exercises.push(currentExercise);
+      } else if (skipSets) {
+        continue;
+      } else if (!currentExercise) {
+        throw new ValidationError("Set has no exercise above it");
+      }
+
+      currentExercise.sets.push(
+        createWorkoutSet(
+          { setType, weight, repsOrDistance, duration, rpe },
+          currentType,
+          conversionFactor
+        )
+      );
+    } catch (error) {
+      if (!(error instanceof ValidationError)) {
+        throw error;
+      }
+      errors.push(`Row ${rowNumber}: ${error.message}`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError(`Validation failed:\n${errors.join("\n")}`);
+  }
+
+  return exercises;
+}
+
+function createWorkoutSet(values, templateType, conversionFactor) {
+  const type = String(values.setType || "normal")
+    .trim()
+    .toLowerCase();
+  if (!SET_TYPES.includes(type)) {
+    throw new ValidationError(
+      `Invalid set type "${values.setType}". Use one of: ${SET_TYPES.join(
+        ", "
+      )}`
+    );
+  }
+
+  const set = { type };
+
+  const weight = parseAndConvertWeight(values.weight, conversionFactor);
+  if (weight !== null) {
+    set.weight_kg = weight;
+  }
+
+  const repsOrDistance = parseNumber(values.repsOrDistance, "reps");
+  if (repsOrDistance !== null) {
+    if (String(templateType ?? "").includes("distance")) {
+      set.distance_meters = repsOrDistance;
+    } else {
+      set.reps = repsOrDistance;
+    }
+  }
+
+  const duration = parseNumber(values.duration, "duration");
+  if (duration !== null) {
+    set.duration_seconds = duration;
+  }
+
+  const rpe = parseNumber(values.rpe, "RPE");
+  if (rpe !== null) {
+    if (!RPE_VALUES.includes(rpe)) {
+      throw new ValidationError(
+        `Invalid RPE ${rpe}. Use one of: ${RPE_VALUES.join(", ")}`
+      );
+    }
+    set.rpe = rpe;
+  }
+
+  return set;
+}
+
+function parseWorkoutTime(value, label) {
+  if (value === "" || value == null) {
+    throw new ValidationError(`${label} is required`);
+  }
+
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new ValidationError(`${label} is not a valid date: ${value}`);
+  }
+  return date.toISOString();
+}
+
+function validateWorkoutData(workout) {
+  const errors = [];
+
+  if (new Date(workout.end_time) <= new Date(workout.start_time)) {
+    errors.push("End time must be after start time");
+  }
+
+  if (new Date(workout.start_time) > new Date()) {
+    errors.push("Start time cannot be in the future");
+  }
+
+  if (!workout.exercises?.length) {
+    errors.push("At least one exercise is required");
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError(`Validation failed:\n${errors.join("\n")}`);
+  }
+}
+
+describe("WorkoutLogger", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getWeightConversionFactor.mockReturnValue(1);
+  });
+
+  describe("createWorkoutSet", () => {
+    test("should build a weighted set with RPE", () => {
+      expect(
+        createWorkoutSet(
+          { setType: "", weight: 100, repsOrDistance: 5, rpe: 8.5 },
+          "weight_reps",
+          1
+        )
+      ).toEqual({ type: "normal", weight_kg: 100, reps: 5, rpe: 8.5 });
+    });
+
+    test("should convert weight using the conversion factor", () => {
+      const set = createWorkoutSet(
+        { setType: "warmup", weight: 100, repsOrDistance: 5 },
+        "weight_reps",
+        0.5
+      );
+
+      expect(set.weight_kg).toBe(50);
+      expect(set.type).toBe("warmup");
+    });
+
+    test("should map reps to distance for distance exercises", () => {
+      expect(
+        createWorkoutSet(
+          { repsOrDistance: 2000, duration: 480 },
+          "distance_duration",
+          1
+        )
+      ).toEqual({
+        type: "normal",
+        distance_meters: 2000,
+        duration_seconds: 480,
+      });
+    });
+
+    test("should reject invalid set types and RPE values", () => {
+      expect(() => createWorkoutSet({ setType: "giant" }, "", 1)).toThrow(
+        'Invalid set type "giant"'
+      );
+      expect(() => createWorkoutSet({ rpe: 5 }, "", 1)).toThrow(
+        "Invalid RPE 5"
+      );
+    });
+  });
+
+  describe("processWorkoutLoggerRows", () => {
+    test("should group sets under the exercise above them", () => {
+      const exercises = processWorkoutLoggerRows(
+        toRows([
+          ["Bench Press", "warmup", 60, 10, "", "", "Paused", 1],
+          ["", "normal", 100, 5, "", 8, "", ""],
+          ["Rowing", "", "", 2000, 480, "", "", ""],
+        ])
+      );
+
+      expect(exercises).toEqual([
+        {
+          exercise_template_id: "BENCH",
+          superset_id: 1,
+          notes: "Paused",
+          sets: [
+            { type: "warmup", weight_kg: 60, reps: 10 },
+            { type: "normal", weight_kg: 100, reps: 5, rpe: 8 },
+          ],
+        },
+        {
+          exercise_template_id: "ROW",
+          superset_id: null,
+          notes: null,
+          sets: [
+            { type: "normal", distance_meters: 2000, duration_seconds: 480 },
+          ],
+        },
+      ]);
+    });
+
+    test("should allow the same exercise twice", () => {
+      const exercises = processWorkoutLoggerRows(
+        toRows([
+          ["Bench Press", "", 100, 5, "", "", "", ""],
+          ["Bench Press", "", 80, 8, "", "", "", ""],
+        ])
+      );
+
+      expect(exercises).toHaveLength(2);
+    });
+
+    test("should report every invalid row with its row number", () => {
+      expect(() =>
+        processWorkoutLoggerRows(
+          toRows([
+            ["", "", 100, 5, "", "", "", ""],
+            ["My Move", "", "", 10, "", "", "", ""],
+            ["", "", "", 10, "", "", "", ""],
+            ["Bench Press", "", "heavy", 5, "", "", "", ""],
+          ])
+        )
+      ).toThrow(
+        'Validation failed:\nRow 8: Set has no exercise above it\nRow 9: "My Move" is not in your Hevy account. Import or create it first.\nRow 11: Invalid weight value: heavy'
+      );
+    });
+  });
+
+  describe("parseWorkoutTime", () => {
+    test("should accept dates and date strings", () => {
+      const date = new Date("2024-03-01T18:00:00Z");
+
+      expect(parseWorkoutTime(date, "Start time")).toBe(
+        "2024-03-01T18:00:00.000Z"
+      );
+      expect(parseWorkoutTime("2024-03-01T19:00:00Z", "End time")).toBe(
+        "2024-03-01T19:00:00.000Z"
+      );
+    });
+
+    test("should reject empty and invalid values", () => {
+      expect(() => parseWorkoutTime("", "Start time")).toThrow(
+        "Start time is required"
+      );
+      expect(() => parseWorkoutTime("yesterday", "End time")).toThrow(
+        "End time is not a valid date"
+      );
+    });
+  });
+
+  describe("validateWorkoutData", () => {
+    test("should require end after start and at least one exercise", () => {
+      expect(() =>
+        validateWorkoutData({
+          start_time: "2024-03-01T19:00:00Z",
+          end_time: "2024-03-01T18:00:00Z",
+          exercises: [],
+        })
+      ).toThrow(
+        "Validation failed:\nEnd time must be after start time\nAt least one exercise is required"
+      );
+    });
+
+    test("should reject workouts starting in the future", () => {
+      const start = new Date(Date.now() + 86400000);
+      const end = new Date(start.getTime() + 3600000);
+
+      expect(() =>
+        validateWorkoutData({
+          start_time: start.toISOString(),
+          end_time: end.toISOString(),
+          exercises: [{ sets: [{}] }],
+        })
+      ).toThrow("Start time cannot be in the future");
+    });
+  });
+
+  describe("createWorkoutFromSheet", () => {
+    const buildSheet = (cells, rows) => ({
+      getRange: jest.fn((a1, col, numRows) => {
+        if (typeof a1 === "string") {
+          return { getValue: () => cells[a1] ?? "" };
+        }
+        return { getValues: () => rows.slice(0, numRows) };
+      }),
+      getLastRow: jest.fn(() => 7 + rows.length),
+    });
+
+    beforeEach(() => {
+      mockSpreadsheet = { getSheetByName: jest.fn(), toast: jest.fn() };
+    });
+
+    test("should create the sheet on first use without submitting", async () => {
+      const newSheet = { activate: jest.fn() };
+      setupWorkoutLoggerSheet.mockReturnValue(newSheet);
+      mockSpreadsheet.getSheetByName.mockReturnValue(null);
+
+      const result = await createWorkoutFromSheet();
+
+      expect(result).toBeNull();
+      expect(newSheet.activate).toHaveBeenCalled();
+      expect(submitWorkout).not.toHaveBeenCalled();
+    });
+
+    test("should submit the workout payload and clear the form", async () => {
+      mockSpreadsheet.getSheetByName.mockReturnValue(
+        buildSheet(
+          {
+            B2: "Coached Session",
+            B3: new Date("2024-03-01T18:00:00Z"),
+            B4: new Date("2024-03-01T19:00:00Z"),
+            B5: " Whiteboard ",
+          },
+          [["Bench Press", "", 100, 5, "", "", "", ""]]
+        )
+      );
+
+      const result = await createWorkoutFromSheet();
+
+      expect(submitWorkout).toHaveBeenCalledWith({
+        workout: {
+          title: "Coached Session",
+          description: "Whiteboard",
+          start_time: "2024-03-01T18:00:00.000Z",
+          end_time: "2024-03-01T19:00:00.000Z",
+          is_private: false,
+          exercises: [
+            {
+              exercise_template_id: "BENCH",
+              superset_id: null,
+              notes: null,
+              sets: [{ type: "normal", weight_kg: 100, reps: 5 }],
+            },
+          ],
+        },
+      });
+      expect(clearWorkoutLogger).toHaveBeenCalled();
+      expect(result).toEqual({ id: "w1" });
+    });
+
+    test("should alert validation errors without submitting", async () => {
+      mockSpreadsheet.getSheetByName.mockReturnValue(
+        buildSheet({ B2: "Session", B3: "", B4: "" }, [])
+      );
+
+      const result = await createWorkoutFromSheet();
+
+      expect(result).toBeNull();
+      expect(mockUi.alert).toHaveBeenCalledWith(
+        "Workout not logged",
+        "Start time is required",
+        "OK"
+      );
+      expect(submitWorkout).not.toHaveBeenCalled();
+    });
+  });
+});
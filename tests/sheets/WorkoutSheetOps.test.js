@@ -0,0 +1,477 @@
+/**
+ * Tests for workouts/WorkoutSheetOps.gs - Workout sheet operations
+ */
+
+const { createMockSheet } = require("../helpers/testHelpers");
+const { MockSheet } = require("../__mocks__/google-apps-script/SpreadsheetApp");
+
+// Mock constants
+const WORKOUTS_SHEET_NAME = "Workouts";
+const SHEET_HEADERS = {
+  [WORKOUTS_SHEET_NAME]: ["ID", "Title", "RPE", "Est. 1RM (kg)", "Set Index"],
+};
+
+// Simplified functions for testing
+class SheetError extends Error {
+  constructor(message, sheetName, context = {}) {
+    super(message);
+    this.name = "SheetError";
+    this.sheetName = sheetName;
+    this.context = { ...context, sheetName };
+  }
+}
+
+function migrateWorkoutSheetColumns(sheet) {
+  const lastColumn = sheet.getLastColumn();
+  if (sheet.getLastRow() === 0 || lastColumn === 0) {
+    return [];
+  }
+
+  const expectedHeaders = SHEET_HEADERS[WORKOUTS_SHEET_NAME];
+  const headers = sheet.getRange(1, 1, 1, lastColumn).getValues()[0];
+  const alreadyMigrated = expectedHeaders.every(
+    (header, index) => headers[index] === header
+  );
+
+  if (alreadyMigrated || !headers.includes("ID")) {
+    return [];
+  }
+
+  const added = [];
+  expectedHeaders.forEach((header, index) => {
+    const current = headers.indexOf(header, index);
+    if (current === index) {
+      return;
+    }
+
+    if (current === -1) {
+      // "ID" is never missing, so index is at least 1
+      sheet.insertColumnAfter(index);
+      sheet.getRange(1, index + 1).setValue(header);
+      headers.splice(index, 0, header);
+      added.push(header);
+    } else {
+      sheet.moveColumns(sheet.getRange(1, current + 1), index + 1);
+      headers.splice(index, 0, ...headers.splice(current, 1));
+    }
+  });
+
+  return added;
+}
+
+function deleteWorkoutRows(sheet, workoutIds) {
+  const lastRow = sheet.getLastRow();
+  if (lastRow <= 1) {
+    return;
+  }
+
+  const values = sheet.getDataRange().getValues();
+
+  if (!values || values.length === 0) {
+    return;
+  }
+
+  const headers = values[0];
+  const idIdx = headers.indexOf("ID");
+
+  if (idIdx === -1) {
+    throw new SheetError("ID column not found in sheet", sheet.getName(), {
+      headers: headers,
+    });
+  }
+
+  const filtered = values.filter(
+    (row, i) => i === 0 || !workoutIds.has(row[idIdx])
+  );
+
+  sheet.clearContents();
+
+  if (filtered.length === 0) {
+    return;
+  }
+
+  const numCols = filtered[0]?.length || headers.length;
+  sheet.getRange(1, 1, filtered.length, numCols).setValues(filtered);
+}
+
+function _buildWorkoutIdRowMap(sheet) {
+  const rowMap = new Map();
+  const lastRow = sheet.getLastRow();
+
+  if (lastRow <= 1) {
+    return rowMap;
+  }
+
+  const idColumn = sheet.getRange(2, 1, lastRow - 1, 1).getValues();
+  idColumn.forEach((row, i) => {
+    if (!row[0]) {
+      return;
+    }
+    if (!rowMap.has(row[0])) {
+      rowMap.set(row[0], []);
+    }
+    rowMap.get(row[0]).push(i + 2);
+  });
+
+  return rowMap;
+}
+
+function _groupContiguousRows(rows) {
+  return rows.reduce((blocks, row) => {
+    const last = blocks[blocks.length - 1];
+    if (last && row === last.start + last.count) {
+      last.count++;
+    } else {
+      blocks.push({ start: row, count: 1 });
+    }
+    return blocks;
+  }, []);
+}
+
+function _resizeWorkoutBlocks(sheet, rowMap, rowsById) {
+  const operations = [];
+
+  rowsById.forEach((rows, id) => {
+    if (!rowMap.has(id)) {
+      return;
+    }
+    const [first, ...extra] = _groupContiguousRows(rowMap.get(id));
+    extra.forEach((block) => operations.push({ ...block, newCount: 0 }));
+    if (first.count !== rows.length) {
+      operations.push({ ...first, newCount: rows.length });
+    }
+  });
+
+  operations
+    .sort((a, b) => b.start - a.start)
+    .forEach(({ start, count, newCount }) => {
+      if (newCount > count) {
+        sheet.insertRowsAfter(start + count - 1, newCount - count);
+      } else {
+        sheet.deleteRows(start + newCount, count - newCount);
+      }
+    });
+
+  return operations.length > 0;
+}
+
+function _groupContiguousUpdates(updates) {
+  return updates
+    .sort((a, b) => a.r - b.r)
+    .reduce((segs, u) => {
+      const last = segs[segs.length - 1];
+      if (last && u.r === last.start + last.data.length) {
+        last.data.push(u.d);
+      } else {
+        segs.push({ start: u.r, data: [u.d] });
+      }
+      return segs;
+    }, []);
+}
+
+function updateWorkoutData(sheet, processedData) {
+  if (!processedData || processedData.length === 0) {
+    return { added: 0, updated: 0 };
+  }
+
+  migrateWorkoutSheetColumns(sheet);
+  const rowsById = new Map();
+  processedData.forEach((row) => {
+    if (!rowsById.has(row[0])) {
+      rowsById.set(row[0], []);
+    }
+    rowsById.get(row[0]).push(row);
+  });
+
+  let rowMap = _buildWorkoutIdRowMap(sheet);
+  if (_resizeWorkoutBlocks(sheet, rowMap, rowsById)) {
+    rowMap = _buildWorkoutIdRowMap(sheet);
+  }
+
+  const updates = [];
+  const additions = [];
+  let addedCount = 0;
+
+  rowsById.forEach((rows, id) => {
+    if (rowMap.has(id)) {
+      const start = rowMap.get(id)[0];
+      rows.forEach((row, i) => updates.push({ r: start + i, d: row }));
+    } else {
+      additions.push(...rows);
+      addedCount++;
+    }
+  });
+
+  const updateSegments = _groupContiguousUpdates(updates);
+  updateSegments.forEach((seg) => {
+    sheet
+      .getRange(seg.start, 1, seg.data.length, seg.data[0].length)
+      .setValues(seg.data);
+  });
+
+  if (additions.length > 0) {
+    sheet.insertRowsBefore(2, additions.length);
+    sheet
+      .getRange(2, 1, additions.length, additions[0].length)
+      .setValues(additions);
+  }
+
+  return { added: addedCount, updated: rowsById.size - addedCount };
+}
+
+const ATHLETE_CONFIG = { HEADER: "Athlete" };
+
+function getWorkoutAthletes(sheet) {
+  const athletes = new Map();
+  const lastRow = sheet.getLastRow();
+  if (lastRow <= 1) {
+    return athletes;
+  }
+
+  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  const athleteColumn = headers.indexOf(ATHLETE_CONFIG.HEADER) + 1;
+  const ids = sheet.getRange(2, 1, lastRow - 1, 1).getValues();
+  const names = athleteColumn
+    ? sheet.getRange(2, athleteColumn, lastRow - 1, 1).getValues()
+    : [];
+  ids.forEach(([id], i) => {
+    if (id && !athletes.has(id)) {
+      athletes.set(id, String(names[i]?.[0] ?? ""));
+    }
+  });
+
+  return athletes;
+}
+
+describe("WorkoutSheetOps", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("migrateWorkoutSheetColumns()", () => {
+    test("should move values by header name and blank new columns", () => {
+      const sheet = new MockSheet(WORKOUTS_SHEET_NAME, [
+        ["ID", "RPE", "Title"],
+        ["w1", 8, "Push"],
+        ["w2", "", "Pull"],
+      ]);
+
+      const added = migrateWorkoutSheetColumns(sheet);
+
+      expect(added).toEqual(["Est. 1RM (kg)", "Set Index"]);
+      expect(sheet.getDataRange().getValues()).toEqual([
+        ["ID", "Title", "RPE", "Est. 1RM (kg)", "Set Index"],
+        ["w1", "Push", 8, "", ""],
+        ["w2", "Pull", "", "", ""],
+      ]);
+    });
+
+    test("should keep unknown columns and their formatting", () => {
+      const sheet = new MockSheet(WORKOUTS_SHEET_NAME, [
+        ["ID", "My Notes", "Title", "RPE"],
+        ["w1", "felt strong", "Push", 8],
+      ]);
+      sheet.getRange(2, 2).setBackground("#ffff00");
+      sheet.getRange(2, 4).setNumberFormat("0.0");
+
+      migrateWorkoutSheetColumns(sheet);
+
+      expect(sheet.getDataRange().getValues()).toEqual([
+        ["ID", "Title", "RPE", "Est. 1RM (kg)", "Set Index", "My Notes"],
+        ["w1", "Push", 8, "", "", "felt strong"],
+      ]);
+      expect(sheet.getRange(2, 3).getNumberFormat()).toBe("0.0");
+      expect(sheet.getRange(2, 6).getBackground()).toBe("#ffff00");
+    });
+
+    test("should leave an up-to-date sheet untouched", () => {
+      const values = [
+        ["ID", "Title", "RPE", "Est. 1RM (kg)", "Set Index", "My Notes"],
+        ["w1", "Push", 8, 100, 0, "note"],
+      ];
+      const sheet = new MockSheet(WORKOUTS_SHEET_NAME, values);
+
+      expect(migrateWorkoutSheetColumns(sheet)).toEqual([]);
+      expect(sheet.getDataRange().getValues()).toEqual(values);
+    });
+
+    test("should skip empty sheets and sheets without an ID column", () => {
+      expect(
+        migrateWorkoutSheetColumns(new MockSheet(WORKOUTS_SHEET_NAME))
+      ).toEqual([]);
+      const unknown = new MockSheet(WORKOUTS_SHEET_NAME, [["Foo", "Bar"]]);
+      expect(migrateWorkoutSheetColumns(unknown)).toEqual([]);
+      expect(unknown.getDataRange().getValues()).toEqual([["Foo", "Bar"]]);
+    });
+  });
+
+  describe("getWorkoutAthletes()", () => {
+    test("should map each workout to its Athlete value", () => {
+      const sheet = createMockSheet({
+        values: [
+          ["ID", "Title", "Athlete"],
+          ["w1", "Push", ""],
+          ["w1", "Push", ""],
+          ["w2", "Pull", "Alex"],
+          ["", "", ""],
+        ],
+      });
+
+      expect(getWorkoutAthletes(sheet)).toEqual(
+        new Map([
+          ["w1", ""],
+          ["w2", "Alex"],
+        ])
+      );
+    });
+
+    test("should treat a sheet without an Athlete column as the own account", () => {
+      const sheet = createMockSheet({
+        values: [
+          ["ID", "Title"],
+          ["w1", "Push"],
+        ],
+      });
+
+      expect(getWorkoutAthletes(sheet)).toEqual(new Map([["w1", ""]]));
+    });
+  });
+
+  describe("deleteWorkoutRows()", () => {
+    test("should remove every set of the deleted workouts", () => {
+      const sheet = new MockSheet(WORKOUTS_SHEET_NAME, [
+        ["ID", "Title"],
+        ["w1", "Push"],
+        ["w1", "Push"],
+        ["w2", "Pull"],
+        ["w3", "Legs"],
+      ]);
+
+      deleteWorkoutRows(sheet, new Set(["w1", "w3"]));
+
+      expect(sheet.getDataRange().getValues()).toEqual([
+        ["ID", "Title"],
+        ["w2", "Pull"],
+      ]);
+      expect(sheet.getLastRow()).toBe(2);
+    });
+
+    test("should keep the header when every workout is deleted", () => {
+      const sheet = new MockSheet(WORKOUTS_SHEET_NAME, [
+        ["ID", "Title"],
+        ["w1", "Push"],
+      ]);
+
+      deleteWorkoutRows(sheet, new Set(["w1"]));
+
+      expect(sheet.getDataRange().getValues()).toEqual([["ID", "Title"]]);
+    });
+
+    test("should throw when the sheet has no ID column", () => {
+      const sheet = new MockSheet(WORKOUTS_SHEET_NAME, [["Title"], ["Push"]]);
+
+      expect(() => deleteWorkoutRows(sheet, new Set(["w1"]))).toThrow(
+        SheetError
+      );
+    });
+  });
+
+  describe("updateWorkoutData()", () => {
+    const HEADERS = SHEET_HEADERS[WORKOUTS_SHEET_NAME];
+    const set = (id, index, rpe = "") => [id, `Workout ${id}`, rpe, "", index];
+
+    test("should map every row of a workout, not just the last", () => {
+      const sheet = new MockSheet(WORKOUTS_SHEET_NAME, [
+        HEADERS,
+        set("w1", 0),
+        set("w1", 1),
+        set("w2", 0),
+      ]);
+
+      const rowMap = _buildWorkoutIdRowMap(sheet);
+
+      expect(rowMap.get("w1")).toEqual([2, 3]);
+      expect(rowMap.get("w2")).toEqual([4]);
+    });
+
+    test("should overwrite all sets of an existing workout in place", () => {
+      const sheet = new MockSheet(WORKOUTS_SHEET_NAME, [
+        HEADERS,
+        set("w1", 0),
+        set("w1", 1),
+        set("w2", 0),
+      ]);
+
+      updateWorkoutData(sheet, [set("w1", 0, 8), set("w1", 1, 9)]);
+
+      expect(sheet.getDataRange().getValues()).toEqual([
+        HEADERS,
+        set("w1", 0, 8),
+        set("w1", 1, 9),
+        set("w2", 0),
+      ]);
+    });
+
+    test("should grow and shrink workouts whose set count changed", () => {
+      const sheet = new MockSheet(WORKOUTS_SHEET_NAME, [
+        HEADERS,
+        set("w1", 0),
+        set("w2", 0),
+        set("w2", 1),
+        set("w2", 2),
+        set("w3", 0),
+      ]);
+
+      updateWorkoutData(sheet, [
+        set("w1", 0, 7),
+        set("w1", 1, 8),
+        set("w1", 2, 9),
+        set("w2", 0, 6),
+      ]);
+
+      expect(sheet.getDataRange().getValues()).toEqual([
+        HEADERS,
+        set("w1", 0, 7),
+        set("w1", 1, 8),
+        set("w1", 2, 9),
+        set("w2", 0, 6),
+        set("w3", 0),
+      ]);
+    });
+
+    test("should drop duplicated copies of a workout", () => {
+      const sheet = new MockSheet(WORKOUTS_SHEET_NAME, [
+        HEADERS,
+        set("w1", 0),
+        set("w2", 0),
+        set("w1", 0),
+      ]);
+
+      updateWorkoutData(sheet, [set("w1", 0, 8)]);
+
+      expect(sheet.getDataRange().getValues()).toEqual([
+        HEADERS,
+        set("w1", 0, 8),
+        set("w2", 0),
+      ]);
+    });
+
+    test("should insert new workouts at the top", () => {
+      const sheet = new MockSheet(WORKOUTS_SHEET_NAME, [HEADERS, set("w1", 0)]);
+
+      const counts = updateWorkoutData(sheet, [
+        set("w2", 0),
+        set("w2", 1),
+        set("w1", 0, 5),
+      ]);
+
+      expect(counts).toEqual({ added: 1, updated: 1 });
+      expect(sheet.getDataRange().getValues()).toEqual([
+        HEADERS,
+        set("w2", 0),
+        set("w2", 1),
+        set("w1", 0, 5),
+      ]);
+    });
+  });
+});
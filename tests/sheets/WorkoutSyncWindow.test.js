@@ -0,0 +1,255 @@
+/**
+ * Tests for workouts/WorkoutSyncWindow.gs - Date-range limited workout sync
+ */
+
+const SYNC_WINDOW_CONFIG = {
+  PROPERTY_KEY: "WORKOUT_SYNC_WINDOW",
+  DEFAULT_MONTHS: 12,
+  MAX_MONTHS: 240,
+  MODES: {
+    ALL: "all",
+    MONTHS: "months",
+    SINCE: "since",
+  },
+};
+
+class ValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ValidationError";
+  }
+}
+
+const ErrorHandler = { handle: jest.fn((error) => error) };
+const ImportProgressTracker = { clearWorkoutCheckpoint: jest.fn() };
+const resetAthleteWorkoutWatermarks = jest.fn();
+
+let mockProperties;
+const getDocumentProperties = () => mockProperties;
+
+function parseIsoDay(value) {
+  const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const day = match
+    ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]))
+    : null;
+  if (
+    !day ||
+    day.getMonth() !== Number(match[2]) - 1 ||
+    day.getDate() !== Number(match[3])
+  ) {
+    throw new ValidationError(`Invalid date: ${value}`);
+  }
+  return day;
+}
+
+function getWorkoutSyncWindow() {
+  const syncWindow = _loadWorkoutSyncWindow();
+  const cutoff = getWorkoutSyncCutoff(syncWindow);
+  return { ...syncWindow, cutoff: cutoff ? cutoff.toISOString() : null };
+}
+
+function configureWorkoutSyncWindow(mode, value) {
+  const modes = SYNC_WINDOW_CONFIG.MODES;
+
+  try {
+    const previous = _loadWorkoutSyncWindow();
+    const syncWindow = { ...previous, mode };
+
+    if (mode === modes.MONTHS) {
+      const months = Number(value);
+      if (
+        !Number.isInteger(months) ||
+        months < 1 ||
+        months > SYNC_WINDOW_CONFIG.MAX_MONTHS
+      ) {
+        throw new ValidationError(
+          `Months must be a whole number from 1 to ${SYNC_WINDOW_CONFIG.MAX_MONTHS}, got: ${value}`
+        );
+      }
+      syncWindow.months = months;
+    } else if (mode === modes.SINCE) {
+      parseIsoDay(value);
+      syncWindow.since = value;
+    } else if (mode !== modes.ALL) {
+      throw new ValidationError(`Unknown sync window: ${mode}`);
+    }
+
+    const props = getDocumentProperties();
+    props?.setProperty(
+      SYNC_WINDOW_CONFIG.PROPERTY_KEY,
+      JSON.stringify(syncWindow)
+    );
+
+    const reimport =
+      getWorkoutSyncCutoff(previous)?.getTime() !==
+      getWorkoutSyncCutoff(syncWindow)?.getTime();
+    if (reimport) {
+      props?.deleteProperty("LAST_WORKOUT_UPDATE");
+      resetAthleteWorkoutWatermarks();
+      ImportProgressTracker.clearWorkoutCheckpoint();
+    }
+
+    return { ...getWorkoutSyncWindow(), reimport };
+  } catch (error) {
+    throw ErrorHandler.handle(error, {
+      operation: "Configuring workout sync window",
+      mode,
+    });
+  }
+}
+
+function getWorkoutSyncCutoff(
+  syncWindow = _loadWorkoutSyncWindow(),
+  now = new Date()
+) {
+  const modes = SYNC_WINDOW_CONFIG.MODES;
+
+  if (syncWindow.mode === modes.MONTHS) {
+    const year = now.getFullYear();
+    const month = now.getMonth() - syncWindow.months;
+    const lastDay = new Date(year, month + 1, 0).getDate();
+    return new Date(year, month, Math.min(now.getDate(), lastDay));
+  }
+  if (syncWindow.mode === modes.SINCE && syncWindow.since) {
+    return parseIsoDay(syncWindow.since);
+  }
+  return null;
+}
+
+function isInWorkoutSyncWindow(workout, cutoff) {
+  if (!cutoff) {
+    return true;
+  }
+  const startTime = new Date(workout?.start_time);
+  return isNaN(startTime.getTime()) || startTime >= cutoff;
+}
+
+function _loadWorkoutSyncWindow() {
+  const defaults = {
+    mode: SYNC_WINDOW_CONFIG.MODES.ALL,
+    months: SYNC_WINDOW_CONFIG.DEFAULT_MONTHS,
+    since: null,
+  };
+
+  try {
+    const json = getDocumentProperties()?.getProperty(
+      SYNC_WINDOW_CONFIG.PROPERTY_KEY
+    );
+    return json ? { ...defaults, ...JSON.parse(json) } : defaults;
+  } catch (error) {
+    console.warn("Failed to load workout sync window:", error);
+    return defaults;
+  }
+}
+
+describe("WorkoutSyncWindow", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    const store = { LAST_WORKOUT_UPDATE: "2024-05-01T00:00:00.000Z" };
+    mockProperties = {
+      getProperty: jest.fn((key) => store[key] ?? null),
+      setProperty: jest.fn((key, value) => {
+        store[key] = value;
+      }),
+      deleteProperty: jest.fn((key) => delete store[key]),
+    };
+  });
+
+  describe("getWorkoutSyncCutoff()", () => {
+    const now = new Date(2024, 5, 15, 14, 30);
+
+    test("should import everything by default", () => {
+      expect(getWorkoutSyncCutoff(_loadWorkoutSyncWindow(), now)).toBeNull();
+    });
+
+    test("should start N months ago at midnight", () => {
+      expect(getWorkoutSyncCutoff({ mode: "months", months: 12 }, now)).toEqual(
+        new Date(2023, 5, 15)
+      );
+    });
+
+    test("should clamp to the last day of a shorter month", () => {
+      expect(
+        getWorkoutSyncCutoff(
+          { mode: "months", months: 1 },
+          new Date(2025, 2, 31, 9, 0)
+        )
+      ).toEqual(new Date(2025, 1, 28));
+      expect(
+        getWorkoutSyncCutoff(
+          { mode: "months", months: 13 },
+          new Date(2025, 2, 31, 9, 0)
+        )
+      ).toEqual(new Date(2024, 1, 29));
+    });
+
+    test("should start on the chosen day", () => {
+      expect(
+        getWorkoutSyncCutoff({ mode: "since", since: "2022-03-01" }, now)
+      ).toEqual(new Date(2022, 2, 1));
+    });
+  });
+
+  describe("isInWorkoutSyncWindow()", () => {
+    const cutoff = new Date("2024-01-01T00:00:00Z");
+
+    test("should compare the start time with the cutoff", () => {
+      expect(
+        isInWorkoutSyncWindow({ start_time: "2024-01-01T00:00:00Z" }, cutoff)
+      ).toBe(true);
+      expect(
+        isInWorkoutSyncWindow({ start_time: "2023-12-31T23:59:59Z" }, cutoff)
+      ).toBe(false);
+    });
+
+    test("should keep workouts without a start time or cutoff", () => {
+      expect(isInWorkoutSyncWindow({}, cutoff)).toBe(true);
+      expect(
+        isInWorkoutSyncWindow({ start_time: "2010-01-01T00:00:00Z" }, null)
+      ).toBe(true);
+    });
+  });
+
+  describe("configureWorkoutSyncWindow()", () => {
+    test("should save the window and reset the watermark for a reimport", () => {
+      const result = configureWorkoutSyncWindow("months", "6");
+
+      expect(result).toMatchObject({
+        mode: "months",
+        months: 6,
+        reimport: true,
+      });
+      expect(result.cutoff).toEqual(expect.any(String));
+      expect(mockProperties.deleteProperty).toHaveBeenCalledWith(
+        "LAST_WORKOUT_UPDATE"
+      );
+      expect(resetAthleteWorkoutWatermarks).toHaveBeenCalled();
+      expect(ImportProgressTracker.clearWorkoutCheckpoint).toHaveBeenCalled();
+      expect(getWorkoutSyncWindow().months).toBe(6);
+    });
+
+    test("should keep the watermark when the window is unchanged", () => {
+      configureWorkoutSyncWindow("since", "2021-01-01");
+      mockProperties.deleteProperty.mockClear();
+
+      const result = configureWorkoutSyncWindow("since", "2021-01-01");
+
+      expect(result.reimport).toBe(false);
+      expect(mockProperties.deleteProperty).not.toHaveBeenCalled();
+    });
+
+    test.each([
+      ["months", 0],
+      ["months", 2.5],
+      ["months", 241],
+      ["since", "2021-02-30"],
+      ["since", "01/02/2021"],
+      ["weeks", 4],
+    ])("should reject %s %p", (mode, value) => {
+      expect(() => configureWorkoutSyncWindow(mode, value)).toThrow(
+        ValidationError
+      );
+      expect(mockProperties.setProperty).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,677 @@
+/**
+ * Tests for workouts/WorkoutWebhook.gs - Real-time sync through doPost
+ */
+
+const crypto = require("crypto");
+const {
+  createMockPostEvent,
+  createMockWorkout,
+} = require("../helpers/testHelpers");
+
+const WEBHOOK_CONFIG = {
+  ENDPOINT_PROPERTY_KEY: "WEBHOOK_ENDPOINT",
+  SECRET_PROPERTY_KEY: "WEBHOOK_SECRET",
+  EVENTS_PROPERTY_KEY: "WEBHOOK_EVENTS",
+  ENDPOINT_PROPERTY_PREFIX: "WEBHOOK_ENDPOINT_",
+  QUEUE_PROPERTY_PREFIX: "WEBHOOK_QUEUE_",
+  MAX_EVENTS: 20,
+  STATUSES: {
+    ACCEPTED: "accepted",
+    IMPORTED: "imported",
+    SKIPPED: "skipped",
+    QUEUED: "queued",
+    ERROR: "error",
+  },
+};
+const IMPORT_BUSY_MESSAGE =
+  "Another import is running. Please try again when it has finished.";
+const IMPORT_LOG_SOURCES = { WEBHOOK: "Webhook" };
+const IMPORT_LOG_ENTITIES = { WORKOUTS: "Workouts" };
+const WORKOUTS_SHEET_NAME = "Workouts";
+const ENDPOINT = "endpoint-1";
+const SECRET = "s3cret";
+const SPREADSHEET_ID = "sheet-1";
+
+class ValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ValidationError";
+  }
+}
+
+class ConfigurationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ConfigurationError";
+  }
+}
+
+class ImportTimeoutError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ImportTimeoutError";
+  }
+}
+
+const ErrorHandler = { handle: jest.fn((error) => error) };
+const ContentService = {
+  MimeType: { JSON: "JSON" },
+  createTextOutput: jest.fn((content) => ({
+    content,
+    setMimeType: jest.fn(function () {
+      return this;
+    }),
+  })),
+};
+const Utilities = {
+  DigestAlgorithm: { SHA_256: "SHA_256" },
+  // Apps Script returns signed bytes
+  computeDigest: jest.fn((algorithm, value) => [
+    ...new Int8Array(crypto.createHash("sha256").update(value).digest()),
+  ]),
+};
+
+const createStore = (initial = {}) => {
+  const store = { ...initial };
+  return {
+    store,
+    getProperty: (key) => store[key] ?? null,
+    setProperty: (key, value) => {
+      store[key] = value;
+    },
+    deleteProperty: (key) => {
+      delete store[key];
+    },
+    getKeys: () => Object.keys(store),
+  };
+};
+
+let documentProps;
+let scriptProps;
+const getDocumentProperties = () => documentProps;
+const getScriptProperties = () => scriptProps;
+const openSpreadsheetById = jest.fn();
+
+let importBusy;
+const ImportProgressTracker = {
+  runExclusive: jest.fn(async (operation) => {
+    if (importBusy) {
+      throw new ValidationError(IMPORT_BUSY_MESSAGE);
+    }
+    return operation(() => false);
+  }),
+  isBusyError: (error) =>
+    error instanceof ValidationError && error.message === IMPORT_BUSY_MESSAGE,
+};
+const ImportLog = {
+  start: jest.fn(() => ({})),
+  finish: jest.fn(),
+  recordChanges: jest.fn(),
+  recordFailedIds: jest.fn(),
+};
+
+let apiKey;
+const getApiClient = () => ({
+  apiKeyManager: { getApiKeyFromProperties: () => apiKey },
+});
+const _fetchWorkoutWithRetry = jest.fn();
+const getWorkoutSyncCutoff = jest.fn(() => null);
+const isInWorkoutSyncWindow = jest.fn(() => true);
+
+const mockSheet = {};
+const SheetManager = { getOrCreate: jest.fn(() => ({ sheet: mockSheet })) };
+const processWorkoutsData = jest.fn((workouts) =>
+  workouts.map((workout) => [workout.id])
+);
+const updateWorkoutData = jest.fn(() => ({ added: 1, updated: 0 }));
+const sortWorkoutRowsByStartTime = jest.fn();
+const _mergePersonalRecordsAfterDelta = jest.fn();
+const _refreshWorkoutSummaries = jest.fn();
+
+function doPost(e) {
+  let request;
+  try {
+    request = parseWorkoutWebhookRequest(e);
+  } catch (error) {
+    console.warn("Rejected webhook request:", error.message);
+    return _toJsonOutput({ ok: false, error: error.message });
+  }
+
+  upsertWebhookWorkout(request).catch((error) =>
+    console.error(
+      `Webhook upsert of workout ${request.workoutId} failed:`,
+      error
+    )
+  );
+  return _toJsonOutput({
+    ok: true,
+    workoutId: request.workoutId,
+    status: WEBHOOK_CONFIG.STATUSES.ACCEPTED,
+  });
+}
+
+function parseWorkoutWebhookRequest(e) {
+  const endpointId = e?.parameter?.endpoint;
+  const endpoint = endpointId ? _loadWebhookEndpoint(endpointId) : null;
+  if (!endpoint) {
+    throw new ConfigurationError("Real-time sync is not set up");
+  }
+
+  let body;
+  try {
+    body = JSON.parse(e.postData?.contents || "{}");
+  } catch (error) {
+    throw new ValidationError("Webhook body is not valid JSON");
+  }
+
+  const secret = body.secret ?? e.parameter.secret;
+  if (
+    typeof secret !== "string" ||
+    !_timingSafeEqual(_digestWebhookSecret(secret), endpoint.secretDigest)
+  ) {
+    throw new ValidationError("Invalid webhook secret");
+  }
+
+  const workoutId = body.workoutId ?? body.workout_id ?? body.workout?.id;
+  if (!workoutId || typeof workoutId !== "string") {
+    throw new ValidationError("Webhook body has no workout ID");
+  }
+  return { endpointId, spreadsheetId: endpoint.spreadsheetId, workoutId };
+}
+
+async function upsertWebhookWorkout({ endpointId, spreadsheetId, workoutId }) {
+  const statuses = WEBHOOK_CONFIG.STATUSES;
+  openSpreadsheetById(spreadsheetId);
+
+  let event;
+  try {
+    [event] = await ImportProgressTracker.runExclusive(async (checkTimeout) => {
+      const logRun = ImportLog.start(
+        IMPORT_LOG_SOURCES.WEBHOOK,
+        "Webhook Upsert"
+      );
+      try {
+        const events = await _importWebhookWorkouts([workoutId], checkTimeout);
+        await ImportLog.finish(logRun);
+        return events;
+      } catch (error) {
+        await ImportLog.finish(logRun, error);
+        throw error;
+      }
+    });
+  } catch (error) {
+    if (error instanceof ImportTimeoutError) {
+      event = { workoutId, status: statuses.QUEUED, message: error.message };
+    } else if (ImportProgressTracker.isBusyError(error)) {
+      event = {
+        workoutId,
+        status: statuses.QUEUED,
+        message: "An import was running",
+      };
+    } else {
+      _recordWebhookEvents([
+        { workoutId, status: statuses.ERROR, message: error.message },
+      ]);
+      throw ErrorHandler.handle(
+        error,
+        { operation: "Upserting webhook workout", workoutId },
+        false
+      );
+    }
+  }
+
+  if (event.status === statuses.QUEUED) {
+    getScriptProperties()?.setProperty(
+      _getWebhookQueueKey(endpointId, workoutId),
+      new Date().toISOString()
+    );
+  }
+  _recordWebhookEvents([event]);
+  return event.status;
+}
+
+async function importQueuedWebhookWorkouts(checkTimeout = null) {
+  const endpointId = getDocumentProperties()?.getProperty(
+    WEBHOOK_CONFIG.ENDPOINT_PROPERTY_KEY
+  );
+  const scriptProps = getScriptProperties();
+  if (!endpointId || !scriptProps) {
+    return 0;
+  }
+
+  const prefix = _getWebhookQueueKey(endpointId, "");
+  const workoutIds = scriptProps
+    .getKeys()
+    .filter((key) => key.startsWith(prefix))
+    .map((key) => key.slice(prefix.length));
+  if (workoutIds.length === 0) {
+    return 0;
+  }
+
+  const statuses = WEBHOOK_CONFIG.STATUSES;
+  const events = await _importWebhookWorkouts(workoutIds, checkTimeout);
+  events
+    .filter((event) => event.status !== statuses.QUEUED)
+    .forEach((event) =>
+      scriptProps.deleteProperty(
+        _getWebhookQueueKey(endpointId, event.workoutId)
+      )
+    );
+  _recordWebhookEvents(events);
+  return events.filter((event) => event.status === statuses.IMPORTED).length;
+}
+
+function getWebhookEvents() {
+  try {
+    const json = getDocumentProperties()?.getProperty(
+      WEBHOOK_CONFIG.EVENTS_PROPERTY_KEY
+    );
+    return json ? JSON.parse(json) : [];
+  } catch (error) {
+    console.warn("Failed to load webhook events:", error);
+    return [];
+  }
+}
+
+async function _importWebhookWorkouts(workoutIds, checkTimeout = null) {
+  const statuses = WEBHOOK_CONFIG.STATUSES;
+  const apiKey = getApiClient().apiKeyManager.getApiKeyFromProperties();
+  if (!apiKey) {
+    throw new ConfigurationError("API key not found");
+  }
+
+  const cutoff = getWorkoutSyncCutoff();
+  const workouts = [];
+  const events = [];
+  for (const workoutId of workoutIds) {
+    try {
+      const workout = await _fetchWorkoutWithRetry(
+        workoutId,
+        apiKey,
+        checkTimeout
+      );
+      if (isInWorkoutSyncWindow(workout, cutoff)) {
+        workouts.push(workout);
+        events.push({ workoutId, status: statuses.IMPORTED });
+      } else {
+        events.push({
+          workoutId,
+          status: statuses.SKIPPED,
+          message: "Workout is outside the sync window",
+        });
+      }
+    } catch (error) {
+      if (error instanceof ImportTimeoutError) {
+        throw error;
+      }
+      events.push({
+        workoutId,
+        status: statuses.QUEUED,
+        message: error.message,
+      });
+    }
+  }
+
+  if (workouts.length > 0) {
+    const manager = SheetManager.getOrCreate(WORKOUTS_SHEET_NAME);
+    const rows = processWorkoutsData(workouts);
+    const written = updateWorkoutData(manager.sheet, rows);
+    if (written.added > 0) {
+      sortWorkoutRowsByStartTime(manager.sheet);
+    }
+    ImportLog.recordChanges(IMPORT_LOG_ENTITIES.WORKOUTS, written);
+
+    await _mergePersonalRecordsAfterDelta(
+      rows,
+      new Set(workouts.map((workout) => workout.id)),
+      checkTimeout
+    );
+    await _refreshWorkoutSummaries(manager, checkTimeout);
+  }
+
+  ImportLog.recordFailedIds(
+    events
+      .filter((event) => event.status === statuses.QUEUED)
+      .map((event) => event.workoutId)
+  );
+  return events;
+}
+
+function _loadWebhookEndpoint(endpointId) {
+  try {
+    const json = getScriptProperties()?.getProperty(
+      WEBHOOK_CONFIG.ENDPOINT_PROPERTY_PREFIX + endpointId
+    );
+    return json ? JSON.parse(json) : null;
+  } catch (error) {
+    console.warn("Failed to load webhook endpoint:", error);
+    return null;
+  }
+}
+
+function _recordWebhookEvents(events) {
+  try {
+    const receivedAt = new Date().toISOString();
+    getDocumentProperties()?.setProperty(
+      WEBHOOK_CONFIG.EVENTS_PROPERTY_KEY,
+      JSON.stringify(
+        [
+          ...events.map((event) => ({ ...event, receivedAt })),
+          ...getWebhookEvents(),
+        ].slice(0, WEBHOOK_CONFIG.MAX_EVENTS)
+      )
+    );
+  } catch (error) {
+    console.warn("Failed to record webhook events:", error);
+  }
+}
+
+function _getWebhookQueueKey(endpointId, workoutId) {
+  return `${WEBHOOK_CONFIG.QUEUE_PROPERTY_PREFIX}${endpointId}_${workoutId}`;
+}
+
+function _digestWebhookSecret(secret) {
+  return Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, secret)
+    .map((byte) => ((byte + 256) % 256).toString(16).padStart(2, "0"))
+    .join("");
+}
+
+function _timingSafeEqual(a, b) {
+  if (a.length !== b.length) {
+    return false;
+  }
+
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+function _toJsonOutput(body) {
+  return ContentService.createTextOutput(JSON.stringify(body)).setMimeType(
+    ContentService.MimeType.JSON
+  );
+}
+
+const flushPromises = () => new Promise((resolve) => setImmediate(resolve));
+const parseResponse = (output) => JSON.parse(output.content);
+
+const queuedKeys = () =>
+  Object.keys(scriptProps.store).filter((key) =>
+    key.startsWith(WEBHOOK_CONFIG.QUEUE_PROPERTY_PREFIX)
+  );
+
+const request = (workoutId) => ({
+  endpointId: ENDPOINT,
+  spreadsheetId: SPREADSHEET_ID,
+  workoutId,
+});
+
+describe("WorkoutWebhook", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    importBusy = false;
+    apiKey = "api-key";
+    _fetchWorkoutWithRetry.mockImplementation(async (workoutId) =>
+      createMockWorkout({ id: workoutId })
+    );
+    documentProps = createStore({ WEBHOOK_ENDPOINT: ENDPOINT });
+    scriptProps = createStore({
+      [`WEBHOOK_ENDPOINT_${ENDPOINT}`]: JSON.stringify({
+        secretDigest: crypto.createHash("sha256").update(SECRET).digest("hex"),
+        spreadsheetId: SPREADSHEET_ID,
+      }),
+    });
+  });
+
+  describe("doPost()", () => {
+    test("should accept a valid event and upsert the workout", async () => {
+      const event = createMockPostEvent({
+        parameter: { endpoint: ENDPOINT, secret: SECRET },
+        body: { workoutId: "w1" },
+      });
+
+      const response = parseResponse(doPost(event));
+      await flushPromises();
+
+      expect(response).toEqual({
+        ok: true,
+        workoutId: "w1",
+        status: "accepted",
+      });
+      expect(openSpreadsheetById).toHaveBeenCalledWith(SPREADSHEET_ID);
+      expect(updateWorkoutData).toHaveBeenCalledWith(mockSheet, [["w1"]]);
+      expect(getWebhookEvents()[0]).toMatchObject({
+        workoutId: "w1",
+        status: "imported",
+      });
+      expect(queuedKeys()).toEqual([]);
+    });
+
+    test("should accept the secret in the body", () => {
+      const event = createMockPostEvent({
+        parameter: { endpoint: ENDPOINT },
+        body: { workoutId: "w1", secret: SECRET },
+      });
+
+      expect(parseResponse(doPost(event)).ok).toBe(true);
+    });
+
+    test("should never store the secret itself", () => {
+      expect(JSON.stringify(scriptProps.store)).not.toContain(SECRET);
+    });
+
+    test.each([
+      [{ secret: "wrong" }, { workoutId: "w1" }, "Invalid webhook secret"],
+      [{}, { workoutId: "w1" }, "Invalid webhook secret"],
+      [{ secret: SECRET }, {}, "no workout ID"],
+      [{ secret: SECRET }, "not json", "not valid JSON"],
+    ])(
+      "should reject parameters %p with body %p",
+      async (parameter, body, message) => {
+        const response = parseResponse(
+          doPost(
+            createMockPostEvent({
+              parameter: { endpoint: ENDPOINT, ...parameter },
+              body,
+            })
+          )
+        );
+        await flushPromises();
+
+        expect(response.ok).toBe(false);
+        expect(response.error).toContain(message);
+        expect(_fetchWorkoutWithRetry).not.toHaveBeenCalled();
+        expect(getWebhookEvents()).toEqual([]);
+      }
+    );
+
+    test.each([[{}], [{ endpoint: "unknown" }]])(
+      "should reject endpoint parameters %p that were not set up",
+      (parameter) => {
+        const response = parseResponse(
+          doPost(
+            createMockPostEvent({
+              parameter: { ...parameter, secret: SECRET },
+              body: { workoutId: "w1" },
+            })
+          )
+        );
+
+        expect(response).toEqual({
+          ok: false,
+          error: "Real-time sync is not set up",
+        });
+      }
+    );
+  });
+
+  describe("parseWorkoutWebhookRequest()", () => {
+    test("should read the workout ID from a nested workout", () => {
+      const event = createMockPostEvent({
+        parameter: { endpoint: ENDPOINT, secret: SECRET },
+        body: { workout: { id: "w2" } },
+      });
+
+      expect(parseWorkoutWebhookRequest(event)).toEqual(request("w2"));
+    });
+  });
+
+  describe("upsertWebhookWorkout()", () => {
+    test("should write the workout under the import lock", async () => {
+      const status = await upsertWebhookWorkout(request("w1"));
+
+      expect(status).toBe("imported");
+      expect(ImportProgressTracker.runExclusive).toHaveBeenCalled();
+      expect(_fetchWorkoutWithRetry).toHaveBeenCalledWith(
+        "w1",
+        "api-key",
+        expect.any(Function)
+      );
+      expect(sortWorkoutRowsByStartTime).toHaveBeenCalledWith(mockSheet);
+      expect(_mergePersonalRecordsAfterDelta).toHaveBeenCalledWith(
+        [["w1"]],
+        new Set(["w1"]),
+        expect.any(Function)
+      );
+      expect(_refreshWorkoutSummaries).toHaveBeenCalled();
+      expect(ImportLog.start).toHaveBeenCalledWith("Webhook", "Webhook Upsert");
+      expect(ImportLog.finish).toHaveBeenCalledWith({});
+    });
+
+    test("should not re-sort the sheet for an updated workout", async () => {
+      updateWorkoutData.mockReturnValueOnce({ added: 0, updated: 1 });
+
+      await upsertWebhookWorkout(request("w1"));
+
+      expect(sortWorkoutRowsByStartTime).not.toHaveBeenCalled();
+    });
+
+    test("should queue the workout while an import is running", async () => {
+      importBusy = true;
+
+      const status = await upsertWebhookWorkout(request("w1"));
+
+      expect(status).toBe("queued");
+      expect(_fetchWorkoutWithRetry).not.toHaveBeenCalled();
+      expect(queuedKeys()).toEqual([`WEBHOOK_QUEUE_${ENDPOINT}_w1`]);
+      expect(getWebhookEvents()[0]).toMatchObject({
+        status: "queued",
+        message: "An import was running",
+      });
+    });
+
+    test("should queue the workout when the fetch fails", async () => {
+      _fetchWorkoutWithRetry.mockRejectedValue(
+        new Error("Service unavailable")
+      );
+
+      const status = await upsertWebhookWorkout(request("w1"));
+
+      expect(status).toBe("queued");
+      expect(updateWorkoutData).not.toHaveBeenCalled();
+      expect(queuedKeys()).toEqual([`WEBHOOK_QUEUE_${ENDPOINT}_w1`]);
+      expect(ImportLog.recordFailedIds).toHaveBeenCalledWith(["w1"]);
+      expect(getWebhookEvents()[0]).toMatchObject({
+        status: "queued",
+        message: "Service unavailable",
+      });
+    });
+
+    test("should queue the workout at the time limit", async () => {
+      _fetchWorkoutWithRetry.mockRejectedValue(
+        new ImportTimeoutError("Timeout approaching")
+      );
+
+      await expect(upsertWebhookWorkout(request("w1"))).resolves.toBe("queued");
+      expect(queuedKeys()).toEqual([`WEBHOOK_QUEUE_${ENDPOINT}_w1`]);
+    });
+
+    test("should skip workouts outside the sync window", async () => {
+      isInWorkoutSyncWindow.mockReturnValueOnce(false);
+
+      const status = await upsertWebhookWorkout(request("w1"));
+
+      expect(status).toBe("skipped");
+      expect(updateWorkoutData).not.toHaveBeenCalled();
+      expect(queuedKeys()).toEqual([]);
+    });
+
+    test("should record an error when no API key is set", async () => {
+      apiKey = null;
+
+      await expect(upsertWebhookWorkout(request("w1"))).rejects.toThrow(
+        "API key not found"
+      );
+      expect(getWebhookEvents()[0].status).toBe("error");
+      expect(queuedKeys()).toEqual([]);
+    });
+
+    test("should keep only the most recent events", async () => {
+      for (let i = 0; i < WEBHOOK_CONFIG.MAX_EVENTS + 2; i++) {
+        await upsertWebhookWorkout(request(`w${i}`));
+      }
+
+      const events = getWebhookEvents();
+      expect(events).toHaveLength(WEBHOOK_CONFIG.MAX_EVENTS);
+      expect(events[0].workoutId).toBe(`w${WEBHOOK_CONFIG.MAX_EVENTS + 1}`);
+    });
+  });
+
+  describe("importQueuedWebhookWorkouts()", () => {
+    test("should import this sheet's queued workouts", async () => {
+      scriptProps.setProperty(`WEBHOOK_QUEUE_${ENDPOINT}_w1`, "2026-01-01");
+      scriptProps.setProperty(`WEBHOOK_QUEUE_${ENDPOINT}_w2`, "2026-01-01");
+      scriptProps.setProperty("WEBHOOK_QUEUE_other-endpoint_w3", "2026-01-01");
+
+      expect(await importQueuedWebhookWorkouts()).toBe(2);
+
+      expect(updateWorkoutData).toHaveBeenCalledWith(mockSheet, [
+        ["w1"],
+        ["w2"],
+      ]);
+      expect(queuedKeys()).toEqual(["WEBHOOK_QUEUE_other-endpoint_w3"]);
+      expect(getWebhookEvents().map((event) => event.status)).toEqual([
+        "imported",
+        "imported",
+      ]);
+    });
+
+    test("should keep workouts that still fail queued", async () => {
+      scriptProps.setProperty(`WEBHOOK_QUEUE_${ENDPOINT}_w1`, "2026-01-01");
+      scriptProps.setProperty(`WEBHOOK_QUEUE_${ENDPOINT}_w2`, "2026-01-01");
+      _fetchWorkoutWithRetry.mockImplementation(async (workoutId) => {
+        if (workoutId === "w2") {
+          throw new Error("Service unavailable");
+        }
+        return createMockWorkout({ id: workoutId });
+      });
+
+      expect(await importQueuedWebhookWorkouts()).toBe(1);
+
+      expect(queuedKeys()).toEqual([`WEBHOOK_QUEUE_${ENDPOINT}_w2`]);
+    });
+
+    test("should do nothing when nothing is queued", async () => {
+      expect(await importQueuedWebhookWorkouts()).toBe(0);
+      expect(_fetchWorkoutWithRetry).not.toHaveBeenCalled();
+    });
+
+    test("should do nothing before real-time sync is set up", async () => {
+      documentProps = createStore();
+      scriptProps.setProperty(`WEBHOOK_QUEUE_${ENDPOINT}_w1`, "2026-01-01");
+
+      expect(await importQueuedWebhookWorkouts()).toBe(0);
+      expect(queuedKeys()).toHaveLength(1);
+    });
+  });
+
+  describe("_timingSafeEqual()", () => {
+    test("should compare equal and different strings", () => {
+      expect(_timingSafeEqual("abcd", "abcd")).toBe(true);
+      expect(_timingSafeEqual("abcd", "abce")).toBe(false);
+      expect(_timingSafeEqual("abcd", "abc")).toBe(false);
+    });
+  });
+});
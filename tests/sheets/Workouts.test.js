@@ -19,6 +19,7 @@ const PAGE_SIZE = {
   WORKOUTS: 10,
 };
 const TOAST_DURATION = {
+  SHORT: 3,
   NORMAL: 5,
 };
 
@@ -31,6 +32,21 @@ class ConfigurationError extends Error {
   }
 }
 
+class ImportTimeoutError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ImportTimeoutError";
+  }
+}
+
+class ValidationError extends Error {
+  constructor(message, context = {}) {
+    super(message);
+    this.name = "ValidationError";
+    this.context = context;
+  }
+}
+
 // Mock ErrorHandler
 const mockErrorHandler = {
   handle: jest.fn((error, context) => {
@@ -101,33 +117,60 @@ global.formatDate = jest.fn((date) => date || "");
 // Mock normalizeSetType, normalizeWeight, normalizeNumber utilities
 global.normalizeSetType = jest.fn((type) => type || "");
 global.normalizeWeight = jest.fn((weight) => weight || "");
-global.normalizeNumber = jest.fn((num) => num || "");
+global.normalizeNumber = jest.fn((num) => (num == null ? "" : num));
+global.calculateOneRepMax = jest.fn(() => 116.67);
+global.getRepsValue = jest.fn((set) => set?.reps ?? null);
+global.getOneRepMaxFormula = jest.fn(() => "Epley");
+const ONE_REP_MAX_FORMULAS = { EPLEY: "Epley" };
 
 // Simplified workout import functions for testing
-function getLastWorkoutUpdate(sheet) {
-  if (!sheet.getRange("A2").getValue()) return false;
+const getLastWorkoutUpdate = (sheet) => {
   const properties = getDocumentProperties();
-  return properties?.getProperty("LAST_WORKOUT_UPDATE") || false;
+  const lastUpdate = properties?.getProperty(
+    getAthletePropertyKey("LAST_WORKOUT_UPDATE")
+  );
+
+  if (lastUpdate) {
+    return lastUpdate;
+  }
+
+  if (sheet.getLastRow() > 1 && sheet.getRange("A2").getValue()) {
+    return false;
+  }
+
+  return false;
+};
+
+function isInWorkoutSyncWindow(workout, cutoff) {
+  if (!cutoff) {
+    return true;
+  }
+  const startTime = new Date(workout?.start_time);
+  return isNaN(startTime.getTime()) || startTime >= cutoff;
 }
 
-function processWorkoutEvents(events) {
+function processWorkoutEvents(events, cutoff = null) {
   const deletedIds = new Set();
   const upsertIds = [];
 
-  events.forEach((e) => {
-    if (e.type === "deleted") {
-      const id = e.workout?.id || e.id;
-      if (id) deletedIds.add(id);
-    } else if (e.type === "updated" || e.type === "created") {
-      const id = e.workout?.id;
-      if (id) upsertIds.push(id);
+  for (const event of events) {
+    if (event.type === "deleted") {
+      const id = event.workout?.id ?? event.id;
+      if (id) {
+        deletedIds.add(id);
+      }
+    } else if (event.type === "updated" || event.type === "created") {
+      const id = event.workout?.id;
+      if (id && isInWorkoutSyncWindow(event.workout, cutoff)) {
+        upsertIds.push(id);
+      }
     }
-  });
+  }
 
   return { deletedIds, upsertIds };
 }
 
-function createEmptyWorkoutRow(workout) {
+function createEmptyWorkoutRow(workout, athlete = "") {
   return [
     workout.id,
     workout.title,
@@ -140,10 +183,20 @@ function createEmptyWorkoutRow(workout) {
     "",
     "",
     "",
+    "",
+    workout.description ?? "",
+    "",
+    "",
+    "",
+    athlete,
   ];
 }
 
-function createWorkoutRows(workout) {
+function createWorkoutRows(
+  workout,
+  oneRepMaxFormula = ONE_REP_MAX_FORMULAS.EPLEY,
+  athlete = ""
+) {
   return workout.exercises.flatMap((ex) =>
     ex.sets.map((set) => [
       workout.id,
@@ -154,17 +207,26 @@ function createWorkoutRows(workout) {
       ex.exercise_template_id || "",
       normalizeSetType(set.type),
       normalizeWeight(set.weight_kg),
-      normalizeNumber(set.reps ?? set.distance_meters),
+      normalizeNumber(getRepsValue(set) ?? set.distance_meters),
       normalizeNumber(set.duration_seconds),
       normalizeNumber(set.rpe),
+      calculateOneRepMax(set.weight_kg, set.reps, oneRepMaxFormula, set.rpe),
+      workout.description ?? "",
+      ex.notes ?? "",
+      normalizeNumber(ex.superset_id ?? ex.supersets_id),
+      normalizeNumber(set.index),
+      athlete,
     ])
   );
 }
 
-function processWorkoutsData(workouts) {
+function processWorkoutsData(workouts, athlete = getActiveAthleteName()) {
   try {
-    return workouts.flatMap((w) =>
-      !w.exercises?.length ? [createEmptyWorkoutRow(w)] : createWorkoutRows(w)
+    const oneRepMaxFormula = getOneRepMaxFormula();
+    return workouts.flatMap((workout) =>
+      workout.exercises?.length
+        ? createWorkoutRows(workout, oneRepMaxFormula, athlete)
+        : [createEmptyWorkoutRow(workout, athlete)]
     );
   } catch (error) {
     throw ErrorHandler.handle(error, {
@@ -174,39 +236,561 @@ function processWorkoutsData(workouts) {
   }
 }
 
+const _fetchWorkoutsInBatches = jest.fn();
+const getActiveSpreadsheet = () => mockSpreadsheet;
+const getApiClient = () => mockApiClient;
+const syncLocalizedExerciseNames = jest.fn();
+const WorkoutRetryQueue = {
+  clear: jest.fn(),
+  getIds: jest.fn(() => []),
+  getEntries: jest.fn(() => []),
+  add: jest.fn(),
+  remove: jest.fn(),
+};
+const updateWorkoutData = jest.fn();
+const _mergePersonalRecordsAfterDelta = jest.fn();
+const _refreshWorkoutSummaries = jest.fn();
+const getWorkoutSyncCutoff = jest.fn(() => null);
+const sortWorkoutRowsByStartTime = jest.fn();
+let mockAthletes = [];
+let activeAthlete = null;
+const getActiveAthleteName = () => activeAthlete?.name ?? "";
+const getAthletePropertyKey = (baseKey) =>
+  activeAthlete ? `${baseKey}_ATHLETE_${activeAthlete.id}` : baseKey;
+const forEachAthlete = async (step) => {
+  for (const athlete of mockAthletes) {
+    activeAthlete = athlete;
+    try {
+      await step(athlete);
+    } finally {
+      activeAthlete = null;
+    }
+  }
+};
+const getWorkoutAthletes = (sheet) => sheet.athletes ?? new Map();
+const resetAthleteWorkoutWatermarks = jest.fn();
+const CSV_WORKOUT_ID_PREFIXES = { STRONG: "strong-", FITNOTES: "fitnotes-" };
+const isCsvWorkoutId = (workoutId) =>
+  Object.values(CSV_WORKOUT_ID_PREFIXES).some((prefix) =>
+    String(workoutId).startsWith(prefix)
+  );
+const IMPORT_LOG_ENTITIES = { WORKOUTS: "Workouts" };
+const ImportLog = { recordChanges: jest.fn() };
+const ImportProgressTracker = {
+  loadWorkoutCheckpoint: jest.fn(),
+  saveWorkoutCheckpoint: jest.fn(),
+  clearWorkoutCheckpoint: jest.fn(),
+  runExclusive: jest.fn((operation) => operation(() => false)),
+};
+
+function _extractLocalizedExerciseNames(workouts, idToLocalizedName) {
+  workouts.forEach((workout) => {
+    if (!workout.exercises || !Array.isArray(workout.exercises)) {
+      return;
+    }
+
+    workout.exercises.forEach((exercise) => {
+      const exerciseTemplateId = exercise.exercise_template_id;
+      const localizedTitle = exercise.title;
+      if (
+        exerciseTemplateId &&
+        localizedTitle &&
+        exerciseTemplateId !== "N/A"
+      ) {
+        idToLocalizedName.set(exerciseTemplateId, localizedTitle);
+      }
+    });
+  });
+}
+
+function _writeRowsToSheet(sheet, rows, startRow) {
+  if (rows.length === 0) {
+    return 0;
+  }
+
+  const numCols = rows[0].length;
+  sheet.getRange(startRow, 1, rows.length, numCols).setValues(rows);
+  return rows.length;
+}
+
+async function importAllWorkoutsFull(checkTimeout = null) {
+  const manager = SheetManager.getOrCreate(WORKOUTS_SHEET_NAME);
+  const props = getDocumentProperties();
+  props?.deleteProperty("LAST_WORKOUT_UPDATE");
+  // Clearing the sheet also removes the athletes' rows
+  resetAthleteWorkoutWatermarks();
+
+  const checkpoint = ImportProgressTracker.loadWorkoutCheckpoint();
+  let existingIds = new Set();
+  let keptRowCount = 0;
+  if (checkpoint) {
+    existingIds = _prepareResumedWorkoutImport(
+      manager.sheet,
+      checkpoint.nextRow
+    );
+  } else {
+    keptRowCount = _clearWorkoutsKeepingCsvRows(manager);
+  }
+  const startedAt = checkpoint?.startedAt ?? new Date().toISOString();
+  const cutoff = getWorkoutSyncCutoff();
+
+  let currentRow = checkpoint?.nextRow ?? 2 + keptRowCount;
+  let totalRowsWritten = checkpoint?.rowsWritten ?? 0;
+  let lastPage = checkpoint?.page ?? 0;
+  const idToLocalizedName = new Map();
+  const WRITE_BATCH_SIZE = 150;
+  let pendingRows = [];
+  let pendingWorkoutCount = 0;
+
+  // Only whole pages are buffered, so every write ends on a page boundary
+  const flushPendingRows = () => {
+    const written = _writeRowsToSheet(manager.sheet, pendingRows, currentRow);
+    currentRow += written;
+    totalRowsWritten += written;
+    ImportLog.recordChanges(IMPORT_LOG_ENTITIES.WORKOUTS, {
+      added: pendingWorkoutCount,
+    });
+    pendingRows = [];
+    pendingWorkoutCount = 0;
+    ImportProgressTracker.saveWorkoutCheckpoint({
+      page: lastPage,
+      nextRow: currentRow,
+      rowsWritten: totalRowsWritten,
+      startedAt,
+    });
+  };
+
+  if (checkpoint) {
+    getActiveSpreadsheet().toast(
+      `Resuming workout import from page ${checkpoint.page}...`,
+      "Resuming Import",
+      TOAST_DURATION.SHORT
+    );
+  }
+
+  try {
+    await getApiClient().fetchPaginatedData(
+      API_ENDPOINTS.WORKOUTS,
+      PAGE_SIZE.WORKOUTS,
+      async (workouts, page) => {
+        if (!workouts || workouts.length === 0) {
+          return;
+        }
+
+        // Pages are newest first, so the rest are older than the window too
+        const inWindow = workouts.filter((workout) =>
+          isInWorkoutSyncWindow(workout, cutoff)
+        );
+        if (inWindow.length === 0) {
+          return false;
+        }
+
+        // Workouts created since the last session shift later pages
+        const newWorkouts = inWindow.filter(
+          (workout) => !existingIds.has(workout.id)
+        );
+        pendingRows.push(...processWorkoutsData(newWorkouts));
+        pendingWorkoutCount += newWorkouts.length;
+        _extractLocalizedExerciseNames(newWorkouts, idToLocalizedName);
+        lastPage = page;
+
+        if (pendingRows.length >= WRITE_BATCH_SIZE) {
+          flushPendingRows();
+        }
+      },
+      "workouts",
+      {},
+      checkTimeout,
+      // The last written page is fetched again, since deleted workouts pull
+      // unwritten ones onto it
+      Math.max(lastPage, 1)
+    );
+  } catch (error) {
+    if (error instanceof ImportTimeoutError && pendingRows.length > 0) {
+      flushPendingRows();
+    }
+    throw error;
+  }
+
+  if (pendingRows.length > 0) {
+    flushPendingRows();
+  }
+  // Kept CSV workouts were written first, so interleave them by date
+  sortWorkoutRowsByStartTime(manager.sheet);
+
+  // Changes made while the import ran are picked up by the next delta import
+  props?.setProperty("LAST_WORKOUT_UPDATE", startedAt);
+  ImportProgressTracker.clearWorkoutCheckpoint();
+  WorkoutRetryQueue.clear();
+  const ss = getActiveSpreadsheet();
+  ss.toast(
+    `Imported ${totalRowsWritten} workout records.`,
+    "Full Import Complete",
+    TOAST_DURATION.NORMAL
+  );
+
+  if (idToLocalizedName.size > 0) {
+    try {
+      await syncLocalizedExerciseNames(idToLocalizedName, checkTimeout);
+    } catch (error) {
+      if (error instanceof ImportTimeoutError) {
+        console.warn("syncLocalizedExerciseNames timed out after full import");
+      } else {
+        throw error;
+      }
+    }
+  }
+
+  return totalRowsWritten;
+}
+
+function _clearWorkoutsKeepingCsvRows(manager) {
+  const sheet = manager.sheet;
+  const lastRow = sheet.getLastRow();
+  const csvRows =
+    lastRow > 1
+      ? sheet
+          .getRange(2, 1, lastRow - 1, sheet.getLastColumn())
+          .getValues()
+          .filter(([id]) => isCsvWorkoutId(id))
+      : [];
+
+  manager.clearSheet();
+  if (csvRows.length > 0) {
+    sheet.getRange(2, 1, csvRows.length, csvRows[0].length).setValues(csvRows);
+  }
+  return csvRows.length;
+}
+
+function _prepareResumedWorkoutImport(sheet, nextRow) {
+  const lastRow = sheet.getLastRow();
+  if (lastRow >= nextRow) {
+    sheet
+      .getRange(nextRow, 1, lastRow - nextRow + 1, sheet.getLastColumn())
+      .clearContent();
+  }
+
+  return new Set(_buildWorkoutIdRowMap(sheet).keys());
+}
+function _buildWorkoutIdRowMap(sheet) {
+  const rowMap = new Map();
+  const lastRow = sheet.getLastRow();
+
+  if (lastRow <= 1) {
+    return rowMap;
+  }
+
+  const idColumn = sheet.getRange(2, 1, lastRow - 1, 1).getValues();
+  idColumn.forEach((row, i) => {
+    if (!row[0]) {
+      return;
+    }
+    if (!rowMap.has(row[0])) {
+      rowMap.set(row[0], []);
+    }
+    rowMap.get(row[0]).push(i + 2);
+  });
+
+  return rowMap;
+}
+
+/**
+ * Creates a Workouts sheet stub whose ID column holds the given IDs
+ * @param {Array<string>} ids - Workout ID of each data row
+ * @returns {Object} Sheet stub recording writes and cleared ranges
+ */
+function createWorkoutSheetStub(ids) {
+  const writes = [];
+  const cleared = [];
+  return {
+    writes,
+    cleared,
+    getLastRow: () => ids.length + 1,
+    getLastColumn: () => 16,
+    getRange: jest.fn((row, col, numRows) => ({
+      getValues: () => ids.slice(row - 2, row - 2 + numRows).map((id) => [id]),
+      setValues: (values) => writes.push({ row, values }),
+      clearContent: () => cleared.push({ row, numRows }),
+    })),
+  };
+}
+
+async function _fetchQueuedWorkouts(workoutIds, apiKey, checkTimeout = null) {
+  if (workoutIds.length === 0) {
+    return { fullWorkouts: [], failedIds: [] };
+  }
+
+  try {
+    return await _fetchWorkoutsInBatches(workoutIds, apiKey, checkTimeout);
+  } catch (error) {
+    if (!(error instanceof ValidationError)) {
+      throw error;
+    }
+    console.warn("Retrying queued workouts failed:", error.message);
+    return { fullWorkouts: [], failedIds: workoutIds };
+  }
+}
+
+async function retryFailedWorkouts() {
+  try {
+    const { imported, failed } = await ImportProgressTracker.runExclusive(
+      async (checkTimeout) => {
+        const manager = SheetManager.getOrCreate(WORKOUTS_SHEET_NAME);
+        const totals = { imported: 0, failed: 0 };
+        const retryAccount = async () => {
+          const counts = await _retryAccountWorkouts(manager, checkTimeout);
+          totals.imported += counts.imported;
+          totals.failed += counts.failed;
+        };
+
+        await retryAccount();
+        await forEachAthlete(retryAccount);
+        if (totals.imported > 0) {
+          await _refreshWorkoutSummaries(manager, checkTimeout);
+        }
+        return totals;
+      }
+    );
+
+    if (imported + failed > 0) {
+      getActiveSpreadsheet().toast(
+        failed > 0
+          ? `Imported ${imported} workout(s). ${failed} still failing.`
+          : `Imported ${imported} workout(s).`,
+        "Retry Complete",
+        TOAST_DURATION.NORMAL
+      );
+    }
+    return getWorkoutRetryStatus();
+  } catch (error) {
+    throw ErrorHandler.handle(error, {
+      operation: "Retrying failed workouts",
+      sheetName: WORKOUTS_SHEET_NAME,
+    });
+  }
+}
+
+async function _retryAccountWorkouts(manager, checkTimeout) {
+  const workoutIds = WorkoutRetryQueue.getIds();
+  if (workoutIds.length === 0) {
+    return { imported: 0, failed: 0 };
+  }
+
+  const apiKey = getApiClient().apiKeyManager.getApiKeyFromProperties();
+  if (!apiKey) {
+    throw new ConfigurationError("API key not found");
+  }
+
+  const { fullWorkouts, failedIds } = await _fetchQueuedWorkouts(
+    workoutIds,
+    apiKey,
+    checkTimeout
+  );
+
+  if (fullWorkouts.length > 0) {
+    const rows = processWorkoutsData(fullWorkouts);
+    updateWorkoutData(manager.sheet, rows);
+    WorkoutRetryQueue.remove(fullWorkouts.map((workout) => workout.id));
+    await _mergePersonalRecordsAfterDelta(
+      rows,
+      new Set(fullWorkouts.map((workout) => workout.id)),
+      checkTimeout
+    );
+  }
+  WorkoutRetryQueue.add(failedIds);
+  return { imported: fullWorkouts.length, failed: failedIds.length };
+}
+
+async function getWorkoutRetryStatus() {
+  const entries = [...WorkoutRetryQueue.getEntries()];
+  await forEachAthlete(async () => {
+    entries.push(...WorkoutRetryQueue.getEntries());
+  });
+  entries.sort((a, b) => a.lastAttempt.localeCompare(b.lastAttempt));
+  return { count: entries.length, entries };
+}
+
+async function _previewWorkoutImport(checkTimeout = null) {
+  try {
+    const sheet = getActiveSpreadsheet().getSheetByName(WORKOUTS_SHEET_NAME);
+    const preview = await _previewAccountWorkouts(sheet, false, checkTimeout);
+
+    // A full import clears athlete rows too, so athletes are listed again
+    const isFullImport = !preview.since;
+    await forEachAthlete(async (athlete) => {
+      const athletePreview = await _previewAccountWorkouts(
+        sheet,
+        isFullImport,
+        checkTimeout
+      );
+      ["added", "updated", "deleted"].forEach((key) =>
+        preview[key].push(
+          ...athletePreview[key].map((item) => ({
+            ...item,
+            detail: [athlete.name, item.detail].filter(Boolean).join(", "),
+          }))
+        )
+      );
+    });
+    return preview;
+  } catch (error) {
+    throw ErrorHandler.handle(error, {
+      operation: "Previewing workouts",
+      sheetName: WORKOUTS_SHEET_NAME,
+    });
+  }
+}
+
+async function _previewAccountWorkouts(sheet, isFullImport, checkTimeout) {
+  const sheetWorkouts = sheet ? _readSheetWorkouts(sheet) : new Map();
+  const lastUpdate = isFullImport
+    ? null
+    : getDocumentProperties()?.getProperty(
+        getAthletePropertyKey("LAST_WORKOUT_UPDATE")
+      );
+  const cutoff = getWorkoutSyncCutoff();
+  const preview = {
+    entity: IMPORT_LOG_ENTITIES.WORKOUTS,
+    added: [],
+    updated: [],
+    deleted: [],
+  };
+  const addUpsert = (item) =>
+    (sheetWorkouts.has(item.id) ? preview.updated : preview.added).push(item);
+
+  if (!lastUpdate) {
+    const listedIds = new Set();
+    await getApiClient().fetchPaginatedData(
+      API_ENDPOINTS.WORKOUTS,
+      PAGE_SIZE.WORKOUTS,
+      async (workouts) => {
+        const inWindow = workouts.filter((workout) =>
+          isInWorkoutSyncWindow(workout, cutoff)
+        );
+        if (inWindow.length === 0) {
+          return false;
+        }
+        inWindow.forEach((workout) => {
+          listedIds.add(workout.id);
+          addUpsert(_toWorkoutPreviewItem(workout));
+        });
+      },
+      "workouts",
+      {},
+      checkTimeout
+    );
+
+    sheetWorkouts.forEach((item, id) => {
+      if (!listedIds.has(id) && !isCsvWorkoutId(id)) {
+        preview.deleted.push(item);
+      }
+    });
+    preview.note =
+      "No previous sync was found, so the Workouts sheet will be cleared and every workout imported again. Workouts imported from CSV into the sheet only are kept.";
+    return preview;
+  }
+
+  const events = [];
+  await getApiClient().fetchPaginatedData(
+    API_ENDPOINTS.WORKOUTS_EVENTS,
+    PAGE_SIZE.WORKOUTS,
+    (page) => events.push(...page),
+    "events",
+    { since: lastUpdate },
+    checkTimeout
+  );
+
+  const { deletedIds, upsertIds } = processWorkoutEvents(events, cutoff);
+  const eventWorkouts = new Map();
+  events.forEach((event) => {
+    if (event.workout?.id) {
+      eventWorkouts.set(event.workout.id, event.workout);
+    }
+  });
+
+  deletedIds.forEach((id) => {
+    if (sheetWorkouts.has(id)) {
+      preview.deleted.push(sheetWorkouts.get(id));
+    }
+  });
+  new Set(upsertIds).forEach((id) =>
+    addUpsert(_toWorkoutPreviewItem(eventWorkouts.get(id)))
+  );
+  WorkoutRetryQueue.getIds()
+    .filter((id) => !deletedIds.has(id) && !upsertIds.includes(id))
+    .forEach((id) =>
+      addUpsert({
+        ...(sheetWorkouts.get(id) ?? { id, title: "" }),
+        detail: "retrying a failed fetch",
+      })
+    );
+
+  preview.since = lastUpdate;
+  return preview;
+}
+
+function _readSheetWorkouts(sheet) {
+  const workouts = new Map();
+  const lastRow = sheet.getLastRow();
+  if (lastRow <= 1) {
+    return workouts;
+  }
+
+  const athlete = getActiveAthleteName();
+  const athletes = getWorkoutAthletes(sheet);
+  sheet
+    .getRange(2, 1, lastRow - 1, 3)
+    .getValues()
+    .forEach(([id, title, startTime]) => {
+      if (id && !workouts.has(id) && (athletes.get(id) || "") === athlete) {
+        workouts.set(
+          id,
+          _toWorkoutPreviewItem({ id, title, start_time: startTime })
+        );
+      }
+    });
+  return workouts;
+}
+
+function _toWorkoutPreviewItem(workout) {
+  const startTime = new Date(workout.start_time);
+  return {
+    id: String(workout.id),
+    title: String(workout.title ?? ""),
+    date: isNaN(startTime.getTime()) ? "" : startTime.toISOString(),
+  };
+}
+
 describe("Workouts", () => {
   let mockSheet;
 
   beforeEach(() => {
     jest.clearAllMocks();
     mockSheet = {
+      getLastRow: jest.fn(() => 1),
       getRange: jest.fn(() => ({
         getValue: jest.fn(() => null),
       })),
     };
     mockProperties._store = {};
+    mockProperties.getProperty.mockImplementation(
+      (key) => mockProperties._store[key] ?? null
+    );
   });
 
   describe("getLastWorkoutUpdate()", () => {
     test("should return false if no data in sheet", () => {
-      mockSheet.getRange.mockReturnValue({
-        getValue: jest.fn(() => null),
-      });
-
       const result = getLastWorkoutUpdate(mockSheet);
 
       expect(result).toBe(false);
     });
 
     test("should return timestamp from properties if data exists", () => {
+      mockSheet.getLastRow.mockReturnValue(5);
       mockSheet.getRange.mockReturnValue({
         getValue: jest.fn(() => "some value"),
       });
       mockProperties._store["LAST_WORKOUT_UPDATE"] = "2024-01-01T00:00:00Z";
-      mockProperties.getProperty.mockImplementation((key) => {
-        return mockProperties._store[key] || null;
-      });
-      getDocumentProperties.mockReturnValue(mockProperties);
 
       const result = getLastWorkoutUpdate(mockSheet);
 
@@ -214,6 +798,7 @@ describe("Workouts", () => {
     });
 
     test("should return false if property not set", () => {
+      mockSheet.getLastRow.mockReturnValue(5);
       mockSheet.getRange.mockReturnValue({
         getValue: jest.fn(() => "some value"),
       });
@@ -222,6 +807,21 @@ describe("Workouts", () => {
 
       expect(result).toBe(false);
     });
+
+    test("should read the watermark of the athlete being imported", async () => {
+      mockProperties._store["LAST_WORKOUT_UPDATE"] = "2024-01-01T00:00:00Z";
+      mockProperties._store["LAST_WORKOUT_UPDATE_ATHLETE_sam-id"] =
+        "2024-02-01T00:00:00Z";
+      mockAthletes = [{ id: "sam-id", name: "Sam" }];
+      const results = [];
+
+      await forEachAthlete(async () => {
+        results.push(getLastWorkoutUpdate(mockSheet));
+      });
+      mockAthletes = [];
+
+      expect(results).toEqual(["2024-02-01T00:00:00Z"]);
+    });
   });
 
   describe("processWorkoutEvents()", () => {
@@ -282,6 +882,29 @@ describe("Workouts", () => {
       expect(result.upsertIds.length).toBe(2);
     });
 
+    test("should ignore upserts of workouts before the sync window", () => {
+      const events = [
+        createMockWorkoutEvent({
+          type: "updated",
+          workout: { id: "old", start_time: "2023-12-31T18:00:00Z" },
+        }),
+        createMockWorkoutEvent({
+          type: "created",
+          workout: { id: "recent", start_time: "2024-02-01T18:00:00Z" },
+        }),
+        createMockWorkoutEvent({
+          type: "deleted",
+          id: "old-deleted",
+          workout: null,
+        }),
+      ];
+
+      const result = processWorkoutEvents(events, new Date("2024-01-01"));
+
+      expect(result.upsertIds).toEqual(["recent"]);
+      expect(result.deletedIds.has("old-deleted")).toBe(true);
+    });
+
     test("should handle events without IDs", () => {
       const events = [
         { type: "deleted" }, // No id or workout
@@ -347,6 +970,21 @@ describe("Workouts", () => {
       expect(result.length).toBe(2); // One empty row + one set row
     });
 
+    test("should tag rows with the athlete being imported", async () => {
+      mockAthletes = [{ id: "sam-id", name: "Sam" }];
+      let result;
+
+      await forEachAthlete(async () => {
+        result = processWorkoutsData([createMockWorkout({ exercises: [] })]);
+      });
+      mockAthletes = [];
+
+      expect(result[0][16]).toBe("Sam");
+      expect(
+        processWorkoutsData([createMockWorkout({ exercises: [] })])[0][16]
+      ).toBe("");
+    });
+
     test("should handle errors during processing", () => {
       const invalidWorkout = null;
 
@@ -367,6 +1005,14 @@ describe("Workouts", () => {
       expect(result[0]).toBe(workout.id);
       expect(result[1]).toBe(workout.title);
       expect(result[4]).toBe(""); // Exercise column
+      expect(result.length).toBe(17);
+      expect(result[16]).toBe(""); // Athlete column
+    });
+
+    test("should tag the row with the athlete", () => {
+      const result = createEmptyWorkoutRow(createMockWorkout(), "Sam");
+
+      expect(result[16]).toBe("Sam");
     });
   });
 
@@ -392,6 +1038,64 @@ describe("Workouts", () => {
       expect(result[0][5]).toBe("EX001");
     });
 
+    test("should add the estimated 1RM after the RPE column", () => {
+      const workout = createMockWorkout({
+        exercises: [
+          {
+            title: "Bench Press",
+            exercise_template_id: "EX001",
+            sets: [{ type: "normal", weight_kg: 100, reps: 5, rpe: 8 }],
+          },
+        ],
+      });
+
+      const result = createWorkoutRows(workout, "Brzycki");
+
+      expect(result[0].length).toBe(17);
+      expect(calculateOneRepMax).toHaveBeenCalledWith(100, 5, "Brzycki", 8);
+      expect(result[0][11]).toBe(116.67);
+    });
+
+    test("should include description, notes, superset and set index", () => {
+      const workout = createMockWorkout({
+        description: "Felt strong",
+        exercises: [
+          {
+            title: "Bench Press",
+            exercise_template_id: "EX001",
+            notes: "Pause reps",
+            supersets_id: 1,
+            sets: [{ index: 0, type: "normal", weight_kg: 100, reps: 5 }],
+          },
+        ],
+      });
+
+      const result = createWorkoutRows(workout);
+
+      expect(result[0].slice(12)).toEqual([
+        "Felt strong",
+        "Pause reps",
+        1,
+        0,
+        "",
+      ]);
+    });
+
+    test("should write reps through getRepsValue and tag the athlete", () => {
+      const set = { type: "normal", weight_kg: 100, reps: 5 };
+      const workout = createMockWorkout({
+        exercises: [
+          { title: "Bench Press", exercise_template_id: "EX001", sets: [set] },
+        ],
+      });
+
+      const result = createWorkoutRows(workout, "Epley", "Sam");
+
+      expect(getRepsValue).toHaveBeenCalledWith(set);
+      expect(result[0][8]).toBe(5);
+      expect(result[0][16]).toBe("Sam");
+    });
+
     test("should handle multiple exercises", () => {
       const workout = createMockWorkout({
         exercises: [
@@ -413,4 +1117,404 @@ describe("Workouts", () => {
       expect(result.length).toBe(2);
     });
   });
+
+  describe("_fetchQueuedWorkouts()", () => {
+    beforeEach(() => {
+      jest.spyOn(console, "warn").mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.warn.mockRestore();
+    });
+
+    test("should skip the API when nothing is queued", async () => {
+      const result = await _fetchQueuedWorkouts([], "key");
+
+      expect(result).toEqual({ fullWorkouts: [], failedIds: [] });
+      expect(_fetchWorkoutsInBatches).not.toHaveBeenCalled();
+    });
+
+    test("should return fetched workouts and IDs that still fail", async () => {
+      const workout = createMockWorkout({ id: "w1" });
+      _fetchWorkoutsInBatches.mockResolvedValue({
+        fullWorkouts: [workout],
+        failedIds: ["w2"],
+      });
+
+      const result = await _fetchQueuedWorkouts(["w1", "w2"], "key");
+
+      expect(result).toEqual({ fullWorkouts: [workout], failedIds: ["w2"] });
+    });
+
+    test("should report every ID as failed when the batch is rejected", async () => {
+      _fetchWorkoutsInBatches.mockRejectedValue(
+        new ValidationError("Only 0 of 2 requests succeeded")
+      );
+
+      const result = await _fetchQueuedWorkouts(["w1", "w2"], "key");
+
+      expect(result).toEqual({ fullWorkouts: [], failedIds: ["w1", "w2"] });
+    });
+
+    test("should rethrow other errors such as timeouts", async () => {
+      _fetchWorkoutsInBatches.mockRejectedValue(new Error("Timeout"));
+
+      await expect(_fetchQueuedWorkouts(["w1"], "key")).rejects.toThrow(
+        "Timeout"
+      );
+    });
+  });
+
+  describe("retryFailedWorkouts()", () => {
+    const workout = (id) => createMockWorkout({ id, exercises: [] });
+
+    beforeEach(() => {
+      mockApiClient.apiKeyManager = { getApiKeyFromProperties: () => "key" };
+      mockAthletes = [{ id: "sam-id", name: "Sam" }];
+      WorkoutRetryQueue.getIds.mockImplementation(() =>
+        activeAthlete ? ["a1"] : ["w1"]
+      );
+    });
+
+    afterEach(() => {
+      mockAthletes = [];
+      WorkoutRetryQueue.getIds.mockImplementation(() => []);
+    });
+
+    test("should retry the queue of the own account and every athlete under the import lock", async () => {
+      _fetchWorkoutsInBatches
+        .mockResolvedValueOnce({ fullWorkouts: [workout("w1")], failedIds: [] })
+        .mockResolvedValueOnce({ fullWorkouts: [], failedIds: ["a1"] });
+
+      await retryFailedWorkouts();
+
+      expect(ImportProgressTracker.runExclusive).toHaveBeenCalled();
+      expect(_fetchWorkoutsInBatches.mock.calls.map(([ids]) => ids)).toEqual([
+        ["w1"],
+        ["a1"],
+      ]);
+      expect(updateWorkoutData).toHaveBeenCalledTimes(1);
+      expect(WorkoutRetryQueue.remove).toHaveBeenCalledWith(["w1"]);
+      expect(WorkoutRetryQueue.add).toHaveBeenCalledWith(["a1"]);
+      expect(_refreshWorkoutSummaries).toHaveBeenCalledTimes(1);
+      expect(mockSpreadsheet.toast).toHaveBeenCalledWith(
+        "Imported 1 workout(s). 1 still failing.",
+        "Retry Complete",
+        TOAST_DURATION.NORMAL
+      );
+    });
+
+    test("should not touch the sheet while another import is running", async () => {
+      ImportProgressTracker.runExclusive.mockRejectedValueOnce(
+        new ValidationError("Another import is running.")
+      );
+
+      await expect(retryFailedWorkouts()).rejects.toThrow(
+        "Another import is running."
+      );
+      expect(_fetchWorkoutsInBatches).not.toHaveBeenCalled();
+      expect(updateWorkoutData).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("getWorkoutRetryStatus()", () => {
+    afterEach(() => {
+      mockAthletes = [];
+      WorkoutRetryQueue.getEntries.mockImplementation(() => []);
+    });
+
+    test("should list the queues of every account, oldest first", async () => {
+      mockAthletes = [{ id: "sam-id", name: "Sam" }];
+      WorkoutRetryQueue.getEntries.mockImplementation(() => [
+        activeAthlete
+          ? { id: "a1", attempts: 1, lastAttempt: "2026-01-01T09:00:00Z" }
+          : { id: "w1", attempts: 2, lastAttempt: "2026-01-01T10:00:00Z" },
+      ]);
+
+      const status = await getWorkoutRetryStatus();
+
+      expect(status.count).toBe(2);
+      expect(status.entries.map((entry) => entry.id)).toEqual(["a1", "w1"]);
+    });
+  });
+
+  describe("importAllWorkoutsFull()", () => {
+    let sheet;
+    let manager;
+
+    const page = (...ids) =>
+      ids.map((id) => createMockWorkout({ id, exercises: [] }));
+
+    beforeEach(() => {
+      manager = { sheet: null, clearSheet: jest.fn() };
+      jest.spyOn(SheetManager, "getOrCreate").mockImplementation(() => manager);
+      ImportProgressTracker.loadWorkoutCheckpoint.mockReturnValue(null);
+    });
+
+    afterEach(() => {
+      SheetManager.getOrCreate.mockRestore();
+    });
+
+    test("should checkpoint written pages when the time limit is hit", async () => {
+      sheet = createWorkoutSheetStub([]);
+      manager.sheet = sheet;
+      mockApiClient.fetchPaginatedData.mockImplementation(
+        async (endpoint, size, processFn) => {
+          await processFn(page("w1", "w2"), 1);
+          await processFn(page("w3"), 2);
+          throw new ImportTimeoutError("Timeout approaching");
+        }
+      );
+
+      await expect(importAllWorkoutsFull()).rejects.toThrow(ImportTimeoutError);
+
+      expect(manager.clearSheet).toHaveBeenCalled();
+      // Athlete rows are cleared too, so athletes are imported again
+      expect(resetAthleteWorkoutWatermarks).toHaveBeenCalled();
+      expect(sheet.writes).toHaveLength(1);
+      expect(sheet.writes[0].row).toBe(2);
+      expect(ImportProgressTracker.saveWorkoutCheckpoint).toHaveBeenCalledWith(
+        expect.objectContaining({ page: 2, nextRow: 5, rowsWritten: 3 })
+      );
+      expect(
+        ImportProgressTracker.clearWorkoutCheckpoint
+      ).not.toHaveBeenCalled();
+      expect(ImportLog.recordChanges).toHaveBeenCalledWith("Workouts", {
+        added: 3,
+      });
+    });
+
+    test("should resume at the checkpointed page without clearing the sheet", async () => {
+      sheet = createWorkoutSheetStub(["w1", "w2", "w3", "partial"]);
+      manager.sheet = sheet;
+      ImportProgressTracker.loadWorkoutCheckpoint.mockReturnValue({
+        page: 2,
+        nextRow: 5,
+        rowsWritten: 3,
+        startedAt: "2026-03-01T10:00:00.000Z",
+      });
+      mockApiClient.fetchPaginatedData.mockImplementation(
+        async (endpoint, size, processFn) => {
+          await processFn(page("w3", "w4"), 2);
+        }
+      );
+
+      const total = await importAllWorkoutsFull();
+
+      expect(manager.clearSheet).not.toHaveBeenCalled();
+      expect(sheet.cleared).toEqual([{ row: 5, numRows: 1 }]);
+      expect(mockApiClient.fetchPaginatedData.mock.calls[0][6]).toBe(2);
+      expect(sheet.writes).toHaveLength(1);
+      expect(sheet.writes[0].row).toBe(5);
+      expect(sheet.writes[0].values.map((row) => row[0])).toEqual(["w4"]);
+      expect(total).toBe(4);
+      expect(mockProperties.setProperty).toHaveBeenCalledWith(
+        "LAST_WORKOUT_UPDATE",
+        "2026-03-01T10:00:00.000Z"
+      );
+      expect(ImportProgressTracker.clearWorkoutCheckpoint).toHaveBeenCalled();
+    });
+
+    test("should keep sheet-only CSV workouts and write after them", async () => {
+      sheet = createWorkoutSheetStub([
+        "w-old",
+        "strong-2024-01-01T10:00:00.000Z",
+      ]);
+      manager.sheet = sheet;
+      mockApiClient.fetchPaginatedData.mockImplementation(
+        async (endpoint, size, processFn) => {
+          await processFn(page("w1"), 1);
+        }
+      );
+
+      const total = await importAllWorkoutsFull();
+
+      expect(manager.clearSheet).toHaveBeenCalled();
+      expect(sheet.writes).toEqual([
+        { row: 2, values: [["strong-2024-01-01T10:00:00.000Z"]] },
+        { row: 3, values: [expect.arrayContaining(["w1"])] },
+      ]);
+      expect(total).toBe(1);
+      expect(sortWorkoutRowsByStartTime).toHaveBeenCalledWith(sheet);
+    });
+
+    test("should stop at the first page older than the sync window", async () => {
+      sheet = createWorkoutSheetStub([]);
+      manager.sheet = sheet;
+      getWorkoutSyncCutoff.mockReturnValueOnce(new Date("2024-01-01"));
+      const dated = (id, start_time) =>
+        createMockWorkout({ id, start_time, exercises: [] });
+      const pageResults = [];
+      mockApiClient.fetchPaginatedData.mockImplementation(
+        async (endpoint, size, processFn) => {
+          pageResults.push(
+            await processFn(
+              [
+                dated("w1", "2024-02-01T10:00:00Z"),
+                dated("w2", "2023-12-20T10:00:00Z"),
+              ],
+              1
+            )
+          );
+          pageResults.push(
+            await processFn([dated("w3", "2023-11-01T10:00:00Z")], 2)
+          );
+        }
+      );
+
+      const total = await importAllWorkoutsFull();
+
+      expect(pageResults).toEqual([undefined, false]);
+      expect(total).toBe(1);
+      expect(sheet.writes[0].values.map((row) => row[0])).toEqual(["w1"]);
+    });
+  });
+
+  describe("_previewWorkoutImport()", () => {
+    const sheetRows = [
+      ["w1", "Push", new Date("2024-01-01T10:00:00Z")],
+      ["w1", "Push", new Date("2024-01-01T10:00:00Z")],
+      ["w2", "Pull", new Date("2024-01-03T10:00:00Z")],
+      ["w3", "Legs", new Date("2024-01-05T10:00:00Z")],
+      ["fitnotes-2023-12-01", "Arms", new Date("2023-12-01T10:00:00Z")],
+      ["a1", "Run", new Date("2024-01-02T10:00:00Z")],
+    ];
+
+    beforeEach(() => {
+      mockSpreadsheet.getSheetByName.mockReturnValue({
+        athletes: new Map([["a1", "Sam"]]),
+        getLastRow: () => sheetRows.length + 1,
+        getRange: () => ({ getValues: () => sheetRows }),
+      });
+    });
+
+    afterEach(() => {
+      mockAthletes = [];
+      delete mockProperties._store.LAST_WORKOUT_UPDATE;
+      delete mockProperties._store["LAST_WORKOUT_UPDATE_ATHLETE_sam-id"];
+    });
+
+    test("should list delta changes without writing to the sheet", async () => {
+      mockProperties.getProperty.mockReturnValueOnce("2024-01-04T00:00:00Z");
+      WorkoutRetryQueue.getIds.mockReturnValueOnce(["w3"]);
+      mockApiClient.fetchPaginatedData.mockImplementation(
+        async (endpoint, size, processFn) =>
+          processFn([
+            createMockWorkoutEvent({
+              type: "deleted",
+              id: "w2",
+              workout: null,
+            }),
+            createMockWorkoutEvent({
+              type: "updated",
+              workout: createMockWorkout({
+                id: "w1",
+                title: "Push A",
+                start_time: "2024-01-01T10:00:00Z",
+              }),
+            }),
+            createMockWorkoutEvent({
+              type: "created",
+              workout: createMockWorkout({ id: "w4", title: "Arms" }),
+            }),
+          ])
+      );
+
+      const preview = await _previewWorkoutImport();
+
+      expect(mockApiClient.fetchPaginatedData).toHaveBeenCalledWith(
+        API_ENDPOINTS.WORKOUTS_EVENTS,
+        PAGE_SIZE.WORKOUTS,
+        expect.any(Function),
+        "events",
+        { since: "2024-01-04T00:00:00Z" },
+        null
+      );
+      expect(preview.since).toBe("2024-01-04T00:00:00Z");
+      expect(preview.added.map((item) => item.id)).toEqual(["w4"]);
+      expect(preview.updated).toEqual([
+        { id: "w1", title: "Push A", date: "2024-01-01T10:00:00.000Z" },
+        {
+          id: "w3",
+          title: "Legs",
+          date: "2024-01-05T10:00:00.000Z",
+          detail: "retrying a failed fetch",
+        },
+      ]);
+      expect(preview.deleted.map((item) => item.id)).toEqual(["w2"]);
+    });
+
+    test("should list every workout when there is no previous sync", async () => {
+      mockApiClient.fetchPaginatedData.mockImplementation(
+        async (endpoint, size, processFn) =>
+          processFn([
+            createMockWorkout({ id: "w1" }),
+            createMockWorkout({ id: "w5" }),
+          ])
+      );
+
+      const preview = await _previewWorkoutImport();
+
+      expect(preview.note).toMatch(/cleared/);
+      expect(preview.note).toMatch(/CSV .* are kept/);
+      expect(preview.added.map((item) => item.id)).toEqual(["w5"]);
+      expect(preview.updated.map((item) => item.id)).toEqual(["w1"]);
+      expect(preview.deleted.map((item) => item.id)).toEqual(["w2", "w3"]);
+    });
+
+    test("should preview each athlete against their own rows", async () => {
+      mockAthletes = [{ id: "sam-id", name: "Sam" }];
+      mockProperties._store.LAST_WORKOUT_UPDATE = "2024-01-04T00:00:00Z";
+      mockProperties._store["LAST_WORKOUT_UPDATE_ATHLETE_sam-id"] =
+        "2024-01-04T00:00:00Z";
+      mockApiClient.fetchPaginatedData.mockImplementation(
+        async (endpoint, size, processFn) =>
+          processFn(
+            activeAthlete
+              ? [
+                  createMockWorkoutEvent({
+                    type: "deleted",
+                    id: "a1",
+                    workout: null,
+                  }),
+                  createMockWorkoutEvent({
+                    type: "created",
+                    workout: createMockWorkout({ id: "a2", title: "Swim" }),
+                  }),
+                ]
+              : []
+          )
+      );
+
+      const preview = await _previewWorkoutImport();
+
+      expect(preview.added).toEqual([
+        expect.objectContaining({ id: "a2", detail: "Sam" }),
+      ]);
+      expect(preview.deleted).toEqual([
+        expect.objectContaining({ id: "a1", title: "Run", detail: "Sam" }),
+      ]);
+    });
+
+    test("should list athletes again when the own account is fully imported", async () => {
+      mockAthletes = [{ id: "sam-id", name: "Sam" }];
+      mockProperties._store["LAST_WORKOUT_UPDATE_ATHLETE_sam-id"] =
+        "2024-01-04T00:00:00Z";
+      mockApiClient.fetchPaginatedData.mockImplementation(
+        async (endpoint, size, processFn) =>
+          processFn([createMockWorkout({ id: activeAthlete ? "a1" : "w1" })])
+      );
+
+      const preview = await _previewWorkoutImport();
+
+      expect(
+        mockApiClient.fetchPaginatedData.mock.calls.map(([e]) => e)
+      ).toEqual([API_ENDPOINTS.WORKOUTS, API_ENDPOINTS.WORKOUTS]);
+      expect(preview.updated).toEqual([
+        expect.objectContaining({ id: "w1" }),
+        expect.objectContaining({ id: "a1", detail: "Sam" }),
+      ]);
+      expect(preview.deleted.map((item) => item.id)).toEqual(["w2", "w3"]);
+    });
+  });
 });
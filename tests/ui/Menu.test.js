@@ -37,6 +37,7 @@ const mockMenu = {
 const mockSubMenu = {
   addItem: jest.fn(() => mockSubMenu),
   addSeparator: jest.fn(() => mockSubMenu),
+  addSubMenu: jest.fn(() => mockSubMenu),
 };
 
 const mockUi = {
@@ -48,6 +49,7 @@ const mockUi = {
 
 const mockSpreadsheet = {
   getId: jest.fn(() => "spreadsheet-123"),
+  toast: jest.fn(),
 };
 
 global.SpreadsheetApp = {
@@ -69,12 +71,57 @@ global.importAllRoutines = jest.fn();
 global.importAllRoutineFolders = jest.fn();
 global.showDevApiManagerDialog = jest.fn();
 
+class ValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ValidationError";
+  }
+}
+
+class ImportTimeoutError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ImportTimeoutError";
+  }
+}
+
+const TOAST_DURATION = { NORMAL: 5 };
+const getActiveSpreadsheet = () => mockSpreadsheet;
+const ImportProgressTracker = {
+  runExclusive: jest.fn(async (operation) => operation(() => false)),
+};
+
 // Mock apiClient
 global.apiClient = {
   runFullImport: jest.fn(),
 };
 
 // Simplified menu functions
+async function runWorkoutsImport() {
+  return _runManualImport(importAllWorkouts, "Importing workouts");
+}
+
+async function _runManualImport(importer, operation) {
+  try {
+    await ImportProgressTracker.runExclusive(async (checkTimeout) => {
+      try {
+        await importer(checkTimeout);
+      } catch (error) {
+        if (!(error instanceof ImportTimeoutError)) {
+          throw error;
+        }
+        getActiveSpreadsheet().toast(
+          "Stopped at the time limit. Run the import again to continue.",
+          "Import Paused",
+          TOAST_DURATION.NORMAL
+        );
+      }
+    });
+  } catch (error) {
+    throw ErrorHandler.handle(error, { operation });
+  }
+}
+
 function onInstall(e) {
   try {
     onOpen(e);
@@ -95,7 +142,7 @@ function onOpen(e) {
         .addSeparator();
       if (isTemplate) {
         addonMenu
-          .addItem("💪 Import Exercises", "importAllExercises")
+          .addItem("💪 Import Exercises", "runExercisesImport")
           .addSeparator();
       }
     }
@@ -112,6 +159,9 @@ function onOpen(e) {
         .addSubMenu(createImportSubmenu(ui))
         .addSeparator()
         .addSubMenu(createRoutineBuilderSubmenu(ui))
+        .addSubMenu(createWorkoutLoggerSubmenu(ui))
+        .addItem("📦 Export Workouts", "showWorkoutExportDialog")
+        .addItem("📈 Build Progress Charts", "buildProgressCharts")
         .addSeparator()
         .addItem("❤️‍🩹 Import Body Weight from Takeout", "showTakeoutDialog")
         .addItem("⚖️ Log Body Weight", "logWeight");
@@ -131,10 +181,24 @@ function createImportSubmenu(ui) {
     .createMenu("📥 Import Data")
     .addItem("📥 Import All", "apiClient.runFullImport")
     .addSeparator()
-    .addItem("🏋️ Import Workouts", "importAllWorkouts")
-    .addItem("💪 Import Exercises", "importAllExercises")
-    .addItem("📋 Import Routines", "importAllRoutines")
-    .addItem("📁 Import Routine Folders", "importAllRoutineFolders");
+    .addItem("🏋️ Import Workouts", "runWorkoutsImport")
+    .addItem("💪 Import Exercises", "runExercisesImport")
+    .addItem("📋 Import Routines", "runRoutinesImport")
+    .addItem("📁 Import Routine Folders", "runRoutineFoldersImport")
+    .addSubMenu(createImportPreviewSubmenu(ui))
+    .addSeparator()
+    .addItem("🩺 Verify & Repair Workouts", "verifyAndRepairWorkouts")
+    .addItem("⚡ Real-time Sync Setup", "showWebhookSetup")
+    .addItem("📄 Import Workouts from CSV", "showCsvImportDialog");
+}
+
+function createImportPreviewSubmenu(ui) {
+  return ui
+    .createMenu("🔍 Preview Import")
+    .addItem("🏋️ Preview Workouts", "previewWorkoutsImport")
+    .addItem("💪 Preview Exercises", "previewExercisesImport")
+    .addItem("📋 Preview Routines", "previewRoutinesImport")
+    .addItem("📁 Preview Routine Folders", "previewRoutineFoldersImport");
 }
 
 function createRoutineBuilderSubmenu(ui) {
@@ -144,6 +208,13 @@ function createRoutineBuilderSubmenu(ui) {
     .addItem("🗑️ Clear Builder Form", "clearRoutineBuilder");
 }
 
+function createWorkoutLoggerSubmenu(ui) {
+  return ui
+    .createMenu("🏋️ Workout Logger")
+    .addItem("📤 Log Workout to Hevy", "createWorkoutFromSheet")
+    .addItem("🗑️ Clear Workout Logger", "clearWorkoutLogger");
+}
+
 describe("Menu", () => {
   beforeEach(() => {
     jest.clearAllMocks();
@@ -160,6 +231,14 @@ describe("Menu", () => {
         "🔑 Set Hevy API Key",
         "showInitialSetup"
       );
+      expect(mockMenu.addItem).toHaveBeenCalledWith(
+        "📦 Export Workouts",
+        "showWorkoutExportDialog"
+      );
+      expect(mockMenu.addItem).toHaveBeenCalledWith(
+        "📈 Build Progress Charts",
+        "buildProgressCharts"
+      );
       expect(mockMenu.addToUi).toHaveBeenCalled();
     });
 
@@ -194,6 +273,18 @@ describe("Menu", () => {
       expect(mockUi.createMenu).toHaveBeenCalledWith("📥 Import Data");
     });
 
+    test("should create workout logger submenu", () => {
+      const event = { source: { getId: () => "regular-123" } };
+
+      onOpen(event);
+
+      expect(mockUi.createMenu).toHaveBeenCalledWith("🏋️ Workout Logger");
+      expect(mockSubMenu.addItem).toHaveBeenCalledWith(
+        "📤 Log Workout to Hevy",
+        "createWorkoutFromSheet"
+      );
+    });
+
     test("should handle errors gracefully", () => {
       mockUi.createAddonMenu.mockImplementation(() => {
         throw new Error("Menu creation failed");
@@ -240,6 +331,29 @@ describe("Menu", () => {
         "📥 Import All",
         "apiClient.runFullImport"
       );
+      expect(mockSubMenu.addItem).toHaveBeenCalledWith(
+        "🩺 Verify & Repair Workouts",
+        "verifyAndRepairWorkouts"
+      );
+      expect(mockSubMenu.addItem).toHaveBeenCalledWith(
+        "⚡ Real-time Sync Setup",
+        "showWebhookSetup"
+      );
+      expect(mockSubMenu.addItem).toHaveBeenCalledWith(
+        "📄 Import Workouts from CSV",
+        "showCsvImportDialog"
+      );
+    });
+
+    test("should add the import preview submenu", () => {
+      createImportSubmenu(mockUi);
+
+      expect(mockUi.createMenu).toHaveBeenCalledWith("🔍 Preview Import");
+      expect(mockSubMenu.addSubMenu).toHaveBeenCalledWith(mockSubMenu);
+      expect(mockSubMenu.addItem).toHaveBeenCalledWith(
+        "🏋️ Preview Workouts",
+        "previewWorkoutsImport"
+      );
     });
   });
 
@@ -254,4 +368,40 @@ describe("Menu", () => {
       );
     });
   });
+
+  describe("runWorkoutsImport()", () => {
+    test("should import under the import lock", async () => {
+      await runWorkoutsImport();
+
+      expect(ImportProgressTracker.runExclusive).toHaveBeenCalled();
+      expect(importAllWorkouts).toHaveBeenCalledWith(expect.any(Function));
+    });
+
+    test("should report an import paused at the time limit", async () => {
+      importAllWorkouts.mockRejectedValueOnce(
+        new ImportTimeoutError("Timeout approaching")
+      );
+
+      await runWorkoutsImport();
+
+      expect(mockSpreadsheet.toast).toHaveBeenCalledWith(
+        "Stopped at the time limit. Run the import again to continue.",
+        "Import Paused",
+        TOAST_DURATION.NORMAL
+      );
+    });
+
+    test("should refuse to run over another import", async () => {
+      ImportProgressTracker.runExclusive.mockRejectedValueOnce(
+        new ValidationError("Another import is running.")
+      );
+
+      await expect(runWorkoutsImport()).rejects.toThrow(ValidationError);
+      expect(importAllWorkouts).not.toHaveBeenCalled();
+      expect(mockErrorHandler.handle).toHaveBeenCalledWith(
+        expect.any(ValidationError),
+        { operation: "Importing workouts" }
+      );
+    });
+  });
 });
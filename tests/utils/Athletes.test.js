@@ -0,0 +1,405 @@
+/**
+ * Tests for auth/Athletes.gs - Importing several Hevy accounts into one spreadsheet
+ */
+
+const ATHLETE_CONFIG = {
+  PROPERTY_KEY: "ATHLETES",
+  HEADER: "Athlete",
+  MAX_ATHLETES: 20,
+  MAX_NAME_LENGTH: 50,
+};
+const IMPORT_CONFIG = { RETRY_QUEUE_PROPERTY_KEY: "WORKOUT_RETRY_QUEUE" };
+const TOAST_DURATION = { NORMAL: 5 };
+
+class ValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ValidationError";
+  }
+}
+
+class ConfigurationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ConfigurationError";
+  }
+}
+
+class ImportTimeoutError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ImportTimeoutError";
+  }
+}
+
+const ErrorHandler = { handle: jest.fn((error) => error) };
+const mockSpreadsheet = { toast: jest.fn() };
+const getActiveSpreadsheet = () => mockSpreadsheet;
+
+let uuidCounter = 0;
+const Utilities = { getUuid: () => `uuid-${++uuidCounter}` };
+
+let store;
+const mockProperties = {
+  getProperty: jest.fn((key) => store[key] ?? null),
+  setProperty: jest.fn((key, value) => {
+    store[key] = value;
+  }),
+  deleteProperty: jest.fn((key) => delete store[key]),
+};
+const getDocumentProperties = () => mockProperties;
+
+let _activeAthlete = null;
+
+function getAthletes() {
+  try {
+    const json = getDocumentProperties()?.getProperty(
+      ATHLETE_CONFIG.PROPERTY_KEY
+    );
+    return json ? JSON.parse(json) : [];
+  } catch (error) {
+    console.warn("Failed to load athletes:", error);
+    return [];
+  }
+}
+
+function getAthletesForUI() {
+  const props = getDocumentProperties();
+  return getAthletes().map((athlete) => ({
+    id: athlete.id,
+    name: athlete.name,
+    apiKey: `••••${athlete.apiKey.slice(-4)}`,
+    lastSync:
+      props?.getProperty(
+        _getAthletePropertyKey(athlete, "LAST_WORKOUT_UPDATE")
+      ) ?? null,
+  }));
+}
+
+function saveAthlete(name, apiKey) {
+  try {
+    const trimmedName = String(name ?? "").trim();
+    if (!trimmedName) {
+      throw new ValidationError("Athlete name cannot be empty");
+    }
+    if (trimmedName.length > ATHLETE_CONFIG.MAX_NAME_LENGTH) {
+      throw new ValidationError(
+        `Athlete name must be at most ${ATHLETE_CONFIG.MAX_NAME_LENGTH} characters`
+      );
+    }
+
+    const trimmedKey = String(apiKey ?? "").trim();
+    const uuidRegex =
+      /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(trimmedKey)) {
+      throw new ValidationError(
+        "Invalid API key format. API key must be a valid UUID (e.g., xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx)."
+      );
+    }
+
+    const athletes = getAthletes();
+    if (athletes.length >= ATHLETE_CONFIG.MAX_ATHLETES) {
+      throw new ValidationError(
+        `At most ${ATHLETE_CONFIG.MAX_ATHLETES} athletes can be added`
+      );
+    }
+    if (
+      athletes.some(
+        (athlete) => athlete.name.toLowerCase() === trimmedName.toLowerCase()
+      )
+    ) {
+      throw new ValidationError(
+        `An athlete named ${trimmedName} already exists`
+      );
+    }
+    const ownKey = getDocumentProperties()?.getProperty("HEVY_API_KEY");
+    if (
+      trimmedKey === ownKey ||
+      athletes.some((athlete) => athlete.apiKey === trimmedKey)
+    ) {
+      throw new ValidationError("This API key is already being imported");
+    }
+
+    athletes.push({
+      id: Utilities.getUuid(),
+      name: trimmedName,
+      apiKey: trimmedKey,
+    });
+    _saveAthletes(athletes);
+    return getAthletesForUI();
+  } catch (error) {
+    throw ErrorHandler.handle(error, {
+      operation: "Saving athlete",
+      athlete: name,
+    });
+  }
+}
+
+function removeAthlete(id) {
+  try {
+    const athletes = getAthletes();
+    const athlete = athletes.find((entry) => entry.id === id);
+    if (!athlete) {
+      return getAthletesForUI();
+    }
+
+    _saveAthletes(athletes.filter((entry) => entry.id !== id));
+    const props = getDocumentProperties();
+    props?.deleteProperty(
+      _getAthletePropertyKey(athlete, "LAST_WORKOUT_UPDATE")
+    );
+    props?.deleteProperty(
+      _getAthletePropertyKey(athlete, IMPORT_CONFIG.RETRY_QUEUE_PROPERTY_KEY)
+    );
+    return getAthletesForUI();
+  } catch (error) {
+    throw ErrorHandler.handle(error, {
+      operation: "Removing athlete",
+      athleteId: id,
+    });
+  }
+}
+
+function getActiveAthlete() {
+  return _activeAthlete;
+}
+
+function getActiveAthleteName() {
+  return _activeAthlete?.name ?? "";
+}
+
+function getAthletePropertyKey(baseKey) {
+  return _activeAthlete
+    ? _getAthletePropertyKey(_activeAthlete, baseKey)
+    : baseKey;
+}
+
+async function forEachAthlete(step) {
+  for (const athlete of getAthletes()) {
+    const previous = _activeAthlete;
+    _activeAthlete = athlete;
+    try {
+      await step(athlete);
+    } catch (error) {
+      if (error instanceof ImportTimeoutError) {
+        throw error;
+      }
+      ErrorHandler.handle(
+        error,
+        { operation: "Importing athlete", athlete: athlete.name },
+        false
+      );
+      getActiveSpreadsheet().toast(
+        `${athlete.name}: ${error.message}`,
+        "Athlete Import Failed",
+        TOAST_DURATION.NORMAL
+      );
+    } finally {
+      _activeAthlete = previous;
+    }
+  }
+}
+
+function resetAthleteWorkoutWatermarks() {
+  const props = getDocumentProperties();
+  getAthletes().forEach((athlete) =>
+    props?.deleteProperty(
+      _getAthletePropertyKey(athlete, "LAST_WORKOUT_UPDATE")
+    )
+  );
+}
+
+function filterOwnRows(rows, headers) {
+  const athleteIndex = headers.indexOf(ATHLETE_CONFIG.HEADER);
+  if (athleteIndex === -1) {
+    return rows;
+  }
+  return rows.filter((row) => !row[athleteIndex]);
+}
+
+function readOwnWorkoutRows(workoutSheet) {
+  const [headers, ...rows] = workoutSheet.getDataRange().getValues();
+  return { headers, rows: filterOwnRows(rows, headers) };
+}
+
+function _getAthletePropertyKey(athlete, baseKey) {
+  return `${baseKey}_ATHLETE_${athlete.id}`;
+}
+
+function _saveAthletes(athletes) {
+  const props = getDocumentProperties();
+  if (!props) {
+    throw new ConfigurationError(
+      "Unable to access document properties. Please ensure you have proper permissions."
+    );
+  }
+  props.setProperty(ATHLETE_CONFIG.PROPERTY_KEY, JSON.stringify(athletes));
+}
+
+const KEY_A = "11111111-1111-4111-8111-111111111111";
+const KEY_B = "22222222-2222-4222-8222-222222222222";
+
+describe("Athletes", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    store = { HEVY_API_KEY: "00000000-0000-4000-8000-000000000000" };
+    uuidCounter = 0;
+    _activeAthlete = null;
+  });
+
+  describe("saveAthlete()", () => {
+    test("should store the athlete with a trimmed name and key", () => {
+      const result = saveAthlete("  Alex ", ` ${KEY_A} `);
+
+      expect(getAthletes()).toEqual([
+        { id: "uuid-1", name: "Alex", apiKey: KEY_A },
+      ]);
+      expect(result).toEqual([
+        { id: "uuid-1", name: "Alex", apiKey: "••••1111", lastSync: null },
+      ]);
+    });
+
+    test.each([
+      ["", KEY_A, "name cannot be empty"],
+      ["Alex", "not-a-key", "Invalid API key format"],
+      ["x".repeat(51), KEY_A, "at most 50 characters"],
+    ])("should reject %p with key %p", (name, key, message) => {
+      expect(() => saveAthlete(name, key)).toThrow(message);
+      expect(getAthletes()).toEqual([]);
+    });
+
+    test("should reject duplicate names and keys", () => {
+      saveAthlete("Alex", KEY_A);
+
+      expect(() => saveAthlete("alex", KEY_B)).toThrow("already exists");
+      expect(() => saveAthlete("Blake", KEY_A)).toThrow(
+        "already being imported"
+      );
+      expect(() => saveAthlete("Blake", store.HEVY_API_KEY)).toThrow(
+        "already being imported"
+      );
+    });
+  });
+
+  describe("forEachAthlete()", () => {
+    beforeEach(() => {
+      saveAthlete("Alex", KEY_A);
+      saveAthlete("Blake", KEY_B);
+    });
+
+    test("should run each step with the athlete's name and property keys", async () => {
+      const seen = [];
+
+      await forEachAthlete(async () => {
+        seen.push([
+          getActiveAthleteName(),
+          getActiveAthlete().apiKey,
+          getAthletePropertyKey("LAST_WORKOUT_UPDATE"),
+        ]);
+      });
+
+      expect(seen).toEqual([
+        ["Alex", KEY_A, "LAST_WORKOUT_UPDATE_ATHLETE_uuid-1"],
+        ["Blake", KEY_B, "LAST_WORKOUT_UPDATE_ATHLETE_uuid-2"],
+      ]);
+      expect(getActiveAthlete()).toBeNull();
+      expect(getAthletePropertyKey("LAST_WORKOUT_UPDATE")).toBe(
+        "LAST_WORKOUT_UPDATE"
+      );
+    });
+
+    test("should report a failing athlete and continue with the next", async () => {
+      const step = jest.fn(async (athlete) => {
+        if (athlete.name === "Alex") {
+          throw new Error("Invalid API key");
+        }
+      });
+
+      await forEachAthlete(step);
+
+      expect(step).toHaveBeenCalledTimes(2);
+      expect(mockSpreadsheet.toast).toHaveBeenCalledWith(
+        "Alex: Invalid API key",
+        "Athlete Import Failed",
+        TOAST_DURATION.NORMAL
+      );
+      expect(getActiveAthlete()).toBeNull();
+    });
+
+    test("should stop at a timeout", async () => {
+      const step = jest.fn(async () => {
+        throw new ImportTimeoutError("Timed out");
+      });
+
+      await expect(forEachAthlete(step)).rejects.toThrow(ImportTimeoutError);
+      expect(step).toHaveBeenCalledTimes(1);
+      expect(getActiveAthlete()).toBeNull();
+    });
+  });
+
+  describe("removeAthlete()", () => {
+    test("should remove the athlete with their watermark and retry queue", () => {
+      saveAthlete("Alex", KEY_A);
+      store["LAST_WORKOUT_UPDATE_ATHLETE_uuid-1"] = "2024-05-01T00:00:00Z";
+      store["WORKOUT_RETRY_QUEUE_ATHLETE_uuid-1"] = "{}";
+
+      expect(removeAthlete("uuid-1")).toEqual([]);
+      expect(store).not.toHaveProperty("LAST_WORKOUT_UPDATE_ATHLETE_uuid-1");
+      expect(store).not.toHaveProperty("WORKOUT_RETRY_QUEUE_ATHLETE_uuid-1");
+    });
+  });
+
+  describe("resetAthleteWorkoutWatermarks()", () => {
+    test("should only delete the athletes' watermarks", () => {
+      saveAthlete("Alex", KEY_A);
+      store.LAST_WORKOUT_UPDATE = "2024-05-01T00:00:00Z";
+      store["LAST_WORKOUT_UPDATE_ATHLETE_uuid-1"] = "2024-05-01T00:00:00Z";
+      expect(getAthletesForUI()[0].lastSync).toBe("2024-05-01T00:00:00Z");
+
+      resetAthleteWorkoutWatermarks();
+
+      expect(store.LAST_WORKOUT_UPDATE).toBe("2024-05-01T00:00:00Z");
+      expect(getAthletesForUI()[0].lastSync).toBeNull();
+    });
+  });
+
+  describe("filterOwnRows()", () => {
+    test("should keep rows with a blank Athlete cell", () => {
+      const rows = [
+        ["w1", ""],
+        ["w2", "Alex"],
+        ["w3", null],
+      ];
+
+      expect(filterOwnRows(rows, ["ID", "Athlete"])).toEqual([
+        ["w1", ""],
+        ["w3", null],
+      ]);
+    });
+
+    test("should keep every row of a sheet without an Athlete column", () => {
+      const rows = [["w1"], ["w2"]];
+
+      expect(filterOwnRows(rows, ["ID"])).toBe(rows);
+    });
+  });
+
+  describe("readOwnWorkoutRows()", () => {
+    test("should split off the header row and drop athlete rows", () => {
+      const sheet = {
+        getDataRange: () => ({
+          getValues: () => [
+            ["ID", "Athlete"],
+            ["w1", ""],
+            ["w2", "Alex"],
+          ],
+        }),
+      };
+
+      expect(readOwnWorkoutRows(sheet)).toEqual({
+        headers: ["ID", "Athlete"],
+        rows: [["w1", ""]],
+      });
+    });
+  });
+});
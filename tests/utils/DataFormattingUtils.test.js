@@ -77,6 +77,11 @@ const toTitleCaseFromSnake = (str) => {
     .join(" ");
 };
 
+const toSnakeCaseFromTitle = (str) => {
+  if (!str) return "";
+  return String(str).trim().toLowerCase().split(/\s+/).join("_");
+};
+
 const arrayToTitleCase = (arr) => {
   if (!Array.isArray(arr)) return "";
   return arr
@@ -174,12 +179,9 @@ describe("DataFormattingUtils", () => {
       expect(normalizeSetType("normal")).toBe("normal");
     });
 
-    test.each([null, undefined])(
-      "should return 'normal' for %s",
-      (value) => {
-        expect(normalizeSetType(value)).toBe("normal");
-      }
-    );
+    test.each([null, undefined])("should return 'normal' for %s", (value) => {
+      expect(normalizeSetType(value)).toBe("normal");
+    });
   });
 
   describe("columnToLetter", () => {
@@ -244,6 +246,30 @@ describe("DataFormattingUtils", () => {
     });
   });
 
+  describe("toSnakeCaseFromTitle", () => {
+    test("should convert Title Case to snake_case", () => {
+      expect(toSnakeCaseFromTitle("Upper Back")).toBe("upper_back");
+      expect(toSnakeCaseFromTitle("Chest")).toBe("chest");
+    });
+
+    test("should round-trip toTitleCaseFromSnake", () => {
+      expect(toSnakeCaseFromTitle(toTitleCaseFromSnake("full_body"))).toBe(
+        "full_body"
+      );
+    });
+
+    test("should trim and collapse whitespace", () => {
+      expect(toSnakeCaseFromTitle("  Lower   Back ")).toBe("lower_back");
+    });
+
+    test.each([null, undefined, ""])(
+      "should return empty string for %s",
+      (value) => {
+        expect(toSnakeCaseFromTitle(value)).toBe("");
+      }
+    );
+  });
+
   describe("arrayToTitleCase", () => {
     test("should convert array of snake_case to comma-separated Title Case", () => {
       expect(arrayToTitleCase(["chest", "shoulders", "triceps"])).toBe(
@@ -289,12 +315,9 @@ describe("DataFormattingUtils", () => {
       expect(parseNumber(3.14, "weight")).toBe(3.14);
     });
 
-    test.each([null, undefined])(
-      "should return null for %s",
-      (value) => {
-        expect(parseNumber(value, "reps")).toBeNull();
-      }
-    );
+    test.each([null, undefined])("should return null for %s", (value) => {
+      expect(parseNumber(value, "reps")).toBeNull();
+    });
 
     test("should return null for empty string", () => {
       expect(parseNumber("", "reps")).toBeNull();
@@ -0,0 +1,133 @@
+/**
+ * Tests for DateUtils.gs - Calendar period helpers
+ */
+
+// Simplified functions for testing
+class ValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ValidationError";
+  }
+}
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+function getIsoWeekStart(date) {
+  const value = new Date(date);
+  const start = new Date(
+    value.getFullYear(),
+    value.getMonth(),
+    value.getDate()
+  );
+  start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  return start;
+}
+
+function getIsoWeekKey(date) {
+  const thursday = getIsoWeekStart(date);
+  thursday.setDate(thursday.getDate() + 3);
+
+  const isoYear = thursday.getFullYear();
+  const firstThursday = getIsoWeekStart(new Date(isoYear, 0, 4));
+  firstThursday.setDate(firstThursday.getDate() + 3);
+
+  const week = 1 + Math.round((thursday - firstThursday) / MS_PER_DAY / 7);
+  return `${isoYear}-W${String(week).padStart(2, "0")}`;
+}
+
+function getMonthStart(date) {
+  const value = new Date(date);
+  return new Date(value.getFullYear(), value.getMonth(), 1);
+}
+
+function getMonthKey(date) {
+  const value = new Date(date);
+  return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(
+    2,
+    "0"
+  )}`;
+}
+
+function daysBetween(from, to) {
+  const start = new Date(from);
+  const end = new Date(to);
+  return Math.round(
+    (new Date(end.getFullYear(), end.getMonth(), end.getDate()) -
+      new Date(start.getFullYear(), start.getMonth(), start.getDate())) /
+      MS_PER_DAY
+  );
+}
+
+function parseIsoDay(value) {
+  const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const day = match
+    ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]))
+    : null;
+  if (
+    !day ||
+    day.getMonth() !== Number(match[2]) - 1 ||
+    day.getDate() !== Number(match[3])
+  ) {
+    throw new ValidationError(`Invalid date: ${value}`);
+  }
+  return day;
+}
+
+describe("DateUtils", () => {
+  describe("getIsoWeekStart()", () => {
+    test("should return the Monday of the week", () => {
+      const start = getIsoWeekStart(new Date(2024, 0, 4, 18, 30));
+
+      expect(start).toEqual(new Date(2024, 0, 1));
+    });
+
+    test("should treat Sunday as the last day of the week", () => {
+      expect(getIsoWeekStart(new Date(2024, 0, 7))).toEqual(
+        new Date(2024, 0, 1)
+      );
+    });
+  });
+
+  describe("getIsoWeekKey()", () => {
+    test("should key dates by ISO week", () => {
+      expect(getIsoWeekKey(new Date(2024, 0, 1))).toBe("2024-W01");
+      expect(getIsoWeekKey(new Date(2024, 1, 1))).toBe("2024-W05");
+    });
+
+    test("should use the ISO year at year boundaries", () => {
+      expect(getIsoWeekKey(new Date(2021, 0, 3))).toBe("2020-W53");
+      expect(getIsoWeekKey(new Date(2024, 11, 30))).toBe("2025-W01");
+    });
+  });
+
+  describe("getMonthKey() / getMonthStart()", () => {
+    test("should key dates by calendar month", () => {
+      expect(getMonthKey(new Date(2024, 8, 15))).toBe("2024-09");
+      expect(getMonthStart(new Date(2024, 8, 15))).toEqual(
+        new Date(2024, 8, 1)
+      );
+    });
+  });
+
+  describe("daysBetween()", () => {
+    test("should count calendar days ignoring time of day", () => {
+      expect(
+        daysBetween(new Date(2024, 0, 1, 23, 0), new Date(2024, 0, 3, 1, 0))
+      ).toBe(2);
+      expect(daysBetween(new Date(2024, 0, 1), new Date(2024, 0, 1))).toBe(0);
+    });
+  });
+
+  describe("parseIsoDay()", () => {
+    test("should parse a day as local midnight", () => {
+      expect(parseIsoDay("2024-02-29")).toEqual(new Date(2024, 1, 29));
+    });
+
+    test.each(["2025-02-31", "2024-13-01", "15/01/2024", "", null])(
+      "should reject %p",
+      (value) => {
+        expect(() => parseIsoDay(value)).toThrow(ValidationError);
+      }
+    );
+  });
+});
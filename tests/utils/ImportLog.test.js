@@ -0,0 +1,353 @@
+/**
+ * Tests for tracking/ImportLog.gs - Import run history
+ */
+
+const IMPORT_LOG_SHEET_NAME = "Import Log";
+const IMPORT_CONFIG = {
+  LOG_MAX_ROWS: 3,
+};
+const IMPORT_LOG_SOURCES = {
+  MANUAL: "Manual",
+  ON_OPEN: "On Open",
+  SCHEDULED: "Scheduled",
+  INITIAL_SETUP: "Initial Setup",
+};
+const IMPORT_LOG_ENTITIES = {
+  EXERCISES: "Exercises",
+  ROUTINE_FOLDERS: "Routine Folders",
+  ROUTINES: "Routines",
+  WORKOUTS: "Workouts",
+};
+const IMPORT_LOG_STATUSES = {
+  SUCCESS: "Success",
+  TIMED_OUT: "Timed Out",
+  ERROR: "Error",
+};
+
+class ImportTimeoutError extends Error {}
+class ApiError extends Error {}
+
+const ErrorHandler = {
+  getErrorCode: jest.fn((error) =>
+    error instanceof ImportTimeoutError ? "TIMEOUT_ERROR" : "API_ERROR"
+  ),
+};
+
+let urlFetchCount;
+const QuotaTracker = {
+  getQuotaUsage: jest.fn(() => ({ urlFetchCount })),
+};
+
+let logRows;
+let mockSheet;
+let mockManager;
+const SheetManager = {
+  getOrCreate: jest.fn(() => mockManager),
+};
+
+let _activeImportLogRun = null;
+
+class ImportLog {
+  /**
+   * Starts logging an import run
+   * @param {string} source - One of IMPORT_LOG_SOURCES
+   * @param {string} operation - Import being run
+   * @returns {ImportLogRun|{parent: ImportLogRun}} The run, or a handle on the active run it is part of
+   */
+  static start(source, operation) {
+    if (_activeImportLogRun) {
+      return { parent: _activeImportLogRun };
+    }
+
+    _activeImportLogRun = {
+      source,
+      operation,
+      startedAt: new Date(),
+      startUrlFetchCount: this._getUrlFetchCount(),
+      entities: {},
+      failedIds: [],
+      error: null,
+    };
+    return _activeImportLogRun;
+  }
+
+  /**
+   * Adds change counts for an entity to the active run
+   * @param {string} entity - One of IMPORT_LOG_ENTITIES
+   * @param {{added?: number, updated?: number, deleted?: number}} counts - Change counts
+   */
+  static recordChanges(entity, { added = 0, updated = 0, deleted = 0 } = {}) {
+    if (!_activeImportLogRun) {
+      return;
+    }
+
+    const totals = _activeImportLogRun.entities[entity] ?? {
+      added: 0,
+      updated: 0,
+      deleted: 0,
+    };
+    _activeImportLogRun.entities[entity] = {
+      added: totals.added + added,
+      updated: totals.updated + updated,
+      deleted: totals.deleted + deleted,
+    };
+  }
+
+  /**
+   * Adds IDs that failed to import to the active run
+   * @param {Array<string>} ids - Failed IDs
+   */
+  static recordFailedIds(ids) {
+    if (_activeImportLogRun && ids?.length) {
+      _activeImportLogRun.failedIds.push(...ids);
+    }
+  }
+
+  /**
+   * Ends a run and appends its row to the Import Log sheet.
+   * A nested run only passes its error on to the run it is part of.
+   * Logging failures are only reported to the console so they never fail
+   * the import itself.
+   * @param {ImportLogRun|{parent: ImportLogRun}|null} run - Result of start
+   * @param {Error|null} [error=null] - Error that ended the run
+   */
+  static async finish(run, error = null) {
+    if (run?.parent) {
+      run.parent.error = run.parent.error ?? error;
+      return;
+    }
+    if (!run || run !== _activeImportLogRun) {
+      return;
+    }
+    _activeImportLogRun = null;
+
+    try {
+      const urlFetches = Math.max(
+        0,
+        this._getUrlFetchCount() - run.startUrlFetchCount
+      );
+      await this._appendRow(
+        buildImportLogRow(run, new Date(), error ?? run.error, urlFetches)
+      );
+    } catch (logError) {
+      console.warn("Failed to write import log:", logError);
+    }
+  }
+
+  /**
+   * Appends a row, dropping the oldest rows beyond IMPORT_CONFIG.LOG_MAX_ROWS
+   * @param {Array} row - Row in SHEET_HEADERS order
+   * @private
+   */
+  static async _appendRow(row) {
+    const manager = SheetManager.getOrCreate(IMPORT_LOG_SHEET_NAME);
+    const sheet = manager.sheet;
+
+    // formatSheet writes the headers of a new sheet
+    if (sheet.getLastRow() === 0) {
+      await manager.formatSheet();
+    }
+    sheet.appendRow(row);
+
+    const overflow = sheet.getLastRow() - 1 - IMPORT_CONFIG.LOG_MAX_ROWS;
+    if (overflow > 0) {
+      sheet.deleteRows(2, overflow);
+    }
+
+    await manager.formatSheet();
+  }
+
+  /**
+   * Gets today's URL fetch count from QuotaTracker
+   * @returns {number} URL fetch count
+   * @private
+   */
+  static _getUrlFetchCount() {
+    try {
+      return QuotaTracker.getQuotaUsage().urlFetchCount;
+    } catch (error) {
+      console.warn("Failed to read URL fetch count:", error);
+      return 0;
+    }
+  }
+}
+
+function buildImportLogRow(run, endedAt, error, urlFetches) {
+  const counts = Object.values(run.entities);
+  const sum = (key) => counts.reduce((total, count) => total + count[key], 0);
+
+  let status = IMPORT_LOG_STATUSES.SUCCESS;
+  if (error) {
+    status =
+      error instanceof ImportTimeoutError
+        ? IMPORT_LOG_STATUSES.TIMED_OUT
+        : IMPORT_LOG_STATUSES.ERROR;
+  }
+
+  return [
+    run.startedAt,
+    endedAt,
+    Math.round((endedAt - run.startedAt) / 100) / 10,
+    run.source,
+    run.operation,
+    status,
+    sum("added"),
+    sum("updated"),
+    sum("deleted"),
+    formatImportLogChanges(run.entities),
+    run.failedIds.join(", "),
+    error ? ErrorHandler.getErrorCode(error) : "",
+    error?.message ?? "",
+    urlFetches,
+  ];
+}
+
+function formatImportLogChanges(entities) {
+  return Object.entries(entities)
+    .map(
+      ([entity, { added, updated, deleted }]) =>
+        `${entity}: ${added} added, ${updated} updated, ${deleted} deleted`
+    )
+    .join("; ");
+}
+
+describe("ImportLog", () => {
+  beforeEach(() => {
+    _activeImportLogRun = null;
+    urlFetchCount = 10;
+    logRows = [];
+    mockSheet = {
+      getLastRow: jest.fn(() => logRows.length),
+      appendRow: jest.fn((row) => logRows.push(row)),
+      deleteRows: jest.fn((start, count) => logRows.splice(start - 1, count)),
+    };
+    mockManager = {
+      sheet: mockSheet,
+      formatSheet: jest.fn(async () => {
+        if (logRows.length === 0) {
+          logRows.push(["Started"]);
+        }
+      }),
+    };
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  test("should append one row with counts and URL fetches for a run", async () => {
+    const run = ImportLog.start(IMPORT_LOG_SOURCES.MANUAL, "Import Workouts");
+    ImportLog.recordChanges(IMPORT_LOG_ENTITIES.WORKOUTS, {
+      added: 2,
+      updated: 1,
+    });
+    ImportLog.recordChanges(IMPORT_LOG_ENTITIES.WORKOUTS, { deleted: 3 });
+    ImportLog.recordFailedIds(["w9"]);
+    urlFetchCount = 14;
+
+    await ImportLog.finish(run);
+
+    expect(logRows).toHaveLength(2);
+    const row = logRows[1];
+    expect(row[0]).toBeInstanceOf(Date);
+    expect(row[1]).toBeInstanceOf(Date);
+    expect(row.slice(3)).toEqual([
+      "Manual",
+      "Import Workouts",
+      "Success",
+      2,
+      1,
+      3,
+      "Workouts: 2 added, 1 updated, 3 deleted",
+      "w9",
+      "",
+      "",
+      4,
+    ]);
+  });
+
+  test("should add nested imports to the active run instead of logging them", async () => {
+    const run = ImportLog.start(IMPORT_LOG_SOURCES.ON_OPEN, "Automatic Import");
+
+    const nested = ImportLog.start(
+      IMPORT_LOG_SOURCES.MANUAL,
+      "Import Routines"
+    );
+    ImportLog.recordChanges(IMPORT_LOG_ENTITIES.ROUTINES, { updated: 1 });
+    await ImportLog.finish(nested);
+    expect(mockSheet.appendRow).not.toHaveBeenCalled();
+
+    ImportLog.recordChanges(IMPORT_LOG_ENTITIES.EXERCISES, { added: 4 });
+    await ImportLog.finish(run);
+
+    expect(logRows).toHaveLength(2);
+    expect(logRows[1][3]).toBe("On Open");
+    expect(logRows[1][9]).toBe(
+      "Routines: 0 added, 1 updated, 0 deleted; Exercises: 4 added, 0 updated, 0 deleted"
+    );
+  });
+
+  test("should log the error of a nested import that was handled by the caller", async () => {
+    const run = ImportLog.start(
+      IMPORT_LOG_SOURCES.INITIAL_SETUP,
+      "Full Import"
+    );
+    const nested = ImportLog.start(IMPORT_LOG_SOURCES.MANUAL, "Full Import");
+    await ImportLog.finish(nested, new ApiError("Service unavailable"));
+    await ImportLog.finish(run);
+
+    expect(logRows[1][5]).toBe("Error");
+    expect(logRows[1].slice(11, 13)).toEqual([
+      "API_ERROR",
+      "Service unavailable",
+    ]);
+  });
+
+  test("should record timeouts with their error code", async () => {
+    const run = ImportLog.start(IMPORT_LOG_SOURCES.SCHEDULED, "Scheduled Sync");
+    await ImportLog.finish(run, new ImportTimeoutError("Timed out"));
+
+    expect(logRows[1][5]).toBe("Timed Out");
+    expect(logRows[1][11]).toBe("TIMEOUT_ERROR");
+  });
+
+  test("should ignore changes recorded outside a run", async () => {
+    ImportLog.recordChanges(IMPORT_LOG_ENTITIES.WORKOUTS, { added: 1 });
+    ImportLog.recordFailedIds(["w1"]);
+    await ImportLog.finish(null);
+
+    expect(_activeImportLogRun).toBeNull();
+    expect(mockSheet.appendRow).not.toHaveBeenCalled();
+  });
+
+  test("should drop the oldest rows beyond the limit", async () => {
+    for (let i = 0; i < 5; i++) {
+      const run = ImportLog.start(IMPORT_LOG_SOURCES.MANUAL, `Run ${i}`);
+      await ImportLog.finish(run);
+    }
+
+    expect(logRows).toHaveLength(1 + IMPORT_CONFIG.LOG_MAX_ROWS);
+    expect(logRows.slice(1).map((row) => row[4])).toEqual([
+      "Run 2",
+      "Run 3",
+      "Run 4",
+    ]);
+  });
+
+  test("should not fail the import when the log cannot be written", async () => {
+    SheetManager.getOrCreate.mockImplementationOnce(() => {
+      throw new Error("Sheet locked");
+    });
+    const run = ImportLog.start(IMPORT_LOG_SOURCES.MANUAL, "Import Exercises");
+
+    await expect(ImportLog.finish(run)).resolves.toBeUndefined();
+    expect(console.warn).toHaveBeenCalledWith(
+      "Failed to write import log:",
+      expect.any(Error)
+    );
+    expect(
+      ImportLog.start(IMPORT_LOG_SOURCES.MANUAL, "Next")
+    ).not.toHaveProperty("parent");
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * Tests for tracking/ImportProgressTracker.gs - Active import guard
+ */
+
+const IMPORT_CONFIG = {
+  MAX_EXECUTION_TIME_MS: 5 * 60 * 1000,
+  ACTIVE_TIMEOUT_MS: 10 * 60 * 1000,
+  HEARTBEAT_MS: 2 * 60 * 1000,
+  ACTIVE_PROPERTY_KEY: "IMPORT_ACTIVE_STATE",
+};
+
+const IMPORT_BUSY_MESSAGE =
+  "Another import is running. Please try again when it has finished.";
+
+class ValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ValidationError";
+  }
+}
+
+let store;
+const getDocumentProperties = () => ({
+  getProperty: (key) => store[key] ?? null,
+  setProperty: (key, value) => {
+    store[key] = value;
+  },
+  deleteProperty: (key) => {
+    delete store[key];
+  },
+});
+
+let mockLock;
+global.LockService = { getScriptLock: () => mockLock };
+
+class ImportProgressTracker {
+  static isImportActive() {
+    try {
+      const props = getDocumentProperties();
+      if (!props) {
+        return false;
+      }
+
+      const activeJson = props.getProperty(IMPORT_CONFIG.ACTIVE_PROPERTY_KEY);
+      if (!activeJson) {
+        return false;
+      }
+
+      const activeState = JSON.parse(activeJson);
+      const lastUpdate = new Date(activeState.timestamp).getTime();
+      const now = Date.now();
+      const elapsed = now - lastUpdate;
+
+      if (elapsed > IMPORT_CONFIG.ACTIVE_TIMEOUT_MS) {
+        this.clearImportActive();
+        return false;
+      }
+
+      return true;
+    } catch (error) {
+      console.warn("Failed to check if import is active:", error);
+      return false;
+    }
+  }
+
+  static markImportActive() {
+    getDocumentProperties().setProperty(
+      IMPORT_CONFIG.ACTIVE_PROPERTY_KEY,
+      JSON.stringify({ timestamp: new Date().toISOString() })
+    );
+  }
+
+  static updateImportActiveHeartbeat() {
+    this.markImportActive();
+  }
+
+  static createTimeoutCheck(startTime) {
+    let lastHeartbeat = startTime;
+    return () => {
+      const now = Date.now();
+      if (now - lastHeartbeat >= IMPORT_CONFIG.HEARTBEAT_MS) {
+        this.updateImportActiveHeartbeat();
+        lastHeartbeat = now;
+      }
+      return now - startTime > IMPORT_CONFIG.MAX_EXECUTION_TIME_MS;
+    };
+  }
+
+  static async runExclusive(operation) {
+    const startTime = Date.now();
+    const lock = LockService.getScriptLock();
+    if (!lock.tryLock(0)) {
+      throw new ValidationError(IMPORT_BUSY_MESSAGE);
+    }
+
+    let markedActive = false;
+    try {
+      if (this.isImportActive()) {
+        throw new ValidationError(IMPORT_BUSY_MESSAGE);
+      }
+      this.markImportActive();
+      markedActive = true;
+      return await operation(this.createTimeoutCheck(startTime));
+    } finally {
+      if (markedActive) {
+        this.clearImportActive();
+      }
+      lock.releaseLock();
+    }
+  }
+
+  static isBusyError(error) {
+    return (
+      error instanceof ValidationError && error.message === IMPORT_BUSY_MESSAGE
+    );
+  }
+
+  static clearImportActive() {
+    getDocumentProperties().deleteProperty(IMPORT_CONFIG.ACTIVE_PROPERTY_KEY);
+  }
+}
+
+describe("ImportProgressTracker", () => {
+  const NOW = new Date("2026-03-01T10:00:00Z").getTime();
+
+  beforeEach(() => {
+    jest.useFakeTimers().setSystemTime(NOW);
+    store = {};
+    mockLock = { tryLock: jest.fn(() => true), releaseLock: jest.fn() };
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe("createTimeoutCheck()", () => {
+    test("should refresh the heartbeat and report the time limit", () => {
+      const checkTimeout = ImportProgressTracker.createTimeoutCheck(NOW);
+
+      expect(checkTimeout()).toBe(false);
+      expect(store.IMPORT_ACTIVE_STATE).toBeUndefined();
+
+      jest.setSystemTime(NOW + IMPORT_CONFIG.HEARTBEAT_MS);
+      expect(checkTimeout()).toBe(false);
+      expect(ImportProgressTracker.isImportActive()).toBe(true);
+
+      jest.setSystemTime(NOW + IMPORT_CONFIG.MAX_EXECUTION_TIME_MS + 1);
+      expect(checkTimeout()).toBe(true);
+    });
+  });
+
+  describe("runExclusive()", () => {
+    test("should mark the import active while the operation runs", async () => {
+      let activeDuringRun;
+      const result = await ImportProgressTracker.runExclusive(
+        async (checkTimeout) => {
+          activeDuringRun = ImportProgressTracker.isImportActive();
+          return checkTimeout();
+        }
+      );
+
+      expect(result).toBe(false);
+      expect(activeDuringRun).toBe(true);
+      expect(ImportProgressTracker.isImportActive()).toBe(false);
+      expect(mockLock.releaseLock).toHaveBeenCalled();
+    });
+
+    test("should refuse to run while the lock is held", async () => {
+      mockLock.tryLock.mockReturnValue(false);
+      const operation = jest.fn();
+
+      await expect(
+        ImportProgressTracker.runExclusive(operation)
+      ).rejects.toThrow(IMPORT_BUSY_MESSAGE);
+      expect(operation).not.toHaveBeenCalled();
+      expect(mockLock.releaseLock).not.toHaveBeenCalled();
+    });
+
+    test("should refuse to run over another active import", async () => {
+      ImportProgressTracker.markImportActive();
+      const operation = jest.fn();
+
+      await expect(
+        ImportProgressTracker.runExclusive(operation)
+      ).rejects.toThrow(ValidationError);
+      expect(operation).not.toHaveBeenCalled();
+      expect(ImportProgressTracker.isImportActive()).toBe(true);
+      expect(mockLock.releaseLock).toHaveBeenCalled();
+    });
+
+    test("should report a refusal as a busy error", async () => {
+      mockLock.tryLock.mockReturnValue(false);
+
+      const error = await ImportProgressTracker.runExclusive(jest.fn()).catch(
+        (e) => e
+      );
+
+      expect(ImportProgressTracker.isBusyError(error)).toBe(true);
+      expect(
+        ImportProgressTracker.isBusyError(new ValidationError("Other"))
+      ).toBe(false);
+    });
+
+    test("should clear the flag and release the lock on failure", async () => {
+      await expect(
+        ImportProgressTracker.runExclusive(async () => {
+          throw new Error("write failed");
+        })
+      ).rejects.toThrow("write failed");
+      expect(ImportProgressTracker.isImportActive()).toBe(false);
+      expect(mockLock.releaseLock).toHaveBeenCalled();
+    });
+  });
+});
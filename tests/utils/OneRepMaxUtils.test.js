@@ -0,0 +1,276 @@
+/**
+ * Tests for OneRepMaxUtils.gs - Estimated one-rep max formulas
+ */
+
+// Mock constants
+const ONE_REP_MAX_FORMULAS = {
+  EPLEY: "Epley",
+  BRZYCKI: "Brzycki",
+  LOMBARDI: "Lombardi",
+  RPE_ADJUSTED: "RPE-adjusted",
+};
+const MAIN_SHEET_NAME = "Main";
+const MAIN_SHEET_CELLS = {
+  WEIGHT_UNIT: "I5",
+  ONE_REP_MAX_FORMULA: "I6",
+};
+const ONE_REP_MAX_FORMULA_CHANGED_KEY = "ONE_REP_MAX_FORMULA_CHANGED";
+
+// Mock getActiveSpreadsheet
+const mockSpreadsheet = {
+  getSheetByName: jest.fn(),
+};
+
+global.getActiveSpreadsheet = jest.fn(() => mockSpreadsheet);
+
+let store = {};
+global.getDocumentProperties = () => ({
+  getProperty: (key) => store[key] ?? null,
+  setProperty: (key, value) => {
+    store[key] = value;
+  },
+  deleteProperty: (key) => {
+    delete store[key];
+  },
+});
+
+// Simplified functions for testing
+function calculateOneRepMax(
+  weight,
+  reps,
+  formula = ONE_REP_MAX_FORMULAS.EPLEY,
+  rpe = null
+) {
+  const weightValue = Number(weight);
+  const repsValue = Number(reps);
+
+  if (
+    weight === "" ||
+    weight === null ||
+    reps === "" ||
+    reps === null ||
+    !isFinite(weightValue) ||
+    !isFinite(repsValue) ||
+    weightValue <= 0 ||
+    repsValue <= 0
+  ) {
+    return "";
+  }
+
+  const epley = (r) => (r === 1 ? weightValue : weightValue * (1 + r / 30));
+  let estimate;
+
+  switch (formula) {
+    case ONE_REP_MAX_FORMULAS.BRZYCKI:
+      if (repsValue >= 37) {
+        return "";
+      }
+      estimate = (weightValue * 36) / (37 - repsValue);
+      break;
+    case ONE_REP_MAX_FORMULAS.LOMBARDI:
+      estimate = weightValue * Math.pow(repsValue, 0.1);
+      break;
+    case ONE_REP_MAX_FORMULAS.RPE_ADJUSTED: {
+      const rpeValue = Number(rpe);
+      const repsInReserve =
+        rpe === "" || rpe === null || !isFinite(rpeValue)
+          ? 0
+          : Math.max(0, 10 - rpeValue);
+      estimate = epley(repsValue + repsInReserve);
+      break;
+    }
+    default:
+      estimate = epley(repsValue);
+  }
+
+  return Math.round(estimate * 100) / 100;
+}
+
+function normalizeOneRepMaxFormula(value) {
+  const name = String(value ?? "")
+    .trim()
+    .toLowerCase();
+  return (
+    Object.values(ONE_REP_MAX_FORMULAS).find(
+      (formula) => formula.toLowerCase() === name
+    ) ?? ONE_REP_MAX_FORMULAS.EPLEY
+  );
+}
+
+function getOneRepMaxFormula() {
+  const mainSheet = getActiveSpreadsheet().getSheetByName(MAIN_SHEET_NAME);
+  if (!mainSheet) {
+    return ONE_REP_MAX_FORMULAS.EPLEY;
+  }
+
+  return normalizeOneRepMaxFormula(
+    mainSheet.getRange(MAIN_SHEET_CELLS.ONE_REP_MAX_FORMULA).getValue()
+  );
+}
+
+function ensureOneRepMaxFormulaValidation() {
+  const mainSheet = getActiveSpreadsheet().getSheetByName(MAIN_SHEET_NAME);
+  const cell = mainSheet?.getRange(MAIN_SHEET_CELLS.ONE_REP_MAX_FORMULA);
+  if (!cell || cell.getDataValidation()) {
+    return;
+  }
+
+  const rule = SpreadsheetApp.newDataValidation()
+    .requireValueInList(Object.values(ONE_REP_MAX_FORMULAS), true)
+    .setAllowInvalid(false)
+    .build();
+  cell.setDataValidation(rule);
+}
+
+function markOneRepMaxFormulaChanged() {
+  getDocumentProperties()?.setProperty(ONE_REP_MAX_FORMULA_CHANGED_KEY, "true");
+}
+
+function isOneRepMaxFormulaChanged() {
+  return (
+    getDocumentProperties()?.getProperty(ONE_REP_MAX_FORMULA_CHANGED_KEY) ===
+    "true"
+  );
+}
+
+function clearOneRepMaxFormulaChanged() {
+  getDocumentProperties()?.deleteProperty(ONE_REP_MAX_FORMULA_CHANGED_KEY);
+}
+
+describe("OneRepMaxUtils", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("calculateOneRepMax()", () => {
+    test("should default to the Epley formula", () => {
+      expect(calculateOneRepMax(100, 5)).toBe(116.67);
+    });
+
+    test("should return the weight for a single Epley rep", () => {
+      expect(calculateOneRepMax(100, 1)).toBe(100);
+    });
+
+    test("should apply the Brzycki formula", () => {
+      expect(calculateOneRepMax(100, 5, ONE_REP_MAX_FORMULAS.BRZYCKI)).toBe(
+        112.5
+      );
+    });
+
+    test("should return blank for Brzycki beyond 36 reps", () => {
+      expect(calculateOneRepMax(20, 40, ONE_REP_MAX_FORMULAS.BRZYCKI)).toBe("");
+    });
+
+    test("should apply the Lombardi formula", () => {
+      expect(calculateOneRepMax(100, 10, ONE_REP_MAX_FORMULAS.LOMBARDI)).toBe(
+        125.89
+      );
+    });
+
+    test("should add reps in reserve for RPE-adjusted", () => {
+      expect(
+        calculateOneRepMax(100, 5, ONE_REP_MAX_FORMULAS.RPE_ADJUSTED, 8)
+      ).toBe(123.33);
+    });
+
+    test("should fall back to Epley when RPE is missing", () => {
+      expect(
+        calculateOneRepMax(100, 5, ONE_REP_MAX_FORMULAS.RPE_ADJUSTED, "")
+      ).toBe(116.67);
+    });
+
+    test("should return blank without weight or reps", () => {
+      expect(calculateOneRepMax("", 5)).toBe("");
+      expect(calculateOneRepMax(100, null)).toBe("");
+      expect(calculateOneRepMax(0, 5)).toBe("");
+    });
+  });
+
+  describe("normalizeOneRepMaxFormula()", () => {
+    test("should match formula names case-insensitively", () => {
+      expect(normalizeOneRepMaxFormula(" brzycki ")).toBe("Brzycki");
+      expect(normalizeOneRepMaxFormula("rpe-ADJUSTED")).toBe("RPE-adjusted");
+    });
+
+    test("should default to Epley for unknown values", () => {
+      expect(normalizeOneRepMaxFormula("Wathan")).toBe("Epley");
+      expect(normalizeOneRepMaxFormula(null)).toBe("Epley");
+    });
+  });
+
+  describe("getOneRepMaxFormula()", () => {
+    test("should read the formula from the Main sheet", () => {
+      const getRange = jest.fn(() => ({ getValue: () => "Lombardi" }));
+      mockSpreadsheet.getSheetByName.mockReturnValue({ getRange });
+
+      expect(getOneRepMaxFormula()).toBe("Lombardi");
+      expect(getRange).toHaveBeenCalledWith("I6");
+    });
+
+    test("should default to Epley without a Main sheet", () => {
+      mockSpreadsheet.getSheetByName.mockReturnValue(null);
+
+      expect(getOneRepMaxFormula()).toBe("Epley");
+    });
+  });
+
+  describe("ensureOneRepMaxFormulaValidation()", () => {
+    let builder;
+    let cell;
+
+    beforeEach(() => {
+      builder = {
+        requireValueInList: jest.fn(() => builder),
+        setAllowInvalid: jest.fn(() => builder),
+        build: jest.fn(() => "rule"),
+      };
+      global.SpreadsheetApp = { newDataValidation: () => builder };
+      cell = {
+        getDataValidation: jest.fn(() => null),
+        setDataValidation: jest.fn(),
+      };
+      mockSpreadsheet.getSheetByName.mockReturnValue({ getRange: () => cell });
+    });
+
+    test("should add a dropdown of every formula", () => {
+      ensureOneRepMaxFormulaValidation();
+
+      expect(builder.requireValueInList).toHaveBeenCalledWith(
+        ["Epley", "Brzycki", "Lombardi", "RPE-adjusted"],
+        true
+      );
+      expect(builder.setAllowInvalid).toHaveBeenCalledWith(false);
+      expect(cell.setDataValidation).toHaveBeenCalledWith("rule");
+    });
+
+    test("should keep an existing rule", () => {
+      cell.getDataValidation.mockReturnValue("existing");
+
+      ensureOneRepMaxFormulaValidation();
+
+      expect(cell.setDataValidation).not.toHaveBeenCalled();
+    });
+
+    test("should do nothing without a Main sheet", () => {
+      mockSpreadsheet.getSheetByName.mockReturnValue(null);
+
+      expect(() => ensureOneRepMaxFormulaValidation()).not.toThrow();
+    });
+  });
+
+  describe("markOneRepMaxFormulaChanged()", () => {
+    beforeEach(() => {
+      store = {};
+    });
+
+    test("should flag the change until the import clears it", () => {
+      expect(isOneRepMaxFormulaChanged()).toBe(false);
+
+      markOneRepMaxFormulaChanged();
+      expect(isOneRepMaxFormulaChanged()).toBe(true);
+
+      clearOneRepMaxFormulaChanged();
+      expect(isOneRepMaxFormulaChanged()).toBe(false);
+    });
+  });
+});
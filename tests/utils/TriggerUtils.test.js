@@ -0,0 +1,585 @@
+/**
+ * Tests for TriggerUtils.gs - Scheduled sync trigger management
+ */
+
+const SCHEDULED_SYNC_CONFIG = {
+  HANDLER_FUNCTION: "runScheduledImport",
+  CONFIG_PROPERTY_KEY: "SCHEDULED_SYNC_CONFIG",
+  LAST_RUN_PROPERTY_KEY: "SCHEDULED_SYNC_LAST_RUN",
+  DEFAULT_HOUR: 6,
+  FREQUENCIES: {
+    OFF: "off",
+    HOURLY: "hourly",
+    EVERY_6_HOURS: "every6Hours",
+    DAILY: "daily",
+  },
+  STATUSES: {
+    SUCCESS: "success",
+    SKIPPED: "skipped",
+    TIMED_OUT: "timedOut",
+    ERROR: "error",
+  },
+};
+
+const TEMPLATE_SPREADSHEET_ID = "template-id";
+
+class ValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ValidationError";
+  }
+}
+
+class ImportTimeoutError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ImportTimeoutError";
+  }
+}
+
+const createPropertiesStore = () => {
+  const store = {};
+  return {
+    getProperty: jest.fn((key) => store[key] ?? null),
+    setProperty: jest.fn((key, value) => {
+      store[key] = value;
+    }),
+    _store: store,
+  };
+};
+
+let mockProperties;
+let mockTriggers;
+let mockLock;
+let mockBuilder;
+
+const getDocumentProperties = () => mockProperties;
+const mockSpreadsheet = { getId: () => "sheet-id", toast: jest.fn() };
+const getActiveSpreadsheet = () => mockSpreadsheet;
+const TOAST_DURATION = { NORMAL: 5, LONG: 10 };
+const IMPORT_BUSY_MESSAGE =
+  "Another import is running. Please try again when it has finished.";
+
+global.ErrorHandler = {
+  handle: jest.fn((error) => Object.assign(error, { errorCode: "TEST_CODE" })),
+};
+global.ImportProgressTracker = {
+  isImportActive: jest.fn(() => false),
+  markImportActive: jest.fn(),
+  updateImportActiveHeartbeat: jest.fn(),
+  clearImportActive: jest.fn(),
+  createTimeoutCheck: jest.fn(() => () => false),
+  runExclusive: jest.fn(async (operation) => operation(() => false)),
+  isBusyError: (error) =>
+    error instanceof ValidationError && error.message === IMPORT_BUSY_MESSAGE,
+};
+global.QuotaTracker = {
+  recordExecutionTime: jest.fn(),
+  checkQuotaWarnings: jest.fn(() => null),
+};
+global.IMPORT_LOG_SOURCES = { ON_OPEN: "On Open", SCHEDULED: "Scheduled" };
+global.ImportLog = {
+  start: jest.fn(() => ({ operation: "Scheduled Sync" })),
+  finish: jest.fn(async () => {}),
+};
+global.importQueuedWebhookWorkouts = jest.fn(async () => 0);
+global.importAllExercises = jest.fn(async () => {});
+global.importAllWorkouts = jest.fn(async () => 0);
+global.importAllRoutineFolders = jest.fn(async () => {});
+global.importAllRoutines = jest.fn(async () => {});
+
+const createTrigger = (handler) => ({
+  getHandlerFunction: () => handler,
+});
+
+async function runAutomaticImport() {
+  const startTime = Date.now();
+  const ss = getActiveSpreadsheet();
+  const properties = getDocumentProperties();
+  const apiKey = properties?.getProperty("HEVY_API_KEY");
+  const isTemplate = ss.getId() === TEMPLATE_SPREADSHEET_ID;
+
+  if (!apiKey) {
+    if (!isTemplate) {
+      ss.toast(
+        "Hevy API Key not configured. Please use Extensions → Hevy Tracker → 🔑 Set Hevy API Key to set up the add-on.",
+        "Setup Required",
+        TOAST_DURATION.LONG
+      );
+    }
+    return;
+  }
+
+  let logRun = null;
+  try {
+    await ImportProgressTracker.runExclusive(async (checkTimeout) => {
+      logRun = ImportLog.start(IMPORT_LOG_SOURCES.ON_OPEN, "Automatic Import");
+      await _runIncrementalSync(isTemplate, checkTimeout);
+    });
+    await ImportLog.finish(logRun);
+
+    const executionTime = Date.now() - startTime;
+    QuotaTracker.recordExecutionTime(executionTime);
+
+    const quotaWarning = QuotaTracker.checkQuotaWarnings();
+    if (quotaWarning) {
+      console.warn("Quota warning:", quotaWarning);
+    }
+
+    ss.toast(
+      "Importing all data completed successfully",
+      "Automatic Import",
+      TOAST_DURATION.NORMAL
+    );
+  } catch (error) {
+    QuotaTracker.recordExecutionTime(Date.now() - startTime);
+    await ImportLog.finish(logRun, error);
+    if (ImportProgressTracker.isBusyError(error)) {
+      console.log("Import already active, skipping automatic import");
+      return;
+    }
+    if (error instanceof ImportTimeoutError) {
+      console.warn("Automatic import stopped at the time limit");
+      return;
+    }
+    ErrorHandler.handle(error, { operation: "Running import on open" }, false);
+  }
+}
+
+async function _runIncrementalSync(isTemplate, checkTimeout = null) {
+  await importAllExercises(checkTimeout);
+
+  if (isTemplate) {
+    return 0;
+  }
+
+  const workoutChanges =
+    (await importQueuedWebhookWorkouts(checkTimeout)) +
+    (await importAllWorkouts(checkTimeout));
+  if (workoutChanges > 0) {
+    await importAllRoutineFolders(checkTimeout);
+    await importAllRoutines(checkTimeout);
+  }
+  return workoutChanges;
+}
+
+async function runScheduledImport() {
+  const startTime = Date.now();
+  const statuses = SCHEDULED_SYNC_CONFIG.STATUSES;
+  const lock = LockService.getScriptLock();
+  let markedActive = false;
+  let logRun = null;
+  let logError = null;
+
+  if (!lock.tryLock(0)) {
+    _recordScheduledSyncRun({
+      status: statuses.SKIPPED,
+      message: "Another import was running",
+    });
+    return;
+  }
+
+  try {
+    if (ImportProgressTracker.isImportActive()) {
+      _recordScheduledSyncRun({
+        status: statuses.SKIPPED,
+        message: "Another import was running",
+      });
+      return;
+    }
+
+    const ss = getActiveSpreadsheet();
+    const apiKey = getDocumentProperties()?.getProperty("HEVY_API_KEY");
+    if (!apiKey) {
+      _recordScheduledSyncRun({
+        status: statuses.SKIPPED,
+        message: "Hevy API key not configured",
+      });
+      return;
+    }
+
+    ImportProgressTracker.markImportActive();
+    markedActive = true;
+    logRun = ImportLog.start(IMPORT_LOG_SOURCES.SCHEDULED, "Scheduled Sync");
+    const checkTimeout = ImportProgressTracker.createTimeoutCheck(startTime);
+
+    const changes = await _runIncrementalSync(
+      ss.getId() === TEMPLATE_SPREADSHEET_ID,
+      checkTimeout
+    );
+
+    _recordScheduledSyncRun({
+      status: statuses.SUCCESS,
+      changes,
+      durationMs: Date.now() - startTime,
+    });
+  } catch (error) {
+    logError = error;
+    if (error instanceof ImportTimeoutError) {
+      _recordScheduledSyncRun({
+        status: statuses.TIMED_OUT,
+        message: "Stopped at the time limit, will continue on the next run",
+        durationMs: Date.now() - startTime,
+      });
+      return;
+    }
+
+    const handledError = ErrorHandler.handle(
+      error,
+      { operation: "Running scheduled import" },
+      false
+    );
+    _recordScheduledSyncRun({
+      status: statuses.ERROR,
+      message: handledError.message,
+      errorCode: handledError.errorCode,
+      durationMs: Date.now() - startTime,
+    });
+  } finally {
+    QuotaTracker.recordExecutionTime(Date.now() - startTime);
+    await ImportLog.finish(logRun, logError);
+    if (markedActive) {
+      ImportProgressTracker.clearImportActive();
+    }
+    lock.releaseLock();
+  }
+}
+
+function configureScheduledSync(
+  frequency,
+  hour = SCHEDULED_SYNC_CONFIG.DEFAULT_HOUR
+) {
+  const frequencies = SCHEDULED_SYNC_CONFIG.FREQUENCIES;
+
+  try {
+    if (!Object.values(frequencies).includes(frequency)) {
+      throw new ValidationError(`Unknown sync frequency: ${frequency}`);
+    }
+    const hourValue = Number(hour);
+    if (!Number.isInteger(hourValue) || hourValue < 0 || hourValue > 23) {
+      throw new ValidationError(`Sync hour must be 0-23, got: ${hour}`);
+    }
+
+    ScriptApp.getProjectTriggers()
+      .filter(
+        (t) => t.getHandlerFunction() === SCHEDULED_SYNC_CONFIG.HANDLER_FUNCTION
+      )
+      .forEach((t) => ScriptApp.deleteTrigger(t));
+
+    if (frequency !== frequencies.OFF) {
+      const builder = ScriptApp.newTrigger(
+        SCHEDULED_SYNC_CONFIG.HANDLER_FUNCTION
+      ).timeBased();
+      if (frequency === frequencies.DAILY) {
+        builder.everyDays(1).atHour(hourValue);
+      } else {
+        builder.everyHours(frequency === frequencies.HOURLY ? 1 : 6);
+      }
+      builder.create();
+    }
+
+    getDocumentProperties()?.setProperty(
+      SCHEDULED_SYNC_CONFIG.CONFIG_PROPERTY_KEY,
+      JSON.stringify({ frequency, hour: hourValue })
+    );
+
+    return getScheduledSyncSettings();
+  } catch (error) {
+    throw ErrorHandler.handle(error, {
+      operation: "Configuring scheduled sync",
+      frequency,
+    });
+  }
+}
+
+function getScheduledSyncSettings() {
+  const properties = getDocumentProperties();
+  const config = _parseJsonProperty(
+    properties,
+    SCHEDULED_SYNC_CONFIG.CONFIG_PROPERTY_KEY
+  );
+  const hasTrigger = ScriptApp.getProjectTriggers().some(
+    (t) => t.getHandlerFunction() === SCHEDULED_SYNC_CONFIG.HANDLER_FUNCTION
+  );
+
+  return {
+    frequency:
+      hasTrigger && config?.frequency
+        ? config.frequency
+        : SCHEDULED_SYNC_CONFIG.FREQUENCIES.OFF,
+    hour: config?.hour ?? SCHEDULED_SYNC_CONFIG.DEFAULT_HOUR,
+    lastRun: _parseJsonProperty(
+      properties,
+      SCHEDULED_SYNC_CONFIG.LAST_RUN_PROPERTY_KEY
+    ),
+  };
+}
+
+function _recordScheduledSyncRun(outcome) {
+  try {
+    getDocumentProperties()?.setProperty(
+      SCHEDULED_SYNC_CONFIG.LAST_RUN_PROPERTY_KEY,
+      JSON.stringify({ timestamp: new Date().toISOString(), ...outcome })
+    );
+  } catch (error) {
+    console.warn("Failed to record scheduled sync run:", error);
+  }
+}
+
+function _parseJsonProperty(properties, key) {
+  try {
+    const json = properties?.getProperty(key);
+    return json ? JSON.parse(json) : null;
+  } catch (error) {
+    console.warn(`Failed to parse property ${key}:`, error);
+    return null;
+  }
+}
+
+const getLastRun = () =>
+  JSON.parse(
+    mockProperties._store[SCHEDULED_SYNC_CONFIG.LAST_RUN_PROPERTY_KEY]
+  );
+
+describe("TriggerUtils - Scheduled Sync", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockProperties = createPropertiesStore();
+    mockProperties.setProperty("HEVY_API_KEY", "key");
+    mockTriggers = [];
+    mockLock = {
+      tryLock: jest.fn(() => true),
+      releaseLock: jest.fn(),
+    };
+    mockBuilder = {
+      timeBased: jest.fn(() => mockBuilder),
+      everyHours: jest.fn(() => mockBuilder),
+      everyDays: jest.fn(() => mockBuilder),
+      atHour: jest.fn(() => mockBuilder),
+      create: jest.fn(() => {
+        mockTriggers.push(createTrigger("runScheduledImport"));
+      }),
+    };
+    global.LockService = { getScriptLock: jest.fn(() => mockLock) };
+    global.ScriptApp = {
+      getProjectTriggers: jest.fn(() => mockTriggers),
+      deleteTrigger: jest.fn((trigger) => {
+        mockTriggers = mockTriggers.filter((t) => t !== trigger);
+      }),
+      newTrigger: jest.fn(() => mockBuilder),
+    };
+    ImportProgressTracker.isImportActive.mockReturnValue(false);
+    importAllWorkouts.mockResolvedValue(0);
+  });
+
+  describe("configureScheduledSync", () => {
+    test("should create an hourly trigger and save the config", () => {
+      const settings = configureScheduledSync("hourly");
+
+      expect(ScriptApp.newTrigger).toHaveBeenCalledWith("runScheduledImport");
+      expect(mockBuilder.everyHours).toHaveBeenCalledWith(1);
+      expect(settings.frequency).toBe("hourly");
+    });
+
+    test("should create a 6-hourly trigger", () => {
+      configureScheduledSync("every6Hours");
+
+      expect(mockBuilder.everyHours).toHaveBeenCalledWith(6);
+    });
+
+    test("should create a daily trigger at the given hour", () => {
+      const settings = configureScheduledSync("daily", 21);
+
+      expect(mockBuilder.everyDays).toHaveBeenCalledWith(1);
+      expect(mockBuilder.atHour).toHaveBeenCalledWith(21);
+      expect(settings).toMatchObject({ frequency: "daily", hour: 21 });
+    });
+
+    test("should replace existing scheduled triggers only", () => {
+      const openTrigger = createTrigger("runAutomaticImport");
+      const oldTrigger = createTrigger("runScheduledImport");
+      mockTriggers = [openTrigger, oldTrigger];
+
+      configureScheduledSync("hourly");
+
+      expect(ScriptApp.deleteTrigger).toHaveBeenCalledTimes(1);
+      expect(ScriptApp.deleteTrigger).toHaveBeenCalledWith(oldTrigger);
+      expect(mockTriggers).toContain(openTrigger);
+    });
+
+    test("should remove the trigger when turned off", () => {
+      mockTriggers = [createTrigger("runScheduledImport")];
+
+      const settings = configureScheduledSync("off");
+
+      expect(mockTriggers).toHaveLength(0);
+      expect(ScriptApp.newTrigger).not.toHaveBeenCalled();
+      expect(settings.frequency).toBe("off");
+    });
+
+    test("should reject unknown frequencies and invalid hours", () => {
+      expect(() => configureScheduledSync("weekly")).toThrow(ValidationError);
+      expect(() => configureScheduledSync("daily", 24)).toThrow(
+        ValidationError
+      );
+      expect(ScriptApp.newTrigger).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("getScheduledSyncSettings", () => {
+    test("should default to off with no config", () => {
+      expect(getScheduledSyncSettings()).toEqual({
+        frequency: "off",
+        hour: 6,
+        lastRun: null,
+      });
+    });
+
+    test("should report off when the saved trigger was removed", () => {
+      mockProperties.setProperty(
+        SCHEDULED_SYNC_CONFIG.CONFIG_PROPERTY_KEY,
+        JSON.stringify({ frequency: "hourly", hour: 6 })
+      );
+
+      expect(getScheduledSyncSettings().frequency).toBe("off");
+    });
+  });
+
+  describe("runScheduledImport", () => {
+    test("should run the sync and record a successful outcome", async () => {
+      importAllWorkouts.mockResolvedValue(3);
+
+      await runScheduledImport();
+
+      expect(ImportProgressTracker.markImportActive).toHaveBeenCalled();
+      expect(importAllRoutines).toHaveBeenCalled();
+      expect(getLastRun()).toMatchObject({ status: "success", changes: 3 });
+      expect(ImportProgressTracker.clearImportActive).toHaveBeenCalled();
+      expect(mockLock.releaseLock).toHaveBeenCalled();
+      expect(ImportLog.start).toHaveBeenCalledWith(
+        "Scheduled",
+        "Scheduled Sync"
+      );
+      expect(ImportLog.finish).toHaveBeenCalledWith(
+        ImportLog.start.mock.results[0].value,
+        null
+      );
+    });
+
+    test("should import queued webhook workouts before importing workouts", async () => {
+      await runScheduledImport();
+
+      expect(importQueuedWebhookWorkouts).toHaveBeenCalled();
+      expect(
+        importQueuedWebhookWorkouts.mock.invocationCallOrder[0]
+      ).toBeLessThan(importAllWorkouts.mock.invocationCallOrder[0]);
+    });
+
+    test("should skip routines when no workouts changed", async () => {
+      await runScheduledImport();
+
+      expect(importAllRoutines).not.toHaveBeenCalled();
+      expect(getLastRun()).toMatchObject({ status: "success", changes: 0 });
+    });
+
+    test("should count queued webhook workouts as workout changes", async () => {
+      importQueuedWebhookWorkouts.mockResolvedValueOnce(2);
+
+      await runScheduledImport();
+
+      expect(importAllRoutines).toHaveBeenCalled();
+      expect(getLastRun()).toMatchObject({ status: "success", changes: 2 });
+    });
+
+    test("should skip when the lock is held", async () => {
+      mockLock.tryLock.mockReturnValue(false);
+
+      await runScheduledImport();
+
+      expect(importAllExercises).not.toHaveBeenCalled();
+      expect(mockLock.releaseLock).not.toHaveBeenCalled();
+      expect(getLastRun().status).toBe("skipped");
+      expect(ImportLog.start).not.toHaveBeenCalled();
+    });
+
+    test("should skip without clearing another active import", async () => {
+      ImportProgressTracker.isImportActive.mockReturnValue(true);
+
+      await runScheduledImport();
+
+      expect(importAllExercises).not.toHaveBeenCalled();
+      expect(ImportProgressTracker.markImportActive).not.toHaveBeenCalled();
+      expect(ImportProgressTracker.clearImportActive).not.toHaveBeenCalled();
+      expect(getLastRun().status).toBe("skipped");
+    });
+
+    test("should record timeouts separately from errors", async () => {
+      importAllWorkouts.mockRejectedValue(new ImportTimeoutError("timeout"));
+
+      await runScheduledImport();
+
+      expect(getLastRun().status).toBe("timedOut");
+      expect(ErrorHandler.handle).not.toHaveBeenCalled();
+    });
+
+    test("should record errors with their code", async () => {
+      const error = new Error("API down");
+      importAllExercises.mockRejectedValueOnce(error);
+
+      await runScheduledImport();
+
+      expect(ImportLog.finish).toHaveBeenCalledWith(expect.anything(), error);
+      expect(getLastRun()).toMatchObject({
+        status: "error",
+        message: "API down",
+        errorCode: "TEST_CODE",
+      });
+      expect(ImportProgressTracker.clearImportActive).toHaveBeenCalled();
+    });
+  });
+
+  describe("runAutomaticImport", () => {
+    test("should sync under the import lock", async () => {
+      await runAutomaticImport();
+
+      expect(ImportProgressTracker.runExclusive).toHaveBeenCalled();
+      expect(importAllWorkouts).toHaveBeenCalledWith(expect.any(Function));
+      expect(ImportLog.start).toHaveBeenCalledWith(
+        "On Open",
+        "Automatic Import"
+      );
+      expect(mockSpreadsheet.toast).toHaveBeenCalledWith(
+        "Importing all data completed successfully",
+        "Automatic Import",
+        TOAST_DURATION.NORMAL
+      );
+    });
+
+    test("should skip quietly while another import is running", async () => {
+      ImportProgressTracker.runExclusive.mockRejectedValueOnce(
+        new ValidationError(IMPORT_BUSY_MESSAGE)
+      );
+
+      await runAutomaticImport();
+
+      expect(importAllExercises).not.toHaveBeenCalled();
+      expect(ImportLog.start).not.toHaveBeenCalled();
+      expect(ErrorHandler.handle).not.toHaveBeenCalled();
+      expect(mockSpreadsheet.toast).not.toHaveBeenCalled();
+    });
+
+    test("should not report a timeout as an error", async () => {
+      importAllWorkouts.mockRejectedValueOnce(
+        new ImportTimeoutError("Timeout approaching")
+      );
+
+      await runAutomaticImport();
+
+      expect(ImportLog.finish).toHaveBeenCalledWith(
+        ImportLog.start.mock.results[0].value,
+        expect.any(ImportTimeoutError)
+      );
+      expect(ErrorHandler.handle).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,224 @@
+/**
+ * Tests for tracking/WorkoutRetryQueue.gs - Persistent retry queue for failed workouts
+ */
+
+const IMPORT_CONFIG = {
+  RETRY_QUEUE_PROPERTY_KEY: "WORKOUT_RETRY_QUEUE",
+};
+const WORKOUT_IMPORT_CONFIG = {
+  RETRY_QUEUE_MAX_SIZE: 3,
+};
+
+let mockProperties;
+const getDocumentProperties = () => mockProperties;
+
+class WorkoutRetryQueue {
+  /**
+   * Reads the queue from document properties
+   * @returns {Object<string, {attempts: number, lastAttempt: string}>} Entries keyed by workout ID
+   * @private
+   */
+  static _load() {
+    try {
+      const props = getDocumentProperties();
+      const queueJson = props?.getProperty(
+        IMPORT_CONFIG.RETRY_QUEUE_PROPERTY_KEY
+      );
+      return queueJson ? JSON.parse(queueJson) : {};
+    } catch (error) {
+      console.warn("Failed to load workout retry queue:", error);
+      return {};
+    }
+  }
+
+  /**
+   * Writes the queue to document properties, deleting it when empty
+   * @param {Object<string, Object>} queue - Entries keyed by workout ID
+   * @private
+   */
+  static _save(queue) {
+    try {
+      const props = getDocumentProperties();
+      if (!props) {
+        console.warn(
+          "Unable to save workout retry queue: document properties unavailable"
+        );
+        return;
+      }
+
+      if (Object.keys(queue).length === 0) {
+        props.deleteProperty(IMPORT_CONFIG.RETRY_QUEUE_PROPERTY_KEY);
+      } else {
+        props.setProperty(
+          IMPORT_CONFIG.RETRY_QUEUE_PROPERTY_KEY,
+          JSON.stringify(queue)
+        );
+      }
+    } catch (error) {
+      console.warn("Failed to save workout retry queue:", error);
+    }
+  }
+
+  /**
+   * Gets the queued workouts, oldest failure first
+   * @returns {Array<WorkoutRetryEntry>} Queued workouts
+   */
+  static getEntries() {
+    const queue = this._load();
+    return Object.keys(queue)
+      .map((id) => ({ id, ...queue[id] }))
+      .sort((a, b) => a.lastAttempt.localeCompare(b.lastAttempt));
+  }
+
+  /**
+   * Gets the IDs of all queued workouts
+   * @returns {Array<string>} Workout IDs
+   */
+  static getIds() {
+    return Object.keys(this._load());
+  }
+
+  /**
+   * Queues workouts that failed to fetch, counting repeated failures.
+   * When the queue is full the oldest failures are dropped.
+   * @param {Array<string>} workoutIds - IDs that failed to fetch
+   */
+  static add(workoutIds) {
+    if (!workoutIds || workoutIds.length === 0) {
+      return;
+    }
+
+    const queue = this._load();
+    const now = new Date().toISOString();
+    workoutIds.forEach((id) => {
+      queue[id] = {
+        attempts: (queue[id]?.attempts ?? 0) + 1,
+        lastAttempt: now,
+      };
+    });
+
+    const ids = Object.keys(queue);
+    const overflow = ids.length - WORKOUT_IMPORT_CONFIG.RETRY_QUEUE_MAX_SIZE;
+    if (overflow > 0) {
+      ids
+        .sort((a, b) =>
+          queue[a].lastAttempt.localeCompare(queue[b].lastAttempt)
+        )
+        .slice(0, overflow)
+        .forEach((id) => delete queue[id]);
+      console.warn(
+        `Workout retry queue is full, dropped ${overflow} workout(s). Run Verify & Repair Workouts to restore them.`
+      );
+    }
+
+    this._save(queue);
+  }
+
+  /**
+   * Removes workouts from the queue once fetched or deleted
+   * @param {Iterable<string>} workoutIds - IDs to remove
+   */
+  static remove(workoutIds) {
+    const queue = this._load();
+    let changed = false;
+    for (const id of workoutIds) {
+      if (queue[id]) {
+        delete queue[id];
+        changed = true;
+      }
+    }
+
+    if (changed) {
+      this._save(queue);
+    }
+  }
+
+  /**
+   * Empties the queue, e.g. after a full import
+   */
+  static clear() {
+    this._save({});
+  }
+}
+
+describe("WorkoutRetryQueue", () => {
+  beforeEach(() => {
+    const store = {};
+    mockProperties = {
+      getProperty: jest.fn((key) => store[key] ?? null),
+      setProperty: jest.fn((key, value) => {
+        store[key] = value;
+      }),
+      deleteProperty: jest.fn((key) => {
+        delete store[key];
+      }),
+    };
+    jest.useFakeTimers().setSystemTime(new Date("2026-03-01T10:00:00Z"));
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    console.warn.mockRestore();
+  });
+
+  test("should be empty when nothing was stored", () => {
+    expect(WorkoutRetryQueue.getIds()).toEqual([]);
+    expect(WorkoutRetryQueue.getEntries()).toEqual([]);
+  });
+
+  test("should persist failed IDs and count repeated failures", () => {
+    WorkoutRetryQueue.add(["w1", "w2"]);
+    jest.setSystemTime(new Date("2026-03-01T11:00:00Z"));
+    WorkoutRetryQueue.add(["w2"]);
+
+    expect(WorkoutRetryQueue.getEntries()).toEqual([
+      { id: "w1", attempts: 1, lastAttempt: "2026-03-01T10:00:00.000Z" },
+      { id: "w2", attempts: 2, lastAttempt: "2026-03-01T11:00:00.000Z" },
+    ]);
+  });
+
+  test("should remove fetched IDs and delete the property when empty", () => {
+    WorkoutRetryQueue.add(["w1", "w2"]);
+
+    WorkoutRetryQueue.remove(new Set(["w1"]));
+    expect(WorkoutRetryQueue.getIds()).toEqual(["w2"]);
+
+    WorkoutRetryQueue.remove(["w2", "unknown"]);
+    expect(mockProperties.deleteProperty).toHaveBeenCalledWith(
+      "WORKOUT_RETRY_QUEUE"
+    );
+    expect(WorkoutRetryQueue.getIds()).toEqual([]);
+  });
+
+  test("should not write when removing IDs that are not queued", () => {
+    WorkoutRetryQueue.remove(["w1"]);
+
+    expect(mockProperties.setProperty).not.toHaveBeenCalled();
+    expect(mockProperties.deleteProperty).not.toHaveBeenCalled();
+  });
+
+  test("should drop the oldest failures when the queue is full", () => {
+    WorkoutRetryQueue.add(["w1", "w2"]);
+    jest.setSystemTime(new Date("2026-03-01T11:00:00Z"));
+    WorkoutRetryQueue.add(["w3", "w4"]);
+
+    const ids = WorkoutRetryQueue.getIds();
+    expect(ids).toHaveLength(3);
+    expect(ids).toEqual(expect.arrayContaining(["w3", "w4"]));
+    expect(console.warn).toHaveBeenCalled();
+  });
+
+  test("should clear every queued workout", () => {
+    WorkoutRetryQueue.add(["w1"]);
+    WorkoutRetryQueue.clear();
+
+    expect(WorkoutRetryQueue.getIds()).toEqual([]);
+  });
+
+  test("should ignore a corrupted property", () => {
+    mockProperties.getProperty.mockReturnValue("{not json");
+
+    expect(WorkoutRetryQueue.getIds()).toEqual([]);
+  });
+});